@@ -124,15 +124,7 @@ export default {
   async handler(input, context, params) {
     const { getDefaultModel, chatCompletion } = context.modules.modelRegistry;
     const store = new TrackerStore();
-    let trackersResult = store.listTrackers();
-
-    // Handle Promise if listTrackers is async
-    let trackers = [];
-    if (trackersResult instanceof Promise) {
-      trackers = await trackersResult || [];
-    } else {
-      trackers = trackersResult || [];
-    }
+    const trackers = (await store.listTrackers()) || [];
 
     // Step 1: Use LLM to analyze the intent
     const intent = await analyzeTrackingIntent(
@@ -152,8 +144,11 @@ export default {
       const trackerDesc = intent.description || input;
       console.log(`  \x1b[36m[Creating new tracker: ${trackerDesc}]\x1b[0m`);
 
-      const trackerConfig = await parseTrackerFromNaturalLanguage(trackerDesc);
-      if (!trackerConfig) {
+      let trackerConfig;
+      try {
+        trackerConfig = await parseTrackerFromNaturalLanguage(trackerDesc);
+      } catch (error) {
+        console.error('[Track] Could not work out the tracker:', error.message);
         return null;  // Fall back to chat instead of error
       }
 
@@ -163,7 +158,7 @@ export default {
         return `A tracker named **@${trackerConfig.name}** already exists. Use it with: "@${trackerConfig.name} add..."`;
       }
 
-      const createResult = store.createTracker(trackerConfig);
+      const createResult = await store.createTracker(trackerConfig);
       if (!createResult) {
         return `Failed to create tracker`;
       }
@@ -357,7 +352,7 @@ async function findOrCreateTracker(
   chatCompletion,
 ) {
   try {
-    const trackers = store.listTrackers();
+    const trackers = await store.listTrackers();
     const inputLower = description.toLowerCase();
 
     // Strategy 1: Check if input explicitly mentions an existing tracker name
@@ -457,14 +452,14 @@ async function findOrCreateTracker(
     }
 
     // Create the tracker
-    const createResult = store.createTracker(trackerConfig);
-    if (!createResult.success) {
-      console.error(`[Track] Failed to create tracker: ${createResult.error}`);
+    const createResult = await store.createTracker(trackerConfig);
+    if (!createResult?.id) {
+      console.error(`[Track] Failed to create tracker @${trackerConfig.name}`);
       return null;
     }
 
     console.log(`  \x1b[32m[Created tracker: @${trackerConfig.name}]\x1b[0m`);
-    return trackerConfig;
+    return createResult;
   } catch (e) {
     console.error('[Track] Tracker creation failed:', e.message);
     return null;
@@ -711,7 +706,7 @@ async function logToTracker(
       JSON.stringify(parsed.data),
     );
 
-    const result = store.addRecord(tracker.id, {
+    const result = await store.addRecord(tracker.id, {
       data: parsed.data,
       source: 'natural-language',
     });
@@ -743,7 +738,7 @@ async function logToTracker(
 
 async function handleTrackQuery(input, tracker, store) {
   const query = new QueryEngine(store);
-  const stats = query.getStats(tracker.id);
+  const stats = await query.getStats(tracker.id);
 
   if (stats.count === 0) {
     return `No entries logged yet for ${tracker.displayName}.`;
@@ -768,7 +763,7 @@ async function handleTrackQuery(input, tracker, store) {
   }
 
   // Get records by the determined time period
-  const data = store.getRecordsByDateRange(tracker.id, startDate, null);
+  const data = await store.getRecordsByDateRange(tracker.id, startDate, null);
   const periodRecords = data.records;
 
   if (periodRecords.length === 0) {
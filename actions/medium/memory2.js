@@ -33,15 +33,14 @@ export default {
   },
 
   dependencies: [
-    'vectorMemory.addMemory',
-    'vectorMemory.searchMemories',
+    'memoryService.remember',
+    'memoryService.recall',
     'vectorMemory.getMemoryStats',
-    'vectorMemory.rememberPreference',
   ],
 
   async handler(input, context, params) {
-    const { addMemory, searchMemories, getMemoryStats, rememberPreference } =
-      context.modules.vectorMemory;
+    const { remember, recall } = context.modules.memoryService;
+    const { getMemoryStats } = context.modules.vectorMemory;
 
     const lower = input.toLowerCase();
 
@@ -50,8 +49,11 @@ export default {
       const content = input.replace(/remember|store|this|that/i, '').trim();
       if (!content) return 'What would you like me to remember?';
 
-      await addMemory(content, { type: 'user_preference' });
-      await rememberPreference('user_instruction', content, input);
+      const result = await remember(content, {
+        projectPath: context.projectPath,
+      });
+      if (!result.success) return `❌ Couldn't save that: ${result.error}`;
+      if (result.duplicate) return `👍 I already know that: "${result.duplicate.content}"`;
 
       return `✅ Got it! I'll remember: "${content}"`;
     }
@@ -59,18 +61,21 @@ export default {
     // Semantic search
     if (/search/i.test(lower)) {
       const query = input.replace(/search|my|memories/i, '').trim();
-      const results = await searchMemories(query || input, { limit: 5 });
+      const results = await recall(query || input, {
+        limit: 5,
+        projectPath: context.projectPath,
+      });
 
       if (results.length === 0) {
         return 'No matching memories found.';
       }
 
       return (
-        `**Semantic Search Results:**\n\n` +
+        `**Memory Search Results:**\n\n` +
         results
           .map(
             (r, i) =>
-              `${i + 1}. ${r.content} (${(r.score * 100).toFixed(0)}% match)`,
+              `${i + 1}. ${r.content} (${(r.score * 100).toFixed(0)}% match, ${r.provenance.map((p) => p.store).join(', ')})`,
           )
           .join('\n\n')
       );
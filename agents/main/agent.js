@@ -10,6 +10,7 @@ import { loadSessionMemory, writeDailyMemory, initMemory, readLongTermMemory } f
 import { loadModelRegistry, getModelForTask, detectTaskType, chatCompletion, listAvailableModels, parseModelRef, getDefaultModel } from '../../lib/modelRegistry.js';
 import { createSubagent, sendToSubagent, createCodingSubagent, createAnalysisSubagent } from '../../lib/subagentManager.js';
 import { getPersonalitySystemPrompt } from '../../lib/personality/index.js';
+import { definePrompt, renderPrompt } from '../../lib/prompts/index.js';
 
 const CONFIG_DIR = path.join(os.homedir(), '.static-rebel', 'config');
 const SOUL_FILE = path.join(CONFIG_DIR, 'SOUL.md');
@@ -78,30 +79,27 @@ export async function loadUserProfile() {
   return null;
 }
 
-// Build full system prompt
-export async function buildSystemPrompt() {
-  let prompt = PERSONA_PROMPT || BASE_SYSTEM_PROMPT;
-
-  // Apply personality enhancements
-  prompt = getPersonalitySystemPrompt(prompt);
-
-  // Load user profile
-  const profile = await loadUserProfile();
-  if (profile) {
-    prompt += `\n\n## About the User\n${profile}`;
-  }
-
-  // Load long-term memory
-  const longTermMemory = readLongTermMemory();
-  if (longTermMemory) {
-    prompt += `\n\n## Long-Term Memory\n${longTermMemory}`;
-  }
-
-  return prompt;
+definePrompt('agent.main.system', {
+  description: 'Main agent system prompt: persona, user profile and long-term memory',
+  template: '{{persona}}{{#profile}}\n\n## About the User\n{{profile}}{{/profile}}' +
+    '{{#memory}}\n\n## Long-Term Memory\n{{memory}}{{/memory}}'
+});
+
+// Build full system prompt; returns { text, name, version } with options.withVersion
+export async function buildSystemPrompt(options = {}) {
+  const prompt = renderPrompt('agent.main.system', {
+    // Persona with personality enhancements
+    persona: getPersonalitySystemPrompt(PERSONA_PROMPT || BASE_SYSTEM_PROMPT),
+    profile: await loadUserProfile(),
+    memory: readLongTermMemory()
+  }, { key: options.sessionKey });
+
+  return options.withVersion ? prompt : prompt.text;
 }
 
 // Chat session state
 let sessionMessages = [];
+let sessionPrompt = null;
 let currentModel = null;
 
 export function getCurrentModel() {
@@ -117,8 +115,9 @@ export async function startSession() {
   await initMemory();
   await loadPersona();
 
-  const systemPrompt = await buildSystemPrompt();
+  const { text: systemPrompt, name, version } = await buildSystemPrompt({ withVersion: true });
   sessionMessages = [{ role: 'system', content: systemPrompt }];
+  sessionPrompt = { name, version };
 
   return {
     systemPrompt,
@@ -175,6 +174,8 @@ export async function sendMessage(input, options = {}) {
     content: response.message,
     delegated: false,
     model,
+    // The system prompt version behind this reply, for feedback
+    prompt: sessionMessages[0]?.role === 'system' ? sessionPrompt : null,
     duration: response.totalDuration
   };
 }
@@ -192,6 +193,7 @@ export function getSessionContext() {
 // Clear session
 export function clearSession() {
   sessionMessages = [];
+  sessionPrompt = null;
 }
 
 // Export conversation
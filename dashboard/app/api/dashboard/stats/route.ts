@@ -3,7 +3,7 @@ import path from 'path';
 import os from 'os';
 import fs from 'fs';
 import { getActivePersona, getAvailablePersonas } from '@/lib/personaManager.js';
-import { getMemoryStats } from '@/lib/vectorMemory.js';
+import { getMemoryStats } from '@/lib/memory/sqlite-memory.js';
 import { getWorkerStats } from '@/lib/workerManager.js';
 import { TrackerStore } from '@/tracker.js';
 
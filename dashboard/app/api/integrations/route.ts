@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { listIntegrations, setIntegrationEnabled } from '@/lib/integrations/status.js';
+
+export async function GET() {
+  try {
+    return NextResponse.json(await listIntegrations());
+  } catch (error) {
+    console.error('Integrations fetch error:', error);
+    return NextResponse.json({ error: 'Failed to load integrations' }, { status: 500 });
+  }
+}
+
+/**
+ * Toggle an integration. A running integration manager (sr integrations
+ * start) watches the config and starts or stops it.
+ */
+export async function PATCH(request: NextRequest) {
+  try {
+    const { id, enabled } = await request.json();
+
+    if (!id || typeof enabled !== 'boolean') {
+      return NextResponse.json(
+        { error: 'Integration id and enabled are required' },
+        { status: 400 }
+      );
+    }
+
+    try {
+      setIntegrationEnabled(id, enabled);
+    } catch (error: any) {
+      if (error.code === 'unknown_integration') {
+        return NextResponse.json(error.toJSON(), { status: 404 });
+      }
+      throw error;
+    }
+
+    return NextResponse.json(await listIntegrations());
+  } catch (error) {
+    console.error('Integration toggle error:', error);
+    return NextResponse.json({ error: 'Failed to update integration' }, { status: 500 });
+  }
+}
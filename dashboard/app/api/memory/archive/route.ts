@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { compactMemories, getCompactionLog, listArchive } from '@/lib/memory/compaction.js';
+
+export async function GET(request: NextRequest) {
+  try {
+    const month = request.nextUrl.searchParams.get('month');
+    return NextResponse.json({
+      runs: getCompactionLog(10),
+      archives: listArchive(month ?? undefined),
+    });
+  } catch (error) {
+    console.error('Memory archive fetch error:', error);
+    return NextResponse.json({ error: 'Failed to load memory archive' }, { status: 500 });
+  }
+}
+
+/**
+ * Run compaction now instead of waiting for the weekly job.
+ * { dryRun: true } lists what would be archived.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const { dryRun = false } = await request.json().catch(() => ({}));
+    const report = await compactMemories({ dryRun });
+    if (!report.success) {
+      return NextResponse.json({ error: report.error }, { status: 503 });
+    }
+    return NextResponse.json(report);
+  } catch (error) {
+    console.error('Memory compaction error:', error);
+    return NextResponse.json({ error: 'Failed to compact memories' }, { status: 500 });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { consolidateMemories, listConflicts, resolveConflict } from '@/lib/memory/consolidation.js';
+
+export async function GET(request: NextRequest) {
+  try {
+    const status = request.nextUrl.searchParams.get('status') || 'open';
+    return NextResponse.json(listConflicts(status));
+  } catch (error) {
+    console.error('Memory conflicts fetch error:', error);
+    return NextResponse.json({ error: 'Failed to load memory conflicts' }, { status: 500 });
+  }
+}
+
+/**
+ * Run consolidation now instead of waiting for the nightly job
+ */
+export async function POST() {
+  const report = await consolidateMemories();
+  if (!report.success) {
+    return NextResponse.json({ error: report.error }, { status: 503 });
+  }
+  return NextResponse.json(report);
+}
+
+/**
+ * Resolve a conflict: keep one fact (by id) or 'both'
+ */
+export async function PATCH(request: NextRequest) {
+  try {
+    const { id, keep } = await request.json();
+
+    if (!id || !keep) {
+      return NextResponse.json({ error: 'Conflict id and keep are required' }, { status: 400 });
+    }
+
+    const result = resolveConflict(id, keep);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+    return NextResponse.json(result.conflict);
+  } catch (error) {
+    console.error('Memory conflict resolve error:', error);
+    return NextResponse.json({ error: 'Failed to resolve memory conflict' }, { status: 500 });
+  }
+}
@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { getAllMemories, addMemory } from '@/lib/vectorMemory.js';
+import { getAllMemories, addMemory } from '@/lib/memory/sqlite-memory.js';
 import { getRecentDailyMemories } from '@/lib/memoryManager.js';
 
 export async function GET(request: NextRequest) {
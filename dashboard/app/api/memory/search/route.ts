@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { searchMemories } from '@/lib/vectorMemory.js';
+import { searchMemories } from '@/lib/memory/sqlite-memory.js';
 
 export async function GET(request: NextRequest) {
   try {
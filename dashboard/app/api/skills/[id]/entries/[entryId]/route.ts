@@ -0,0 +1,76 @@
+import { NextRequest, NextResponse } from 'next/server';
+
+// Shared with the other skill routes; see skills/route.ts
+async function getSkillManager() {
+  const SkillManagerModule = await import('../../../../../../../lib/skills/skill-manager.js');
+  const sm = await SkillManagerModule.getSkillManager();
+  await sm.reloadSkills();
+  return sm;
+}
+
+type Params = { params: Promise<{ id: string; entryId: string }> };
+
+export async function PATCH(request: NextRequest, { params }: Params) {
+  try {
+    const { id, entryId } = await params;
+    const changes = await request.json();
+    const sm = await getSkillManager();
+
+    if (!sm.skills.has(id)) {
+      return NextResponse.json({ error: 'Skill not found' }, { status: 404 });
+    }
+
+    const entry = await sm.updateEntry(id, entryId, changes, { source: 'dashboard' });
+    if (!entry) {
+      return NextResponse.json({ error: 'Entry not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true, entry });
+  } catch (error: any) {
+    if (error.name === 'SkillValidationError') {
+      return NextResponse.json(error.toJSON(), { status: 400 });
+    }
+    console.error('Entry update error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function DELETE(request: NextRequest, { params }: Params) {
+  try {
+    const { id, entryId } = await params;
+    const sm = await getSkillManager();
+
+    if (!sm.skills.has(id)) {
+      return NextResponse.json({ error: 'Skill not found' }, { status: 404 });
+    }
+
+    const entry = await sm.deleteEntry(id, entryId, { source: 'dashboard' });
+    if (!entry) {
+      return NextResponse.json({ error: 'Entry not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true, entry });
+  } catch (error: any) {
+    console.error('Entry delete error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// Restore a soft-deleted entry ("Undo" after a delete)
+export async function POST(request: NextRequest, { params }: Params) {
+  try {
+    const { id, entryId } = await params;
+    const sm = await getSkillManager();
+
+    if (!sm.skills.has(id)) {
+      return NextResponse.json({ error: 'Skill not found' }, { status: 404 });
+    }
+
+    const entry = await sm.restoreEntry(id, entryId, { source: 'dashboard' });
+    if (!entry) {
+      return NextResponse.json({ error: 'Entry not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true, entry });
+  } catch (error: any) {
+    console.error('Entry restore error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,21 +1,10 @@
 import { NextRequest, NextResponse } from 'next/server';
-import path from 'path';
-import os from 'os';
-
-const STATIC_REBEL_DIR = path.join(os.homedir(), '.static-rebel');
-
-let skillManagerInstance: any = null;
 
+// Shared with the other skill routes; see ../route.ts
 async function getSkillManager() {
-  if (skillManagerInstance) return skillManagerInstance;
-  
   const SkillManagerModule = await import('../../../../../lib/skills/skill-manager.js');
-  const sm = new SkillManagerModule.SkillManager({
-    skillsDir: path.join(STATIC_REBEL_DIR, 'skills'),
-    dataDir: path.join(STATIC_REBEL_DIR, 'data')
-  });
-  await sm.init();
-  skillManagerInstance = sm;
+  const sm = await SkillManagerModule.getSkillManager();
+  await sm.reloadSkills();
   return sm;
 }
 
@@ -61,9 +50,6 @@ export async function POST(
   try {
     const { id } = await params;
     const data = await request.json();
-    
-    // Clear cache
-    skillManagerInstance = null;
     const sm = await getSkillManager();
     
     if (!sm.skills.has(id)) {
@@ -91,6 +77,9 @@ export async function POST(
       goalProgress
     });
   } catch (error: any) {
+    if (error.name === 'SkillValidationError') {
+      return NextResponse.json(error.toJSON(), { status: 400 });
+    }
     console.error('Entry add error:', error);
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
@@ -104,16 +93,10 @@ export async function DELETE(
     const { id } = await params;
     const sm = await getSkillManager();
     
-    // Delete the skill file
-    const fs = await import('fs/promises');
-    const skillPath = path.join(STATIC_REBEL_DIR, 'skills', `${id}.md`);
-    const dataPath = path.join(STATIC_REBEL_DIR, 'data', `${id}.json`);
-    
-    try { await fs.unlink(skillPath); } catch {}
-    try { await fs.unlink(dataPath); } catch {}
-    
-    // Clear cache
-    skillManagerInstance = null;
+    // The skill file and its entries, from whichever storage engine holds them
+    if (!(await sm.deleteSkill(id, { deleteData: true }))) {
+      return NextResponse.json({ error: 'Skill not found' }, { status: 404 });
+    }
     
     return NextResponse.json({ success: true, deleted: id });
   } catch (error: any) {
@@ -1,22 +1,12 @@
 import { NextRequest, NextResponse } from 'next/server';
-import path from 'path';
-import os from 'os';
 
-const STATIC_REBEL_DIR = path.join(os.homedir(), '.static-rebel');
-
-let skillManager: any = null;
 let nlpParser: any = null;
 
+// Shared with the other skill routes; see ../route.ts
 async function getSkillManager() {
-  if (skillManager) return skillManager;
-  
   const SkillManagerModule = await import('../../../../../lib/skills/skill-manager.js');
-  const sm = new SkillManagerModule.SkillManager({
-    skillsDir: path.join(STATIC_REBEL_DIR, 'skills'),
-    dataDir: path.join(STATIC_REBEL_DIR, 'data')
-  });
-  await sm.init();
-  skillManager = sm;
+  const sm = await SkillManagerModule.getSkillManager();
+  await sm.reloadSkills();
   return sm;
 }
 
@@ -123,6 +113,13 @@ export async function POST(request: NextRequest) {
     });
 
   } catch (error: any) {
+    if (error.name === 'SkillValidationError') {
+      return NextResponse.json({
+        success: false,
+        message: error.message,
+        ...error.toJSON()
+      }, { status: 400 });
+    }
     console.error('Skills log error:', error);
     return NextResponse.json({ 
       success: false, 
@@ -131,9 +128,9 @@ export async function POST(request: NextRequest) {
   }
 }
 
-// Force reload skill manager
+// Force reload skills
 export async function DELETE() {
-  skillManager = null;
+  await getSkillManager();
   nlpParser = null;
   return NextResponse.json({ success: true, message: 'Cache cleared' });
 }
@@ -6,14 +6,12 @@ const STATIC_REBEL_DIR = path.join(os.homedir(), '.static-rebel');
 const SKILLS_DIR = path.join(STATIC_REBEL_DIR, 'skills');
 const DATA_DIR = path.join(STATIC_REBEL_DIR, 'data');
 
-// Always create fresh instance to pick up new skills
+// The process-wide manager (it holds the skills.db handle), with skill
+// files re-read so skills added from chat show up
 async function getSkillManager() {
   const SkillManagerModule = await import('../../../../lib/skills/skill-manager.js');
-  const sm = new SkillManagerModule.SkillManager({
-    skillsDir: SKILLS_DIR,
-    dataDir: DATA_DIR
-  });
-  await sm.init();
+  const sm = await SkillManagerModule.getSkillManager();
+  await sm.reloadSkills();
   return sm;
 }
 
@@ -27,9 +25,11 @@ export async function GET() {
     const skills = [];
     
     for (const [id, skill] of sm.skills) {
-      const allEntries = await sm.getEntries(id);
-      const todayEntries = allEntries.filter((e: any) => e.date === today);
-      const weekEntries = allEntries.filter((e: any) => e.date >= weekAgo);
+      // Range queries and counts, so large histories aren't loaded in full
+      const weekEntries = await sm.getEntries(id, { since: weekAgo });
+      const todayEntries = weekEntries.filter((e: any) => e.date === today);
+      const totalEntries = await sm.countEntries(id);
+      const activeDays = await sm.getAggregations(id, null, 'day');
       
       const getValue = (e: any) => {
         return parseFloat(e.value) || parseFloat(e.score) || parseFloat(e.duration) || parseFloat(e.distance) || 1;
@@ -39,7 +39,7 @@ export async function GET() {
       const weekSum = weekEntries.reduce((sum: number, e: any) => sum + getValue(e), 0);
       
       // Calculate streak
-      const streak = calculateStreak(allEntries);
+      const streak = calculateStreak(activeDays.map((day: any) => ({ date: day.period })));
       
       // Weekly chart data (last 7 days)
       const weeklyData = [];
@@ -49,7 +49,7 @@ export async function GET() {
         const d = new Date();
         d.setDate(d.getDate() - i);
         const dateStr = d.toISOString().split('T')[0];
-        const dayEntries = allEntries.filter((e: any) => e.date === dateStr);
+        const dayEntries = weekEntries.filter((e: any) => e.date === dateStr);
         const daySum = dayEntries.reduce((sum: number, e: any) => sum + getValue(e), 0);
         
         weeklyData.push({
@@ -68,14 +68,16 @@ export async function GET() {
         triggers: skill.triggers || [],
         dailyGoal: skill.dailyGoal,
         stats: {
-          totalEntries: allEntries.length,
+          totalEntries,
           todayCount: todayEntries.length,
           todaySum: Math.round(todaySum * 10) / 10,
           weekSum: Math.round(weekSum * 10) / 10
         },
         streak,
         weeklyData,
-        recentEntries: allEntries.slice(0, 5)
+        recentEntries: weekEntries.length >= 5
+          ? weekEntries.slice(0, 5)
+          : await sm.getEntries(id, { limit: 5 })
       });
     }
     
@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
 import os from 'os';
 import { getActivePersona, getAvailablePersonas } from '@/lib/personaManager.js';
-import { getMemoryStats } from '@/lib/vectorMemory.js';
+import { getMemoryStats } from '@/lib/memory/sqlite-memory.js';
 import { getWorkerStats } from '@/lib/workerManager.js';
 import { TrackerStore } from '@/tracker.js';
 
@@ -1,7 +1,7 @@
 import { NextRequest } from 'next/server';
 import os from 'os';
 import { getActivePersona } from '@/lib/personaManager.js';
-import { getMemoryStats } from '@/lib/vectorMemory.js';
+import { getMemoryStats } from '@/lib/memory/sqlite-memory.js';
 import { getWorkerStats } from '@/lib/workerManager.js';
 
 async function getStatus() {
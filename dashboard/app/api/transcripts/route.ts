@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { searchTranscripts } from '@/lib/transcripts/search.js';
+
+/**
+ * Search transcripts: ?q=<query>&mode=hybrid|keyword|semantic&limit=20
+ */
+export async function GET(request: NextRequest) {
+  const params = request.nextUrl.searchParams;
+  const query = params.get('q') || '';
+  if (!query.trim()) {
+    return NextResponse.json({ hits: [] });
+  }
+
+  const result = await searchTranscripts(query, {
+    mode: params.get('mode') || 'hybrid',
+    limit: parseInt(params.get('limit') || '20', 10),
+    context: parseInt(params.get('context') || '2', 10),
+  });
+  if (!result.success) {
+    return NextResponse.json({ error: result.error }, { status: 400 });
+  }
+  return NextResponse.json({ query: result.query, hits: result.hits });
+}
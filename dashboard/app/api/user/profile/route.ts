@@ -28,6 +28,7 @@ function getProfile() {
       tone: 'friendly',
       responseLength: 'medium',
       codeStyle: 'explained',
+      unitSystem: 'metric',
       notifications: true,
     },
   };
@@ -51,6 +52,7 @@ export async function GET() {
           tone: 'friendly',
           responseLength: 'medium',
           codeStyle: 'explained',
+          unitSystem: 'metric',
           notifications: true,
         },
       }
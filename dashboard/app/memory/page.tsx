@@ -1,7 +1,7 @@
 'use client';
 
 import { useEffect, useState } from 'react';
-import { Brain, Calendar, Search, Trash2 } from 'lucide-react';
+import { AlertTriangle, Archive, Brain, Calendar, GitMerge, Search, Trash2 } from 'lucide-react';
 import { clsx } from 'clsx';
 
 interface MemoryEntry {
@@ -12,16 +12,136 @@ interface MemoryEntry {
   score?: number;
 }
 
+interface ConflictFact {
+  id: string;
+  content?: string;
+  validFrom?: string;
+  validTo?: string | null;
+  missing?: boolean;
+}
+
+interface ArchivedItem {
+  id: string;
+  source: string;
+  type: string;
+  content: string;
+  createdAt: string;
+  archivedAt: string;
+  policy: string;
+  summaryId?: string;
+}
+
+interface ArchiveMonth {
+  month: string;
+  items: ArchivedItem[];
+}
+
+interface CompactionRun {
+  ranAt: string;
+  archived: number;
+  byType: Record<string, number>;
+}
+
+interface MemoryConflict {
+  id: string;
+  reason: string;
+  status: string;
+  keptId: string | null;
+  detectedAt: string;
+  memories: ConflictFact[];
+}
+
 export default function Memory() {
   const [memories, setMemories] = useState<MemoryEntry[]>([]);
   const [searchTerm, setSearchTerm] = useState('');
-  const [activeTab, setActiveTab] = useState<'daily' | 'vector'>('daily');
+  const [activeTab, setActiveTab] = useState<'daily' | 'vector' | 'conflicts' | 'archive'>('daily');
+  const [conflicts, setConflicts] = useState<MemoryConflict[]>([]);
+  const [archives, setArchives] = useState<ArchiveMonth[]>([]);
+  const [compactionRuns, setCompactionRuns] = useState<CompactionRun[]>([]);
+  const [compacting, setCompacting] = useState(false);
+  const [consolidating, setConsolidating] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    fetchMemories();
+    if (activeTab === 'conflicts') {
+      fetchConflicts();
+    } else if (activeTab === 'archive') {
+      fetchArchive();
+    } else {
+      fetchMemories();
+    }
   }, [activeTab]);
 
+  const fetchConflicts = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/memory/conflicts');
+      if (response.ok) {
+        const data = await response.json();
+        setConflicts(Array.isArray(data) ? data : []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch memory conflicts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchArchive = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/memory/archive');
+      if (response.ok) {
+        const data = await response.json();
+        setArchives(data.archives || []);
+        setCompactionRuns(data.runs || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch memory archive:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompact = async () => {
+    setCompacting(true);
+    try {
+      await fetch('/api/memory/archive', { method: 'POST' });
+      await fetchArchive();
+    } catch (error) {
+      console.error('Compaction failed:', error);
+    } finally {
+      setCompacting(false);
+    }
+  };
+
+  const handleConsolidate = async () => {
+    setConsolidating(true);
+    try {
+      await fetch('/api/memory/conflicts', { method: 'POST' });
+      await fetchConflicts();
+    } catch (error) {
+      console.error('Consolidation failed:', error);
+    } finally {
+      setConsolidating(false);
+    }
+  };
+
+  const handleResolve = async (id: string, keep: string) => {
+    try {
+      const response = await fetch('/api/memory/conflicts', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, keep }),
+      });
+      if (response.ok) {
+        setConflicts((prev) => prev.filter((c) => c.id !== id));
+      }
+    } catch (error) {
+      console.error('Resolve failed:', error);
+    }
+  };
+
   const fetchMemories = async () => {
     setLoading(true);
     try {
@@ -100,76 +220,232 @@ export default function Memory() {
           >
             Vector Memory
           </button>
+          <button
+            onClick={() => setActiveTab('conflicts')}
+            className={clsx(
+              'py-4 px-1 border-b-2 font-medium text-sm',
+              activeTab === 'conflicts'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            )}
+          >
+            Conflicts
+          </button>
+          <button
+            onClick={() => setActiveTab('archive')}
+            className={clsx(
+              'py-4 px-1 border-b-2 font-medium text-sm',
+              activeTab === 'archive'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            )}
+          >
+            Archive
+          </button>
         </nav>
       </div>
 
-      {/* Search */}
-      <div className="mb-6">
-        <div className="relative">
-          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-            <Search className="h-5 w-5 text-gray-400" />
+      {activeTab === 'conflicts' ? (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              Facts that contradict each other. The newer fact is used until you choose.
+            </p>
+            <button
+              onClick={handleConsolidate}
+              disabled={consolidating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <GitMerge className="h-4 w-4 mr-2" />
+              {consolidating ? 'Consolidating...' : 'Consolidate now'}
+            </button>
           </div>
-          <input
-            type="text"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
-            placeholder="Search memories..."
-            className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-          />
-        </div>
-      </div>
 
-      {/* Memory List */}
-      <div className="space-y-4">
-        {loading ? (
-          <div className="text-center py-12">
-            <div className="animate-spin h-8 w-8 border-4 border-primary-500 border-t-transparent rounded-full mx-auto" />
-            <p className="mt-4 text-sm text-gray-500">Loading memories...</p>
-          </div>
-        ) : memories.length > 0 ? (
-          memories.map((memory) => (
-            <div
-              key={memory.id}
-              className="bg-white shadow rounded-lg p-4 hover:shadow-md transition-shadow"
-            >
-              <div className="flex items-start justify-between">
-                <div className="flex items-start">
-                  <Brain className="h-5 w-5 text-primary-500 mr-3 mt-0.5" />
-                  <div>
-                    <div className="flex items-center text-sm text-gray-500">
-                      <Calendar className="h-4 w-4 mr-1" />
-                      {new Date(memory.date).toLocaleDateString()}
-                      {memory.score && (
-                        <span className="ml-2 text-xs bg-primary-100 text-primary-700 px-2 py-0.5 rounded">
-                          {(memory.score * 100).toFixed(0)}% match
-                        </span>
+          {loading ? (
+            <div className="text-center py-12">
+              <div className="animate-spin h-8 w-8 border-4 border-primary-500 border-t-transparent rounded-full mx-auto" />
+            </div>
+          ) : conflicts.length > 0 ? (
+            conflicts.map((conflict) => (
+              <div key={conflict.id} className="bg-white shadow rounded-lg p-4">
+                <div className="flex items-center text-sm text-gray-700 mb-3">
+                  <AlertTriangle className="h-4 w-4 text-yellow-500 mr-2" />
+                  {conflict.reason}
+                  <span className="ml-auto text-xs text-gray-400">
+                    {new Date(conflict.detectedAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <div className="space-y-2">
+                  {conflict.memories.map((fact) => (
+                    <div
+                      key={fact.id}
+                      className={clsx(
+                        'flex items-start justify-between rounded-md border p-3',
+                        fact.id === conflict.keptId ? 'border-primary-300 bg-primary-50' : 'border-gray-200'
+                      )}
+                    >
+                      <div>
+                        <p className="text-gray-900">{fact.missing ? 'Deleted fact' : fact.content}</p>
+                        {fact.validFrom && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            {new Date(fact.validFrom).toLocaleDateString()} →{' '}
+                            {fact.validTo ? new Date(fact.validTo).toLocaleDateString() : 'now'}
+                          </p>
+                        )}
+                      </div>
+                      {!fact.missing && (
+                        <button
+                          onClick={() => handleResolve(conflict.id, fact.id)}
+                          className="ml-4 text-sm text-primary-600 hover:text-primary-800 whitespace-nowrap"
+                        >
+                          Keep this
+                        </button>
                       )}
                     </div>
-                    <p className="mt-1 text-gray-900 whitespace-pre-wrap">
-                      {memory.content}
-                    </p>
-                  </div>
+                  ))}
                 </div>
                 <button
-                  onClick={() => handleDelete(memory.id)}
-                  className="text-gray-400 hover:text-red-500 transition-colors"
+                  onClick={() => handleResolve(conflict.id, 'both')}
+                  className="mt-3 text-sm text-gray-500 hover:text-gray-700"
                 >
-                  <Trash2 className="h-4 w-4" />
+                  Not a conflict - keep both
                 </button>
               </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <GitMerge className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No conflicts</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Your remembered facts are consistent
+              </p>
             </div>
-          ))
-        ) : (
-          <div className="text-center py-12">
-            <Brain className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No memories</h3>
-            <p className="mt-1 text-sm text-gray-500">
-              Start chatting to create memories
+          )}
+        </div>
+      ) : activeTab === 'archive' ? (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              {compactionRuns.length > 0
+                ? `Last compaction ${new Date(compactionRuns[0].ranAt).toLocaleString()}: ${compactionRuns[0].archived} archived`
+                : 'Stale memories are archived weekly, following each type\'s retention policy.'}
             </p>
+            <button
+              onClick={handleCompact}
+              disabled={compacting}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Archive className="h-4 w-4 mr-2" />
+              {compacting ? 'Compacting...' : 'Compact now'}
+            </button>
           </div>
-        )}
-      </div>
+
+          {loading ? (
+            <div className="text-center py-12">
+              <div className="animate-spin h-8 w-8 border-4 border-primary-500 border-t-transparent rounded-full mx-auto" />
+            </div>
+          ) : archives.length > 0 ? (
+            archives.map((archive) => (
+              <div key={archive.month} className="bg-white shadow rounded-lg p-4">
+                <h3 className="text-sm font-medium text-gray-900 mb-3">
+                  {archive.month} ({archive.items.length})
+                </h3>
+                <ul className="space-y-2">
+                  {archive.items.map((item) => (
+                    <li key={`${item.source}-${item.id}`} className="text-sm">
+                      <span className="text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded mr-2">
+                        {item.type} · {item.policy}
+                      </span>
+                      <span className="text-gray-900">{item.content}</span>
+                      <span className="ml-2 text-xs text-gray-400">
+                        archived {new Date(item.archivedAt).toLocaleDateString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-12">
+              <Archive className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing archived</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Every memory is within its retention policy
+              </p>
+            </div>
+          )}
+        </div>
+      ) : (
+        <>
+          {/* Search */}
+          <div className="mb-6">
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Search className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder="Search memories..."
+                className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+          </div>
+
+          {/* Memory List */}
+          <div className="space-y-4">
+            {loading ? (
+              <div className="text-center py-12">
+                <div className="animate-spin h-8 w-8 border-4 border-primary-500 border-t-transparent rounded-full mx-auto" />
+                <p className="mt-4 text-sm text-gray-500">Loading memories...</p>
+              </div>
+            ) : memories.length > 0 ? (
+              memories.map((memory) => (
+                <div
+                  key={memory.id}
+                  className="bg-white shadow rounded-lg p-4 hover:shadow-md transition-shadow"
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex items-start">
+                      <Brain className="h-5 w-5 text-primary-500 mr-3 mt-0.5" />
+                      <div>
+                        <div className="flex items-center text-sm text-gray-500">
+                          <Calendar className="h-4 w-4 mr-1" />
+                          {new Date(memory.date).toLocaleDateString()}
+                          {memory.score && (
+                            <span className="ml-2 text-xs bg-primary-100 text-primary-700 px-2 py-0.5 rounded">
+                              {(memory.score * 100).toFixed(0)}% match
+                            </span>
+                          )}
+                        </div>
+                        <p className="mt-1 text-gray-900 whitespace-pre-wrap">
+                          {memory.content}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleDelete(memory.id)}
+                      className="text-gray-400 hover:text-red-500 transition-colors"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="text-center py-12">
+                <Brain className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">No memories</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Start chatting to create memories
+                </p>
+              </div>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 }
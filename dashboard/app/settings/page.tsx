@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { User, Palette, Bell, Save, Check } from 'lucide-react';
+import { User, Palette, Bell, Plug, Save, Check } from 'lucide-react';
 import { clsx } from 'clsx';
 
 interface UserProfile {
@@ -10,10 +10,33 @@ interface UserProfile {
     tone: string;
     responseLength: string;
     codeStyle: string;
+    unitSystem: string;
     notifications: boolean;
   };
 }
 
+interface IntegrationInfo {
+  id: string;
+  label: string;
+  description: string;
+  enabled: boolean;
+  state: 'stopped' | 'starting' | 'running' | 'failed';
+  error: string | null;
+  health: { status: string } | null;
+}
+
+interface IntegrationList {
+  managerRunning: boolean;
+  integrations: IntegrationInfo[];
+}
+
+const stateStyles: Record<IntegrationInfo['state'], string> = {
+  running: 'bg-green-100 text-green-800',
+  starting: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  stopped: 'bg-gray-100 text-gray-600',
+};
+
 export default function Settings() {
   const [profile, setProfile] = useState<UserProfile>({
     name: '',
@@ -21,16 +44,47 @@ export default function Settings() {
       tone: 'friendly',
       responseLength: 'medium',
       codeStyle: 'explained',
+      unitSystem: 'metric',
       notifications: true,
     },
   });
   const [saved, setSaved] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [integrations, setIntegrations] = useState<IntegrationList | null>(null);
 
   useEffect(() => {
     fetchProfile();
+    fetchIntegrations();
   }, []);
 
+  const fetchIntegrations = async () => {
+    try {
+      const response = await fetch('/api/integrations');
+      if (response.ok) {
+        setIntegrations(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch integrations:', error);
+    }
+  };
+
+  // Toggles apply right away; a running integration manager follows them
+  const toggleIntegration = async (id: string, enabled: boolean) => {
+    try {
+      const response = await fetch('/api/integrations', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, enabled }),
+      });
+
+      if (response.ok) {
+        setIntegrations(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to update integration:', error);
+    }
+  };
+
   const fetchProfile = async () => {
     try {
       const response = await fetch('/api/user/profile');
@@ -203,6 +257,32 @@ export default function Settings() {
                   <option value="tutorial">Tutorial Style</option>
                 </select>
               </div>
+
+              <div className="sm:col-span-3">
+                <label
+                  htmlFor="unitSystem"
+                  className="block text-sm font-medium text-gray-700"
+                >
+                  Units
+                </label>
+                <select
+                  id="unitSystem"
+                  value={profile.preferences.unitSystem || 'metric'}
+                  onChange={(e) =>
+                    setProfile({
+                      ...profile,
+                      preferences: {
+                        ...profile.preferences,
+                        unitSystem: e.target.value,
+                      },
+                    })
+                  }
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="metric">Metric (ml, kg, km)</option>
+                  <option value="imperial">Imperial (fl oz, lb, mi)</option>
+                </select>
+              </div>
             </div>
           </div>
         </div>
@@ -241,6 +321,64 @@ export default function Settings() {
           </div>
         </div>
 
+        {/* Integrations Section */}
+        {integrations && (
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-4 py-5 sm:p-6">
+              <div className="flex items-center mb-1">
+                <Plug className="h-5 w-5 text-gray-400 mr-2" />
+                <h3 className="text-lg font-medium text-gray-900">Integrations</h3>
+              </div>
+              <p className="mb-4 text-sm text-gray-500">
+                {integrations.managerRunning
+                  ? 'Changes apply to the running integration manager within a few seconds.'
+                  : 'Changes apply the next time you run sr integrations start.'}
+              </p>
+
+              <ul className="divide-y divide-gray-200">
+                {integrations.integrations.map((integration) => (
+                  <li key={integration.id} className="flex items-start py-3">
+                    <input
+                      id={`integration-${integration.id}`}
+                      type="checkbox"
+                      checked={integration.enabled}
+                      onChange={(e) =>
+                        toggleIntegration(integration.id, e.target.checked)
+                      }
+                      className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <div className="ml-3 flex-1">
+                      <label
+                        htmlFor={`integration-${integration.id}`}
+                        className="block text-sm font-medium text-gray-900"
+                      >
+                        {integration.label}
+                      </label>
+                      <p className="text-sm text-gray-500">
+                        {integration.description}
+                      </p>
+                      {integration.error && (
+                        <p className="mt-1 text-xs text-red-600">
+                          {integration.error}
+                        </p>
+                      )}
+                    </div>
+                    <span
+                      className={clsx(
+                        'ml-3 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium',
+                        stateStyles[integration.state]
+                      )}
+                      title={integration.health ? `Health: ${integration.health.status}` : undefined}
+                    >
+                      {integration.state}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
         {/* Save Button */}
         <div className="flex justify-end">
           <button
@@ -1,7 +1,7 @@
 'use client';
 
 import { useEffect, useState } from 'react';
-import { Activity, Plus, Target, Flame, TrendingUp, RefreshCw, MessageSquare } from 'lucide-react';
+import { Activity, Plus, Target, Flame, TrendingUp, RefreshCw, MessageSquare, Pencil, Trash2 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Link from 'next/link';
 
@@ -29,6 +29,7 @@ export default function Skills() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [lastDeleted, setLastDeleted] = useState<{ skillId: string; entryId: string; label: string } | null>(null);
 
   useEffect(() => {
     fetchSkills();
@@ -55,6 +56,46 @@ export default function Skills() {
     }
   };
 
+  const entryUrl = (skillId: string, entryId: string) =>
+    `/api/skills/${encodeURIComponent(skillId)}/entries/${encodeURIComponent(entryId)}`;
+
+  const editEntry = async (skill: Skill, entry: any) => {
+    const input = window.prompt(`New amount for ${skill.name} (e.g. 500 or "2 cups")`, String(entry.value ?? ''));
+    if (input === null || input.trim() === '') return;
+
+    const changes = /^-?\d+(\.\d+)?$/.test(input.trim())
+      ? { value: parseFloat(input) }
+      : { quantity: input.trim() };
+    const response = await fetch(entryUrl(skill.id, entry.id), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.message || data.error);
+      return;
+    }
+    fetchSkills();
+  };
+
+  const deleteEntry = async (skill: Skill, entry: any) => {
+    const response = await fetch(entryUrl(skill.id, entry.id), { method: 'DELETE' });
+    if (!response.ok) {
+      setError((await response.json()).error);
+      return;
+    }
+    setLastDeleted({ skillId: skill.id, entryId: entry.id, label: `${skill.name} (${entry.value} ${entry.unit || skill.unit})` });
+    fetchSkills();
+  };
+
+  const restoreEntry = async () => {
+    if (!lastDeleted) return;
+    await fetch(entryUrl(lastDeleted.skillId, lastDeleted.entryId), { method: 'POST' });
+    setLastDeleted(null);
+    fetchSkills();
+  };
+
   const getProgressPercent = (skill: Skill) => {
     if (!skill.dailyGoal) return null;
     return Math.min(100, Math.round((skill.stats.todaySum / skill.dailyGoal) * 100));
@@ -111,6 +152,16 @@ export default function Skills() {
         </div>
       )}
 
+      {/* Undo Delete */}
+      {lastDeleted && (
+        <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-lg p-3 mb-6">
+          <p className="text-sm text-gray-700">Deleted entry from {lastDeleted.label}</p>
+          <button onClick={restoreEntry} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+            Undo
+          </button>
+        </div>
+      )}
+
       {/* Empty State */}
       {!error && skills.length === 0 && (
         <div className="text-center py-16 bg-gray-50 rounded-xl">
@@ -228,6 +279,28 @@ export default function Skills() {
                   </div>
                 </div>
 
+                {/* Recent Entries */}
+                {skill.recentEntries.length > 0 && (
+                  <ul className="px-5 pb-4 space-y-1">
+                    {skill.recentEntries.slice(0, 3).map((entry) => (
+                      <li key={entry.id} className="group flex items-center justify-between text-xs text-gray-600">
+                        <span>
+                          {entry.date} {entry.time} · {entry.value} {entry.unit || skill.unit}
+                          {entry.updatedAt && <span className="ml-1 text-gray-400">(edited)</span>}
+                        </span>
+                        <span className="flex gap-1 opacity-0 group-hover:opacity-100">
+                          <button onClick={() => editEntry(skill, entry)} title="Edit" className="p-1 hover:text-gray-900">
+                            <Pencil className="h-3 w-3" />
+                          </button>
+                          <button onClick={() => deleteEntry(skill, entry)} title="Delete" className="p-1 hover:text-red-600">
+                            <Trash2 className="h-3 w-3" />
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 {/* Footer */}
                 <div className="px-5 py-3 bg-gray-50 border-t border-gray-100">
                   <div className="flex justify-between text-xs text-gray-500">
@@ -0,0 +1,175 @@
+'use client';
+
+import { useState } from 'react';
+import { MessageSquare, Search } from 'lucide-react';
+import { clsx } from 'clsx';
+
+interface TranscriptLine {
+  line: number;
+  timestamp: string | null;
+  role: string | null;
+  type: string | null;
+  text: string;
+}
+
+interface TranscriptHit extends TranscriptLine {
+  id: number;
+  sessionId: string;
+  file: string;
+  score: number;
+  context: {
+    before: TranscriptLine[];
+    after: TranscriptLine[];
+  };
+}
+
+type SearchMode = 'hybrid' | 'keyword' | 'semantic';
+
+const MODES: { value: SearchMode; label: string }[] = [
+  { value: 'hybrid', label: 'Words + meaning' },
+  { value: 'keyword', label: 'Words' },
+  { value: 'semantic', label: 'Meaning' },
+];
+
+function TranscriptEntry({ entry, highlight }: { entry: TranscriptLine; highlight?: boolean }) {
+  return (
+    <div
+      className={clsx(
+        'flex items-start text-sm px-3 py-2 rounded',
+        highlight ? 'bg-primary-50 border-l-4 border-primary-500' : 'text-gray-500'
+      )}
+    >
+      <span className="w-20 flex-shrink-0 text-xs font-medium uppercase text-gray-400 mt-0.5">
+        {entry.role || entry.type}
+      </span>
+      <p className={clsx('whitespace-pre-wrap break-words', highlight && 'text-gray-900')}>{entry.text}</p>
+    </div>
+  );
+}
+
+export default function Transcripts() {
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState<SearchMode>('hybrid');
+  const [hits, setHits] = useState<TranscriptHit[]>([]);
+  const [searched, setSearched] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSearch = async (searchMode: SearchMode = mode) => {
+    if (!query.trim()) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/transcripts?q=${encodeURIComponent(query)}&mode=${searchMode}`);
+      const data = await response.json();
+      if (response.ok) {
+        setHits(data.hits || []);
+      } else {
+        setHits([]);
+        setError(data.error || 'Search failed');
+      }
+      setSearched(true);
+    } catch (err) {
+      console.error('Transcript search failed:', err);
+      setError('Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMode = (value: SearchMode) => {
+    setMode(value);
+    if (searched) handleSearch(value);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Transcripts</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Search past conversations, shown in context
+        </p>
+      </div>
+
+      {/* Search */}
+      <div className="mb-6 space-y-3">
+        <div className="relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <Search className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+            placeholder='What did we decide about the API port last week?'
+            className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <div className="flex space-x-2">
+            {MODES.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => handleMode(value)}
+                className={clsx(
+                  'px-3 py-1 rounded-full text-xs font-medium',
+                  mode === value ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                )}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400">
+            Filters: &quot;phrase&quot; session: role: type: after: before: has:action has:error
+          </p>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="space-y-4">
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin h-8 w-8 border-4 border-primary-500 border-t-transparent rounded-full mx-auto" />
+            <p className="mt-4 text-sm text-gray-500">Searching transcripts...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 text-red-700 text-sm rounded-lg p-4">{error}</div>
+        ) : hits.length > 0 ? (
+          hits.map((hit) => (
+            <div key={hit.id} className="bg-white shadow rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2 text-xs text-gray-500">
+                <span className="font-medium text-gray-700">{hit.sessionId}</span>
+                <span>
+                  {hit.timestamp && new Date(hit.timestamp).toLocaleString()}
+                  <span className="ml-2 bg-primary-100 text-primary-700 px-2 py-0.5 rounded">
+                    {(hit.score * 100).toFixed(0)}% match
+                  </span>
+                </span>
+              </div>
+              {hit.context.before.map((entry) => (
+                <TranscriptEntry key={entry.line} entry={entry} />
+              ))}
+              <TranscriptEntry entry={hit} highlight />
+              {hit.context.after.map((entry) => (
+                <TranscriptEntry key={entry.line} entry={entry} />
+              ))}
+            </div>
+          ))
+        ) : (
+          <div className="text-center py-12">
+            <MessageSquare className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              {searched ? 'No matching conversations' : 'Search your conversations'}
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {searched ? 'Try other words, or search by meaning' : 'Ask a question or type keywords'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
 import {
+  History,
   MessageSquare,
   LayoutDashboard,
   Settings,
@@ -16,6 +17,7 @@ import { clsx } from 'clsx';
 const navigation = [
   { name: 'Dashboard', href: '/', icon: LayoutDashboard },
   { name: 'Chat', href: '/chat', icon: MessageSquare },
+  { name: 'Transcripts', href: '/transcripts', icon: History },
   { name: 'Skills', href: '/skills', icon: Sparkles },
   { name: 'Settings', href: '/settings', icon: Settings },
 ];
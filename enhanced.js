@@ -29,7 +29,20 @@ import { emailCommand } from './lib/integrations/cli.js';
 import { gmailCommand } from './lib/integrations/gmail-cli.js';
 import { whatsappCommand } from './lib/integrations/whatsapp-cli.js';
 import { apiCommand } from './lib/api/cli.js';
+import { storageCommand } from './lib/skills/storage/cli.js';
+import { chainsCommand } from './lib/skills/chains-cli.js';
+import { packsCommand } from './lib/skills/packs-cli.js';
+import { promptsCommand } from './lib/prompts/cli.js';
+import { evalCommand } from './lib/intent/eval-cli.js';
+import { memoryCommand } from './lib/memory/cli.js';
+import { consolidateMemories, ensureConsolidationJob, CONSOLIDATION_JOB_TYPE } from './lib/memory/consolidation.js';
+import { compactMemories, ensureCompactionJob, COMPACTION_JOB_TYPE } from './lib/memory/compaction.js';
+import { transcriptsCommand } from './lib/transcripts/cli.js';
+import { updateTranscriptIndex, ensureTranscriptIndexJob, TRANSCRIPT_INDEX_JOB_TYPE } from './lib/transcripts/search.js';
 import { slackCommand } from './lib/integrations/slack.js';
+import { telegramCommand } from './lib/integrations/telegram.js';
+import { discordCommand } from './lib/integrations/discord.js';
+import { managerCommand, MANAGER_COMMANDS } from './lib/integrations/manager-cli.js';
 import { notionCommand } from './lib/integrations/notion-cli.js';
 import { webhookCommand } from './lib/integrations/webhooks-cli.js';
 import { integrationCommand } from './lib/integrations/dynamic/cli.js';
@@ -124,7 +137,7 @@ import {
   searchMemories,
   getMemoryStats as getVectorStats,
   rememberPreference,
-} from './lib/vectorMemory.js';
+} from './lib/memory/sqlite-memory.js';
 import {
   initWorkerSystem,
   createTask,
@@ -2076,7 +2089,7 @@ const CLI_COMMANDS = {
     description: 'Show memory statistics',
     execute: async () => {
       const { getMemoryStats } = await import('./lib/memoryManager.js');
-      const { getMemoryStats: getVectorStats } = await import('./lib/vectorMemory.js');
+      const { getMemoryStats: getVectorStats } = await import('./lib/memory/sqlite-memory.js');
       const memStats = getMemoryStats();
       const vectorStats = getVectorStats();
 
@@ -3187,6 +3200,30 @@ async function main() {
         return;
       }
     }
+
+    // Check for Discord command
+    if (args[0] === 'discord') {
+      try {
+        const result = await discordCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Discord error:', error.message);
+        return;
+      }
+    }
+
+    // Check for Telegram command
+    if (args[0] === 'telegram') {
+      try {
+        const result = await telegramCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Telegram error:', error.message);
+        return;
+      }
+    }
     
     // Check for webhook commands
     if (args[0] === 'webhook' || args[0] === 'webhooks') {
@@ -3203,7 +3240,10 @@ async function main() {
     // Check for integration commands
     if (args[0] === 'integration' || args[0] === 'integrations') {
       try {
-        const result = await integrationCommand(args.slice(1));
+        // Built-in integrations run by IntegrationManager, else custom ones
+        const result = MANAGER_COMMANDS.includes(args[1])
+          ? await managerCommand(args.slice(1))
+          : await integrationCommand(args.slice(1));
         if (result) {
           console.log(result);
         }
@@ -3261,6 +3301,90 @@ async function main() {
       }
     }
     
+    // Check for skill chain command
+    if (args[0] === 'chains') {
+      try {
+        const result = await chainsCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Chains error:', error.message);
+        return;
+      }
+    }
+
+    // Check for skill pack command
+    if (args[0] === 'packs') {
+      try {
+        const result = await packsCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Packs error:', error.message);
+        return;
+      }
+    }
+
+    // Check for prompt registry command
+    if (args[0] === 'prompts') {
+      try {
+        const result = await promptsCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Prompts error:', error.message);
+        return;
+      }
+    }
+
+    // Check for eval command
+    if (args[0] === 'eval') {
+      try {
+        const result = await evalCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Eval error:', error.message);
+        return;
+      }
+    }
+
+    // Check for memory command
+    if (args[0] === 'memory') {
+      try {
+        const result = await memoryCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Memory error:', error.message);
+        return;
+      }
+    }
+
+    // Check for transcripts command
+    if (args[0] === 'transcripts') {
+      try {
+        const result = await transcriptsCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Transcripts error:', error.message);
+        return;
+      }
+    }
+
+    // Check for skill storage command
+    if (args[0] === 'storage') {
+      try {
+        const result = await storageCommand(args.slice(1));
+        console.log(result);
+        return;
+      } catch (error) {
+        console.error('Storage error:', error.message);
+        return;
+      }
+    }
+    
     // Check for browser command
     if (args[0] === 'browser') {
       try {
@@ -3314,13 +3438,46 @@ async function main() {
   await initChatHandler();
 
   // Start background services
+  try {
+    ensureConsolidationJob();
+    ensureCompactionJob();
+  } catch (e) {
+    console.warn('[Memory] Could not schedule consolidation and compaction:', e.message);
+  }
+  try {
+    ensureTranscriptIndexJob();
+  } catch (e) {
+    console.warn('[Transcripts] Could not schedule indexing:', e.message);
+  }
+
   startScheduler(async (job) => {
-    console.log(`\n[Scheduled Task] ${job.name}\n`);
+    if (!job.internal) {
+      console.log(`\n[Scheduled Task] ${job.name}\n`);
+    }
     
     // Handle different job types
     if (job.data?.type === 'email') {
       const { executeEmailJob } = await import('./lib/integrations/email-cron.js');
       await executeEmailJob(job);
+    } else if (job.data?.type === CONSOLIDATION_JOB_TYPE) {
+      const report = await consolidateMemories();
+      if (report.success) {
+        writeDailyMemory(`[MEMORY] Consolidated ${report.checked} facts: ${report.duplicates.length} duplicates merged, ${report.conflicts.length} conflicts to review (sr memory conflicts)`);
+      } else {
+        console.error(`[Memory] Consolidation failed: ${report.error}`);
+      }
+    } else if (job.data?.type === COMPACTION_JOB_TYPE) {
+      const report = await compactMemories();
+      if (report.success) {
+        writeDailyMemory(`[MEMORY] Compaction archived ${report.archived.length} memories into ${report.summaries.length} monthly summaries (sr memory archive)`);
+      } else {
+        console.error(`[Memory] Compaction failed: ${report.error}`);
+      }
+    } else if (job.data?.type === TRANSCRIPT_INDEX_JOB_TYPE) {
+      const report = await updateTranscriptIndex();
+      if (!report.success) {
+        console.error(`[Transcripts] Indexing failed: ${report.error}`);
+      }
     } else {
       // Handle other job types here (existing functionality)
       console.log(`[Cron] Executed: ${job.name}`);
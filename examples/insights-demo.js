@@ -78,7 +78,13 @@ async function demo() {
   // Statistical correlation
   const correlation = await insights.correlateSkills('mood', 'score', 'exercise', 'duration');
   console.log(`\nStatistical correlation: ${correlation.correlation || 'N/A'}`);
-  console.log(`  ${correlation.interpretation} (n=${correlation.sampleSize})`);
+  console.log(`  ${correlation.interpretation} (n=${correlation.sampleSize}, p=${correlation.pValue ?? 'N/A'}, ${correlation.confidence} confidence)`);
+
+  // Does exercise today show up in tomorrow's mood? Rank-based, so it
+  // doesn't assume a straight-line relationship
+  const nextDay = await insights.correlateSkills('exercise', 'duration', 'mood', 'score', { lag: 1, method: 'spearman' });
+  console.log(`\nExercise today vs mood tomorrow: ${nextDay.correlation ?? 'N/A'}`);
+  console.log(`  ${nextDay.interpretation} (n=${nextDay.sampleSize})`);
 
   // ============== CONSISTENCY ==============
   console.log('\n═'.repeat(50));
@@ -99,7 +105,7 @@ async function demo() {
   if (waterAnomalies.anomalies.length > 0) {
     console.log('Unusual days:');
     for (const a of waterAnomalies.anomalies.slice(0, 3)) {
-      console.log(`  ${a.date}: ${a.value}ml (${a.direction})`);
+      console.log(`  ${a.date}: ${a.value}ml (${a.direction}, usual for ${a.baseline === 'all' ? 'any day' : a.baseline}: ${a.expected}ml)`);
     }
   } else {
     console.log('  No anomalies detected');
@@ -103,6 +103,8 @@ export class AgentLoop extends EventEmitter {
       enableReflection: options.enableReflection !== false,
       enableMemory: options.enableMemory !== false,
       dryRun: options.dryRun || false,
+      // Model reference for tool calling; null lets the LLMManager choose
+      model: options.model || null,
       ...options,
     };
 
@@ -111,6 +113,8 @@ export class AgentLoop extends EventEmitter {
     this.memory = options.memory || null;
     this.planner = options.planner || null;
     this.safetyGuard = options.safetyGuard || null;
+    // LLMManager used to pick tools through native tool calling
+    this.llm = options.llm || null;
 
     this.isRunning = false;
     this.shouldStop = false;
@@ -157,6 +161,20 @@ export class AgentLoop extends EventEmitter {
     this.emit('tool:registered', { name: tool.name });
   }
 
+  /**
+   * Registered tools as LLM tool definitions (see lib/llm/tools.js)
+   */
+  getToolDefinitions() {
+    return Array.from(this.tools.values()).map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      // A full JSON Schema passes through; a bare map of properties is wrapped
+      parameters: tool.inputSchema?.type || tool.inputSchema?.properties
+        ? tool.inputSchema
+        : { type: 'object', properties: tool.inputSchema || {} },
+    }));
+  }
+
   /**
    * Start the agent loop with a user input
    */
@@ -291,11 +309,12 @@ export class AgentLoop extends EventEmitter {
       timestamp: new Date(),
     };
 
-    // Retrieve relevant memories if memory system is available
+    // Retrieve relevant memories if memory system is available. They only
+    // go into the prompt, so they don't count as accessed.
     if (this.memory && this.config.enableMemory) {
       observation.relevantMemories = await this.memory.retrieveRelevant(
         userInput,
-        { limit: 5 },
+        { limit: 5, recordAccess: false },
       );
     }
 
@@ -341,6 +360,16 @@ export class AgentLoop extends EventEmitter {
       thought.plan = plan.description;
       thought.steps = plan.steps;
       thought.confidence = plan.confidence;
+    } else if (this.llm && this.tools.size > 0) {
+      try {
+        await this.thinkWithModel(observation, thought);
+      } catch (error) {
+        // Fall back to keyword tool matching when the model can't be reached
+        this.emit('think:failed', { error });
+        thought.reasoning = `Processing user input: ${observation.userInput}`;
+        thought.plan = 'Respond to user query';
+        thought.steps = ['analyze_input', 'formulate_response'];
+      }
     } else {
       // Simple default thinking
       thought.reasoning = `Processing user input: ${observation.userInput}`;
@@ -355,10 +384,48 @@ export class AgentLoop extends EventEmitter {
     return thought;
   }
 
+  /**
+   * Let the model choose tools with native tool calls. Each call becomes
+   * a step; a plain-text answer means no steps.
+   */
+  async thinkWithModel(observation, thought) {
+    const goal = this.state.currentGoal?.description || observation.userInput;
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an agent working toward this goal: ${goal}\nCall the tools needed for the next step, or answer directly if none are.`,
+      },
+      { role: 'user', content: observation.userInput },
+    ];
+
+    const response = await this.llm.chat(this.config.model, messages, {
+      tools: this.getToolDefinitions(),
+    });
+
+    thought.reasoning = response.content || '';
+    thought.response = response.content || '';
+    thought.steps = (response.toolCalls || []).map((call) => ({
+      description: `${call.name} ${JSON.stringify(call.arguments)}`,
+      tool: call.name,
+      params: call.arguments,
+      toolCallId: call.id,
+    }));
+    thought.plan = thought.steps.length
+      ? `Call ${thought.steps.map((step) => step.tool).join(', ')}`
+      : 'Respond to user query';
+    thought.confidence = thought.steps.length ? 0.8 : 0.5;
+  }
+
   /**
    * Determine which tools are needed based on thought and observation
    */
   determineTools(thought, observation) {
+    // Tools the model asked for directly
+    const called = thought.steps.filter((step) => step?.tool).map((step) => step.tool);
+    if (called.length > 0) {
+      return [...new Set(called)];
+    }
+
     const tools = [];
 
     // Simple heuristic-based tool selection
@@ -414,6 +481,7 @@ export class AgentLoop extends EventEmitter {
       }
 
       // Execute the action
+      this.state.actions.push(action);
       const result = await this.executeAction(action);
       results.push(result);
 
@@ -443,7 +511,9 @@ export class AgentLoop extends EventEmitter {
     };
 
     // Determine action type and parameters
-    const tool = this.inferToolFromStep(step);
+    const tool =
+      (typeof step === 'object' && step.tool && this.tools.get(step.tool)) ||
+      this.inferToolFromStep(step);
     if (tool) {
       action.type = tool.name;
       action.autonomyLevel = tool.autonomyLevel;
@@ -11,6 +11,8 @@
  * - Trend detection
  * - Skill correlations
  * - Best/worst days analysis
+ * - Goal forecasts (where this week's goals are projected to end up)
+ * - Amount totals in the user's unit system (metric/imperial)
  * - Multiple output formats (Terminal, Markdown, HTML, PDF)
  */
 
@@ -27,6 +29,15 @@ import {
   createDashboard,
   createMetricCards
 } from './terminalCharts.js';
+import {
+  getDimension,
+  canConvert,
+  convert,
+  roundQuantity,
+  formatQuantity,
+  getUnitSystem,
+  DEFAULT_UNITS
+} from '../skills/units.js';
 
 const DATA_DIR = path.join(process.cwd(), 'data');
 const GOALS_FILE = path.join(DATA_DIR, '_goals.json');
@@ -423,14 +434,18 @@ export async function generateDailyReport(date = new Date()) {
   const { start, end } = getDateRange('daily', date);
   const todayLogs = logs.filter(log => isDateInRange(log.timestamp, start, end));
   
+  const unitSystem = getUnitSystem();
+  
   return {
     type: 'daily',
+    unitSystem,
     date: formatDateRange(start, end, 'daily'),
     summary: {
       totalActivities: todayLogs.length,
       skillsEngaged: new Set(todayLogs.map(log => log.skill_id)).size,
       completionRates,
-      streaks
+      streaks,
+      quantities: calculateQuantityTotals(todayLogs, unitSystem)
     },
     details: {
       activities: todayLogs,
@@ -451,15 +466,21 @@ export async function generateWeeklyReport(date = new Date()) {
   const { start, end } = getDateRange('weekly', date);
   const weekLogs = logs.filter(log => isDateInRange(log.timestamp, start, end));
   
+  const unitSystem = getUnitSystem();
+  const forecasts = await calculateGoalForecasts(date, unitSystem);
+  
   return {
     type: 'weekly',
+    unitSystem,
     dateRange: formatDateRange(start, end, 'weekly'),
     summary: {
       totalActivities: weekLogs.length,
       skillsEngaged: new Set(weekLogs.map(log => log.skill_id)).size,
       completionRates,
       streaks,
-      trends
+      trends,
+      quantities: calculateQuantityTotals(weekLogs, unitSystem),
+      forecasts
     },
     insights: {
       correlations: correlations.slice(0, 5),
@@ -481,15 +502,19 @@ export async function generateMonthlyReport(date = new Date()) {
   const { start, end } = getDateRange('monthly', date);
   const monthLogs = logs.filter(log => isDateInRange(log.timestamp, start, end));
   
+  const unitSystem = getUnitSystem();
+  
   return {
     type: 'monthly',
+    unitSystem,
     dateRange: formatDateRange(start, end, 'monthly'),
     summary: {
       totalActivities: monthLogs.length,
       skillsEngaged: new Set(monthLogs.map(log => log.skill_id)).size,
       completionRates,
       streaks,
-      trends
+      trends,
+      quantities: calculateQuantityTotals(monthLogs, unitSystem)
     },
     insights: {
       correlations: correlations.slice(0, 10),
@@ -512,8 +537,11 @@ export async function generateYearlyReport(date = new Date()) {
   const { start, end } = getDateRange('yearly', date);
   const yearLogs = logs.filter(log => isDateInRange(log.timestamp, start, end));
   
+  const unitSystem = getUnitSystem();
+  
   return {
     type: 'yearly',
+    unitSystem,
     dateRange: formatDateRange(start, end, 'yearly'),
     summary: {
       totalActivities: yearLogs.length,
@@ -521,7 +549,8 @@ export async function generateYearlyReport(date = new Date()) {
       totalDaysActive: new Set(yearLogs.map(log => new Date(log.timestamp).toDateString())).size,
       completionRates,
       streaks,
-      trends
+      trends,
+      quantities: calculateQuantityTotals(yearLogs, unitSystem)
     },
     insights: {
       correlations,
@@ -537,6 +566,83 @@ export async function generateYearlyReport(date = new Date()) {
 // Helper Analysis Functions
 // ============================================================================
 
+/**
+ * Total logged amounts per skill. Convertible units ("glass", "ml", "l")
+ * are summed in their family's base unit and formatted for `unitSystem`.
+ */
+function calculateQuantityTotals(logs, unitSystem) {
+  const totals = {};
+
+  logs.forEach(log => {
+    const amount = Number(log.data?.amount ?? log.data?.value);
+    const unit = log.data?.unit;
+    if (!Number.isFinite(amount) || !unit) return;
+
+    const skill = log.skill_id;
+    if (!totals[skill]) {
+      const dimension = getDimension(unit);
+      totals[skill] = { total: 0, unit: dimension ? DEFAULT_UNITS[dimension] : unit, entries: 0 };
+    }
+
+    const entry = totals[skill];
+    if (unit === entry.unit) {
+      entry.total += amount;
+    } else if (canConvert(unit, entry.unit)) {
+      entry.total += convert(amount, unit, entry.unit);
+    } else {
+      return;
+    }
+    entry.entries++;
+  });
+
+  Object.values(totals).forEach(entry => {
+    entry.total = roundQuantity(entry.total);
+    entry.display = formatQuantity(entry.total, entry.unit, unitSystem, { scale: true });
+  });
+
+  return totals;
+}
+
+/**
+ * Projected end-of-period totals for every skill goal, as of `date`.
+ * Skill data lives with the SkillManager rather than in skill-logs.json,
+ * so it's loaded lazily and a failure just leaves the section out.
+ */
+async function calculateGoalForecasts(date, unitSystem) {
+  try {
+    const { getSkillManager } = await import('../skills/skill-manager.js');
+    const { GoalTracker } = await import('../skills/goals.js');
+    const { ForecastEngine } = await import('../skills/forecast.js');
+
+    const sm = await getSkillManager();
+    const goals = await new GoalTracker(sm.dataDir).init();
+    const forecaster = new ForecastEngine(sm, goals);
+
+    const forecasts = {};
+    for (const [skillId, skill] of sm.skills) {
+      if (skillId.startsWith('_')) continue;
+      const results = await forecaster.forecastGoals(skillId, { now: date });
+      if (results.length === 0) continue;
+
+      forecasts[skill.name || skillId] = results.map(f => ({
+        period: f.period,
+        goal: f.description,
+        actual: formatQuantity(f.actual, f.rule.unit, unitSystem),
+        projected: formatQuantity(f.projected, f.rule.unit, unitSystem),
+        range: `${formatQuantity(f.low, f.rule.unit, unitSystem)} - ${formatQuantity(f.high, f.rule.unit, unitSystem)}`,
+        probability: f.probability,
+        outlook: f.outlook,
+        reliable: f.reliable,
+        message: f.message
+      }));
+    }
+    return forecasts;
+  } catch (error) {
+    console.warn('Goal forecasts unavailable:', error.message);
+    return {};
+  }
+}
+
 function calculateHourlyDistribution(logs) {
   const hours = {};
   for (let i = 0; i < 24; i++) {
@@ -691,6 +797,61 @@ export function formatReportAsTerminal(report) {
     });
   }
   
+  // Amounts in the user's unit system
+  if (report.summary.quantities && Object.keys(report.summary.quantities).length > 0) {
+    let quantityContent = chalk.yellow.bold('📏 AMOUNTS\n\n');
+    
+    const quantityTableData = Object.entries(report.summary.quantities).map(([skill, quantity]) => ({
+      Skill: skill,
+      Total: chalk.cyan(quantity.display),
+      Entries: quantity.entries
+    }));
+    
+    quantityContent += createTable(quantityTableData, {
+      alignment: ['left', 'right', 'right'],
+      maxWidth: 60
+    });
+    
+    sections.push({
+      content: quantityContent
+    });
+  }
+  
+  // Goal forecasts
+  if (report.summary.forecasts && Object.keys(report.summary.forecasts).length > 0) {
+    let forecastContent = chalk.yellow.bold('🔮 GOAL FORECASTS\n\n');
+    
+    const forecastTableData = [];
+    Object.entries(report.summary.forecasts).forEach(([skill, forecasts]) => {
+      forecasts.forEach(forecast => {
+        const color = forecast.outlook === 'off-track' || forecast.outlook === 'exceeded' ? chalk.red :
+                     forecast.outlook === 'at-risk' ? chalk.yellow : chalk.green;
+        forecastTableData.push({
+          Skill: skill,
+          Goal: forecast.goal,
+          'So far': forecast.actual,
+          Projected: chalk.cyan(forecast.projected),
+          Chance: color(`${Math.round(forecast.probability * 100)}%`)
+        });
+      });
+    });
+    
+    forecastContent += createTable(forecastTableData, {
+      alignment: ['left', 'left', 'right', 'right', 'right'],
+      maxWidth: 80
+    });
+    
+    const warnings = Object.values(report.summary.forecasts).flat()
+      .filter(forecast => forecast.reliable && (forecast.outlook === 'off-track' || forecast.outlook === 'at-risk'));
+    if (warnings.length > 0) {
+      forecastContent += '\n' + warnings.map(forecast => `⚠️  ${forecast.message}`).join('\n') + '\n';
+    }
+    
+    sections.push({
+      content: forecastContent
+    });
+  }
+  
   // Streaks with sparklines
   if (Object.keys(report.summary.streaks).length > 0) {
     let streakContent = chalk.yellow.bold('🔥 STREAKS\n\n');
@@ -855,6 +1016,30 @@ export function formatReportAsMarkdown(report) {
     md += '\n';
   }
   
+  // Amounts
+  if (report.summary.quantities && Object.keys(report.summary.quantities).length > 0) {
+    md += '## 📏 Amounts\n\n';
+    md += '| Skill | Total | Entries |\n';
+    md += '|-------|-------|---------|\n';
+    Object.entries(report.summary.quantities).forEach(([skill, quantity]) => {
+      md += `| ${skill} | ${quantity.display} | ${quantity.entries} |\n`;
+    });
+    md += '\n';
+  }
+  
+  // Goal forecasts
+  if (report.summary.forecasts && Object.keys(report.summary.forecasts).length > 0) {
+    md += '## 🔮 Goal Forecasts\n\n';
+    md += '| Skill | Goal | So far | Projected | Chance |\n';
+    md += '|-------|------|--------|-----------|--------|\n';
+    Object.entries(report.summary.forecasts).forEach(([skill, forecasts]) => {
+      forecasts.forEach(forecast => {
+        md += `| ${skill} | ${forecast.goal} | ${forecast.actual} | ${forecast.projected} (${forecast.range}) | ${Math.round(forecast.probability * 100)}% |\n`;
+      });
+    });
+    md += '\n';
+  }
+  
   // Streaks
   if (Object.keys(report.summary.streaks).length > 0) {
     md += '## 🔥 Streaks\n\n';
@@ -963,6 +1148,44 @@ export function formatReportAsHTML(report) {
     html += '</tbody></table>';
   }
   
+  // Amounts
+  if (report.summary.quantities && Object.keys(report.summary.quantities).length > 0) {
+    html += '<h2>📏 Amounts</h2>';
+    html += '<table><thead><tr><th>Skill</th><th>Total</th><th>Entries</th></tr></thead><tbody>';
+    
+    Object.entries(report.summary.quantities).forEach(([skill, quantity]) => {
+      html += `<tr>
+        <td>${skill}</td>
+        <td>${quantity.display}</td>
+        <td>${quantity.entries}</td>
+      </tr>`;
+    });
+    
+    html += '</tbody></table>';
+  }
+  
+  // Goal forecasts
+  if (report.summary.forecasts && Object.keys(report.summary.forecasts).length > 0) {
+    html += '<h2>🔮 Goal Forecasts</h2>';
+    html += '<table><thead><tr><th>Skill</th><th>Goal</th><th>So far</th><th>Projected</th><th>Chance</th></tr></thead><tbody>';
+    
+    Object.entries(report.summary.forecasts).forEach(([skill, forecasts]) => {
+      forecasts.forEach(forecast => {
+        const className = forecast.outlook === 'off-track' || forecast.outlook === 'exceeded' ? 'trend-down' :
+                        forecast.outlook === 'at-risk' ? 'trend-stable' : 'trend-up';
+        html += `<tr>
+        <td>${skill}</td>
+        <td>${forecast.goal}</td>
+        <td>${forecast.actual}</td>
+        <td>${forecast.projected} <small>(${forecast.range})</small></td>
+        <td class="${className}">${Math.round(forecast.probability * 100)}%</td>
+      </tr>`;
+      });
+    });
+    
+    html += '</tbody></table>';
+  }
+  
   // Streaks
   if (Object.keys(report.summary.streaks).length > 0) {
     html += '<h2>🔥 Streaks</h2>';
@@ -17,6 +17,7 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import { TrackerStore, QueryEngine, parseRecordFromText } from '../../tracker.js';
 import { loadConfig } from '../configManager.js';
+import { getSkillManager } from '../skills/skill-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +29,7 @@ class StaticRebelAPIServer {
     this.config = null;
     this.trackerStore = null;
     this.queryEngine = null;
+    this.skillManager = null;
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -38,7 +40,7 @@ class StaticRebelAPIServer {
     // CORS configuration
     const corsOptions = {
       origin: process.env.SR_API_CORS_ORIGIN || '*',
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
       credentials: true
     };
@@ -111,6 +113,9 @@ class StaticRebelAPIServer {
       
       // Ensure tracker directory exists
       await this.trackerStore.ensureDir();
+
+      // Schema-aware skills (~/.static-rebel/skills/*.md)
+      this.skillManager = await getSkillManager();
       
       console.log('StaticRebel tracker initialized');
     } catch (error) {
@@ -138,6 +143,10 @@ class StaticRebelAPIServer {
     this.app.get('/api/skills', this.getSkills.bind(this));
     this.app.get('/api/skills/:id/entries', this.getSkillEntries.bind(this));
     this.app.post('/api/skills/:id/log', this.logSkillEntry.bind(this));
+    this.app.patch('/api/skills/:id/entries/:entryId', this.updateSkillEntry.bind(this));
+    this.app.delete('/api/skills/:id/entries/:entryId', this.deleteSkillEntry.bind(this));
+    this.app.post('/api/skills/:id/entries/:entryId/restore', this.restoreSkillEntry.bind(this));
+    this.app.get('/api/skills/:id/entries/:entryId/history', this.getSkillEntryHistory.bind(this));
 
     // Statistics endpoints  
     this.app.get('/api/stats', this.getStats.bind(this));
@@ -156,6 +165,10 @@ class StaticRebelAPIServer {
           'GET /api/skills',
           'GET /api/skills/:id/entries',  
           'POST /api/skills/:id/log',
+          'PATCH /api/skills/:id/entries/:entryId',
+          'DELETE /api/skills/:id/entries/:entryId',
+          'POST /api/skills/:id/entries/:entryId/restore',
+          'GET /api/skills/:id/entries/:entryId/history',
           'GET /api/stats',
           'GET /api/streaks',
           'POST /api/reminders'
@@ -290,6 +303,15 @@ class StaticRebelAPIServer {
         return res.status(503).json({ error: 'Tracker not initialized' });
       }
 
+      // { "undo": true } takes back the last entry instead of logging one
+      if (req.body?.undo === true) {
+        return await this.undoSkillEntry(req, res);
+      }
+
+      if (this.skillManager?.skills.has(id)) {
+        return await this.logSchemaSkillEntry(req, res);
+      }
+
       const tracker = await this.trackerStore.getTracker(id);
       if (!tracker) {
         return res.status(404).json({ error: 'Skill not found' });
@@ -321,6 +343,146 @@ class StaticRebelAPIServer {
     }
   }
 
+  /**
+   * Log to a markdown-defined skill, enforcing its Data Schema.
+   * Any body keys besides notes/timestamp are treated as entry fields.
+   */
+  async logSchemaSkillEntry(req, res) {
+    const { id } = req.params;
+    const { notes, timestamp, ...fields } = req.body || {};
+    const skill = this.skillManager.skills.get(id);
+
+    const entry = { ...fields, source: 'api' };
+    if (notes) entry.note = String(notes);
+    if (entry.value === undefined && !skill.schema?.typed) entry.value = 1;
+
+    if (timestamp) {
+      const when = new Date(timestamp);
+      if (isNaN(when.getTime())) {
+        return res.status(400).json({ error: 'Invalid timestamp', message: `Could not parse "${timestamp}"` });
+      }
+      entry.timestamp = when.getTime();
+      entry.date = when.toISOString().split('T')[0];
+      entry.time = when.toTimeString().slice(0, 5);
+    }
+
+    try {
+      const savedEntry = await this.skillManager.addEntry(id, entry);
+      return res.status(201).json({
+        success: true,
+        entry: savedEntry
+      });
+    } catch (error) {
+      if (error.name === 'SkillValidationError') {
+        return res.status(400).json(error.toJSON());
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete the most recent entry of a skill (POST .../log { undo: true })
+   */
+  async undoSkillEntry(req, res) {
+    const { id } = req.params;
+    let removed;
+
+    if (this.skillManager?.skills.has(id)) {
+      removed = (await this.skillManager.undoLastEntry({ skillId: id, source: 'api' }))?.entry;
+    } else if (await this.trackerStore.getTracker(id)) {
+      removed = await this.trackerStore.undoLastRecord(id, { source: 'api' });
+    } else {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Nothing to undo', message: `No entries logged for ${id}` });
+    }
+    res.json({ success: true, undone: removed });
+  }
+
+  /**
+   * Run an entry operation against a markdown skill or a legacy tracker.
+   * `op` receives ('skill' | 'tracker') and returns the entry or null.
+   */
+  async withEntry(req, res, op) {
+    const { id, entryId } = req.params;
+
+    if (!this.trackerStore) {
+      return res.status(503).json({ error: 'Tracker not initialized' });
+    }
+
+    let kind;
+    if (this.skillManager?.skills.has(id)) {
+      kind = 'skill';
+    } else if (await this.trackerStore.getTracker(id)) {
+      kind = 'tracker';
+    } else {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    try {
+      const entry = await op(kind, id, entryId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Entry not found', message: `No entry ${entryId} in ${id}` });
+      }
+      res.json({ success: true, entry });
+    } catch (error) {
+      if (error.name === 'SkillValidationError') {
+        return res.status(400).json(error.toJSON());
+      }
+      console.error('Error changing entry:', error);
+      res.status(500).json({ error: 'Failed to change entry' });
+    }
+  }
+
+  async updateSkillEntry(req, res) {
+    const changes = { ...(req.body || {}) };
+    if (changes.notes !== undefined) {
+      changes.note = String(changes.notes);
+      delete changes.notes;
+    }
+
+    return this.withEntry(req, res, (kind, id, entryId) => kind === 'skill'
+      ? this.skillManager.updateEntry(id, entryId, changes, { source: 'api' })
+      : this.trackerStore.updateRecord(id, entryId, req.body || {}, { source: 'api' }));
+  }
+
+  async deleteSkillEntry(req, res) {
+    return this.withEntry(req, res, (kind, id, entryId) => kind === 'skill'
+      ? this.skillManager.deleteEntry(id, entryId, { source: 'api' })
+      : this.trackerStore.deleteRecord(id, entryId, { source: 'api' }));
+  }
+
+  async restoreSkillEntry(req, res) {
+    return this.withEntry(req, res, (kind, id, entryId) => kind === 'skill'
+      ? this.skillManager.restoreEntry(id, entryId, { source: 'api' })
+      : this.trackerStore.restoreRecord(id, entryId, { source: 'api' }));
+  }
+
+  async getSkillEntryHistory(req, res) {
+    const { id, entryId } = req.params;
+
+    if (!this.trackerStore) {
+      return res.status(503).json({ error: 'Tracker not initialized' });
+    }
+
+    try {
+      let history;
+      if (this.skillManager?.skills.has(id)) {
+        history = await this.skillManager.getAuditTrail(id, entryId);
+      } else if (await this.trackerStore.getTracker(id)) {
+        history = await this.trackerStore.getRecordHistory(id, entryId);
+      } else {
+        return res.status(404).json({ error: 'Skill not found' });
+      }
+      res.json({ entryId, history });
+    } catch (error) {
+      console.error('Error fetching entry history:', error);
+      res.status(500).json({ error: 'Failed to fetch history' });
+    }
+  }
+
   async getStats(req, res) {
     try {
       if (!this.trackerStore || !this.queryEngine) {
@@ -329,7 +491,7 @@ class StaticRebelAPIServer {
 
       const trackers = await this.trackerStore.listTrackers();
       const now = Date.now();
-      const today = new Date(now).toDateString();
+      const startOfToday = new Date(now).setHours(0, 0, 0, 0);
       const thisWeek = now - (7 * 24 * 60 * 60 * 1000);
       const thisMonth = now - (30 * 24 * 60 * 60 * 1000);
 
@@ -343,37 +505,30 @@ class StaticRebelAPIServer {
         skillStats: []
       };
 
+      // Counted by the storage engine - no entries are loaded here
       for (const tracker of trackers) {
-        const entries = await this.trackerStore.getEntries(tracker.id);
-        
-        const todayEntries = entries.filter(r => 
-          new Date(r.timestamp).toDateString() === today
-        );
-        const weekEntries = entries.filter(r => 
-          new Date(r.timestamp).getTime() >= thisWeek
-        );
-        const monthEntries = entries.filter(r => 
-          new Date(r.timestamp).getTime() >= thisMonth
-        );
-
-        stats.totalEntries += entries.length;
-        stats.entriesToday += todayEntries.length;
-        stats.entriesThisWeek += weekEntries.length;
-        stats.entriesThisMonth += monthEntries.length;
-
-        if (entries.length > 0) {
+        const total = tracker.count;
+        const today = await this.skillManager.countEntries(tracker.id, { since: startOfToday });
+        const week = await this.skillManager.countEntries(tracker.id, { since: thisWeek });
+        const month = await this.skillManager.countEntries(tracker.id, { since: thisMonth });
+
+        stats.totalEntries += total;
+        stats.entriesToday += today;
+        stats.entriesThisWeek += week;
+        stats.entriesThisMonth += month;
+
+        if (total > 0) {
           stats.activeSkills++;
         }
 
         stats.skillStats.push({
           id: tracker.id,
           name: tracker.name || tracker.displayName,
-          totalEntries: entries.length,
-          entriesToday: todayEntries.length,
-          entriesThisWeek: weekEntries.length,
-          entriesThisMonth: monthEntries.length,
-          lastEntry: entries.length > 0 ? 
-            new Date(entries[entries.length - 1].timestamp).getTime() : null
+          totalEntries: total,
+          entriesToday: today,
+          entriesThisWeek: week,
+          entriesThisMonth: month,
+          lastEntry: tracker.lastEntry ? new Date(tracker.lastEntry).getTime() : null
         });
       }
 
@@ -591,6 +746,24 @@ class StaticRebelAPIServer {
               date: { type: 'string' }
             }
           },
+          ValidationError: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' },
+              message: { type: 'string' },
+              skillId: { type: 'string' },
+              details: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              }
+            }
+          },
           Error: {
             type: 'object',
             properties: {
@@ -706,7 +879,11 @@ class StaticRebelAPIServer {
                     properties: {
                       value: { type: 'number', default: 1 },
                       notes: { type: 'string' },
-                      timestamp: { type: 'string', format: 'date-time' }
+                      timestamp: { type: 'string', format: 'date-time' },
+                      undo: { type: 'boolean', description: 'Soft-delete the last entry instead of logging' }
+                    },
+                    additionalProperties: {
+                      description: 'Extra fields declared in the skill\'s Data Schema (e.g. sets, reps, weight)'
                     }
                   }
                 }
@@ -726,7 +903,80 @@ class StaticRebelAPIServer {
                     }
                   }
                 }
+              },
+              400: {
+                description: 'Entry does not match the skill\'s Data Schema',
+                content: {
+                  'application/json': {
+                    schema: { $ref: '#/components/schemas/ValidationError' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        '/api/skills/{id}/entries/{entryId}': {
+          patch: {
+            summary: 'Edit a logged entry (amounts are re-validated against the schema)',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+              { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: { type: 'object', additionalProperties: true }
+                }
               }
+            },
+            responses: {
+              200: { description: 'Updated entry' },
+              400: {
+                description: 'Changes do not match the skill\'s Data Schema',
+                content: {
+                  'application/json': {
+                    schema: { $ref: '#/components/schemas/ValidationError' }
+                  }
+                }
+              },
+              404: { description: 'Skill or entry not found' }
+            }
+          },
+          delete: {
+            summary: 'Soft-delete a logged entry',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+              { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            responses: {
+              200: { description: 'Deleted entry (restorable)' },
+              404: { description: 'Skill or entry not found' }
+            }
+          }
+        },
+        '/api/skills/{id}/entries/{entryId}/restore': {
+          post: {
+            summary: 'Restore a soft-deleted entry',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+              { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            responses: {
+              200: { description: 'Restored entry' },
+              404: { description: 'Skill or deleted entry not found' }
+            }
+          }
+        },
+        '/api/skills/{id}/entries/{entryId}/history': {
+          get: {
+            summary: 'Audit trail for an entry',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+              { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            responses: {
+              200: { description: 'Create/update/delete/restore records, oldest first' }
             }
           }
         },
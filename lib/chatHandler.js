@@ -31,7 +31,8 @@ import {
   curateMemory,
   getMemoryStats,
 } from './memoryManager.js';
-import { addMemory, searchMemories, getMemoryStats as getVectorStats, rememberPreference } from './vectorMemory.js';
+import { addMemory, searchMemories, getMemoryStats as getVectorStats, rememberPreference } from './memory/sqlite-memory.js';
+import { getMemoryService } from './memory/service.js';
 import { recordActivity } from './idleDetector.js';
 import {
   processSchedulingRequest,
@@ -1249,6 +1250,7 @@ async function handleQuestionIntent(parseResult, context) {
     type: 'question',
     content: applyPersonalityFilter(chatResponse?.content || "I'm not sure how to answer that."),
     confidence: parseResult.confidence,
+    prompt: chatResponse?.prompt,
     debug: parseResult.debug
   };
 }
@@ -1624,6 +1626,35 @@ export async function handleChat(input, options = {}) {
     console.log(`[ChatHandler] Processing from ${source}: "${input}" (intelligent=${useIntelligentRouter})`);
   }
 
+  // ============================================================================
+  // Log Corrections ("undo", "actually that was 500ml") - before anything
+  // else can mistake the amount for a new log
+  // ============================================================================
+  try {
+    const { parseCorrection, applyCorrection } = await import('./skills/corrections.js');
+    const { getSkillManager } = await import('./skills/skill-manager.js');
+    const skillManager = await getSkillManager();
+    const correction = parseCorrection(input, skillManager);
+
+    if (correction) {
+      const result = await applyCorrection(skillManager, correction, { source, input });
+      const message = result.success ? result.message : `⚠️ ${result.error}`;
+      return {
+        success: result.success,
+        content: message,
+        response: message,
+        type: `entry_${correction.type}`,
+        data: { skillId: result.skillId, entry: result.entry },
+        duration: Date.now() - startTime,
+        source
+      };
+    }
+  } catch (error) {
+    if (CONFIG.DEBUG) {
+      console.log(`[ChatHandler] Correction handling error: ${error.message}`);
+    }
+  }
+
   // ============================================================================
   // CRM Auto-Trigger (runs before everything else for proactive logging)
   // ============================================================================
@@ -1709,20 +1740,10 @@ export async function handleChat(input, options = {}) {
   // ============================================================================
   // Conversation Memory - Record usage and get context
   // ============================================================================
-  let memoryContext = '';
   if (CONFIG.USE_CONVERSATION_MEMORY) {
     try {
       // Record this interaction
       await recordUsage('chat', { topic: detectTopic(input) });
-
-      // Get memory context for LLM prompts
-      if (CONFIG.MEMORY_CONTEXT_IN_PROMPTS) {
-        memoryContext = await formatContextForPrompt({
-          maxSummaries: 3,
-          maxPeople: 5,
-          maxProjects: 3,
-        });
-      }
     } catch (error) {
       if (CONFIG.DEBUG) {
         console.log(`[ChatHandler] Memory error: ${error.message}`);
@@ -1730,6 +1751,24 @@ export async function handleChat(input, options = {}) {
     }
   }
 
+  // Memory context for LLM prompts: profile plus the facts most relevant to
+  // this message, from every memory store. Searching embeds the message, so
+  // it only runs once a reply actually goes to the model.
+  let pendingMemoryContext = null;
+  const loadMemoryContext = async () => {
+    if (!CONFIG.USE_CONVERSATION_MEMORY || !CONFIG.MEMORY_CONTEXT_IN_PROMPTS) return '';
+    pendingMemoryContext ??= getMemoryService().buildContext(input, {
+      limit: 5,
+      projectPath: context.projectPath || null,
+    }).catch(error => {
+      if (CONFIG.DEBUG) {
+        console.log(`[ChatHandler] Memory error: ${error.message}`);
+      }
+      return '';
+    });
+    return pendingMemoryContext;
+  };
+
   // ============================================================================
   // Dynamic Tool Discovery - LLM decides which tools to use
   // ============================================================================
@@ -1739,7 +1778,7 @@ export async function handleChat(input, options = {}) {
       discoveredTools = await discoverTools(input, {
         minConfidence: CONFIG.TOOL_DISCOVERY_CONFIDENCE,
         maxSuggestions: 5,
-        context: { memoryContext, source },
+        context: { source },
       });
 
       if (CONFIG.DEBUG && discoveredTools.length > 0) {
@@ -1774,7 +1813,7 @@ export async function handleChat(input, options = {}) {
   if (useIntelligentRouter) {
     try {
       const result = await routeSimply(input, {
-        context: { ...context, memoryContext, discoveredTools },
+        context: { ...context, loadMemoryContext, discoveredTools },
         source,
       });
 
@@ -2248,9 +2287,11 @@ async function fallbackToChat(input, actionContext, suggestedResponse = null) {
 
   // Otherwise do actual chat
   let chatContent = '';
+  let chatPrompt = null;
   try {
     const chatResponse = await sendMessage(input);
     chatContent = chatResponse?.content || '';
+    chatPrompt = chatResponse?.prompt || null;
   } catch (e) {
     console.error('[ChatHandler] Chat fallback failed:', e.message);
   }
@@ -2267,6 +2308,7 @@ async function fallbackToChat(input, actionContext, suggestedResponse = null) {
     type: 'chat',
     content: applyPersonalityFilter(chatContent),
     confidence: 1.0,
+    prompt: chatPrompt,
   };
 }
 
@@ -2608,14 +2650,42 @@ async function handleExistingSkillTracking(input, skill, parsed) {
     const logData = parseInput(input);
     
     if (logData.intent === 'log' && logData.entry) {
-      // Log to the existing skill
-      const logResult = await skillManager.addEntry(skill.id, {
-        value: logData.entry.value || 1,
-        note: logData.entry.note,
-        source: 'natural-language'
-      });
-      
-      return `✅ Logged to **${skill.name}**: ${logData.entry.value || 1}${skill.unit ? ' ' + skill.unit : ''}`;
+      // Multi-field skills (sets/reps/weight...) pick their fields out of the text
+      const { extractFieldsFromText } = await import('./skills/schema.js');
+      const fields = skill.schema ? extractFieldsFromText(skill.schema, input) : {};
+
+      // "2 cups", "16 oz" - hand over the unit as typed so it's converted on write.
+      // Typed skills get no default amount: it would land in their primary field.
+      const { parseQuantity, canConvert, formatQuantity } = await import('./skills/units.js');
+      const quantity = skill.unit ? parseQuantity(input, { targetUnit: skill.unit }) : null;
+      const amount = quantity && canConvert(quantity.unit, skill.unit)
+        ? { value: quantity.value, unit: quantity.unit, raw: quantity.raw }
+        : skill.schema?.typed ? {} : { value: logData.entry.value || 1 };
+
+      try {
+        const logResult = await skillManager.addEntry(skill.id, {
+          ...amount,
+          ...fields,
+          note: logData.entry.note,
+          source: 'natural-language'
+        });
+
+        const extras = Object.keys(fields)
+          .filter(f => f !== 'value' && f !== skill.schema?.primary)
+          .map(f => `${f}: ${logResult[f]}`);
+        if (logResult.original?.text) extras.unshift(logResult.original.text);
+
+        const logged = logResult.value !== undefined && logResult.value !== null
+          ? `: ${formatQuantity(logResult.value, skill.unit)}`
+          : '';
+        return `✅ Logged to **${skill.name}**${logged}` +
+          (extras.length ? ` (${extras.join(', ')})` : '');
+      } catch (error) {
+        if (error.name === 'SkillValidationError') {
+          return `⚠️ ${error.message}`;
+        }
+        throw error;
+      }
     }
     
     // Handle queries about existing skill
@@ -2626,7 +2696,8 @@ async function handleExistingSkillTracking(input, skill, parsed) {
         return `No entries logged today for **${skill.name}**.`;
       }
       
-      return `**${skill.name}** today: ${todayStats.sum}${skill.unit ? ' ' + skill.unit : ''} (${todayStats.count} entries)`;
+      const { formatQuantity } = await import('./skills/units.js');
+      return `**${skill.name}** today: ${formatQuantity(todayStats.sum, skill.unit)} (${todayStats.count} entries)`;
     }
     
     return `Found existing skill: **${skill.name}**. Try: "${skill.triggers?.[0] || skill.name.toLowerCase()} [amount]"`;
@@ -4057,6 +4128,10 @@ function buildActionContext(userContext = {}) {
         getMemoryStats: getVectorStats,
         rememberPreference,
       },
+      memoryService: {
+        remember: (content, options) => getMemoryService().remember(content, options),
+        recall: (query, options) => getMemoryService().recall(query, options),
+      },
       workerManager: {
         createTask,
         getAllTasks,
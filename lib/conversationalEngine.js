@@ -108,6 +108,8 @@ export async function processConversation(userInput, options = {}) {
       context: {
         topic: extractTopic(userInput),
         confidence: result.confidence,
+        // Prompt version behind the reply, so feedback can be credited to it
+        prompt: result.prompt || null,
       },
     });
   }
@@ -221,6 +223,7 @@ export function handleFeedback(interactionId, rating, comment = null) {
           userInput: interaction.user,
         }
       : null,
+    prompt: interaction?.context?.prompt || null,
   });
 
   return {
@@ -174,9 +174,11 @@ export function getCronJob(id) {
   return jobs.find(j => j.id === id) || null;
 }
 
-// List all cron jobs
-export function listCronJobs() {
-  return loadCronJobs();
+// List cron jobs. Internal jobs (housekeeping such as the transcript
+// index, marked `internal: true`) are left out unless asked for.
+export function listCronJobs({ includeInternal = false } = {}) {
+  const jobs = loadCronJobs();
+  return includeInternal ? jobs : jobs.filter(job => !job.internal);
 }
 
 // Enable/disable a cron job
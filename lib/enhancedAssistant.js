@@ -22,7 +22,8 @@ import { GoalPlanner } from './goalPlanner.js';
 import { ReflectionEngine } from './reflectionEngine.js';
 import { SafetyGuard } from './safetyGuard.js';
 import { PluginManager } from './pluginManager.js';
-import { createMemoryManager } from './memoryManager.js';
+import { getMemoryService } from './memory/service.js';
+import { getLLMManager } from './llm-migration.js';
 
 // ============================================================================
 // Enhanced Assistant Class
@@ -83,7 +84,7 @@ export class EnhancedAssistant extends EventEmitter {
 
     // Memory Manager (if enabled)
     if (this.options.enableMemory) {
-      this.memoryManager = createMemoryManager();
+      this.memoryManager = getMemoryService();
     }
 
     // Agent Loop
@@ -92,6 +93,10 @@ export class EnhancedAssistant extends EventEmitter {
       dryRun: this.options.dryRun,
       enableReflection: this.options.enableReflection,
       enableMemory: this.options.enableMemory,
+      memory: this.memoryManager || null,
+      // The model picks tools through native tool calling
+      llm: this.options.llm || getLLMManager(),
+      model: this.options.model || null,
       maxIterations: this.getMaxIterations(),
     });
 
@@ -119,6 +124,7 @@ export class EnhancedAssistant extends EventEmitter {
       this.agentLoop.registerTool({
         name: tool.name,
         description: tool.description,
+        inputSchema: this.toolRegistry.get(tool.name).inputSchema,
         handler: async (params) => {
           return this.toolRegistry.execute(tool.name, params, {
             dryRun: this.options.dryRun,
@@ -223,6 +229,9 @@ export class EnhancedAssistant extends EventEmitter {
         return await this.handleGoalMessage(message, options);
       }
 
+      // initLLM() may have finished after the assistant was created
+      this.agentLoop.llm = this.agentLoop.llm || getLLMManager();
+
       // Run the agent loop
       const result = await this.agentLoop.start(message, {
         goal: options.goal,
@@ -61,9 +61,13 @@ export const EventTypes = {
   
   // StaticRebel-specific events for webhooks
   ENTRY_LOGGED: 'entry.logged',
+  ENTRY_UPDATED: 'entry.updated',
+  ENTRY_DELETED: 'entry.deleted',
+  ENTRY_RESTORED: 'entry.restored',
   STREAK_MILESTONE: 'streak.milestone',
   GOAL_REACHED: 'goal.reached',
   NUDGE_SENT: 'nudge.sent',
+  CHAIN_NOTIFICATION: 'chain.notification',
 };
 
 // Default configuration
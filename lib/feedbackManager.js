@@ -36,6 +36,7 @@ export function initFeedbackManager() {
           negativeCount: 0,
           byCategory: {},
           byIntent: {},
+          byPrompt: {},
           trends: [],
         },
         null,
@@ -112,6 +113,19 @@ function updateAnalytics(entry) {
       ]++;
     }
 
+    // Track by prompt version ({ name, version } of the prompt behind the response)
+    if (entry.prompt?.name) {
+      const key = `${entry.prompt.name}@${entry.prompt.version}`;
+      analytics.byPrompt = analytics.byPrompt || {};
+      analytics.byPrompt[key] = analytics.byPrompt[key] || {
+        positive: 0,
+        negative: 0,
+      };
+      analytics.byPrompt[key][
+        entry.rating === '👍' ? 'positive' : 'negative'
+      ]++;
+    }
+
     // Add to trends (last 30 days)
     const today = new Date().toISOString().split('T')[0];
     const todayTrend = analytics.trends.find((t) => t.date === today);
@@ -150,6 +164,7 @@ export function getFeedbackAnalytics() {
       negativeCount: 0,
       byCategory: {},
       byIntent: {},
+      byPrompt: {},
       trends: [],
     };
   }
@@ -270,6 +285,7 @@ export function clearFeedbackData() {
           negativeCount: 0,
           byCategory: {},
           byIntent: {},
+          byPrompt: {},
           trends: [],
         },
         null,
@@ -294,6 +310,7 @@ export function getFeedbackStats() {
     total: analytics.totalFeedback,
     byCategory: analytics.byCategory,
     byIntent: analytics.byIntent,
+    byPrompt: analytics.byPrompt || {},
     trends: analytics.trends,
   };
 }
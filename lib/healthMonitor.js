@@ -279,6 +279,45 @@ export class HealthMonitor {
     this.lastCheck = null;
     this.checkInterval = null;
     this.listeners = [];
+    this.services = new Map();
+  }
+
+  /**
+   * Register an extra service check, reported under results.services[name]
+   * @param {string} name
+   * @param {Function} checkFn - async () => { status: HealthStatus, ...details }
+   */
+  registerService(name, checkFn) {
+    this.services.set(name, checkFn);
+    return () => this.unregisterService(name);
+  }
+
+  unregisterService(name) {
+    return this.services.delete(name);
+  }
+
+  /**
+   * Run a registered check, bounded by the configured timeout
+   */
+  async checkService(checkFn) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(
+        () => resolve({ status: HealthStatus.UNHEALTHY, error: 'Health check timed out' }),
+        this.config.timeoutMs
+      );
+    });
+
+    try {
+      return await Promise.race([
+        Promise.resolve().then(checkFn),
+        timeout,
+      ]);
+    } catch (error) {
+      return { status: HealthStatus.UNHEALTHY, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -303,6 +342,11 @@ export class HealthMonitor {
       );
     }
 
+    // Check registered services (integrations, ...)
+    for (const [name, checkFn] of this.services) {
+      results.services[name] = await this.checkService(checkFn);
+    }
+
     // Check system resources
     results.system.memory = checkMemory(this.config.memory);
     results.system.cpu = checkCpu();
@@ -0,0 +1,316 @@
+/**
+ * Built-in integration adapters
+ *
+ * Each adapter wraps a platform class behind the common Integration
+ * interface (./base.js). Platform modules are imported lazily so a
+ * disabled integration never loads its SDK.
+ *
+ * Adapters that detect credentials in the environment (Discord, Telegram,
+ * Slack) start automatically; the rest start once enabled with
+ * `sr integrations enable <id>` or from the dashboard settings page.
+ */
+
+import { Integration, IntegrationError } from './base.js';
+import { getConfig } from '../configManager.js';
+
+const GMAIL_POLL_MINUTES = 5;
+
+export class DiscordAdapter extends Integration {
+  static id = 'discord';
+  static label = 'Discord';
+  static description = 'Slash commands, logging and streak announcements in Discord';
+  static capabilities = { send: true, receive: true };
+
+  static detect() {
+    return !!(process.env.DISCORD_BOT_TOKEN && process.env.DISCORD_CLIENT_ID);
+  }
+
+  async createService() {
+    const { createDiscordIntegration } = await import('./discord.js');
+    return createDiscordIntegration(this.options);
+  }
+
+  async validateConfig() {
+    const errors = [];
+    if (!this.service.config.token) errors.push('DISCORD_BOT_TOKEN is not set');
+    if (!this.service.config.clientId) errors.push('DISCORD_CLIENT_ID is not set');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async connect() {
+    await this.service.start();
+    this.service.client.on('messageCreate', (message) => {
+      if (message.author.bot) return;
+      this.receive({ from: message.author.id, text: message.content, channelId: message.channelId });
+    });
+  }
+
+  async disconnect() {
+    await this.service.stop();
+  }
+
+  async check() {
+    if (!this.service.isReady) throw new Error('Discord client is not ready');
+    return { ping: this.service.client.ws.ping };
+  }
+
+  async deliver(message, options) {
+    return this.service.sendMessage(message, options);
+  }
+
+  async nudge(nudge) {
+    return this.service.sendNudge(nudge);
+  }
+}
+
+export class TelegramAdapter extends Integration {
+  static id = 'telegram';
+  static label = 'Telegram';
+  static description = 'Chat, voice notes, photos, nudges and daily summaries over Telegram';
+  static capabilities = { send: true, receive: true };
+
+  static detect() {
+    return !!(process.env.TELEGRAM_BOT_TOKEN ||
+      (getConfig('telegram.enabled', false) && getConfig('telegram.botToken')));
+  }
+
+  async createService() {
+    const { createTelegramIntegration } = await import('./telegram.js');
+    return createTelegramIntegration(this.options);
+  }
+
+  async validateConfig() {
+    const errors = [];
+    if (!this.service.bot && !this.service.config.token) errors.push('TELEGRAM_BOT_TOKEN is not set');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async connect() {
+    await this.service.start();
+    this.service.bot.on('message', (message) => {
+      if (!this.service.isAllowed(message.chat.id)) return;
+      this.receive({ from: String(message.chat.id), text: message.text || message.caption || '' });
+    });
+  }
+
+  async disconnect() {
+    await this.service.stop();
+  }
+
+  async check() {
+    const me = await this.service.bot.getMe();
+    return { username: me.username };
+  }
+
+  async deliver(message, options) {
+    return this.service.sendMessage(message, options);
+  }
+
+  async nudge(nudge) {
+    return this.service.sendNudge(nudge);
+  }
+}
+
+export class SlackAdapter extends Integration {
+  static id = 'slack';
+  static label = 'Slack';
+  static description = 'Slash commands, reminders and daily summaries in Slack (Socket Mode)';
+  static capabilities = { send: true, receive: true };
+
+  static detect() {
+    return !!(process.env.SLACK_BOT_TOKEN && process.env.SLACK_APP_TOKEN);
+  }
+
+  async createService() {
+    const { SlackIntegration } = await import('./slack.js');
+    return new SlackIntegration({
+      defaultChannel: getConfig('integrations.slack.channel') || undefined,
+      ...this.options
+    });
+  }
+
+  async validateConfig() {
+    const errors = [];
+    if (!this.service.botToken) errors.push('SLACK_BOT_TOKEN is not set');
+    if (!this.service.appToken) errors.push('SLACK_APP_TOKEN is not set');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async connect() {
+    if (!await this.service.init()) {
+      throw new Error('Could not connect to Slack');
+    }
+    this.service.socketClient.on('message', ({ event }) => {
+      if (event?.type !== 'message' || event.bot_id) return;
+      this.receive({ from: event.user, text: event.text || '', channel: event.channel });
+    });
+  }
+
+  async disconnect() {
+    await this.service.disconnect();
+  }
+
+  async check() {
+    const auth = await this.service.webClient.auth.test();
+    return { team: auth.team, user: auth.user };
+  }
+
+  async deliver(message, options) {
+    return this.service.webClient.chat.postMessage({
+      channel: options.channel || this.service.defaultChannel,
+      text: message
+    });
+  }
+}
+
+export class WhatsAppAdapter extends Integration {
+  static id = 'whatsapp';
+  static label = 'WhatsApp';
+  static description = 'Chat and nudges over WhatsApp Web (pairs with a QR code on first start)';
+  static capabilities = { send: true, receive: true };
+
+  async createService() {
+    const { WhatsAppIntegration } = await import('./whatsapp.js');
+    return new WhatsAppIntegration(this.options);
+  }
+
+  async connect() {
+    await this.service.start();
+    this.service.client.on('message', (message) => {
+      if (message.fromMe) return;
+      this.receive({ from: message.from, text: message.body });
+    });
+  }
+
+  /**
+   * Keep the paired session, so re-enabling doesn't need a new QR scan
+   */
+  async disconnect() {
+    await this.service.stop({ logout: false });
+  }
+
+  async check() {
+    if (!this.service.isReady) throw new Error('Waiting for WhatsApp to pair or reconnect');
+    return {};
+  }
+
+  async deliver(message, options) {
+    const to = options.to || getConfig('integrations.whatsapp.to');
+    if (!to) {
+      throw new IntegrationError('invalid_config', 'No WhatsApp recipient. Set integrations.whatsapp.to in config.');
+    }
+    return this.service.sendMessage(to, message);
+  }
+}
+
+export class GmailAdapter extends Integration {
+  static id = 'gmail';
+  static label = 'Gmail';
+  static description = 'Email notifications, and new unread mail as incoming messages';
+  static capabilities = { send: true, receive: true };
+
+  constructor(options = {}) {
+    super(options);
+    this.pollTimer = null;
+    this.seenIds = null;
+  }
+
+  async createService() {
+    const { GmailService } = await import('./gmail.js');
+    const gmail = new GmailService();
+    await gmail.loadConfig();
+    return gmail;
+  }
+
+  async validateConfig() {
+    const errors = [];
+    if (!this.service.isConfigured()) errors.push('Gmail is not set up. Run: sr gmail setup');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async connect() {
+    if (!await this.service.authenticate()) {
+      throw new Error('Gmail authentication failed');
+    }
+
+    const minutes = Number(getConfig('integrations.gmail.pollMinutes', GMAIL_POLL_MINUTES));
+    if (minutes > 0) {
+      await this.poll();
+      this.pollTimer = setInterval(() => {
+        this.poll().catch(error => console.error('Gmail poll failed:', error.message));
+      }, minutes * 60 * 1000);
+      this.pollTimer.unref?.();
+    }
+  }
+
+  /**
+   * Report unread mail that arrived since the last poll. The first poll
+   * only records what is already unread.
+   */
+  async poll() {
+    const messages = await this.service.getUnreadMessages();
+    const ids = new Set(messages.map(message => message.id));
+
+    if (this.seenIds) {
+      for (const message of messages) {
+        if (this.seenIds.has(message.id)) continue;
+        this.receive({ from: message.from, text: message.snippet || '', subject: message.subject });
+      }
+    }
+    this.seenIds = ids;
+  }
+
+  async disconnect() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.seenIds = null;
+  }
+
+  async check() {
+    const profile = await this.service.getProfile();
+    return { email: profile.emailAddress };
+  }
+
+  async deliver(message, options) {
+    const to = options.to || getConfig('integrations.gmail.to') ||
+      (await this.service.getProfile()).emailAddress;
+    return this.service.sendMessage(to, options.subject || 'StaticRebel', message);
+  }
+}
+
+export class NotionAdapter extends Integration {
+  static id = 'notion';
+  static label = 'Notion';
+  static description = 'Two-way tracker sync with Notion databases';
+  static capabilities = { send: false, receive: false };
+
+  async createService() {
+    const { default: NotionIntegration } = await import('./notion.js');
+    const notion = new NotionIntegration();
+    await notion.initialize();
+    return notion;
+  }
+
+  async validateConfig() {
+    const errors = [];
+    if (!this.service.isConfigured()) errors.push('Notion is not set up. Run: sr notion setup api-key <key>');
+    return { valid: errors.length === 0, errors };
+  }
+
+  async check() {
+    if (!await this.service.validateConnection()) throw new Error('Notion API is not reachable');
+    return { lastSync: this.service.getSyncStatus().lastSync };
+  }
+}
+
+/**
+ * Built-in adapters, in start order
+ */
+export const INTEGRATION_ADAPTERS = [
+  DiscordAdapter,
+  TelegramAdapter,
+  SlackAdapter,
+  WhatsAppAdapter,
+  GmailAdapter,
+  NotionAdapter
+];
@@ -0,0 +1,207 @@
+/**
+ * Common integration interface
+ *
+ * IntegrationManager drives every built-in integration through the same
+ * lifecycle: init() -> validateConfig() -> start() -> health() -> stop(),
+ * with send() for outgoing messages and 'message' events for incoming ones.
+ * Adapters in ./adapters.js implement the hooks on top of each platform's
+ * own class (DiscordIntegration, SlackIntegration, GmailService, ...).
+ */
+
+import { EventEmitter } from 'events';
+import { HealthStatus } from '../healthMonitor.js';
+
+export const IntegrationState = {
+  STOPPED: 'stopped',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  FAILED: 'failed'
+};
+
+/**
+ * Integration error with a machine-readable code:
+ * 'unknown_integration', 'invalid_config', 'not_running' or 'unsupported'
+ */
+export class IntegrationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IntegrationError';
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: 'Integration error', code: this.code, message: this.message };
+  }
+}
+
+export class Integration extends EventEmitter {
+  /** Registry id, e.g. 'slack' */
+  static id = null;
+  static label = null;
+  static description = '';
+  static capabilities = { send: false, receive: false };
+
+  /**
+   * Whether credentials are present (env or config) so the integration
+   * can start without being enabled explicitly
+   */
+  static detect() {
+    return false;
+  }
+
+  /**
+   * @param {object} [options] - Passed to the platform class
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.service = null;
+    this.state = IntegrationState.STOPPED;
+    this.error = null;
+    this.startedAt = null;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get capabilities() {
+    return this.constructor.capabilities;
+  }
+
+  // ============== HOOKS (override in adapters) ==============
+
+  /** Build the platform object */
+  async createService() {
+    throw new IntegrationError('unsupported', `${this.id} has no service`);
+  }
+
+  /** Check credentials/settings; may be async */
+  async validateConfig() {
+    return { valid: true, errors: [] };
+  }
+
+  /** Connect the service and subscribe to incoming messages */
+  async connect() {}
+
+  async disconnect() {}
+
+  /** Probe a running service; throw if it is unhealthy. Returns details. */
+  async check() {
+    return {};
+  }
+
+  /** Deliver an outgoing message */
+  async deliver(message, options) {
+    throw new IntegrationError('unsupported', `${this.id} can't send messages`);
+  }
+
+  // ============== LIFECYCLE ==============
+
+  /**
+   * Create the platform object. A stopped integration is re-created on
+   * its next start, so toggling never reuses a torn-down client.
+   */
+  async init() {
+    if (!this.service) {
+      this.service = await this.createService();
+    }
+    return this.service;
+  }
+
+  async start() {
+    if (this.state === IntegrationState.RUNNING) return this;
+
+    this.setState(IntegrationState.STARTING);
+    try {
+      await this.init();
+
+      const { valid, errors } = await this.validateConfig();
+      if (!valid) {
+        throw new IntegrationError('invalid_config', `${this.constructor.label}: ${errors.join('; ')}`);
+      }
+
+      await this.connect();
+      this.startedAt = new Date().toISOString();
+      this.setState(IntegrationState.RUNNING);
+      return this;
+    } catch (error) {
+      this.service = null;
+      this.setState(IntegrationState.FAILED, error);
+      throw error;
+    }
+  }
+
+  async stop() {
+    if (this.service && this.state === IntegrationState.RUNNING) {
+      await this.disconnect();
+    }
+    this.service = null;
+    this.startedAt = null;
+    this.setState(IntegrationState.STOPPED);
+  }
+
+  /**
+   * @returns {Promise<object>} { status: HealthStatus, state, error?, ...details }
+   */
+  async health() {
+    if (this.state !== IntegrationState.RUNNING) {
+      return {
+        status: this.state === IntegrationState.FAILED ? HealthStatus.UNHEALTHY : HealthStatus.UNKNOWN,
+        state: this.state,
+        error: this.error?.message || null
+      };
+    }
+
+    try {
+      const details = await this.check();
+      return { status: HealthStatus.HEALTHY, state: this.state, ...details };
+    } catch (error) {
+      return { status: HealthStatus.DEGRADED, state: this.state, error: error.message };
+    }
+  }
+
+  async send(message, options = {}) {
+    if (!this.capabilities.send) {
+      throw new IntegrationError('unsupported', `${this.constructor.label} can't send messages`);
+    }
+    if (this.state !== IntegrationState.RUNNING) {
+      throw new IntegrationError('not_running', `${this.constructor.label} is not running`);
+    }
+    return this.deliver(message, options);
+  }
+
+  /**
+   * Send a nudge ({ message, ...target }). Platforms with their own nudge
+   * format override this.
+   */
+  async nudge(nudge) {
+    return this.send(nudge.message, nudge);
+  }
+
+  /**
+   * Report an incoming message to listeners
+   */
+  receive({ from = null, text = '', ...extra }) {
+    this.emit('message', { integration: this.id, from, text, receivedAt: new Date().toISOString(), ...extra });
+  }
+
+  setState(state, error = null) {
+    this.state = state;
+    this.error = error;
+    this.emit('state', { integration: this.id, state, error: error?.message || null });
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      label: this.constructor.label,
+      state: this.state,
+      error: this.error?.message || null,
+      startedAt: this.startedAt,
+      capabilities: this.capabilities
+    };
+  }
+}
+
+export default Integration;
@@ -0,0 +1,146 @@
+/**
+ * Discord user mapping for StaticRebel
+ *
+ * Every Discord account that talks to the bot is mapped to a StaticRebel
+ * user. The bot owner (DISCORD_OWNER_ID) maps to the local user, whose
+ * entries carry no `user` field; everyone else gets `discord-<id>` unless
+ * linked to another user with `sr discord link`. Everyone else's entries are
+ * kept in their own skill data (DISCORD_GUEST_DATA_DIR), out of the owner's
+ * summaries, goals and nudges. The map also remembers
+ * which challenge participant each account is and the last streak seen
+ * per skill, for milestone announcements.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+export const LOCAL_USER = 'local-user';
+
+export const DISCORD_USERS_FILE = path.join(os.homedir(), '.static-rebel', 'discord', 'users.json');
+
+export const DISCORD_GUEST_DATA_DIR = path.join(os.homedir(), '.static-rebel', 'discord', 'skill-data');
+
+/**
+ * Whether a skill entry was logged by `user`. Entries without a `user`
+ * field belong to the local user.
+ */
+export function entryBelongsTo(entry, user) {
+  return (entry.user || LOCAL_USER) === user;
+}
+
+export class DiscordUserMap {
+  /**
+   * @param {object} [options] - { file, ownerId }
+   */
+  constructor(options = {}) {
+    this.file = options.file || DISCORD_USERS_FILE;
+    this.ownerId = options.ownerId || process.env.DISCORD_OWNER_ID || null;
+    this.data = null;
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+    } catch {
+      this.data = { users: {} };
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+    await fs.rename(tempPath, this.file);
+  }
+
+  /**
+   * Mapping for a Discord account, created on first sight
+   * @param {{ id: string, username?: string }|string} discordUser - user or Discord user ID
+   */
+  async resolve(discordUser) {
+    if (typeof discordUser !== 'object') discordUser = { id: discordUser };
+    const data = await this.load();
+    const id = String(discordUser.id);
+    let record = data.users[id];
+
+    if (!record) {
+      record = {
+        discordId: id,
+        user: id === String(this.ownerId) ? LOCAL_USER : `discord-${id}`,
+        name: discordUser.username || id,
+        linkedAt: new Date().toISOString(),
+        challenges: {},
+        streaks: {}
+      };
+      data.users[id] = record;
+      await this.save();
+    } else if (discordUser.username && record.name !== discordUser.username) {
+      record.name = discordUser.username;
+      await this.save();
+    }
+
+    return record;
+  }
+
+  /**
+   * Point a Discord account at a StaticRebel user. Challenge memberships
+   * and streaks belong to the old user, so they are dropped.
+   */
+  async link(discordId, user, name = null) {
+    const data = await this.load();
+    const id = String(discordId);
+    const previous = data.users[id];
+
+    data.users[id] = {
+      discordId: id,
+      user,
+      name: name || previous?.name || id,
+      linkedAt: new Date().toISOString(),
+      challenges: previous?.user === user ? previous.challenges : {},
+      streaks: previous?.user === user ? previous.streaks : {}
+    };
+    await this.save();
+    return data.users[id];
+  }
+
+  async unlink(discordId) {
+    const data = await this.load();
+    const id = String(discordId);
+    if (!data.users[id]) return false;
+    delete data.users[id];
+    await this.save();
+    return true;
+  }
+
+  async list() {
+    const data = await this.load();
+    return Object.values(data.users);
+  }
+
+  /**
+   * Discord accounts mapped to a StaticRebel user
+   */
+  async findByUser(user) {
+    return (await this.list()).filter(record => record.user === user);
+  }
+
+  async setParticipant(record, challengeId, participantId) {
+    record.challenges[challengeId] = participantId;
+    await this.save();
+  }
+
+  /**
+   * Remember the streak last announced for a skill, returning the previous one
+   */
+  async setStreak(record, skillId, streak) {
+    const previous = record.streaks[skillId] || { current: 0, longest: 0 };
+    record.streaks[skillId] = { current: streak.current, longest: streak.longest, period: streak.period || 'day' };
+    await this.save();
+    return previous;
+  }
+}
+
+export default DiscordUserMap;
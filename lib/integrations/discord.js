@@ -6,7 +6,14 @@
  * - Nudges and notifications
  * - Challenge leaderboards
  * - Streak announcements
+ * - Undo/fix for logged skill entries
  * - Webhook support
+ *
+ * Logs go to SkillManager, streaks come from GoalTracker and challenges
+ * from lib/social. Each Discord account is mapped to a StaticRebel user
+ * (see ./discord-users.js), and stats, streaks, leaderboards and undo only
+ * touch that user's entries. Only the owner's logs go into the owner's
+ * skill data; everyone else's go into a separate guest store.
  */
 
 import { 
@@ -20,16 +27,64 @@ import {
   WebhookClient,
   ActivityType
 } from 'discord.js';
-import fs from 'fs/promises';
 import path from 'path';
 import { writeFileSync, readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
+import { SkillManager, getSkillManager } from '../skills/skill-manager.js';
+import { parseCorrection, applyCorrection } from '../skills/corrections.js';
+import { GoalTracker, STREAK_MILESTONES } from '../skills/goals.js';
+import { parseQuantity, formatQuantity } from '../skills/units.js';
+import SocialManager from '../social/index.js';
+import { getEventBus, EventTypes } from '../eventBus.js';
+import { DiscordUserMap, DISCORD_GUEST_DATA_DIR, LOCAL_USER, entryBelongsTo } from './discord-users.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a /stats period (local midnight), or null for all time
+ */
+export function periodStart(period, now = new Date()) {
+  const days = { today: 0, week: 6, month: 29 }[period];
+  if (days === undefined) return null;
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  return start.getTime() - days * DAY_MS;
+}
+
+/**
+ * Amount in a log like "500ml water" or "pushups 20", defaulting to 1
+ */
+export function parseLogValue(text, targetUnit = null) {
+  const quantity = parseQuantity(text, { targetUnit });
+  if (quantity) {
+    return { value: quantity.value, unit: quantity.unit };
+  }
+  const number = text.match(/(\d+(?:\.\d+)?)/);
+  return { value: number ? parseFloat(number[1]) : 1 };
+}
+
+function formatStreak({ current, period = 'day' }) {
+  return `${current} ${period}${current === 1 ? '' : 's'}`;
+}
+
+function formatChallengeScore(challenge, score) {
+  switch (challenge.type) {
+    case 'streak':
+      return formatStreak({ current: score });
+    case 'goal':
+      return challenge.target ? `${Math.round(score)}%` : `${score}`;
+    default:
+      return `${score}`;
+  }
+}
+
 export class DiscordIntegration {
   constructor(options = {}) {
+    const { skillManager, guestSkillManager, goals, social, userMap, ...config } = options;
+
     this.config = {
       token: process.env.DISCORD_BOT_TOKEN,
       clientId: process.env.DISCORD_CLIENT_ID,
@@ -37,13 +92,21 @@ export class DiscordIntegration {
       webhookUrl: process.env.DISCORD_WEBHOOK_URL,
       prefix: process.env.DISCORD_PREFIX || 'sr!',
       defaultChannel: process.env.DISCORD_DEFAULT_CHANNEL,
-      ...options
+      ownerId: process.env.DISCORD_OWNER_ID,
+      ...config
     };
 
     this.client = null;
     this.webhook = null;
     this.isReady = false;
     this.commandMap = new Map();
+
+    // Data sources - injectable for tests
+    this.skillManager = skillManager || null;
+    this.guestSkillManager = guestSkillManager || null;
+    this.goals = goals || null;
+    this.social = social || new SocialManager();
+    this.userMap = userMap || new DiscordUserMap({ ownerId: this.config.ownerId });
     
     // Initialize webhooks if URL is provided
     if (this.config.webhookUrl) {
@@ -105,6 +168,8 @@ export class DiscordIntegration {
       await this.client.destroy();
       this.client = null;
     }
+    this.guestSkillManager?.close();
+    this.guestSkillManager = null;
     this.isReady = false;
     console.log('Discord integration stopped');
   }
@@ -168,19 +233,12 @@ export class DiscordIntegration {
         .setDescription('Log an activity or entry')
         .addStringOption(option =>
           option.setName('entry')
-            .setDescription('The log entry to record')
+            .setDescription('What to log, e.g. "500ml water" or "20 pushups"')
             .setRequired(true))
         .addStringOption(option =>
-          option.setName('category')
-            .setDescription('Category for the log entry')
-            .setRequired(false)
-            .addChoices(
-              { name: 'Work', value: 'work' },
-              { name: 'Exercise', value: 'exercise' },
-              { name: 'Learning', value: 'learning' },
-              { name: 'Personal', value: 'personal' },
-              { name: 'Health', value: 'health' }
-            )),
+          option.setName('skill')
+            .setDescription('Skill to log to (default: the one the entry mentions)')
+            .setRequired(false)),
 
       new SlashCommandBuilder()
         .setName('stats')
@@ -204,22 +262,16 @@ export class DiscordIntegration {
             .setName('leaderboard')
             .setDescription('View the challenge leaderboard')
             .addStringOption(option =>
-              option.setName('type')
-                .setDescription('Type of challenge')
-                .setRequired(false)
-                .addChoices(
-                  { name: 'All', value: 'all' },
-                  { name: 'Daily', value: 'daily' },
-                  { name: 'Weekly', value: 'weekly' },
-                  { name: 'Monthly', value: 'monthly' }
-                )))
+              option.setName('challenge')
+                .setDescription('Challenge ID or share code (default: your latest challenge)')
+                .setRequired(false)))
         .addSubcommand(subcommand =>
           subcommand
             .setName('join')
             .setDescription('Join a challenge')
             .addStringOption(option =>
               option.setName('challenge')
-                .setDescription('Challenge to join')
+                .setDescription('Challenge ID or share code')
                 .setRequired(true)))
         .addSubcommand(subcommand =>
           subcommand
@@ -236,14 +288,39 @@ export class DiscordIntegration {
             .addIntegerOption(option =>
               option.setName('duration')
                 .setDescription('Duration in days')
-                .setRequired(true))),
+                .setRequired(true))
+            .addStringOption(option =>
+              option.setName('skill')
+                .setDescription('Skill whose entries count towards the challenge')
+                .setRequired(true))
+            .addStringOption(option =>
+              option.setName('type')
+                .setDescription('How participants are scored')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Streak', value: 'streak' },
+                  { name: 'Goal', value: 'goal' },
+                  { name: 'Total', value: 'total' }
+                ))
+            .addNumberOption(option =>
+              option.setName('target')
+                .setDescription('Target amount for goal challenges')
+                .setRequired(false))),
 
       new SlashCommandBuilder()
         .setName('streak')
         .setDescription('View your current streak information')
         .addStringOption(option =>
-          option.setName('type')
-            .setDescription('Type of streak to check')
+          option.setName('skill')
+            .setDescription('Skill to check (default: your best streak)')
+            .setRequired(false)),
+
+      new SlashCommandBuilder()
+        .setName('undo')
+        .setDescription('Undo your last logged entry')
+        .addStringOption(option =>
+          option.setName('skill')
+            .setDescription('Only undo the last entry for this skill')
             .setRequired(false)),
 
       new SlashCommandBuilder()
@@ -323,6 +400,9 @@ export class DiscordIntegration {
       case 'nudge':
         await this.handleNudgeCommand(interaction);
         break;
+      case 'undo':
+        await this.handleUndoCommand(interaction);
+        break;
       default:
         await interaction.reply({ 
           content: 'Unknown command!', 
@@ -337,44 +417,18 @@ export class DiscordIntegration {
   async handleLogCommand(interaction) {
     await interaction.deferReply();
 
-    const entry = interaction.options.getString('entry');
-    const category = interaction.options.getString('category') || 'general';
-    const userId = interaction.user.id;
-    const username = interaction.user.username;
+    const text = interaction.options.getString('entry');
+    const skillName = interaction.options.getString('skill');
 
     try {
-      // Create log entry
-      const logEntry = {
-        id: Date.now().toString(),
-        userId,
-        username,
-        entry,
-        category,
-        timestamp: new Date().toISOString(),
-        source: 'discord',
-        channelId: interaction.channelId,
-        guildId: interaction.guildId
-      };
-
-      // Save to tracking system
-      await this.saveLogEntry(logEntry);
-
-      // Create success embed
-      const embed = new EmbedBuilder()
-        .setColor(0x00AE86)
-        .setTitle('✅ Log Entry Recorded')
-        .setDescription(entry)
-        .addFields(
-          { name: 'Category', value: category, inline: true },
-          { name: 'Time', value: new Date().toLocaleString(), inline: true }
-        )
-        .setFooter({ text: `Logged by ${username}` });
-
-      await interaction.editReply({ embeds: [embed] });
-
-      // Update streak if applicable
-      await this.updateStreak(userId, category);
+      const result = await this.logToSkill(interaction.user, text, { skill: skillName });
+      if (!result.success) {
+        await interaction.editReply({ content: `⚠️ ${result.error}` });
+        return;
+      }
 
+      await interaction.editReply({ embeds: [this.buildLogEmbed(result, interaction.user.username)] });
+      await this.announceMilestone(result, { userId: interaction.user.id, channelId: interaction.channelId });
     } catch (error) {
       console.error('Error saving log entry:', error);
       await interaction.editReply({ 
@@ -383,6 +437,70 @@ export class DiscordIntegration {
     }
   }
 
+  /**
+   * Embed confirming a logged entry
+   */
+  buildLogEmbed(result, username) {
+    const { skill, entry, todaySum, streak, challenges } = result;
+    let logged = formatQuantity(entry.value, skill.unit);
+    if (entry.original?.text) logged += ` (${entry.original.text})`;
+
+    let today = formatQuantity(todaySum, skill.unit);
+    if (skill.dailyGoal) {
+      today += ` (${Math.round((todaySum / skill.dailyGoal) * 100)}% of ${formatQuantity(skill.dailyGoal, skill.unit)})`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00AE86)
+      .setTitle(`✅ Logged to ${skill.icon || '📊'} ${skill.name}`)
+      .setDescription(logged)
+      .addFields(
+        { name: 'Today', value: today, inline: true },
+        { name: 'Streak', value: formatStreak(streak), inline: true }
+      )
+      .setFooter({ text: `Logged by ${username}` });
+
+    if (challenges.length > 0) {
+      embed.addFields({ name: 'Challenges', value: challenges.map(c => c.name).join('\n'), inline: false });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Handle /undo command
+   */
+  async handleUndoCommand(interaction) {
+    await interaction.deferReply();
+
+    const skill = interaction.options.getString('skill');
+    const reply = await this.applyCorrectionText(interaction.user, skill ? `undo my last ${skill}` : 'undo', 'discord');
+    await interaction.editReply({ content: reply || 'Nothing to undo.' });
+  }
+
+  /**
+   * Run a correction ("undo", "actually that was 500ml") against the
+   * Discord user's own skill entries. Returns the reply text, or null if
+   * `text` isn't one.
+   */
+  async applyCorrectionText(discordUser, text, source) {
+    try {
+      const correction = parseCorrection(text, await this.getSkillManager());
+      if (!correction) return null;
+
+      const record = await this.userMap.resolve(discordUser);
+      const entries = await this.getEntryManager(record.user);
+      const result = await applyCorrection(entries, correction, {
+        source,
+        filter: entry => entryBelongsTo(entry, record.user)
+      });
+      return result.success ? result.message : `⚠️ ${result.error}`;
+    } catch (error) {
+      console.error('Error applying correction:', error);
+      return '❌ Failed to update your entries. Please try again.';
+    }
+  }
+
   /**
    * Handle /stats command
    */
@@ -390,11 +508,10 @@ export class DiscordIntegration {
     await interaction.deferReply();
 
     const period = interaction.options.getString('period') || 'week';
-    const userId = interaction.user.id;
     const username = interaction.user.username;
 
     try {
-      const stats = await this.getUserStats(userId, period);
+      const stats = await this.getUserStats(interaction.user, period);
       
       const embed = new EmbedBuilder()
         .setColor(0x0099FF)
@@ -402,9 +519,9 @@ export class DiscordIntegration {
         .setDescription(`Stats for: ${this.formatPeriod(period)}`)
         .addFields(
           { name: 'Total Entries', value: stats.totalEntries.toString(), inline: true },
-          { name: 'Current Streak', value: `${stats.currentStreak} days`, inline: true },
-          { name: 'Longest Streak', value: `${stats.longestStreak} days`, inline: true },
-          { name: 'Categories', value: this.formatCategoryStats(stats.categories), inline: false }
+          { name: 'Current Streak', value: formatStreak({ current: stats.currentStreak }), inline: true },
+          { name: 'Longest Streak', value: formatStreak({ current: stats.longestStreak }), inline: true },
+          { name: 'Skills', value: this.formatSkillStats(stats.skills), inline: false }
         )
         .setTimestamp();
 
@@ -456,12 +573,23 @@ export class DiscordIntegration {
    * Handle challenge leaderboard
    */
   async handleChallengeLeaderboard(interaction) {
-    const type = interaction.options.getString('type') || 'all';
-    const leaderboard = await this.getChallengeLeaderboard(type);
+    const identifier = interaction.options.getString('challenge');
+    const result = await this.getChallengeLeaderboard(identifier, interaction.user);
+
+    if (!result) {
+      await interaction.editReply({
+        content: identifier
+          ? `No challenge matches \`${identifier}\`.`
+          : 'No active challenges yet! Start one with `/challenge create`.'
+      });
+      return;
+    }
 
+    const { challenge, leaderboard } = result;
     const embed = new EmbedBuilder()
       .setColor(0xFFD700)
-      .setTitle(`🏆 Challenge Leaderboard - ${type.toUpperCase()}`)
+      .setTitle(`🏆 ${challenge.name} Leaderboard`)
+      .setFooter({ text: `${challenge.trackerName} · ${challenge.type} · join with ${challenge.shareCode}` })
       .setTimestamp();
 
     if (leaderboard.length === 0) {
@@ -471,7 +599,7 @@ export class DiscordIntegration {
         .slice(0, 10) // Top 10
         .map((entry, index) => {
           const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-          return `${medal} **${entry.username}** - ${entry.score} points`;
+          return `${medal} **${entry.name}** - ${formatChallengeScore(challenge, entry.score)}`;
         })
         .join('\n');
 
@@ -487,23 +615,39 @@ export class DiscordIntegration {
   async handleStreakCommand(interaction) {
     await interaction.deferReply();
 
-    const userId = interaction.user.id;
     const username = interaction.user.username;
-    const streakType = interaction.options.getString('type');
+    const skillName = interaction.options.getString('skill');
 
     try {
-      const streakInfo = await this.getStreakInfo(userId, streakType);
+      const streakInfo = await this.getStreakInfo(interaction.user, skillName);
+      if (!streakInfo) {
+        await interaction.editReply({ content: `Unknown skill \`${skillName}\`.` });
+        return;
+      }
 
+      const title = streakInfo.skill
+        ? `🔥 ${username}'s ${streakInfo.skill.name} Streak`
+        : `🔥 ${username}'s Streak Information`;
       const embed = new EmbedBuilder()
         .setColor(0xFF6B35)
-        .setTitle(`🔥 ${username}'s Streak Information`)
+        .setTitle(title)
         .addFields(
-          { name: 'Current Streak', value: `${streakInfo.current} days`, inline: true },
-          { name: 'Longest Streak', value: `${streakInfo.longest} days`, inline: true },
+          { name: 'Current Streak', value: formatStreak(streakInfo), inline: true },
+          { name: 'Longest Streak', value: formatStreak({ ...streakInfo, current: streakInfo.longest }), inline: true },
           { name: 'Last Activity', value: streakInfo.lastActivity || 'None', inline: true }
         )
         .setTimestamp();
 
+      if (!skillName && streakInfo.streaks.length > 1) {
+        embed.addFields({
+          name: 'By Skill',
+          value: streakInfo.streaks
+            .map(s => `${s.skill.icon || '📊'} ${s.skill.name}: ${formatStreak(s)} (best ${s.longest})`)
+            .join('\n'),
+          inline: false
+        });
+      }
+
       if (streakInfo.milestones) {
         embed.addFields(
           { name: 'Milestones', value: streakInfo.milestones, inline: false }
@@ -551,6 +695,13 @@ export class DiscordIntegration {
       return;
     }
 
+    // "undo that", "actually it was 3 miles"
+    const correction = await this.applyCorrectionText(message.author, content, 'discord');
+    if (correction) {
+      await message.reply(correction);
+      return;
+    }
+
     // Auto-logging detection (optional feature)
     if (await this.shouldAutoLog(message)) {
       await this.handleAutoLog(message);
@@ -574,6 +725,15 @@ export class DiscordIntegration {
       case 'quick-log':
         await this.handleQuickLog(message, args);
         break;
+      case 'undo': {
+        const reply = await this.applyCorrectionText(
+          message.author,
+          args.length ? `undo my last ${args.join(' ')}` : 'undo',
+          'discord-prefix'
+        );
+        await message.reply(reply || 'Nothing to undo.');
+        break;
+      }
       default:
         await message.reply(`Unknown command: \`${command}\`. Use \`${this.config.prefix}help\` for available commands.`);
     }
@@ -595,6 +755,7 @@ export class DiscordIntegration {
             '`/stats` - View your statistics',
             '`/challenge` - Challenge commands',
             '`/streak` - View streak information',
+            '`/undo` - Undo your last logged entry',
             '`/nudge` - Manage nudge notifications'
           ].join('\n'),
           inline: false 
@@ -604,11 +765,17 @@ export class DiscordIntegration {
           value: [
             `\`${this.config.prefix}ping\` - Test bot connection`,
             `\`${this.config.prefix}help\` - Show this help message`,
-            `\`${this.config.prefix}quick-log\` - Quick log entry`
+            `\`${this.config.prefix}quick-log <entry> [--skill]\` - Quick log entry`,
+            `\`${this.config.prefix}undo [skill]\` - Undo your last logged entry`
           ].join('\n'),
           inline: false 
         }
       )
+      .addFields({
+        name: 'Corrections',
+        value: 'Say "undo that" or "actually that was 500ml" to fix your last log',
+        inline: false
+      })
       .setFooter({ text: 'StaticRebel AI Assistant' });
 
     await message.reply({ embeds: [embed] });
@@ -682,16 +849,16 @@ export class DiscordIntegration {
    * Send streak announcement
    */
   async sendStreakAnnouncement(streakData) {
-    const { userId, streak, milestone, category } = streakData;
+    const { userId, channelId, streak, milestone, category, period = 'day' } = streakData;
 
     let color = 0xFF6B35;
     let title = `🔥 Streak Update!`;
-    let description = `Congratulations! You've maintained your ${category} streak for ${streak} days!`;
+    let description = `Congratulations! You've maintained your ${category} streak for ${formatStreak({ current: streak, period })}!`;
 
     if (milestone) {
       color = 0xFFD700;
       title = `🎉 Milestone Achievement!`;
-      description = `Amazing! You've reached a ${streak}-day streak in ${category}! ${milestone.message}`;
+      description = `Amazing! You've reached a ${streak}-${period} streak in ${category}! ${milestone.message}`;
     }
 
     const embed = new EmbedBuilder()
@@ -701,10 +868,8 @@ export class DiscordIntegration {
       .setTimestamp();
 
     try {
-      await this.sendMessage(null, {
-        userId,
-        embed
-      });
+      // In the channel the log came from if there is one, else a DM
+      await this.sendMessage(null, channelId ? { channelId, embed } : { userId, embed });
     } catch (error) {
       console.error('Failed to send streak announcement:', error);
     }
@@ -735,76 +900,376 @@ export class DiscordIntegration {
   // Data Management Methods
   // ============================================================================
 
+  async getSkillManager() {
+    if (!this.skillManager) {
+      this.skillManager = await getSkillManager();
+    }
+    return this.skillManager;
+  }
+
+  async getGoalTracker() {
+    if (!this.goals) {
+      const skillManager = await this.getSkillManager();
+      this.goals = await new GoalTracker(skillManager.dataDir).init();
+    }
+    return this.goals;
+  }
+
+  /**
+   * Skill by ID or name, else the first skill the text mentions
+   */
+  findSkill(skillManager, text, skillName = null) {
+    if (skillName) {
+      const lower = skillName.toLowerCase();
+      return skillManager.skills.get(lower) ||
+        skillManager.getAllSkills().find(skill => skill.name.toLowerCase() === lower) ||
+        skillManager.findMatchingSkills(skillName)[0] ||
+        null;
+    }
+    return skillManager.findMatchingSkills(text)[0] || null;
+  }
+
+  /**
+   * SkillManager holding a user's entries: the owner's own, or the guest
+   * store shared by everyone else. Guests read the owner's skill files.
+   */
+  async getEntryManager(user) {
+    const skillManager = await this.getSkillManager();
+    if (user === LOCAL_USER) return skillManager;
+
+    if (!this.guestSkillManager) {
+      this.guestSkillManager = await new SkillManager({
+        skillsDir: skillManager.skillsDir,
+        dataDir: DISCORD_GUEST_DATA_DIR
+      }).init();
+    }
+    // Pick up skills the owner created since
+    if ([...skillManager.skills.keys()].some(id => !this.guestSkillManager.skills.has(id))) {
+      await this.guestSkillManager.reloadSkills();
+    }
+    return this.guestSkillManager;
+  }
+
   /**
-   * Save log entry to persistent storage
+   * A Discord user's entries for a skill, newest first
+   */
+  async getUserEntries(skillId, user, options = {}) {
+    const entries = await (await this.getEntryManager(user)).getEntries(skillId, options);
+    return entries.filter(entry => entryBelongsTo(entry, user));
+  }
+
+  /**
+   * Log free text ("500ml water") to a skill for a Discord user, then
+   * update their streak and the challenges tracking that skill.
+   * @returns {Promise<object>} { success, skill, entry, todaySum, streak, milestone, challenges }
+   *   or { success: false, error }
+   */
+  async logToSkill(discordUser, text, options = {}) {
+    const skillManager = await this.getSkillManager();
+    const skill = this.findSkill(skillManager, text, options.skill);
+
+    if (!skill) {
+      if (options.skill) {
+        return { success: false, error: `Unknown skill '${options.skill}'` };
+      }
+      const known = skillManager.getAllSkills().map(s => s.id).join(', ');
+      return {
+        success: false,
+        error: `Couldn't tell which skill "${text}" is for. Name one with the skill option${known ? ` (${known})` : ''}.`
+      };
+    }
+
+    const record = await this.userMap.resolve(discordUser);
+    const store = await this.getEntryManager(record.user);
+    let entry;
+    try {
+      entry = await store.addEntry(skill.id, {
+        ...parseLogValue(text, skillManager.getStorageUnit(skill.id)),
+        raw: text,
+        source: options.source || 'discord',
+        // Entries without a user belong to the local user
+        ...(record.user !== LOCAL_USER ? { user: record.user } : {})
+      });
+    } catch (error) {
+      if (error.name === 'SkillValidationError') {
+        return { success: false, error: error.message };
+      }
+      throw error;
+    }
+
+    getEventBus().emit(EventTypes.ENTRY_LOGGED, { skillId: skill.id, entry, source: 'discord', user: record.user });
+
+    const entries = await this.getUserEntries(skill.id, record.user);
+    const todaySum = entries
+      .filter(e => e.date === entry.date)
+      .reduce((sum, e) => sum + (Number(e.value) || 0), 0);
+    const { streak, milestone } = await this.updateUserStreak(record, skill, entries);
+    const challenges = await this.recordChallengeProgress(record, skill.id, entry, text);
+
+    return { success: true, user: record.user, skill, entry, todaySum, streak, milestone, challenges };
+  }
+
+  /**
+   * Log an activity handed over by IntegrationManager.logActivity
    */
   async saveLogEntry(logEntry) {
-    const dataDir = path.join(process.cwd(), 'data', 'discord');
-    const filePath = path.join(dataDir, 'entries.jsonl');
-    
-    // Ensure directory exists
-    await fs.mkdir(dataDir, { recursive: true });
-    
-    // Append to JSONL file
-    const line = JSON.stringify(logEntry) + '\n';
-    await fs.appendFile(filePath, line);
-    
-    console.log(`Log entry saved: ${logEntry.id}`);
+    const result = await this.logToSkill(
+      { id: logEntry.userId, username: logEntry.username },
+      logEntry.entry,
+      { skill: logEntry.skill, source: logEntry.source }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Recompute a user's streak after a log. The local user's streak is the
+   * GoalTracker's own (which also awards achievements); other users' last
+   * streak is kept in the user map.
+   * @returns {Promise<{ streak: object, milestone: number|null }>}
+   */
+  async updateUserStreak(record, skill, entries) {
+    const goals = await this.getGoalTracker();
+
+    if (record.user === LOCAL_USER) {
+      const { streak, newMilestone } = await goals.updateStreak(skill.id, entries, skill);
+      return { streak, milestone: newMilestone };
+    }
+
+    const streak = goals.getStreak(skill.id, entries, skill);
+    const stored = await this.userMap.setStreak(record, skill.id, streak);
+    // A streak measured in another period (goal changed) starts from scratch
+    const previous = stored.period === (streak.period || 'day') ? stored : { current: 0 };
+    const milestone = [...STREAK_MILESTONES].reverse()
+      .find(m => streak.current >= m && previous.current < m) || null;
+
+    return { streak, milestone };
   }
 
   /**
-   * Get user statistics
+   * Add a logged entry to every active challenge the user is in that
+   * tracks this skill
+   * @returns {Promise<Array>} Updated challenges
    */
-  async getUserStats(userId, period = 'week') {
-    // This is a placeholder implementation
-    // In a real implementation, you'd query your database
+  async recordChallengeProgress(record, skillId, entry, note) {
+    const updated = [];
+
+    for (const challenge of await this.social.getActiveChallenges()) {
+      const participantId = record.challenges[challenge.id];
+      if (challenge.trackerId !== skillId || !participantId) continue;
+      if (!challenge.participants.some(p => p.id === participantId)) continue;
+
+      updated.push(await this.social.updateChallengeProgress(challenge.id, participantId, {
+        value: entry.value,
+        note
+      }));
+    }
+
+    return updated;
+  }
+
+  /**
+   * Post a streak milestone reached by a log
+   */
+  async announceMilestone(result, target) {
+    if (!result.milestone) return;
+
+    const { skill, streak, milestone, user } = result;
+    const period = streak.period || 'day';
+    getEventBus().emit(EventTypes.STREAK_MILESTONE, {
+      skillId: skill.id,
+      user,
+      milestone,
+      streak: streak.current,
+      source: 'discord'
+    });
+
+    await this.sendStreakAnnouncement({
+      ...target,
+      streak: streak.current,
+      period,
+      category: skill.name,
+      milestone: { days: milestone, message: `Best so far: ${formatStreak({ current: streak.longest, period })}.` }
+    });
+  }
+
+  /**
+   * Get user statistics from their logged entries
+   * @param {object|string} discordUser - Discord user or user ID
+   * @param {string} period - today, week, month or all
+   */
+  async getUserStats(discordUser, period = 'week') {
+    const skillManager = await this.getSkillManager();
+    const goals = await this.getGoalTracker();
+    const record = await this.userMap.resolve(discordUser);
+    const since = periodStart(period);
+    const weekStart = periodStart('week');
+
     const stats = {
-      totalEntries: 42,
-      currentStreak: 7,
-      longestStreak: 21,
-      categories: {
-        work: 15,
-        exercise: 12,
-        learning: 8,
-        personal: 7
-      },
-      weeklyProgress: '▓▓▓▓▓▓░ 6/7 days'
+      user: record.user,
+      totalEntries: 0,
+      currentStreak: 0,
+      longestStreak: 0,
+      skills: [],
+      weeklyProgress: null
     };
+    const activeDays = new Set();
+
+    for (const skill of skillManager.getAllSkills()) {
+      const entries = await this.getUserEntries(skill.id, record.user);
+      if (entries.length === 0) continue;
+
+      const streak = goals.getStreak(skill.id, entries, skill);
+      stats.currentStreak = Math.max(stats.currentStreak, streak.current);
+      stats.longestStreak = Math.max(stats.longestStreak, streak.longest);
+
+      entries.filter(e => e.timestamp >= weekStart).forEach(e => activeDays.add(e.date));
+
+      const inPeriod = since === null ? entries : entries.filter(e => e.timestamp >= since);
+      if (inPeriod.length === 0) continue;
+
+      stats.totalEntries += inPeriod.length;
+      stats.skills.push({
+        id: skill.id,
+        name: skill.name,
+        icon: skill.icon,
+        unit: skill.unit,
+        count: inPeriod.length,
+        sum: inPeriod.reduce((sum, e) => sum + (Number(e.value) || 0), 0)
+      });
+    }
+
+    const days = Math.min(activeDays.size, 7);
+    stats.weeklyProgress = `${'▓'.repeat(days)}${'░'.repeat(7 - days)} ${days}/7 days`;
 
     return stats;
   }
 
   /**
-   * Get challenge leaderboard
+   * Leaderboard for a challenge (ID or share code), by default the latest
+   * active challenge the user is in, else the latest active one. Scores are
+   * recomputed so streaks that lapsed since the last log show as such.
+   * @returns {Promise<{ challenge: object, leaderboard: Array }|null>}
    */
-  async getChallengeLeaderboard(type = 'all') {
-    // Placeholder implementation
-    return [
-      { username: 'Alice', score: 150 },
-      { username: 'Bob', score: 120 },
-      { username: 'Charlie', score: 90 }
-    ];
+  async getChallengeLeaderboard(identifier = null, discordUser = null) {
+    let challenge;
+
+    if (identifier) {
+      challenge = await this.social.getChallenge(identifier);
+    } else {
+      const active = await this.social.getActiveChallenges();
+      const record = discordUser ? await this.userMap.resolve(discordUser) : null;
+      challenge = active.filter(c => record?.challenges[c.id]).pop() || active.pop();
+    }
+    if (!challenge) return null;
+
+    for (const participant of challenge.participants) {
+      participant.score = this.social.calculateScore(challenge, participant);
+    }
+
+    return { challenge, leaderboard: this.social.calculateLeaderboard(challenge) };
   }
 
   /**
-   * Get streak information
+   * Streak information from the user's entries: one skill, or the best
+   * streak across all of them
+   * @returns {Promise<object|null>} null if `skillName` is not a skill
    */
-  async getStreakInfo(userId, type) {
-    // Placeholder implementation
+  async getStreakInfo(discordUser, skillName = null) {
+    const skillManager = await this.getSkillManager();
+    const goals = await this.getGoalTracker();
+    const record = await this.userMap.resolve(discordUser);
+
+    let skills = skillManager.getAllSkills();
+    if (skillName) {
+      const skill = this.findSkill(skillManager, skillName, skillName);
+      if (!skill) return null;
+      skills = [skill];
+    }
+
+    const streaks = [];
+    let lastActivity = 0;
+    for (const skill of skills) {
+      const entries = await this.getUserEntries(skill.id, record.user);
+      if (entries.length === 0) continue;
+
+      streaks.push({ skill, ...goals.getStreak(skill.id, entries, skill) });
+      lastActivity = entries.reduce((latest, e) => Math.max(latest, e.timestamp), lastActivity);
+    }
+    streaks.sort((a, b) => b.current - a.current || b.longest - a.longest);
+
+    const best = streaks[0];
+    const longest = Math.max(0, ...streaks.map(s => s.longest));
+    const reached = STREAK_MILESTONES.filter(m => longest >= m);
+
     return {
-      current: 7,
-      longest: 21,
-      lastActivity: 'Today at 2:30 PM',
-      milestones: '🎯 7 days, 🏆 14 days, 💎 21 days'
+      skill: skillName ? skills[0] : best?.skill || null,
+      current: best?.current || 0,
+      longest: skillName ? best?.longest || 0 : longest,
+      period: best?.period || 'day',
+      lastActivity: lastActivity ? new Date(lastActivity).toLocaleString() : null,
+      milestones: reached.length > 0 ? `🏅 ${reached.join(', ')}` : null,
+      streaks
     };
   }
 
   /**
-   * Update user streak
+   * Join a challenge as the user's participant
    */
-  async updateStreak(userId, category) {
-    // Placeholder for streak update logic
-    console.log(`Updating streak for user ${userId} in category ${category}`);
+  async joinChallenge(discordUser, identifier) {
+    const record = await this.userMap.resolve(discordUser);
+    const existing = await this.social.getChallenge(identifier);
+
+    if (!existing) {
+      return { success: false, error: `No challenge matches '${identifier}'` };
+    }
+    if (existing.participants.some(p => p.id === record.challenges[existing.id])) {
+      return { success: false, error: `You're already in ${existing.name}` };
+    }
+
+    const challenge = await this.social.joinChallenge(existing.id, record.name);
+    const participant = challenge.participants[challenge.participants.length - 1];
+    await this.userMap.setParticipant(record, challenge.id, participant.id);
+
+    return { success: true, challenge };
+  }
+
+  /**
+   * Create a challenge on a skill with the user as first participant
+   */
+  async createChallenge(discordUser, { name, description, duration, skill: skillName, type, target }) {
+    const skillManager = await this.getSkillManager();
+    const skill = this.findSkill(skillManager, skillName, skillName);
+    if (!skill) {
+      return { success: false, error: `Unknown skill '${skillName}'` };
+    }
+
+    const record = await this.userMap.resolve(discordUser);
+    const participant = {
+      id: this.social.generateId(),
+      name: record.name,
+      joinedAt: new Date().toISOString(),
+      anonymous: false,
+      score: 0,
+      entries: []
+    };
+
+    const challenge = await this.social.createChallenge({
+      name,
+      description,
+      duration,
+      type: type || (target ? 'goal' : 'streak'),
+      trackerId: skill.id,
+      trackerName: skill.name,
+      target: target || null,
+      createdBy: record.user,
+      participants: [participant]
+    });
+    await this.userMap.setParticipant(record, challenge.id, participant.id);
+
+    return { success: true, challenge };
   }
 
   /**
@@ -821,12 +1286,12 @@ export class DiscordIntegration {
   }
 
   /**
-   * Format category statistics
+   * Format per-skill statistics
    */
-  formatCategoryStats(categories) {
-    return Object.entries(categories)
-      .map(([category, count]) => `${category}: ${count}`)
-      .join('\n') || 'No categories yet';
+  formatSkillStats(skills) {
+    return skills
+      .map(s => `${s.icon || '📊'} ${s.name}: ${formatQuantity(s.sum, s.unit)} (${s.count} ${s.count === 1 ? 'entry' : 'entries'})`)
+      .join('\n') || 'Nothing logged yet';
   }
 
   /**
@@ -851,31 +1316,26 @@ export class DiscordIntegration {
    */
   async handleQuickLog(message, args) {
     if (args.length === 0) {
-      await message.reply('Usage: `sr!quick-log <entry> [category]`');
+      await message.reply(`Usage: \`${this.config.prefix}quick-log <entry> [--skill]\``);
       return;
     }
 
-    const entry = args.slice(0, -1).join(' ') || args.join(' ');
-    const category = args.length > 1 && args[args.length - 1].startsWith('--') 
-      ? args[args.length - 1].substring(2) 
-      : 'general';
-
-    const logEntry = {
-      id: Date.now().toString(),
-      userId: message.author.id,
-      username: message.author.username,
-      entry,
-      category,
-      timestamp: new Date().toISOString(),
-      source: 'discord-prefix',
-      channelId: message.channel.id,
-      guildId: message.guild?.id
-    };
+    const skill = args.length > 1 && args[args.length - 1].startsWith('--')
+      ? args[args.length - 1].substring(2)
+      : null;
+    const text = (skill ? args.slice(0, -1) : args).join(' ');
 
     try {
-      await this.saveLogEntry(logEntry);
-      await message.reply(`✅ Quick log saved: "${entry}" (${category})`);
+      const result = await this.logToSkill(message.author, text, { skill, source: 'discord-prefix' });
+      if (!result.success) {
+        await message.reply(`⚠️ ${result.error}`);
+        return;
+      }
+
+      await message.reply({ embeds: [this.buildLogEmbed(result, message.author.username)] });
+      await this.announceMilestone(result, { userId: message.author.id, channelId: message.channel.id });
     } catch (error) {
+      console.error('Error saving quick log:', error);
       await message.reply('❌ Failed to save log entry');
     }
   }
@@ -927,11 +1387,13 @@ export class DiscordIntegration {
    * Handle challenge join
    */
   async handleChallengeJoin(interaction) {
-    const challengeName = interaction.options.getString('challenge');
-    
-    // Implement challenge join logic
+    const identifier = interaction.options.getString('challenge');
+    const result = await this.joinChallenge(interaction.user, identifier);
+
     await interaction.editReply({
-      content: `🎯 Joined challenge: ${challengeName}`
+      content: result.success
+        ? `🎯 Joined challenge: ${result.challenge.name}. Your ${result.challenge.trackerName} logs now count towards it.`
+        : `⚠️ ${result.error}`
     });
   }
 
@@ -939,13 +1401,24 @@ export class DiscordIntegration {
    * Handle challenge creation
    */
   async handleChallengeCreate(interaction) {
-    const name = interaction.options.getString('name');
-    const description = interaction.options.getString('description');
-    const duration = interaction.options.getInteger('duration');
-    
-    // Implement challenge creation logic
+    const result = await this.createChallenge(interaction.user, {
+      name: interaction.options.getString('name'),
+      description: interaction.options.getString('description'),
+      duration: interaction.options.getInteger('duration'),
+      skill: interaction.options.getString('skill'),
+      type: interaction.options.getString('type'),
+      target: interaction.options.getNumber('target')
+    });
+
+    if (!result.success) {
+      await interaction.editReply({ content: `⚠️ ${result.error}` });
+      return;
+    }
+
+    const { challenge } = result;
     await interaction.editReply({
-      content: `🏆 Created challenge: ${name} (${duration} days)`
+      content: `🏆 Created challenge: ${challenge.name} (${challenge.duration} days, ${challenge.trackerName})\n` +
+        `Others can join with \`/challenge join challenge:${challenge.shareCode}\``
     });
   }
 }
@@ -976,6 +1449,62 @@ export async function initializeDiscordIntegration() {
   }
 }
 
+/**
+ * CLI interface for Discord user mapping
+ *
+ *   sr discord users                         List mapped Discord accounts
+ *   sr discord link <discordId> <user> [name]   Map an account to a StaticRebel user
+ *   sr discord unlink <discordId>            Forget an account's mapping
+ */
+export async function discordCommand(args) {
+  const command = args[0];
+  const userMap = new DiscordUserMap();
+
+  switch (command) {
+    case 'users': {
+      const users = await userMap.list();
+      if (users.length === 0) return 'No Discord users yet. They are added the first time they use the bot.';
+      return users
+        .map(record => {
+          const challenges = Object.keys(record.challenges).length;
+          return `${record.discordId.padEnd(20)} ${record.name.padEnd(20)} -> ${record.user}` +
+            (challenges ? ` (${challenges} challenge${challenges === 1 ? '' : 's'})` : '');
+        })
+        .join('\n');
+    }
+
+    case 'link': {
+      const [, discordId, user, name] = args;
+      if (!discordId || !user) return 'Usage: sr discord link <discordId> <user> [name]';
+      const record = await userMap.link(discordId, user === 'local' ? LOCAL_USER : user, name);
+      return `🔗 Discord user ${record.discordId} now logs as ${record.user}`;
+    }
+
+    case 'unlink': {
+      const [, discordId] = args;
+      if (!discordId) return 'Usage: sr discord unlink <discordId>';
+      return await userMap.unlink(discordId)
+        ? `✅ Forgot Discord user ${discordId}`
+        : `No mapping for Discord user ${discordId}`;
+    }
+
+    default:
+      return [
+        'StaticRebel Discord Commands',
+        '',
+        'Usage: sr discord <command>',
+        '',
+        'Commands:',
+        '  users                              List Discord accounts and the users they log as',
+        '  link <discordId> <user> [name]     Log an account as a StaticRebel user ("local" for yours)',
+        "  unlink <discordId>                 Forget an account's mapping",
+        '',
+        'Configuration:',
+        ...Object.entries(getDiscordConfigHelp()).map(([key, help]) => `  ${key.padEnd(26)} ${help}`)
+      ].join('\n');
+  }
+}
+
 // ============================================================================
 // Configuration Utilities
 // ============================================================================
@@ -1004,7 +1533,8 @@ export function getDiscordConfigHelp() {
     DISCORD_GUILD_ID: '(Optional) Guild ID for development/testing',
     DISCORD_WEBHOOK_URL: '(Optional) Webhook URL for notifications',
     DISCORD_PREFIX: '(Optional) Prefix for text commands (default: sr!)',
-    DISCORD_DEFAULT_CHANNEL: '(Optional) Default channel ID for notifications'
+    DISCORD_DEFAULT_CHANNEL: '(Optional) Default channel ID for notifications',
+    DISCORD_OWNER_ID: '(Optional) Your Discord user ID - your logs count as your local data'
   };
 }
 
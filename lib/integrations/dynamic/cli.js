@@ -503,6 +503,8 @@ export async function integrationCommand(args) {
     console.log(chalk.cyan('  info <id>') + '              - Show integration details');
     console.log(chalk.cyan('  remove <id>') + '            - Remove an integration');
     console.log(chalk.cyan('  example [rest|webhook]') + '  - Create example integration');
+    console.log(chalk.dim('\nBuilt-in integrations (Discord, Telegram, Slack, ...):'));
+    console.log(chalk.cyan('  status | enable <id> | disable <id> | check [id] | start'));
     console.log(chalk.dim('\nNatural language usage:'));
     console.log(chalk.white('  "Post this to my blog"'));
     console.log(chalk.white('  "Get my latest data"'));
@@ -2,72 +2,246 @@
  * Integration Manager for StaticRebel
  * 
  * Central hub for managing external integrations like Discord, Slack, etc.
+ *
+ * Every built-in integration is an adapter with the common lifecycle from
+ * ./base.js. The manager starts the ones enabled in config (or detected
+ * from credentials), registers them with the HealthMonitor, and follows
+ * config changes so `sr integrations enable|disable` and the dashboard
+ * settings page toggle them while running.
  */
 
-import { createDiscordIntegration } from './discord.js';
+import fs from 'fs';
+import { INTEGRATION_ADAPTERS } from './adapters.js';
+import { IntegrationState } from './base.js';
+import {
+  INTEGRATION_STATUS_FILE,
+  getAdapterClass,
+  isIntegrationEnabled,
+  setIntegrationEnabled,
+  writeStatusSnapshot
+} from './status.js';
+import { getConfigPath, clearConfigCache } from '../configManager.js';
+import { getHealthMonitor } from '../healthMonitor.js';
 import { EventEmitter } from 'events';
+import { getEventBus, EventTypes } from '../eventBus.js';
+
+const CONFIG_WATCH_INTERVAL_MS = 2000;
 
 export class IntegrationManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - Per-integration options keyed by id
+   *   ({ discord: {...} }), plus injectable adapters, healthMonitor and
+   *   statusFile, and watchConfig: false to ignore config changes
+   */
   constructor(options = {}) {
     super();
+    const { adapters, healthMonitor, statusFile, watchConfig, ...config } = options;
+
+    // Platform objects by id (DiscordIntegration, ...), as before adapters
     this.integrations = new Map();
-    this.config = options;
+    this.adapters = new Map();
+    this.registry = adapters || INTEGRATION_ADAPTERS;
+    this.healthMonitor = healthMonitor || getHealthMonitor();
+    this.statusFile = statusFile || INTEGRATION_STATUS_FILE;
+    this.shouldWatchConfig = watchConfig !== false;
+    this.config = config;
+    this.health = {};
+    this.reconciling = Promise.resolve();
+    this.statusWrite = Promise.resolve();
     this.isInitialized = false;
   }
 
   /**
-   * Initialize all configured integrations
+   * Start every enabled integration. One failing integration is reported
+   * (and shows as unhealthy) without stopping the others.
    */
   async initialize() {
     console.log('🔌 Initializing integrations...');
 
-    try {
-      // Initialize Discord integration if configured
-      if (this.shouldInitializeDiscord()) {
-        await this.initializeDiscord();
+    for (const Adapter of this.registry) {
+      if (isIntegrationEnabled(Adapter)) {
+        await this.startIntegration(Adapter.id).catch(() => {});
       }
+    }
 
-      // Add other integrations here as needed
-      // if (this.shouldInitializeSlack()) {
-      //   await this.initializeSlack();
-      // }
+    // Skill chains with a notify action publish on the event bus
+    this.unsubscribeChains = getEventBus().on(EventTypes.CHAIN_NOTIFICATION, (event) => {
+      const { message, platforms } = event.data;
+      this.sendNotification(message, platforms ? { platforms } : {})
+        .catch(error => console.error('Failed to deliver chain notification:', error));
+    });
+
+    // Periodic HealthMonitor checks refresh the status snapshot
+    this.unsubscribeHealth = this.healthMonitor.onCheck((results) => {
+      for (const id of this.adapters.keys()) {
+        const health = results.services[`integration:${id}`];
+        if (health) this.health[id] = health;
+      }
+      this.writeStatus().catch(error => console.error('Failed to write integration status:', error.message));
+    });
 
-      this.isInitialized = true;
-      this.emit('initialized', { integrations: Array.from(this.integrations.keys()) });
-      
-      console.log(`✅ Initialized ${this.integrations.size} integration(s)`);
-    } catch (error) {
-      console.error('❌ Failed to initialize integrations:', error);
-      throw error;
+    if (this.shouldWatchConfig) {
+      this.watchConfig();
     }
+
+    this.isInitialized = true;
+    await this.writeStatus();
+    this.emit('initialized', { integrations: Array.from(this.integrations.keys()) });
+
+    console.log(`✅ Initialized ${this.integrations.size} integration(s)`);
   }
 
   /**
-   * Check if Discord integration should be initialized
+   * Start one integration, registering it with the HealthMonitor
+   * @param {string} id - e.g. 'slack'
    */
-  shouldInitializeDiscord() {
-    return !!(process.env.DISCORD_BOT_TOKEN && process.env.DISCORD_CLIENT_ID);
+  async startIntegration(id) {
+    const Adapter = getAdapterClass(id, this.registry);
+    let adapter = this.adapters.get(id);
+
+    if (!adapter) {
+      adapter = new Adapter(this.config[id] || {});
+      adapter.on('message', (message) => this.handleIncoming(message));
+      this.adapters.set(id, adapter);
+      this.healthMonitor.registerService(`integration:${id}`, () => adapter.health());
+    }
+
+    try {
+      console.log(`🤖 Starting ${Adapter.label} integration...`);
+      await adapter.start();
+
+      this.integrations.set(id, adapter.service);
+      this.emit(`${id}:ready`, adapter.service);
+
+      console.log(`✅ ${Adapter.label} integration ready`);
+      return adapter;
+    } catch (error) {
+      console.error(`❌ ${Adapter.label} integration failed:`, error.message);
+      throw error;
+    } finally {
+      this.health[id] = await adapter.health();
+      await this.writeStatus();
+    }
   }
 
   /**
-   * Initialize Discord integration
+   * Stop one integration and drop it from health reporting
+   * @returns {Promise<boolean>} false if it wasn't started
    */
-  async initializeDiscord() {
+  async stopIntegration(id) {
+    const adapter = this.adapters.get(id);
+    if (!adapter) return false;
+
     try {
-      console.log('🤖 Starting Discord integration...');
-      
-      const discord = createDiscordIntegration(this.config.discord || {});
-      await discord.start();
-      
-      this.integrations.set('discord', discord);
-      this.emit('discord:ready', discord);
-      
-      console.log('✅ Discord integration ready');
-      return discord;
+      const wasRunning = adapter.state === IntegrationState.RUNNING;
+      await adapter.stop();
+      if (wasRunning) console.log(`✅ ${adapter.constructor.label} integration stopped`);
     } catch (error) {
-      console.error('❌ Discord integration failed:', error);
-      throw error;
+      console.error(`❌ Failed to stop ${adapter.constructor.label} integration:`, error);
+    }
+
+    adapter.removeAllListeners();
+    this.adapters.delete(id);
+    this.integrations.delete(id);
+    delete this.health[id];
+    this.healthMonitor.unregisterService(`integration:${id}`);
+    await this.writeStatus();
+    return true;
+  }
+
+  /**
+   * Turn an integration on in config and start it now
+   */
+  async enable(id) {
+    setIntegrationEnabled(id, true, this.registry);
+    return this.startIntegration(id);
+  }
+
+  /**
+   * Turn an integration off in config and stop it now
+   */
+  async disable(id) {
+    setIntegrationEnabled(id, false, this.registry);
+    return this.stopIntegration(id);
+  }
+
+  /**
+   * Start enabled integrations that aren't running (or failed) and stop
+   * disabled ones. Runs one at a time.
+   */
+  reconcile() {
+    this.reconciling = this.reconciling.then(async () => {
+      for (const Adapter of this.registry) {
+        const adapter = this.adapters.get(Adapter.id);
+
+        if (!isIntegrationEnabled(Adapter)) {
+          if (adapter) await this.stopIntegration(Adapter.id);
+        } else if (!adapter || adapter.state === IntegrationState.FAILED) {
+          await this.startIntegration(Adapter.id).catch(() => {});
+        }
+      }
+    });
+    return this.reconciling;
+  }
+
+  /**
+   * Reconcile when the config file changes (CLI or dashboard toggles)
+   */
+  watchConfig() {
+    if (this.unwatchConfig) return;
+
+    const file = getConfigPath();
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      clearConfigCache();
+      this.reconcile().catch(error => console.error('Failed to apply integration config:', error));
+    };
+
+    fs.watchFile(file, { interval: CONFIG_WATCH_INTERVAL_MS, persistent: false }, listener);
+    this.unwatchConfig = () => {
+      fs.unwatchFile(file, listener);
+      this.unwatchConfig = null;
+    };
+  }
+
+  /**
+   * Check every started integration now
+   * @returns {Promise<Object>} Health by integration id
+   */
+  async checkHealth() {
+    for (const [id, adapter] of this.adapters) {
+      this.health[id] = await adapter.health();
     }
+    await this.writeStatus();
+    return { ...this.health };
+  }
+
+  /**
+   * Snapshot for `sr integrations status` and the dashboard. Writes are
+   * queued so each one sees the latest state.
+   */
+  writeStatus() {
+    this.statusWrite = this.statusWrite.catch(() => {}).then(() => {
+      const integrations = {};
+      for (const [id, adapter] of this.adapters) {
+        integrations[id] = { ...adapter.getStatus(), health: this.health[id] || null };
+      }
+
+      return writeStatusSnapshot({
+        pid: process.pid,
+        updatedAt: new Date().toISOString(),
+        integrations
+      }, this.statusFile);
+    });
+    return this.statusWrite;
+  }
+
+  /**
+   * Forward an incoming message from any integration
+   */
+  handleIncoming(message) {
+    this.emit('message', message);
+    getEventBus().emit(EventTypes.CHAT_MESSAGE_RECEIVED, { source: message.integration, ...message });
   }
 
   /**
@@ -77,6 +251,13 @@ export class IntegrationManager extends EventEmitter {
     return this.integrations.get(name);
   }
 
+  /**
+   * Get an integration's adapter (common interface)
+   */
+  getAdapter(id) {
+    return this.adapters.get(id);
+  }
+
   /**
    * Get Discord integration
    */
@@ -84,6 +265,13 @@ export class IntegrationManager extends EventEmitter {
     return this.getIntegration('discord');
   }
 
+  /**
+   * Get Telegram integration
+   */
+  getTelegram() {
+    return this.getIntegration('telegram');
+  }
+
   /**
    * Check if an integration is available
    */
@@ -91,23 +279,29 @@ export class IntegrationManager extends EventEmitter {
     return this.integrations.has(name);
   }
 
+  /**
+   * Running adapters that can send, optionally limited to platforms
+   */
+  getSenders(platforms = null) {
+    return (platforms || Array.from(this.adapters.keys()))
+      .map(platform => [platform, this.adapters.get(platform)])
+      .filter(([, adapter]) => adapter?.state === IntegrationState.RUNNING && adapter.capabilities.send);
+  }
+
   /**
    * Send notification across all available integrations
    */
   async sendNotification(message, options = {}) {
-    const { platforms = ['discord'], ...notificationOptions } = options;
+    const { platforms = null, ...notificationOptions } = options;
     const results = [];
 
-    for (const platform of platforms) {
-      const integration = this.getIntegration(platform);
-      if (integration && integration.sendMessage) {
-        try {
-          const result = await integration.sendMessage(message, notificationOptions);
-          results.push({ platform, success: true, result });
-        } catch (error) {
-          console.error(`Failed to send notification via ${platform}:`, error);
-          results.push({ platform, success: false, error: error.message });
-        }
+    for (const [platform, adapter] of this.getSenders(platforms)) {
+      try {
+        const result = await adapter.send(message, notificationOptions);
+        results.push({ platform, success: true, result });
+      } catch (error) {
+        console.error(`Failed to send notification via ${platform}:`, error);
+        results.push({ platform, success: false, error: error.message });
       }
     }
 
@@ -118,11 +312,23 @@ export class IntegrationManager extends EventEmitter {
    * Send nudge across platforms
    */
   async sendNudge(nudgeConfig) {
-    const discord = this.getDiscord();
-    if (discord) {
-      return await discord.sendNudge(nudgeConfig);
+    const { platforms = null, ...nudge } = nudgeConfig;
+    const targets = this.getSenders(platforms);
+
+    if (targets.length === 0) {
+      throw new Error('No integration available for sending nudges');
     }
-    throw new Error('No integration available for sending nudges');
+
+    const results = [];
+    for (const [platform, adapter] of targets) {
+      try {
+        results.push({ platform, success: true, result: await adapter.nudge(nudge) });
+      } catch (error) {
+        console.error(`Failed to send nudge via ${platform}:`, error);
+        results.push({ platform, success: false, error: error.message });
+      }
+    }
+    return results;
   }
 
   /**
@@ -185,21 +391,18 @@ export class IntegrationManager extends EventEmitter {
   async shutdown() {
     console.log('🛑 Shutting down integrations...');
 
-    const shutdownPromises = Array.from(this.integrations.entries()).map(
-      async ([name, integration]) => {
-        try {
-          if (integration.stop) {
-            await integration.stop();
-            console.log(`✅ ${name} integration stopped`);
-          }
-        } catch (error) {
-          console.error(`❌ Failed to stop ${name} integration:`, error);
-        }
-      }
-    );
+    this.unsubscribeChains?.();
+    this.unsubscribeChains = null;
+    this.unsubscribeHealth?.();
+    this.unsubscribeHealth = null;
+    this.unwatchConfig?.();
 
-    await Promise.all(shutdownPromises);
-    this.integrations.clear();
+    // Wait for a config change being applied, so nothing starts after this
+    await this.reconciling.catch(() => {});
+
+    for (const id of Array.from(this.adapters.keys())) {
+      await this.stopIntegration(id);
+    }
     this.isInitialized = false;
 
     console.log('✅ All integrations stopped');
@@ -214,10 +417,12 @@ export class IntegrationManager extends EventEmitter {
       integrations: {}
     };
 
-    for (const [name, integration] of this.integrations) {
+    for (const [name, adapter] of this.adapters) {
       status.integrations[name] = {
         available: true,
-        ready: integration.isReady || true
+        ready: adapter.state === IntegrationState.RUNNING,
+        ...adapter.getStatus(),
+        health: this.health[name] || null
       };
     }
 
@@ -283,7 +488,11 @@ export async function shutdownIntegrationManager() {
   }
 }
 
-// Export Discord integration for direct use
+// Export integrations for direct use
 export { createDiscordIntegration } from './discord.js';
+export { createTelegramIntegration } from './telegram.js';
+export { Integration, IntegrationError, IntegrationState } from './base.js';
+export { INTEGRATION_ADAPTERS } from './adapters.js';
+export { listIntegrations, setIntegrationEnabled } from './status.js';
 
 export default IntegrationManager;
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * CLI for the built-in integrations run by IntegrationManager
+ *
+ * Usage:
+ *   sr integrations status           Enabled/running state and health
+ *   sr integrations enable <id>      Turn an integration on
+ *   sr integrations disable <id>     Turn an integration off
+ *   sr integrations check [id]       Validate config without connecting
+ *   sr integrations start            Run enabled integrations until Ctrl+C
+ *
+ * `sr integration add|list|test|...` is the dynamic integration CLI.
+ */
+
+import { INTEGRATION_ADAPTERS } from './adapters.js';
+import { getAdapterClass, isIntegrationEnabled, listIntegrations, setIntegrationEnabled } from './status.js';
+import { getIntegrationManager, shutdownIntegrationManager } from './index.js';
+import { getHealthMonitor } from '../healthMonitor.js';
+
+export const MANAGER_COMMANDS = ['status', 'enable', 'disable', 'check', 'start'];
+
+const STATE_ICONS = {
+  running: '🟢',
+  starting: '🟡',
+  failed: '🔴',
+  stopped: '⚪'
+};
+
+export async function managerCommand(args) {
+  const [command, id] = args;
+
+  switch (command) {
+    case 'status':
+      return formatStatus(await listIntegrations());
+
+    case 'enable':
+    case 'disable': {
+      if (!id) return `Usage: sr integrations ${command} <${INTEGRATION_ADAPTERS.map(a => a.id).join('|')}>`;
+      const Adapter = getAdapterClass(id);
+      setIntegrationEnabled(id, command === 'enable');
+
+      const { managerRunning } = await listIntegrations();
+      const note = managerRunning
+        ? 'The running integration manager will apply this shortly.'
+        : 'Takes effect the next time you run: sr integrations start';
+      return `✅ ${Adapter.label} ${command}d\n${note}`;
+    }
+
+    case 'check':
+      return formatChecks(await checkConfigs(id ? [getAdapterClass(id)] : INTEGRATION_ADAPTERS.filter(isIntegrationEnabled)));
+
+    case 'start': {
+      await getIntegrationManager();
+      const monitor = getHealthMonitor();
+      monitor.start();
+      console.log('Integrations running. Enable or disable them from another terminal or the dashboard. Press Ctrl+C to stop.');
+      await new Promise(resolve => process.once('SIGINT', resolve));
+      monitor.stop();
+      await shutdownIntegrationManager();
+      return '👋 Integrations stopped';
+    }
+
+    default:
+      return [
+        'StaticRebel Integrations',
+        '',
+        'Usage: sr integrations <command>',
+        '',
+        'Commands:',
+        '  status             Show every integration, whether it is enabled, and its health',
+        '  enable <id>        Turn an integration on (starts it if the manager is running)',
+        '  disable <id>       Turn an integration off',
+        '  check [id]         Validate configuration without connecting',
+        '  start              Run all enabled integrations until Ctrl+C',
+        '',
+        `Integrations: ${INTEGRATION_ADAPTERS.map(a => a.id).join(', ')}`,
+        '',
+        'Custom integrations: sr integration add|list|test|info|remove'
+      ].join('\n');
+  }
+}
+
+/**
+ * Create each integration's service and validate its config, without connecting
+ */
+async function checkConfigs(adapters) {
+  const results = [];
+  for (const Adapter of adapters) {
+    const adapter = new Adapter();
+    try {
+      await adapter.init();
+      results.push({ Adapter, ...await adapter.validateConfig() });
+    } catch (error) {
+      results.push({ Adapter, valid: false, errors: [error.message] });
+    }
+  }
+  return results;
+}
+
+function formatChecks(results) {
+  if (results.length === 0) return 'No integrations are enabled. Enable one with: sr integrations enable <id>';
+
+  return results.map(({ Adapter, valid, errors }) => valid
+    ? `✅ ${Adapter.label}: configuration OK`
+    : `❌ ${Adapter.label}: ${errors.join('; ')}`
+  ).join('\n');
+}
+
+function formatStatus({ managerRunning, updatedAt, integrations }) {
+  const lines = ['🔌 Integrations', ''];
+
+  for (const integration of integrations) {
+    const toggle = integration.enabled ? 'enabled' : 'disabled';
+    lines.push(`${STATE_ICONS[integration.state] || '⚪'} ${integration.label.padEnd(10)} ${toggle} - ${integration.state}`);
+
+    if (integration.health) lines.push(`   health: ${integration.health.status}`);
+    if (integration.error) lines.push(`   error: ${integration.error}`);
+  }
+
+  lines.push('');
+  lines.push(managerRunning
+    ? `Manager running, last update ${new Date(updatedAt).toLocaleString()}`
+    : 'Manager not running. Start it with: sr integrations start');
+  return lines.join('\n');
+}
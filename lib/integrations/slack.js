@@ -7,6 +7,7 @@
  * - Slash commands (/log, /stats, /remind)
  * - Send nudges/reminders to Slack
  * - Log entries via Slack messages
+ * - Undo/fix logged entries ("/log undo", "actually that was 500ml")
  * - View stats via slash command
  * - Daily summary posts to channel
  * - Incoming webhooks for notifications
@@ -19,6 +20,8 @@ import { URL } from 'url';
 import { writeFileSync, readFileSync, existsSync } from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { getSkillManager } from '../skills/skill-manager.js';
+import { parseCorrection, applyCorrection } from '../skills/corrections.js';
 
 export class SlackIntegration {
   constructor(options = {}) {
@@ -133,6 +136,13 @@ export class SlackIntegration {
       return;
     }
 
+    // "/log undo", "/log actually that was 500ml"
+    const correction = await this.applyCorrectionText(text, 'slack');
+    if (correction) {
+      await respond({ text: correction, response_type: 'ephemeral' });
+      return;
+    }
+
     try {
       // Parse log entry
       const entry = this.parseLogEntry(text);
@@ -224,6 +234,12 @@ export class SlackIntegration {
     if (event.bot_id) return;
     
     const message = event.text.toLowerCase();
+
+    const correction = await this.applyCorrectionText(event.text, 'slack');
+    if (correction) {
+      await this.webClient.chat.postMessage({ channel: event.channel, text: correction });
+      return;
+    }
     
     // Auto-detect log entries in natural language
     if (this.isLogEntry(message)) {
@@ -249,6 +265,23 @@ export class SlackIntegration {
     }
   }
 
+  /**
+   * Run a correction ("undo", "actually that was 500ml") against the
+   * skill entries. Returns the reply text, or null if `text` isn't one.
+   */
+  async applyCorrectionText(text, source) {
+    try {
+      const skillManager = await getSkillManager();
+      const correction = parseCorrection(text, skillManager);
+      if (!correction) return null;
+
+      const result = await applyCorrection(skillManager, correction, { source });
+      return result.success ? result.message : `⚠️ ${result.error}`;
+    } catch (error) {
+      return `❌ Failed to update your entries: ${error.message}`;
+    }
+  }
+
   /**
    * Handle interactive components
    */
@@ -0,0 +1,101 @@
+/**
+ * Integration toggles and status, without a running manager
+ *
+ * Whether an integration is enabled lives in config
+ * (`integrations.<id>.enabled`); when unset, integrations whose
+ * credentials are detected start automatically. The running
+ * IntegrationManager writes a status snapshot so the CLI and the
+ * dashboard can show state and health from another process.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { INTEGRATION_ADAPTERS } from './adapters.js';
+import { IntegrationError, IntegrationState } from './base.js';
+import { getConfig, updateConfig, clearConfigCache } from '../configManager.js';
+
+export const INTEGRATION_STATUS_FILE = path.join(os.homedir(), '.static-rebel', 'integrations', 'status.json');
+
+export function getAdapterClass(id, adapters = INTEGRATION_ADAPTERS) {
+  const Adapter = adapters.find(adapter => adapter.id === id);
+  if (!Adapter) {
+    const known = adapters.map(adapter => adapter.id).join(', ');
+    throw new IntegrationError('unknown_integration', `Unknown integration: ${id} (available: ${known})`);
+  }
+  return Adapter;
+}
+
+/**
+ * Explicit config setting first, then credential detection
+ */
+export function isIntegrationEnabled(Adapter) {
+  const enabled = getConfig(`integrations.${Adapter.id}.enabled`);
+  return typeof enabled === 'boolean' ? enabled : Adapter.detect();
+}
+
+/**
+ * Persist a toggle. A running manager picks it up from the config file.
+ */
+export function setIntegrationEnabled(id, enabled, adapters = INTEGRATION_ADAPTERS) {
+  getAdapterClass(id, adapters);
+  // Another process may have written the config since it was cached
+  clearConfigCache();
+  if (!updateConfig(`integrations.${id}.enabled`, Boolean(enabled))) {
+    throw new Error('Failed to save config');
+  }
+  return Boolean(enabled);
+}
+
+export async function readStatusSnapshot(file = INTEGRATION_STATUS_FILE) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export async function writeStatusSnapshot(snapshot, file = INTEGRATION_STATUS_FILE) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+  await fs.rename(tempPath, file);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Every built-in integration with its toggle and, if a manager is
+ * running, its last reported state and health
+ * @returns {Promise<{ managerRunning: boolean, updatedAt: string|null, integrations: Array }>}
+ */
+export async function listIntegrations(options = {}) {
+  clearConfigCache();
+  const snapshot = await readStatusSnapshot(options.statusFile);
+  const managerRunning = !!(snapshot?.pid && isProcessAlive(snapshot.pid));
+
+  const integrations = INTEGRATION_ADAPTERS.map(Adapter => {
+    const reported = managerRunning ? snapshot.integrations?.[Adapter.id] : null;
+    return {
+      id: Adapter.id,
+      label: Adapter.label,
+      description: Adapter.description,
+      capabilities: Adapter.capabilities,
+      enabled: isIntegrationEnabled(Adapter),
+      detected: Adapter.detect(),
+      state: reported?.state || IntegrationState.STOPPED,
+      error: reported?.error || null,
+      startedAt: reported?.startedAt || null,
+      health: reported?.health || null
+    };
+  });
+
+  return { managerRunning, updatedAt: managerRunning ? snapshot.updatedAt : null, integrations };
+}
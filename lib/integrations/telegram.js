@@ -0,0 +1,587 @@
+/**
+ * Telegram Integration for StaticRebel
+ * Provides Telegram bot functionality including:
+ * - Chat through handleChat (logging, queries, corrections, conversation)
+ * - [[quick_replies]], [[confirm]] and [[buttons]] directives as inline keyboards
+ * - Voice notes transcribed with Whisper (lib/voice/whisper.js)
+ * - Photos described by a vision model (lib/media), with the caption as the question
+ * - Nudges from the NudgeEngine and a daily summary of today's skill entries
+ * - Commands: /start, /help, /summary, /undo
+ *
+ * Messages are logged to the log manager as telegram-in/-out/-error.
+ */
+
+import TelegramBot from 'node-telegram-bot-api';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getConfig } from '../configManager.js';
+import { log } from '../logManager.js';
+import { parseDirectives, toTelegramMarkup } from '../output/directives.js';
+import { transcribe } from '../voice/whisper.js';
+import { analyzeMedia } from '../media/index.js';
+import { getSkillManager } from '../skills/skill-manager.js';
+import { GoalTracker } from '../skills/goals.js';
+import { NudgeEngine } from '../skills/nudges.js';
+import { formatQuantity } from '../skills/units.js';
+import { getEventBus, EventTypes } from '../eventBus.js';
+
+// Telegram limits
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+// Long callback data kept for button presses (oldest dropped first)
+const MAX_STORED_CALLBACKS = 500;
+
+const COMMANDS = [
+  { command: 'summary', description: "Today's tracked skills" },
+  { command: 'undo', description: 'Undo your last logged entry' },
+  { command: 'help', description: 'What I can do' }
+];
+
+/**
+ * Split text into chunks Telegram accepts, preferring line breaks
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut < limit / 2) cut = limit;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, '');
+  }
+  if (rest.length > 0 || chunks.length === 0) chunks.push(rest);
+
+  return chunks;
+}
+
+/**
+ * Today's entries per skill, from SkillManager.getSummary()
+ * @param {Array} summary - SkillManager.getSummary() result
+ * @returns {string}
+ */
+export function formatDailySummary(summary) {
+  const logged = summary.filter(skill => !skill.id.startsWith('_') && skill.todayCount > 0);
+  if (logged.length === 0) {
+    return "📊 Nothing logged today yet. Tell me what you've done, like \"drank 500ml water\".";
+  }
+
+  const lines = ["📊 Today's summary", ''];
+  for (const skill of logged) {
+    const total = formatQuantity(skill.todaySum, skill.unit);
+    const goal = skill.dailyGoal
+      ? ` of ${formatQuantity(skill.dailyGoal, skill.unit)} (${Math.round((skill.todaySum / skill.dailyGoal) * 100)}%)`
+      : '';
+    lines.push(`${skill.icon || '•'} ${skill.name}: ${total}${goal} - ${skill.todayCount} ${skill.todayCount === 1 ? 'entry' : 'entries'}`);
+  }
+
+  const missing = summary.filter(skill => !skill.id.startsWith('_') && skill.todayCount === 0 && skill.dailyGoal);
+  if (missing.length > 0) {
+    lines.push('', `Not logged yet: ${missing.map(skill => skill.name).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+export class TelegramIntegration {
+  constructor(options = {}) {
+    const allowed = options.allowedChatIds ?? process.env.TELEGRAM_ALLOWED_CHAT_IDS ?? getConfig('telegram.allowedChatIds', []);
+
+    this.config = {
+      token: process.env.TELEGRAM_BOT_TOKEN || getConfig('telegram.botToken'),
+      defaultChatId: process.env.TELEGRAM_CHAT_ID || getConfig('telegram.chatId'),
+      dailySummaryTime: process.env.TELEGRAM_DAILY_SUMMARY || getConfig('telegram.dailySummaryTime', '21:00'),
+      nudgeIntervalMinutes: Number(getConfig('telegram.nudgeIntervalMinutes', 60)),
+      visionProvider: getConfig('telegram.visionProvider', 'openai'),
+      ...options,
+      allowedChatIds: (Array.isArray(allowed) ? allowed : String(allowed).split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean)
+    };
+
+    // Injectable for tests: a TelegramBot-like client and the chat handler
+    this.bot = options.bot || null;
+    this.handleChat = options.handleChat || null;
+
+    this.isReady = false;
+    this.timers = [];
+    this.callbackData = new Map();
+    this.callbackCount = 0;
+    this.lastSummaryDate = null;
+
+    // Bind methods
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.sendMessage = this.sendMessage.bind(this);
+    this.sendNudge = this.sendNudge.bind(this);
+  }
+
+  /**
+   * Start polling for messages and the nudge/summary schedule
+   */
+  async start() {
+    if (this.isReady) {
+      console.log('Telegram bot is already running');
+      return this;
+    }
+
+    if (!this.bot) {
+      if (!this.config.token) {
+        throw new Error('Telegram bot token is required. Set TELEGRAM_BOT_TOKEN environment variable.');
+      }
+      this.bot = new TelegramBot(this.config.token, { polling: this.config.polling !== false });
+    }
+
+    this.setupEventHandlers();
+
+    const me = await this.bot.getMe();
+    await this.bot.setMyCommands(COMMANDS).catch(error =>
+      console.warn('Failed to register Telegram commands:', error.message));
+
+    if (this.config.allowedChatIds.length === 0 && !this.config.defaultChatId) {
+      console.warn('Telegram bot will not answer anyone: set TELEGRAM_ALLOWED_CHAT_IDS or TELEGRAM_CHAT_ID');
+    }
+
+    this.isReady = true;
+    this.startSchedules();
+
+    console.log(`Telegram bot logged in as @${me.username}`);
+    return this;
+  }
+
+  /**
+   * Stop polling and the schedule
+   */
+  async stop() {
+    for (const timer of this.timers) clearInterval(timer);
+    this.timers = [];
+
+    if (this.bot?.isPolling?.()) {
+      await this.bot.stopPolling();
+    }
+    this.isReady = false;
+    console.log('Telegram integration stopped');
+  }
+
+  /**
+   * Set up Telegram event handlers
+   */
+  setupEventHandlers() {
+    this.bot.on('message', (message) => {
+      this.handleMessage(message).catch(error => this.reportError(message.chat.id, error));
+    });
+
+    this.bot.on('callback_query', (query) => {
+      this.handleCallbackQuery(query).catch(error => this.reportError(query.message?.chat.id, error));
+    });
+
+    this.bot.on('polling_error', (error) => {
+      log('telegram-error', 'error', `Polling error: ${error.message}`);
+    });
+  }
+
+  /**
+   * Only answer chats on the allow list (just the default chat, if the list is empty)
+   */
+  isAllowed(chatId) {
+    const allowed = this.config.allowedChatIds.length > 0
+      ? this.config.allowedChatIds
+      : [this.config.defaultChatId].filter(Boolean).map(String);
+    return allowed.includes(String(chatId));
+  }
+
+  /**
+   * Handle an incoming message: commands, voice notes, photos and text
+   */
+  async handleMessage(message) {
+    const chatId = message.chat.id;
+    if (!this.isAllowed(chatId)) {
+      log('telegram-in', 'warn', 'Message from a chat that is not allowed', { chatId });
+      return;
+    }
+
+    const text = (message.text || '').trim();
+    const command = text.match(/^\/(\w+)(?:@\w+)?\s*(.*)$/);
+    if (command) {
+      await this.handleCommand(chatId, command[1].toLowerCase(), command[2], message);
+      return;
+    }
+
+    if (message.voice || message.audio) {
+      await this.handleVoice(message);
+    } else if (message.photo) {
+      await this.handlePhoto(message);
+    } else if (text) {
+      await this.chat(chatId, text, message.from);
+    }
+  }
+
+  /**
+   * Handle /commands
+   */
+  async handleCommand(chatId, command, args, message) {
+    switch (command) {
+      case 'start':
+      case 'help':
+        await this.reply(chatId, this.getHelpText());
+        break;
+      case 'summary':
+        await this.reply(chatId, await this.buildDailySummary());
+        break;
+      case 'undo':
+        await this.chat(chatId, args ? `undo my last ${args}` : 'undo', message.from);
+        break;
+      default:
+        // Registered elsewhere (e.g. "/log 500ml water"): let the chat handler decide
+        await this.chat(chatId, message.text, message.from);
+    }
+  }
+
+  /**
+   * Inline keyboard button presses come back as their callback data,
+   * which is handled like a typed reply
+   */
+  async handleCallbackQuery(query) {
+    const chatId = query.message?.chat.id;
+    await this.bot.answerCallbackQuery(query.id);
+    if (!chatId || !this.isAllowed(chatId)) return;
+
+    const data = this.callbackData.get(query.data) ?? query.data;
+    await this.chat(chatId, data, query.from);
+  }
+
+  /**
+   * Transcribe a voice note and handle the text
+   */
+  async handleVoice(message) {
+    const chatId = message.chat.id;
+    const file = message.voice || message.audio;
+    await this.bot.sendChatAction(chatId, 'typing');
+
+    const filePath = await this.downloadFile(file.file_id);
+    try {
+      const audio = await fs.readFile(filePath);
+      const extension = path.extname(filePath) === '.oga' ? '.ogg' : path.extname(filePath);
+      const { text } = await transcribe(audio, { filename: `voice${extension || '.ogg'}` });
+
+      if (!text) {
+        await this.reply(chatId, "🎙️ I couldn't make out any words in that voice note.");
+        return;
+      }
+      await this.reply(chatId, `🎙️ "${text}"`);
+      await this.chat(chatId, text, message.from);
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Describe a photo; with a caption, the caption is answered with the
+   * description as context (e.g. "how many calories is this?")
+   */
+  async handlePhoto(message) {
+    const chatId = message.chat.id;
+    const photo = message.photo.at(-1); // Largest size
+    await this.bot.sendChatAction(chatId, 'typing');
+
+    const filePath = await this.downloadFile(photo.file_id);
+    try {
+      const caption = message.caption?.trim();
+      const result = await analyzeMedia(filePath, {
+        provider: this.config.visionProvider,
+        task: caption ? 'analyze' : 'describe',
+        prompt: caption || undefined
+      });
+
+      if (!caption) {
+        await this.reply(chatId, `🖼️ ${result.text}`);
+        return;
+      }
+      await this.chat(chatId, `${caption}\n\n[Photo: ${result.text}]`, message.from);
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  async downloadFile(fileId) {
+    const dir = path.join(os.tmpdir(), 'static-rebel-telegram');
+    await fs.mkdir(dir, { recursive: true });
+    return this.bot.downloadFile(fileId, dir);
+  }
+
+  /**
+   * Route text through handleChat and send the reply
+   */
+  async chat(chatId, text, from = {}) {
+    log('telegram-in', 'info', text, { chatId, userId: from?.id, username: from?.username });
+    await this.bot.sendChatAction(chatId, 'typing');
+
+    const handleChat = this.handleChat || (await import('../chatHandler.js')).handleChat;
+    const result = await handleChat(text, {
+      source: 'telegram',
+      context: { chatId: String(chatId), userId: from?.id ? String(from.id) : undefined, sessionId: `telegram-${chatId}` }
+    });
+
+    await this.reply(chatId, result.content || result.response || "I'm not sure how to answer that.");
+    return result;
+  }
+
+  /**
+   * Send text with its directives as an inline keyboard
+   * @returns {Promise<Array>} Sent messages
+   */
+  async reply(chatId, text) {
+    const parsed = parseDirectives(text);
+    const clean = parsed.text;
+    // A quick reply answers as if its text had been typed
+    parsed.quickReplies = parsed.quickReplies?.map(reply => ({ ...reply, data: reply.text })) || null;
+    const markup = this.shortenCallbackData(toTelegramMarkup(parsed));
+    const chunks = splitMessage(clean || '…');
+    const sent = [];
+
+    // The keyboard goes on the last chunk, under the text it belongs to
+    for (let i = 0; i < chunks.length; i++) {
+      const options = i === chunks.length - 1 && markup?.reply_markup ? markup : {};
+      sent.push(await this.bot.sendMessage(chatId, chunks[i], options));
+    }
+
+    log('telegram-out', 'info', clean, { chatId });
+    return sent;
+  }
+
+  /**
+   * Telegram caps callback data at 64 bytes: longer data is kept here and
+   * the button carries a short key
+   */
+  shortenCallbackData(markup) {
+    if (!markup?.reply_markup) return markup;
+
+    const rows = markup.reply_markup.inline_keyboard.map(row => row.map(button => {
+      if (!button.callback_data || Buffer.byteLength(button.callback_data) <= MAX_CALLBACK_DATA_BYTES) {
+        return button;
+      }
+      const key = `cb:${this.callbackCount++}`;
+      this.callbackData.set(key, button.callback_data);
+      if (this.callbackData.size > MAX_STORED_CALLBACKS) {
+        this.callbackData.delete(this.callbackData.keys().next().value);
+      }
+      return { ...button, callback_data: key };
+    }));
+
+    return { ...markup, reply_markup: { inline_keyboard: rows } };
+  }
+
+  async reportError(chatId, error) {
+    log('telegram-error', 'error', error.message, { chatId });
+    console.error('Telegram error:', error.message);
+    if (chatId) {
+      await this.bot.sendMessage(chatId, `❌ Something went wrong: ${error.message}`).catch(() => {});
+    }
+  }
+
+  /**
+   * Send a message to a chat (default: TELEGRAM_CHAT_ID)
+   * @param {string} content - Text, directives allowed
+   * @param {Object} [options] - { chatId }
+   */
+  async sendMessage(content, options = {}) {
+    if (!this.isReady) {
+      throw new Error('Telegram bot is not ready');
+    }
+
+    const chatId = options.chatId || this.config.defaultChatId;
+    if (!chatId) {
+      throw new Error('No target chat specified. Set TELEGRAM_CHAT_ID environment variable.');
+    }
+
+    return this.reply(chatId, content);
+  }
+
+  /**
+   * Send nudge notification
+   * @param {Object} nudgeConfig - { chatId, message, type, skillId }
+   */
+  async sendNudge(nudgeConfig) {
+    const { chatId, message } = nudgeConfig;
+
+    const sent = await this.sendMessage(`🔔 ${message}`, { chatId });
+    getEventBus().emit(EventTypes.NUDGE_SENT, { platform: 'telegram', ...nudgeConfig });
+    return sent;
+  }
+
+  /**
+   * Today's skill entries, ready to send
+   */
+  async buildDailySummary() {
+    const skillManager = await getSkillManager();
+    await skillManager.init();
+    return formatDailySummary(await skillManager.getSummary());
+  }
+
+  async sendDailySummary(chatId = null) {
+    return this.sendMessage(await this.buildDailySummary(), { chatId });
+  }
+
+  /**
+   * Check for nudges every nudgeIntervalMinutes and send the daily summary
+   * at dailySummaryTime, both to the default chat
+   */
+  startSchedules() {
+    if (!this.config.defaultChatId) return;
+
+    if (this.config.nudgeIntervalMinutes > 0) {
+      const timer = setInterval(() => {
+        this.checkNudges().catch(error => log('telegram-error', 'error', `Nudge check failed: ${error.message}`));
+      }, this.config.nudgeIntervalMinutes * 60 * 1000);
+      timer.unref?.();
+      this.timers.push(timer);
+    }
+
+    if (this.config.dailySummaryTime) {
+      const timer = setInterval(() => {
+        this.checkDailySummary().catch(error => log('telegram-error', 'error', `Daily summary failed: ${error.message}`));
+      }, 60 * 1000);
+      timer.unref?.();
+      this.timers.push(timer);
+    }
+  }
+
+  /**
+   * Send the most important nudge, if any and not too soon after the last
+   */
+  async checkNudges() {
+    if (!this.nudgeEngine) {
+      const skillManager = await getSkillManager();
+      await skillManager.init();
+      const goals = await new GoalTracker(skillManager.dataDir).init();
+      this.nudgeEngine = await new NudgeEngine(skillManager, goals, skillManager.dataDir).init();
+    }
+
+    if (!(await this.nudgeEngine.shouldNudge(this.config.nudgeIntervalMinutes))) return null;
+
+    const nudge = await this.nudgeEngine.getContextualNudge();
+    if (!nudge) return null;
+
+    await this.sendNudge({ message: nudge.message, type: nudge.type, skillId: nudge.skillId });
+    await this.nudgeEngine.markNudged();
+    return nudge;
+  }
+
+  async checkDailySummary(now = new Date()) {
+    const [hour, minute] = this.config.dailySummaryTime.split(':').map(Number);
+    // Local date, to match the local hour the summary is due at
+    const today = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0')
+    ].join('-');
+    const due = now.getHours() > hour || (now.getHours() === hour && now.getMinutes() >= minute);
+    if (!due || this.lastSummaryDate === today) return false;
+
+    this.lastSummaryDate = today;
+    await this.sendDailySummary();
+    return true;
+  }
+
+  getHelpText() {
+    return [
+      '🤖 StaticRebel on Telegram',
+      '',
+      'Just talk to me:',
+      '• "drank 500ml water" - log to a skill',
+      '• "how much coffee today?" - see your data',
+      '• "actually that was 250ml" / "undo that" - fix your last log',
+      '• Send a voice note and I\'ll transcribe it',
+      '• Send a photo (with a question as caption) and I\'ll look at it',
+      '',
+      'Commands:',
+      ...COMMANDS.map(({ command, description }) => `/${command} - ${description}`)
+    ].join('\n');
+  }
+}
+
+// ============================================================================
+// Factory Functions
+// ============================================================================
+
+/**
+ * Create and configure Telegram integration instance
+ */
+export function createTelegramIntegration(options = {}) {
+  return new TelegramIntegration(options);
+}
+
+/**
+ * CLI interface for Telegram integration
+ *
+ *   sr telegram start            Run the bot until Ctrl+C
+ *   sr telegram summary          Send today's summary to TELEGRAM_CHAT_ID
+ *   sr telegram send <message>   Send a message to TELEGRAM_CHAT_ID
+ */
+export async function telegramCommand(args) {
+  const command = args[0];
+
+  switch (command) {
+    case 'start': {
+      const telegram = createTelegramIntegration();
+      await telegram.start();
+      console.log('Telegram bot running. Press Ctrl+C to stop.');
+      await new Promise(resolve => process.once('SIGINT', resolve));
+      await telegram.stop();
+      return '👋 Telegram bot stopped';
+    }
+
+    case 'summary':
+    case 'send': {
+      const message = args.slice(1).join(' ');
+      if (command === 'send' && !message) return 'Usage: sr telegram send <message>';
+
+      const telegram = createTelegramIntegration({ polling: false });
+      await telegram.start();
+      try {
+        if (command === 'summary') {
+          await telegram.sendDailySummary();
+        } else {
+          await telegram.sendMessage(message);
+        }
+      } finally {
+        await telegram.stop();
+      }
+      return `✅ Sent to Telegram chat ${telegram.config.defaultChatId}`;
+    }
+
+    default:
+      return [
+        'StaticRebel Telegram Commands',
+        '',
+        'Usage: sr telegram <command>',
+        '',
+        'Commands:',
+        '  start              Run the bot (chat, voice notes, photos, nudges, daily summary)',
+        "  summary            Send today's summary now",
+        '  send <message>     Send a message',
+        '',
+        'Configuration:',
+        ...Object.entries(getTelegramConfigHelp()).map(([key, help]) => `  ${key.padEnd(26)} ${help}`)
+      ].join('\n');
+  }
+}
+
+/**
+ * Get Telegram configuration help
+ */
+export function getTelegramConfigHelp() {
+  return {
+    TELEGRAM_BOT_TOKEN: 'Bot token from @BotFather',
+    TELEGRAM_CHAT_ID: '(Optional) Chat ID for nudges and the daily summary',
+    TELEGRAM_ALLOWED_CHAT_IDS: '(Optional) Comma-separated chat IDs allowed to use the bot (default: TELEGRAM_CHAT_ID only)',
+    TELEGRAM_DAILY_SUMMARY: '(Optional) Time of the daily summary, HH:MM (default: 21:00)'
+  };
+}
+
+export default TelegramIntegration;
@@ -23,6 +23,7 @@ import { fileURLToPath } from 'url';
 import { getEventBus, EventTypes } from '../eventBus.js';
 import { getLogger } from '../logger.js';
 import { addMemory } from '../db.js';
+import { getSkillManager } from '../skills/skill-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -611,7 +612,7 @@ export class WebhookManager {
           error: result.error
         });
         
-        return this.sendWebhookResponse(res, 400, result.error || 'Webhook processing failed', requestId);
+        return this.sendWebhookResponse(res, 400, result.error || 'Webhook processing failed', requestId, result.details);
       }
       
     } catch (error) {
@@ -624,10 +625,11 @@ export class WebhookManager {
     }
   }
 
-  sendWebhookResponse(res, statusCode, message, requestId) {
+  sendWebhookResponse(res, statusCode, message, requestId, details) {
     res.status(statusCode).json({
       status: statusCode < 400 ? 'success' : 'error',
       message,
+      ...(details ? { details } : {}),
       requestId,
       timestamp: new Date().toISOString()
     });
@@ -655,6 +657,11 @@ export class WebhookManager {
   }
 
   async processLogEntry(body) {
+    // Skill entries: { skill: 'workout', entry: { sets: 3, reps: 8, weight: 60 } }
+    if (body.skill) {
+      return await this.processSkillEntry(body);
+    }
+
     // Process incoming log entry webhooks
     if (!body.content) {
       return { success: false, error: 'Missing content field' };
@@ -670,13 +677,11 @@ export class WebhookManager {
     });
 
     // Emit event for other systems to process
-    this.eventBus.emit('entry.logged', {
-      data: {
-        content: body.content,
-        tags: body.tags,
-        mood: body.mood,
-        source: 'webhook'
-      }
+    this.eventBus.emit(EventTypes.ENTRY_LOGGED, {
+      content: body.content,
+      tags: body.tags,
+      mood: body.mood,
+      source: 'webhook'
     });
 
     return { 
@@ -686,6 +691,37 @@ export class WebhookManager {
     };
   }
 
+  async processSkillEntry(body) {
+    const skillManager = await getSkillManager();
+    const skillId = String(body.skill);
+
+    if (!skillManager.skills.has(skillId)) {
+      return { success: false, error: `Unknown skill '${skillId}'` };
+    }
+
+    const fields = body.entry || (body.value !== undefined ? { value: body.value } : {});
+    try {
+      const entry = await skillManager.addEntry(skillId, {
+        ...fields,
+        note: body.note || fields.note,
+        source: 'webhook'
+      });
+
+      this.eventBus.emit(EventTypes.ENTRY_LOGGED, { skillId, entry, source: 'webhook' });
+
+      return {
+        success: true,
+        message: `Logged to ${skillId}`,
+        entryId: entry.id
+      };
+    } catch (error) {
+      if (error.name === 'SkillValidationError') {
+        return { success: false, error: error.message, details: error.errors };
+      }
+      throw error;
+    }
+  }
+
   async processTriggerAction(body) {
     // Process action trigger webhooks
     if (!body.action) {
@@ -680,15 +680,18 @@ export class WhatsAppIntegration {
 
   /**
    * Stop the WhatsApp client
+   * @param {Object} [options] - { logout: false } keeps the paired session
    */
-  async stop() {
+  async stop({ logout = true } = {}) {
     if (!this.client) {
       console.log('WhatsApp client is not running');
       return;
     }
 
     try {
-      await this.client.logout();
+      if (logout) {
+        await this.client.logout();
+      }
       await this.client.destroy();
       this.client = null;
       this.isReady = false;
@@ -15,12 +15,15 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { getDefaultModel, chatCompletion } from './modelRegistry.js';
+import { runStructured } from './llm/structured.js';
+import { definePrompt, renderPrompt } from './prompts/index.js';
 import { SkillManager, getSkillManager } from './skills/skill-manager.js';
 import { research as webResearch } from './webOracle.js';
 import { sendMessage } from '../agents/main/agent.js';
 import { writeDailyMemory, readDailyMemory } from './memoryManager.js';
-import { searchMemories } from './vectorMemory.js';
+import { searchMemories } from './memory/sqlite-memory.js';
 import { applyPersonalityFilter } from './personality/index.js';
+import { logClassification } from './intentClassifier.js';
 
 // ============================================================================
 // Configuration
@@ -159,6 +162,14 @@ export async function routeIntelligently(input, options = {}) {
       availableSkills,
       recentMemory,
       conversationHistory: conversationHistory.slice(-5), // Last 5 messages
+      sessionId,
+    });
+    logClassification(input, {
+      router: 'intelligent',
+      intent: decisionIntent(decision),
+      skill: decision.skillId || null,
+      value: decision.extractedData?.value ?? null,
+      confidence: decision.confidence,
     });
     
     if (CONFIG.DEBUG) {
@@ -200,6 +211,7 @@ export async function routeIntelligently(input, options = {}) {
     return {
       ...result,
       decision,
+      prompt: decision.prompt,
       duration,
       source: options.source || 'unknown',
     };
@@ -224,34 +236,46 @@ export async function routeIntelligently(input, options = {}) {
 // Intent Analysis
 // ============================================================================
 
+const optionalString = { type: ['string', 'null'] };
+
 /**
- * Ask the LLM to understand what the user wants
+ * Routing decision the model must return
  */
-async function analyzeIntent(input, context) {
-  const { availableSkills, recentMemory, conversationHistory } = context;
-  
-  const model = getDefaultModel();
-  
-  // Build skill descriptions with rich matching context
-  const skillList = availableSkills.length > 0
-    ? availableSkills.map(s => 
-        `- **${s.name}** (id: ${s.id}, unit: ${s.unit || 'count'}): ${s.description}` +
-        `\n  Matches: ${s.matchHints || s.triggers?.join(', ') || s.name}`
-      ).join('\n')
-    : '(No skills configured yet)';
-  
-  // Build conversation context
-  const historyText = conversationHistory.length > 0
-    ? conversationHistory.map(m => `${m.role}: ${m.content.substring(0, 100)}`).join('\n')
-    : '(No recent conversation)';
-  
-  const prompt = `You are an intelligent assistant router. Analyze the user's input and decide how to handle it.
+export const ROUTER_DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: ['use_skill', 'create_skill', 'web_search', 'chat'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    skillId: optionalString,
+    skillAction: optionalString,
+    extractedData: { type: ['object', 'null'] },
+    proposedSkill: {
+      type: ['object', 'null'],
+      properties: {
+        name: { type: 'string' },
+        type: { type: 'string' },
+        description: { type: 'string' },
+        unit: optionalString,
+        triggers: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['name'],
+    },
+    searchQuery: optionalString,
+    suggestedResponse: optionalString,
+  },
+  required: ['action', 'confidence'],
+};
+
+definePrompt('router.intent', {
+  description: 'Intelligent router: pick use_skill, create_skill, web_search or chat for an input',
+  template: `You are an intelligent assistant router. Analyze the user's input and decide how to handle it.
 
 ## User Input
-"${input}"
+"{{input}}"
 
 ## Available Skills (ONLY these exist)
-${skillList}
+{{skills}}
 
 ## Your Task
 Decide the BEST way to handle this input:
@@ -339,56 +363,76 @@ Decide the BEST way to handle this input:
   "suggestedResponse": "your direct answer for chat"
 }
 
-IMPORTANT: Extract the ACTUAL numeric value. "500ml" means value=500, NOT value=1.`;
+IMPORTANT: Extract the ACTUAL numeric value. "500ml" means value=500, NOT value=1.`,
+});
 
-  try {
-    const response = await chatCompletion(model, [
+/**
+ * Ask the LLM to understand what the user wants
+ * @param {string} input
+ * @param {Object} context - { availableSkills, conversationHistory, sessionId }
+ * @throws {StructuredOutputError} If the model's reply never matches ROUTER_DECISION_SCHEMA
+ */
+export async function analyzeIntent(input, context) {
+  const { availableSkills, recentMemory, conversationHistory } = context;
+  
+  const model = getDefaultModel();
+  
+  // Build skill descriptions with rich matching context
+  const skillList = availableSkills.length > 0
+    ? availableSkills.map(s => 
+        `- **${s.name}** (id: ${s.id}, unit: ${s.unit || 'count'}): ${s.description}` +
+        `\n  Matches: ${s.matchHints || s.triggers?.join(', ') || s.name}`
+      ).join('\n')
+    : '(No skills configured yet)';
+  
+  // Build conversation context
+  const historyText = conversationHistory.length > 0
+    ? conversationHistory.map(m => `${m.role}: ${m.content.substring(0, 100)}`).join('\n')
+    : '(No recent conversation)';
+  
+  const prompt = renderPrompt('router.intent', {
+    input,
+    skills: skillList,
+    history: historyText,
+  }, { key: context.sessionId });
+
+  const { data: result } = await runStructured(
+    async (messages, { responseSchema }) => {
+      const response = await chatCompletion(model, messages, { format: responseSchema.schema });
+      return response?.message || '';
+    },
+    [
       {
         role: 'system',
         content: 'You are an intent classifier. Output ONLY valid JSON. No explanations outside JSON.',
       },
-      { role: 'user', content: prompt },
-    ]);
-    
-    const content = response?.message || '';
-    
-    // Parse JSON response
-    let result;
-    try {
-      result = JSON.parse(content);
-    } catch {
-      // Try to extract JSON from response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        result = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Could not parse LLM response as JSON');
-      }
-    }
-    
-    // Validate and normalize
-    return {
-      action: result.action || 'chat',
-      confidence: result.confidence || 0.5,
-      reasoning: result.reasoning || '',
-      skillId: result.skillId,
-      skillAction: result.skillAction,
-      extractedData: result.extractedData,
-      proposedSkill: result.proposedSkill,
-      searchQuery: result.searchQuery,
-      suggestedResponse: result.suggestedResponse,
-    };
-    
-  } catch (error) {
-    console.error('[IntelligentRouter] Intent analysis failed:', error.message);
-    
-    // Default to chat on error
-    return {
-      action: 'chat',
-      confidence: 0.3,
-      reasoning: 'Fallback due to analysis error',
-    };
-  }
+      { role: 'user', content: prompt.text },
+    ],
+    { schema: ROUTER_DECISION_SCHEMA, schemaName: 'route_decision' },
+  );
+
+  // Normalize
+  return {
+    action: result.action,
+    confidence: result.confidence,
+    reasoning: result.reasoning || '',
+    skillId: result.skillId,
+    skillAction: result.skillAction,
+    extractedData: result.extractedData,
+    proposedSkill: result.proposedSkill,
+    searchQuery: result.searchQuery,
+    suggestedResponse: result.suggestedResponse,
+    prompt: { name: prompt.name, version: prompt.version },
+  };
+}
+
+/**
+ * A decision as a routing intent: 'log', 'query', 'create_skill',
+ * 'web_search' or 'chat' (the labels the routing eval scores)
+ */
+export function decisionIntent(decision) {
+  if (decision.action !== 'use_skill') return decision.action;
+  return ['query', 'stats'].includes(decision.skillAction) ? 'query' : 'log';
 }
 
 // ============================================================================
@@ -424,8 +468,15 @@ async function executeSkill(decision, skillManager, context) {
           if (isNaN(valueToLog)) valueToLog = 1;
         }
         
+        // Keep any declared schema fields the router extracted (sets, reps, kcal...)
+        const schemaFields = {};
+        for (const name of Object.keys(skill.schema?.fields || {})) {
+          if (extractedData?.[name] !== undefined) schemaFields[name] = extractedData[name];
+        }
+
         const logResult = await skillManager.addEntry(skillId, {
           value: valueToLog,
+          ...schemaFields,
           unit: extractedData?.unit || skill.unit,
           note: extractedData?.note,
           source: 'intelligent-router',
@@ -482,6 +533,14 @@ async function executeSkill(decision, skillManager, context) {
         };
     }
   } catch (error) {
+    if (error.name === 'SkillValidationError') {
+      return {
+        success: false,
+        type: 'skill_validation_error',
+        content: `⚠️ ${error.message}`,
+        errors: error.errors,
+      };
+    }
     console.error(`[IntelligentRouter] Skill execution failed:`, error);
     return {
       success: false,
@@ -761,5 +820,7 @@ async function getRecentContext(input) {
 
 export default {
   routeIntelligently,
+  analyzeIntent,
+  decisionIntent,
   CONFIG,
 };
@@ -4,8 +4,29 @@
  */
 
 import { getOptimizedClient } from '../llm/client.js';
+import { runStructured } from '../llm/structured.js';
 import { DEFAULT_SKILL_TAXONOMY } from './intent-definitions.js';
 
+export const TRACKING_ENTITIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    skill: { type: 'string', minLength: 1 },
+    value: { type: 'number' },
+    unit: { type: 'string' }
+  },
+  required: ['skill', 'value', 'unit']
+};
+
+export const PROJECT_SPEC_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string', enum: ['web-app', 'api', 'bot', 'cli-tool'] },
+    tech: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['name', 'type', 'tech']
+};
+
 let client = null;
 
 function getClient() {
@@ -35,7 +56,13 @@ export class EntityExtractor {
       return simpleResult;
     }
 
-    const llmResult = await this.llmExtract(input);
+    let llmResult;
+    try {
+      llmResult = await this.llmExtract(input);
+    } catch (error) {
+      // Keep the regex result, but say why and don't cache it
+      return { ...simpleResult, llmError: error.message };
+    }
     const merged = this.mergeResults(simpleResult, llmResult);
     this.cache.set(cacheKey, merged);
     return merged;
@@ -76,31 +103,38 @@ export class EntityExtractor {
     return { skill, value, unit, source: 'regex' };
   }
 
+  /**
+   * Ask the model for JSON matching a schema
+   * @throws {StructuredOutputError}
+   */
+  async llmStructured(prompt, schema, schemaName) {
+    const { data } = await runStructured(
+      async (messages, { responseSchema }) => {
+        const response = await getClient().chatCompletion(this.model || 'ollama/llama3.2', messages, {
+          temperature: 0.0,
+          maxTokens: 120,
+          format: responseSchema.schema
+        });
+        return response.message;
+      },
+      [{ role: 'user', content: prompt }],
+      { schema, schemaName }
+    );
+    return data;
+  }
+
   async llmExtract(input) {
     const prompt = `Extract from: "${input}"
 
-Return JSON: {"skill":"water|steps|sleep|coffee|reading|meditation|exercise|food|mood","value":2,"unit":"glasses|ml|steps|hours|cups|pages|minutes|reps|servings"}`;
+skill is one of water|steps|sleep|coffee|reading|meditation|exercise|food|mood; unit is one of glasses|ml|steps|hours|cups|pages|minutes|reps|servings.`;
 
-    try {
-      const response = await getClient().chatCompletion(this.model || 'ollama/llama3.2', [
-        { role: 'system', content: 'Reply with valid JSON only.' },
-        { role: 'user', content: prompt }
-      ], { temperature: 0.0, maxTokens: 60 });
-
-      const match = response.message.match(/\{[\s\S]*\}/);
-      if (match) {
-        const parsed = JSON.parse(match[0]);
-        return {
-          skill: parsed.skill || 'activity',
-          value: parsed.value || 1,
-          unit: parsed.unit || 'count',
-          source: 'llm'
-        };
-      }
-    } catch (error) {
-      console.error('Entity extraction error:', error.message);
-    }
-    return { skill: 'activity', value: 1, unit: 'count', source: 'llm' };
+    const parsed = await this.llmStructured(prompt, TRACKING_ENTITIES_SCHEMA, 'tracking_entities');
+    return {
+      skill: parsed.skill || 'activity',
+      value: parsed.value || 1,
+      unit: parsed.unit || 'count',
+      source: 'llm'
+    };
   }
 
   mergeResults(simple, llm) {
@@ -125,7 +159,12 @@ Return JSON: {"skill":"water|steps|sleep|coffee|reading|meditation|exercise|food
       return simpleResult;
     }
 
-    const llmResult = await this.llmProjectExtract(input);
+    let llmResult;
+    try {
+      llmResult = await this.llmProjectExtract(input);
+    } catch (error) {
+      return { ...simpleResult, llmError: error.message };
+    }
     const merged = { ...simpleResult, tech: [...new Set([...simpleResult.tech, ...llmResult.tech])] };
     this.cache.set(cacheKey, merged);
     return merged;
@@ -158,30 +197,15 @@ Return JSON: {"skill":"water|steps|sleep|coffee|reading|meditation|exercise|food
   }
 
   async llmProjectExtract(input) {
-    const prompt = `Extract from: "${input}"
-
-Return JSON: {"name":"my-app","type":"web-app|api|bot|cli-tool","tech":["react","node"]}`;
+    const prompt = `Extract the project name (like my-app), type and tech stack (like react, node) from: "${input}"`;
 
-    try {
-      const response = await getClient().chatCompletion(this.model || 'ollama/llama3.2', [
-        { role: 'system', content: 'Reply with valid JSON only.' },
-        { role: 'user', content: prompt }
-      ], { temperature: 0.0, maxTokens: 60 });
-
-      const match = response.message.match(/\{[\s\S]*\}/);
-      if (match) {
-        const parsed = JSON.parse(match[0]);
-        return {
-          name: parsed.name || 'project',
-          type: parsed.type || 'web-app',
-          tech: parsed.tech || ['javascript'],
-          source: 'llm'
-        };
-      }
-    } catch (error) {
-      console.error('Project extraction error:', error.message);
-    }
-    return { name: 'project', type: 'web-app', tech: ['javascript'], source: 'llm' };
+    const parsed = await this.llmStructured(prompt, PROJECT_SPEC_SCHEMA, 'project_spec');
+    return {
+      name: parsed.name || 'project',
+      type: parsed.type || 'web-app',
+      tech: parsed.tech.length ? parsed.tech : ['javascript'],
+      source: 'llm'
+    };
   }
 
   clearCache() {
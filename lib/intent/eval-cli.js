@@ -0,0 +1,151 @@
+/**
+ * StaticRebel routing eval CLI commands
+ *
+ *   sr eval routing [--dataset <file>]... [--routers simple,parser] [--replay|--record] [--failures] [--json]
+ *   sr eval harvest [--out <file>]
+ *   sr eval label "<utterance>" --intent <intent> [--skill <id>] [--value <n>]
+ */
+
+import fs from 'fs';
+import { LLMReplayHarness, setReplayHarness } from '../llm/replay.js';
+import { logClassification } from '../intentClassifier.js';
+import {
+  ROUTERS,
+  ROUTING_INTENTS,
+  DEFAULT_DATASET,
+  HARVESTED_DATASET,
+  loadDataset,
+  runEval,
+  formatReport,
+  harvestToFile
+} from './eval.js';
+
+export async function evalCommand(args) {
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'routing':
+      return evalRouting(options);
+    case 'harvest':
+      return harvest(options);
+    case 'label':
+      return label(options);
+    default:
+      return getEvalHelp();
+  }
+}
+
+function parseOptions(args) {
+  const options = { args: [], datasets: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dataset') {
+      options.datasets.push(args[i + 1]);
+      i++;
+    } else if (arg === '--routers') {
+      options.routers = args[i + 1].split(',').map(name => name.trim());
+      i++;
+    } else if (['--out', '--intent', '--skill', '--value', '--fixtures'].includes(arg)) {
+      options[arg.slice(2)] = args[i + 1];
+      i++;
+    } else if (['--replay', '--record', '--failures', '--json'].includes(arg)) {
+      options[arg.slice(2)] = true;
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function evalRouting(options) {
+  const files = options.datasets.length > 0
+    ? options.datasets
+    : [DEFAULT_DATASET, ...(fs.existsSync(HARVESTED_DATASET) ? [HARVESTED_DATASET] : [])];
+
+  const unknown = (options.routers || []).filter(name => !ROUTERS[name]);
+  if (unknown.length > 0) {
+    return `❌ Unknown router: ${unknown.join(', ')} (use ${Object.keys(ROUTERS).join(', ')})`;
+  }
+
+  // LLM routers answer from recorded fixtures, or record new ones
+  const mode = options.replay ? 'replay' : options.record ? 'record' : null;
+  const harness = mode ? new LLMReplayHarness({ mode, dir: options.fixtures }) : null;
+  if (harness) setReplayHarness(harness);
+
+  try {
+    const reports = [];
+    for (const file of files) {
+      reports.push(await runEval(loadDataset(file), { routers: options.routers }));
+    }
+
+    if (options.json) {
+      return JSON.stringify({ reports, replay: harness ? { mode, ...harness.stats } : null }, null, 2);
+    }
+
+    const lines = reports.map(report => formatReport(report, { failures: options.failures }));
+    if (harness) {
+      const { recorded, replayed, missed } = harness.stats;
+      lines.push(`🎞️ ${mode}: ${recorded} recorded, ${replayed} replayed, ${missed} missing (${harness.dir})`);
+    }
+    return lines.join('\n\n');
+  } finally {
+    if (harness) setReplayHarness(undefined);
+  }
+}
+
+function harvest(options) {
+  const { file, added, updated, total } = harvestToFile({ out: options.out });
+  return `🌾 Harvested ${added} new and ${updated} updated cases into ${file} (${total} total)`;
+}
+
+function label(options) {
+  const [input] = options.args;
+  if (!input || !options.intent) {
+    return 'Usage: sr eval label "<utterance>" --intent <intent> [--skill <id>] [--value <n>]';
+  }
+  if (!ROUTING_INTENTS.includes(options.intent)) {
+    return `❌ Unknown intent: ${options.intent} (use ${ROUTING_INTENTS.join(', ')})`;
+  }
+
+  const expected = { intent: options.intent };
+  if (options.skill) expected.skill = options.skill;
+  if (options.value !== undefined) expected.value = Number(options.value);
+
+  logClassification(input, null, { expected });
+  return `🏷️ Labeled "${input}" as ${options.intent}. Run sr eval harvest to add it to the eval set.`;
+}
+
+function getEvalHelp() {
+  return `StaticRebel Eval Commands
+
+Usage: sr eval <command> [options]
+
+Commands:
+  routing                     Score the intent routers on labeled utterances
+  harvest                     Turn corrections and labels from the classification log into cases
+  label "<utterance>"         Label an utterance with the intent it should get
+
+Options:
+  --dataset <file>            Dataset (.json or .jsonl), repeatable (default: built-in + harvested)
+  --routers a,b               Routers to score: ${Object.keys(ROUTERS).join(', ')} (default: all)
+  --replay                    LLM routers answer from recorded fixtures, no model needed
+  --record                    Call the model and record fixtures for --replay
+  --fixtures <dir>            Fixture directory (default: tests/fixtures/llm)
+  --failures                  List the utterances each router got wrong
+  --json                      Print the full report as JSON
+  --out <file>                Harvested dataset (harvest, default: ${HARVESTED_DATASET})
+  --intent, --skill, --value  Expected answer (label)
+
+Intents: ${ROUTING_INTENTS.join(', ')}
+
+Examples:
+  sr eval routing --routers simple,patterns
+  sr eval routing --record && sr eval routing --replay --failures
+  sr eval label "had a flat white" --intent log --skill coffee --value 1`;
+}
+
+export default evalCommand;
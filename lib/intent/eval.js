@@ -0,0 +1,430 @@
+/**
+ * Routing Eval - offline accuracy of the intent routers
+ *
+ * Runs a labeled dataset of utterances through each router and scores
+ * the answers against the labels:
+ *
+ *   { "input": "drank 500ml water", "expected": { "intent": "log", "skill": "water", "value": 500 } }
+ *
+ * Routers answer in one set of intents (ROUTING_INTENTS) so they can be
+ * compared; each router is only scored on the intents it can produce.
+ * Reports per-intent precision/recall, a confusion matrix, skill and value
+ * accuracy and latency.
+ *
+ * The LLM routers ('intelligent', 'classifier', 'parser') call the model.
+ * Under STATIC_REBEL_LLM_REPLAY=replay they answer from recorded fixtures
+ * (lib/llm/replay.js), so a recorded run repeats without a model.
+ *
+ * New cases are harvested from the classification log
+ * (lib/intentClassifier.js): inputs labeled by the user and log decisions
+ * the user corrected afterwards ("actually that was 500ml").
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { readClassificationLog } from '../intentClassifier.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DATASET = path.join(__dirname, 'datasets', 'routing.json');
+export const HARVESTED_DATASET = path.join(os.homedir(), '.static-rebel', 'routing', 'harvested.jsonl');
+
+/**
+ * Intents every router's answer is mapped onto
+ */
+export const ROUTING_INTENTS = [
+  'log', 'query', 'create_skill', 'command', 'web_search', 'chat', 'coding', 'shell', 'memory'
+];
+
+// Default skills for datasets that don't list their own
+const DEFAULT_SKILLS = [
+  { id: 'water', name: 'Water', unit: 'ml', triggers: ['water', 'hydration'], description: 'Track water intake' },
+  { id: 'coffee', name: 'Coffee', unit: 'cups', triggers: ['coffee', 'espresso'], description: 'Track coffee' },
+  { id: 'steps', name: 'Steps', unit: 'steps', triggers: ['steps', 'walked'], description: 'Track daily steps' },
+  { id: 'pushups', name: 'Pushups', unit: 'reps', triggers: ['pushups', 'push-ups'], description: 'Track pushups' }
+];
+
+function parserIntent(result) {
+  switch (result.intentType) {
+    case 'TRACKING':
+      return result.skill?.exists ? 'log' : 'create_skill';
+    case 'QUESTION':
+      return result.skill?.isQuery ? 'query' : 'chat';
+    case 'COMMAND':
+      return 'command';
+    case 'GENERAL_CHAT':
+      return 'chat';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Routers under test. route() returns { intent, skill, value }.
+ * Modules are imported on first use so offline routers load no LLM code.
+ */
+export const ROUTERS = {
+  simple: {
+    description: 'Keyword router (lib/simpleRouter.js)',
+    usesModel: false,
+    intents: ['log', 'query', 'create_skill', 'chat'],
+    async route(input, { skills }) {
+      const { planSimpleRoute } = await import('../simpleRouter.js');
+      const plan = planSimpleRoute(input, skills);
+      return { intent: plan.action, skill: plan.skill?.id ?? null, value: plan.extracted?.value ?? null };
+    }
+  },
+
+  patterns: {
+    description: 'Pattern fallback of the classifier (lib/intent/classifier.js)',
+    usesModel: false,
+    intents: ['coding', 'shell', 'memory', 'chat'],
+    async route(input) {
+      const { fallbackClassify } = await import('./classifier.js');
+      const { intent } = fallbackClassify(input);
+      return { intent: intent === 'general' ? 'chat' : intent, skill: null, value: null };
+    }
+  },
+
+  classifier: {
+    description: 'LLM classifier (lib/intent/classifier.js)',
+    usesModel: true,
+    intents: ['coding', 'shell', 'memory', 'chat'],
+    async route(input) {
+      const { classifyIntent } = await import('./classifier.js');
+      const { intent } = await classifyIntent(input);
+      return { intent: intent === 'general' ? 'chat' : intent, skill: null, value: null };
+    }
+  },
+
+  parser: {
+    description: 'Intent parser (lib/intent-parser.js)',
+    usesModel: true,
+    intents: ['log', 'query', 'create_skill', 'command', 'chat'],
+    async route(input, { skills }) {
+      const { IntentParser } = await import('../intent-parser.js');
+      const parser = new IntentParser();
+      parser.skillManager = { getAllSkills: () => skills, skills: new Map(skills.map(s => [s.id, s])) };
+      parser.initialized = true;
+
+      const result = await parser.parse(input);
+      return {
+        intent: parserIntent(result),
+        skill: result.skill?.skill?.id ?? result.skill?.id ?? null,
+        value: result.value?.amount ?? null
+      };
+    }
+  },
+
+  intelligent: {
+    description: 'LLM router (lib/intelligentRouter.js)',
+    usesModel: true,
+    intents: ['log', 'query', 'create_skill', 'web_search', 'chat'],
+    async route(input, { skills }) {
+      const { analyzeIntent, decisionIntent } = await import('../intelligentRouter.js');
+      const decision = await analyzeIntent(input, { availableSkills: skills, conversationHistory: [] });
+      return {
+        intent: decisionIntent(decision),
+        skill: decision.skillId ?? null,
+        value: decision.extractedData?.value ?? null
+      };
+    }
+  }
+};
+
+/**
+ * Load a dataset: JSON ({ name, skills, cases } or an array of cases) or
+ * JSONL (one case per line)
+ * @param {string} file
+ * @returns {{ name: string, skills: Array, cases: Array }}
+ */
+export function loadDataset(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const name = path.basename(file).replace(/\.jsonl?$/, '');
+
+  if (file.endsWith('.jsonl')) {
+    const cases = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    return { name, skills: DEFAULT_SKILLS, cases };
+  }
+
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) {
+    return { name, skills: DEFAULT_SKILLS, cases: data };
+  }
+  return { name: data.name || name, skills: data.skills || DEFAULT_SKILLS, cases: data.cases || [] };
+}
+
+function valueMatches(expected, actual) {
+  const number = Number(actual);
+  return actual !== null && actual !== undefined && Math.abs(number - expected) <= Math.abs(expected) * 0.01;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * Score one router's answers
+ * @param {Array} results - [{ expected, predicted, latencyMs }]; predicted.intent
+ *   is 'error' when the router threw
+ * @returns {Object} { total, correct, accuracy, perIntent, confusion, skill, value, latency, errors }
+ */
+export function scoreResults(results) {
+  const confusion = {};
+  const labels = new Set();
+  let correct = 0;
+  const skill = { total: 0, correct: 0 };
+  const value = { total: 0, correct: 0 };
+
+  for (const { expected, predicted } of results) {
+    labels.add(expected.intent);
+    labels.add(predicted.intent);
+    confusion[expected.intent] = confusion[expected.intent] || {};
+    confusion[expected.intent][predicted.intent] = (confusion[expected.intent][predicted.intent] || 0) + 1;
+    if (predicted.intent === expected.intent) correct++;
+
+    if (expected.skill) {
+      skill.total++;
+      if (predicted.skill === expected.skill) skill.correct++;
+    }
+    if (typeof expected.value === 'number') {
+      value.total++;
+      if (valueMatches(expected.value, predicted.value)) value.correct++;
+    }
+  }
+
+  const perIntent = {};
+  for (const label of labels) {
+    const tp = confusion[label]?.[label] || 0;
+    const support = Object.values(confusion[label] || {}).reduce((sum, n) => sum + n, 0);
+    const predictedCount = Object.values(confusion).reduce((sum, row) => sum + (row[label] || 0), 0);
+    const precision = predictedCount > 0 ? tp / predictedCount : null;
+    const recall = support > 0 ? tp / support : null;
+    perIntent[label] = {
+      support,
+      predicted: predictedCount,
+      precision,
+      recall,
+      f1: precision === null || recall === null ? null
+        : precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+    };
+  }
+
+  const latencies = results.map(r => r.latencyMs).sort((a, b) => a - b);
+  const ratio = ({ total, correct: hits }) => ({ total, correct: hits, accuracy: total > 0 ? hits / total : null });
+
+  return {
+    total: results.length,
+    correct,
+    accuracy: results.length > 0 ? correct / results.length : null,
+    perIntent,
+    confusion,
+    skill: ratio(skill),
+    value: ratio(value),
+    latency: {
+      mean: latencies.length ? latencies.reduce((sum, n) => sum + n, 0) / latencies.length : null,
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95),
+      max: latencies.at(-1) ?? null
+    },
+    errors: results.filter(r => r.predicted.intent === 'error').length
+  };
+}
+
+/**
+ * Run a dataset through routers
+ * @param {Object} dataset - from loadDataset()
+ * @param {Object} [options] - { routers: names (default: all), onCase: (router, result) => void }
+ * @returns {Promise<Object>} { dataset, cases, routers: [{ name, skipped, ...scoreResults(), results }] }
+ */
+export async function runEval(dataset, options = {}) {
+  const names = options.routers || Object.keys(ROUTERS);
+  const report = { dataset: dataset.name, cases: dataset.cases.length, routers: [] };
+
+  for (const name of names) {
+    const router = ROUTERS[name];
+    if (!router) {
+      throw new Error(`Unknown router: ${name} (use ${Object.keys(ROUTERS).join(', ')})`);
+    }
+
+    const cases = dataset.cases.filter(c => router.intents.includes(c.expected?.intent));
+    const results = [];
+    for (const testCase of cases) {
+      const started = performance.now();
+      let predicted;
+      try {
+        predicted = await router.route(testCase.input, { skills: dataset.skills });
+      } catch (error) {
+        predicted = { intent: 'error', skill: null, value: null, error: error.message };
+      }
+      const result = {
+        input: testCase.input,
+        expected: testCase.expected,
+        predicted,
+        correct: predicted.intent === testCase.expected.intent,
+        latencyMs: performance.now() - started
+      };
+      results.push(result);
+      options.onCase?.(name, result);
+    }
+
+    report.routers.push({
+      name,
+      description: router.description,
+      skipped: dataset.cases.length - cases.length,
+      ...scoreResults(results),
+      results
+    });
+  }
+
+  return report;
+}
+
+const percent = value => (value === null ? '   -' : `${Math.round(value * 100)}%`.padStart(4));
+
+/**
+ * Plain-text report
+ * @param {Object} report - from runEval()
+ * @param {Object} [options] - { failures: list wrong answers }
+ */
+export function formatReport(report, options = {}) {
+  const lines = [`📏 Routing eval: ${report.dataset} (${report.cases} cases)`];
+
+  for (const router of report.routers) {
+    lines.push('', `▸ ${router.name} - ${router.description}`);
+    if (router.total === 0) {
+      lines.push('  No cases for this router\'s intents');
+      continue;
+    }
+
+    const latency = router.latency;
+    lines.push(
+      `  Accuracy ${percent(router.accuracy)} (${router.correct}/${router.total}, ${router.skipped} skipped, ${router.errors} errors)`,
+      `  Skill ${percent(router.skill.accuracy)} of ${router.skill.total}, value ${percent(router.value.accuracy)} of ${router.value.total}`,
+      `  Latency mean ${latency.mean.toFixed(1)}ms, p50 ${latency.p50.toFixed(1)}ms, p95 ${latency.p95.toFixed(1)}ms, max ${latency.max.toFixed(1)}ms`,
+      '',
+      '  intent        support  precision  recall    f1'
+    );
+    for (const [label, stats] of Object.entries(router.perIntent)) {
+      lines.push(`  ${label.padEnd(14)}${String(stats.support).padStart(7)}  ${percent(stats.precision).padStart(9)}  ${percent(stats.recall).padStart(6)}  ${percent(stats.f1)}`);
+    }
+
+    const labels = Object.keys(router.perIntent);
+    lines.push('', `  confusion (rows: expected)  ${labels.map(l => l.slice(0, 6).padStart(6)).join(' ')}`);
+    for (const expected of labels.filter(label => router.confusion[label])) {
+      const row = labels.map(predicted => String(router.confusion[expected][predicted] || 0).padStart(6));
+      lines.push(`  ${expected.padEnd(27)} ${row.join(' ')}`);
+    }
+
+    if (options.failures) {
+      const failures = router.results.filter(r => !r.correct);
+      if (failures.length > 0) lines.push('', '  Wrong:');
+      for (const failure of failures) {
+        lines.push(`    "${failure.input}": expected ${failure.expected.intent}, got ${failure.predicted.intent}` +
+          (failure.predicted.error ? ` (${failure.predicted.error})` : ''));
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function normalizeInput(input) {
+  return String(input).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn classification log entries into eval cases:
+ * - entries with userFeedback.expected are labeled by the user
+ * - entries with userFeedback.correct === true confirm the router's answer
+ * - an edit correction relabels the latest log decision for its skill
+ *   with the corrected value; undo/delete drops it (the log was wrong,
+ *   but the log doesn't say what was meant)
+ * Later labels for the same input win.
+ * @param {Array} entries - oldest first, from readClassificationLog()
+ * @returns {Array} Cases: { input, expected, source, timestamp }
+ */
+export function harvestCases(entries) {
+  const cases = new Map();
+  const lastLog = new Map(); // skill -> entry of the latest log decision
+
+  for (const entry of entries) {
+    const { input, result = {}, userFeedback } = entry;
+
+    if (result.router === 'correction') {
+      const target = lastLog.get(result.skill);
+      if (!target) continue;
+      lastLog.delete(result.skill);
+
+      const key = normalizeInput(target.input);
+      if (result.correction === 'edit' && typeof result.value === 'number') {
+        cases.set(key, {
+          input: target.input,
+          expected: { intent: 'log', skill: result.skill, value: result.value },
+          source: 'correction',
+          timestamp: entry.timestamp
+        });
+      } else if (cases.get(key)?.source === 'confirmed') {
+        cases.delete(key);
+      }
+      continue;
+    }
+
+    if (!input) continue;
+
+    if (result.intent === 'log' && result.skill) {
+      lastLog.set(result.skill, entry);
+    }
+
+    if (userFeedback?.expected && ROUTING_INTENTS.includes(userFeedback.expected.intent)) {
+      cases.set(normalizeInput(input), { input, expected: userFeedback.expected, source: 'labeled', timestamp: entry.timestamp });
+    } else if (userFeedback?.correct === true && ROUTING_INTENTS.includes(result.intent)) {
+      const expected = { intent: result.intent };
+      if (result.skill) expected.skill = result.skill;
+      if (typeof result.value === 'number') expected.value = result.value;
+      cases.set(normalizeInput(input), { input, expected, source: 'confirmed', timestamp: entry.timestamp });
+    }
+  }
+
+  return Array.from(cases.values());
+}
+
+/**
+ * Harvest the classification log into a JSONL dataset, merged with the
+ * cases already there (new labels win)
+ * @param {Object} [options] - { log, out }
+ * @returns {{ file: string, added: number, updated: number, total: number }}
+ */
+export function harvestToFile(options = {}) {
+  const file = options.out || HARVESTED_DATASET;
+  const harvested = harvestCases(readClassificationLog({ file: options.log }));
+
+  const merged = new Map();
+  if (fs.existsSync(file)) {
+    for (const testCase of loadDataset(file).cases) {
+      merged.set(normalizeInput(testCase.input), testCase);
+    }
+  }
+  const before = merged.size;
+  for (const testCase of harvested) {
+    merged.set(normalizeInput(testCase.input), testCase);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, Array.from(merged.values()).map(c => JSON.stringify(c)).join('\n') + '\n');
+  return { file, added: merged.size - before, updated: harvested.length - (merged.size - before), total: merged.size };
+}
+
+export default {
+  ROUTERS,
+  ROUTING_INTENTS,
+  loadDataset,
+  runEval,
+  scoreResults,
+  formatReport,
+  harvestCases,
+  harvestToFile
+};
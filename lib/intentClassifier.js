@@ -1,5 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
 import { chatCompletion, getDefaultModel } from './modelRegistry.js';
 
+/**
+ * Classification log, read by the routing eval (lib/intent/eval.js).
+ * STATIC_REBEL_CLASSIFICATION_LOG moves it (tests point it at a temp file).
+ */
+export function getClassificationLogPath() {
+  return process.env.STATIC_REBEL_CLASSIFICATION_LOG ||
+    path.join(os.homedir(), '.static-rebel', 'routing', 'classifications.jsonl');
+}
+
 // Classification cache with 5-minute TTL
 const classificationCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -195,12 +207,16 @@ function cleanupCache() {
 
 /**
  * Log classification for future analysis
+ *
+ * Entries are appended to ~/.static-rebel/routing/classifications.jsonl
+ * (see getClassificationLogPath), where `sr eval harvest` turns corrected and confirmed ones into routing
+ * eval cases. Pass userFeedback as { expected: { intent, skill, value } }
+ * to label an input, or { correct: true } to confirm the result.
  * @param {string} input - User input
  * @param {Object} result - Classification result
  * @param {Object} userFeedback - Optional user feedback
  */
 export function logClassification(input, result, userFeedback = null) {
-  // TODO: Implement logging to file for future analysis/fine-tuning
   const logEntry = {
     timestamp: new Date().toISOString(),
     input,
@@ -208,10 +224,45 @@ export function logClassification(input, result, userFeedback = null) {
     userFeedback,
   };
 
-  // For now, just console log in debug mode
   if (process.env.DEBUG === 'true') {
     console.log('[IntentClassifier] Log:', JSON.stringify(logEntry, null, 2));
   }
+
+  try {
+    const file = getClassificationLogPath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(logEntry) + '\n');
+  } catch (error) {
+    console.error(`[IntentClassifier] Failed to write log: ${error.message}`);
+  }
+
+  return logEntry;
+}
+
+/**
+ * Read logged classifications, oldest first
+ * @param {Object} [options] - { file, limit } (limit keeps the newest entries)
+ * @returns {Array} Log entries
+ */
+export function readClassificationLog(options = {}) {
+  const file = options.file || getClassificationLogPath();
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a partially written line
+    }
+  }
+  return options.limit ? entries.slice(-options.limit) : entries;
 }
 
 /**
@@ -16,7 +16,7 @@ import os from 'os';
 import { createReadStream } from 'fs';
 import readline from 'readline';
 
-const TRANSCRIPTS_DIR = path.join(os.homedir(), '.static-rebel', 'transcripts');
+export const TRANSCRIPTS_DIR = path.join(os.homedir(), '.static-rebel', 'transcripts');
 
 /**
  * Initialize transcripts directory
@@ -298,17 +298,32 @@ export async function getTranscriptStats(sessionId) {
 
 /**
  * Search across all transcripts
+ *
+ * Uses the transcript index (lib/transcripts/search.js), so the query can
+ * include "phrases" and filters like role:user or after:7d. Without
+ * better-sqlite3, falls back to a substring scan of every file.
  */
 export async function searchAllTranscripts(query, options = {}) {
-  const files = getAllTranscriptFiles();
-  const results = [];
   const limit = options.limit || 10;
 
-  for (const file of files) {
+  const { searchTranscripts } = await import('./transcripts/search.js');
+  const result = await searchTranscripts(query, { limit, mode: 'keyword', context: 0 });
+  if (result.success) {
+    return result.hits.map(hit => ({ sessionId: hit.sessionId, entry: hit.entry, file: hit.file }));
+  }
+
+  return scanAllTranscripts(query, limit);
+}
+
+function scanAllTranscripts(query, limit) {
+  const results = [];
+
+  for (const file of getAllTranscriptFiles()) {
     if (results.length >= limit) break;
 
     const sessionId = file.name.replace(/_\d{4}-\d{2}-\d{2}\.jsonl$/, '');
-    const entries = await readTranscript(sessionId);
+    const date = file.name.match(/_(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1] || null;
+    const entries = readTranscriptSync(sessionId, date);
 
     for (const entry of entries) {
       if (results.length >= limit) break;
@@ -5,7 +5,7 @@
 export * from './personaManager.js';
 
 // Vector Memory System
-export * from './vectorMemory.js';
+export * from './memory/sqlite-memory.js';
 
 // Background Worker System
 export * from './workerManager.js';
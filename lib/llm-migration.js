@@ -33,6 +33,12 @@ export async function initLLM() {
       openaiApiKey: process.env.OPENAI_API_KEY,
       anthropicApiKey: process.env.ANTHROPIC_API_KEY,
       groqApiKey: process.env.GROQ_API_KEY,
+
+      // Extra providers, e.g. { lmstudio: { type: 'openai-compatible', baseUrl, models } }
+      providers: config.llm?.providers || {},
+
+      // Spending budgets, e.g. { daily: { total: 2, providers: { openai: 1 } } }
+      budget: config.llm?.budget || null,
     };
 
     // Create LLM manager
@@ -134,6 +140,10 @@ export async function* streamCompletion(messages, options = {}) {
   const task = options.task || 'general';
   
   for await (const chunk of llmManager.stream(null, messages, { ...options, task })) {
+    if (chunk.type === 'routing') {
+      yield { content: '', done: false, routing: chunk.routing };
+      continue;
+    }
     yield {
       content: chunk.token,
       done: chunk.done,
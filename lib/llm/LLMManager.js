@@ -2,12 +2,16 @@
  * LLM Manager - Unified interface for multi-provider LLM support
  * 
  * Features:
- * - Multi-provider support (Ollama, OpenAI, Anthropic, Groq)
+ * - Multi-provider support (Ollama, OpenAI, Anthropic, Groq, OpenAI-compatible local servers)
  * - Automatic fallback chains
  * - Configuration management
  * - Health monitoring
  * - Usage tracking
  * - Context window management
+ * - Tool calling (native or JSON-in-text, see tools.js)
+ * - Structured output validated against a JSON Schema (see structured.js)
+ * - Spending budgets that steer routing to cheaper models (see budget.js)
+ * - Record/replay of model responses for tests (see replay.js)
  */
 
 import { EventEmitter } from 'events';
@@ -19,6 +23,11 @@ import {
   getFallbackChain,
   getRecommendedModel
 } from './providers/index.js';
+import { runToolLoop } from './tools.js';
+import { runStructured } from './structured.js';
+import { BudgetManager } from './budget.js';
+import { LLMReplayHarness, LLMReplayError, getReplayHarness } from './replay.js';
+import { getUsageTracker } from '../usageTracker.js';
 
 export class LLMManager extends EventEmitter {
   constructor(config = {}) {
@@ -53,6 +62,17 @@ export class LLMManager extends EventEmitter {
     this.models = new Map(Object.entries(DEFAULT_MODELS));
     this.fallbackChains = { ...FALLBACK_CHAINS, ...config.fallbackChains };
 
+    // Spending budgets; usage is recorded so budgets can see it
+    this.usageTracker = config.usageTracker || (config.budget ? getUsageTracker() : null);
+    this.budget = config.budget
+      ? new BudgetManager({ ...config.budget, usageTracker: this.usageTracker })
+      : null;
+
+    // Record/replay harness: config.replay ({ mode, dir } or a harness), else the environment's
+    this.replay = config.replay
+      ? (config.replay instanceof LLMReplayHarness ? config.replay : new LLMReplayHarness(config.replay))
+      : getReplayHarness();
+
     // Initialize providers
     this.initializeProviders();
   }
@@ -62,17 +82,21 @@ export class LLMManager extends EventEmitter {
    */
   async initializeProviders() {
     try {
-      // Auto-detect providers from environment
-      const availableProviders = createAvailableProviders();
+      // Auto-detect providers from environment, plus configured ones
+      const availableProviders = createAvailableProviders(this.config.providers);
       
       for (const [name, provider] of availableProviders) {
+        this.replay?.wrapProvider(provider);
         this.providers.set(name, provider);
         this.emit('provider:registered', { name, provider: provider.name });
       }
 
       // Perform initial health checks if enabled
+      // (health checks also pick up models from local servers)
       if (this.config.enableHealthChecks) {
         await this.checkAllProviderHealth();
+      } else {
+        await this.discoverModels();
       }
 
       this.emit('initialized', {
@@ -102,9 +126,10 @@ export class LLMManager extends EventEmitter {
       };
     }
 
-    if (modelRef.includes('/')) {
-      const [provider, model] = modelRef.split('/', 2);
-      return { provider, model };
+    // Split on the first slash only: local model ids can contain slashes
+    const slash = modelRef.indexOf('/');
+    if (slash !== -1) {
+      return { provider: modelRef.slice(0, slash), model: modelRef.slice(slash + 1) };
     }
 
     return {
@@ -166,34 +191,28 @@ export class LLMManager extends EventEmitter {
   }
 
   /**
-   * Chat completion with fallback support
+   * Chat completion with fallback support.
+   * Pass options.tools to let the model call tools; the response then
+   * carries toolCalls (see tools.js for the message and tool formats).
+   * Pass options.schema (a JSON Schema) to get the reply as validated
+   * data in response.data; see chatStructured().
+   * Every response has routing: { modelRef, reason, mode, skipped, tried }
+   * saying which model answered and why.
+   * @throws {BudgetExceededError} When budgets leave no model to use
    */
   async chat(modelRef, messages, options = {}) {
-    const startTime = Date.now();
-    let primaryModelRef = modelRef || this.getPrimaryModel();
-    let fallbackChain = [];
-
-    // Determine fallback chain
-    if (this.config.enableFallback) {
-      if (this.config.fallback) {
-        // Use configured fallback
-        fallbackChain = [primaryModelRef, this.config.fallback];
-      } else {
-        // Use task-based fallback chain
-        const task = options.task || 'general';
-        fallbackChain = this.getFallbackChain(task);
-        
-        // Ensure primary model is first
-        if (!fallbackChain.includes(primaryModelRef)) {
-          fallbackChain = [primaryModelRef, ...fallbackChain];
-        }
-      }
-    } else {
-      fallbackChain = [primaryModelRef];
+    if (options.schema) {
+      return this.chatStructured(modelRef, messages, options);
     }
 
+    const startTime = Date.now();
+    const requestedModelRef = modelRef;
+    const task = options.task || 'general';
+    const { chain: fallbackChain, route } = await this.planFallbackChain(modelRef, task);
+
     let lastError = null;
     let attempt = 0;
+    const tried = [];
 
     for (const modelRef of fallbackChain) {
       attempt++;
@@ -202,6 +221,7 @@ export class LLMManager extends EventEmitter {
 
       if (!provider) {
         lastError = new Error(`Provider not available: ${providerName}`);
+        tried.push({ modelRef, reason: 'provider not available' });
         this.emit('fallback:provider_unavailable', { modelRef, attempt });
         continue;
       }
@@ -211,6 +231,7 @@ export class LLMManager extends EventEmitter {
         const health = this.healthStatus.get(providerName);
         if (health && !health.healthy) {
           lastError = new Error(`Provider unhealthy: ${providerName}`);
+          tried.push({ modelRef, reason: 'provider unhealthy' });
           this.emit('fallback:provider_unhealthy', { modelRef, attempt });
           continue;
         }
@@ -220,6 +241,7 @@ export class LLMManager extends EventEmitter {
       const contextStatus = this.checkContextWindow(messages, modelRef);
       if (contextStatus.status === 'critical' && attempt < fallbackChain.length) {
         lastError = new Error(`Context window too full: ${contextStatus.warning}`);
+        tried.push({ modelRef, reason: 'context window too full' });
         this.emit('fallback:context_overflow', { modelRef, attempt, contextStatus });
         continue;
       }
@@ -227,13 +249,16 @@ export class LLMManager extends EventEmitter {
       try {
         this.emit('chat:attempt', { modelRef, attempt, provider: providerName });
 
-        const response = await provider.chat(model, messages, {
-          ...options,
-          timeout: options.timeout || this.config.timeout
-        });
+        const chatOptions = { ...options, timeout: options.timeout || this.config.timeout };
+        const response = options.tools?.length
+          ? await provider.chatWithTools(model, messages, chatOptions)
+          : await provider.chat(model, messages, chatOptions);
 
         // Track usage
         this.trackUsage(providerName, response);
+        if (this.usageTracker) {
+          await this.recordUsage(modelRef, provider, task, response);
+        }
 
         // Emit success events
         if (attempt > 1) {
@@ -256,11 +281,22 @@ export class LLMManager extends EventEmitter {
           modelRef,
           fallbackUsed: attempt > 1,
           fallbackAttempt: attempt,
+          routing: this.describeRoute(modelRef, {
+            requested: requestedModelRef,
+            position: fallbackChain.indexOf(modelRef),
+            task,
+            route,
+            tried
+          }),
           duration: Date.now() - startTime
         };
 
       } catch (error) {
+        // A missing fixture would be missing for every fallback too
+        if (error instanceof LLMReplayError) throw error;
+
         lastError = error;
+        tried.push({ modelRef, reason: `failed: ${error.message}` });
         this.trackError(providerName, error);
         
         this.emit('chat:error', {
@@ -291,16 +327,163 @@ export class LLMManager extends EventEmitter {
   }
 
   /**
-   * Streaming chat with fallback support
+   * Why a model answered: its place in the chain, its budget situation and
+   * the models tried before it
    */
-  async *stream(modelRef, messages, options = {}) {
+  describeRoute(modelRef, { requested, position, task, route, tried }) {
+    const reasons = [
+      position === 0
+        ? (modelRef === requested ? 'requested model' : `first choice for ${task}`)
+        : `fallback for ${task}`
+    ];
+    if (route && route.mode !== 'normal') {
+      reasons.push(route.reasons[modelRef]);
+    }
+    if (route?.skipped.length) {
+      reasons.push(`skipped ${route.skipped.map(s => `${s.modelRef} (${s.reason})`).join(', ')}`);
+    }
+    if (tried.length) {
+      reasons.push(`tried ${tried.map(t => `${t.modelRef} (${t.reason})`).join(', ')}`);
+    }
+
+    return {
+      modelRef,
+      task,
+      reason: reasons.join('; '),
+      mode: route?.mode || 'normal',
+      skipped: route?.skipped || [],
+      tried: [...tried]
+    };
+  }
+
+  /**
+   * Is the model free to run? Local providers (Ollama, OpenAI-compatible
+   * servers) are; others go by the budget's cost rates.
+   */
+  isLocalModel(modelRef) {
+    const provider = this.getProvider(this.parseModelRef(modelRef).provider);
+    if (provider) return provider.local;
+    return this.budget ? this.budget.isLocal(modelRef) : false;
+  }
+
+  /**
+   * Record a response's tokens and cost with UsageTracker
+   */
+  async recordUsage(modelRef, provider, task, response) {
+    const meta = response.metadata || {};
+    const promptTokens = meta.promptTokens ?? meta.inputTokens ?? meta.promptEvalCount ?? 0;
+    const completionTokens = meta.completionTokens ?? meta.outputTokens ?? meta.evalCount ??
+      Math.max(0, (response.tokensUsed || 0) - promptTokens);
+
+    try {
+      await this.usageTracker.recordUsage({
+        model: modelRef,
+        promptTokens,
+        completionTokens,
+        free: provider.local,
+        metadata: { task, provider: provider.name }
+      });
+      this.budget?.invalidate();
+    } catch (error) {
+      this.emit('usage:error', { modelRef, error });
+    }
+  }
+
+  /**
+   * Spending against each budget (empty without budgets)
+   */
+  async getBudgetStatus() {
+    return this.budget ? this.budget.getStatus() : [];
+  }
+
+  /**
+   * Chat for a reply matching a JSON Schema. Uses the provider's JSON mode
+   * where it has one and re-prompts with the validation errors otherwise.
+   * @param {string} modelRef - Model reference (provider/model)
+   * @param {Array} messages - Conversation so far
+   * @param {Object} options - { schema, schemaName, maxRepairs = 2, ...chat options }
+   * @returns {Promise<Object>} Last response plus { data, attempts }
+   * @throws {StructuredOutputError} When no reply validates
+   */
+  async chatStructured(modelRef, messages, options = {}) {
+    const { schema, schemaName, maxRepairs, ...chatOptions } = options;
+
+    try {
+      const result = await runStructured(
+        (conversation, hints) => this.chat(modelRef, conversation, { ...chatOptions, ...hints }),
+        messages,
+        { schema, schemaName, maxRepairs }
+      );
+      return { ...result.response, data: result.data, attempts: result.attempts };
+    } catch (error) {
+      if (error.name === 'StructuredOutputError') {
+        this.emit('structured:failed', { modelRef, code: error.code, attempts: error.attempts });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Chat and run the model's tool calls until it answers in text
+   * @param {string} modelRef - Model reference (provider/model)
+   * @param {Array} messages - Conversation so far
+   * @param {Object} options - { tools, execute: async (call) => result, maxRounds, ...chat options }
+   * @returns {Promise<Object>} Final response plus { messages, toolResults, rounds }
+   */
+  async runTools(modelRef, messages, options = {}) {
+    return runToolLoop((conversation, chatOptions) => this.chat(modelRef, conversation, chatOptions), messages, options);
+  }
+
+  /**
+   * Models to try for a request, in order: the requested (or primary)
+   * model, then the fallbacks, after budgets have reordered the chain
+   * toward cheaper models or dropped cloud models
+   * @throws {BudgetExceededError} When budgets leave no model to use
+   * @returns {Promise<{chain: string[], route: Object|null}>}
+   */
+  async planFallbackChain(modelRef, task) {
     const primaryModelRef = modelRef || this.getPrimaryModel();
-    let fallbackChain = this.config.enableFallback 
-      ? this.getFallbackChain(options.task || 'general')
-      : [primaryModelRef];
+    let chain = [primaryModelRef];
+
+    if (this.config.enableFallback) {
+      if (this.config.fallback) {
+        // Use configured fallback
+        chain = [primaryModelRef, this.config.fallback];
+      } else {
+        // Use task-based fallback chain, primary model first
+        chain = this.getFallbackChain(task);
+        if (!chain.includes(primaryModelRef)) {
+          chain = [primaryModelRef, ...chain];
+        }
+      }
+    }
+
+    if (!this.budget) return { chain, route: null };
+
+    const route = await this.budget.route(chain, { task, isLocal: ref => this.isLocalModel(ref) });
+    if (route.mode !== 'normal') {
+      this.emit('budget:routed', { task, mode: route.mode, chain: route.chain, skipped: route.skipped });
+    }
+    return { chain: route.chain, route };
+  }
+
+  /**
+   * Streaming chat with fallback support. Budgets route the chain as in
+   * chat(), and usage is recorded when a stream ends (estimated from the
+   * streamed text, since providers don't report it for streams).
+   * The first chunk is { type: 'routing', token: '', routing } saying which
+   * model answers and why. A model is only swapped for the next one before
+   * it has streamed anything; a failure after that is thrown.
+   * @throws {BudgetExceededError} When budgets leave no model to use
+   */
+  async *stream(modelRef, messages, options = {}) {
+    const requestedModelRef = modelRef;
+    const task = options.task || 'general';
+    const { chain: fallbackChain, route } = await this.planFallbackChain(modelRef, task);
 
     let lastError = null;
     let attempt = 0;
+    const tried = [];
 
     for (const modelRef of fallbackChain) {
       attempt++;
@@ -309,27 +492,57 @@ export class LLMManager extends EventEmitter {
 
       if (!provider || !provider.stream) {
         lastError = new Error(`Streaming not available: ${providerName}`);
+        tried.push({ modelRef, reason: 'streaming not available' });
         continue;
       }
 
+      let tokenCount = 0;
       try {
         this.emit('stream:attempt', { modelRef, attempt, provider: providerName });
 
-        let tokenCount = 0;
+        let text = '';
         const startTime = Date.now();
 
-        for await (const chunk of provider.stream(model, messages, options)) {
-          tokenCount++;
-          yield {
-            ...chunk,
-            modelRef,
-            fallbackUsed: attempt > 1
-          };
+        try {
+          for await (const chunk of provider.stream(model, messages, options)) {
+            if (tokenCount === 0) {
+              yield {
+                type: 'routing',
+                token: '',
+                done: false,
+                modelRef,
+                fallbackUsed: attempt > 1,
+                routing: this.describeRoute(modelRef, {
+                  requested: requestedModelRef,
+                  position: fallbackChain.indexOf(modelRef),
+                  task,
+                  route,
+                  tried
+                })
+              };
+            }
+            tokenCount++;
+            text += chunk.token || '';
+            yield {
+              ...chunk,
+              modelRef,
+              fallbackUsed: attempt > 1
+            };
+          }
+        } finally {
+          // Also when the caller stops reading or the stream fails partway:
+          // what was streamed is paid for
+          if (tokenCount > 0) {
+            const promptTokens = this.estimateMessagesTokens(messages);
+            const completionTokens = this.estimateTokens(text);
+            const usage = { tokensUsed: promptTokens + completionTokens, metadata: { promptTokens, completionTokens } };
+            this.trackUsage(providerName, usage);
+            if (this.usageTracker) {
+              await this.recordUsage(modelRef, provider, task, usage);
+            }
+          }
         }
 
-        // Track usage for streaming
-        this.trackUsage(providerName, { tokensUsed: tokenCount });
-
         this.emit('stream:success', {
           modelRef,
           provider: providerName,
@@ -340,6 +553,8 @@ export class LLMManager extends EventEmitter {
         return; // Successful stream completed
         
       } catch (error) {
+        if (error instanceof LLMReplayError) throw error;
+
         lastError = error;
         this.trackError(providerName, error);
         
@@ -349,6 +564,10 @@ export class LLMManager extends EventEmitter {
           attempt,
           error: error.message
         });
+
+        // The next model would repeat what the caller already has
+        if (tokenCount > 0) throw error;
+        tried.push({ modelRef, reason: `failed: ${error.message}` });
       }
     }
 
@@ -407,10 +626,55 @@ export class LLMManager extends EventEmitter {
   }
 
   /**
-   * Get fallback chain for task
+   * Get fallback chain for task. Models from local servers that declare
+   * the task as a capability go first, like Ollama in the built-in chains.
    */
   getFallbackChain(task) {
-    return getFallbackChain(task);
+    const chain = this.fallbackChains[task] || getFallbackChain(task);
+    const local = [];
+
+    for (const [name, provider] of this.providers) {
+      for (const config of provider.getModelConfigs?.() || []) {
+        if (config.capabilities.includes(task) && !chain.includes(config.ref)) {
+          local.push(config.ref);
+        }
+      }
+    }
+
+    return [...local, ...chain];
+  }
+
+  /**
+   * Register the models a provider reports (OpenAI-compatible servers)
+   */
+  registerProviderModels(name, provider) {
+    for (const { ref, ...config } of provider.getModelConfigs?.() || []) {
+      if (!this.models.has(ref)) {
+        this.emit('model:discovered', { ref, provider: name });
+      }
+      this.models.set(ref, config);
+    }
+  }
+
+  /**
+   * Ask providers that support discovery which models they serve
+   * @returns {Promise<Array>} Model references registered
+   */
+  async discoverModels() {
+    const refs = [];
+
+    for (const [name, provider] of this.providers) {
+      if (!provider.discoverModels) continue;
+      try {
+        await provider.discoverModels();
+      } catch (error) {
+        this.emit('discovery:error', { provider: name, error });
+      }
+      this.registerProviderModels(name, provider);
+      refs.push(...(provider.getModelConfigs?.() || []).map(config => config.ref));
+    }
+
+    return refs;
   }
 
   /**
@@ -424,6 +688,7 @@ export class LLMManager extends EventEmitter {
         const health = await provider.healthCheck();
         this.healthStatus.set(name, health);
         results[name] = health;
+        this.registerProviderModels(name, provider);
         
         this.emit('health:checked', { provider: name, health });
       } catch (error) {
@@ -0,0 +1,260 @@
+/**
+ * Budget Manager - spending budgets that steer model routing
+ *
+ * Budgets are in USD per day and per month, overall and per provider or
+ * task type. Spend comes from UsageTracker's usage log.
+ *
+ *   {
+ *     daily:   { total: 2, providers: { openai: 1 }, tasks: { coding: 0.5 } },
+ *     monthly: { total: 40, providers: { anthropic: 15 } },
+ *     softLimitPercent: 80
+ *   }
+ *
+ * When no total is given, UsageTracker's daily/monthly cost thresholds are
+ * used. Local models (Ollama, OpenAI-compatible servers) cost nothing and
+ * are never limited. For cloud models:
+ *
+ * - below the soft limit: the task's fallback chain is used as is
+ * - past the soft limit: the model moves behind local and cheaper models
+ * - at the hard limit: the model is skipped; if nothing is left the call
+ *   fails with BudgetExceededError
+ */
+
+import { getUsageTracker } from '../usageTracker.js';
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+const DEFAULT_SOFT_LIMIT_PERCENT = 80;
+const DEFAULT_CACHE_MS = 30000;
+
+/**
+ * Thrown when every model for a request is over a hard budget.
+ * `skipped` lists { modelRef, reason } for each refused model.
+ */
+export class BudgetExceededError extends Error {
+  constructor(skipped) {
+    super(`Budget reached, no model left to use: ${skipped.map(s => `${s.modelRef} (${s.reason})`).join('; ')}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'budget_exceeded';
+    this.skipped = skipped;
+  }
+}
+
+function startOfPeriod(period, now) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  if (period === 'monthly') d.setDate(1);
+  return d.getTime();
+}
+
+function formatCost(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function emptySpend() {
+  return { total: 0, providers: {}, tasks: {} };
+}
+
+export class BudgetManager {
+  /**
+   * @param {Object} options - Budgets (see above) plus
+   *   { usageTracker, localProviders: names of free providers, cacheMs }
+   */
+  constructor(options = {}) {
+    this.usageTracker = options.usageTracker || getUsageTracker();
+    this.softLimitPercent = options.softLimitPercent ?? DEFAULT_SOFT_LIMIT_PERCENT;
+    this.localProviders = new Set(options.localProviders || ['ollama', 'openai-compatible']);
+    this.cacheMs = options.cacheMs ?? DEFAULT_CACHE_MS;
+    this.cache = null;
+
+    const thresholds = this.usageTracker.config?.thresholds || {};
+    this.budgets = {};
+    for (const period of BUDGET_PERIODS) {
+      const budget = options[period] || {};
+      this.budgets[period] = {
+        total: budget.total ?? thresholds[period]?.cost ?? null,
+        providers: { ...budget.providers },
+        tasks: { ...budget.tasks }
+      };
+    }
+  }
+
+  /**
+   * Is the model free to run (local provider or zero cost rate)?
+   */
+  isLocal(modelRef) {
+    const [provider] = modelRef.split('/');
+    if (this.localProviders.has(provider)) return true;
+
+    const rate = this.usageTracker.getCostRate(modelRef);
+    return rate.prompt === 0 && rate.completion === 0;
+  }
+
+  /**
+   * Relative cost of a model (USD per 1K prompt + 1K completion tokens)
+   */
+  getModelCost(modelRef) {
+    if (this.isLocal(modelRef)) return 0;
+    const rate = this.usageTracker.getCostRate(modelRef);
+    return rate.prompt + rate.completion;
+  }
+
+  /**
+   * Forget cached spend (call after recording usage)
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Spend so far this day and month, overall and by provider and task
+   * @param {Date} [now]
+   * @returns {Promise<{ daily: Object, monthly: Object }>}
+   */
+  async getSpend(now = new Date()) {
+    if (this.cache && Date.now() - this.cache.at < this.cacheMs && this.cache.day === startOfPeriod('daily', now)) {
+      return this.cache.spend;
+    }
+
+    const since = startOfPeriod('monthly', now);
+    const entries = await this.usageTracker.getUsageEntries({ since, until: now.getTime() });
+    const dayStart = startOfPeriod('daily', now);
+    const spend = { daily: emptySpend(), monthly: emptySpend() };
+
+    for (const entry of entries) {
+      const cost = entry.estimatedCost || 0;
+      if (cost === 0) continue;
+
+      const provider = entry.model?.split('/')[0];
+      const task = entry.metadata?.task;
+      const periods = new Date(entry.timestamp).getTime() >= dayStart ? ['daily', 'monthly'] : ['monthly'];
+
+      for (const period of periods) {
+        spend[period].total += cost;
+        if (provider) spend[period].providers[provider] = (spend[period].providers[provider] || 0) + cost;
+        if (task) spend[period].tasks[task] = (spend[period].tasks[task] || 0) + cost;
+      }
+    }
+
+    this.cache = { at: Date.now(), day: dayStart, spend };
+    return spend;
+  }
+
+  /**
+   * Every configured budget with what's been spent against it
+   * @returns {Promise<Array>} [{ period, scope, key, limit, spent, percent, state }]
+   */
+  async getStatus(now = new Date()) {
+    const spend = await this.getSpend(now);
+    const status = [];
+
+    for (const period of BUDGET_PERIODS) {
+      const budget = this.budgets[period];
+      const add = (scope, key, limit, spent) => {
+        if (limit === null || limit === undefined) return;
+        const percent = limit > 0 ? Math.round((spent / limit) * 100) : 100;
+        const state = spent >= limit ? 'hard' : percent >= this.softLimitPercent ? 'soft' : 'ok';
+        status.push({ period, scope, key, limit, spent, percent, state });
+      };
+
+      add('total', null, budget.total, spend[period].total);
+      for (const [provider, limit] of Object.entries(budget.providers)) {
+        add('provider', provider, limit, spend[period].providers[provider] || 0);
+      }
+      for (const [task, limit] of Object.entries(budget.tasks)) {
+        add('task', task, limit, spend[period].tasks[task] || 0);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Budget state for one model and task: 'ok', 'soft' or 'hard', with the
+   * budget that decided it
+   * @param {string} modelRef
+   * @param {Object} [options] - { task, now, isLocal: (modelRef) => boolean }
+   */
+  async checkModel(modelRef, options = {}) {
+    const { task = 'general', now = new Date() } = options;
+    const local = options.isLocal ? options.isLocal(modelRef) : this.isLocal(modelRef);
+    if (local) {
+      return { modelRef, state: 'ok', local: true, cost: 0, reason: 'local model' };
+    }
+
+    const [provider] = modelRef.split('/');
+    const applicable = (await this.getStatus(now)).filter(budget =>
+      budget.scope === 'total' ||
+      (budget.scope === 'provider' && budget.key === provider) ||
+      (budget.scope === 'task' && budget.key === task)
+    );
+
+    // The tightest budget decides
+    const worst = applicable.sort((a, b) => b.spent / (b.limit || 1e-9) - a.spent / (a.limit || 1e-9))[0];
+    const state = worst?.state || 'ok';
+    return {
+      modelRef,
+      state,
+      local: false,
+      cost: this.getModelCost(modelRef),
+      budget: worst || null,
+      reason: state === 'ok' ? 'within budget' : describeBudget(worst)
+    };
+  }
+
+  /**
+   * Reorder and filter a fallback chain by budget
+   * @param {string[]} chain - Model references in preference order
+   * @param {Object} [options] - { task, now, isLocal }
+   * @returns {Promise<{ chain: string[], mode: string, reasons: Object, skipped: Array }>}
+   *   mode is 'normal', 'economy' (soft limit reached) or 'local-only';
+   *   reasons maps each model to its budget situation
+   * @throws {BudgetExceededError} When every model is over a hard budget
+   */
+  async route(chain, options = {}) {
+    const checks = [];
+    for (const modelRef of chain) {
+      checks.push(await this.checkModel(modelRef, options));
+    }
+
+    const skipped = checks
+      .filter(check => check.state === 'hard')
+      .map(check => ({ modelRef: check.modelRef, reason: check.reason }));
+    const allowed = checks.filter(check => check.state !== 'hard');
+
+    if (allowed.length === 0) {
+      throw new BudgetExceededError(skipped);
+    }
+
+    const economy = allowed.some(check => check.state === 'soft');
+    if (economy) {
+      // Stable sort: models under soft limits keep their order, the rest go cheapest first
+      const rank = check => (check.state === 'soft' ? 1 : 0);
+      allowed.sort((a, b) => rank(a) - rank(b) || (rank(a) ? a.cost - b.cost : 0));
+    }
+
+    const reasons = {};
+    for (const check of allowed) {
+      reasons[check.modelRef] = check.state === 'soft'
+        ? `${check.reason}, so cheaper models go first`
+        : check.reason;
+    }
+
+    const mode = skipped.length && allowed.every(check => check.local)
+      ? 'local-only'
+      : economy || skipped.length ? 'economy' : 'normal';
+
+    return { chain: allowed.map(check => check.modelRef), mode, reasons, skipped };
+  }
+}
+
+/**
+ * "openai daily budget at 85% ($1.70 of $2.00)"
+ */
+export function describeBudget(budget) {
+  const name = budget.scope === 'total' ? 'overall' : `${budget.key}`;
+  const state = budget.state === 'hard' ? 'reached' : `at ${budget.percent}%`;
+  return `${name} ${budget.period} budget ${state} (${formatCost(budget.spent)} of ${formatCost(budget.limit)})`;
+}
+
+export default BudgetManager;
@@ -6,6 +6,7 @@
 import http from 'http';
 import https from 'https';
 import { URL } from 'url';
+import crypto from 'crypto';
 
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
 
@@ -197,6 +198,8 @@ export class OptimizedLLMClient {
         model: model.split('/').pop(),
         messages,
         stream: options.stream || false,
+        // 'json' or a JSON Schema the reply must follow
+        format: options.format,
         options: {
           temperature: options.temperature ?? 0.7,
           num_predict: options.maxTokens || options.num_predict || 2048,
@@ -371,7 +374,9 @@ export class OptimizedLLMClient {
 
   getCacheKey(type, model, messages, options) {
     const payload = { type, model, messages, options };
-    return `${type}:${model}:${JSON.stringify(payload)}`.slice(0, 200);
+    // Hash rather than truncate: long shared prefixes (system prompts) collide
+    const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+    return `${type}:${model}:${hash}`;
   }
 
   getStats() {
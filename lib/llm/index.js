@@ -25,9 +25,32 @@
 
 // Core exports
 export { LLMManager, createLLMManager } from './LLMManager.js';
+export { providers, DEFAULT_MODELS, FALLBACK_CHAINS } from './providers/index.js';
+export {
+  normalizeTools,
+  parseTextToolCalls,
+  toolsToPrompt,
+  runToolLoop
+} from './tools.js';
+export {
+  StructuredOutputError,
+  validateJsonSchema,
+  parseStructuredOutput,
+  runStructured
+} from './structured.js';
+export { BudgetManager, BudgetExceededError } from './budget.js';
+export { LLMReplayHarness, LLMReplayError, getReplayHarness, setReplayHarness } from './replay.js';
 
 // Default export
-import { LLMManager } from './LLMManager.js';
+import { LLMManager, createLLMManager } from './LLMManager.js';
+import { providers, DEFAULT_MODELS, FALLBACK_CHAINS } from './providers/index.js';
+
+/**
+ * Create an LLMManager from StaticRebel's LLM config
+ */
+export function setupLLM(config = {}) {
+  return createLLMManager(config);
+}
 
 export default {
   LLMManager,
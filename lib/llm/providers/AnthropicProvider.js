@@ -3,6 +3,8 @@
  * 
  * Supports:
  * - Chat completion
+ * - Tool calling (tool_use / tool_result blocks, parallel calls)
+ * - Structured output (via a forced tool call)
  * - Streaming responses
  * - Health checks
  * 
@@ -10,6 +12,7 @@
  */
 
 import BaseProvider from './BaseProvider.js';
+import { normalizeTools, stringifyToolResult } from '../tools.js';
 
 export class AnthropicProvider extends BaseProvider {
   constructor(options = {}) {
@@ -47,29 +50,101 @@ export class AnthropicProvider extends BaseProvider {
       ? systemMessages.map(m => m.content).join('\n\n')
       : undefined;
 
-    // Convert user/assistant messages
+    // Convert user/assistant messages. Tool calls become tool_use blocks;
+    // tool results go back as tool_result blocks in one user message.
     const formattedMessages = [];
     for (const message of userMessages) {
-      formattedMessages.push({
-        role: message.role === 'user' ? 'user' : 'assistant',
-        content: message.content
-      });
+      if (message.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: stringifyToolResult(message.content)
+        };
+        const previous = formattedMessages[formattedMessages.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(b => b.type === 'tool_result')) {
+          previous.content.push(block);
+        } else {
+          formattedMessages.push({ role: 'user', content: [block] });
+        }
+      } else if (message.role === 'assistant' && message.toolCalls?.length) {
+        formattedMessages.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+          ]
+        });
+      } else {
+        formattedMessages.push({
+          role: message.role === 'user' ? 'user' : 'assistant',
+          content: message.content
+        });
+      }
     }
 
     return { system, messages: formattedMessages };
   }
 
+  /**
+   * Native tool calling
+   */
+  supportsTools(model) {
+    return true;
+  }
+
+  /**
+   * Request fields for options.tools / toolChoice / parallelToolCalls
+   */
+  formatTools(options = {}) {
+    if (!options.tools?.length) return {};
+
+    const tools = normalizeTools(options.tools).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }));
+
+    const choice = options.toolChoice;
+    let toolChoice;
+    if (choice === 'required') toolChoice = { type: 'any' };
+    else if (choice === 'none') toolChoice = { type: 'none' };
+    else if (choice?.name) toolChoice = { type: 'tool', name: choice.name };
+    else if (options.parallelToolCalls === false) toolChoice = { type: 'auto' };
+
+    if (toolChoice && options.parallelToolCalls === false && toolChoice.type !== 'none') {
+      toolChoice.disable_parallel_tool_use = true;
+    }
+
+    return { tools, tool_choice: toolChoice };
+  }
+
+  /**
+   * Structured output (options.responseSchema) as a forced call to a tool
+   * whose input schema is the response schema
+   */
+  formatResponseSchema(options = {}) {
+    const { name, schema } = options.responseSchema || {};
+    if (!schema || schema.type !== 'object' || options.tools?.length) return null;
+
+    return {
+      tools: [{ name, description: 'Give your response by calling this tool.', input_schema: schema }],
+      tool_choice: { type: 'tool', name }
+    };
+  }
+
   /**
    * Chat completion
    */
   async chat(model, messages, options = {}) {
     const url = new URL('/v1/messages', this.baseUrl);
     const { system, messages: formattedMessages } = this.formatMessages(messages);
+    const structured = this.formatResponseSchema(options);
     
     const body = JSON.stringify({
       model,
       messages: formattedMessages,
       system,
+      ...(structured || this.formatTools(options)),
       max_tokens: options.maxTokens || 4096,
       temperature: options.temperature ?? 0.7,
       top_p: options.topP,
@@ -89,8 +164,15 @@ export class AnthropicProvider extends BaseProvider {
       throw new Error(`Anthropic API error: ${data.error.message}`);
     }
 
+    const blocks = data.content || [];
+    const structuredBlock = structured && blocks.find(b => b.type === 'tool_use');
     return this.normalizeResponse({
-      content: data.content[0]?.text || '',
+      content: structuredBlock
+        ? JSON.stringify(structuredBlock.input)
+        : blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+      toolCalls: structuredBlock ? [] : blocks
+        .filter(b => b.type === 'tool_use')
+        .map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
       tokensUsed: data.usage?.output_tokens + (data.usage?.input_tokens || 0),
       metadata: {
         inputTokens: data.usage?.input_tokens,
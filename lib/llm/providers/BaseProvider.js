@@ -9,13 +9,24 @@
  * Optional methods:
  * - embeddings: Text embeddings
  * - listModels: Available models
+ * - supportsTools: Whether chat() handles options.tools natively
+ *
+ * Tool calling follows the contract in ../tools.js. chatWithTools() uses
+ * native tool calls where the provider has them and falls back to
+ * JSON-in-text for models that don't.
  */
 
+import { toTextToolMessages, parseTextToolCalls } from '../tools.js';
+
 export class BaseProvider {
   constructor(name, options = {}) {
     this.name = name;
     this.options = options;
     this.timeout = options.timeout || 60000;
+    // Runs locally at no cost (budgets never limit it)
+    this.local = false;
+    // Models that rejected native tools at runtime
+    this.textToolModels = new Set(options.textToolModels || []);
   }
 
   /**
@@ -40,6 +51,64 @@ export class BaseProvider {
     throw new Error(`stream() method not implemented by ${this.name} provider`);
   }
 
+  /**
+   * Whether chat() can send options.tools natively for this model
+   * @param {string} model - Model identifier
+   * @returns {boolean}
+   */
+  supportsTools(model) {
+    return false;
+  }
+
+  /**
+   * Chat with tools available. Native tool calls where supported, else the
+   * tools are described in the prompt and calls parsed from the reply.
+   * @param {string} model - Model identifier
+   * @param {Array} messages - Messages, including assistant toolCalls and tool results
+   * @param {Object} options - Chat options with tools, toolChoice, parallelToolCalls
+   *   and toolMode ('auto' | 'native' | 'text')
+   * @returns {Promise<Object>} Response with toolCalls
+   */
+  async chatWithTools(model, messages, options = {}) {
+    const mode = options.toolMode || 'auto';
+    const native = mode === 'native' || (mode === 'auto' && this.supportsTools(model) && !this.textToolModels.has(model));
+
+    if (native) {
+      try {
+        return await this.chat(model, messages, options);
+      } catch (error) {
+        if (mode === 'native' || !this.isToolSupportError(error)) throw error;
+        this.textToolModels.add(model);
+      }
+    }
+
+    return this.chatWithTextTools(model, messages, options);
+  }
+
+  /**
+   * JSON-in-text fallback for models without native tool calling
+   */
+  async chatWithTextTools(model, messages, options = {}) {
+    const { tools, toolChoice, parallelToolCalls, ...chatOptions } = options;
+    const response = await this.chat(model, toTextToolMessages(messages, tools, { toolChoice, parallelToolCalls }), chatOptions);
+    const { content, toolCalls } = parseTextToolCalls(response.content, tools);
+
+    return {
+      ...response,
+      content,
+      toolCalls: parallelToolCalls === false ? toolCalls.slice(0, 1) : toolCalls,
+      metadata: { ...response.metadata, toolMode: 'text' }
+    };
+  }
+
+  /**
+   * Does an error mean the model can't take tools (rather than a real failure)?
+   */
+  isToolSupportError(error) {
+    return /does not support tools|tools? (are|is) not supported|tool use is not supported|unsupported.*tool|tool_choice.*not supported/i
+      .test(error?.message || '');
+  }
+
   /**
    * Health check - must be implemented by subclasses
    * @returns {Promise<Object>} Health status object
@@ -81,6 +150,7 @@ export class BaseProvider {
       tokensUsed: response.tokensUsed || response.usage?.total_tokens || 0,
       duration: response.duration,
       metadata: response.metadata || {},
+      toolCalls: [],
       ...response
     };
   }
@@ -98,6 +168,16 @@ export class BaseProvider {
     }
   }
 
+  /**
+   * URL for an API path under this.baseUrl, keeping the base path
+   * (new URL('/models', 'http://host/v1') would drop the /v1)
+   * @param {string} path - Path starting with /
+   * @returns {string} Full URL
+   */
+  endpoint(path) {
+    return `${this.baseUrl.replace(/\/+$/, '')}${path}`;
+  }
+
   /**
    * Make HTTP request with timeout and error handling
    * @param {string} url - Request URL
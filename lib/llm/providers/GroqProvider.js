@@ -3,6 +3,8 @@
  * 
  * Supports:
  * - Chat completion
+ * - Tool calling (parallel calls, tool result messages)
+ * - Structured output (JSON mode; the schema itself is checked by LLMManager)
  * - Streaming responses
  * - Health checks
  * 
@@ -10,6 +12,7 @@
  */
 
 import BaseProvider from './BaseProvider.js';
+import { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } from '../tools.js';
 
 export class GroqProvider extends BaseProvider {
   constructor(options = {}) {
@@ -33,18 +36,24 @@ export class GroqProvider extends BaseProvider {
     };
   }
 
+  /**
+   * Native tool calling
+   */
+  supportsTools(model) {
+    return true;
+  }
+
   /**
    * Chat completion
    */
   async chat(model, messages, options = {}) {
-    const url = new URL('/chat/completions', this.baseUrl);
+    const url = new URL(this.endpoint('/chat/completions'));
     
     const body = JSON.stringify({
       model,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: m.content
-      })),
+      messages: toOpenAIMessages(messages),
+      ...toOpenAITools(options),
+      response_format: options.responseSchema ? { type: 'json_object' } : undefined,
       temperature: options.temperature ?? 0.7,
       max_tokens: options.maxTokens,
       top_p: options.topP,
@@ -68,6 +77,7 @@ export class GroqProvider extends BaseProvider {
 
     return this.normalizeResponse({
       content: data.choices[0]?.message?.content || '',
+      toolCalls: fromOpenAIToolCalls(data.choices[0]?.message?.tool_calls),
       tokensUsed: data.usage?.total_tokens,
       metadata: {
         promptTokens: data.usage?.prompt_tokens,
@@ -84,7 +94,7 @@ export class GroqProvider extends BaseProvider {
    * Streaming chat
    */
   async *stream(model, messages, options = {}) {
-    const url = new URL('/chat/completions', this.baseUrl);
+    const url = new URL(this.endpoint('/chat/completions'));
     
     const body = JSON.stringify({
       model,
@@ -165,7 +175,7 @@ export class GroqProvider extends BaseProvider {
    * List available models
    */
   async listModels() {
-    const url = new URL('/models', this.baseUrl);
+    const url = new URL(this.endpoint('/models'));
     
     try {
       const response = await this.makeRequest(url.toString(), {
@@ -214,7 +224,7 @@ export class GroqProvider extends BaseProvider {
    */
   async healthCheck() {
     try {
-      const url = new URL('/models', this.baseUrl);
+      const url = new URL(this.endpoint('/models'));
       
       // Use shorter timeout for health check
       const controller = new AbortController();
@@ -268,7 +278,7 @@ export class GroqProvider extends BaseProvider {
    * Get model details
    */
   async getModel(modelId) {
-    const url = new URL(`/models/${modelId}`, this.baseUrl);
+    const url = new URL(this.endpoint(`/models/${modelId}`));
     
     try {
       const response = await this.makeRequest(url.toString(), {
@@ -3,18 +3,39 @@
  * 
  * Supports:
  * - Chat completion
+ * - Tool calling (models without tool support fall back to JSON-in-text)
+ * - Structured output (JSON Schema in the format field)
  * - Streaming responses
  * - Embeddings
  * - Health checks
  */
 
 import BaseProvider from './BaseProvider.js';
+import { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } from '../tools.js';
 
 export class OllamaProvider extends BaseProvider {
   constructor(options = {}) {
     super('ollama', options);
     this.host = options.host || process.env.OLLAMA_HOST || 'http://localhost:11434';
     this.timeout = options.timeout || 120000; // Longer timeout for local models
+    this.local = true;
+  }
+
+  /**
+   * Tool support depends on the model; chatWithTools() remembers the ones
+   * that turn tools down and uses JSON-in-text for them
+   */
+  supportsTools(model) {
+    return true;
+  }
+
+  /**
+   * Messages in Ollama's format (tool arguments stay objects)
+   */
+  formatMessages(messages) {
+    return toOpenAIMessages(messages, { argumentsAsObject: true }).map(m =>
+      m.role === 'tool' ? { role: 'tool', content: m.content, tool_name: m.name } : m
+    );
   }
 
   /**
@@ -22,13 +43,13 @@ export class OllamaProvider extends BaseProvider {
    */
   async chat(model, messages, options = {}) {
     const url = new URL('/api/chat', this.host);
+    const { tools } = toOpenAITools(options);
     
     const body = JSON.stringify({
       model,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: m.content
-      })),
+      messages: this.formatMessages(messages),
+      tools,
+      format: options.responseSchema?.schema,
       stream: false,
       options: {
         temperature: options.temperature ?? 0.7,
@@ -50,6 +71,7 @@ export class OllamaProvider extends BaseProvider {
 
     return this.normalizeResponse({
       content: data.message?.content || '',
+      toolCalls: fromOpenAIToolCalls(data.message?.tool_calls),
       tokensUsed: data.eval_count,
       duration: data.total_duration ? data.total_duration / 1e6 : undefined,
       metadata: {
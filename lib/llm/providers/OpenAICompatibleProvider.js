@@ -0,0 +1,193 @@
+/**
+ * OpenAI-Compatible Provider - local servers speaking the OpenAI API
+ *
+ * For llama.cpp's server, LM Studio, vLLM and anything else that serves
+ * /v1/chat/completions. Point it at the server and, optionally, say what
+ * each model can do:
+ *
+ *   {
+ *     baseUrl: 'http://localhost:1234/v1',
+ *     models: {
+ *       'qwen2.5-7b-instruct': { capabilities: ['chat', 'general', 'tools'], contextWindow: 32768 },
+ *       'nomic-embed-text-v1.5': { capabilities: ['embeddings'] }
+ *     }
+ *   }
+ *
+ * Capabilities use the DEFAULT_MODELS names (chat, general, coding,
+ * reasoning, fast, embeddings...) plus 'tools' and 'vision'. A model joins
+ * the fallback chain of every task it lists. Models found via /v1/models
+ * but not declared get capabilities from what the server reports, and
+ * 'tools' only when declared - others use the JSON-in-text fallback.
+ */
+
+import OpenAIProvider from './OpenAIProvider.js';
+
+export const DEFAULT_COMPATIBLE_URL = 'http://localhost:8080/v1';
+
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: options.name || 'openai-compatible',
+      baseUrl: options.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_COMPATIBLE_URL,
+      // Never send the OpenAI key to a local server
+      apiKey: options.apiKey ?? process.env.OPENAI_COMPATIBLE_API_KEY ?? '',
+      organization: ''
+    });
+    // Set local: false for a hosted server that bills per token
+    this.local = options.local ?? true;
+    this.declaredModels = options.models || {};
+    this.defaultCapabilities = options.capabilities || ['chat'];
+    this.discoveredModels = new Map();
+  }
+
+  /**
+   * Local servers usually run without a key
+   */
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Get request headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'StaticRebel/1.0'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Capabilities and context length for a model: declared, else discovered
+   * @param {string} model - Model id as the server knows it
+   * @returns {{ id: string, capabilities: string[], contextWindow: number|null, declared: boolean }}
+   */
+  getModelInfo(model) {
+    const declared = this.declaredModels[model];
+    const discovered = this.discoveredModels.get(model);
+
+    return {
+      id: model,
+      capabilities: declared?.capabilities || discovered?.capabilities || [...this.defaultCapabilities],
+      contextWindow: declared?.contextWindow || declared?.contextLength || discovered?.contextWindow || null,
+      declared: Boolean(declared)
+    };
+  }
+
+  /**
+   * Native tool calling for models declared with 'tools'
+   */
+  supportsTools(model) {
+    return this.getModelInfo(model).capabilities.includes('tools');
+  }
+
+  /**
+   * Capabilities from a /v1/models entry. LM Studio reports a type;
+   * otherwise embedding models are recognised by name.
+   */
+  guessCapabilities(model) {
+    if (model.type === 'embeddings' || /embed/i.test(model.id)) return ['embeddings'];
+    if (model.type === 'vlm') return [...this.defaultCapabilities, 'vision'];
+    return [...this.defaultCapabilities];
+  }
+
+  /**
+   * Fetch the server's models from /v1/models
+   * @returns {Promise<Array>} Declared and discovered models
+   */
+  async discoverModels() {
+    const response = await this.makeRequest(this.endpoint('/models'), {
+      headers: this.getHeaders()
+    });
+    const data = await response.json();
+
+    if (data.error) {
+      throw new Error(`${this.name} API error: ${data.error.message || data.error}`);
+    }
+
+    this.discoveredModels.clear();
+    for (const model of data.data || []) {
+      this.discoveredModels.set(model.id, {
+        capabilities: this.guessCapabilities(model),
+        // vLLM, llama.cpp and LM Studio each name this differently
+        contextWindow: model.max_model_len || model.meta?.n_ctx_train || model.max_context_length || null,
+        ownedBy: model.owned_by
+      });
+    }
+
+    return this.getKnownModels();
+  }
+
+  /**
+   * Every declared or discovered model
+   */
+  getKnownModels() {
+    const ids = new Set([...Object.keys(this.declaredModels), ...this.discoveredModels.keys()]);
+    return Array.from(ids).map(id => ({
+      ...this.getModelInfo(id),
+      name: id,
+      available: this.discoveredModels.has(id),
+      provider: this.name
+    }));
+  }
+
+  /**
+   * Model configurations for LLMManager's registry (DEFAULT_MODELS shape)
+   */
+  getModelConfigs() {
+    return this.getKnownModels().map(model => ({
+      ref: `${this.name}/${model.id}`,
+      provider: this.name,
+      model: model.id,
+      name: model.name,
+      contextWindow: model.contextWindow || 8192,
+      capabilities: model.capabilities,
+      cost: 'free'
+    }));
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    try {
+      return await this.discoverModels();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Health check - also refreshes the discovered models
+   */
+  async healthCheck() {
+    try {
+      const models = await this.discoverModels();
+      const available = models.filter(m => m.available);
+
+      return {
+        healthy: true,
+        models: available.map(m => m.id),
+        modelCount: available.length,
+        provider: this.name,
+        apiUrl: this.baseUrl
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        error: error.message,
+        provider: this.name,
+        apiUrl: this.baseUrl
+      };
+    }
+  }
+}
+
+export default OpenAICompatibleProvider;
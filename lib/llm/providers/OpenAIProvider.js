@@ -3,25 +3,35 @@
  * 
  * Supports:
  * - Chat completion
+ * - Tool calling (parallel calls, tool result messages)
+ * - Structured output (json_schema response format)
  * - Streaming responses  
  * - Embeddings
  * - Health checks
  */
 
 import BaseProvider from './BaseProvider.js';
+import { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } from '../tools.js';
 
 export class OpenAIProvider extends BaseProvider {
   constructor(options = {}) {
-    super('openai', options);
-    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    super(options.name || 'openai', options);
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
     this.baseUrl = options.baseUrl || 'https://api.openai.com/v1';
-    this.organization = options.organization || process.env.OPENAI_ORG_ID;
+    this.organization = options.organization ?? process.env.OPENAI_ORG_ID;
     
-    if (!this.apiKey) {
+    if (!this.apiKey && this.requiresApiKey()) {
       throw new Error('OpenAI provider requires apiKey or OPENAI_API_KEY environment variable');
     }
   }
 
+  /**
+   * Whether the server needs an API key
+   */
+  requiresApiKey() {
+    return true;
+  }
+
   /**
    * Get request headers
    */
@@ -39,18 +49,26 @@ export class OpenAIProvider extends BaseProvider {
     return headers;
   }
 
+  /**
+   * Native tool calling
+   */
+  supportsTools(model) {
+    return true;
+  }
+
   /**
    * Chat completion
    */
   async chat(model, messages, options = {}) {
-    const url = new URL('/chat/completions', this.baseUrl);
+    const url = new URL(this.endpoint('/chat/completions'));
     
     const body = JSON.stringify({
       model,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: m.content
-      })),
+      messages: toOpenAIMessages(messages),
+      ...toOpenAITools(options),
+      response_format: options.responseSchema
+        ? { type: 'json_schema', json_schema: { name: options.responseSchema.name, schema: options.responseSchema.schema } }
+        : undefined,
       temperature: options.temperature ?? 0.7,
       max_tokens: options.maxTokens,
       top_p: options.topP,
@@ -74,6 +92,7 @@ export class OpenAIProvider extends BaseProvider {
 
     return this.normalizeResponse({
       content: data.choices[0]?.message?.content || '',
+      toolCalls: fromOpenAIToolCalls(data.choices[0]?.message?.tool_calls),
       tokensUsed: data.usage?.total_tokens,
       metadata: {
         promptTokens: data.usage?.prompt_tokens,
@@ -89,7 +108,7 @@ export class OpenAIProvider extends BaseProvider {
    * Streaming chat
    */
   async *stream(model, messages, options = {}) {
-    const url = new URL('/chat/completions', this.baseUrl);
+    const url = new URL(this.endpoint('/chat/completions'));
     
     const body = JSON.stringify({
       model,
@@ -163,7 +182,7 @@ export class OpenAIProvider extends BaseProvider {
    * Text embeddings
    */
   async embeddings(model, texts, options = {}) {
-    const url = new URL('/embeddings', this.baseUrl);
+    const url = new URL(this.endpoint('/embeddings'));
     const textArray = Array.isArray(texts) ? texts : [texts];
     
     const body = JSON.stringify({
@@ -192,7 +211,7 @@ export class OpenAIProvider extends BaseProvider {
    * List available models
    */
   async listModels() {
-    const url = new URL('/models', this.baseUrl);
+    const url = new URL(this.endpoint('/models'));
     
     try {
       const response = await this.makeRequest(url.toString(), {
@@ -222,7 +241,7 @@ export class OpenAIProvider extends BaseProvider {
    */
   async healthCheck() {
     try {
-      const url = new URL('/models', this.baseUrl);
+      const url = new URL(this.endpoint('/models'));
       
       // Use shorter timeout for health check
       const controller = new AbortController();
@@ -276,7 +295,7 @@ export class OpenAIProvider extends BaseProvider {
    * Get model details
    */
   async getModel(modelId) {
-    const url = new URL(`/models/${modelId}`, this.baseUrl);
+    const url = new URL(this.endpoint(`/models/${modelId}`));
     
     try {
       const response = await this.makeRequest(url.toString(), {
@@ -13,6 +13,7 @@ import OllamaProvider from './OllamaProvider.js';
 import OpenAIProvider from './OpenAIProvider.js';
 import AnthropicProvider from './AnthropicProvider.js';
 import GroqProvider from './GroqProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
 
 // ============================================================================
 // Provider Registry
@@ -23,6 +24,7 @@ export const providers = {
   openai: OpenAIProvider,
   anthropic: AnthropicProvider,
   groq: GroqProvider,
+  'openai-compatible': OpenAICompatibleProvider,
 };
 
 // ============================================================================
@@ -46,7 +48,9 @@ export function createProvider(name, options = {}) {
 }
 
 /**
- * Create multiple providers from configuration
+ * Create multiple providers from configuration. An entry may set `type` to
+ * register a provider class under another name, e.g. several local servers:
+ *   { lmstudio: { type: 'openai-compatible', baseUrl: 'http://localhost:1234/v1' } }
  * @param {Object} config - Provider configurations
  * @returns {Map} Map of provider instances
  */
@@ -54,9 +58,10 @@ export function createProviders(config = {}) {
   const instances = new Map();
 
   for (const [name, options] of Object.entries(config)) {
-    if (providers[name]) {
+    const type = options?.type || name;
+    if (providers[type]) {
       try {
-        const instance = createProvider(name, options);
+        const instance = createProvider(type, type === name ? options : { ...options, name });
         instances.set(name, instance);
       } catch (error) {
         console.warn(`Failed to create ${name} provider: ${error.message}`);
@@ -105,16 +110,24 @@ export function detectAvailableProviders() {
     };
   }
 
+  // OpenAI-compatible local server (llama.cpp, LM Studio, vLLM)
+  if (process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    available['openai-compatible'] = {
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY
+    };
+  }
+
   return available;
 }
 
 /**
  * Create providers automatically from environment
+ * @param {Object} [config] - Extra or overriding provider configurations
  * @returns {Map} Map of available provider instances
  */
-export function createAvailableProviders() {
-  const config = detectAvailableProviders();
-  return createProviders(config);
+export function createAvailableProviders(config = {}) {
+  return createProviders({ ...detectAvailableProviders(), ...config });
 }
 
 // ============================================================================
@@ -351,7 +364,8 @@ export {
   OllamaProvider,
   OpenAIProvider, 
   AnthropicProvider,
-  GroqProvider
+  GroqProvider,
+  OpenAICompatibleProvider
 };
 
 export default {
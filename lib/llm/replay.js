@@ -0,0 +1,298 @@
+/**
+ * LLM Record/Replay - deterministic model responses for tests
+ *
+ * Sits between callers and the model: LLMManager's providers and
+ * modelRegistry.chatCompletion (which handleChat, the intelligent router
+ * and the main agent use).
+ *
+ * - record: calls go to the model; each request/response pair (stream
+ *   chunks included) is saved to <dir>/<hash>.json
+ * - replay: responses come from the fixtures, the model is never called,
+ *   and a request with no fixture throws LLMReplayError
+ *
+ * Fixtures are keyed by a hash of the normalized request: roles, message
+ * text with whitespace collapsed and timestamps, dates and UUIDs scrubbed,
+ * tools and response schema. The model and sampling options are not part
+ * of the key, so fixtures survive a model switch. Turn it on with
+ *
+ *   STATIC_REBEL_LLM_REPLAY=record|replay
+ *   STATIC_REBEL_LLM_FIXTURES=tests/fixtures/llm   (default)
+ *
+ * or from a test with setReplayHarness(new LLMReplayHarness({ mode, dir })).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const REPLAY_MODES = ['record', 'replay'];
+export const DEFAULT_FIXTURES_DIR = path.join('tests', 'fixtures', 'llm');
+
+// Text that changes from run to run, replaced before hashing
+export const DEFAULT_SCRUBBERS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b\d{4}-\d{2}-\d{2}\b/g, '<date>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>']
+];
+
+/**
+ * Thrown in replay mode for a request that has no fixture
+ */
+export class LLMReplayError extends Error {
+  constructor(kind, hash, request, fixturesDir) {
+    const last = request.messages?.at(-1)?.content || request.input?.[0] || '';
+    super(
+      `No recorded LLM response for ${kind} request ${hash} ` +
+      `(last message: "${String(last).slice(0, 80)}") in ${fixturesDir}. ` +
+      'Record it with STATIC_REBEL_LLM_REPLAY=record'
+    );
+    this.name = 'LLMReplayError';
+    this.code = 'replay_miss';
+    this.kind = kind;
+    this.hash = hash;
+    this.request = request;
+  }
+
+  toJSON() {
+    return {
+      error: 'No recorded LLM response',
+      code: this.code,
+      message: this.message,
+      details: { kind: this.kind, hash: this.hash, request: this.request }
+    };
+  }
+}
+
+function normalizeText(text, scrubbers) {
+  let result = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+  for (const [pattern, replacement] of scrubbers) {
+    result = result.replace(pattern, replacement);
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The parts of a request that decide the response
+ * @param {Object} request - { messages, options, input } (input for embeddings)
+ * @param {Array} [scrubbers] - [pattern, replacement] pairs
+ * @returns {Object}
+ */
+export function normalizeRequest(request, scrubbers = DEFAULT_SCRUBBERS) {
+  const { messages, options = {}, input } = request;
+  const normalized = {};
+
+  if (messages) {
+    normalized.messages = messages.map(m => {
+      const message = { role: m.role, content: normalizeText(m.content, scrubbers) };
+      if (m.toolCalls?.length) {
+        message.toolCalls = m.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+      }
+      return message;
+    });
+  }
+  if (input) {
+    normalized.input = [].concat(input).map(text => normalizeText(text, scrubbers));
+  }
+  if (options.tools?.length) {
+    normalized.tools = options.tools.map(tool => ({
+      name: tool.name || tool.function?.name,
+      parameters: tool.parameters || tool.function?.parameters || null
+    }));
+  }
+  const schema = options.responseSchema?.schema || options.format;
+  if (schema) {
+    normalized.schema = schema;
+  }
+
+  return normalized;
+}
+
+/**
+ * Fixture key for a normalized request
+ */
+export function hashRequest(kind, normalized) {
+  return crypto.createHash('sha1').update(JSON.stringify({ kind, ...normalized })).digest('hex').slice(0, 16);
+}
+
+export class LLMReplayHarness {
+  /**
+   * @param {Object} options - { mode: 'record' | 'replay', dir, scrubbers }
+   */
+  constructor(options = {}) {
+    if (!REPLAY_MODES.includes(options.mode)) {
+      throw new Error(`Unknown LLM replay mode: ${options.mode} (use ${REPLAY_MODES.join(' or ')})`);
+    }
+    this.mode = options.mode;
+    this.dir = path.resolve(options.dir || DEFAULT_FIXTURES_DIR);
+    this.scrubbers = options.scrubbers || DEFAULT_SCRUBBERS;
+    // Calls per fixture this run: repeated requests get successive responses
+    this.calls = new Map();
+    this.stats = { recorded: 0, replayed: 0, missed: 0 };
+  }
+
+  fixturePath(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async readFixture(hash) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fixturePath(hash), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save a response. The first recording of a request in a run replaces
+   * the fixture; later ones are appended and replayed in order.
+   */
+  async saveFixture(kind, hash, request, response, model) {
+    const count = this.calls.get(hash) || 0;
+    this.calls.set(hash, count + 1);
+
+    const fixture = (count > 0 && await this.readFixture(hash)) || {
+      hash,
+      kind,
+      model: model || null,
+      request,
+      responses: []
+    };
+    fixture.responses.push(response);
+    fixture.recordedAt = new Date().toISOString();
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.fixturePath(hash), JSON.stringify(fixture, null, 2) + '\n');
+    this.stats.recorded++;
+  }
+
+  /**
+   * The recorded response for a request (the last one repeats)
+   * @throws {LLMReplayError}
+   */
+  async loadResponse(kind, hash, request) {
+    const fixture = await this.readFixture(hash);
+    if (!fixture) {
+      this.stats.missed++;
+      throw new LLMReplayError(kind, hash, request, this.dir);
+    }
+
+    const count = this.calls.get(hash) || 0;
+    this.calls.set(hash, count + 1);
+    this.stats.replayed++;
+    return fixture.responses[Math.min(count, fixture.responses.length - 1)];
+  }
+
+  /**
+   * Run a request through the harness
+   * @param {string} kind - 'chat' or 'embeddings'
+   * @param {Object} request - { model, messages, options, input }
+   * @param {Function} live - async () => response, calls the model
+   */
+  async call(kind, request, live) {
+    const normalized = normalizeRequest(request, this.scrubbers);
+    const hash = hashRequest(kind, normalized);
+
+    if (this.mode === 'replay') {
+      return this.loadResponse(kind, hash, normalized);
+    }
+
+    const response = await live();
+    await this.saveFixture(kind, hash, normalized, response, request.model);
+    return response;
+  }
+
+  /**
+   * Streaming version of call(): chunks are recorded and replayed as a list
+   * @param {Object} request - { model, messages, options }
+   * @param {Function} live - () => async iterable of chunks
+   */
+  async *stream(request, live) {
+    const normalized = normalizeRequest(request, this.scrubbers);
+    const hash = hashRequest('stream', normalized);
+
+    if (this.mode === 'replay') {
+      const { chunks } = await this.loadResponse('stream', hash, normalized);
+      yield* chunks;
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of live()) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    await this.saveFixture('stream', hash, normalized, { chunks }, request.model);
+  }
+
+  /**
+   * Route a provider's chat, stream and embeddings through the harness.
+   * In replay mode health checks pass without contacting the server.
+   * @param {BaseProvider} provider
+   * @returns {BaseProvider} The same provider
+   */
+  wrapProvider(provider) {
+    if (provider.replayHarness) return provider;
+    provider.replayHarness = this;
+
+    const chat = provider.chat.bind(provider);
+    const stream = provider.stream.bind(provider);
+    const embeddings = provider.embeddings.bind(provider);
+    const healthCheck = provider.healthCheck.bind(provider);
+    const ref = model => `${provider.name}/${model}`;
+
+    provider.chat = (model, messages, options = {}) =>
+      this.call('chat', { model: ref(model), messages, options }, () => chat(model, messages, options));
+    provider.stream = (model, messages, options = {}) =>
+      this.stream({ model: ref(model), messages, options }, () => stream(model, messages, options));
+    provider.embeddings = (model, texts, options = {}) =>
+      this.call('embeddings', { model: ref(model), input: texts }, () => embeddings(model, texts, options));
+    provider.healthCheck = () => this.mode === 'replay'
+      ? Promise.resolve({ healthy: true, provider: provider.name, replay: true })
+      : healthCheck();
+
+    return provider;
+  }
+
+  /**
+   * Wrap every provider an LLMManager has registered
+   */
+  attach(manager) {
+    for (const provider of manager.providers.values()) {
+      this.wrapProvider(provider);
+    }
+    return manager;
+  }
+}
+
+let globalHarness;
+
+/**
+ * The harness configured by STATIC_REBEL_LLM_REPLAY, or set with
+ * setReplayHarness(); null when record/replay is off
+ */
+export function getReplayHarness() {
+  if (globalHarness === undefined) {
+    const mode = process.env.STATIC_REBEL_LLM_REPLAY;
+    globalHarness = mode && mode !== 'off'
+      ? new LLMReplayHarness({ mode, dir: process.env.STATIC_REBEL_LLM_FIXTURES })
+      : null;
+  }
+  return globalHarness;
+}
+
+/**
+ * Install a harness (or null to turn record/replay off)
+ */
+export function setReplayHarness(harness) {
+  globalHarness = harness;
+}
+
+export default {
+  LLMReplayHarness,
+  LLMReplayError,
+  normalizeRequest,
+  hashRequest,
+  getReplayHarness,
+  setReplayHarness
+};
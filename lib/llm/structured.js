@@ -0,0 +1,266 @@
+/**
+ * Structured Output - JSON replies validated against a JSON Schema
+ *
+ * Callers pass a schema and get back a validated object or a
+ * StructuredOutputError - never a half-parsed guess:
+ *
+ *   const { data } = await llm.chat(model, messages, { schema: PLAN_SCHEMA });
+ *
+ * Providers enforce the schema natively where they can (Ollama format,
+ * OpenAI-style response_format, Anthropic forced tool use); the schema is
+ * also described in the prompt. Replies that still fail to parse or
+ * validate are sent back with the errors, up to maxRepairs times.
+ *
+ * The validator covers the JSON Schema keywords models are asked for:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * min/maxItems, minimum/maximum, min/maxLength, pattern, anyOf and oneOf.
+ */
+
+import { findJsonBlocks } from './tools.js';
+
+export const DEFAULT_MAX_REPAIRS = 2;
+
+/**
+ * Thrown when a reply can't be turned into data matching the schema.
+ * `code` is 'invalid_json' or 'schema_mismatch'; `errors` is a list of
+ * { path, message }; `content` is the last raw reply.
+ */
+export class StructuredOutputError extends Error {
+  constructor(code, errors, details = {}) {
+    super(`Model output ${code === 'invalid_json' ? 'was not valid JSON' : 'did not match the schema'}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = code;
+    this.errors = errors;
+    this.content = details.content ?? null;
+    this.attempts = details.attempts ?? 1;
+  }
+
+  toJSON() {
+    return {
+      error: 'Structured output failed',
+      code: this.code,
+      message: this.message,
+      attempts: this.attempts,
+      details: this.errors
+    };
+  }
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Path of the value, for error messages
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+export function validateJsonSchema(value, schema = {}, path = '$') {
+  const errors = [];
+  if (!schema || schema === true) return errors;
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const passing = options.filter(option => validateJsonSchema(value, option, path).length === 0).length;
+    if (passing === 0 || (schema.oneOf && passing > 1)) {
+      errors.push({ path, message: schema.oneOf && passing > 1 ? 'matches more than one allowed shape' : 'does not match any allowed shape' });
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push({ path: `${path}.${field}`, message: 'is required' });
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        errors.push(...validateJsonSchema(fieldValue, properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${field}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(fieldValue, schema.additionalProperties, `${path}.${field}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * The JSON value in a reply: the whole reply, a ```json fence or the
+ * first {...} / [...] block that parses
+ * @throws {StructuredOutputError} code 'invalid_json'
+ */
+export function parseJsonOutput(text) {
+  const content = (text || '').trim();
+  const candidates = [content];
+
+  const fence = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fence) candidates.push(fence[1].trim());
+  candidates.push(...findJsonBlocks(content).map(block => block.text));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  throw new StructuredOutputError('invalid_json', [
+    { path: '$', message: content ? 'could not be parsed as JSON' : 'is empty' }
+  ], { content });
+}
+
+/**
+ * Parse and validate a reply
+ * @returns {*} The validated data
+ * @throws {StructuredOutputError}
+ */
+export function parseStructuredOutput(text, schema) {
+  const data = parseJsonOutput(text);
+  const errors = validateJsonSchema(data, schema);
+  if (errors.length > 0) {
+    throw new StructuredOutputError('schema_mismatch', errors, { content: text });
+  }
+  return data;
+}
+
+// ============================================================================
+// Prompting and repair
+// ============================================================================
+
+/**
+ * Schema name as providers accept it (letters, digits, _ and -)
+ */
+export function normalizeSchemaName(name) {
+  return String(name || 'response').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/**
+ * Instruction added to the system prompt
+ */
+export function schemaInstructions(schema) {
+  return `Respond with only a JSON value matching this JSON Schema, with no other text:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Add the schema instructions to the conversation's system prompt
+ */
+export function withSchemaInstructions(messages, schema) {
+  const instructions = schemaInstructions(schema);
+  const index = messages.findIndex(m => m.role === 'system');
+  if (index === -1) return [{ role: 'system', content: instructions }, ...messages];
+
+  return messages.map((m, i) => i === index ? { ...m, content: `${m.content}\n\n${instructions}` } : m);
+}
+
+/**
+ * Follow-up asking the model to fix its reply
+ */
+export function repairMessage(error) {
+  const problems = error.errors.map(e => `- ${e.path} ${e.message}`).join('\n');
+  return {
+    role: 'user',
+    content: `Your reply ${error.code === 'invalid_json' ? 'was not valid JSON' : 'did not match the schema'}:\n${problems}\nReply again with only the corrected JSON.`
+  };
+}
+
+/**
+ * Chat until the reply validates against the schema
+ * @param {Function} chat - async (messages, { responseSchema: { name, schema } }) =>
+ *   reply text or a response with content
+ * @param {Array} messages - Conversation so far (not modified)
+ * @param {Object} options - { schema, schemaName, maxRepairs = 2 }
+ * @returns {Promise<{ data, content, attempts, response }>}
+ * @throws {StructuredOutputError} When the last repair still fails
+ */
+export async function runStructured(chat, messages, options = {}) {
+  const { schema, schemaName, maxRepairs = DEFAULT_MAX_REPAIRS } = options;
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('Structured output needs a JSON Schema object');
+  }
+
+  const responseSchema = { name: normalizeSchemaName(schemaName), schema };
+  const conversation = withSchemaInstructions(messages, schema);
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await chat(conversation, { responseSchema });
+    const content = typeof response === 'string' ? response : response?.content ?? response?.message ?? '';
+
+    try {
+      const data = parseStructuredOutput(content, schema);
+      return { data, content, attempts: attempt, response };
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) throw error;
+      error.attempts = attempt;
+      if (attempt > maxRepairs) throw error;
+
+      conversation.push({ role: 'assistant', content }, repairMessage(error));
+    }
+  }
+}
+
+export default {
+  StructuredOutputError,
+  validateJsonSchema,
+  parseJsonOutput,
+  parseStructuredOutput,
+  normalizeSchemaName,
+  schemaInstructions,
+  withSchemaInstructions,
+  repairMessage,
+  runStructured
+};
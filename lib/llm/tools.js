@@ -0,0 +1,317 @@
+/**
+ * Tool Calling - provider-neutral contract for function/tool calls
+ *
+ * Tools are described once and every provider maps them to its own API:
+ *
+ *   tool:        { name, description, parameters }   (parameters is a JSON Schema object)
+ *   tool call:   { id, name, arguments }              (arguments is an object)
+ *
+ * Conversations use two extra message shapes:
+ *
+ *   { role: 'assistant', content, toolCalls: [toolCall, ...] }
+ *   { role: 'tool', toolCallId, name, content }       (content is a string)
+ *
+ * Chat options: { tools, toolChoice: 'auto' | 'none' | 'required' | { name },
+ * parallelToolCalls: false to ask for at most one call per turn }.
+ * Responses carry toolCalls (empty when the model answered in text).
+ *
+ * Models without native support use the JSON-in-text fallback: the tools
+ * are described in the system prompt and calls are parsed out of the reply.
+ */
+
+let callCounter = 0;
+
+/**
+ * Id for a tool call the provider didn't name (Ollama, text fallback)
+ */
+export function createToolCallId() {
+  callCounter = (callCounter + 1) % 1e6;
+  return `call_${Date.now().toString(36)}${callCounter.toString(36)}`;
+}
+
+/**
+ * Validate tool definitions and fill in an empty parameter schema
+ */
+export function normalizeTools(tools = []) {
+  return tools.map(tool => {
+    if (!tool?.name || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+    return {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    };
+  });
+}
+
+/**
+ * Tool result content is always a string on the wire
+ */
+export function stringifyToolResult(result) {
+  if (typeof result === 'string') return result;
+  if (result === undefined) return '';
+  return JSON.stringify(result);
+}
+
+/**
+ * Arguments arrive as objects (Ollama, Anthropic) or JSON strings (OpenAI)
+ */
+export function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return { _raw: args };
+  }
+}
+
+// ============================================================================
+// OpenAI-compatible format (OpenAI, Groq, Ollama)
+// ============================================================================
+
+/**
+ * Request fields for tools in the OpenAI chat completions format
+ */
+export function toOpenAITools(options = {}) {
+  if (!options.tools?.length) return {};
+
+  const fields = {
+    tools: normalizeTools(options.tools).map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }))
+  };
+
+  const choice = options.toolChoice;
+  if (typeof choice === 'string') fields.tool_choice = choice;
+  else if (choice?.name) fields.tool_choice = { type: 'function', function: { name: choice.name } };
+  if (options.parallelToolCalls === false) fields.parallel_tool_calls = false;
+
+  return fields;
+}
+
+/**
+ * Messages in the OpenAI format
+ * @param {Array} messages
+ * @param {Object} [options] - { argumentsAsObject: Ollama takes arguments unencoded }
+ */
+export function toOpenAIMessages(messages, options = {}) {
+  return messages.map(m => {
+    if (m.role === 'tool') {
+      return { role: 'tool', tool_call_id: m.toolCallId, name: m.name, content: stringifyToolResult(m.content) };
+    }
+    if (m.role === 'assistant' && m.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: m.content || (options.argumentsAsObject ? '' : null),
+        tool_calls: m.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: options.argumentsAsObject ? call.arguments : JSON.stringify(call.arguments || {})
+          }
+        }))
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * tool_calls from an OpenAI-format response message
+ */
+export function fromOpenAIToolCalls(toolCalls = []) {
+  return (toolCalls || []).map(call => ({
+    id: call.id || createToolCallId(),
+    name: call.function?.name,
+    arguments: parseToolArguments(call.function?.arguments)
+  }));
+}
+
+// ============================================================================
+// JSON-in-text fallback
+// ============================================================================
+
+/**
+ * System prompt describing the tools and how to call them in plain text
+ */
+export function toolsToPrompt(tools, options = {}) {
+  const list = normalizeTools(tools).map(tool =>
+    `- ${tool.name}: ${tool.description}\n  parameters: ${JSON.stringify(tool.parameters)}`
+  ).join('\n');
+
+  const rules = [
+    'To use a tool, reply with only a JSON object, no other text:',
+    '{"tool_calls": [{"name": "<tool name>", "arguments": {...}}]}',
+    options.parallelToolCalls === false
+      ? 'Call at most one tool per reply.'
+      : 'You may call several tools at once by listing them in tool_calls.',
+    'Tool results come back in messages starting with "Tool result".',
+    options.toolChoice === 'required'
+      ? 'You must call a tool.'
+      : 'If no tool is needed, answer normally in plain text.'
+  ];
+  if (options.toolChoice?.name) rules.push(`You must call the ${options.toolChoice.name} tool.`);
+
+  return `You can call these tools:\n${list}\n\n${rules.join('\n')}`;
+}
+
+/**
+ * Rewrite a tool conversation as plain system/user/assistant messages
+ */
+export function toTextToolMessages(messages, tools, options = {}) {
+  const prompt = toolsToPrompt(tools, options);
+  const result = [];
+  let hasSystem = false;
+
+  for (const m of messages) {
+    if (m.role === 'system' && !hasSystem) {
+      result.push({ role: 'system', content: `${m.content}\n\n${prompt}` });
+      hasSystem = true;
+    } else if (m.role === 'tool') {
+      result.push({ role: 'user', content: `Tool result (${m.name || m.toolCallId}):\n${stringifyToolResult(m.content)}` });
+    } else if (m.role === 'assistant' && m.toolCalls?.length) {
+      const calls = m.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+      result.push({ role: 'assistant', content: JSON.stringify({ tool_calls: calls }) });
+    } else {
+      result.push({ role: m.role, content: m.content });
+    }
+  }
+
+  if (!hasSystem) result.unshift({ role: 'system', content: prompt });
+  return result;
+}
+
+/**
+ * Every balanced {...} or [...] block in a text, outermost first
+ */
+export function findJsonBlocks(text) {
+  const blocks = [];
+  for (let start = 0; start < text.length; start++) {
+    const open = text[start];
+    if (open !== '{' && open !== '[') continue;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          blocks.push({ start, end: i + 1, text: text.slice(start, i + 1) });
+          start = i;
+          break;
+        }
+      }
+    }
+  }
+  return blocks;
+}
+
+function callsFromJson(value) {
+  if (Array.isArray(value)) return value.flatMap(callsFromJson);
+  if (!value || typeof value !== 'object') return [];
+  if (Array.isArray(value.tool_calls)) return value.tool_calls.flatMap(callsFromJson);
+  if (value.function?.name) return [{ name: value.function.name, arguments: value.function.arguments }];
+
+  const name = value.name || value.tool || value.tool_name;
+  if (typeof name !== 'string') return [];
+  return [{ name, arguments: value.arguments ?? value.args ?? value.parameters ?? value.input ?? {} }];
+}
+
+/**
+ * Tool calls written into a reply as JSON. Only calls to known tools count;
+ * everything outside the JSON is returned as content.
+ * @returns {{ content: string, toolCalls: Array }}
+ */
+export function parseTextToolCalls(text, tools) {
+  const names = new Set(normalizeTools(tools).map(tool => tool.name));
+  const toolCalls = [];
+  let content = text || '';
+
+  for (const block of findJsonBlocks(content).reverse()) {
+    let value;
+    try {
+      value = JSON.parse(block.text);
+    } catch {
+      continue;
+    }
+    const calls = callsFromJson(value).filter(call => names.has(call.name));
+    if (calls.length === 0) continue;
+
+    toolCalls.unshift(...calls.map(call => ({
+      id: createToolCallId(),
+      name: call.name,
+      arguments: parseToolArguments(call.arguments)
+    })));
+    content = content.slice(0, block.start) + content.slice(block.end);
+  }
+
+  if (toolCalls.length) {
+    content = content.replace(/```(?:json)?\s*```/g, '').trim();
+  }
+  return { content, toolCalls };
+}
+
+// ============================================================================
+// Tool loop
+// ============================================================================
+
+/**
+ * Chat until the model stops calling tools. Calls from one turn run in
+ * parallel; their results go back as tool messages.
+ * @param {Function} chat - async (messages, options) => response with toolCalls
+ * @param {Array} messages - Conversation so far (not modified)
+ * @param {Object} options - { tools, execute: async (call) => result, maxRounds = 5, ...chat options }
+ * @returns {Promise<Object>} Last response plus { messages, toolResults, rounds }
+ */
+export async function runToolLoop(chat, messages, options = {}) {
+  const { execute, maxRounds = 5, ...chatOptions } = options;
+  const conversation = [...messages];
+  const toolResults = [];
+
+  for (let round = 1; ; round++) {
+    const response = await chat(conversation, chatOptions);
+    if (!response.toolCalls?.length || round > maxRounds) {
+      return { ...response, messages: conversation, toolResults, rounds: round };
+    }
+
+    conversation.push({ role: 'assistant', content: response.content || '', toolCalls: response.toolCalls });
+    const results = await Promise.all(response.toolCalls.map(async call => {
+      try {
+        return { call, result: await execute(call) };
+      } catch (error) {
+        return { call, result: { error: error.message } };
+      }
+    }));
+
+    for (const { call, result } of results) {
+      toolResults.push({ id: call.id, name: call.name, arguments: call.arguments, result });
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: stringifyToolResult(result) });
+    }
+  }
+}
+
+export default {
+  createToolCallId,
+  normalizeTools,
+  stringifyToolResult,
+  parseToolArguments,
+  toOpenAITools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  toolsToPrompt,
+  toTextToolMessages,
+  parseTextToolCalls,
+  runToolLoop
+};
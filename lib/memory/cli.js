@@ -0,0 +1,178 @@
+/**
+ * Memory CLI - consolidate facts, review conflicts and archive stale memories
+ *
+ * Usage:
+ *   sr memory consolidate [--no-llm]        Merge duplicates, flag contradictions
+ *   sr memory conflicts [open|resolved|dismissed|all]
+ *   sr memory resolve <conflict> <fact|both>
+ *   sr memory history <fact>                Every version of a fact
+ *   sr memory compact [--dry-run] [--no-llm] Archive stale memories
+ *   sr memory archive [YYYY-MM]             What compaction archived
+ *   sr memory retention                     Retention policy per memory type
+ */
+
+import { consolidateMemories, listConflicts, resolveConflict, getFactHistory } from './consolidation.js';
+import { compactMemories, listArchive, getCompactionLog } from './compaction.js';
+import { getRetentionPolicies, getDecayConfig } from './retention.js';
+
+export async function memoryCommand(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'consolidate': {
+      const report = await consolidateMemories({ useLLM: !rest.includes('--no-llm') });
+      return report.success ? formatReport(report) : `❌ ${report.error}`;
+    }
+
+    case 'conflicts': {
+      const status = rest[0] || 'open';
+      const conflicts = listConflicts(status);
+      if (conflicts.length === 0) return status === 'open' ? '✅ No open memory conflicts' : `No ${status} memory conflicts`;
+      return formatConflicts(conflicts);
+    }
+
+    case 'resolve': {
+      const [id, keep] = rest;
+      if (!id || !keep) return 'Usage: sr memory resolve <conflict> <fact|both>';
+
+      const result = resolveConflict(id, keep);
+      if (!result.success) return `❌ ${result.error}`;
+      return result.conflict.status === 'dismissed'
+        ? '✅ Both facts kept'
+        : `✅ Kept: ${result.conflict.memories.find(m => m.id === result.conflict.keptId).content}`;
+    }
+
+    case 'history': {
+      if (!rest[0]) return 'Usage: sr memory history <fact>';
+      const result = getFactHistory(rest[0]);
+      if (!result.success) return `❌ ${result.error}`;
+      if (result.versions.length === 0) return `No memory with id ${rest[0]}`;
+      return formatHistory(result.versions);
+    }
+
+    case 'compact': {
+      const report = await compactMemories({
+        dryRun: rest.includes('--dry-run'),
+        useLLM: !rest.includes('--no-llm'),
+      });
+      return report.success ? formatCompaction(report) : `❌ ${report.error}`;
+    }
+
+    case 'archive': {
+      const archives = listArchive(rest[0]);
+      if (archives.length === 0) return rest[0] ? `Nothing archived from ${rest[0]}` : 'Nothing has been archived yet';
+      return formatArchive(archives, getCompactionLog(1)[0]);
+    }
+
+    case 'retention':
+      return formatRetention(getRetentionPolicies(), getDecayConfig());
+
+    default:
+      return [
+        'StaticRebel Memory',
+        '',
+        'Usage: sr memory <command>',
+        '',
+        'Commands:',
+        '  consolidate [--no-llm]   Merge duplicate facts and flag contradictions',
+        '  conflicts [status]       List conflicts (open, resolved, dismissed or all)',
+        '  resolve <id> <fact>      Keep one fact of a conflict (the other is superseded)',
+        '  resolve <id> both        The facts don\'t contradict: keep both',
+        '  history <fact>           Show every version of a fact',
+        '  compact [--dry-run]      Archive stale memories into monthly summaries',
+        '  archive [YYYY-MM]        Show what was archived',
+        '  retention                Show retention policies and decay settings',
+      ].join('\n');
+  }
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : 'now';
+}
+
+function formatReport({ checked, groups, duplicates, conflicts }) {
+  const lines = [
+    '🧠 Memory consolidation',
+    '',
+    `Checked ${checked} facts in ${groups} groups of related facts`,
+    `Merged ${duplicates.length} duplicate(s)`,
+    `Found ${conflicts.length} new conflict(s)`,
+  ];
+
+  if (conflicts.length > 0) {
+    lines.push('', formatConflicts(conflicts));
+  }
+  return lines.join('\n');
+}
+
+function formatConflicts(conflicts) {
+  return conflicts.map(conflict => {
+    const lines = [`⚠️  Conflict ${conflict.id} (${conflict.status}) - ${conflict.reason}`];
+    for (const memory of conflict.memories) {
+      if (memory.missing) {
+        lines.push(`   ${memory.id}  (deleted)`);
+        continue;
+      }
+      const marker = memory.id === conflict.keptId ? '✓' : ' ';
+      lines.push(`   ${marker} ${memory.id}  ${memory.content}  [${formatDate(memory.validFrom)} → ${formatDate(memory.validTo)}]`);
+    }
+    if (conflict.status === 'open') {
+      lines.push(`   Resolve: sr memory resolve ${conflict.id} <fact|both>`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function formatHistory(versions) {
+  return versions.map(version => {
+    const state = version.supersededBy ? `superseded by ${version.supersededBy}` : 'current';
+    return `${version.id}  ${version.content}\n   ${formatDate(version.validFrom)} → ${formatDate(version.validTo)} (${state})`;
+  }).join('\n');
+}
+
+function formatCompaction({ dryRun, archived, summaries }) {
+  if (archived.length === 0) return '✅ Nothing to archive: every memory is within its retention policy';
+
+  const byType = {};
+  for (const item of archived) byType[item.type] = (byType[item.type] || 0) + 1;
+
+  const lines = [
+    dryRun ? '🗄️  Memory compaction (dry run - nothing changed)' : '🗄️  Memory compaction',
+    '',
+    `${dryRun ? 'Would archive' : 'Archived'} ${archived.length} memories:`,
+    ...Object.entries(byType).map(([type, count]) => `  ${type}: ${count}`),
+  ];
+
+  if (summaries.length > 0) {
+    lines.push('', 'Monthly summaries:');
+    lines.push(...summaries.map(summary => `  ${summary.month} ${summary.type} (${summary.count} memories) - ${summary.id}`));
+  }
+  if (dryRun) {
+    lines.push('', ...archived.slice(0, 20).map(item => `  - [${item.type}, ${item.policy}] ${item.content.slice(0, 80)}`));
+  }
+  return lines.join('\n');
+}
+
+function formatArchive(archives, lastRun) {
+  const lines = ['🗄️  Archived memories'];
+  if (lastRun) lines.push(`Last compaction: ${new Date(lastRun.ranAt).toLocaleString()} (${lastRun.archived} archived)`);
+
+  for (const { month, items } of archives) {
+    lines.push('', `${month} (${items.length})`);
+    for (const item of items) {
+      const summarized = item.summaryId ? ` → summary ${item.summaryId}` : '';
+      lines.push(`  - [${item.type}] ${item.content.slice(0, 100)}${summarized}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatRetention(policies, decay) {
+  const lines = ['🧠 Memory retention', ''];
+  for (const [type, { policy, days }] of Object.entries(policies)) {
+    lines.push(`  ${type.padEnd(16)} ${policy}${days ? ` after ${days} days unused` : ''}`);
+  }
+  lines.push('', `Decay: unused memories fade with a ${decay.halfLifeDays}-day half-life, to no less than ${decay.floor * 100}% of their score ("forever" types don't fade)`);
+  lines.push('Change with memory.retention and memory.decay in ~/.static-rebel/config/config.json');
+  return lines.join('\n');
+}
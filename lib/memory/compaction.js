@@ -0,0 +1,336 @@
+/**
+ * Memory Compaction - archive memories their retention policy says are stale
+ *
+ * Runs weekly as a cron job (or `sr memory compact`). For every vector
+ * memory and conversation summary that has gone unused longer than its
+ * type's policy allows (lib/memory/retention.js):
+ *
+ *   expire     - the item is moved to the archive
+ *   summarize  - the item is moved to the archive and folded into a
+ *                searchable monthly summary memory (type monthly_summary).
+ *                A later run for the same month replaces that summary with
+ *                a new version rather than adding a second one.
+ *
+ * Facts with versions (superseded ones and the facts that replaced them)
+ * and facts in a conflict are left alone, so fact history and conflict
+ * review keep working.
+ *
+ * Archived items are kept in ~/.static-rebel/memory/archive/YYYY-MM.json
+ * (by the month they were created), and each run is logged to
+ * compaction-log.jsonl in the same directory.
+ *
+ * Usage:
+ *   import { compactMemories, listArchive } from './lib/memory/compaction.js';
+ *
+ *   const report = await compactMemories({ dryRun: true });
+ *   // { success, dryRun, archived: [...], summaries: [...] }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  exportMemories,
+  getMemoriesByType,
+  addMemory,
+  deleteMemory,
+  supersedeMemory,
+  getMemoryStorage,
+  listMemoryConflicts,
+} from './sqlite-memory.js';
+import { loadStore, saveStore } from './conversation.js';
+import { getRetentionPolicies, getRetentionPolicy, isStale } from './retention.js';
+import { chatCompletion, getModelForTask } from '../modelRegistry.js';
+import { loadCronJobs, addCronJob } from '../cronScheduler.js';
+
+export const ARCHIVE_DIR = path.join(os.homedir(), '.static-rebel', 'memory', 'archive');
+const LOG_FILE = path.join(ARCHIVE_DIR, 'compaction-log.jsonl');
+
+export const COMPACTION_JOB_TYPE = 'memory-compaction';
+
+const CONFIG = {
+  DEBUG: process.env.DEBUG_MEMORY === 'true',
+  // Items listed in a summary written without the LLM
+  SUMMARY_ITEMS: 20,
+};
+
+// ============================================================================
+// Stale items
+// ============================================================================
+
+/**
+ * Ids of facts that are part of a version chain or a conflict
+ */
+function versionedMemoryIds(memories) {
+  const ids = new Set();
+  for (const memory of memories) {
+    if (memory.supersededBy) ids.add(memory.id).add(memory.supersededBy);
+  }
+  if (getMemoryStorage() === 'sqlite') {
+    listMemoryConflicts().forEach(conflict => conflict.memoryIds.forEach(id => ids.add(id)));
+  }
+  return ids;
+}
+
+function findStaleVectorMemories(now, policies) {
+  const memories = exportMemories();
+  const versioned = versionedMemoryIds(memories);
+
+  return memories
+    .filter(memory => !versioned.has(memory.id))
+    .map(({ embedding, ...memory }) => ({
+      ...memory,
+      type: memory.metadata.type || 'general',
+      createdAt: memory.validFrom || memory.metadata.timestamp,
+    }))
+    .filter(memory => isStale(memory, now, policies))
+    .map(memory => ({
+      id: memory.id,
+      source: 'vector',
+      type: memory.type,
+      content: memory.content,
+      createdAt: memory.createdAt,
+      lastAccessedAt: memory.lastAccessedAt,
+    }));
+}
+
+async function findStaleSummaries(now, policies) {
+  const store = await loadStore();
+  return (store.summaries || [])
+    .filter(summary => isStale({ type: 'summary', createdAt: summary.timestamp }, now, policies))
+    .map(summary => ({
+      id: summary.id,
+      source: 'conversation',
+      type: 'summary',
+      content: summary.summary,
+      createdAt: summary.timestamp,
+      lastAccessedAt: null,
+    }));
+}
+
+// ============================================================================
+// Monthly summaries
+// ============================================================================
+
+function monthName(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function listSummary(items, month, type, previous) {
+  const shown = items.slice(0, CONFIG.SUMMARY_ITEMS).map(item => `- ${item.content.slice(0, 200)}`);
+  if (items.length > shown.length) shown.push(`- ...and ${items.length - shown.length} more`);
+
+  return [
+    previous || `Archived ${type} memories from ${monthName(month)}:`,
+    ...shown,
+  ].join('\n');
+}
+
+async function summarizeWithLLM(items, month, type, previous) {
+  const response = await chatCompletion(getModelForTask('general'), [
+    {
+      role: 'system',
+      content: 'You condense old memories into a short summary that keeps names, decisions, preferences and dates. Reply with the summary only.',
+    },
+    {
+      role: 'user',
+      content: [
+        `Summarize these ${type} memories from ${monthName(month)}.`,
+        previous ? `Extend this earlier summary of the same month:\n${previous}\n` : '',
+        items.map(item => `- ${item.content}`).join('\n'),
+      ].join('\n'),
+    },
+  ]);
+
+  const content = (typeof response === 'string' ? response : response.message || '').trim();
+  if (!content) throw new Error('Empty summary');
+  return `Summary of ${type} memories from ${monthName(month)}: ${content}`;
+}
+
+async function writeMonthlySummary(items, month, type, { useLLM, summarize }) {
+  const previous = getMemoriesByType('monthly_summary')
+    .find(memory => memory.metadata.month === month && memory.metadata.summaryOf === type);
+
+  let content = null;
+  if (summarize) {
+    content = await summarize(items, { month, type, previous: previous?.content || null });
+  } else if (useLLM) {
+    try {
+      content = await summarizeWithLLM(items, month, type, previous?.content);
+    } catch (error) {
+      if (CONFIG.DEBUG) {
+        console.log(`[Compaction] LLM summary failed, listing items: ${error.message}`);
+      }
+    }
+  }
+  content = content || listSummary(items, month, type, previous?.content);
+
+  const count = items.length + (previous?.metadata.count || 0);
+  const { id } = await addMemory(content, { type: 'monthly_summary', month, summaryOf: type, count });
+  if (previous) supersedeMemory(previous.id, id);
+
+  return { id, month, type, count, content };
+}
+
+// ============================================================================
+// Archive
+// ============================================================================
+
+function archiveFile(month) {
+  return path.join(ARCHIVE_DIR, `${month}.json`);
+}
+
+function readArchiveMonth(month) {
+  try {
+    return JSON.parse(fs.readFileSync(archiveFile(month), 'utf-8'));
+  } catch {
+    return { month, items: [] };
+  }
+}
+
+function appendToArchive(items) {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+
+  const byMonth = new Map();
+  for (const item of items) {
+    if (!byMonth.has(item.month)) byMonth.set(item.month, []);
+    byMonth.get(item.month).push(item);
+  }
+
+  for (const [month, monthItems] of byMonth) {
+    const archive = readArchiveMonth(month);
+    archive.items.push(...monthItems);
+    fs.writeFileSync(archiveFile(month), JSON.stringify(archive, null, 2));
+  }
+}
+
+/**
+ * Archived items
+ * @param {string} [month] - YYYY-MM; every month when omitted
+ * @returns {Array<{month: string, items: Array}>} Newest month first
+ */
+export function listArchive(month = null) {
+  if (month) return [readArchiveMonth(month)].filter(archive => archive.items.length > 0);
+  if (!fs.existsSync(ARCHIVE_DIR)) return [];
+
+  return fs.readdirSync(ARCHIVE_DIR)
+    .filter(file => /^\d{4}-\d{2}\.json$/.test(file))
+    .map(file => readArchiveMonth(file.replace('.json', '')))
+    .sort((a, b) => b.month.localeCompare(a.month));
+}
+
+/**
+ * Past compaction runs, newest first
+ */
+export function getCompactionLog(limit = 20) {
+  try {
+    return fs.readFileSync(LOG_FILE, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .reverse()
+      .slice(0, limit);
+  } catch {
+    return [];
+  }
+}
+
+// ============================================================================
+// Compaction Job
+// ============================================================================
+
+/**
+ * Archive stale memories and fold them into monthly summaries
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be archived without changing anything
+ * @param {string[]} [options.sources] - vector and/or conversation
+ * @param {boolean} [options.useLLM=true] - Write summaries with the LLM (item lists otherwise)
+ * @param {Function} [options.summarize] - Custom summarizer: (items, { month, type, previous }) => text
+ * @param {Date} [options.now]
+ * @returns {Promise<{success: boolean, error?: string, dryRun?: boolean, archived?: Object[], summaries?: Object[]}>}
+ */
+export async function compactMemories(options = {}) {
+  const {
+    dryRun = false,
+    sources = ['vector', 'conversation'],
+    useLLM = true,
+    summarize = null,
+    now = new Date(),
+  } = options;
+
+  const policies = getRetentionPolicies();
+  let stale = [];
+  try {
+    if (sources.includes('vector')) stale.push(...findStaleVectorMemories(now, policies));
+    if (sources.includes('conversation')) stale.push(...await findStaleSummaries(now, policies));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const archivedAt = now.toISOString();
+  stale = stale.map(item => ({
+    ...item,
+    month: (item.createdAt || archivedAt).slice(0, 7),
+    policy: getRetentionPolicy(item.type, policies).policy,
+    archivedAt,
+  }));
+
+  const report = { success: true, dryRun, archived: stale, summaries: [] };
+  if (dryRun || stale.length === 0) return report;
+
+  // One summary per month and type
+  const toSummarize = new Map();
+  for (const item of stale.filter(item => item.policy === 'summarize')) {
+    const key = `${item.month}|${item.type}`;
+    if (!toSummarize.has(key)) toSummarize.set(key, []);
+    toSummarize.get(key).push(item);
+  }
+  for (const items of toSummarize.values()) {
+    const summary = await writeMonthlySummary(items, items[0].month, items[0].type, { useLLM, summarize });
+    items.forEach(item => { item.summaryId = summary.id; });
+    report.summaries.push(summary);
+  }
+
+  appendToArchive(stale);
+
+  for (const item of stale.filter(item => item.source === 'vector')) {
+    deleteMemory(item.id);
+  }
+  const archivedSummaries = new Set(stale.filter(item => item.source === 'conversation').map(item => item.id));
+  if (archivedSummaries.size > 0) {
+    const store = await loadStore();
+    store.summaries = store.summaries.filter(summary => !archivedSummaries.has(summary.id));
+    await saveStore();
+  }
+
+  const byType = {};
+  for (const item of stale) byType[item.type] = (byType[item.type] || 0) + 1;
+  fs.appendFileSync(LOG_FILE, JSON.stringify({
+    ranAt: archivedAt,
+    archived: stale.length,
+    byType,
+    summaries: report.summaries.map(({ id, month, type, count }) => ({ id, month, type, count })),
+  }) + '\n');
+
+  return report;
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * Add the weekly compaction cron job if it isn't scheduled yet
+ */
+export function ensureCompactionJob(expr = '0 4 * * 0') {
+  const existing = loadCronJobs().find(job => job.data?.type === COMPACTION_JOB_TYPE);
+  if (existing) return existing;
+
+  return addCronJob({
+    name: 'Memory compaction',
+    description: 'Archive stale memories into monthly summaries',
+    schedule: { expr },
+    data: { type: COMPACTION_JOB_TYPE },
+  });
+}
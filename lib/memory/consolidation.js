@@ -0,0 +1,368 @@
+/**
+ * Memory Consolidation - merge duplicate facts and catch contradictions
+ *
+ * Facts are only ever appended, so "I'm vegetarian" from March and "I eat
+ * fish now" from June both end up in prompts. The consolidation job:
+ *
+ *   0. copies new long-term markdown lines into vector memory, dated when
+ *      the file was last changed, so they're checked like any other fact
+ *   1. groups related current facts (same key, similar embedding or wording)
+ *   2. merges duplicates into the newest copy
+ *   3. finds contradictions in each group (the LLM when it's available,
+ *      otherwise key and negation rules) and lets the newer fact win
+ *   4. records each contradiction as an open conflict for the user to review
+ *
+ * Nothing is deleted: a replaced fact is marked superseded with a valid-to
+ * date, so every fact keeps its version history. Resolving a conflict can
+ * bring the older fact back.
+ *
+ * Usage:
+ *   import { consolidateMemories, resolveConflict } from './lib/memory/consolidation.js';
+ *
+ *   const report = await consolidateMemories();
+ *   // { success, checked, imported, groups, duplicates: [...], conflicts: [...] }
+ *   resolveConflict(report.conflicts[0].id, 'both');
+ */
+
+import fs from 'fs';
+import { createHash } from 'crypto';
+import {
+  exportMemories,
+  importMemories,
+  getImportedMemories,
+  generateEmbedding,
+  cosineSimilarity,
+  getMemory,
+  getMemoryHistory,
+  supersedeMemory,
+  restoreMemory,
+  addMemoryConflict,
+  getMemoryConflict,
+  listMemoryConflicts,
+  updateMemoryConflict,
+} from './sqlite-memory.js';
+import { factSimilarity, parseLongTermFacts } from './service.js';
+import { readLongTermMemory, getMemoryPaths } from '../memoryManager.js';
+import { chatCompletion, getModelForTask } from '../modelRegistry.js';
+import { loadCronJobs, addCronJob } from '../cronScheduler.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CONFIG = {
+  DEBUG: process.env.DEBUG_MEMORY === 'true',
+  // Memory types that hold facts about the user
+  TYPES: ['preference', 'user_preference', 'fact', 'general'],
+  RELATED_EMBEDDING: 0.75,
+  RELATED_WORDS: 0.3,
+  DUPLICATE: 0.8,
+  // Negated facts about the same thing contradict
+  OPPOSITE_WORDS: 0.5,
+  MAX_GROUP_SIZE: 12,
+};
+
+export const CONSOLIDATION_JOB_TYPE = 'memory-consolidation';
+
+const NEGATION = /\b(not|no|never|don'?t|doesn'?t|isn'?t|aren'?t|won'?t|can'?t|stopped|quit|anymore|no longer)\b/i;
+const NEGATION_WORDS = new RegExp(NEGATION.source, 'gi');
+
+// ============================================================================
+// Grouping
+// ============================================================================
+
+function isRelated(a, b) {
+  if (a.metadata.key && a.metadata.key === b.metadata.key) return true;
+  if (a.embedding.length > 0 && a.embedding.length === b.embedding.length &&
+      cosineSimilarity(a.embedding, b.embedding) >= CONFIG.RELATED_EMBEDDING) return true;
+  return factSimilarity(a.content, b.content) >= CONFIG.RELATED_WORDS;
+}
+
+/**
+ * Split facts into groups of related facts (connected components), each
+ * sorted oldest first. Facts unrelated to anything are left out.
+ */
+export function groupRelatedFacts(facts) {
+  const parent = facts.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < facts.length; i++) {
+    for (let j = i + 1; j < facts.length; j++) {
+      if (find(i) !== find(j) && isRelated(facts[i], facts[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  facts.forEach((fact, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(fact);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => a.validFrom.localeCompare(b.validFrom)));
+}
+
+// ============================================================================
+// Contradictions
+// ============================================================================
+
+/**
+ * Rule-based contradiction check, used when the LLM isn't available:
+ * the same preference key with a different value, or one fact negating
+ * the other
+ */
+export function findContradictionsByRules(group) {
+  const contradictions = [];
+
+  for (let i = 0; i < group.length; i++) {
+    for (let j = i + 1; j < group.length; j++) {
+      const [older, newer] = [group[i], group[j]];
+
+      if (older.metadata.key && older.metadata.key === newer.metadata.key) {
+        contradictions.push({ older, newer, reason: `Different values for "${older.metadata.key}"` });
+        continue;
+      }
+
+      const negated = NEGATION.test(older.content) !== NEGATION.test(newer.content);
+      const withoutNegation = text => text.replace(NEGATION_WORDS, ' ');
+      if (negated && factSimilarity(withoutNegation(older.content), withoutNegation(newer.content)) >= CONFIG.OPPOSITE_WORDS) {
+        contradictions.push({ older, newer, reason: 'One fact negates the other' });
+      }
+    }
+  }
+
+  return contradictions;
+}
+
+/**
+ * Ask the LLM which facts in a group contradict each other
+ */
+async function findContradictionsWithLLM(group) {
+  const facts = group.map((fact, i) => `${i + 1}. [${fact.validFrom.slice(0, 10)}] ${fact.content}`).join('\n');
+
+  const response = await chatCompletion(getModelForTask('general'), [
+    {
+      role: 'system',
+      content: `You check a user's remembered facts for contradictions. Two facts contradict when both can't be true at the same time (e.g. "I'm vegetarian" and "I eat fish now"). Facts that add detail or are about different things don't contradict.
+
+Output JSON: { "contradictions": [{ "older": <number>, "newer": <number>, "reason": "..." }] }`,
+    },
+    { role: 'user', content: `Facts, oldest first:\n${facts}` },
+  ], { format: 'json' });
+
+  const content = typeof response === 'string' ? response : response.message;
+  const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, content];
+  const { contradictions = [] } = JSON.parse(jsonMatch[1] || content);
+
+  return contradictions
+    .map(({ older, newer, reason }) => ({ older: group[older - 1], newer: group[newer - 1], reason: reason || 'Contradicting facts' }))
+    .filter(({ older, newer }) => older && newer && older !== newer)
+    .map(pair => (pair.older.validFrom <= pair.newer.validFrom ? pair : { ...pair, older: pair.newer, newer: pair.older }));
+}
+
+async function findContradictions(group, { useLLM, judge }) {
+  if (judge) return judge(group);
+
+  if (useLLM) {
+    try {
+      return await findContradictionsWithLLM(group);
+    } catch (error) {
+      if (CONFIG.DEBUG) {
+        console.log(`[Consolidation] LLM check failed, using rules: ${error.message}`);
+      }
+    }
+  }
+  return findContradictionsByRules(group);
+}
+
+// ============================================================================
+// Long-term Markdown
+// ============================================================================
+
+/**
+ * Copy long-term markdown lines that aren't in vector memory yet. A line
+ * keeps the same id, so a line that was superseded isn't copied again.
+ * @returns {Promise<number>} Lines copied
+ */
+export async function importLongTermFacts() {
+  const known = getImportedMemories('long-term');
+  const facts = parseLongTermFacts(readLongTermMemory()).filter(fact => !known.has(fact.content));
+  if (facts.length === 0) return 0;
+
+  const validFrom = fs.statSync(getMemoryPaths().longTermFile).mtime.toISOString();
+  const memories = [];
+  for (const { content, provenance } of facts) {
+    memories.push({
+      id: createHash('sha256').update(`long-term:${content}`).digest('hex').slice(0, 16),
+      content,
+      embedding: await generateEmbedding(content),
+      metadata: { type: 'fact', source: 'long-term', section: provenance.section, timestamp: validFrom },
+      validFrom,
+    });
+  }
+  return importMemories(memories).imported;
+}
+
+// ============================================================================
+// Consolidation Job
+// ============================================================================
+
+/**
+ * Merge duplicates and supersede contradicted facts
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.useLLM=true] - Check contradictions with the LLM (rules otherwise)
+ * @param {Function} [options.judge] - Custom contradiction check: group => [{ older, newer, reason }]
+ * @returns {Promise<{success: boolean, checked?: number, imported?: number, groups?: number, duplicates?: Array, conflicts?: Array, error?: string}>}
+ */
+export async function consolidateMemories(options = {}) {
+  const { useLLM = true, judge = null } = options;
+
+  let facts;
+  let imported;
+  try {
+    imported = await importLongTermFacts();
+    facts = exportMemories().filter(memory => !memory.supersededBy && CONFIG.TYPES.includes(memory.metadata.type || 'general'));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  // Pairs that were flagged before - including dismissed ones - aren't flagged again
+  const flagged = new Set(listMemoryConflicts().map(conflict => [...conflict.memoryIds].sort().join(',')));
+
+  const report = { success: true, checked: facts.length, imported, groups: 0, duplicates: [], conflicts: [] };
+
+  for (const related of groupRelatedFacts(facts)) {
+    report.groups++;
+
+    // Restated facts: keep the newest copy
+    const group = [];
+    for (const fact of related) {
+      const previous = group.findIndex(kept => factSimilarity(kept.content, fact.content) >= CONFIG.DUPLICATE);
+      if (previous === -1) {
+        group.push(fact);
+        continue;
+      }
+      supersedeMemory(group[previous].id, fact.id, fact.validFrom);
+      report.duplicates.push({ id: group[previous].id, keptId: fact.id, content: fact.content });
+      group[previous] = fact;
+    }
+    if (group.length < 2) continue;
+
+    const contradictions = await findContradictions(group.slice(-CONFIG.MAX_GROUP_SIZE), { useLLM, judge });
+    const superseded = new Set();
+
+    for (const { older, newer, reason } of contradictions) {
+      const pair = [older.id, newer.id].sort().join(',');
+      if (flagged.has(pair) || superseded.has(older.id)) continue;
+
+      supersedeMemory(older.id, newer.id, newer.validFrom);
+      superseded.add(older.id);
+      flagged.add(pair);
+      report.conflicts.push(addMemoryConflict({ memoryIds: [older.id, newer.id], keptId: newer.id, reason }));
+    }
+  }
+
+  return report;
+}
+
+// ============================================================================
+// Review
+// ============================================================================
+
+function withMemories(conflict) {
+  return {
+    ...conflict,
+    memories: conflict.memoryIds.map(id => {
+      const memory = getMemory(id);
+      if (!memory) return { id, missing: true };
+      const { embedding, ...rest } = memory;
+      return rest;
+    }),
+  };
+}
+
+/**
+ * Conflicts with their facts, newest first
+ * @param {string} [status='open'] - open | resolved | dismissed | all
+ */
+export function listConflicts(status = 'open') {
+  return listMemoryConflicts({ status: status === 'all' ? null : status }).map(withMemories);
+}
+
+/**
+ * Settle a conflict
+ *
+ * @param {string} id - Conflict id
+ * @param {string} keep - Id (or unique id prefix) of the fact that's true now, or 'both'
+ *   when the facts don't actually contradict
+ */
+export function resolveConflict(id, keep) {
+  let conflict;
+  try {
+    conflict = getMemoryConflict(id);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (!conflict) return { success: false, error: `No memory conflict with id ${id}` };
+  if (conflict.status !== 'open') return { success: false, error: `Conflict ${id} is already ${conflict.status}` };
+
+  if (keep === 'both') {
+    conflict.memoryIds.forEach(restoreMemory);
+    updateMemoryConflict(id, { status: 'dismissed', resolution: 'both' });
+    return { success: true, conflict: withMemories(getMemoryConflict(id)) };
+  }
+
+  const matches = conflict.memoryIds.filter(memoryId => keep && memoryId.startsWith(keep));
+  if (matches.length !== 1) {
+    return { success: false, error: `Choose one of ${conflict.memoryIds.join(', ')} or "both"` };
+  }
+
+  const [keptId] = matches;
+  const now = new Date().toISOString();
+  restoreMemory(keptId);
+  for (const memoryId of conflict.memoryIds) {
+    if (memoryId === keptId) continue;
+    // Keeping the newer fact keeps its original valid-to date
+    const memory = getMemory(memoryId);
+    if (memory?.supersededBy !== keptId) supersedeMemory(memoryId, keptId, now);
+  }
+  updateMemoryConflict(id, { status: 'resolved', keptId, resolution: 'kept' });
+
+  return { success: true, conflict: withMemories(getMemoryConflict(id)) };
+}
+
+/**
+ * Every version of a fact, oldest first
+ */
+export function getFactHistory(id) {
+  try {
+    return { success: true, versions: getMemoryHistory(id) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * Add the nightly consolidation cron job if it isn't scheduled yet
+ */
+export function ensureConsolidationJob(expr = '30 3 * * *') {
+  const existing = loadCronJobs().find(job => job.data?.type === CONSOLIDATION_JOB_TYPE);
+  if (existing) return existing;
+
+  return addCronJob({
+    name: 'Memory consolidation',
+    description: 'Merge duplicate memories and flag contradictions',
+    schedule: { expr },
+    data: { type: CONSOLIDATION_JOB_TYPE },
+  });
+}
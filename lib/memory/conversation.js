@@ -75,6 +75,7 @@ const DEFAULT_STORE = {
     technical: {},       // Languages, tools, etc.
     general: {},         // Other preferences
   },
+  preferenceHistory: {}, // key -> [{ value, validFrom, validTo }], oldest first
   patterns: {
     recurring: [],       // Recurring tasks/topics
     workflows: [],       // Common multi-step patterns
@@ -457,6 +458,8 @@ export async function learn(key, value, category = 'preference') {
 
     case 'preference':
     default:
+      recordPreferenceVersion(store, key, value, now);
+
       // Categorize preference
       if (key.includes('tone') || key.includes('verbos') || key.includes('format')) {
         store.preferences.communication[key] = value;
@@ -475,6 +478,28 @@ export async function learn(key, value, category = 'preference') {
   }
 }
 
+/**
+ * Keep every value a preference has had. Changing a preference closes the
+ * current version instead of losing it.
+ */
+function recordPreferenceVersion(store, key, value, now) {
+  store.preferenceHistory = store.preferenceHistory || {};
+  const versions = store.preferenceHistory[key] = store.preferenceHistory[key] || [];
+  const current = versions[versions.length - 1];
+
+  if (current && !current.validTo && JSON.stringify(current.value) === JSON.stringify(value)) return;
+  if (current && !current.validTo) current.validTo = now;
+  versions.push({ value, validFrom: now, validTo: null });
+}
+
+/**
+ * Get every value a preference has had, oldest first
+ */
+export async function getPreferenceHistory(key) {
+  const store = await ensureStore();
+  return store.preferenceHistory?.[key] || [];
+}
+
 /**
  * Record command/action usage for habit learning
  */
@@ -12,6 +12,7 @@ export {
   summarize,
   extractEntities,
   learn,
+  getPreferenceHistory,
   recordUsage,
   getContext,
   formatContextForPrompt,
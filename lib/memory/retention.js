@@ -0,0 +1,97 @@
+/**
+ * Memory Retention - how long each kind of memory is kept, and how much it
+ * fades in search results
+ *
+ * Policies, per memory type (config `memory.retention`):
+ *   forever    - never archived, never fades
+ *   expire     - archived once unused for `days`
+ *   summarize  - archived once unused for `days`, folded into a monthly
+ *                summary memory that stays searchable
+ *
+ * Decay (config `memory.decay`): a search score is multiplied by
+ *   floor + (1 - floor) * max(recency, frequency)
+ * where recency halves every `halfLifeDays` since the memory was created
+ * or last returned by a search, and frequency grows with how often it has
+ * been returned. Memories never drop below `floor` of their score.
+ *
+ * Conversation summaries (lib/memory/conversation.js) use the `summary` type.
+ */
+
+import { getConfig } from '../configManager.js';
+
+export const RETENTION_POLICIES = ['forever', 'expire', 'summarize'];
+
+export const DEFAULT_RETENTION = {
+  preference: { policy: 'forever' },
+  user_preference: { policy: 'forever' },
+  fact: { policy: 'forever' },
+  lesson: { policy: 'forever' },
+  project: { policy: 'forever' },
+  monthly_summary: { policy: 'forever' },
+  summary: { policy: 'summarize', days: 90 },
+  general: { policy: 'summarize', days: 180 },
+};
+
+export const DEFAULT_DECAY = {
+  halfLifeDays: 30,
+  floor: 0.5,
+  // Returned this many times, a memory no longer fades
+  frequentAccess: 20,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention policy for a memory type. Types without a policy of their own
+ * use the `general` policy.
+ */
+export function getRetentionPolicy(type = 'general', policies = getRetentionPolicies()) {
+  return policies[type] || policies.general;
+}
+
+/**
+ * All retention policies, defaults merged with config
+ */
+export function getRetentionPolicies() {
+  return { ...DEFAULT_RETENTION, ...getConfig('memory.retention', {}) };
+}
+
+export function getDecayConfig() {
+  return { ...DEFAULT_DECAY, ...getConfig('memory.decay', {}) };
+}
+
+/**
+ * When a memory was last created or used
+ */
+export function lastActivity({ validFrom, createdAt, lastAccessedAt }) {
+  const times = [validFrom, createdAt, lastAccessedAt].filter(Boolean).map(time => new Date(time).getTime());
+  return times.length > 0 ? Math.max(...times) : Date.now();
+}
+
+/**
+ * Score multiplier (floor-1) for a memory
+ *
+ * @param {Object} memory - { type, validFrom|createdAt, lastAccessedAt, accessCount }
+ * @param {Date} [now]
+ * @param {Object} [settings] - { policies, decay }, to read config once per search
+ */
+export function decayFactor(memory, now = new Date(), settings = {}) {
+  const { policies = getRetentionPolicies(), decay = getDecayConfig() } = settings;
+  if (getRetentionPolicy(memory.type, policies).policy === 'forever') return 1;
+
+  const { halfLifeDays, floor, frequentAccess } = decay;
+  const ageDays = Math.max(0, (now.getTime() - lastActivity(memory)) / DAY_MS);
+  const recency = Math.pow(0.5, ageDays / halfLifeDays);
+  const frequency = Math.min(1, Math.log1p(memory.accessCount || 0) / Math.log1p(frequentAccess));
+
+  return floor + (1 - floor) * Math.max(recency, frequency);
+}
+
+/**
+ * Whether a memory should be archived under its type's policy
+ */
+export function isStale(memory, now = new Date(), policies = getRetentionPolicies()) {
+  const { policy, days } = getRetentionPolicy(memory.type, policies);
+  if (policy === 'forever' || !days) return false;
+  return now.getTime() - lastActivity(memory) > days * DAY_MS;
+}
@@ -0,0 +1,490 @@
+/**
+ * Memory Service - one entry point over StaticRebel's memory stores
+ *
+ * Facts used to land in whichever store the calling code happened to use
+ * (daily markdown, long-term markdown, vector memory, the conversation
+ * store, session memory or project memory), and each store had its own
+ * search. The service writes every fact to a single tier and searches all
+ * stores at once, returning one ranked list where each result says which
+ * store(s) it came from.
+ *
+ * Tiers:
+ *   vector   - preferences, facts and lessons (lib/memory/sqlite-memory.js)
+ *   daily    - notes and events (lib/memoryManager.js daily markdown)
+ *   project  - keyed preferences for a project (lib/projectMemory.js)
+ *
+ * Long-term markdown, the conversation store and session memory are read
+ * only: they're written by curation, summarization and the chat loop. The
+ * consolidation job copies long-term lines into vector memory to check them
+ * against newer facts, and lines it supersedes stop being recalled.
+ *
+ * Usage:
+ *   import { getMemoryService } from './lib/memory/service.js';
+ *
+ *   const memory = getMemoryService();
+ *   await memory.remember('I prefer dark roast coffee');
+ *   const results = await memory.recall('coffee');
+ *   // [{ content, score, source: 'vector', provenance: [{ store: 'vector', id, ... }] }]
+ *   const context = await memory.buildContext('what coffee should I buy?');
+ */
+
+import * as vectorMemory from './sqlite-memory.js';
+import * as conversation from './conversation.js';
+import * as memoryManager from '../memoryManager.js';
+import * as projectMemory from '../projectMemory.js';
+import { getSessionMemory } from '../sessionMemory.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CONFIG = {
+  DEBUG: process.env.DEBUG_MEMORY === 'true',
+  MIN_SCORE: 0.25,
+  // Two facts whose normalized words overlap this much are the same fact
+  DUPLICATE_THRESHOLD: 0.8,
+  DAILY_DAYS: 7,
+};
+
+const PREFERENCE_PATTERN = /\b(i (prefer|like|love|hate|dislike|want|always|never|usually)|i don'?t like|call me|my favou?rite)\b/i;
+const NOTE_TYPES = new Set(['note', 'event']);
+// Tiers that hold remembered facts, rather than what was said (session, daily notes)
+const DURABLE_TIERS = new Set(['vector', 'project']);
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'you', 'your', 'that', 'this', 'with',
+  'what', 'when', 'where', 'which', 'who', 'how', 'have', 'has', 'had', 'does',
+  'did', 'can', 'should', 'would', 'could', 'about', 'from', 'into', 'there',
+  'remember', 'user', 'please', 'tell', 'know', 'any', 'not', 'but',
+]);
+
+// ============================================================================
+// Text helpers
+// ============================================================================
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// "prefers" matches "prefer", "coffee" matches "coffee"
+function wordsMatch(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length >= 4 && long.startsWith(short);
+}
+
+/**
+ * Share of the query's words found in the text (0-1)
+ */
+export function termScore(query, text) {
+  const queryWords = [...new Set(tokenize(query))];
+  if (queryWords.length === 0) return 0;
+
+  const words = new Set(tokenize(text));
+  const matched = queryWords.filter(q => words.has(q) || [...words].some(w => wordsMatch(q, w)));
+  return matched.length / queryWords.length;
+}
+
+/**
+ * Word-set overlap between two facts (0-1), used to spot duplicates
+ */
+export function factSimilarity(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * The bullet lines of long-term markdown, each with its section heading
+ * @returns {Array<{content: string, provenance: {section: string|null}}>}
+ */
+export function parseLongTermFacts(markdown) {
+  const facts = [];
+  let section = null;
+
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(/^#{2,3}\s+(.+)/);
+    if (heading) {
+      section = heading[1].trim();
+      continue;
+    }
+    const content = line.replace(/^\s*[-*]\s*/, '').trim();
+    if (content && !line.startsWith('#') && !/^\*.*\*$/.test(content)) {
+      facts.push({ content, provenance: { section } });
+    }
+  }
+  return facts;
+}
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+/**
+ * Each store turns a query into candidate facts. A candidate's `score` is
+ * used as-is when the store ranks its own results; otherwise the service
+ * scores the candidate's text against the query. `weight` scales a store's
+ * scores against the others.
+ */
+export const DEFAULT_STORES = {
+  vector: {
+    weight: 1,
+    async search(query, { limit }) {
+      const results = await vectorMemory.hybridSearch(query, { limit, minScore: CONFIG.MIN_SCORE, recordAccess: false });
+      return results.map(result => ({
+        content: result.content,
+        score: result.combinedScore,
+        timestamp: result.metadata?.timestamp,
+        provenance: { id: result.id, type: result.metadata?.type || 'general' },
+      }));
+    },
+    touch(ids) {
+      vectorMemory.recordMemoryAccess(ids);
+    },
+    async write(fact) {
+      return vectorMemory.addMemory(fact.content, {
+        ...fact.metadata,
+        type: fact.type,
+        ...(fact.key && { key: fact.key }),
+        ...(fact.projectPath && { projectPath: fact.projectPath }),
+      });
+    },
+  },
+
+  'long-term': {
+    weight: 0.9,
+    async search() {
+      // Lines the consolidation job found replaced by a newer fact are left out
+      const imported = vectorMemory.getImportedMemories('long-term');
+      return parseLongTermFacts(memoryManager.readLongTermMemory())
+        .filter(fact => !imported.get(fact.content));
+    },
+  },
+
+  daily: {
+    weight: 0.8,
+    async search() {
+      return memoryManager.getRecentDailyMemories(CONFIG.DAILY_DAYS).flatMap(({ date, content }) =>
+        content.split('\n')
+          .map(line => line.replace(/^\s*[-*]\s*/, '').trim())
+          // [MEMORY] lines are reports from the memory jobs, not facts
+          .filter(line => line && !line.startsWith('#') && !line.startsWith('[MEMORY]'))
+          .map(line => ({ content: line, timestamp: date, provenance: { date } }))
+      );
+    },
+    async write(fact) {
+      const written = await memoryManager.writeDailyMemory(`- ${fact.content}`);
+      return written ? { success: true } : { success: false, error: 'Could not write daily memory' };
+    },
+  },
+
+  conversation: {
+    weight: 0.85,
+    async search() {
+      const store = await conversation.loadStore();
+      const candidates = [];
+
+      for (const [category, preferences] of Object.entries(store.preferences || {})) {
+        for (const [key, value] of Object.entries(preferences)) {
+          candidates.push({ content: `${key}: ${formatValue(value)}`, provenance: { type: 'preference', category, key } });
+        }
+      }
+      for (const summary of store.summaries || []) {
+        candidates.push({ content: summary.summary, timestamp: summary.timestamp, provenance: { type: 'summary' } });
+      }
+      for (const person of store.entities?.people || []) {
+        candidates.push({ content: `${person.name}: ${person.context || 'No context'}`, provenance: { type: 'person' } });
+      }
+      for (const project of store.entities?.projects || []) {
+        candidates.push({ content: `${project.name}: ${project.description || 'No description'}`, provenance: { type: 'project' } });
+      }
+      return candidates;
+    },
+    async profile() {
+      return conversation.formatContextForPrompt({ maxSummaries: 3, maxPeople: 5, maxProjects: 3 });
+    },
+  },
+
+  session: {
+    weight: 0.75,
+    async search() {
+      return getSessionMemory().getRecent().map(interaction => ({
+        content: interaction.user,
+        timestamp: interaction.timestamp,
+        provenance: { id: interaction.id, sessionId: interaction.sessionId },
+      }));
+    },
+  },
+
+  project: {
+    weight: 1,
+    async search(query, { projectPath }) {
+      if (!projectPath) return [];
+
+      const memory = await projectMemory.loadProjectMemory(projectPath);
+      return [
+        ...Object.entries(memory.preferences || {}).map(([key, value]) => ({ key, value, kind: 'preference' })),
+        ...Object.entries(memory.codingStyle || {}).map(([key, value]) => ({ key, value, kind: 'codingStyle' })),
+      ].map(({ key, value, kind }) => ({
+        content: `${memory.projectName} ${key}: ${formatValue(value)}`,
+        provenance: { projectPath, kind, key },
+      }));
+    },
+    async write(fact) {
+      await projectMemory.initProjectMemory();
+      await projectMemory.setPreference(fact.projectPath, fact.key, fact.value ?? fact.content);
+      return { success: true };
+    },
+  },
+};
+
+// ============================================================================
+// Memory Service
+// ============================================================================
+
+export class MemoryService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.stores] - Store adapters by name (defaults to DEFAULT_STORES)
+   * @param {number} [options.minScore] - Results scoring below this are dropped
+   */
+  constructor(options = {}) {
+    this.stores = options.stores || DEFAULT_STORES;
+    this.minScore = options.minScore ?? CONFIG.MIN_SCORE;
+  }
+
+  /**
+   * Pick the tier a fact belongs in
+   *
+   * Keyed facts about a project go to project memory, notes and events to
+   * today's daily file, everything else to vector memory.
+   */
+  tierFor({ type, key, projectPath }) {
+    if (projectPath && key && this.stores.project?.write) return 'project';
+    if (NOTE_TYPES.has(type) && this.stores.daily?.write) return 'daily';
+    return 'vector';
+  }
+
+  /**
+   * Guess a fact's type from its wording
+   */
+  inferType(content) {
+    return PREFERENCE_PATTERN.test(content) ? 'preference' : 'fact';
+  }
+
+  /**
+   * Store a fact in the right tier, unless an equivalent fact is already stored
+   *
+   * @param {string} content - The fact, in the user's words
+   * @param {Object} [options]
+   * @param {string} [options.type] - preference | fact | lesson | note | event (inferred when omitted)
+   * @param {string} [options.key] - Preference key, required for project preferences
+   * @param {*} [options.value] - Preference value (defaults to the content)
+   * @param {string} [options.projectPath] - Project the fact applies to
+   * @param {Object} [options.metadata] - Extra metadata for vector memory
+   * @returns {Promise<{success: boolean, tier?: string, id?: string, duplicate?: Object, error?: string}>}
+   */
+  async remember(content, options = {}) {
+    const text = String(content || '').trim();
+    if (!text) return { success: false, error: 'Nothing to remember' };
+
+    const fact = { ...options, content: text, type: options.type || this.inferType(text) };
+    const tier = this.tierFor(fact);
+
+    try {
+      const duplicate = await this.findDuplicate(text, { ...fact, tier });
+      if (duplicate) {
+        return { success: true, tier: duplicate.source, duplicate };
+      }
+
+      const result = await this.stores[tier].write(fact);
+      return { ...result, tier };
+    } catch (error) {
+      return { success: false, tier, error: error.message };
+    }
+  }
+
+  /**
+   * Find a fact already stored in `tier` that says the same thing. Only
+   * durable tiers are checked: having said something this session doesn't
+   * mean it was remembered.
+   */
+  async findDuplicate(content, { tier = 'vector', projectPath } = {}) {
+    if (!DURABLE_TIERS.has(tier)) return null;
+    const results = await this.recall(content, { limit: 3, sources: [tier], projectPath, dedupe: false, recordAccess: false });
+    return results.find(result => factSimilarity(content, result.content) >= CONFIG.DUPLICATE_THRESHOLD) || null;
+  }
+
+  /**
+   * Search every store and return one ranked, de-duplicated list
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=5]
+   * @param {string[]} [options.sources] - Only search these stores
+   * @param {string} [options.projectPath] - Include this project's memory
+   * @param {boolean} [options.recordAccess=true] - Count the returned facts as used, which slows their decay
+   * @returns {Promise<Array<{content: string, score: number, source: string, timestamp?: string, provenance: Object[]}>>}
+   */
+  async recall(query, options = {}) {
+    const { limit = 5, sources = Object.keys(this.stores), projectPath = null, dedupe = true, recordAccess = true } = options;
+    if (!query || !String(query).trim()) return [];
+
+    const perStore = await Promise.all(sources.map(async name => {
+      const store = this.stores[name];
+      if (!store?.search) return [];
+
+      try {
+        const candidates = await store.search(query, { limit: limit * 2, projectPath });
+        return candidates.map(candidate => ({
+          content: candidate.content,
+          score: (candidate.score ?? termScore(query, candidate.content)) * (store.weight ?? 1),
+          source: name,
+          timestamp: candidate.timestamp,
+          provenance: [{ store: name, ...candidate.provenance }],
+        }));
+      } catch (error) {
+        if (CONFIG.DEBUG) {
+          console.log(`[MemoryService] ${name} search failed: ${error.message}`);
+        }
+        return [];
+      }
+    }));
+
+    const ranked = perStore
+      .flat()
+      .filter(result => result.content && result.score >= this.minScore)
+      .sort((a, b) => b.score - a.score);
+
+    const results = (dedupe ? this.dedupe(ranked) : ranked).slice(0, limit);
+    if (recordAccess) this.touch(results);
+    return results;
+  }
+
+  /**
+   * Tell each store which of its facts were returned. Stores over-fetch
+   * candidates, so they don't count their own search hits.
+   */
+  touch(results) {
+    for (const [name, store] of Object.entries(this.stores)) {
+      if (!store?.touch) continue;
+      const ids = results.flatMap(result => result.provenance)
+        .filter(provenance => provenance.store === name && provenance.id)
+        .map(provenance => provenance.id);
+      if (ids.length === 0) continue;
+
+      try {
+        store.touch(ids);
+      } catch (error) {
+        if (CONFIG.DEBUG) {
+          console.log(`[MemoryService] ${name} touch failed: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge near-identical facts into the highest-ranked copy, keeping every
+   * copy's provenance
+   */
+  dedupe(results) {
+    const kept = [];
+    for (const result of results) {
+      const same = kept.find(existing => factSimilarity(existing.content, result.content) >= CONFIG.DUPLICATE_THRESHOLD);
+      if (same) {
+        same.provenance.push(...result.provenance);
+      } else {
+        kept.push({ ...result, provenance: [...result.provenance] });
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Build the memory block for an LLM prompt: the user's profile from the
+   * conversation store plus the facts most relevant to the query. Facts put
+   * in a prompt aren't counted as used - the model may ignore them.
+   */
+  async buildContext(query, options = {}) {
+    const { limit = 5, projectPath = null, includeProfile = true } = options;
+    const parts = [];
+
+    if (includeProfile && this.stores.conversation?.profile) {
+      try {
+        const profile = await this.stores.conversation.profile();
+        if (profile) parts.push(profile);
+      } catch (error) {
+        if (CONFIG.DEBUG) {
+          console.log(`[MemoryService] Profile failed: ${error.message}`);
+        }
+      }
+    }
+
+    const results = await this.recall(query, { limit, projectPath, recordAccess: false });
+    if (results.length > 0) {
+      const lines = results.map(result => {
+        const stores = [...new Set(result.provenance.map(p => p.store))];
+        return `- ${result.content} (${stores.join(', ')})`;
+      });
+      parts.push(`Relevant memories:\n${lines.join('\n')}`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  // ==========================================================================
+  // AgentLoop memory interface
+  // ==========================================================================
+
+  /**
+   * Memories relevant to the agent's input
+   */
+  async retrieveRelevant(query, options = {}) {
+    return this.recall(query, options);
+  }
+
+  /**
+   * Keep what the agent learned. Iteration records without content are
+   * already in the agent's history and aren't stored.
+   */
+  async store(entry) {
+    if (!entry?.content) return { success: false, error: 'Nothing to remember' };
+    return this.remember(entry.content, { type: entry.type === 'lesson' ? 'lesson' : undefined, metadata: { context: entry.context } });
+  }
+}
+
+// ============================================================================
+// Singleton
+// ============================================================================
+
+let memoryService = null;
+
+/**
+ * Get the shared memory service
+ */
+export function getMemoryService() {
+  if (!memoryService) {
+    memoryService = new MemoryService();
+  }
+  return memoryService;
+}
+
+/**
+ * Create a separate memory service (for testing/isolation)
+ */
+export function createMemoryService(options = {}) {
+  return new MemoryService(options);
+}
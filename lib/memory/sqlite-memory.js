@@ -0,0 +1,781 @@
+/**
+ * SQLite Vector Memory
+ *
+ * Same API as lib/vectorMemory.js, stored in
+ * ~/.static-rebel/vector-memory/memories.db:
+ * - embeddings as Float32 BLOBs, compared with cosine similarity
+ * - an FTS5 index kept in sync by triggers, ranked with BM25
+ * - memories.jsonl is imported the first time the database opens, then
+ *   renamed to memories.jsonl.migrated.<timestamp>
+ * - facts are versioned: a superseded memory keeps its row, gets a
+ *   valid_to date and points at the memory that replaced it. Searches only
+ *   return current memories unless asked for history.
+ * - hybrid search scores fade with age and rise with use, per the
+ *   retention policies in lib/memory/retention.js
+ *
+ * Falls back to the JSONL store when better-sqlite3 can't be loaded or
+ * STATIC_REBEL_MEMORY_STORAGE=jsonl.
+ *
+ * Usage:
+ *   import { addMemory, hybridSearch } from './lib/memory/sqlite-memory.js';
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { createHash } from 'crypto';
+import * as jsonl from '../vectorMemory.js';
+import { decayFactor, getDecayConfig, getRetentionPolicies } from './retention.js';
+
+const VECTOR_DIR = path.join(os.homedir(), '.static-rebel', 'vector-memory');
+const JSONL_FILE = path.join(VECTOR_DIR, 'memories.jsonl');
+
+export const MEMORY_DB_PATH = path.join(VECTOR_DIR, 'memories.db');
+
+let Database = null;
+try {
+  ({ default: Database } = await import('better-sqlite3'));
+} catch {
+  // Optional - the JSONL store is used instead
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS memories (
+    id TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    embedding BLOB,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    memory_type TEXT NOT NULL DEFAULT 'general',
+    created_at TEXT NOT NULL,
+    valid_from TEXT,
+    valid_to TEXT,
+    superseded_by TEXT,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(memory_type, created_at);
+  CREATE INDEX IF NOT EXISTS idx_memories_created ON memories(created_at);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+    content,
+    content='memories',
+    content_rowid='rowid',
+    tokenize='porter unicode61'
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS memories_vocab USING fts5vocab(memories_fts, row);
+
+  CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+    INSERT INTO memories_fts(rowid, content) VALUES (new.rowid, new.content);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+    INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE OF content ON memories BEGIN
+    INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+    INSERT INTO memories_fts(rowid, content) VALUES (new.rowid, new.content);
+  END;
+`;
+
+// Run after SCHEMA, once older databases have the newer columns
+const VERSIONING_SCHEMA = `
+  CREATE INDEX IF NOT EXISTS idx_memories_superseded_by ON memories(superseded_by);
+
+  CREATE TABLE IF NOT EXISTS memory_conflicts (
+    id TEXT PRIMARY KEY,
+    memory_ids TEXT NOT NULL,
+    kept_id TEXT,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    detected_at TEXT NOT NULL,
+    resolved_at TEXT,
+    resolution TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_memory_conflicts_status ON memory_conflicts(status, detected_at);
+`;
+
+// Columns added after the first release, with their definitions
+const ADDED_COLUMNS = {
+  valid_from: 'TEXT',
+  valid_to: 'TEXT',
+  superseded_by: 'TEXT',
+  access_count: 'INTEGER NOT NULL DEFAULT 0',
+  last_accessed_at: 'TEXT',
+};
+
+let db = null;
+let useJsonl = process.env.STATIC_REBEL_MEMORY_STORAGE === 'jsonl';
+
+/**
+ * Open (and on first use create and migrate) the database.
+ * Returns null when memories live in the JSONL store instead.
+ */
+function getDb() {
+  if (db || useJsonl) return db;
+
+  if (!Database) {
+    useJsonl = true;
+    console.warn('[Memory] better-sqlite3 not available, using JSONL vector memory');
+    return null;
+  }
+
+  let database = null;
+  try {
+    fs.mkdirSync(VECTOR_DIR, { recursive: true });
+    database = new Database(MEMORY_DB_PATH);
+    database.pragma('journal_mode = WAL');
+    database.pragma('synchronous = NORMAL');
+    database.exec(SCHEMA);
+    addMissingColumns(database);
+    database.exec(VERSIONING_SCHEMA);
+    db = database;
+  } catch (error) {
+    database?.close();
+    useJsonl = true;
+    console.warn(`[Memory] SQLite memory unavailable (${error.message}), using JSONL vector memory`);
+    return null;
+  }
+
+  try {
+    migrateJsonlMemories();
+  } catch (error) {
+    console.error('[Memory] Failed to import memories.jsonl:', error.message);
+  }
+  return db;
+}
+
+/**
+ * Add columns introduced since a database was created
+ */
+function addMissingColumns(database) {
+  const columns = new Set(database.prepare('PRAGMA table_info(memories)').all().map(column => column.name));
+  const missing = Object.keys(ADDED_COLUMNS).filter(column => !columns.has(column));
+  if (missing.length === 0) return;
+
+  database.transaction(() => {
+    for (const column of missing) {
+      database.exec(`ALTER TABLE memories ADD COLUMN ${column} ${ADDED_COLUMNS[column]}`);
+    }
+    database.exec('UPDATE memories SET valid_from = created_at WHERE valid_from IS NULL');
+  })();
+}
+
+/**
+ * Versioning and conflicts are SQLite-only
+ */
+function requireDb() {
+  const database = getDb();
+  if (!database) throw new Error('Fact versioning needs the SQLite memory store (better-sqlite3)');
+  return database;
+}
+
+/**
+ * 'sqlite' or 'jsonl'
+ */
+export function getMemoryStorage() {
+  return getDb() ? 'sqlite' : 'jsonl';
+}
+
+// ============================================================================
+// Rows
+// ============================================================================
+
+/**
+ * Embeddings arrive as arrays, Float32Arrays, or - from JSONL lines that
+ * serialized a Float32Array - objects keyed by index
+ */
+function toFloat32(embedding) {
+  if (!embedding) return null;
+  if (embedding instanceof Float32Array) return embedding;
+  return Float32Array.from(Array.isArray(embedding) ? embedding : Object.values(embedding));
+}
+
+function toBlob(embedding) {
+  const vector = toFloat32(embedding);
+  return vector ? Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength) : null;
+}
+
+function fromBlob(blob) {
+  if (!blob) return new Float32Array(0);
+  // Copy: the Buffer's offset isn't guaranteed to be 4-byte aligned
+  return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+function toMemory(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    embedding: Array.from(fromBlob(row.embedding)),
+    metadata: JSON.parse(row.metadata),
+    validFrom: row.valid_from || row.created_at,
+    validTo: row.valid_to || null,
+    supersededBy: row.superseded_by || null,
+    accessCount: row.access_count || 0,
+    lastAccessedAt: row.last_accessed_at || null
+  };
+}
+
+function insertMemories(database, memories) {
+  const insert = database.prepare(`
+    INSERT OR IGNORE INTO memories (id, content, embedding, metadata, memory_type, created_at, valid_from, valid_to, superseded_by)
+    VALUES (@id, @content, @embedding, @metadata, @memory_type, @created_at, @valid_from, @valid_to, @superseded_by)
+  `);
+
+  let imported = 0;
+  database.transaction(() => {
+    for (const memory of memories) {
+      if (!memory?.id || typeof memory.content !== 'string') continue;
+      const metadata = memory.metadata || {};
+      const createdAt = metadata.timestamp || new Date().toISOString();
+      imported += insert.run({
+        id: memory.id,
+        content: memory.content,
+        embedding: toBlob(memory.embedding),
+        metadata: JSON.stringify(metadata),
+        memory_type: metadata.type || 'general',
+        created_at: createdAt,
+        valid_from: memory.validFrom || createdAt,
+        valid_to: memory.validTo || null,
+        superseded_by: memory.supersededBy || null
+      }).changes;
+    }
+  })();
+
+  return { imported, skipped: memories.length - imported };
+}
+
+/**
+ * Import a JSONL memory file, then rename it so it is only imported once.
+ * Memories already in the database (same id) are skipped.
+ * @returns {{ imported: number, skipped: number, backup: string }|null} null if there is no file
+ */
+export function migrateJsonlMemories(file = JSONL_FILE) {
+  const database = getDb();
+  if (!database || !fs.existsSync(file)) return null;
+
+  const memories = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      memories.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
+    }
+  }
+
+  const result = insertMemories(database, memories);
+  const backup = `${file}.migrated.${Date.now()}`;
+  fs.renameSync(file, backup);
+
+  console.log(`[Memory] Imported ${result.imported} memories from ${path.basename(file)} (original kept as ${path.basename(backup)})`);
+  return { ...result, backup };
+}
+
+// ============================================================================
+// Keyword Search (FTS5 + BM25)
+// ============================================================================
+
+function queryTerms(query) {
+  return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])];
+}
+
+/**
+ * Search by keyword. keywordScore is BM25 relative to the best hit,
+ * scaled by the share of query terms the memory contains.
+ */
+function keywordSearch(database, query, options = {}) {
+  const { limit = 10, type = null, includeSuperseded = false } = options;
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+
+  const rows = database.prepare(`
+    SELECT m.id, m.content, bm25(memories_fts) AS rank
+    FROM memories_fts
+    JOIN memories m ON m.rowid = memories_fts.rowid
+    WHERE memories_fts MATCH @match AND (@type IS NULL OR m.memory_type = @type)
+      AND (@includeSuperseded = 1 OR m.superseded_by IS NULL)
+    ORDER BY rank
+    LIMIT @limit
+  `).all({
+    match: terms.map(term => `"${term}"`).join(' OR '),
+    type,
+    includeSuperseded: includeSuperseded ? 1 : 0,
+    limit
+  });
+
+  // bm25() is negative; more negative is a better match
+  const best = rows[0]?.rank || -1;
+  return rows.map(row => {
+    const content = row.content.toLowerCase();
+    const matched = terms.filter(term => content.includes(term)).length;
+    return {
+      id: row.id,
+      keywordScore: (row.rank / best) * (matched / terms.length),
+      matchType: matched === terms.length ? 'exact' : 'partial'
+    };
+  });
+}
+
+/**
+ * Cosine similarity against every stored embedding, best first
+ */
+async function vectorSearch(database, query, { type = null, minScore = 0, includeSuperseded = false } = {}) {
+  const queryEmbedding = await generateEmbedding(query);
+  const scored = [];
+
+  const rows = database.prepare(`
+    SELECT id, embedding, memory_type, created_at, valid_from, last_accessed_at, access_count FROM memories
+    WHERE (@type IS NULL OR memory_type = @type) AND (@includeSuperseded = 1 OR superseded_by IS NULL)
+  `).iterate({ type, includeSuperseded: includeSuperseded ? 1 : 0 });
+
+  for (const row of rows) {
+    const score = cosineSimilarity(queryEmbedding, fromBlob(row.embedding));
+    if (score >= minScore) {
+      scored.push({
+        id: row.id,
+        score,
+        activity: {
+          type: row.memory_type,
+          createdAt: row.created_at,
+          validFrom: row.valid_from,
+          lastAccessedAt: row.last_accessed_at,
+          accessCount: row.access_count
+        }
+      });
+    }
+  }
+
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Count a search hit, which slows the memory's decay
+ */
+function recordAccess(database, ids) {
+  if (ids.length === 0) return;
+  database.prepare(`
+    UPDATE memories SET access_count = access_count + 1, last_accessed_at = ?
+    WHERE id IN (${ids.map(() => '?').join(', ')})
+  `).run(new Date().toISOString(), ...ids);
+}
+
+function getMemoriesById(database, ids) {
+  if (ids.length === 0) return new Map();
+  const rows = database.prepare(
+    `SELECT * FROM memories WHERE id IN (${ids.map(() => '?').join(', ')})`
+  ).all(...ids);
+  return new Map(rows.map(row => [row.id, toMemory(row)]));
+}
+
+// ============================================================================
+// Vector Memory API (same as lib/vectorMemory.js)
+// ============================================================================
+
+/**
+ * Search with combined vector similarity and keyword matching
+ * Returns results sorted by combined score
+ */
+export async function hybridSearch(query, options = {}) {
+  const database = getDb();
+  if (!database) return jsonl.hybridSearch(query, options);
+
+  const {
+    limit = 5,
+    minScore = 0.2,
+    type = null,
+    vectorWeight = 0.6,
+    keywordWeight = 0.4,
+    includeSuperseded = false,
+    decay = true,
+    recordAccess: countAccess = true,
+  } = options;
+
+  const now = new Date();
+  const settings = { policies: getRetentionPolicies(), decay: getDecayConfig() };
+  const keywordResults = new Map(
+    keywordSearch(database, query, { limit: limit * 4, type, includeSuperseded }).map(result => [result.id, result])
+  );
+
+  const candidates = [];
+  for (const { id, score: vectorScore, activity } of await vectorSearch(database, query, { type, includeSuperseded })) {
+    const keyword = keywordResults.get(id);
+    const keywordScore = keyword ? keyword.keywordScore : 0;
+    const decayScore = decay ? decayFactor(activity, now, settings) : 1;
+    const combinedScore = (vectorScore * vectorWeight + keywordScore * keywordWeight) * decayScore;
+
+    if (combinedScore >= minScore) {
+      candidates.push({ id, vectorScore, keywordScore, keywordMatchType: keyword?.matchType || null, decay: decayScore, combinedScore });
+    }
+  }
+
+  candidates.sort((a, b) => b.combinedScore - a.combinedScore);
+  const top = candidates.slice(0, limit);
+  const memories = getMemoriesById(database, top.map(result => result.id));
+  if (countAccess) recordAccess(database, top.map(result => result.id));
+
+  return top.map(result => ({ ...memories.get(result.id), ...result, id: result.id }));
+}
+
+/**
+ * Count memories as used, for callers that search with recordAccess: false
+ * and keep only some of the hits
+ */
+export function recordMemoryAccess(ids) {
+  const database = getDb();
+  if (database) recordAccess(database, ids);
+}
+
+// Initialize vector memory system
+export function initVectorMemory() {
+  jsonl.initVectorMemory();
+  getDb();
+}
+
+export async function generateEmbedding(text) {
+  return jsonl.generateEmbedding(text);
+}
+
+export function getEmbeddingStatus() {
+  return jsonl.getEmbeddingStatus();
+}
+
+export function cosineSimilarity(a, b) {
+  return jsonl.cosineSimilarity(a, b);
+}
+
+export function cosineSimilarityFast(a, b) {
+  return jsonl.cosineSimilarityFast(a, b);
+}
+
+// Add memory to vector store
+export async function addMemory(content, metadata = {}) {
+  const database = getDb();
+  if (!database) return jsonl.addMemory(content, metadata);
+
+  const embedding = await generateEmbedding(content);
+  const id = createHash('sha256')
+    .update(content + Date.now())
+    .digest('hex')
+    .slice(0, 16);
+
+  insertMemories(database, [{
+    id,
+    content,
+    embedding,
+    metadata: {
+      ...metadata,
+      timestamp: new Date().toISOString(),
+      type: metadata.type || 'general',
+    },
+  }]);
+
+  return { id, success: true };
+}
+
+// Search memories by semantic similarity
+export async function searchMemories(query, options = {}) {
+  const database = getDb();
+  if (!database) return jsonl.searchMemories(query, options);
+
+  const { limit = 5, minScore = 0.3, type = null, includeSuperseded = false, recordAccess: countAccess = true } = options;
+  const top = (await vectorSearch(database, query, { type, minScore, includeSuperseded })).slice(0, limit);
+  const memories = getMemoriesById(database, top.map(result => result.id));
+  if (countAccess) recordAccess(database, top.map(result => result.id));
+
+  return top.map(({ id, score }) => ({ ...memories.get(id), score }));
+}
+
+// Get all memories of a specific type
+export function getMemoriesByType(type) {
+  const database = getDb();
+  if (!database) return jsonl.getMemoriesByType(type);
+
+  return database.prepare('SELECT * FROM memories WHERE memory_type = ? AND superseded_by IS NULL ORDER BY created_at')
+    .all(type)
+    .map(toMemory);
+}
+
+// Delete a memory
+export function deleteMemory(id) {
+  const database = getDb();
+  if (!database) return jsonl.deleteMemory(id);
+
+  return database.prepare('DELETE FROM memories WHERE id = ?').run(id).changes > 0;
+}
+
+// Get memory statistics
+export function getMemoryStats() {
+  const database = getDb();
+  if (!database) return jsonl.getMemoryStats();
+
+  const totals = database.prepare(
+    'SELECT COUNT(*) AS total, COUNT(superseded_by) AS superseded, MIN(created_at) AS oldest, MAX(created_at) AS newest FROM memories'
+  ).get();
+  const byType = {};
+  for (const row of database.prepare('SELECT memory_type, COUNT(*) AS count FROM memories GROUP BY memory_type').all()) {
+    byType[row.memory_type] = row.count;
+  }
+
+  return {
+    totalMemories: totals.total,
+    supersededMemories: totals.superseded,
+    byType,
+    oldestMemory: totals.oldest,
+    newestMemory: totals.newest,
+  };
+}
+
+// Store user preference in vector memory
+export async function rememberPreference(key, value, context = '') {
+  const content = `User preference: ${key} = ${value}. Context: ${context}`;
+  return addMemory(content, { type: 'preference', key, context });
+}
+
+// Recall preferences related to a query
+export async function recallPreferences(query) {
+  return searchMemories(query, { limit: 5, type: 'preference' });
+}
+
+// Store project context
+export async function rememberProject(projectName, details) {
+  const content = `Project "${projectName}": ${JSON.stringify(details)}`;
+  return addMemory(content, { type: 'project', projectName });
+}
+
+// Search project memories
+export async function recallProjects(query) {
+  return searchMemories(query, { limit: 5, type: 'project' });
+}
+
+// Clear all memories
+export function clearAllMemories() {
+  const database = getDb();
+  if (!database) return jsonl.clearAllMemories();
+
+  database.exec('DELETE FROM memories');
+  return { success: true };
+}
+
+// Export memories to JSON
+export function exportMemories() {
+  const database = getDb();
+  if (!database) return jsonl.exportMemories();
+
+  return database.prepare('SELECT * FROM memories ORDER BY created_at').all().map(toMemory);
+}
+
+// Import memories from JSON (memories with an existing id are skipped)
+export function importMemories(memories) {
+  const database = getDb();
+  if (!database) return jsonl.importMemories(memories);
+
+  return insertMemories(database, memories);
+}
+
+/**
+ * Rebuild the FTS index from the memories table.
+ * Triggers keep it in sync, so this is only needed after manual edits.
+ */
+export function rebuildKeywordIndexFromDisk() {
+  const database = getDb();
+  if (!database) return jsonl.rebuildKeywordIndexFromDisk();
+
+  try {
+    database.exec("INSERT INTO memories_fts(memories_fts) VALUES ('rebuild')");
+    const { count } = database.prepare('SELECT COUNT(*) AS count FROM memories').get();
+    return { rebuilt: true, memoriesIndexed: count };
+  } catch (error) {
+    return { rebuilt: false, error: error.message };
+  }
+}
+
+/**
+ * Get keyword index statistics
+ */
+export function getKeywordIndexStats() {
+  const database = getDb();
+  if (!database) return jsonl.getKeywordIndexStats();
+
+  return {
+    totalWords: database.prepare('SELECT COUNT(*) AS count FROM memories_vocab').get().count,
+    words: database.prepare('SELECT term FROM memories_vocab ORDER BY doc DESC, term LIMIT 20').all().map(row => row.term),
+  };
+}
+
+/**
+ * Get all memories (for dashboard compatibility)
+ */
+export async function getAllMemories(options = {}) {
+  const database = getDb();
+  if (!database) return jsonl.getAllMemories(options);
+
+  const { limit = 100, type = null, includeSuperseded = false } = options;
+  return database.prepare(`
+    SELECT id, content, metadata, created_at, valid_from, valid_to, superseded_by FROM memories
+    WHERE (@type IS NULL OR memory_type = @type) AND (@includeSuperseded = 1 OR superseded_by IS NULL)
+    ORDER BY created_at DESC
+    LIMIT @limit
+  `).all({ type, limit, includeSuperseded: includeSuperseded ? 1 : 0 }).map(row => ({
+    id: row.id,
+    content: row.content,
+    timestamp: row.created_at,
+    metadata: JSON.parse(row.metadata),
+    validFrom: row.valid_from || row.created_at,
+    validTo: row.valid_to || null,
+    supersededBy: row.superseded_by || null,
+    score: 1.0,
+  }));
+}
+
+// ============================================================================
+// Fact Versioning
+// ============================================================================
+
+/**
+ * Get one memory, current or superseded
+ */
+export function getMemory(id) {
+  const row = requireDb().prepare('SELECT * FROM memories WHERE id = ?').get(id);
+  return row ? toMemory(row) : null;
+}
+
+/**
+ * Mark a memory as replaced by another. The row is kept; it stops being
+ * returned by searches and is valid until `validTo`.
+ */
+export function supersedeMemory(id, supersededById, validTo = new Date().toISOString()) {
+  return requireDb().prepare(
+    'UPDATE memories SET superseded_by = ?, valid_to = ? WHERE id = ? AND id != ?'
+  ).run(supersededById, validTo, id, supersededById).changes > 0;
+}
+
+/**
+ * Make a superseded memory current again
+ */
+export function restoreMemory(id) {
+  return requireDb().prepare(
+    'UPDATE memories SET superseded_by = NULL, valid_to = NULL WHERE id = ?'
+  ).run(id).changes > 0;
+}
+
+/**
+ * Every version of the fact a memory belongs to, oldest first: the
+ * memories it replaced, the memory itself and whatever replaced it
+ */
+export function getMemoryHistory(id) {
+  const database = requireDb();
+  const select = database.prepare('SELECT * FROM memories WHERE id = ?');
+  const predecessors = database.prepare('SELECT * FROM memories WHERE superseded_by = ?');
+
+  const versions = new Map();
+  const queue = [id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (versions.has(current)) continue;
+
+    const row = select.get(current);
+    if (!row) continue;
+    versions.set(current, toMemory(row));
+
+    if (row.superseded_by) queue.push(row.superseded_by);
+    for (const previous of predecessors.all(current)) queue.push(previous.id);
+  }
+
+  return [...versions.values()]
+    .map(({ embedding, ...memory }) => memory)
+    .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+}
+
+/**
+ * Memories copied in from another store (metadata.source), such as
+ * long-term markdown lines, by content
+ * @returns {Map<string, string|null>} content -> id of the memory that superseded it
+ */
+export function getImportedMemories(source) {
+  const database = getDb();
+  const rows = database
+    ? database.prepare("SELECT content, superseded_by FROM memories WHERE json_extract(metadata, '$.source') = ?").all(source)
+    : jsonl.exportMemories()
+      .filter(memory => memory.metadata?.source === source)
+      .map(memory => ({ content: memory.content, superseded_by: memory.supersededBy }));
+
+  return new Map(rows.map(row => [row.content, row.superseded_by || null]));
+}
+
+function toConflict(row) {
+  return {
+    id: row.id,
+    memoryIds: JSON.parse(row.memory_ids),
+    keptId: row.kept_id,
+    reason: row.reason,
+    status: row.status,
+    detectedAt: row.detected_at,
+    resolvedAt: row.resolved_at,
+    resolution: row.resolution
+  };
+}
+
+/**
+ * Record memories that contradict each other
+ */
+export function addMemoryConflict({ memoryIds, keptId = null, reason = '' }) {
+  const conflict = {
+    id: createHash('sha256').update(memoryIds.join(',') + Date.now()).digest('hex').slice(0, 12),
+    memory_ids: JSON.stringify(memoryIds),
+    kept_id: keptId,
+    reason,
+    detected_at: new Date().toISOString()
+  };
+
+  requireDb().prepare(`
+    INSERT INTO memory_conflicts (id, memory_ids, kept_id, reason, detected_at)
+    VALUES (@id, @memory_ids, @kept_id, @reason, @detected_at)
+  `).run(conflict);
+  return getMemoryConflict(conflict.id);
+}
+
+export function getMemoryConflict(id) {
+  const row = requireDb().prepare('SELECT * FROM memory_conflicts WHERE id = ?').get(id);
+  return row ? toConflict(row) : null;
+}
+
+/**
+ * List conflicts, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - open | resolved | dismissed (all when omitted)
+ */
+export function listMemoryConflicts({ status = null } = {}) {
+  return requireDb().prepare(`
+    SELECT * FROM memory_conflicts WHERE (@status IS NULL OR status = @status) ORDER BY detected_at DESC
+  `).all({ status }).map(toConflict);
+}
+
+/**
+ * Close a conflict
+ */
+export function updateMemoryConflict(id, { status, keptId = null, resolution = null }) {
+  return requireDb().prepare(`
+    UPDATE memory_conflicts SET status = @status, kept_id = @keptId, resolution = @resolution, resolved_at = @resolvedAt
+    WHERE id = @id
+  `).run({ id, status, keptId, resolution, resolvedAt: new Date().toISOString() }).changes > 0;
+}
+
+export function configureEmbeddings(options = {}) {
+  jsonl.configureEmbeddings(options);
+}
+
+export async function checkEmbeddingsAvailable() {
+  return jsonl.checkEmbeddingsAvailable();
+}
+
+/**
+ * Close the database (tests, shutdown)
+ */
+export function closeMemoryDb() {
+  db?.close();
+  db = null;
+}
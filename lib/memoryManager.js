@@ -507,7 +507,7 @@ async function reindexVectorMemory() {
     }
 
     // Dynamic import to avoid circular dependency
-    const vectorModule = await import('./vectorMemory.js');
+    const vectorModule = await import('./memory/sqlite-memory.js');
 
     // Rebuild keyword index
     vectorModule.rebuildKeywordIndexFromDisk();
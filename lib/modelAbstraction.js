@@ -7,12 +7,15 @@
  * - Per-task model selection
  * - Fallback mechanisms
  * - Streaming responses
+ * - Spending budgets, shared with LLMManager (see llm/budget.js)
  */
 
 import { EventEmitter } from 'events';
 import http from 'http';
 import https from 'https';
 import { URL } from 'url';
+import { BudgetManager } from './llm/budget.js';
+import { getUsageTracker } from './usageTracker.js';
 
 // ============================================================================
 // Types & Interfaces
@@ -665,6 +668,12 @@ export class ModelManager extends EventEmitter {
       fallbackCount: 0,
     };
 
+    // Spending budgets; usage is recorded so budgets can see it
+    this.usageTracker = options.usageTracker || (options.budget ? getUsageTracker() : null);
+    this.budget = options.budget
+      ? new BudgetManager({ ...options.budget, usageTracker: this.usageTracker })
+      : null;
+
     // Initialize default providers
     this.initProviders(options);
   }
@@ -753,23 +762,78 @@ export class ModelManager extends EventEmitter {
     return this.getModel(modelRef);
   }
 
+  /**
+   * Is the model free to run? Local providers are; others go by the
+   * budget's cost rates.
+   */
+  isLocalModel(modelRef) {
+    const provider = this.getProvider(this.parseModelRef(modelRef).provider);
+    if (provider) return provider.type === 'local';
+    return this.budget ? this.budget.isLocal(modelRef) : false;
+  }
+
+  /**
+   * Reorder and filter models by budget (unchanged without budgets)
+   * @throws {BudgetExceededError} When every model is over a hard budget
+   */
+  async routeByBudget(chain, task = 'general') {
+    if (!this.budget) return chain;
+
+    const route = await this.budget.route(chain, { task, isLocal: ref => this.isLocalModel(ref) });
+    if (route.mode !== 'normal') {
+      this.emit('budget:routed', { task, mode: route.mode, chain: route.chain, skipped: route.skipped });
+    }
+    return route.chain;
+  }
+
+  /**
+   * Record a response's tokens and cost with UsageTracker
+   */
+  async recordUsage(modelRef, task, response) {
+    if (!this.usageTracker) return;
+
+    const { provider: providerName } = this.parseModelRef(modelRef);
+    const meta = response.metadata || {};
+    const promptTokens = meta.promptTokens ?? meta.promptEvalCount ?? 0;
+    const completionTokens = meta.completionTokens ?? meta.evalCount ??
+      Math.max(0, (response.tokensUsed || 0) - promptTokens);
+
+    try {
+      await this.usageTracker.recordUsage({
+        model: modelRef,
+        promptTokens,
+        completionTokens,
+        free: this.isLocalModel(modelRef),
+        metadata: { task, provider: providerName },
+      });
+      this.budget?.invalidate();
+    } catch (error) {
+      this.emit('usage:error', { modelRef, error });
+    }
+  }
+
   /**
    * Chat completion
+   * @throws {BudgetExceededError} When the model is over a hard budget
    */
   async chat(modelRef, messages, options = {}) {
     const { provider: providerName, model } = this.parseModelRef(modelRef);
     const provider = this.getProvider(providerName);
+    const task = options.task || 'general';
 
     if (!provider) {
       throw new Error(`Provider not found: ${providerName}`);
     }
 
+    await this.routeByBudget([modelRef], task);
+
     this.emit('chat:started', { model: modelRef, provider: providerName });
 
     const startTime = Date.now();
 
     try {
       const response = await provider.chat(model, messages, options);
+      await this.recordUsage(modelRef, task, response);
 
       this.emit('chat:completed', {
         model: modelRef,
@@ -789,11 +853,14 @@ export class ModelManager extends EventEmitter {
   }
 
   /**
-   * Streaming chat
+   * Streaming chat. Usage is estimated from the streamed text, since
+   * providers don't report it for streams.
+   * @throws {BudgetExceededError} When the model is over a hard budget
    */
   async *stream(modelRef, messages, options = {}) {
     const { provider: providerName, model } = this.parseModelRef(modelRef);
     const provider = this.getProvider(providerName);
+    const task = options.task || 'general';
 
     if (!provider) {
       throw new Error(`Provider not found: ${providerName}`);
@@ -803,14 +870,30 @@ export class ModelManager extends EventEmitter {
       throw new Error(`Provider ${providerName} does not support streaming`);
     }
 
+    await this.routeByBudget([modelRef], task);
+
     this.emit('stream:started', { model: modelRef, provider: providerName });
 
+    let text = '';
     try {
-      yield* provider.stream(model, messages, options);
+      for await (const chunk of provider.stream(model, messages, options)) {
+        text += chunk.token || '';
+        yield chunk;
+      }
       this.emit('stream:completed', { model: modelRef });
     } catch (error) {
       this.emit('stream:error', { model: modelRef, error });
       throw error;
+    } finally {
+      // Also when the caller stops reading: what was streamed is paid for
+      if (text) {
+        await this.recordUsage(modelRef, task, {
+          metadata: {
+            promptTokens: estimateMessagesTokenCount(messages),
+            completionTokens: estimateTokenCount(text),
+          },
+        });
+      }
     }
   }
 
@@ -917,7 +1000,8 @@ export class ModelManager extends EventEmitter {
    * Tries models in order until one succeeds
    */
   async chatWithFallback(modelRef, messages, options = {}) {
-    const chain = this.getFallbackChain(modelRef);
+    const task = options.task || (this.fallbackChains[modelRef] ? modelRef : 'general');
+    const chain = await this.routeByBudget(this.getFallbackChain(modelRef), task);
     const maxRetries = options.maxRetries || this.contextConfig.maxRetries;
     let attempt = 0;
     let lastError = null;
@@ -934,7 +1018,7 @@ export class ModelManager extends EventEmitter {
         }
 
         // Attempt the chat
-        const result = await this.chat(model, messages, options);
+        const result = await this.chat(model, messages, { ...options, task });
 
         // Track usage
         this.trackUsage(model, result);
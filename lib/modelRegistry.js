@@ -1,6 +1,7 @@
 // Model Registry - Ollama model management with task mapping
 import http from 'http';
 import { loadConfig, getConfig } from './configManager.js';
+import { getReplayHarness } from './llm/replay.js';
 
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
 const DEFAULT_TIMEOUT = 120000;
@@ -278,8 +279,16 @@ export function parseModelRef(modelRef) {
   return { provider: 'ollama', id: modelRef };
 }
 
-// Make chat request to Ollama
+// Make chat request to Ollama (recorded or replayed when the LLM replay harness is on)
 export async function chatCompletion(model, messages, options = {}) {
+  const harness = getReplayHarness();
+  if (harness) {
+    return harness.call('chat', { model, messages, options }, () => ollamaChatCompletion(model, messages, options));
+  }
+  return ollamaChatCompletion(model, messages, options);
+}
+
+async function ollamaChatCompletion(model, messages, options = {}) {
   const timeout = options.timeout || DEFAULT_TIMEOUT;
 
   // Strip provider prefix (e.g., "ollama/llama3.2" -> "llama3.2")
@@ -290,6 +299,8 @@ export async function chatCompletion(model, messages, options = {}) {
       model: modelName,
       messages,
       stream: options.stream || false,
+      // 'json' or a JSON Schema the reply must follow
+      format: options.format,
       options: {
         temperature: options.temperature || 0.7,
         num_predict: options.maxTokens || 8192,
@@ -340,6 +351,14 @@ export async function chatCompletion(model, messages, options = {}) {
 
 // Make embeddings request
 export async function createEmbeddings(model, texts) {
+  const harness = getReplayHarness();
+  if (harness) {
+    return harness.call('embeddings', { model, input: texts }, () => ollamaCreateEmbeddings(model, texts));
+  }
+  return ollamaCreateEmbeddings(model, texts);
+}
+
+async function ollamaCreateEmbeddings(model, texts) {
   const timeout = DEFAULT_TIMEOUT;
 
   return new Promise((resolve, reject) => {
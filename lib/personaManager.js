@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { definePrompt, renderPrompt } from './prompts/index.js';
 
 const PERSONA_DIR = path.join(os.homedir(), '.static-rebel', 'personas');
 const USER_PROFILE_FILE = path.join(
@@ -63,6 +64,7 @@ const DEFAULT_USER_PROFILE = {
     tone: 'friendly',
     responseLength: 'medium', // short, medium, detailed
     codeStyle: 'explained', // raw, explained, tutorial
+    unitSystem: 'metric', // metric, imperial
     notifications: true,
   },
   memory: {
@@ -180,54 +182,53 @@ export function getActivePersona() {
   };
 }
 
+definePrompt('persona.system', {
+  description: 'Persona system prompt with user profile, preferences and session context',
+  template: '{{persona}}' +
+    "{{#userName}}\n\nThe user's name is {{userName}}.{{/userName}}" +
+    '{{#lengthHint}}\n{{lengthHint}}{{/lengthHint}}' +
+    '{{#conversation}}\n\nRecent conversation context:{{conversation}}{{/conversation}}' +
+    '{{#recentTasks}}\n\nRecent tasks: {{recentTasks}}{{/recentTasks}}' +
+    '{{#preferredTech}}\nUser prefers: {{preferredTech}}{{/preferredTech}}' +
+    '{{#codingTools}}{{codingTools}}{{/codingTools}}'
+});
+
+const RESPONSE_LENGTH_HINTS = {
+  short: 'Keep responses brief and to the point.',
+  detailed: 'Provide detailed, comprehensive responses.',
+};
+
 /**
  * Build dynamic system prompt with context
+ * @param {Object} options - { context, sessionMemory, sessionId, withVersion }
+ *   withVersion returns { text, name, version } instead of the text
  */
 export function buildSystemPrompt(options = {}) {
   const persona = getActivePersona();
   const profile = loadUserProfile();
   const { context = {}, sessionMemory = [] } = options;
 
-  let prompt = persona.systemPrompt || persona.tone.friendly.systemPrompt;
-
-  // Add user context
-  if (profile.name) {
-    prompt += `\n\nThe user's name is ${profile.name}.`;
-  }
-
-  // Add user preferences
-  if (profile.preferences?.responseLength === 'short') {
-    prompt += '\nKeep responses brief and to the point.';
-  } else if (profile.preferences?.responseLength === 'detailed') {
-    prompt += '\nProvide detailed, comprehensive responses.';
-  }
-
-  // Add session context
-  if (sessionMemory.length > 0) {
-    prompt += '\n\nRecent conversation context:';
-    sessionMemory.slice(-5).forEach((entry, i) => {
-      prompt += `\n${i + 1}. User: ${entry.user}`;
-      if (entry.assistant) {
-        prompt += `\n   Assistant: ${entry.assistant.substring(0, 100)}${entry.assistant.length > 100 ? '...' : ''}`;
-      }
-    });
-  }
-
-  // Add relevant context
-  if (context.recentTasks?.length > 0) {
-    prompt += `\n\nRecent tasks: ${context.recentTasks.join(', ')}`;
-  }
-
-  if (context.preferredTech?.length > 0) {
-    prompt += `\nUser prefers: ${context.preferredTech.join(', ')}`;
-  }
-
-  // Add coding tool instructions when in project context
-  if (context.projectRoot || context.hasFileTools) {
-    prompt += getCodingToolInstructions();
-  }
+  // Session context
+  let conversation = '';
+  sessionMemory.slice(-5).forEach((entry, i) => {
+    conversation += `\n${i + 1}. User: ${entry.user}`;
+    if (entry.assistant) {
+      conversation += `\n   Assistant: ${entry.assistant.substring(0, 100)}${entry.assistant.length > 100 ? '...' : ''}`;
+    }
+  });
 
-  return prompt;
+  const prompt = renderPrompt('persona.system', {
+    persona: persona.systemPrompt || persona.tone.friendly.systemPrompt,
+    userName: profile.name,
+    lengthHint: RESPONSE_LENGTH_HINTS[profile.preferences?.responseLength],
+    conversation,
+    recentTasks: context.recentTasks,
+    preferredTech: context.preferredTech,
+    // Coding tool instructions when in project context
+    codingTools: context.projectRoot || context.hasFileTools ? getCodingToolInstructions() : '',
+  }, { key: options.sessionId });
+
+  return options.withVersion ? prompt : prompt.text;
 }
 
 /**
@@ -11,6 +11,7 @@
  */
 
 import { chatCompletion, getModelForTask } from '../modelRegistry.js';
+import { runStructured } from '../llm/structured.js';
 import { writeDailyMemory } from '../memoryManager.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
@@ -166,8 +167,36 @@ export function isComplexTask(input) {
 // Plan Creation (LLM-powered)
 // ============================================================================
 
+/**
+ * Plan the model must return
+ */
+export const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string', minLength: 1 },
+          action: { type: 'string', enum: ['command', 'file', 'manual'] },
+          command: { type: ['string', 'null'] },
+          file: { type: ['string', 'null'] },
+          fileContent: { type: ['string', 'null'] },
+          checkpoint: { type: 'boolean' },
+        },
+        required: ['description', 'action'],
+      },
+    },
+  },
+  required: ['summary', 'steps'],
+};
+
 /**
  * Create a structured plan from a complex user request
+ * @throws {StructuredOutputError} If the model's reply never matches PLAN_SCHEMA
  */
 export async function createPlan(request, options = {}) {
   const {
@@ -196,21 +225,6 @@ Rules:
 6. Consider dependencies between steps
 7. Maximum ${maxSteps} steps
 
-Output format (JSON):
-{
-  "summary": "Brief description of the overall plan",
-  "steps": [
-    {
-      "description": "What this step does",
-      "action": "command|file|manual",
-      "command": "optional shell command",
-      "file": "optional file path",
-      "fileContent": "optional content if creating file",
-      "checkpoint": true/false
-    }
-  ]
-}
-
 Current context:
 - Working directory: ${context.cwd || process.cwd()}
 - Platform: ${process.platform}`;
@@ -220,94 +234,57 @@ Current context:
     { role: 'user', content: `Break down this task into steps: ${request}` },
   ];
 
-  try {
-    const response = await chatCompletion(model, messages, { format: 'json' });
-    const content = typeof response === 'string' ? response : response.content;
-
-    // Parse JSON response
-    let planData;
-    try {
-      // Extract JSON from response (handle markdown code blocks)
-      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, content];
-      planData = JSON.parse(jsonMatch[1] || content);
-    } catch (parseError) {
-      // Fallback: create simple plan
-      planData = {
-        summary: `Execute: ${request}`,
-        steps: [
-          {
-            description: request,
-            action: 'manual',
-            checkpoint: true,
-          },
-        ],
-      };
-    }
+  const { data: planData } = await runStructured(
+    async (conversation, { responseSchema }) => {
+      const response = await chatCompletion(model, conversation, { format: responseSchema.schema });
+      return response.message;
+    },
+    messages,
+    { schema: PLAN_SCHEMA, schemaName: 'plan' },
+  );
+
+  // Build plan structure
+  const steps = planData.steps.slice(0, maxSteps).map((step, index) => ({
+    index: index + 1,
+    description: step.description,
+    action: step.action || 'manual',
+    command: step.command || null,
+    file: step.file || null,
+    fileContent: step.fileContent || null,
+    checkpoint: step.checkpoint || ((index + 1) % checkpointInterval === 0),
+    status: 'pending',
+    output: null,
+    error: null,
+  }));
+
+  // Ensure last step is always a checkpoint
+  if (steps.length > 0) {
+    steps[steps.length - 1].checkpoint = true;
+  }
 
-    // Build plan structure
-    const steps = planData.steps.slice(0, maxSteps).map((step, index) => ({
-      index: index + 1,
-      description: step.description,
-      action: step.action || 'manual',
-      command: step.command || null,
-      file: step.file || null,
-      fileContent: step.fileContent || null,
-      checkpoint: step.checkpoint || ((index + 1) % checkpointInterval === 0),
-      status: 'pending',
-      output: null,
-      error: null,
-    }));
-
-    // Ensure last step is always a checkpoint
-    if (steps.length > 0) {
-      steps[steps.length - 1].checkpoint = true;
-    }
+  const plan = {
+    id: planId,
+    request,
+    summary: planData.summary || `Plan for: ${request}`,
+    steps,
+    estimatedSteps: steps.length,
+    currentStep: 0,
+    status: 'created',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
 
-    const plan = {
-      id: planId,
-      request,
-      summary: planData.summary || `Plan for: ${request}`,
-      steps,
-      estimatedSteps: steps.length,
-      currentStep: 0,
-      status: 'created',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    // Save plan
-    await savePlan(plan);
+  // Save plan
+  await savePlan(plan);
 
-    if (CONFIG.DEBUG) {
-      console.log(`[Planner] Created plan ${planId} with ${steps.length} steps`);
-    }
+  if (CONFIG.DEBUG) {
+    console.log(`[Planner] Created plan ${planId} with ${steps.length} steps`);
+  }
 
-    // Record in memory
-    writeDailyMemory(`Created plan: ${plan.summary} (${steps.length} steps)`);
+  // Record in memory
+  writeDailyMemory(`Created plan: ${plan.summary} (${steps.length} steps)`);
 
-    return plan;
-  } catch (error) {
-    console.error('[Planner] Failed to create plan:', error.message);
-
-    // Return minimal fallback plan
-    return {
-      id: planId,
-      request,
-      summary: `Execute: ${request}`,
-      steps: [{
-        index: 1,
-        description: request,
-        action: 'manual',
-        checkpoint: true,
-        status: 'pending',
-      }],
-      estimatedSteps: 1,
-      currentStep: 0,
-      status: 'created',
-      createdAt: new Date().toISOString(),
-      error: error.message,
-    };
-  }
+  return plan;
 }
 
 // ============================================================================
@@ -0,0 +1,179 @@
+/**
+ * StaticRebel prompt registry CLI commands
+ *
+ *   sr prompts list
+ *   sr prompts show <name> [<version>]
+ *   sr prompts add <name> <version> --file <template-file> [--description <text>]
+ *   sr prompts activate <name> <version>
+ *   sr prompts experiment <name> <version> <version>... [--weights 50,50]
+ *   sr prompts stop <name> [--promote <version>]
+ *   sr prompts results <name>
+ */
+
+import fs from 'fs';
+import { getPromptRegistry, templateVariables, PromptError } from './index.js';
+
+// Modules that define built-in prompts
+const PROMPT_MODULES = ['../personaManager.js', '../intelligentRouter.js', '../../agents/main/agent.js'];
+
+export async function promptsCommand(args) {
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  await Promise.all(PROMPT_MODULES.map(module => import(module)));
+  const registry = getPromptRegistry();
+
+  try {
+    switch (command) {
+      case 'list':
+        return listPrompts(registry);
+      case 'show':
+        return showPrompt(registry, options);
+      case 'add':
+        return addVersion(registry, options);
+      case 'activate':
+        return activateVersion(registry, options);
+      case 'experiment':
+        return startExperiment(registry, options);
+      case 'stop':
+        return stopExperiment(registry, options);
+      case 'results':
+        return showResults(registry, options);
+      default:
+        return getPromptsHelp();
+    }
+  } catch (error) {
+    if (error instanceof PromptError) return `❌ ${error.message}`;
+    throw error;
+  }
+}
+
+function parseOptions(args) {
+  const options = { args: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--weights') {
+      options.weights = args[i + 1].split(',').map(Number);
+      i++;
+    } else if (['--file', '--description', '--promote'].includes(arg)) {
+      options[arg.slice(2)] = args[i + 1];
+      i++;
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function formatRate(result) {
+  return result.upRate === null ? 'no ratings' : `${Math.round(result.upRate * 100)}% 👍 of ${result.rated}`;
+}
+
+function listPrompts(registry) {
+  const lines = ['📝 Prompts', ''];
+  for (const prompt of registry.list()) {
+    const experiment = prompt.experiment
+      ? ` - experiment: ${Object.entries(prompt.experiment.weights).map(([v, w]) => `${v} ${w}`).join(' / ')}`
+      : '';
+    lines.push(`  ${prompt.name} (active: ${prompt.active}; versions: ${prompt.versions.join(', ')})${experiment}`);
+    if (prompt.description) lines.push(`    ${prompt.description}`);
+  }
+  return lines.join('\n');
+}
+
+function showPrompt(registry, options) {
+  const [name, version] = options.args;
+  if (!name) return 'Usage: sr prompts show <name> [<version>]';
+
+  const prompt = registry.get(name);
+  const shown = version || prompt.active;
+  const { template } = registry.getVersion(name, shown);
+  return [
+    `📝 ${name}@${shown}${shown === prompt.active ? ' (active)' : ''}`,
+    `Variables: ${templateVariables(template).join(', ') || '(none)'}`,
+    '',
+    template
+  ].join('\n');
+}
+
+function addVersion(registry, options) {
+  const [name, version] = options.args;
+  if (!name || !version || !options.file) return 'Usage: sr prompts add <name> <version> --file <template-file>';
+
+  const template = fs.readFileSync(options.file, 'utf-8');
+  registry.addVersion(name, version, template, { description: options.description });
+  return `✅ Added ${name}@${version} (variables: ${templateVariables(template).join(', ') || 'none'})`;
+}
+
+function activateVersion(registry, options) {
+  const [name, version] = options.args;
+  if (!name || !version) return 'Usage: sr prompts activate <name> <version>';
+
+  registry.setActive(name, version);
+  return `✅ ${name} now uses ${version}`;
+}
+
+function startExperiment(registry, options) {
+  const [name, ...versions] = options.args;
+  if (!name || versions.length < 2) return 'Usage: sr prompts experiment <name> <version> <version>... [--weights 50,50]';
+
+  const weights = {};
+  versions.forEach((version, i) => {
+    weights[version] = options.weights?.[i] ?? 1;
+  });
+  registry.startExperiment(name, weights);
+  return `🧪 ${name}: serving ${versions.join(' vs ')}. Rate replies with 👍/👎, then run: sr prompts results ${name}`;
+}
+
+function stopExperiment(registry, options) {
+  const [name] = options.args;
+  if (!name) return 'Usage: sr prompts stop <name> [--promote <version>]';
+
+  const prompt = registry.stopExperiment(name, { promote: options.promote });
+  return `✅ Experiment on ${name} stopped; active version: ${prompt.active}`;
+}
+
+function showResults(registry, options) {
+  const [name] = options.args;
+  if (!name) return 'Usage: sr prompts results <name>';
+
+  const results = registry.getResults(name);
+  const lines = [`📊 ${name}`, ''];
+  for (const result of results) {
+    const tags = [result.active && 'active', result.weight !== null && `weight ${result.weight}`].filter(Boolean);
+    lines.push(`  ${result.version}${tags.length ? ` (${tags.join(', ')})` : ''}: ${formatRate(result)}`);
+  }
+  return lines.join('\n');
+}
+
+function getPromptsHelp() {
+  return `StaticRebel Prompt Commands
+
+Usage: sr prompts <command> [options]
+
+Commands:
+  list                                  Show prompts, their versions and experiments
+  show <name> [<version>]               Print a template (default: the active version)
+  add <name> <version> --file <file>    Add a version from a template file
+  activate <name> <version>             Use a version from now on
+  experiment <name> <v1> <v2>...        Serve versions side by side
+  stop <name> [--promote <version>]     End an experiment
+  results <name>                        Thumbs-up rate per version
+
+Options:
+  --weights 50,50            Share of renders per version (experiment, default: equal)
+  --description <text>       Description of a new prompt (add)
+
+Templates use {{variable}} and {{#variable}}...{{/variable}} for optional parts.
+
+Examples:
+  sr prompts show router.intent > router-v2.txt
+  sr prompts add router.intent v2 --file router-v2.txt
+  sr prompts experiment router.intent default v2
+  sr prompts results router.intent`;
+}
+
+export default promptsCommand;
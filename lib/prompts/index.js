@@ -0,0 +1,346 @@
+/**
+ * Prompt Registry - named, versioned prompt templates with A/B experiments
+ *
+ * Modules define their prompt with a built-in 'default' version:
+ *
+ *   definePrompt('router.intent', { description: '...', template: 'User said "{{input}}"...' });
+ *   const { text, version } = renderPrompt('router.intent', { input });
+ *
+ * Templates use {{name}} for variables and {{#name}}...{{/name}} for parts
+ * shown only when the variable is set. New versions, the active version and
+ * experiments are stored in ~/.static-rebel/prompts/prompts.json.
+ *
+ * During an experiment each render picks a version by weight (stable for a
+ * given key, such as a session id). Responses carry { name, version } of
+ * their prompt; thumbs up/down on them are counted per version by
+ * feedbackManager, and getPromptResults() compares the rates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { getFeedbackAnalytics } from '../feedbackManager.js';
+
+export const PROMPTS_DIR = path.join(os.homedir(), '.static-rebel', 'prompts');
+export const DEFAULT_VERSION = 'default';
+
+/**
+ * Prompt registry error with a machine-readable code:
+ * 'unknown_prompt', 'unknown_version', 'version_exists', 'missing_variable'
+ * or 'invalid_experiment'
+ */
+export class PromptError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: 'Prompt error', code: this.code, message: this.message };
+  }
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fill in a template
+ * @param {string} template
+ * @param {Object} variables
+ * @param {string} [name] - Prompt name, for error messages
+ * @returns {string}
+ * @throws {PromptError} code 'missing_variable' for an unset {{name}}
+ */
+export function renderTemplate(template, variables = {}, name = 'template') {
+  const withSections = template.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, body) =>
+    isSet(variables[key]) ? body : ''
+  );
+
+  return withSections.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    const value = variables[key];
+    if (value === undefined || value === null) {
+      throw new PromptError('missing_variable', `Prompt ${name} needs variable "${key}"`);
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Variable names a template uses
+ */
+export function templateVariables(template) {
+  const names = new Set();
+  for (const match of template.matchAll(/\{\{[#/]?(\w+)\}\}/g)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+export class PromptRegistry {
+  /**
+   * @param {Object} [options] - { dir, random: () => number in [0, 1) }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || PROMPTS_DIR;
+    this.file = path.join(this.dir, 'prompts.json');
+    this.random = options.random || Math.random;
+    this.builtins = new Map();
+    this.stored = null;
+  }
+
+  /**
+   * Stored versions, active versions and experiments (loaded once)
+   */
+  load() {
+    if (!this.stored) {
+      try {
+        this.stored = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      } catch {
+        this.stored = { prompts: {} };
+      }
+    }
+    return this.stored;
+  }
+
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.stored, null, 2));
+  }
+
+  storedPrompt(name) {
+    const { prompts } = this.load();
+    prompts[name] = prompts[name] || { versions: {}, active: null, experiment: null };
+    return prompts[name];
+  }
+
+  /**
+   * Register a prompt's built-in version
+   * @param {string} name - Dotted name, e.g. 'agent.main.system'
+   * @param {Object} definition - { template, description }
+   */
+  define(name, { template, description = '' }) {
+    this.builtins.set(name, { template, description });
+    return this;
+  }
+
+  has(name) {
+    return this.builtins.has(name) || Boolean(this.load().prompts[name]);
+  }
+
+  /**
+   * A prompt with all its versions
+   * @throws {PromptError} code 'unknown_prompt'
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new PromptError('unknown_prompt', `Unknown prompt: ${name}`);
+    }
+
+    const builtin = this.builtins.get(name);
+    const stored = this.load().prompts[name] || { versions: {} };
+    const versions = {};
+    if (builtin) {
+      versions[DEFAULT_VERSION] = { template: builtin.template, builtin: true };
+    }
+    Object.assign(versions, stored.versions);
+
+    return {
+      name,
+      description: builtin?.description || stored.description || '',
+      versions,
+      active: stored.active || (builtin ? DEFAULT_VERSION : Object.keys(stored.versions)[0]),
+      experiment: stored.experiment || null
+    };
+  }
+
+  /**
+   * Every prompt, built-in or stored
+   */
+  list() {
+    const names = new Set([...this.builtins.keys(), ...Object.keys(this.load().prompts)]);
+    return Array.from(names).sort().map(name => {
+      const prompt = this.get(name);
+      return {
+        name,
+        description: prompt.description,
+        versions: Object.keys(prompt.versions),
+        active: prompt.active,
+        experiment: prompt.experiment
+      };
+    });
+  }
+
+  getVersion(name, version) {
+    const prompt = this.get(name);
+    if (!prompt.versions[version]) {
+      throw new PromptError('unknown_version', `Prompt ${name} has no version ${version}`);
+    }
+    return prompt.versions[version];
+  }
+
+  /**
+   * Store a new version of a prompt
+   * @throws {PromptError} code 'version_exists'
+   */
+  addVersion(name, version, template, { description } = {}) {
+    if (this.has(name) && this.get(name).versions[version]) {
+      throw new PromptError('version_exists', `Prompt ${name} already has version ${version}`);
+    }
+
+    const stored = this.storedPrompt(name);
+    stored.versions[version] = { template, createdAt: new Date().toISOString() };
+    if (description && !this.builtins.has(name)) stored.description = description;
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * Use a version for every render (outside experiments)
+   */
+  setActive(name, version) {
+    this.getVersion(name, version);
+    this.storedPrompt(name).active = version;
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * Serve several versions side by side
+   * @param {string} name
+   * @param {Object} weights - { version: weight }, e.g. { default: 50, v2: 50 }
+   * @throws {PromptError} code 'invalid_experiment'
+   */
+  startExperiment(name, weights) {
+    const versions = Object.keys(weights);
+    if (versions.length < 2) {
+      throw new PromptError('invalid_experiment', 'An experiment needs at least two versions');
+    }
+    for (const version of versions) {
+      this.getVersion(name, version);
+      if (!(weights[version] > 0)) {
+        throw new PromptError('invalid_experiment', `Weight for ${version} must be a positive number`);
+      }
+    }
+
+    this.storedPrompt(name).experiment = { weights, startedAt: new Date().toISOString() };
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * End an experiment, optionally making one of its versions active
+   */
+  stopExperiment(name, { promote } = {}) {
+    const stored = this.storedPrompt(name);
+    if (promote) {
+      this.getVersion(name, promote);
+      stored.active = promote;
+    }
+    stored.experiment = null;
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * The version to serve: the experiment's pick, else the active version
+   * @param {string} name
+   * @param {string} [key] - Same key, same version (e.g. a session id)
+   */
+  pickVersion(name, key) {
+    const prompt = this.get(name);
+    const weights = prompt.experiment?.weights;
+    if (!weights) return prompt.active;
+
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    const point = (key === undefined || key === null
+      ? this.random()
+      : parseInt(crypto.createHash('sha1').update(`${name}:${key}`).digest('hex').slice(0, 8), 16) / 0x100000000
+    ) * total;
+
+    let sum = 0;
+    for (const [version, weight] of entries) {
+      sum += weight;
+      if (point < sum) return version;
+    }
+    return entries.at(-1)[0];
+  }
+
+  /**
+   * Render a prompt
+   * @param {string} name
+   * @param {Object} [variables]
+   * @param {Object} [options] - { key, version } (version skips the pick)
+   * @returns {{ text: string, name: string, version: string }}
+   */
+  render(name, variables = {}, options = {}) {
+    const version = options.version || this.pickVersion(name, options.key);
+    const { template } = this.getVersion(name, version);
+    return { text: renderTemplate(template, variables, `${name}@${version}`), name, version };
+  }
+
+  /**
+   * Thumbs up/down per version, from feedback on responses
+   * @param {string} name
+   * @param {Object} [analytics] - feedbackManager analytics
+   * @returns {Array<{ version, positive, negative, rated, upRate, weight, active }>}
+   *   upRate is null until a version has been rated
+   */
+  getResults(name, analytics = getFeedbackAnalytics()) {
+    const prompt = this.get(name);
+    const byPrompt = analytics.byPrompt || {};
+
+    return Object.keys(prompt.versions).map(version => {
+      const stats = byPrompt[`${name}@${version}`] || { positive: 0, negative: 0 };
+      const rated = stats.positive + stats.negative;
+      return {
+        version,
+        positive: stats.positive,
+        negative: stats.negative,
+        rated,
+        upRate: rated > 0 ? stats.positive / rated : null,
+        weight: prompt.experiment?.weights[version] ?? null,
+        active: prompt.active === version
+      };
+    });
+  }
+}
+
+let registry = null;
+
+/**
+ * The shared registry
+ */
+export function getPromptRegistry() {
+  if (!registry) {
+    registry = new PromptRegistry();
+  }
+  return registry;
+}
+
+export function definePrompt(name, definition) {
+  return getPromptRegistry().define(name, definition);
+}
+
+export function renderPrompt(name, variables, options) {
+  return getPromptRegistry().render(name, variables, options);
+}
+
+export function getPromptResults(name, analytics) {
+  return getPromptRegistry().getResults(name, analytics);
+}
+
+export default {
+  PromptRegistry,
+  PromptError,
+  renderTemplate,
+  templateVariables,
+  getPromptRegistry,
+  definePrompt,
+  renderPrompt,
+  getPromptResults
+};
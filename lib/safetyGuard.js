@@ -602,8 +602,8 @@ export class SafetyGuard extends EventEmitter {
   isProtectedPath(filePath) {
     const resolved = path.resolve(filePath);
 
-    return this.config.PROTECTED_PATHS.some((protected) => {
-      const resolvedProtected = path.resolve(protected);
+    return this.config.PROTECTED_PATHS.some((protectedPath) => {
+      const resolvedProtected = path.resolve(protectedPath);
       return (
         resolved.startsWith(resolvedProtected) || resolved === resolvedProtected
       );
@@ -12,10 +12,12 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { getSkillManager } from './skills/skill-manager.js';
+import { parseQuantity, formatQuantity, setUnitSystem } from './skills/units.js';
 import { getDefaultModel, chatCompletion } from './modelRegistry.js';
 import { sendMessage } from '../agents/main/agent.js';
 import { research as webResearch } from './webOracle.js';
 import { applyPersonalityFilter } from './personality/index.js';
+import { logClassification } from './intentClassifier.js';
 
 const CONFIG = {
   DEBUG: process.env.DEBUG_ROUTER === 'true',
@@ -26,26 +28,21 @@ const CONFIG = {
 // ============================================================================
 
 const VALUE_PATTERNS = [
-  // Explicit amounts: "500ml", "2L", "400kcal", "20 reps"
-  { regex: /(\d+(?:\.\d+)?)\s*(ml|l|liters?|litres?|oz|cups?|glasses?|bottles?)/i, unit: 'ml', multiplier: (m) => m[2].match(/^l|liter|litre/i) ? 1000 : m[2].match(/glass/i) ? 250 : m[2].match(/bottle/i) ? 500 : m[2].match(/cup/i) ? 250 : 1 },
-  { regex: /(\d+(?:\.\d+)?)\s*(kcal|calories?|cals?)/i, unit: 'kcal', multiplier: () => 1 },
-  { regex: /(\d+(?:\.\d+)?)\s*(kg|kilos?|lbs?|pounds?)/i, unit: 'kg', multiplier: (m) => m[2].match(/lb|pound/i) ? 0.45 : 1 },
-  { regex: /(\d+(?:\.\d+)?)\s*(km|miles?|m|meters?)/i, unit: 'km', multiplier: (m) => m[2].match(/mile/i) ? 1.6 : m[2] === 'm' ? 0.001 : 1 },
+  // Counted amounts: "20 reps", "8000 steps"
   { regex: /(\d+(?:\.\d+)?)\s*(steps?)/i, unit: 'steps', multiplier: () => 1 },
   { regex: /(\d+(?:\.\d+)?)\s*(reps?|times?|sets?)/i, unit: 'reps', multiplier: () => 1 },
-  { regex: /(\d+(?:\.\d+)?)\s*(mins?|minutes?|hrs?|hours?)/i, unit: 'minutes', multiplier: (m) => m[2].match(/hr|hour/i) ? 60 : 1 },
-  // Contextual amounts: "2 glasses", "a bottle", "3 coffees"
-  { regex: /(\d+)\s*glasses?/i, unit: 'ml', multiplier: () => 250 },
-  { regex: /(\d+)\s*bottles?/i, unit: 'ml', multiplier: () => 500 },
-  { regex: /(\d+)\s*cups?/i, unit: 'ml', multiplier: () => 250 },
-  { regex: /a\s+glass/i, unit: 'ml', value: 250 },
-  { regex: /a\s+bottle/i, unit: 'ml', value: 500 },
-  { regex: /a\s+cup/i, unit: 'ml', value: 250 },
   // Bare numbers at the end: "water 500", "pushups 20"
   { regex: /\s(\d+)\s*$/, unit: 'count', multiplier: () => 1 },
 ];
 
-function extractValue(input) {
+function extractValue(input, targetUnit = null) {
+  // Measured amounts ("2 cups", "half a litre", "16 oz") keep the unit as
+  // typed - SkillManager converts them to the skill's unit on write
+  const quantity = parseQuantity(input, { targetUnit });
+  if (quantity) {
+    return { value: quantity.value, unit: quantity.unit, raw: quantity.raw };
+  }
+
   for (const pattern of VALUE_PATTERNS) {
     const match = input.match(pattern.regex);
     if (match) {
@@ -60,6 +57,21 @@ function extractValue(input) {
   return { value: 1, unit: 'count' }; // Default
 }
 
+// "use imperial units", "switch to metric", "show me pounds and miles"
+const UNIT_SYSTEM_PATTERNS = [
+  { regex: /\b(?:use|switch(?: back)? to|change to|prefer|set (?:my )?units? to)\s+(metric|imperial)\b/i },
+  { regex: /\b(?:use|show(?: me)?|switch to)\s+(?:pounds|lbs|miles|ounces|fl oz)\b/i, system: 'imperial' },
+  { regex: /\b(?:use|show(?: me)?|switch to)\s+(?:kilos|kg|kilometers|kilometres|km|liters|litres|ml)\b/i, system: 'metric' },
+];
+
+function detectUnitSystemChange(input) {
+  for (const pattern of UNIT_SYSTEM_PATTERNS) {
+    const match = input.match(pattern.regex);
+    if (match) return pattern.system || match[1].toLowerCase();
+  }
+  return null;
+}
+
 // ============================================================================
 // Intent Detection (Keyword-based)
 // ============================================================================
@@ -200,6 +212,12 @@ export async function routeSimply(input, options = {}) {
     console.log(`[SimpleRouter] Input: "${input}"`);
   }
   
+  // Step 0: Display preference ("use imperial units")
+  const unitSystem = detectUnitSystemChange(input);
+  if (unitSystem) {
+    return handleUnitSystemChange(unitSystem, startTime);
+  }
+  
   // Step 1: Get skills
   const skillManager = await getSkillManager();
   await skillManager.init();
@@ -209,52 +227,76 @@ export async function routeSimply(input, options = {}) {
     console.log(`[SimpleRouter] Available skills: ${skills.map(s => s.id).join(', ')}`);
   }
   
-  // Step 2: Detect intent (query vs log vs unknown)
-  const intent = detectIntent(input);
+  // Step 2: Decide (intent, matching skill, amount)
+  const plan = planSimpleRoute(input, skills);
+  logClassification(input, {
+    router: 'simple',
+    intent: plan.action,
+    skill: plan.skill?.id || null,
+    value: plan.extracted?.value ?? null,
+  });
   
   if (CONFIG.DEBUG) {
-    console.log(`[SimpleRouter] Detected intent: ${intent}`);
+    console.log(`[SimpleRouter] Detected intent: ${plan.intent}`);
+    console.log(`[SimpleRouter] Matched skill: ${plan.skill?.id || 'none'}`);
   }
   
-  // Step 3: Find matching skill
-  const matchedSkill = findMatchingSkill(input, skills);
-  
-  if (CONFIG.DEBUG) {
-    console.log(`[SimpleRouter] Matched skill: ${matchedSkill?.id || 'none'}`);
+  // Step 3: Handle based on intent and match
+  switch (plan.action) {
+    case 'query':
+      // Query for a skill, or for one that doesn't exist
+      if (plan.skill) {
+        return await handleSkillQuery(plan.skill, skillManager, startTime);
+      }
+      return {
+        success: true,
+        type: 'chat',
+        content: "I don't have any data tracked for that yet. Would you like to start tracking it?",
+        duration: Date.now() - startTime,
+      };
+    
+    case 'log':
+      return await handleSkillLog(plan.skill, plan.extracted, skillManager, startTime);
+    
+    case 'create_skill':
+      // Looks like a tracking request but no skill found
+      return await handleSkillCreation(input, plan.skillType, skillManager, context, startTime);
+    
+    default:
+      // Unknown intent - use LLM for conversation
+      return await handleConversation(input, startTime, context);
   }
+}
+
+/**
+ * What routeSimply would do with an input, without doing it
+ * @param {string} input
+ * @param {Array} skills - Skill definitions ({ id, name, triggers, unit })
+ * @returns {{ action: 'log'|'query'|'create_skill'|'chat', intent: string, skill: Object|null,
+ *   extracted?: Object, skillType?: Object }}
+ */
+export function planSimpleRoute(input, skills) {
+  const intent = detectIntent(input);
+  const skill = findMatchingSkill(input, skills);
   
-  // Step 4: Handle based on intent and match
-  
-  // Case A: Matched a skill
-  if (matchedSkill) {
-    if (intent === 'query') {
-      return await handleSkillQuery(matchedSkill, skillManager, startTime);
-    } else {
-      // Log to skill
-      const extracted = extractValue(input);
-      return await handleSkillLog(matchedSkill, extracted, skillManager, startTime);
-    }
+  // Matched a skill: query it or log to it
+  if (skill) {
+    return intent === 'query'
+      ? { action: 'query', intent, skill }
+      : { action: 'log', intent, skill, extracted: extractValue(input, skill.unit) };
   }
   
-  // Case B: Looks like a tracking request but no skill found
   if (intent === 'log') {
     // Determine what kind of skill to create
     const skillType = detectSkillType(input);
-    return await handleSkillCreation(input, skillType, skillManager, context, startTime);
+    return { action: 'create_skill', intent, skill: null, skillType, extracted: extractValue(input, skillType.unit) };
   }
   
-  // Case C: Query for non-existent skill
   if (intent === 'query') {
-    return {
-      success: true,
-      type: 'chat',
-      content: "I don't have any data tracked for that yet. Would you like to start tracking it?",
-      duration: Date.now() - startTime,
-    };
+    return { action: 'query', intent, skill: null };
   }
   
-  // Case D: Unknown intent - use LLM for conversation
-  return await handleConversation(input, startTime, context);
+  return { action: 'chat', intent, skill: null };
 }
 
 // ============================================================================
@@ -263,29 +305,24 @@ export async function routeSimply(input, options = {}) {
 
 async function handleSkillLog(skill, extracted, skillManager, startTime) {
   try {
-    // Ensure skill data file exists with proper structure
-    const data = await skillManager.loadData(skill.id);
-    if (!data.metadata) {
-      data.metadata = { created: Date.now() };
-    }
-    if (!data.entries) {
-      data.entries = [];
-    }
-    
-    await skillManager.addEntry(skill.id, {
+    const entry = await skillManager.addEntry(skill.id, {
       value: extracted.value,
       unit: extracted.unit || skill.unit,
+      raw: extracted.raw,
       source: 'simple-router',
     });
     
     const stats = await skillManager.getTodayStats(skill.id);
-    let response = `${skill.icon || '📊'} Logged to **${skill.name}**: ${extracted.value}${skill.unit ? ' ' + skill.unit : ''}`;
+    let response = `${skill.icon || '📊'} Logged to **${skill.name}**: ${formatQuantity(entry.value, skill.unit)}`;
+    if (entry.original?.text) {
+      response += ` (${entry.original.text})`;
+    }
     
     if (stats.sum > 0) {
-      response += `\n📊 Today's total: ${stats.sum}${skill.unit ? ' ' + skill.unit : ''}`;
+      response += `\n📊 Today's total: ${formatQuantity(stats.sum, skill.unit)}`;
       if (skill.dailyGoal) {
         const progress = Math.round((stats.sum / skill.dailyGoal) * 100);
-        response += ` (${progress}% of ${skill.dailyGoal} goal)`;
+        response += ` (${progress}% of ${formatQuantity(skill.dailyGoal, skill.unit)} goal)`;
       }
     }
     
@@ -294,10 +331,19 @@ async function handleSkillLog(skill, extracted, skillManager, startTime) {
       type: 'skill_log',
       content: response,
       skill: skill.id,
-      logged: extracted,
+      logged: { value: entry.value, unit: entry.unit, original: entry.original },
       duration: Date.now() - startTime,
     };
   } catch (error) {
+    if (error.name === 'SkillValidationError') {
+      return {
+        success: false,
+        type: 'validation_error',
+        content: `⚠️ ${error.message}`,
+        errors: error.errors,
+        duration: Date.now() - startTime,
+      };
+    }
     return {
       success: false,
       type: 'error',
@@ -312,11 +358,11 @@ async function handleSkillQuery(skill, skillManager, startTime) {
     const stats = await skillManager.getTodayStats(skill.id);
     
     let response = `**${skill.name}** ${skill.icon || '📊'}\n`;
-    response += `Today: ${stats.sum}${skill.unit ? ' ' + skill.unit : ''} (${stats.count} entries)`;
+    response += `Today: ${formatQuantity(stats.sum, skill.unit)} (${stats.count} entries)`;
     
     if (skill.dailyGoal) {
       const progress = Math.round((stats.sum / skill.dailyGoal) * 100);
-      response += `\n🎯 Goal: ${progress}% of ${skill.dailyGoal}`;
+      response += `\n🎯 Goal: ${progress}% of ${formatQuantity(skill.dailyGoal, skill.unit)}`;
     }
     
     return {
@@ -357,7 +403,7 @@ function detectSkillType(input) {
 }
 
 async function handleSkillCreation(input, skillType, skillManager, context, startTime) {
-  const extracted = extractValue(input);
+  const extracted = extractValue(input, skillType.unit);
   
   try {
     // Create the skill
@@ -381,29 +427,20 @@ async function handleSkillCreation(input, skillType, skillManager, context, star
     await skillManager.loadAllSkills();
     const newSkill = skillManager.skills.get(skillId);
     
-    // Ensure data structure exists
-    const data = await skillManager.loadData(skillId);
-    if (!data.metadata) {
-      data.metadata = { created: Date.now() };
-    }
-    if (!data.entries) {
-      data.entries = [];
-    }
-    await skillManager.saveData(skillId, data);
-    
-    // Log the initial value
-    await skillManager.addEntry(skillId, {
+    // Log the initial value ("ran 3 miles" lands in km)
+    const entry = await skillManager.addEntry(skillId, {
       value: extracted.value,
-      unit: skillType.unit,
+      unit: extracted.unit === 'count' ? skillType.unit : extracted.unit,
+      raw: extracted.raw,
       source: 'simple-router',
     });
     
     return {
       success: true,
       type: 'skill_created_and_logged',
-      content: `✨ Created **${skillType.name}** tracker and logged ${extracted.value} ${skillType.unit}`,
+      content: `✨ Created **${skillType.name}** tracker and logged ${formatQuantity(entry.value, skillType.unit)}`,
       skill: skillId,
-      logged: extracted,
+      logged: { value: entry.value, unit: entry.unit, original: entry.original },
       duration: Date.now() - startTime,
     };
   } catch (error) {
@@ -416,10 +453,32 @@ async function handleSkillCreation(input, skillType, skillManager, context, star
   }
 }
 
+function handleUnitSystemChange(system, startTime) {
+  try {
+    setUnitSystem(system);
+    return {
+      success: true,
+      type: 'preference_updated',
+      content: system === 'imperial'
+        ? '📏 Got it - I\'ll show amounts in imperial units (fl oz, lb, miles).'
+        : '📏 Got it - I\'ll show amounts in metric units (ml, kg, km).',
+      preference: { unitSystem: system },
+      duration: Date.now() - startTime,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      type: 'error',
+      content: `Failed to update units: ${error.message}`,
+      duration: Date.now() - startTime,
+    };
+  }
+}
+
 async function handleConversation(input, startTime, context = {}) {
   try {
     // Build message with memory context if available
-    const { memoryContext } = context;
+    const memoryContext = context.loadMemoryContext ? await context.loadMemoryContext() : context.memoryContext;
     let enrichedInput = input;
 
     if (memoryContext) {
@@ -448,4 +507,4 @@ async function handleConversation(input, startTime, context = {}) {
 // Export
 // ============================================================================
 
-export default { routeSimply };
+export default { routeSimply, planSimpleRoute };
@@ -0,0 +1,463 @@
+/**
+ * Chain Conditions - the small language chain triggers are written in
+ *
+ *   coffee > 3 and after 14:00 and last.sleep < 6h
+ *   score <= 4 or (today.water < 1000 and hour >= 18)
+ *   streak.run >= 7 and weekday == "sat"
+ *
+ * Values:
+ * - score, entry.score       field of the entry that triggered the chain
+ * - event.total              data that came with the event (goal_reached etc.)
+ * - coffee, today.coffee     today's total of another skill (primary field)
+ * - today.run.distance       ... of a specific field, or .count for entries
+ * - yesterday.sleep          yesterday's total
+ * - last.sleep               the most recent entry ("sleep last night")
+ * - streak.run               current streak of a skill
+ * - hour, minute, time, weekday ("mon".."sun"), skill, event
+ *
+ * Literals: numbers, quantities (6h, 500ml, "2 cups" needs a known unit),
+ * times of day (14:00), "strings", true/false. Quantities are converted to
+ * the unit of whatever they're compared with.
+ *
+ * Operators: > >= < <= == != contains, + - * / (subtraction needs spaces,
+ * since skill ids may contain dashes), and/or/not (&& || !), plus
+ * `after 14:00` / `before 9:30` for the time of day.
+ *
+ * Conditions may also be given as objects: the original
+ * { field, op, value }, or { all: [...] }, { any: [...] }, { not: ... }
+ * with strings or objects inside.
+ */
+
+import { resolveUnit, canConvert, convert } from './units.js';
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'after', 'before', 'contains', 'true', 'false', 'null']);
+const COMPARISONS = new Set(['>', '>=', '<', '<=', '==', '=', '!=', 'contains']);
+const CLOCK = 'clock';
+
+function fail(message) {
+  throw new Error(`Invalid condition: ${message}`);
+}
+
+// ============== PARSING ==============
+
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['time', /^\d{1,2}:\d{2}(?![\d:])/],
+  ['number', /^\d+(?:\.\d+)?/],
+  ['string', /^"([^"]*)"|^'([^']*)'/],
+  ['op', /^(?:>=|<=|==|!=|&&|\|\||[><=!()+\-*/])/],
+  ['ident', /^[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*/]
+];
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const rest = text.slice(pos);
+    const match = TOKEN_PATTERNS
+      .map(([type, pattern]) => ({ type, m: rest.match(pattern) }))
+      .find(({ m }) => m);
+    if (!match) fail(`unexpected "${rest[0]}" at position ${pos + 1}`);
+
+    const raw = match.m[0];
+    if (match.type !== 'space') {
+      const token = { type: match.type, raw, start: pos, end: pos + raw.length };
+      if (match.type === 'string') token.value = match.m[1] ?? match.m[2];
+      if (match.type === 'ident' && KEYWORDS.has(raw.toLowerCase())) {
+        token.type = 'keyword';
+        token.value = raw.toLowerCase();
+      }
+      tokens.push(token);
+    }
+    pos += raw.length;
+  }
+  return tokens;
+}
+
+function parseClock(raw) {
+  const [hours, minutes] = raw.split(':').map(Number);
+  if (hours > 23 || minutes > 59) fail(`"${raw}" is not a time of day`);
+  return hours * 60 + minutes;
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isOp(...ops) {
+    const token = this.peek();
+    return token && ((token.type === 'op' && ops.includes(token.raw)) ||
+      (token.type === 'keyword' && ops.includes(token.value)));
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(raw) {
+    const token = this.next();
+    if (!token || token.raw !== raw) fail(`expected "${raw}"${token ? ` but found "${token.raw}"` : ' at the end'}`);
+    return token;
+  }
+
+  node(node, start) {
+    const end = this.tokens[this.pos - 1].end;
+    return { ...node, text: this.text.slice(start, end) };
+  }
+
+  parse() {
+    if (this.tokens.length === 0) fail('empty condition');
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) fail(`unexpected "${this.peek().raw}"`);
+    return node;
+  }
+
+  parseOr() {
+    const start = this.peek()?.start;
+    const items = [this.parseAnd()];
+    while (this.isOp('or', '||')) {
+      this.next();
+      items.push(this.parseAnd());
+    }
+    return items.length === 1 ? items[0] : this.node({ type: 'or', items }, start);
+  }
+
+  parseAnd() {
+    const start = this.peek()?.start;
+    const items = [this.parseNot()];
+    while (this.isOp('and', '&&')) {
+      this.next();
+      items.push(this.parseNot());
+    }
+    return items.length === 1 ? items[0] : this.node({ type: 'and', items }, start);
+  }
+
+  parseNot() {
+    const start = this.peek()?.start;
+    if (this.isOp('not', '!')) {
+      this.next();
+      return this.node({ type: 'not', item: this.parseNot() }, start);
+    }
+    if (this.isOp('after', 'before')) {
+      const keyword = this.next().value;
+      const token = this.next();
+      if (!token || token.type !== 'time') fail(`"${keyword}" needs a time like 14:00`);
+      return this.node({
+        type: 'compare',
+        op: keyword === 'after' ? '>=' : '<',
+        left: { type: 'var', path: 'time', text: 'time' },
+        right: { type: 'literal', value: parseClock(token.raw), unit: CLOCK, text: token.raw }
+      }, start);
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const start = this.peek()?.start;
+    const left = this.parseSum();
+    const token = this.peek();
+    const op = token && (token.type === 'op' ? token.raw : token.value);
+    if (!token || !COMPARISONS.has(op)) return left;
+
+    this.next();
+    const right = this.parseSum();
+    return this.node({ type: 'compare', op: op === '=' ? '==' : op, left, right }, start);
+  }
+
+  parseSum() {
+    const start = this.peek()?.start;
+    let node = this.parseTerm();
+    while (this.isOp('+', '-')) {
+      const op = this.next().raw;
+      node = this.node({ type: 'math', op, left: node, right: this.parseTerm() }, start);
+    }
+    return node;
+  }
+
+  parseTerm() {
+    const start = this.peek()?.start;
+    let node = this.parseFactor();
+    while (this.isOp('*', '/')) {
+      const op = this.next().raw;
+      node = this.node({ type: 'math', op, left: node, right: this.parseFactor() }, start);
+    }
+    return node;
+  }
+
+  parseFactor() {
+    const token = this.next();
+    if (!token) fail('unexpected end of condition');
+    const start = token.start;
+
+    switch (token.type) {
+      case 'number': {
+        // An attached or following unit makes it a quantity: 6h, 500 ml
+        const unitToken = this.peek();
+        if (unitToken?.type === 'ident' && !unitToken.raw.includes('.') && resolveUnit(unitToken.raw)) {
+          this.next();
+          return this.node({ type: 'literal', value: parseFloat(token.raw), unit: resolveUnit(unitToken.raw) }, start);
+        }
+        return this.node({ type: 'literal', value: parseFloat(token.raw), unit: null }, start);
+      }
+      case 'time':
+        return this.node({ type: 'literal', value: parseClock(token.raw), unit: CLOCK }, start);
+      case 'string':
+        return this.node({ type: 'literal', value: token.value, unit: null }, start);
+      case 'ident':
+        return this.node({ type: 'var', path: token.raw }, start);
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          return this.node({ type: 'literal', value: token.value === 'true', unit: null }, start);
+        }
+        if (token.value === 'null') return this.node({ type: 'literal', value: null, unit: null }, start);
+        break;
+      case 'op':
+        if (token.raw === '(') {
+          const inner = this.parseOr();
+          this.expect(')');
+          return { ...inner, text: this.text.slice(start, this.tokens[this.pos - 1].end) };
+        }
+        if (token.raw === '-') {
+          return this.node({ type: 'negate', item: this.parseFactor() }, start);
+        }
+        break;
+    }
+    fail(`unexpected "${token.raw}"`);
+  }
+}
+
+/**
+ * Condition (string or object form) to a syntax tree. Throws on bad input.
+ */
+export function parseCondition(condition) {
+  if (condition === undefined || condition === null || condition === '') return null;
+  if (typeof condition === 'string') return new Parser(condition).parse();
+  if (typeof condition !== 'object') fail(`expected a string or object, got ${typeof condition}`);
+
+  const list = (items, name) => {
+    if (!Array.isArray(items) || items.length === 0) fail(`"${name}" needs a non-empty list`);
+    return items.map(parseCondition);
+  };
+
+  let node;
+  if (condition.all) node = { type: 'and', items: list(condition.all, 'all') };
+  else if (condition.any) node = { type: 'or', items: list(condition.any, 'any') };
+  else if (condition.not) node = { type: 'not', item: parseCondition(condition.not) };
+  else if (condition.expr) return parseCondition(condition.expr);
+  else if (condition.field) {
+    const op = condition.op === '=' ? '==' : condition.op || '==';
+    if (!COMPARISONS.has(op)) fail(`unknown operator "${condition.op}"`);
+    node = {
+      type: 'compare',
+      op,
+      left: { type: 'var', path: condition.field, text: condition.field },
+      right: { type: 'literal', value: condition.value, unit: null, text: JSON.stringify(condition.value) }
+    };
+  } else {
+    fail('expected a string, { field, op, value }, { all }, { any } or { not }');
+  }
+  return { ...node, text: describeCondition(node) };
+}
+
+/**
+ * Text for a syntax tree (the source text where there is one)
+ */
+export function describeCondition(node) {
+  if (!node) return 'always';
+  if (node.text) return node.text;
+  switch (node.type) {
+    case 'and': return node.items.map(i => wrap(i)).join(' and ');
+    case 'or': return node.items.map(i => wrap(i)).join(' or ');
+    case 'not': return `not ${wrap(node.item)}`;
+    case 'compare':
+    case 'math': return `${describeCondition(node.left)} ${node.op} ${describeCondition(node.right)}`;
+    case 'negate': return `-${describeCondition(node.item)}`;
+    case 'var': return node.path;
+    default: return node.unit === CLOCK ? formatClock(node.value) : JSON.stringify(node.value);
+  }
+}
+
+function wrap(node) {
+  const text = describeCondition(node);
+  return node.type === 'and' || node.type === 'or' ? `(${text})` : text;
+}
+
+/**
+ * Variable paths a condition reads - lets callers fetch only what's needed
+ */
+export function conditionVariables(node, found = new Set()) {
+  if (!node) return found;
+  if (node.type === 'var') found.add(node.path);
+  for (const child of [node.left, node.right, node.item, ...(node.items || [])]) {
+    if (child) conditionVariables(child, found);
+  }
+  return found;
+}
+
+// ============== EVALUATION ==============
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatValue({ value, unit }) {
+  if (value === undefined) return 'not set';
+  if (unit === CLOCK) return formatClock(value);
+  if (typeof value === 'number') return `${Math.round(value * 100) / 100}${unit ? ` ${unit}` : ''}`;
+  return JSON.stringify(value);
+}
+
+function asQuantity(result) {
+  if (result && typeof result === 'object' && 'value' in result) return result;
+  return { value: result, unit: null };
+}
+
+/**
+ * Express `right` in `left`'s unit when both have one
+ */
+function alignUnits(left, right) {
+  if (!left.unit || !right.unit || left.unit === right.unit) return right;
+  if (left.unit === CLOCK || right.unit === CLOCK) {
+    throw new Error(`can't compare a time of day with ${formatValue(left.unit === CLOCK ? right : left)}`);
+  }
+  if (!canConvert(right.unit, left.unit)) {
+    throw new Error(`can't compare ${left.unit} with ${right.unit}`);
+  }
+  return { value: convert(right.value, right.unit, left.unit), unit: left.unit };
+}
+
+function compare(op, left, right) {
+  const a = typeof left.value === 'string' ? left.value.toLowerCase() : left.value;
+  const b = typeof right.value === 'string' ? right.value.toLowerCase() : right.value;
+  const numeric = x => (typeof x === 'string' && x.trim() !== '' && !isNaN(x) ? Number(x) : x);
+
+  switch (op) {
+    case '==': return numeric(a) == numeric(b);
+    case '!=': return numeric(a) != numeric(b);
+    case '>': return numeric(a) > numeric(b);
+    case '>=': return numeric(a) >= numeric(b);
+    case '<': return numeric(a) < numeric(b);
+    case '<=': return numeric(a) <= numeric(b);
+    case 'contains':
+      return Array.isArray(left.value)
+        ? left.value.map(v => String(v).toLowerCase()).includes(String(b))
+        : String(a ?? '').includes(String(b));
+    default: return false;
+  }
+}
+
+async function evaluateValue(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return { value: node.value, unit: node.unit };
+    case 'var':
+      return asQuantity(await resolve(node.path));
+    case 'negate': {
+      const inner = await evaluateValue(node.item, resolve);
+      return { ...inner, value: -inner.value };
+    }
+    case 'math': {
+      const left = await evaluateValue(node.left, resolve);
+      const right = await evaluateValue(node.right, resolve);
+      if (left.value === undefined || left.value === null || right.value === undefined || right.value === null) {
+        return { value: undefined, unit: null };
+      }
+      const aligned = node.op === '+' || node.op === '-' ? alignUnits(left, right) : right;
+      const a = Number(left.value);
+      const b = Number(aligned.value);
+      const value = node.op === '+' ? a + b : node.op === '-' ? a - b : node.op === '*' ? a * b : b === 0 ? undefined : a / b;
+      return { value, unit: left.unit || right.unit };
+    }
+    default:
+      // A condition used as a value: true/false
+      return { value: (await evaluateNode(node, resolve, [])), unit: null };
+  }
+}
+
+async function evaluateNode(node, resolve, trace) {
+  switch (node.type) {
+    case 'and': {
+      // Every branch is evaluated (no short-circuit) so explanations are complete
+      const results = [];
+      for (const item of node.items) results.push(await evaluateNode(item, resolve, trace));
+      return results.every(Boolean);
+    }
+    case 'or': {
+      const results = [];
+      for (const item of node.items) results.push(await evaluateNode(item, resolve, trace));
+      return results.some(Boolean);
+    }
+    case 'not':
+      return !(await evaluateNode(node.item, resolve, trace));
+    case 'compare': {
+      const step = { condition: describeCondition(node), result: false };
+      trace.push(step);
+      try {
+        const left = await evaluateValue(node.left, resolve);
+        const right = await evaluateValue(node.right, resolve);
+        step.left = formatValue(left);
+        step.right = formatValue(right);
+
+        const missing = [[left, node.left], [right, node.right]]
+          .find(([side]) => side.value === undefined || (side.value === null && node.op !== '==' && node.op !== '!='));
+        if (missing) {
+          step.reason = `${describeCondition(missing[1])} is not set`;
+          return false;
+        }
+
+        step.result = compare(node.op, left, node.op === 'contains' ? right : alignUnits(left, right));
+        return step.result;
+      } catch (error) {
+        step.reason = error.message;
+        return false;
+      }
+    }
+    default: {
+      // A bare value: true when set and truthy
+      const step = { condition: describeCondition(node), result: false };
+      trace.push(step);
+      const { value, unit } = await evaluateValue(node, resolve);
+      step.left = formatValue({ value, unit });
+      step.result = Boolean(value);
+      return step.result;
+    }
+  }
+}
+
+/**
+ * Evaluate a parsed condition.
+ * @param {object|null} node - from parseCondition (null means always true)
+ * @param {function} resolve - async (path) => value or { value, unit };
+ *   undefined when the variable has no value
+ * @returns {{ result: boolean, trace: [{ condition, left, right, result, reason }] }}
+ */
+export async function evaluateCondition(node, resolve) {
+  if (!node) return { result: true, trace: [] };
+  const trace = [];
+  const result = await evaluateNode(node, resolve, trace);
+  return { result, trace };
+}
+
+/**
+ * Evaluate an arithmetic expression ("entry.value * 0.5") to a plain value
+ */
+export async function evaluateExpression(text, resolve) {
+  const node = parseCondition(text);
+  const { value } = await evaluateValue(node, resolve);
+  return value;
+}
+
+export default {
+  parseCondition,
+  describeCondition,
+  conditionVariables,
+  evaluateCondition,
+  evaluateExpression
+};
@@ -0,0 +1,116 @@
+/**
+ * StaticRebel skill chain CLI commands
+ *
+ *   sr chains list
+ *   sr chains explain <skill> [field=value ...] [--event logged] [--at HH:MM]
+ */
+
+import { getSkillManager } from './skill-manager.js';
+import { GoalTracker } from './goals.js';
+import { ChainEngine } from './chains.js';
+
+export async function chainsCommand(args) {
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'list':
+      return await listChains();
+    case 'explain':
+      return await explainChains(options);
+    default:
+      return getChainsHelp();
+  }
+}
+
+function parseOptions(args) {
+  const options = { event: 'logged', entry: {}, skill: null, at: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--event') {
+      options.event = args[i + 1];
+      i++;
+    } else if (arg === '--at') {
+      options.at = args[i + 1];
+      i++;
+    } else if (arg.includes('=')) {
+      const [field, ...rest] = arg.split('=');
+      const value = rest.join('=');
+      options.entry[field] = value !== '' && !isNaN(value) ? parseFloat(value) : value;
+    } else if (!options.skill) {
+      options.skill = arg;
+    }
+  }
+
+  return options;
+}
+
+async function loadEngine() {
+  const sm = await getSkillManager();
+  const goals = await new GoalTracker(sm.dataDir).init();
+  return new ChainEngine(sm, goals, sm.dataDir).init();
+}
+
+async function listChains() {
+  const engine = await loadEngine();
+  const lines = ['🔗 Skill chains', ''];
+  for (const chain of engine.listChains()) {
+    lines.push(`  ${chain.id}`);
+    lines.push(`    When: ${chain.trigger}${chain.condition ? ` if ${chain.condition}` : ''}`);
+    lines.push(`    Then: ${chain.action}`);
+  }
+  return lines.join('\n');
+}
+
+async function explainChains(options) {
+  if (!options.skill) return 'Usage: sr chains explain <skill> [field=value ...] [--event logged] [--at HH:MM]';
+
+  const now = new Date();
+  if (options.at) {
+    const [hours, minutes = 0] = options.at.split(':').map(Number);
+    if (isNaN(hours) || isNaN(minutes)) return `Invalid time "${options.at}" (expected HH:MM)`;
+    now.setHours(hours, minutes, 0, 0);
+  }
+
+  const engine = await loadEngine();
+  const evaluations = await engine.explain(options.event, options.skill, { entry: options.entry }, { now });
+
+  const lines = [`🔍 ${options.skill}:${options.event} at ${now.toTimeString().slice(0, 5)} (dry run)`, ''];
+  for (const evaluation of evaluations) {
+    lines.push(`${evaluation.fired ? '✅' : '⏭️ '} ${evaluation.id} - ${evaluation.reason}`);
+    for (const step of evaluation.condition?.trace || []) {
+      lines.push(`     ${step.result ? '✓' : '✗'} ${step.condition}${step.reason ? ` (${step.reason})` : ''}`);
+    }
+    for (const action of evaluation.actions) {
+      const detail = action.message || action.jobType || action.url || action.webhookId ||
+        (action.entry && `${action.skill} ${JSON.stringify(action.entry)}`) || '';
+      lines.push(`     → ${action.type}: ${detail}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function getChainsHelp() {
+  return `StaticRebel Skill Chain Commands
+
+Usage: sr chains <command> [options]
+
+Commands:
+  list                          Show configured chains
+  explain <skill> [field=value] Show which chains would fire for an entry, and why
+
+Options:
+  --event <name>         Event to simulate (default: logged)
+  --at <HH:MM>           Pretend it's this time of day
+
+Examples:
+  sr chains list
+  sr chains explain mood score=3
+  sr chains explain coffee value=1 --at 15:30
+
+Nothing is logged, sent or scheduled by explain.`;
+}
+
+export default chainsCommand;
@@ -6,10 +6,37 @@
  * - Low mood → suggest walk or water
  * - Goal completed → celebration message
  * - Morning routine → chain multiple skills
+ *
+ * A chain is { id, trigger: { event, skill?, condition? }, action | actions }.
+ * Conditions use the language in chain-conditions.js, e.g.
+ *   "coffee > 3 and after 14:00 and last.sleep < 6h"
+ *
+ * Actions run in order. Conversational ones (message, prompt, suggest,
+ * celebrate, remind) are returned to the caller; the rest do something:
+ * - log:     { skill, entry: { value: '=entry.value * 0.25' } } - a derived entry
+ * - webhook: { url | webhookId, payload? }
+ * - notify:  { message, title?, platforms? }
+ * - job:     { jobType, payload?, delay? (minutes), priority? } - task queue
+ *
+ * explain() is the dry run: it shows why each chain did or didn't fire and
+ * what it would do, without doing it.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getEventBus, EventTypes } from '../eventBus.js';
+import { parseCondition, describeCondition, evaluateCondition, evaluateExpression } from './chain-conditions.js';
+
+const MESSAGE_ACTIONS = ['message', 'prompt', 'suggest', 'celebrate', 'remind'];
+const SIDE_EFFECT_ACTIONS = ['log', 'webhook', 'notify', 'job'];
+export const ACTION_TYPES = [...MESSAGE_ACTIONS, ...SIDE_EFFECT_ACTIONS];
+
+// Derived entries can trigger chains of their own, but only this deep
+const MAX_CHAIN_DEPTH = 3;
+// Longest a webhook action may hold up the chain (the WebhookManager
+// retries three times with a 10s request timeout)
+const WEBHOOK_TIMEOUT_MS = 45000;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
 /**
  * Default chain rules (can be customized by user)
@@ -47,11 +74,61 @@ const DEFAULT_CHAINS = [
   }
 ];
 
+/**
+ * Validate a chain definition: the condition must parse and every action
+ * needs the fields its type uses. Throws on bad input, returns the chain.
+ */
+export function validateChain(chain) {
+  const fail = message => { throw new Error(`Invalid chain${chain?.id ? ` "${chain.id}"` : ''}: ${message}`); };
+
+  if (!chain?.trigger?.event) fail('trigger.event is required');
+  try {
+    parseCondition(chain.trigger.condition);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const actions = getChainActions(chain);
+  if (actions.length === 0) fail('needs an action');
+
+  for (const action of actions) {
+    if (!ACTION_TYPES.includes(action.type)) {
+      fail(`unknown action type "${action.type}" (expected one of ${ACTION_TYPES.join(', ')})`);
+    }
+    if (action.delay && action.type !== 'remind' && action.type !== 'job' && SIDE_EFFECT_ACTIONS.includes(action.type)) {
+      fail(`"${action.type}" actions can't be delayed`);
+    }
+    if (action.type === 'log' && (!action.skill || typeof action.entry !== 'object')) fail('log actions need skill and entry');
+    if (action.type === 'webhook' && !action.url && !action.webhookId) fail('webhook actions need url or webhookId');
+    if (action.type === 'notify' && !action.message && !action.template) fail('notify actions need a message');
+    if (action.type === 'job' && !action.jobType) fail('job actions need jobType');
+  }
+
+  return chain;
+}
+
+/**
+ * Actions of a chain in order - `actions` or the single original `action`
+ */
+export function getChainActions(chain) {
+  if (Array.isArray(chain.actions)) return chain.actions;
+  return chain.action ? [chain.action] : [];
+}
+
 /**
  * ChainEngine - manages skill chains and triggers
+ *
+ * @param {object} [options]
+ * @param {function} [options.notify] - async ({ title, message, platforms, ... }) for notify
+ *   actions; defaults to emitting chain.notification on the event bus
+ * @param {object} [options.taskQueue] - TaskQueue for job actions; defaults to the
+ *   shared job database, which the app's task queue works through
+ * @param {object} [options.webhooks] - { deliver(webhook, payload), get(id) }; defaults
+ *   to the WebhookManager (retries, signing and delivery logs included)
+ * @param {number} [options.webhookTimeoutMs] - Give up on a webhook action after this long
  */
 export class ChainEngine {
-  constructor(skillManager, goalTracker, dataDir) {
+  constructor(skillManager, goalTracker, dataDir, options = {}) {
     this.sm = skillManager;
     this.goals = goalTracker;
     this.dataDir = dataDir;
@@ -59,6 +136,10 @@ export class ChainEngine {
     this.chains = [];
     this.pendingReminders = [];
     this.handlers = new Map();
+    this.notifier = options.notify || null;
+    this.taskQueue = options.taskQueue || null;
+    this.webhooks = options.webhooks || null;
+    this.webhookTimeoutMs = options.webhookTimeoutMs ?? WEBHOOK_TIMEOUT_MS;
   }
 
   async init() {
@@ -75,8 +156,8 @@ export class ChainEngine {
   }
 
   async save() {
-    const data = { 
-      chains: this.chains, 
+    const data = {
+      chains: this.chains,
       reminders: this.pendingReminders,
       savedAt: Date.now()
     };
@@ -88,11 +169,11 @@ export class ChainEngine {
   // ============== CHAIN MANAGEMENT ==============
 
   /**
-   * Add a custom chain rule
+   * Add a custom chain rule. Throws if the condition or actions are invalid.
    */
   async addChain(chain) {
     const id = chain.id || `chain-${Date.now()}`;
-    const newChain = { ...chain, id, createdAt: Date.now() };
+    const newChain = validateChain({ ...chain, id, createdAt: Date.now() });
     this.chains.push(newChain);
     await this.save();
     return newChain;
@@ -117,75 +198,252 @@ export class ChainEngine {
    * List all chains
    */
   listChains() {
-    return this.chains.map(c => ({
-      id: c.id,
-      trigger: `${c.trigger.skill || '*'}:${c.trigger.event}`,
-      action: c.action.type,
-      message: c.action.message?.slice(0, 50)
-    }));
+    return this.chains.map(c => {
+      const actions = getChainActions(c);
+      let condition = null;
+      try {
+        condition = c.trigger.condition ? describeCondition(parseCondition(c.trigger.condition)) : null;
+      } catch (error) {
+        condition = `(invalid: ${error.message})`;
+      }
+      return {
+        id: c.id,
+        trigger: `${c.trigger.skill || '*'}:${c.trigger.event}`,
+        condition,
+        action: actions.map(a => a.type).join(' → '),
+        message: actions.find(a => a.message)?.message?.slice(0, 50)
+      };
+    });
+  }
+
+  // ============== CONDITION CONTEXT ==============
+
+  /**
+   * Resolver for condition variables (see chain-conditions.js). Lookups
+   * are cached for the one event, so several chains reading
+   * today.coffee only load it once.
+   */
+  createResolver(event, skillId, data = {}, now = new Date()) {
+    const cache = new Map();
+    const today = now.toISOString().split('T')[0];
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const cached = (key, load) => {
+      if (!cache.has(key)) cache.set(key, load());
+      return cache.get(key);
+    };
+    const unitOf = (skill, field) =>
+      !field || field === this.sm.getPrimaryField(skill) ? this.sm.getStorageUnit(skill) : null;
+
+    const entryValue = (field) => {
+      const value = data.entry?.[field];
+      return value === undefined ? undefined : { value, unit: unitOf(skillId, field) };
+    };
+
+    const dayTotal = (skill, field, date) => cached(`day:${skill}:${field}:${date}`, async () => {
+      if (!this.sm.skills.has(skill)) return undefined;
+      const entries = await this.sm.getEntries(skill, { date });
+      if (field === 'count') return entries.length;
+      const name = field || this.sm.getPrimaryField(skill);
+      const total = entries.reduce((sum, e) => sum + (parseFloat(e[name]) || 0), 0);
+      return { value: total, unit: unitOf(skill, name) };
+    });
+
+    const lastValue = (skill, field) => cached(`last:${skill}:${field}`, async () => {
+      if (!this.sm.skills.has(skill)) return undefined;
+      const [entry] = await this.sm.getEntries(skill, { limit: 1 });
+      const name = field || this.sm.getPrimaryField(skill);
+      if (!entry || entry[name] === undefined) return undefined;
+      return { value: entry[name], unit: unitOf(skill, name) };
+    });
+
+    const streak = (skill) => cached(`streak:${skill}`, async () => {
+      if (!this.goals || !this.sm.skills.has(skill)) return undefined;
+      const entries = await this.sm.getEntries(skill);
+      return this.goals.getStreak(skill, entries, this.sm.skills.get(skill)).current;
+    });
+
+    return async (variable) => {
+      const [head, ...rest] = variable.split('.');
+      const field = rest.join('.') || null;
+
+      switch (head) {
+        case 'entry': return field ? entryValue(field) : undefined;
+        case 'event': return field ? data[field] : event;
+        case 'today': return dayTotal(rest[0], rest[1] || null, today);
+        case 'yesterday': return dayTotal(rest[0], rest[1] || null, yesterday);
+        case 'last': return lastValue(rest[0], rest[1] || null);
+        case 'streak': return streak(rest[0]);
+        case 'hour': return now.getHours();
+        case 'minute': return now.getMinutes();
+        case 'time': return { value: now.getHours() * 60 + now.getMinutes(), unit: 'clock' };
+        case 'weekday': return DAY_NAMES[now.getDay()];
+        case 'skill': return skillId;
+      }
+
+      // Bare names: the entry's field, then event data, then a skill's today total
+      if (!field) {
+        if (data.entry && data.entry[head] !== undefined) return entryValue(head);
+        if (data[head] !== undefined) return data[head];
+      }
+      if (this.sm.skills.has(head)) return dayTotal(head, field, today);
+      return undefined;
+    };
   }
 
   // ============== EVENT PROCESSING ==============
 
+  /**
+   * Whether one chain fires for an event, and why (or why not)
+   * @returns {{ id, fired, reason, condition: { text, result, trace } | null }}
+   */
+  async evaluateChain(chain, event, skillId, resolve) {
+    const result = { id: chain.id, fired: false, condition: null };
+    const { trigger } = chain;
+
+    if (trigger.event !== event) {
+      return { ...result, reason: `waits for "${trigger.event}", not "${event}"` };
+    }
+    if (trigger.skill && trigger.skill !== skillId) {
+      return { ...result, reason: `only for ${trigger.skill}` };
+    }
+    if (!trigger.condition) {
+      return { ...result, fired: true, reason: 'trigger matched' };
+    }
+
+    let node;
+    try {
+      node = parseCondition(trigger.condition);
+    } catch (error) {
+      return { ...result, reason: error.message };
+    }
+
+    const { result: met, trace } = await evaluateCondition(node, resolve);
+    const failed = trace.filter(step => !step.result).map(step => step.reason || step.condition);
+    return {
+      ...result,
+      fired: met,
+      reason: met ? 'condition met' : `condition not met: ${failed.join(', ') || describeCondition(node)}`,
+      condition: { text: describeCondition(node), result: met, trace }
+    };
+  }
+
+  /**
+   * Check if a trigger matches the current event
+   */
+  async matchesTrigger(trigger, event, skillId, data = {}) {
+    const resolve = this.createResolver(event, skillId, data, data.now);
+    const { fired } = await this.evaluateChain({ id: null, trigger }, event, skillId, resolve);
+    return fired;
+  }
+
   /**
    * Process an event and return triggered actions
    * @param {string} event - Event type (logged, goal_reached, streak_milestone)
    * @param {string} skillId - The skill that triggered the event
    * @param {object} data - Event data (entry, streak count, etc)
-   * @returns {array} Array of actions to take
+   * @param {object} [options] - { dryRun, now }
+   * @returns {array} Array of actions - side-effect actions carry a
+   *   status ('done', 'failed', or 'planned' in a dry run)
    */
-  async processEvent(event, skillId, data = {}) {
+  async processEvent(event, skillId, data = {}, options = {}) {
+    const { actions } = await this.run(event, skillId, data, options);
+    return actions;
+  }
+
+  /**
+   * Dry run: every chain with whether it fired, why, and the actions it
+   * would take. Nothing is logged, sent or scheduled.
+   * @returns {array} [{ id, fired, reason, condition, actions }]
+   */
+  async explain(event, skillId, data = {}, options = {}) {
+    const { evaluations } = await this.run(event, skillId, data, { ...options, dryRun: true });
+    return evaluations;
+  }
+
+  async run(event, skillId, data, options = {}) {
+    const now = options.now || data.now || new Date();
+    const resolve = this.createResolver(event, skillId, data, now);
+    const evaluations = [];
     const actions = [];
 
     for (const chain of this.chains) {
-      if (!this.matchesTrigger(chain.trigger, event, skillId, data)) {
-        continue;
-      }
-
-      const action = this.buildAction(chain.action, skillId, data);
-      if (action) {
+      const evaluation = await this.evaluateChain(chain, event, skillId, resolve);
+      evaluation.actions = [];
+      evaluations.push(evaluation);
+      if (!evaluation.fired) continue;
+
+      for (const actionDef of getChainActions(chain)) {
+        const action = await this.buildAction(actionDef, skillId, data, resolve);
+        if (!action) continue;
+        action.chainId = chain.id;
+        evaluation.actions.push(action);
         actions.push(action);
+
+        if (!SIDE_EFFECT_ACTIONS.includes(action.type)) continue;
+        if (options.dryRun) {
+          action.status = 'planned';
+        } else {
+          actions.push(...await this.executeAction(action, data.depth || 0));
+        }
       }
     }
 
-    return actions;
+    return { evaluations, actions };
   }
 
   /**
-   * Check if a trigger matches the current event
+   * Fill "{...}" placeholders. The original {skill}, {streak}, {value} and
+   * {score} keep their meaning; anything else is a condition-language
+   * expression like {today.water} or {entry.distance * 2}.
    */
-  matchesTrigger(trigger, event, skillId, data) {
-    // Check event type
-    if (trigger.event !== event) return false;
-
-    // Check skill (if specified)
-    if (trigger.skill && trigger.skill !== skillId) return false;
-
-    // Check conditions
-    if (trigger.condition) {
-      const { field, op, value } = trigger.condition;
-      const actual = data[field] ?? data.entry?.[field];
-      
-      if (actual === undefined) return false;
-
-      switch (op) {
-        case '==': case '=': if (actual != value) return false; break;
-        case '!=': if (actual == value) return false; break;
-        case '>': if (actual <= value) return false; break;
-        case '>=': if (actual < value) return false; break;
-        case '<': if (actual >= value) return false; break;
-        case '<=': if (actual > value) return false; break;
-        default: return false;
+  async renderTemplate(text, skillId, data, resolve) {
+    let result = text
+      .replace('{skill}', this.sm.skills.get(skillId)?.name || skillId)
+      .replace('{streak}', data.streak || data.current || '')
+      .replace('{value}', data.entry?.value || data.value || '')
+      .replace('{score}', data.entry?.score || data.score || '');
+
+    for (const [placeholder, expression] of [...result.matchAll(/\{([^{}]+)\}/g)]) {
+      try {
+        const value = await evaluateExpression(expression, resolve);
+        if (value !== undefined) {
+          result = result.replace(placeholder, typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+        }
+      } catch {
+        // Not an expression - leave the braces as written
       }
     }
+    return result;
+  }
 
-    return true;
+  /**
+   * Render a value from an action definition: "=expr" is evaluated,
+   * other strings are templates, objects are rendered field by field
+   */
+  async renderValue(value, skillId, data, resolve) {
+    if (typeof value === 'string') {
+      return value.startsWith('=')
+        ? evaluateExpression(value.slice(1), resolve)
+        : this.renderTemplate(value, skillId, data, resolve);
+    }
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(v => this.renderValue(v, skillId, data, resolve)));
+    }
+    if (value && typeof value === 'object') {
+      const rendered = {};
+      for (const [key, v] of Object.entries(value)) {
+        rendered[key] = await this.renderValue(v, skillId, data, resolve);
+      }
+      return rendered;
+    }
+    return value;
   }
 
   /**
    * Build the action response
    */
-  buildAction(actionDef, skillId, data) {
+  async buildAction(actionDef, skillId, data, resolve = this.createResolver(null, skillId, data)) {
     const action = {
       type: actionDef.type,
       skill: actionDef.skill || skillId,
@@ -194,15 +452,11 @@ export class ChainEngine {
 
     // Template substitution
     if (action.message) {
-      action.message = action.message
-        .replace('{skill}', this.sm.skills.get(skillId)?.name || skillId)
-        .replace('{streak}', data.streak || data.current || '')
-        .replace('{value}', data.entry?.value || data.value || '')
-        .replace('{score}', data.entry?.score || data.score || '');
+      action.message = await this.renderTemplate(action.message, skillId, data, resolve);
     }
 
     // Handle delayed reminders
-    if (actionDef.delay) {
+    if (actionDef.delay && actionDef.type !== 'job') {
       action.delayed = true;
       action.delayMinutes = actionDef.delay;
       action.triggerAt = Date.now() + actionDef.delay * 60 * 1000;
@@ -213,9 +467,142 @@ export class ChainEngine {
       action.suggestedSkills = actionDef.skills;
     }
 
+    switch (actionDef.type) {
+      case 'log':
+        action.entry = await this.renderValue(actionDef.entry, skillId, data, resolve);
+        break;
+      case 'webhook':
+        action.url = actionDef.url;
+        action.webhookId = actionDef.webhookId;
+        action.headers = actionDef.headers;
+        action.payload = actionDef.payload
+          ? await this.renderValue(actionDef.payload, skillId, data, resolve)
+          : { skill: skillId, entry: data.entry || null, message: action.message || null };
+        break;
+      case 'notify':
+        action.title = actionDef.title
+          ? await this.renderTemplate(actionDef.title, skillId, data, resolve)
+          : 'StaticRebel';
+        action.platforms = actionDef.platforms;
+        break;
+      case 'job':
+        action.jobType = actionDef.jobType;
+        action.payload = await this.renderValue(actionDef.payload || {}, skillId, data, resolve);
+        action.delayMinutes = actionDef.delay || 0;
+        action.priority = actionDef.priority;
+        break;
+    }
+
     return action;
   }
 
+  // ============== SIDE EFFECTS ==============
+
+  /**
+   * Run a log/webhook/notify/job action, recording status and result (or
+   * error) on it. Returns follow-up actions from chains the derived entry
+   * of a log action triggered.
+   */
+  async executeAction(action, depth = 0) {
+    const followUps = [];
+    try {
+      switch (action.type) {
+        case 'log': {
+          const entry = await this.sm.addEntry(action.skill, { ...action.entry, source: `chain:${action.chainId}` });
+          action.result = { entryId: entry.id };
+          if (depth + 1 < MAX_CHAIN_DEPTH) {
+            followUps.push(...await this.onEntryLogged(action.skill, entry, { depth: depth + 1 }));
+          }
+          break;
+        }
+        case 'webhook':
+          action.result = await this.sendWebhook(action);
+          break;
+        case 'notify':
+          action.result = await this.sendNotification(action);
+          break;
+        case 'job': {
+          const taskQueue = this.taskQueue || await this.getTaskQueue();
+          const jobId = await taskQueue.enqueue(action.jobType, action.payload, {
+            delay: action.delayMinutes ? action.delayMinutes * 60 * 1000 : undefined,
+            priority: action.priority,
+            metadata: { chainId: action.chainId }
+          });
+          action.result = { jobId };
+          break;
+        }
+      }
+      action.status = 'done';
+    } catch (error) {
+      action.status = 'failed';
+      action.error = error.message;
+    }
+    return followUps;
+  }
+
+  async sendWebhook(action) {
+    const webhooks = this.webhooks || await this.getWebhookManager();
+    let webhook;
+    if (action.webhookId) {
+      webhook = await webhooks.get(action.webhookId);
+      if (!webhook) throw new Error(`Unknown webhook "${action.webhookId}"`);
+    } else {
+      webhook = { id: `chain-${action.chainId}`, url: action.url, headers: action.headers, event: 'chain' };
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Webhook timed out after ${this.webhookTimeoutMs / 1000}s`)), this.webhookTimeoutMs);
+    });
+    const result = await Promise.race([webhooks.deliver(webhook, action.payload), timeout])
+      .finally(() => clearTimeout(timer));
+    if (result && result.success === false) {
+      throw new Error(result.error?.error || 'Webhook delivery failed');
+    }
+    return { webhookId: webhook.id };
+  }
+
+  /**
+   * Default webhook transport: the shared WebhookManager, loaded lazily
+   * since most chains never call a webhook
+   */
+  async getWebhookManager() {
+    const { getWebhookManager } = await import('../integrations/webhooks.js');
+    const manager = getWebhookManager();
+    return {
+      deliver: (webhook, payload) => manager.delivery.deliver(webhook, payload),
+      get: async (id) => {
+        if (manager.webhooks.size === 0) await manager.loadWebhooks();
+        return manager.getWebhook(id);
+      }
+    };
+  }
+
+  /**
+   * Default job transport: the task queue's job database, opened without
+   * workers so the app's running queue executes the jobs
+   */
+  async getTaskQueue() {
+    const { createTaskQueue } = await import('../task-queue/index.js');
+    this.taskQueue = createTaskQueue().open();
+    return this.taskQueue;
+  }
+
+  async sendNotification(action) {
+    const notification = {
+      chainId: action.chainId,
+      skillId: action.skill,
+      title: action.title,
+      message: action.message,
+      platforms: action.platforms
+    };
+    if (this.notifier) {
+      return this.notifier(notification);
+    }
+    getEventBus().emit(EventTypes.CHAIN_NOTIFICATION, notification);
+    return { delivered: 'event-bus' };
+  }
+
   // ============== DELAYED REMINDERS ==============
 
   /**
@@ -266,8 +653,8 @@ export class ChainEngine {
    * Process a skill entry and get any triggered messages
    * This is the main integration point for the companion
    */
-  async onEntryLogged(skillId, entry) {
-    const actions = await this.processEvent('logged', skillId, { entry });
+  async onEntryLogged(skillId, entry, options = {}) {
+    const actions = await this.processEvent('logged', skillId, { entry, depth: options.depth || 0 });
     
     // Check for goal completion
     if (this.goals) {
@@ -310,7 +697,7 @@ export class ChainEngine {
    */
   getMessages(actions) {
     return actions
-      .filter(a => a.message)
+      .filter(a => a.message && !SIDE_EFFECT_ACTIONS.includes(a.type))
       .map(a => a.message);
   }
 
@@ -0,0 +1,206 @@
+/**
+ * Corrections - "undo last log", "delete my last coffee",
+ * "actually that was 500ml, not 250"
+ *
+ * Parses correction phrases and applies them through SkillManager, so chat,
+ * Telegram, Discord, Slack and the API all fix mistakes the same way.
+ * Deletes are soft (SkillManager.deleteEntry) and every change is audited.
+ */
+
+import { formatQuantity, parseQuantity } from './units.js';
+import { logClassification } from '../intentClassifier.js';
+
+const UNDO_PATTERNS = [
+  /^(?:please\s+)?(?:undo|revert)(?:\s+(?:that|it|this))?(?:\s+(?:my\s+|the\s+)?(?:last|previous)(?:\s+(?:log|entry|one))?)?$/i,
+  /^(?:scratch|delete|remove|cancel)\s+that(?:\s+(?:log|entry|one))?$/i,
+  /^(?:oops,?\s+)?(?:undo|delete|remove)\s+(?:my\s+|the\s+)?(?:last|previous)\s+(?:log|entry|one)$/i,
+];
+
+// "delete my last coffee", "remove the last water entry"
+const DELETE_PATTERN = /^(?:undo|delete|remove|cancel)\s+(?:my\s+|the\s+)?(?:last|previous)\s+(.+?)(?:\s+(?:log|entry))?$/i;
+
+// "actually that was 500ml, not 250" / "no, it was 3 miles"
+const AMEND_PATTERN = /^(?:no,?\s+|oops,?\s+)?actually,?\s+(?:that|it)\s+(?:was|should\s+be)\s+(.+?)(?:,?\s+not\s+.+)?$/i;
+
+// "change my last water to 500ml", "fix the last run to 5km"
+const CHANGE_PATTERN = /^(?:change|correct|fix|update|edit|make)\s+(?:my\s+|the\s+)?(?:last|previous)\s+(?:(.+?)\s+)?(?:log\s+|entry\s+)?(?:to|into)\s+(.+)$/i;
+
+function cleanText(text) {
+  return String(text || '').trim().replace(/[.!?]+$/, '').trim();
+}
+
+function resolveSkillId(skillManager, phrase) {
+  if (!phrase || !skillManager) return null;
+  const word = phrase.toLowerCase().replace(/^(?:log|entry)$/, '');
+  if (!word) return null;
+
+  const matches = skillManager.findMatchingSkills(word);
+  if (matches.length > 0) return matches[0].id;
+
+  // "coffees" -> "coffee"
+  const singular = word.replace(/s$/, '');
+  if (singular !== word) {
+    const again = skillManager.findMatchingSkills(singular);
+    if (again.length > 0) return again[0].id;
+  }
+  return null;
+}
+
+/**
+ * Turn the amount part of an edit into entry changes
+ */
+function parseAmount(text) {
+  const quantity = parseQuantity(text);
+  if (quantity && quantity.unit && quantity.unit !== 'count') {
+    return { quantity: quantity.raw || text };
+  }
+  const match = text.match(/-?\d+(?:[.,]\d+)?/);
+  if (!match) return null;
+  return { value: parseFloat(match[0].replace(',', '.')) };
+}
+
+/**
+ * Recognise a correction request.
+ * @param {string} text - what the user typed
+ * @param {SkillManager} [skillManager] - used to resolve "my last coffee"
+ * @returns {{type: 'undo'|'delete'|'edit', skillId: string|null, changes?: object, skillName?: string}|null}
+ */
+export function parseCorrection(text, skillManager = null) {
+  const input = cleanText(text);
+  if (!input || input.length > 120) return null;
+
+  if (UNDO_PATTERNS.some(p => p.test(input))) {
+    return { type: 'undo', skillId: null };
+  }
+
+  const deleteMatch = input.match(DELETE_PATTERN);
+  if (deleteMatch) {
+    const skillId = resolveSkillId(skillManager, deleteMatch[1]);
+    if (skillId) return { type: 'delete', skillId };
+    // "delete my last one" style phrasing we didn't recognise as a skill
+    return { type: 'delete', skillId: null, skillName: deleteMatch[1] };
+  }
+
+  const amendMatch = input.match(AMEND_PATTERN);
+  if (amendMatch) {
+    const changes = parseAmount(amendMatch[1]);
+    if (changes) return { type: 'edit', skillId: null, changes };
+  }
+
+  const changeMatch = input.match(CHANGE_PATTERN);
+  if (changeMatch) {
+    const changes = parseAmount(changeMatch[2]);
+    if (changes) {
+      const skillId = changeMatch[1] ? resolveSkillId(skillManager, changeMatch[1]) : null;
+      if (changeMatch[1] && !skillId && !/^(?:log|entry|one)$/i.test(changeMatch[1])) {
+        return { type: 'edit', skillId: null, changes, skillName: changeMatch[1] };
+      }
+      return { type: 'edit', skillId, changes };
+    }
+  }
+
+  return null;
+}
+
+export function isCorrection(text, skillManager = null) {
+  return parseCorrection(text, skillManager) !== null;
+}
+
+function describeEntry(skill, entry) {
+  const amount = entry.value !== undefined && entry.value !== null
+    ? ` (${formatQuantity(entry.value, entry.unit || skill?.unit)})`
+    : '';
+  return `**${skill?.name || 'entry'}**${amount}`;
+}
+
+/**
+ * Add an applied correction to the classification log, where the routing
+ * eval pairs it with the log decision it fixed (see lib/intent/eval.js).
+ * Corrections without the text the user typed aren't logged.
+ */
+function logCorrection(result, options) {
+  if (!options.input) return result;
+  logClassification(options.input, {
+    router: 'correction',
+    correction: result.type,
+    skill: result.skillId,
+    value: result.entry?.value ?? null,
+  });
+  return result;
+}
+
+/**
+ * Apply a parsed correction.
+ * @param {SkillManager} skillManager
+ * @param {object} correction - from parseCorrection()
+ * @param {object} [options] - { source, input, filter } (input: the correction text;
+ *   filter: only correct entries it returns true for, e.g. one user's)
+ * @returns {Promise<{success: boolean, type: string, message?: string, error?: string, skillId?: string, entry?: object}>}
+ */
+export async function applyCorrection(skillManager, correction, options = {}) {
+  const source = options.source || null;
+  const filter = options.filter || null;
+
+  if (correction.skillName && !correction.skillId) {
+    return {
+      success: false,
+      type: correction.type,
+      error: `I don't have a tracker called "${correction.skillName}".`
+    };
+  }
+
+  if (correction.type === 'undo' || correction.type === 'delete') {
+    const removed = await skillManager.undoLastEntry({ skillId: correction.skillId, source, filter });
+    if (!removed) {
+      return { success: false, type: correction.type, error: 'Nothing to undo - no logged entries found.' };
+    }
+    const skill = skillManager.skills.get(removed.skillId);
+    return logCorrection({
+      success: true,
+      type: correction.type,
+      skillId: removed.skillId,
+      entry: removed.entry,
+      message: `↩️ Removed your last ${describeEntry(skill, removed.entry)} log.`
+    }, options);
+  }
+
+  if (correction.type === 'edit') {
+    const last = await skillManager.getLastEntry(correction.skillId, { filter });
+    if (!last) {
+      return { success: false, type: 'edit', error: 'There is no logged entry to change.' };
+    }
+
+    try {
+      const entry = await skillManager.updateEntry(last.skillId, last.entry.id, correction.changes, { source });
+      if (!entry) {
+        return { success: false, type: 'edit', error: 'That entry no longer exists.' };
+      }
+      const skill = skillManager.skills.get(last.skillId);
+      return logCorrection({
+        success: true,
+        type: 'edit',
+        skillId: last.skillId,
+        entry,
+        message: `✏️ Updated your last ${describeEntry(skill, entry)} log.`
+      }, options);
+    } catch (error) {
+      if (error.name === 'SkillValidationError') {
+        return { success: false, type: 'edit', error: error.message, skillId: last.skillId };
+      }
+      throw error;
+    }
+  }
+
+  return { success: false, type: correction.type, error: `Unknown correction "${correction.type}"` };
+}
+
+/**
+ * Parse and apply in one go. Returns null if `text` isn't a correction.
+ */
+export async function handleCorrection(skillManager, text, options = {}) {
+  const correction = parseCorrection(text, skillManager);
+  if (!correction) return null;
+  return applyCorrection(skillManager, correction, { ...options, input: text });
+}
+
+export default { parseCorrection, isCorrection, applyCorrection, handleCorrection };
@@ -0,0 +1,250 @@
+/**
+ * Forecasting - where today, this week and this month are likely to end up
+ *
+ * Projects a period's total from what's been logged so far plus what
+ * usually comes after:
+ * - the rest of today, from how much was logged after this time of day
+ *   over the last few weeks (the intraday pattern)
+ * - each remaining day of the week/month, from past totals on the same
+ *   weekday (or all days while a weekday has little history)
+ *
+ * The spread of those histories gives a standard deviation, which turns a
+ * goal into a probability: "62% likely to hit 14 km this week".
+ *
+ * Days and periods follow entry.date (UTC), like goal rules.
+ */
+
+import { periodOf, periodDates, countsOn, describeGoalRule } from './goal-rules.js';
+import { meanAndStdDev, normalCdf } from './statistics.js';
+import { formatQuantity } from './units.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_LABELS = { day: 'daily', week: 'weekly', month: 'monthly' };
+// A weekday needs this many days of history before it gets its own baseline
+const MIN_WEEKDAY_SAMPLES = 3;
+// Fewer active days than this in the lookback and the projection is a guess
+const MIN_ACTIVE_DAYS = 7;
+
+export const DEFAULT_LOOKBACK_DAYS = 28;
+
+function toDate(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+function utcWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * P(X >= threshold) for X ~ N(mean, stdDev)
+ */
+function probabilityAtLeast(threshold, mean, stdDev) {
+  if (stdDev === 0) return mean >= threshold ? 1 : 0;
+  return 1 - normalCdf((threshold - mean) / stdDev);
+}
+
+/**
+ * P(X <= threshold) for X ~ N(mean, stdDev)
+ */
+function probabilityAtMost(threshold, mean, stdDev) {
+  if (stdDev === 0) return mean <= threshold ? 1 : 0;
+  return normalCdf((threshold - mean) / stdDev);
+}
+
+function outlookOf(probability) {
+  if (probability >= 0.7) return 'on-track';
+  if (probability >= 0.3) return 'at-risk';
+  return 'off-track';
+}
+
+export class ForecastEngine {
+  constructor(skillManager, goalTracker = null) {
+    this.sm = skillManager;
+    this.goals = goalTracker;
+  }
+
+  /**
+   * One row per day of the lookback window (today excluded), zero-filled:
+   * [{ date, weekday, total, rest }] where `rest` is the part logged later
+   * in the day than `now`'s time of day.
+   */
+  async getHistory(skillId, options = {}) {
+    const { field = null, metric = 'sum', now = new Date(), lookbackDays = DEFAULT_LOOKBACK_DAYS } = options;
+    const startOfToday = Date.parse(`${toDate(now)}T00:00:00Z`);
+    const range = {
+      since: new Date(startOfToday - lookbackDays * DAY_MS).toISOString(),
+      until: new Date(startOfToday - 1).toISOString()
+    };
+
+    const name = field || this.sm.getPrimaryField(skillId);
+    const days = await this.sm.getAggregations(skillId, name, 'day', range);
+    const totals = new Map(days.map(day => [day.period, metric === 'count' ? day.count : day.sum]));
+
+    const timeOfDay = now.getTime() - startOfToday;
+    const rest = new Map();
+    for (const entry of await this.sm.getEntries(skillId, range)) {
+      if (entry.timestamp - Date.parse(`${entry.date}T00:00:00Z`) <= timeOfDay) continue;
+      const amount = metric === 'count' ? 1 : parseFloat(entry[name]) || 0;
+      rest.set(entry.date, (rest.get(entry.date) || 0) + amount);
+    }
+
+    const history = [];
+    for (let i = lookbackDays; i >= 1; i--) {
+      const date = toDate(startOfToday - i * DAY_MS);
+      history.push({
+        date,
+        weekday: utcWeekday(date),
+        total: totals.get(date) || 0,
+        rest: rest.get(date) || 0
+      });
+    }
+    return history;
+  }
+
+  /**
+   * Project the current day, week or month.
+   * @param {string} skillId
+   * @param {string} [period='day']
+   * @param {object} [options] - { field, metric: 'sum'|'count', days (rule days filter), now, lookbackDays }
+   * @returns {{ period, key, actual, projected, stdDev, low, high, expectedRest, daysLeft,
+   *   reliable: boolean, basis: { lookbackDays, activeDays } }}
+   */
+  async projectPeriod(skillId, period = 'day', options = {}) {
+    const { metric = 'sum', now = new Date(), lookbackDays = DEFAULT_LOOKBACK_DAYS } = options;
+    const field = options.field || this.sm.getPrimaryField(skillId);
+    const filter = { days: options.days || null };
+    const today = toDate(now);
+    const key = periodOf(today, period);
+    const dates = periodDates(key, period);
+
+    // Logged so far this period
+    const soFar = await this.sm.getAggregations(skillId, field, 'day', {
+      since: `${dates[0]}T00:00:00.000Z`,
+      until: now.toISOString()
+    });
+    const actual = soFar
+      .filter(day => day.period <= today && countsOn(filter, day.period))
+      .reduce((sum, day) => sum + (metric === 'count' ? day.count : day.sum), 0);
+
+    const history = await this.getHistory(skillId, { field, metric, now, lookbackDays });
+    const activeDays = history.filter(day => day.total > 0).length;
+
+    let expected = 0;
+    let variance = 0;
+    if (countsOn(filter, today)) {
+      const rest = meanAndStdDev(history.map(day => day.rest));
+      expected += rest.mean;
+      variance += rest.stdDev ** 2;
+    }
+
+    const overall = meanAndStdDev(history.map(day => day.total));
+    const future = dates.filter(date => date > today && countsOn(filter, date));
+    for (const date of future) {
+      const sameDay = history.filter(day => day.weekday === utcWeekday(date)).map(day => day.total);
+      const baseline = sameDay.length >= MIN_WEEKDAY_SAMPLES ? meanAndStdDev(sameDay) : overall;
+      expected += baseline.mean;
+      variance += baseline.stdDev ** 2;
+    }
+
+    const projected = actual + expected;
+    const stdDev = Math.sqrt(variance);
+    return {
+      period,
+      key,
+      actual: round(actual),
+      projected: round(projected),
+      stdDev: round(stdDev),
+      // 80% interval; nothing already logged can be taken back
+      low: round(Math.max(actual, projected - 1.28 * stdDev)),
+      high: round(projected + 1.28 * stdDev),
+      expectedRest: round(expected),
+      daysLeft: future.length,
+      reliable: activeDays >= MIN_ACTIVE_DAYS,
+      basis: { lookbackDays, activeDays }
+    };
+  }
+
+  /**
+   * Forecast one goal rule: the projection plus the probability of meeting it.
+   * @returns {object} projection + { rule, description, probability, outlook, message }
+   *   where outlook is 'met' | 'on-track' | 'at-risk' | 'off-track' | 'exceeded'
+   */
+  async forecastGoal(skillId, rule, options = {}) {
+    const projection = await this.projectPeriod(skillId, rule.period, {
+      ...options,
+      field: rule.field || options.field,
+      metric: rule.metric,
+      days: rule.days
+    });
+    const { actual, projected, stdDev } = projection;
+
+    let probability;
+    let outlook;
+    if (rule.max !== undefined && actual > rule.max) {
+      probability = 0;
+      outlook = 'exceeded';
+    } else {
+      // The total can't drop below what's logged, so a reached minimum is certain
+      const reachesMin = rule.min === undefined || actual >= rule.min
+        ? 1
+        : probabilityAtLeast(rule.min, projected, stdDev);
+      const staysUnder = rule.max === undefined ? 1 : probabilityAtMost(rule.max, projected, stdDev);
+      probability = Math.max(0, reachesMin + staysUnder - 1);
+      outlook = rule.direction === 'min' && actual >= rule.min ? 'met' : outlookOf(probability);
+    }
+
+    const forecast = {
+      ...projection,
+      rule,
+      description: describeGoalRule(rule),
+      probability: round(probability),
+      outlook
+    };
+    forecast.message = describeForecast(this.sm.skills.get(skillId)?.name || skillId, forecast);
+    return forecast;
+  }
+
+  /**
+   * Forecasts for every goal rule of a skill (needs a GoalTracker)
+   */
+  async forecastGoals(skillId, options = {}) {
+    if (!this.goals) return [];
+    const rules = this.goals.getGoalRules(skillId, this.sm.skills.get(skillId));
+    const forecasts = [];
+    for (const rule of rules) {
+      forecasts.push(await this.forecastGoal(skillId, rule, options));
+    }
+    return forecasts;
+  }
+}
+
+/**
+ * "At this pace you'll miss your weekly Running target: about 9 km of 14 km (20% chance)"
+ */
+export function describeForecast(name, forecast) {
+  const { rule, projected, probability, outlook } = forecast;
+  const label = `${PERIOD_LABELS[rule.period]} ${name}`;
+  const amount = value => formatQuantity(value, rule.unit);
+  const chance = `${Math.round(probability * 100)}%`;
+
+  if (outlook === 'met') return `✅ ${label} target already reached`;
+  if (outlook === 'exceeded') return `⚠️ Already over your ${label} limit of ${amount(rule.max)}`;
+
+  if (rule.direction === 'max') {
+    return outlook === 'on-track'
+      ? `On track to stay under your ${label} limit: about ${amount(projected)} of ${amount(rule.max)} (${chance} likely)`
+      : `At this pace you'll go over your ${label} limit: about ${amount(projected)} of ${amount(rule.max)} (${chance} chance of staying under)`;
+  }
+
+  const target = rule.direction === 'range' ? `${rule.min}-${amount(rule.max)}` : amount(rule.min);
+  return outlook === 'on-track'
+    ? `On track for your ${label} target: about ${amount(projected)} of ${target} (${chance} likely)`
+    : `At this pace you'll miss your ${label} target: about ${amount(projected)} of ${target} (${chance} chance)`;
+}
+
+export default ForecastEngine;
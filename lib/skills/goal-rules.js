@@ -0,0 +1,357 @@
+/**
+ * Goal Rules - recurring, time-windowed goals
+ *
+ * A rule says how much of something should happen per period:
+ *
+ *   { period: 'week', metric: 'count', min: 3 }                  3 workouts per week
+ *   { period: 'day', max: 2000, days: 'weekdays' }               under 2000 kcal on weekdays
+ *   { period: 'day', metric: 'count', max: 2 }                   at most 2 coffees a day
+ *   { period: 'day', min: 10000, tolerance: { required: 20, window: 30 } }
+ *                                                                10k steps on 20 of 30 days
+ *
+ * - period:    day | week (Sunday start) | month
+ * - metric:    sum of a field (default) or count of entries
+ * - direction: min | max | range - inferred from min/max/target if omitted
+ * - days:      which days count - 'weekdays', 'weekends' or [0-6 / 'mon'...].
+ *              Day periods on other days are skipped; week/month periods
+ *              ignore entries logged on them.
+ * - tolerance: { required, window } - the goal holds when at least
+ *              `required` of the last `window` periods were met
+ *
+ * Periods are keyed by entry.date (UTC), like the rest of the skill data.
+ * A period with no entries is 0, so it meets a max goal.
+ */
+
+export const GOAL_PERIODS = ['day', 'week', 'month'];
+export const GOAL_METRICS = ['sum', 'count'];
+export const GOAL_DIRECTIONS = ['min', 'max', 'range'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fail(message) {
+  throw new Error(`Invalid goal: ${message}`);
+}
+
+function toNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) fail(`${name} must be a number (got "${value}")`);
+  return number;
+}
+
+function normalizeDays(days) {
+  if (days === undefined || days === null || days === 'all') return null;
+  if (typeof days === 'string' && DAY_SETS[days]) return DAY_SETS[days];
+
+  const list = Array.isArray(days) ? days : String(days).split(',');
+  const result = list.map(day => {
+    const index = typeof day === 'number'
+      ? day
+      : DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3));
+    if (!Number.isInteger(index) || index < 0 || index > 6) fail(`unknown day "${day}"`);
+    return index;
+  });
+  return [...new Set(result)].sort();
+}
+
+/**
+ * Validate one rule and fill in its defaults. Throws on bad input.
+ * @param {object} input
+ * @param {object} [defaults] - { unit }
+ */
+export function normalizeGoalRule(input = {}, defaults = {}) {
+  const period = input.period || 'day';
+  if (!GOAL_PERIODS.includes(period)) fail(`period must be one of ${GOAL_PERIODS.join(', ')}`);
+
+  const metric = input.metric || 'sum';
+  if (!GOAL_METRICS.includes(metric)) fail(`metric must be one of ${GOAL_METRICS.join(', ')}`);
+
+  let min = toNumber(input.min, 'min');
+  let max = toNumber(input.max, 'max');
+  const target = toNumber(input.target, 'target');
+
+  let direction = input.direction;
+  if (direction && !GOAL_DIRECTIONS.includes(direction)) {
+    fail(`direction must be one of ${GOAL_DIRECTIONS.join(', ')}`);
+  }
+  if (!direction) {
+    direction = min !== null && max !== null ? 'range' : max !== null ? 'max' : 'min';
+  }
+  if (direction === 'min' && min === null) min = target;
+  if (direction === 'max' && max === null) max = target;
+
+  if ((direction === 'min' || direction === 'range') && min === null) fail(`a ${direction} goal needs min`);
+  if ((direction === 'max' || direction === 'range') && max === null) fail(`a ${direction} goal needs max`);
+  if (direction === 'range' && min > max) fail('min is greater than max');
+
+  let tolerance = null;
+  if (input.tolerance) {
+    const required = toNumber(input.tolerance.required, 'tolerance.required');
+    const window = toNumber(input.tolerance.window, 'tolerance.window');
+    if (!Number.isInteger(required) || !Number.isInteger(window) || required < 1 || required > window) {
+      fail('tolerance needs whole numbers with 1 <= required <= window');
+    }
+    tolerance = { required, window };
+  }
+
+  return {
+    id: input.id || [period, direction, metric, input.field].filter(Boolean).join('-'),
+    period,
+    metric,
+    field: input.field || null,
+    direction,
+    ...(direction !== 'max' ? { min } : {}),
+    ...(direction !== 'min' ? { max } : {}),
+    days: normalizeDays(input.days),
+    tolerance,
+    unit: input.unit ?? defaults.unit ?? ''
+  };
+}
+
+/**
+ * Rules for a stored goal. Accepts the original { daily, weekly, unit }
+ * shape, a single rule, or { rules: [...] }. Rules converted from
+ * daily/weekly numbers are flagged `legacy`.
+ */
+export function normalizeGoalRules(goal) {
+  if (!goal) return [];
+  const defaults = { unit: goal.unit };
+
+  if (Array.isArray(goal.rules)) {
+    return goal.rules.map(rule => normalizeGoalRule(rule, defaults));
+  }
+  if (goal.period || goal.direction || goal.min !== undefined || goal.max !== undefined) {
+    return [normalizeGoalRule(goal, defaults)];
+  }
+
+  const rules = [];
+  if (goal.daily) rules.push({ ...normalizeGoalRule({ period: 'day', min: goal.daily }, defaults), legacy: true });
+  if (goal.weekly) rules.push({ ...normalizeGoalRule({ period: 'week', min: goal.weekly }, defaults), legacy: true });
+  return rules;
+}
+
+// ============== PERIODS ==============
+
+function utcDay(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Key of the period containing `date` (YYYY-MM-DD). Weeks are keyed by
+ * their Sunday, months by YYYY-MM.
+ */
+export function periodOf(date, period) {
+  switch (period) {
+    case 'week': return addDays(date, -utcDay(date));
+    case 'month': return date.slice(0, 7);
+    default: return date;
+  }
+}
+
+function nextPeriod(key, period) {
+  switch (period) {
+    case 'week': return addDays(key, 7);
+    case 'month': {
+      const [year, month] = key.split('-').map(Number);
+      return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+    }
+    default: return addDays(key, 1);
+  }
+}
+
+/**
+ * Every date (YYYY-MM-DD) in the period keyed `key`
+ */
+export function periodDates(key, period) {
+  const start = period === 'month' ? `${key}-01` : key;
+  const end = period === 'month' ? `${nextPeriod(key, 'month')}-01` : nextPeriod(key, period);
+  const dates = [];
+  for (let date = start; date < end; date = addDays(date, 1)) dates.push(date);
+  return dates;
+}
+
+/**
+ * Whether entries on `date` count toward the rule (its `days` filter)
+ */
+export function countsOn(rule, date) {
+  return !rule.days || rule.days.includes(utcDay(date));
+}
+
+/**
+ * How far through the period `today` is, 0..1 (end of today counts as done)
+ */
+function periodElapsed(key, period, today) {
+  if (period === 'day') return 1;
+  const start = period === 'week' ? key : `${key}-01`;
+  const end = period === 'week' ? addDays(key, 7) : `${nextPeriod(key, 'month')}-01`;
+  const total = (Date.parse(end) - Date.parse(start)) / DAY_MS;
+  const done = (Date.parse(today) - Date.parse(start)) / DAY_MS + 1;
+  return Math.min(1, done / total);
+}
+
+// ============== EVALUATION ==============
+
+function entryAmount(rule, entry, field) {
+  if (rule.metric === 'count') return 1;
+  return parseFloat(entry[rule.field || field]) || 0;
+}
+
+function statusOf(rule, value, inProgress) {
+  const overMax = rule.max !== undefined && value > rule.max;
+  const reachedMin = rule.min === undefined || value >= rule.min;
+
+  if (overMax) return 'missed';
+  if (inProgress) {
+    // A min goal can be met early; anything with a ceiling can still go over
+    return rule.direction === 'min' && reachedMin ? 'met' : 'pending';
+  }
+  return reachedMin ? 'met' : 'missed';
+}
+
+function progressOf(rule, value) {
+  const progress = { value };
+  if (rule.min !== undefined) {
+    progress.target = rule.min;
+    progress.remaining = Math.max(0, rule.min - value);
+    progress.percent = rule.min > 0 ? Math.round((value / rule.min) * 100) : 100;
+  }
+  if (rule.max !== undefined) {
+    progress.limit = rule.max;
+    progress.headroom = Math.max(0, rule.max - value);
+    progress.exceeded = value > rule.max;
+    if (rule.direction === 'max') {
+      progress.percent = rule.max > 0 ? Math.round((value / rule.max) * 100) : (value > 0 ? 100 : 0);
+    }
+  }
+  return progress;
+}
+
+function runLengths(flags) {
+  let longest = 0;
+  let run = 0;
+  for (const flag of flags) {
+    run = flag ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  return { current: run, longest };
+}
+
+/**
+ * Evaluate a rule against a skill's entries.
+ * @param {object} rule - normalized rule
+ * @param {array} entries - entries with `date`
+ * @param {object} [options] - { field: default field to sum, now: Date }
+ * @returns {{ rule, periods: array, current: object, streak: {current, longest, period}, window: object|null }}
+ */
+export function evaluateGoalRule(rule, entries, options = {}) {
+  const field = options.field || 'value';
+  const today = (options.now || new Date()).toISOString().split('T')[0];
+  const currentKey = periodOf(today, rule.period);
+  const counts = day => countsOn(rule, day);
+
+  const totals = new Map();
+  let firstKey = currentKey;
+  for (const entry of entries) {
+    if (!entry.date || entry.date > today || !counts(entry.date)) continue;
+    const key = periodOf(entry.date, rule.period);
+    const total = totals.get(key) || { value: 0, entries: 0 };
+    total.value += entryAmount(rule, entry, field);
+    total.entries++;
+    totals.set(key, total);
+    if (key < firstKey) firstKey = key;
+  }
+
+  const periods = [];
+  for (let key = firstKey; key <= currentKey; key = nextPeriod(key, rule.period)) {
+    const { value, entries: count } = totals.get(key) || { value: 0, entries: 0 };
+    const skipped = rule.period === 'day' && !counts(key);
+    periods.push({
+      period: key,
+      value,
+      entries: count,
+      status: skipped ? 'skipped' : statusOf(rule, value, key === currentKey)
+    });
+  }
+
+  // Streaks run over the periods that were decided; skipped days and the
+  // still-open current period neither extend nor break them
+  const decided = periods.filter(p => p.status === 'met' || p.status === 'missed');
+  let flags = decided.map(p => p.status === 'met');
+
+  let window = null;
+  if (rule.tolerance) {
+    const { required, window: size } = rule.tolerance;
+    flags = decided.map((_, i) => {
+      const slice = decided.slice(Math.max(0, i - size + 1), i + 1);
+      return slice.filter(p => p.status === 'met').length >= required;
+    });
+    const recent = decided.slice(-size);
+    const met = recent.filter(p => p.status === 'met').length;
+    window = {
+      required,
+      window: size,
+      met,
+      achieved: met >= required,
+      remaining: Math.max(0, required - met)
+    };
+  }
+
+  const currentPeriod = periods[periods.length - 1];
+  return {
+    rule,
+    periods,
+    current: {
+      period: currentPeriod.period,
+      status: currentPeriod.status,
+      entries: currentPeriod.entries,
+      elapsed: periodElapsed(currentPeriod.period, rule.period, today),
+      met: currentPeriod.status === 'met',
+      ...progressOf(rule, currentPeriod.value)
+    },
+    streak: { ...runLengths(flags), period: rule.period },
+    window
+  };
+}
+
+/**
+ * Human description, e.g. "at most 2 per day" or "10000 steps on 20 of 30 days"
+ */
+export function describeGoalRule(rule) {
+  const unit = rule.metric === 'count' ? (rule.unit || 'entries') : rule.unit;
+  const amount = value => `${value}${unit ? ` ${unit}` : ''}`;
+  const target = rule.direction === 'max' ? `at most ${amount(rule.max)}`
+    : rule.direction === 'range' ? `${rule.min}-${amount(rule.max)}`
+    : `at least ${amount(rule.min)}`;
+
+  let days = '';
+  if (rule.days) {
+    const key = rule.days.join(',');
+    days = key === DAY_SETS.weekdays.join(',') ? ' on weekdays'
+      : key === DAY_SETS.weekends.join(',') ? ' on weekends'
+      : ` on ${rule.days.map(d => DAY_NAMES[d]).join('/')}`;
+  }
+
+  const per = rule.tolerance
+    ? ` on ${rule.tolerance.required} of ${rule.tolerance.window} ${rule.period}s`
+    : ` per ${rule.period}`;
+  return `${target}${per}${days}`;
+}
+
+export default {
+  normalizeGoalRule,
+  normalizeGoalRules,
+  evaluateGoalRule,
+  describeGoalRule,
+  periodOf,
+  periodDates,
+  countsOn
+};
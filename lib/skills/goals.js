@@ -1,9 +1,21 @@
 /**
  * Goals & Streaks - Track progress and gamify skill usage
+ *
+ * Goals are daily/weekly minimums or recurring rules with a period,
+ * direction and tolerance (see ./goal-rules.js). Skills with rule goals get
+ * streaks of consecutive periods that met the rule; everything else keeps
+ * the plain "consecutive days with an entry" streak.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getEventBus, EventTypes } from '../eventBus.js';
+import { normalizeGoalRules, evaluateGoalRule, describeGoalRule } from './goal-rules.js';
+
+// Entry changes after the fact that invalidate a stored streak
+const ENTRY_CHANGE_EVENTS = [EventTypes.ENTRY_UPDATED, EventTypes.ENTRY_DELETED, EventTypes.ENTRY_RESTORED];
+
+export const STREAK_MILESTONES = [3, 7, 14, 21, 30, 60, 90, 100, 365];
 
 /**
  * GoalTracker - manages goals and streaks for skills
@@ -34,11 +46,14 @@ export class GoalTracker {
   // ============== GOALS ==============
 
   /**
-   * Set a goal for a skill
+   * Set a goal for a skill. Rules are validated first; throws on bad input.
    * @param {string} skillId 
-   * @param {object} goal - { daily: number, weekly: number, unit: string }
+   * @param {object} goal - { daily, weekly, unit }, a single rule
+   *   ({ period, metric, direction, min, max, days, tolerance }) or { rules: [...], unit }
    */
   async setGoal(skillId, goal) {
+    normalizeGoalRules(goal);
+
     if (!this.goals.skills[skillId]) {
       this.goals.skills[skillId] = {};
     }
@@ -50,6 +65,16 @@ export class GoalTracker {
     return this.goals.skills[skillId].goal;
   }
 
+  /**
+   * Remove a skill's goal (rules from its markdown, if any, apply again)
+   */
+  async removeGoal(skillId) {
+    if (!this.goals.skills[skillId]?.goal) return false;
+    delete this.goals.skills[skillId].goal;
+    await this.save();
+    return true;
+  }
+
   /**
    * Get goal for a skill
    */
@@ -57,15 +82,40 @@ export class GoalTracker {
     return this.goals.skills[skillId]?.goal || null;
   }
 
+  /**
+   * Normalized goal rules for a skill: the goal set here, else the skill
+   * markdown's `## Goals` block, else its daily_goal.
+   * @param {string} skillId
+   * @param {object} [skill] - skill definition from SkillManager
+   */
+  getGoalRules(skillId, skill = null) {
+    const goal = this.getGoal(skillId);
+    if (goal) return normalizeGoalRules(goal);
+    if (skill?.goals?.length) return normalizeGoalRules({ rules: skill.goals, unit: skill.unit });
+    if (skill?.dailyGoal) return normalizeGoalRules({ daily: skill.dailyGoal, unit: skill.unit });
+    return [];
+  }
+
+  /**
+   * Rule that drives a skill's streak - its first non-legacy rule.
+   * Plain daily/weekly numbers keep the day-with-an-entry streak.
+   */
+  getStreakRule(skillId, skill = null) {
+    return this.getGoalRules(skillId, skill).find(rule => !rule.legacy) || null;
+  }
+
   /**
    * Check progress toward goal
    * @param {string} skillId 
    * @param {array} entries - Entries from SkillManager
    * @param {string} field - Field to sum (default: 'value')
+   * @param {object} [skill] - skill definition, for goals declared in markdown
+   * @returns {object|null} { goal, daily, weekly, rules: [evaluation] }
    */
-  checkGoalProgress(skillId, entries, field = 'value') {
-    const goal = this.getGoal(skillId);
-    if (!goal) return null;
+  checkGoalProgress(skillId, entries, field = 'value', skill = null) {
+    const rules = this.getGoalRules(skillId, skill);
+    if (rules.length === 0) return null;
+    const goal = this.getGoal(skillId) || { rules, unit: skill?.unit };
 
     const today = new Date().toISOString().split('T')[0];
     const weekStart = new Date();
@@ -95,7 +145,11 @@ export class GoalTracker {
         remaining: Math.max(0, goal.weekly - weekTotal),
         percent: Math.min(100, Math.round((weekTotal / goal.weekly) * 100)),
         met: weekTotal >= goal.weekly
-      } : null
+      } : null,
+      rules: rules.map(rule => ({
+        ...evaluateGoalRule(rule, entries, { field }),
+        description: describeGoalRule(rule)
+      }))
     };
 
     return result;
@@ -104,9 +158,14 @@ export class GoalTracker {
   // ============== STREAKS ==============
 
   /**
-   * Calculate streak for a skill (consecutive days with entries)
+   * Calculate streak for a skill (consecutive days with entries), or with
+   * a goal rule, consecutive periods that met it
+   * @returns {{ current: number, longest: number, period?: string }}
    */
-  calculateStreak(entries) {
+  calculateStreak(entries, rule = null, field = 'value') {
+    if (rule) {
+      return evaluateGoalRule(rule, entries, { field }).streak;
+    }
     if (!entries.length) return { current: 0, longest: 0 };
 
     // Get unique dates, sorted descending
@@ -154,33 +213,55 @@ export class GoalTracker {
     return { current: currentStreak, longest: longestStreak };
   }
 
+  /**
+   * Streak for a skill, following its goal rule if it has one
+   * @param {object} [skill] - skill definition (goal rules, primary field)
+   */
+  getStreak(skillId, entries, skill = null) {
+    const rule = this.getStreakRule(skillId, skill);
+    return this.calculateStreak(entries, rule, skill?.schema?.primary || 'value');
+  }
+
   /**
    * Update and check streak, returns milestone if hit
+   * @param {object} [skill] - skill definition, for goals declared in markdown
    */
-  async updateStreak(skillId, entries) {
-    const streak = this.calculateStreak(entries);
+  async updateStreak(skillId, entries, skill = null) {
+    const streak = this.getStreak(skillId, entries, skill);
+    const period = streak.period || 'day';
     
     if (!this.goals.skills[skillId]) {
       this.goals.skills[skillId] = {};
     }
     
-    const prev = this.goals.skills[skillId].streak || { current: 0, longest: 0 };
+    const stored = this.goals.skills[skillId].streak;
+    // A streak measured in another unit (goal changed) starts from scratch
+    const prev = stored && (stored.period || 'day') === period ? stored : { current: 0, longest: 0 };
     this.goals.skills[skillId].streak = streak;
     
-    // Check for milestones
-    const milestones = [3, 7, 14, 21, 30, 60, 90, 100, 365];
+    // Check for milestones - day streaks keep their original achievement ids
+    const suffix = period === 'day' ? '' : `-${period}`;
     let newMilestone = null;
     
-    for (const m of milestones) {
+    for (const m of STREAK_MILESTONES) {
       if (streak.current >= m && prev.current < m) {
         newMilestone = m;
-        await this.addAchievement(skillId, `streak-${m}`, `${m}-day streak`);
+        await this.addAchievement(skillId, `streak-${m}${suffix}`, `${m}-${period} streak`);
       }
     }
 
     // New longest streak
     if (streak.current > prev.longest) {
-      await this.addAchievement(skillId, 'new-record', `New record: ${streak.current} days`);
+      await this.addAchievement(skillId, `new-record${suffix}`, `New record: ${streak.current} ${period}s`);
+    }
+
+    // "N of M" goals earn an achievement the first time the window is hit
+    const rule = this.getStreakRule(skillId, skill);
+    if (rule?.tolerance) {
+      const { window } = evaluateGoalRule(rule, entries, { field: skill?.schema?.primary || 'value' });
+      if (window.achieved) {
+        await this.addAchievement(skillId, `goal-window-${rule.id}`, `Goal reached: ${describeGoalRule(rule)}`);
+      }
     }
 
     await this.save();
@@ -188,6 +269,49 @@ export class GoalTracker {
     return { streak, newMilestone, isRecord: streak.current > prev.longest };
   }
 
+  /**
+   * Recompute a stored streak after entries were edited or removed.
+   * Unlike updateStreak this never awards anything - undoing a log
+   * shouldn't hand out (or take back) a milestone.
+   */
+  async recalculateStreak(skillId, entries, skill = null) {
+    const streak = this.getStreak(skillId, entries, skill);
+
+    if (!this.goals.skills[skillId]) {
+      this.goals.skills[skillId] = {};
+    }
+    this.goals.skills[skillId].streak = streak;
+    await this.save();
+
+    return streak;
+  }
+
+  /**
+   * Keep streaks in sync with edits/deletes made through a SkillManager.
+   * Returns an unsubscribe function; calling watch() twice is a no-op.
+   */
+  watch(skillManager) {
+    if (this.unwatch) return this.unwatch;
+
+    const bus = getEventBus();
+    const handler = async ({ data }) => {
+      if (!skillManager.skills.has(data.skillId)) return;
+      try {
+        const entries = await skillManager.getEntries(data.skillId);
+        await this.recalculateStreak(data.skillId, entries, skillManager.skills.get(data.skillId));
+      } catch {
+        // Stale streak is better than a crashed listener
+      }
+    };
+
+    const offs = ENTRY_CHANGE_EVENTS.map(type => bus.on(type, handler));
+    this.unwatch = () => {
+      offs.forEach(off => off());
+      this.unwatch = null;
+    };
+    return this.unwatch;
+  }
+
   // ============== ACHIEVEMENTS ==============
 
   async addAchievement(skillId, type, description) {
@@ -224,9 +348,9 @@ export class GoalTracker {
   /**
    * Get a full progress summary for a skill
    */
-  async getSkillProgress(skillId, entries, field = 'value') {
-    const goal = this.checkGoalProgress(skillId, entries, field);
-    const streakResult = await this.updateStreak(skillId, entries);
+  async getSkillProgress(skillId, entries, field = 'value', skill = null) {
+    const goal = this.checkGoalProgress(skillId, entries, field, skill);
+    const streakResult = await this.updateStreak(skillId, entries, skill);
     const achievements = this.getAchievements(skillId);
 
     return {
@@ -6,6 +6,22 @@
  */
 
 export { SkillManager, getSkillManager, resetSkillManager } from './skill-manager.js';
+export {
+  SkillValidationError,
+  normalizeSchema,
+  validateEntry,
+  extractFieldsFromText
+} from './schema.js';
+export {
+  parseQuantity,
+  parseDuration,
+  normalizeQuantity,
+  convert as convertUnits,
+  canConvert,
+  formatQuantity,
+  getUnitSystem,
+  setUnitSystem
+} from './units.js';
 export { 
   parseInput, 
   parseForLogging,
@@ -18,12 +34,20 @@ export {
   parseWithSuggestions,
   SKILL_DEFAULTS
 } from './nlp-parser.js';
+export { parseCorrection, isCorrection, applyCorrection, handleCorrection } from './corrections.js';
+export { migrateLegacyTrackers, recordToEntry, entryToRecord } from './tracker-bridge.js';
+export { createSkillStore, migrateSkillData } from './storage/index.js';
 export { GoalTracker } from './goals.js';
+export { normalizeGoalRule, normalizeGoalRules, evaluateGoalRule, describeGoalRule } from './goal-rules.js';
 export * as visualize from './visualize.js';
 export { InsightsEngine } from './insights.js';
-export { NudgeEngine } from './nudges.js';
-export { ChainEngine } from './chains.js';
+export { ForecastEngine } from './forecast.js';
+export { pearsonCorrelation, spearmanCorrelation, correlationSignificance } from './statistics.js';
+export { NudgeEngine, NUDGE_TYPES } from './nudges.js';
+export { ChainEngine, ACTION_TYPES, validateChain } from './chains.js';
+export { parseCondition, describeCondition, evaluateCondition } from './chain-conditions.js';
 export { TemplateManager, TEMPLATE_PACKS } from './templates.js';
+export { SkillPackManager, createPack, readPack, writePack, diffPacks, compareVersions } from './packs.js';
 export { SkillTeacher } from './teaching.js';
 export { IntelligentCreator } from './intelligent-creator.js';
 export { SkillAgent, SKILL_TOOLS, generateSystemPrompt } from './llm-agent.js';
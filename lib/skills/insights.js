@@ -6,60 +6,78 @@
  * - Day-of-week patterns (water drops on weekends)
  * - Streaks and consistency metrics
  * - Anomaly detection (unusually low/high values)
+ *
+ * Correlations come with a p-value and confidence so small samples and
+ * coincidences can be filtered out before anything reaches the user.
  */
 
+import {
+  pearsonCorrelation,
+  spearmanCorrelation,
+  correlationSignificance,
+  adjustPValues,
+  meanAndStdDev
+} from './statistics.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer overlapping days than this and a correlation is mostly noise
+export const DEFAULT_MIN_SAMPLES = 10;
+
 /**
- * Calculate Pearson correlation coefficient between two arrays
+ * Weekday of a YYYY-MM-DD entry date (UTC, like entry.date itself)
  */
-function pearsonCorrelation(x, y) {
-  if (x.length !== y.length || x.length < 3) return null;
-  
-  const n = x.length;
-  const sumX = x.reduce((a, b) => a + b, 0);
-  const sumY = y.reduce((a, b) => a + b, 0);
-  const sumXY = x.reduce((acc, xi, i) => acc + xi * y[i], 0);
-  const sumX2 = x.reduce((a, b) => a + b * b, 0);
-  const sumY2 = y.reduce((a, b) => a + b * b, 0);
-  
-  const numerator = n * sumXY - sumX * sumY;
-  const denominator = Math.sqrt(
-    (n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY)
-  );
-  
-  if (denominator === 0) return 0;
-  return numerator / denominator;
+function weekdayOf(date) {
+  return DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function shiftBound(bound, days) {
+  return bound ? new Date(new Date(bound).getTime() + days * DAY_MS).toISOString() : bound;
+}
+
+function confidenceOf(pValue) {
+  if (pValue === null || pValue === undefined) return 'none';
+  if (pValue < 0.01) return 'high';
+  if (pValue < 0.05) return 'medium';
+  if (pValue < 0.1) return 'low';
+  return 'none';
+}
+
+function strengthOf(r) {
+  const size = Math.abs(r);
+  const strength = size > 0.7 ? 'Strong' : size > 0.4 ? 'Moderate' : 'Weak';
+  return `${strength} ${r > 0 ? 'positive' : 'negative'} correlation`;
 }
 
 /**
- * Group entries by date
+ * "Higher sleep goes with higher mood the next day (r=0.62, 34 days, high confidence)"
  */
-function groupByDate(entries, field = 'value') {
-  const byDate = new Map();
-  for (const entry of entries) {
-    const date = entry.date;
-    if (!byDate.has(date)) {
-      byDate.set(date, []);
-    }
-    byDate.get(date).push(parseFloat(entry[field]) || 0);
-  }
-  
-  // Aggregate to single value per date (sum or average depending on context)
-  const result = new Map();
-  for (const [date, values] of byDate) {
-    result.set(date, values.reduce((a, b) => a + b, 0));
-  }
-  return result;
+function describeCorrelation({ skillA, skillB, correlation, lag, sampleSize, confidence }) {
+  const direction = correlation > 0 ? 'higher' : 'lower';
+  const when = lag === 0 ? '' : lag === 1 ? ' the next day' : ` ${lag} days later`;
+  return `Higher ${skillA} goes with ${direction} ${skillB}${when} ` +
+    `(r=${correlation}, ${sampleSize} days, ${confidence} confidence)`;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
 }
 
+
 /**
  * Get day of week distribution
  */
 function getDayOfWeekStats(entries, field = 'value') {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   const byDay = { Sun: [], Mon: [], Tue: [], Wed: [], Thu: [], Fri: [], Sat: [] };
   
   for (const entry of entries) {
-    const day = days[new Date(entry.date).getDay()];
+    const day = weekdayOf(entry.date);
     byDay[day].push(parseFloat(entry[field]) || 0);
   }
   
@@ -82,68 +100,164 @@ export class InsightsEngine {
     this.sm = skillManager;
   }
 
+  /**
+   * Daily totals of one field as date -> sum, aggregated by the storage
+   * engine (in SQL with the SQLite backend) rather than from raw entries.
+   * A null field means the skill's primary field.
+   */
+  async dailyTotals(skillId, field = 'value', options = {}) {
+    const days = await this.sm.getAggregations(skillId, field, 'day', options);
+    return new Map(days.map(day => [day.period, day.sum]));
+  }
+
   /**
    * Find correlation between two skills
-   * @returns {{ correlation: number, interpretation: string, sampleSize: number }}
+   *
+   * With `lag: 1`, A on each day is paired with B on the following day
+   * ("sleep tonight vs mood tomorrow").
+   *
+   * @param {object} [options]
+   * @param {string} [options.since] / [options.until] - limit the date range (of A)
+   * @param {number} [options.lag=0] - days B trails A by
+   * @param {string} [options.method='pearson'] - 'pearson' (linear) or 'spearman' (rank)
+   * @param {number} [options.minSamples=10] - overlapping days required
+   * @param {number} [options.alpha=0.05] - p-value below which the result is significant
+   * @returns {{ correlation: number, interpretation: string, sampleSize: number,
+   *   method: string, lag: number, pValue: number, confidence: string,
+   *   confidenceInterval: [number, number], significant: boolean }}
    */
-  async correlateSkills(skillA, fieldA, skillB, fieldB) {
-    const entriesA = await this.sm.getEntries(skillA, { sort: 'asc' });
-    const entriesB = await this.sm.getEntries(skillB, { sort: 'asc' });
-    
-    const byDateA = groupByDate(entriesA, fieldA);
-    const byDateB = groupByDate(entriesB, fieldB);
-    
-    // Find common dates
-    const commonDates = [...byDateA.keys()].filter(d => byDateB.has(d));
-    
-    if (commonDates.length < 5) {
-      return { 
-        correlation: null, 
-        interpretation: 'Not enough overlapping data (need 5+ days)',
-        sampleSize: commonDates.length
+  async correlateSkills(skillA, fieldA, skillB, fieldB, options = {}) {
+    const {
+      lag = 0,
+      method = 'pearson',
+      minSamples = DEFAULT_MIN_SAMPLES,
+      alpha = 0.05,
+      totalsA,
+      totalsB,
+      ...range
+    } = options;
+    if (!['pearson', 'spearman'].includes(method)) {
+      throw new Error(`Unknown correlation method: ${method}`);
+    }
+
+    const byDateA = totalsA || await this.dailyTotals(skillA, fieldA, range);
+    const byDateB = totalsB || await this.dailyTotals(skillB, fieldB, {
+      since: shiftBound(range.since, lag),
+      until: shiftBound(range.until, lag)
+    });
+
+    // Pair each day of A with B `lag` days later
+    const commonDates = [...byDateA.keys()].filter(d => byDateB.has(addDays(d, lag)));
+    const base = { method, lag, sampleSize: commonDates.length };
+
+    if (commonDates.length < Math.max(minSamples, 4)) {
+      return {
+        ...base,
+        correlation: null,
+        pValue: null,
+        confidence: 'none',
+        significant: false,
+        interpretation: `Not enough overlapping data (need ${Math.max(minSamples, 4)}+ days)`
       };
     }
-    
+
     const valuesA = commonDates.map(d => byDateA.get(d));
-    const valuesB = commonDates.map(d => byDateB.get(d));
-    
-    const r = pearsonCorrelation(valuesA, valuesB);
-    
-    let interpretation;
-    if (r === null) {
-      interpretation = 'Could not calculate correlation';
-    } else if (r > 0.7) {
-      interpretation = 'Strong positive correlation';
-    } else if (r > 0.4) {
-      interpretation = 'Moderate positive correlation';
-    } else if (r > 0.2) {
-      interpretation = 'Weak positive correlation';
-    } else if (r > -0.2) {
-      interpretation = 'No significant correlation';
-    } else if (r > -0.4) {
-      interpretation = 'Weak negative correlation';
-    } else if (r > -0.7) {
-      interpretation = 'Moderate negative correlation';
-    } else {
-      interpretation = 'Strong negative correlation';
+    const valuesB = commonDates.map(d => byDateB.get(addDays(d, lag)));
+
+    const r = method === 'spearman'
+      ? spearmanCorrelation(valuesA, valuesB)
+      : pearsonCorrelation(valuesA, valuesB);
+    const significance = correlationSignificance(r, commonDates.length, method);
+
+    if (r === null || !significance) {
+      return { ...base, correlation: null, pValue: null, confidence: 'none', significant: false,
+        interpretation: 'Could not calculate correlation' };
     }
-    
+
+    const significant = significance.pValue < alpha;
     return {
-      correlation: r ? Math.round(r * 100) / 100 : null,
-      interpretation,
-      sampleSize: commonDates.length
+      ...base,
+      correlation: round(r),
+      pValue: round(significance.pValue, 4),
+      confidence: confidenceOf(significance.pValue),
+      confidenceInterval: significance.interval.map(v => round(v)),
+      significant,
+      interpretation: significant && Math.abs(r) > 0.2 ? strengthOf(r) : 'No significant correlation'
     };
   }
 
+  /**
+   * Scan every pair of skills (and lags) for significant correlations.
+   * p-values are adjusted for the number of pairs tested, and each pair
+   * keeps only its strongest lag.
+   *
+   * @param {object} [options] - { skills, lags: [0, 1], method: 'spearman',
+   *   minSamples, alpha, minCorrelation: 0.3, since, until }
+   * @returns {array} findings sorted strongest and most certain first
+   */
+  async findCorrelations(options = {}) {
+    const {
+      skills = [...this.sm.skills.keys()].filter(s => !s.startsWith('_')),
+      lags = [0, 1],
+      method = 'spearman',
+      alpha = 0.05,
+      minCorrelation = 0.3,
+      ...rest
+    } = options;
+
+    const totals = new Map();
+    for (const skillId of skills) {
+      totals.set(skillId, await this.dailyTotals(skillId, null, { since: rest.since, until: rest.until }));
+    }
+
+    const tests = [];
+    for (const a of skills) {
+      for (const b of skills) {
+        if (a === b) continue;
+        for (const lag of lags) {
+          // Same-day correlation is symmetric, so test each pair once
+          if (lag === 0 && a > b) continue;
+          const result = await this.correlateSkills(a, null, b, null, {
+            ...rest,
+            method,
+            lag,
+            alpha,
+            totalsA: totals.get(a),
+            totalsB: totals.get(b)
+          });
+          if (result.correlation !== null) tests.push({ skillA: a, skillB: b, ...result });
+        }
+      }
+    }
+
+    const qValues = adjustPValues(tests.map(t => t.pValue));
+    const best = new Map();
+    tests.forEach((test, i) => {
+      const qValue = round(qValues[i], 4);
+      if (qValue >= alpha || Math.abs(test.correlation) < minCorrelation) return;
+
+      const finding = {
+        ...test,
+        qValue,
+        confidence: confidenceOf(qValue),
+        score: round(Math.abs(test.correlation) * (1 - qValue), 3)
+      };
+      finding.message = describeCorrelation(finding);
+
+      const key = [test.skillA, test.skillB].sort().join('|');
+      if (!best.has(key) || best.get(key).score < finding.score) best.set(key, finding);
+    });
+
+    return [...best.values()].sort((x, y) => y.score - x.score || y.sampleSize - x.sampleSize);
+  }
+
   /**
    * Compare a skill on days with vs without another skill activity
    */
   async compareWithActivity(targetSkill, targetField, activitySkill) {
-    const targetEntries = await this.sm.getEntries(targetSkill, { sort: 'asc' });
-    const activityEntries = await this.sm.getEntries(activitySkill, { sort: 'asc' });
-    
-    const activityDates = new Set(activityEntries.map(e => e.date));
-    const targetByDate = groupByDate(targetEntries, targetField);
+    const activityDays = await this.sm.getAggregations(activitySkill, null, 'day');
+    const activityDates = new Set(activityDays.map(day => day.period));
+    const targetByDate = await this.dailyTotals(targetSkill, targetField);
     
     const withActivity = [];
     const withoutActivity = [];
@@ -248,31 +362,64 @@ export class InsightsEngine {
 
   /**
    * Detect anomalies (values significantly different from normal)
+   *
+   * Values are compared with others logged on the same weekday when that
+   * weekday has enough history, so a big Saturday isn't flagged just for
+   * being a Saturday. Weekdays with too little data fall back to all days.
+   *
+   * @param {object|number} [options] - { threshold: 2, seasonal: true, minPerDay: 4 },
+   *   or the z-score threshold on its own
    */
-  async detectAnomalies(skillId, field = 'value', threshold = 2) {
+  async detectAnomalies(skillId, field = 'value', options = {}) {
+    const { threshold = 2, seasonal = true, minPerDay = 4 } =
+      typeof options === 'number' ? { threshold: options } : options;
+
     const entries = await this.sm.getEntries(skillId, { sort: 'asc' });
     if (entries.length < 10) {
       return { anomalies: [], reason: 'Not enough data (need 10+)' };
     }
-    
-    const values = entries.map(e => parseFloat(e[field]) || 0);
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    const anomalies = entries.filter(e => {
-      const val = parseFloat(e[field]) || 0;
-      const zScore = Math.abs((val - mean) / stdDev);
-      return zScore > threshold;
-    }).map(e => ({
-      date: e.date,
-      value: parseFloat(e[field]),
-      direction: parseFloat(e[field]) > mean ? 'high' : 'low'
-    }));
-    
+
+    const valueOf = e => parseFloat(e[field]) || 0;
+    const overall = meanAndStdDev(entries.map(valueOf));
+
+    const baselines = {};
+    if (seasonal) {
+      for (const day of DAY_NAMES) {
+        const values = entries.filter(e => weekdayOf(e.date) === day).map(valueOf);
+        if (values.length >= minPerDay) {
+          const { mean, stdDev } = meanAndStdDev(values);
+          // A weekday that never varies says nothing about spread
+          if (stdDev > 0) baselines[day] = { mean, stdDev, count: values.length };
+        }
+      }
+    }
+
+    const anomalies = [];
+    for (const entry of entries) {
+      const day = weekdayOf(entry.date);
+      const baseline = baselines[day] || overall;
+      if (baseline.stdDev === 0) continue;
+
+      const value = valueOf(entry);
+      const zScore = (value - baseline.mean) / baseline.stdDev;
+      if (Math.abs(zScore) > threshold) {
+        anomalies.push({
+          date: entry.date,
+          value: parseFloat(entry[field]),
+          direction: zScore > 0 ? 'high' : 'low',
+          zScore: round(zScore),
+          expected: round(baseline.mean, 1),
+          baseline: baselines[day] ? day : 'all'
+        });
+      }
+    }
+
     return {
-      mean: Math.round(mean * 10) / 10,
-      stdDev: Math.round(stdDev * 10) / 10,
+      mean: round(overall.mean, 1),
+      stdDev: round(overall.stdDev, 1),
+      seasonal: Object.keys(baselines).length > 0,
+      byDay: Object.fromEntries(Object.entries(baselines).map(([day, b]) =>
+        [day, { mean: round(b.mean, 1), stdDev: round(b.stdDev, 1), count: b.count }])),
       anomalies
     };
   }
@@ -358,30 +505,15 @@ export class InsightsEngine {
   }
 
   /**
-   * Cross-skill insight generation
+   * Cross-skill insight generation: significant correlations between
+   * skills, strongest first, each saying how many days back it up
+   * @param {object} [options] - passed to findCorrelations, plus limit (default 5)
+   * @returns {string[]}
    */
-  async getCrossSkillInsights() {
-    const insights = [];
-    const skills = [...this.sm.skills.keys()].filter(s => !s.startsWith('_'));
-    
-    // Common correlations to check
-    const checks = [
-      { target: 'mood', field: 'score', activity: 'exercise' },
-      { target: 'mood', field: 'score', activity: 'water' },
-    ];
-    
-    for (const check of checks) {
-      if (skills.includes(check.target) && skills.includes(check.activity)) {
-        const result = await this.compareWithActivity(
-          check.target, check.field, check.activity
-        );
-        if (result.insight && !result.insight.includes('No significant')) {
-          insights.push(result.insight);
-        }
-      }
-    }
-    
-    return insights;
+  async getCrossSkillInsights(options = {}) {
+    const { limit = 5, ...rest } = options;
+    const findings = await this.findCorrelations(rest);
+    return findings.slice(0, limit).map(finding => finding.message);
   }
 }
 
@@ -27,6 +27,7 @@ export const SKILL_TOOLS = [
           description: 'Entry data. Common fields: value (number), score (1-10), duration (minutes), note (text), type (activity type)',
           properties: {
             value: { type: 'number', description: 'Numeric value (ml, steps, etc.)' },
+            unit: { type: 'string', description: 'Unit the user said if it differs from the skill unit (e.g. "cups", "oz", "miles") - it is converted automatically' },
             score: { type: 'number', description: 'Score for scale-type skills (1-10)' },
             duration: { type: 'number', description: 'Duration in minutes' },
             note: { type: 'string', description: 'Optional note or description' },
@@ -92,14 +93,21 @@ export const SKILL_TOOLS = [
   },
   {
     name: 'set_goal',
-    description: 'Set or update a daily/weekly goal for a skill.',
+    description: 'Set or update a goal for a skill: a daily/weekly amount, or a recurring rule like "3 workouts per week", "at most 2 coffees a day", "under 2000 kcal on weekdays" or "10k steps on 20 of 30 days".',
     parameters: {
       type: 'object',
       properties: {
         skill_id: { type: 'string', description: 'The skill to set goal for' },
         daily: { type: 'number', description: 'Daily goal amount' },
         weekly: { type: 'number', description: 'Weekly goal amount' },
-        unit: { type: 'string', description: 'Goal unit (ml, cups, minutes, etc.)' }
+        unit: { type: 'string', description: 'Goal unit (ml, cups, minutes, etc.)' },
+        period: { type: 'string', enum: ['day', 'week', 'month'], description: 'Period of a recurring goal' },
+        metric: { type: 'string', enum: ['sum', 'count'], description: 'Sum the logged amounts (default) or count entries' },
+        min: { type: 'number', description: 'At least this much per period' },
+        max: { type: 'number', description: 'At most this much per period' },
+        days: { type: 'string', description: 'Only these days count: weekdays, weekends or e.g. "mon,wed,fri"' },
+        required: { type: 'number', description: 'With window: periods that must meet the goal ("20" of 30 days)' },
+        window: { type: 'number', description: 'With required: number of recent periods considered ("30" days)' }
       },
       required: ['skill_id']
     }
@@ -381,8 +389,18 @@ export class SkillAgent {
     if (!this.sm.skills.has(skill_id)) {
       return { error: `Skill "${skill_id}" not found. Available: ${[...this.sm.skills.keys()].join(', ')}` };
     }
+    const skill = this.sm.skills.get(skill_id);
 
-    const entry = await this.sm.addEntry(skill_id, data);
+    let entry;
+    try {
+      entry = await this.sm.addEntry(skill_id, data);
+    } catch (error) {
+      // Hand schema problems back to the model so it can ask the user
+      if (error.name === 'SkillValidationError') {
+        return { error: error.message, details: error.errors };
+      }
+      throw error;
+    }
     
     // Check goal progress
     let goalProgress = null;
@@ -399,6 +417,14 @@ export class SkillAgent {
           percent: Math.round((total / goal.daily) * 100),
           met: total >= goal.daily
         };
+      } else if (this.goals.getGoalRules(skill_id, skill).length) {
+        const allEntries = await this.sm.getEntries(skill_id);
+        const progress = this.goals.checkGoalProgress(skill_id, allEntries, this.sm.getPrimaryField(skill_id), skill);
+        goalProgress = progress.rules.map(({ description, current, window }) => ({
+          goal: description,
+          ...current,
+          ...(window ? { window } : {})
+        }));
       }
     }
 
@@ -406,7 +432,7 @@ export class SkillAgent {
     let streak = null;
     if (this.goals) {
       const allEntries = await this.sm.getEntries(skill_id);
-      streak = this.goals.calculateStreak(allEntries);
+      streak = this.goals.getStreak(skill_id, allEntries, skill);
     }
 
     return { 
@@ -417,12 +443,11 @@ export class SkillAgent {
     };
   }
 
-  async toolQueryEntries({ skill_id, period = 'today', limit = 10 }) {
-    if (!this.sm.skills.has(skill_id)) {
-      return { error: `Skill "${skill_id}" not found` };
-    }
-
-    const options = { limit };
+  /**
+   * Translate a period name into SkillManager.getEntries options
+   */
+  getPeriodOptions(period) {
+    const options = {};
     const now = new Date();
 
     switch (period) {
@@ -446,6 +471,15 @@ export class SkillAgent {
         break;
     }
 
+    return options;
+  }
+
+  async toolQueryEntries({ skill_id, period = 'today', limit = 10 }) {
+    if (!this.sm.skills.has(skill_id)) {
+      return { error: `Skill "${skill_id}" not found` };
+    }
+
+    const options = { ...this.getPeriodOptions(period), limit };
     const entries = await this.sm.getEntries(skill_id, options);
     return { entries, count: entries.length, period };
   }
@@ -469,17 +503,31 @@ export class SkillAgent {
       avg: values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0
     };
 
+    // Multi-field skills get a breakdown per declared numeric field
+    if (skill.schema?.typed) {
+      stats.fields = await this.sm.getFieldStats(skill_id, this.getPeriodOptions(period));
+    }
+
     // Add goal progress
     if (this.goals) {
       const goal = this.goals.getGoal(skill_id);
-      if (goal) {
+      const allEntries = await this.sm.getEntries(skill_id);
+      if (goal?.daily || goal?.weekly) {
         stats.goal = goal;
         stats.goalProgress = Math.round((stats.sum / (goal.daily || goal.weekly)) * 100);
+      } else if (this.goals.getGoalRules(skill_id, skill).length) {
+        const progress = this.goals.checkGoalProgress(skill_id, allEntries, this.sm.getPrimaryField(skill_id), skill);
+        stats.goal = progress.goal;
+        stats.goalProgress = progress.rules.map(({ description, current, window, streak }) => ({
+          goal: description,
+          ...current,
+          streak,
+          ...(window ? { window } : {})
+        }));
       }
 
       // Add streak
-      const allEntries = await this.sm.getEntries(skill_id);
-      stats.streak = this.goals.calculateStreak(allEntries);
+      stats.streak = this.goals.getStreak(skill_id, allEntries, skill);
     }
 
     return stats;
@@ -517,7 +565,7 @@ export class SkillAgent {
     return schemas[type] || schemas.number;
   }
 
-  async toolSetGoal({ skill_id, daily, weekly, unit }) {
+  async toolSetGoal({ skill_id, daily, weekly, unit, period, metric, min, max, days, required, window }) {
     if (!this.sm.skills.has(skill_id)) {
       return { error: `Skill "${skill_id}" not found` };
     }
@@ -525,8 +573,25 @@ export class SkillAgent {
       return { error: 'Goal tracking not available' };
     }
 
-    await this.goals.setGoal(skill_id, { daily, weekly, unit });
-    return { success: true, skill_id, goal: { daily, weekly, unit } };
+    const isRule = period || metric || min !== undefined || max !== undefined || days || required;
+    const goal = isRule
+      ? {
+          period: period || 'day',
+          metric,
+          min,
+          max,
+          days,
+          unit,
+          ...(required ? { tolerance: { required, window: window || 30 } } : {})
+        }
+      : { daily, weekly, unit };
+
+    try {
+      const saved = await this.goals.setGoal(skill_id, goal);
+      return { success: true, skill_id, goal: saved };
+    } catch (error) {
+      return { error: error.message };
+    }
   }
 
   async toolListSkills() {
@@ -5,6 +5,8 @@
  * Designed to work for the majority of users with minimal friction.
  */
 
+import { parseQuantity, canConvert, convert } from './units.js';
+
 // ============== INTENT DETECTION ==============
 
 const QUERY_PATTERNS = [
@@ -416,9 +418,13 @@ export function parseForLogging(text) {
   // Handle specific skill types
   switch (skill.id) {
     case 'water':
-      // Look for volume or containers
+      // "2 cups", "half a litre", "16 oz" -> ml, keeping what was typed
+      const quantity = parseQuantity(text, { targetUnit: 'ml' });
       const volNum = numbers.find(n => n.category === 'volume' || n.category === 'container');
-      if (volNum) {
+      if (quantity && canConvert(quantity.unit, 'ml')) {
+        entry.value = Math.round(convert(quantity.value, quantity.unit, 'ml'));
+        entry.original = { value: quantity.value, unit: quantity.unit, text: quantity.raw };
+      } else if (volNum) {
         entry.value = Math.round(volNum.normalized);
       } else if (numbers.length > 0) {
         // Bare number: >10 = ml, else glasses
@@ -5,11 +5,19 @@
  * - Time-based patterns (usually log water at 9am)
  * - Streak protection (3-day streak about to break)
  * - Gap detection (haven't logged mood today)
- * - Goal nudges (200ml away from daily goal)
+ * - Goal nudges (200ml away from daily goal, close to a weekly limit)
+ * - Pace nudges from forecasts ("at this pace you'll miss your weekly target")
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getEventBus, EventTypes } from '../eventBus.js';
+import { evaluateGoalRule } from './goal-rules.js';
+import { formatQuantity } from './units.js';
+import { ForecastEngine } from './forecast.js';
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+export const NUDGE_TYPES = ['streak', 'goal', 'time', 'gap'];
 
 /**
  * NudgeEngine - generates contextual nudges based on user patterns
@@ -18,6 +26,7 @@ export class NudgeEngine {
   constructor(skillManager, goalTracker, dataDir) {
     this.sm = skillManager;
     this.goals = goalTracker;
+    this.forecast = new ForecastEngine(skillManager, goalTracker);
     this.patternsFile = path.join(dataDir, '_patterns.json');
     this.patterns = null;
   }
@@ -29,9 +38,38 @@ export class NudgeEngine {
     } catch {
       this.patterns = { skills: {}, lastAnalyzed: null };
     }
+    this.watchEntryChanges();
     return this;
   }
 
+  /**
+   * Re-learn patterns (and streaks, via the GoalTracker) when an entry is
+   * edited, deleted or restored, so nudges don't build on undone logs.
+   */
+  watchEntryChanges() {
+    if (this.unwatch) return;
+
+    const bus = getEventBus();
+    const handler = async ({ data }) => {
+      if (!this.sm.skills.has(data.skillId)) return;
+      try {
+        const pattern = await this.learnPatterns(data.skillId);
+        if (!pattern && this.patterns.skills[data.skillId]?.learned) {
+          // Too few entries left to trust the old pattern
+          delete this.patterns.skills[data.skillId].learned;
+          await this.save();
+        }
+      } catch {
+        // Patterns are refreshed again on the next analysis pass
+      }
+    };
+
+    const offs = [EventTypes.ENTRY_UPDATED, EventTypes.ENTRY_DELETED, EventTypes.ENTRY_RESTORED]
+      .map(type => bus.on(type, handler));
+    this.goals?.watch?.(this.sm);
+    this.unwatch = () => offs.forEach(off => off());
+  }
+
   async save() {
     const tempPath = `${this.patternsFile}.tmp`;
     await fs.writeFile(tempPath, JSON.stringify(this.patterns, null, 2));
@@ -101,6 +139,44 @@ export class NudgeEngine {
     return this.patterns.skills[skillId]?.learned || null;
   }
 
+  // ============== SETTINGS ==============
+
+  /**
+   * Per-skill nudge settings: { enabled, types } where types is a subset
+   * of NUDGE_TYPES. Skills without settings get every nudge.
+   */
+  getSettings(skillId) {
+    return { enabled: true, types: [...NUDGE_TYPES], ...this.patterns.skills[skillId]?.settings };
+  }
+
+  /**
+   * Returns true if the skill has settings of its own
+   */
+  hasSettings(skillId) {
+    return !!this.patterns.skills[skillId]?.settings;
+  }
+
+  async setSettings(skillId, settings) {
+    const types = settings.types || NUDGE_TYPES;
+    const unknown = types.filter(type => !NUDGE_TYPES.includes(type));
+    if (unknown.length) {
+      throw new Error(`Unknown nudge type(s): ${unknown.join(', ')} (expected ${NUDGE_TYPES.join(', ')})`);
+    }
+
+    if (!this.patterns.skills[skillId]) {
+      this.patterns.skills[skillId] = {};
+    }
+    this.patterns.skills[skillId].settings = { enabled: settings.enabled !== false, types: [...types] };
+    await this.save();
+    return this.patterns.skills[skillId].settings;
+  }
+
+  async clearSettings(skillId) {
+    if (!this.patterns.skills[skillId]?.settings) return;
+    delete this.patterns.skills[skillId].settings;
+    await this.save();
+  }
+
   // ============== NUDGE GENERATION ==============
 
   /**
@@ -142,6 +218,8 @@ export class NudgeEngine {
 
     for (const [skillId, skill] of this.sm.skills) {
       if (skillId.startsWith('_')) continue; // Skip meta-skills
+      const settings = this.getSettings(skillId);
+      if (!settings.enabled) continue;
 
       const entries = await this.sm.getEntries(skillId);
       const todayEntries = entries.filter(e => e.date === today);
@@ -154,7 +232,7 @@ export class NudgeEngine {
           type: 'streak',
           skillId,
           priority: 'high',
-          message: `🔥 ${streak.current}-day ${skill.name} streak! Don't forget to log today.`,
+          message: `🔥 ${streak.current}-${streak.period || 'day'} ${skill.name} streak! ${streak.reminder || "Don't forget to log today."}`,
           data: streak
         });
       }
@@ -202,11 +280,11 @@ export class NudgeEngine {
       }
     }
 
-    // Sort by priority
-    const priorityOrder = { high: 0, medium: 1, low: 2 };
-    nudges.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+    // Drop nudge types a skill has switched off, then sort by priority
+    const allowed = nudges.filter(nudge => this.getSettings(nudge.skillId).types.includes(nudge.type));
+    allowed.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
 
-    return nudges;
+    return allowed;
   }
 
   /**
@@ -215,6 +293,9 @@ export class NudgeEngine {
   async checkStreakRisk(skillId, entries, todayEntries) {
     if (!this.goals) return null;
 
+    const rule = this.goals.getStreakRule(skillId, this.sm.skills.get(skillId));
+    if (rule) return this.checkGoalStreakRisk(skillId, rule, entries);
+
     const streak = this.goals.calculateStreak(entries);
     
     if (streak.current >= 3 && todayEntries.length === 0) {
@@ -233,39 +314,145 @@ export class NudgeEngine {
   }
 
   /**
-   * Check goal progress and generate nudges
+   * Streak risk for a skill whose streak follows a goal rule: the open
+   * period is short of its minimum late in the period, or close to its limit
+   */
+  checkGoalStreakRisk(skillId, rule, entries) {
+    const { streak, current } = evaluateGoalRule(rule, entries, { field: this.sm.getPrimaryField(skillId) });
+    const base = { current: streak.current, period: rule.period };
+    if (streak.current < 3 || current.status !== 'pending') return { atRisk: false, ...base };
+
+    let reminder = null;
+    if (rule.max !== undefined && current.percent >= 80) {
+      reminder = `Only ${formatQuantity(current.headroom, rule.unit)} left under your limit this ${rule.period}.`;
+    } else if (rule.min !== undefined && current.remaining > 0 && current.elapsed >= 0.7) {
+      reminder = `${formatQuantity(current.remaining, rule.unit)} more this ${rule.period} keeps it going.`;
+    }
+    if (!reminder) return { atRisk: false, ...base };
+
+    const hoursLeft = 24 - new Date().getHours();
+    return {
+      atRisk: true,
+      ...base,
+      reminder,
+      hoursLeft,
+      urgency: rule.period !== 'day' ? 'medium' : hoursLeft < 6 ? 'high' : hoursLeft < 12 ? 'medium' : 'low'
+    };
+  }
+
+  /**
+   * Check goal progress and generate nudges - the most urgent one across
+   * the skill's goal rules, judged by where each period is projected to end
    */
   async checkGoalProgress(skillId, entries, todayEntries) {
-    const goal = this.goals.getGoal(skillId);
-    if (!goal?.daily) return null;
+    const skill = this.sm.skills.get(skillId);
+    const progress = this.goals.checkGoalProgress(skillId, entries, this.sm.getPrimaryField(skillId), skill);
+    if (!progress) return null;
+
+    const nudges = [];
+    for (const evaluation of progress.rules) {
+      const forecast = await this.forecast.forecastGoal(skillId, evaluation.rule);
+      const nudge = this.goalRuleNudge(skillId, evaluation, forecast.reliable ? forecast : null);
+      if (nudge) nudges.push(nudge);
+    }
+    nudges.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+    return nudges[0] || null;
+  }
 
-    const todayTotal = todayEntries.reduce((sum, e) => sum + (parseFloat(e.value) || 0), 0);
-    const remaining = goal.daily - todayTotal;
-    const percent = Math.round((todayTotal / goal.daily) * 100);
+  /**
+   * Nudge for one evaluated goal rule, or null if there's nothing to say
+   * @param {object} [forecast] - from ForecastEngine.forecastGoal; without
+   *   one, week/month goals fall back to a straight-line pace
+   */
+  goalRuleNudge(skillId, { rule, current, window, description }, forecast = null) {
+    const unit = rule.unit || '';
+    const when = rule.period === 'day' ? 'today' : `this ${rule.period}`;
+    if (current.status === 'skipped') return null;
 
-    // Close to goal (80-99%)
-    if (percent >= 80 && percent < 100) {
+    // Limits: warn when close, and when over
+    if (current.exceeded) {
       return {
         priority: 'medium',
-        message: `🎯 Almost there! ${remaining}${goal.unit || ''} more to hit your ${skillId} goal.`,
-        current: todayTotal,
-        target: goal.daily,
-        remaining
+        message: `⚠️ Over your ${skillId} limit ${when}: ${formatQuantity(current.value, rule.unit)} of ${formatQuantity(rule.max, rule.unit)}.`,
+        current: current.value,
+        target: rule.max,
+        remaining: 0
       };
     }
-
-    // Haven't started and it's afternoon
-    const hour = new Date().getHours();
-    if (todayTotal === 0 && hour >= 14) {
+    if (rule.direction === 'max') {
+      if (current.percent < 80) {
+        if (!forecast || forecast.probability >= 0.5) return null;
+        return {
+          priority: 'low',
+          message: `🚦 ${forecast.message}.`,
+          current: current.value,
+          target: rule.max,
+          remaining: current.headroom,
+          forecast
+        };
+      }
       return {
         priority: 'low',
-        message: `💡 No ${skillId} logged today. Goal: ${goal.daily}${goal.unit || ''}`,
-        current: 0,
-        target: goal.daily,
-        remaining: goal.daily
+        message: `🚦 Heads up: ${formatQuantity(current.value, rule.unit)} of your ${formatQuantity(rule.max, rule.unit)} ${skillId} limit used ${when}.`,
+        current: current.value,
+        target: rule.max,
+        remaining: current.headroom
       };
     }
 
+    // Minimums
+    if (current.remaining === 0) return null;
+    const nudge = { current: current.value, target: rule.min, remaining: current.remaining };
+    const windowNote = window && !window.achieved
+      ? ` (${window.met} of the last ${window.window} ${rule.period}s so far, need ${window.required})`
+      : '';
+
+    if (rule.period === 'day') {
+      // Close to goal (80-99%)
+      if (current.percent >= 80) {
+        return {
+          ...nudge,
+          priority: 'medium',
+          message: `🎯 Almost there! ${current.remaining}${unit} more to hit your ${skillId} goal.${windowNote}`
+        };
+      }
+
+      // Haven't started and it's afternoon
+      const hour = new Date().getHours();
+      if (current.value === 0 && hour >= 14) {
+        return {
+          ...nudge,
+          priority: 'low',
+          message: `💡 No ${skillId} logged today. Goal: ${rule.min}${unit}${windowNote}`
+        };
+      }
+
+      // Started, but the usual rest of the day won't get there
+      if (forecast && forecast.outlook === 'off-track') {
+        return { ...nudge, priority: 'low', message: `📉 ${forecast.message}.${windowNote}`, forecast };
+      }
+      return null;
+    }
+
+    // Week/month goals: projected to fall short
+    if (forecast) {
+      if (forecast.probability >= 0.5) return null;
+      return {
+        ...nudge,
+        priority: forecast.outlook === 'off-track' || current.elapsed >= 0.85 ? 'medium' : 'low',
+        message: `📅 ${forecast.message}.${windowNote}`,
+        forecast
+      };
+    }
+
+    // No forecast: behind a straight-line pace past the halfway point
+    if (current.elapsed >= 0.5 && current.percent < current.elapsed * 100) {
+      return {
+        ...nudge,
+        priority: current.elapsed >= 0.85 ? 'medium' : 'low',
+        message: `📅 ${formatQuantity(current.remaining, rule.unit)} more ${skillId} ${when} to hit your goal (${description}).`
+      };
+    }
     return null;
   }
 
@@ -340,15 +527,15 @@ export class NudgeEngine {
 
       // Boost if streak at risk
       if (this.goals) {
-        const streak = this.goals.calculateStreak(entries);
+        const streak = this.goals.getStreak(skillId, entries, skill);
         if (streak.current >= 3 && todayEntries.length === 0) {
           score += 50;
-          reasons.push(`${streak.current}-day streak`);
+          reasons.push(`${streak.current}-${streak.period || 'day'} streak`);
         }
       }
 
       // Boost if goal set but not started
-      if (this.goals?.getGoal(skillId) && todayEntries.length === 0) {
+      if (this.goals?.getGoalRules(skillId, skill).length && todayEntries.length === 0) {
         score += 20;
         reasons.push('goal set');
       }
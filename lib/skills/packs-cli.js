@@ -0,0 +1,182 @@
+/**
+ * StaticRebel skill pack CLI commands
+ *
+ *   sr packs list
+ *   sr packs export <file> --name <name> [--version x.y.z] [--skills a,b] [--template <id>]
+ *   sr packs install <file> [--force]
+ *   sr packs upgrade <file> [--force]
+ *   sr packs diff <file> [<newer-file>]
+ */
+
+import path from 'path';
+import { getSkillManager } from './skill-manager.js';
+import { GoalTracker } from './goals.js';
+import { ChainEngine } from './chains.js';
+import { NudgeEngine } from './nudges.js';
+import { TemplateManager } from './templates.js';
+import { SkillPackManager, readPack, writePack, diffPacks, describePackDiff, PACK_EXTENSION } from './packs.js';
+
+export async function packsCommand(args) {
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'list':
+      return await listPacks();
+    case 'export':
+      return await exportPack(options);
+    case 'install':
+      return await installPack(options);
+    case 'upgrade':
+      return await upgradePack(options);
+    case 'diff':
+      return await diffPack(options);
+    default:
+      return getPacksHelp();
+  }
+}
+
+function parseOptions(args) {
+  const options = { files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--skills') {
+      options.skills = args[i + 1].split(',').map(s => s.trim()).filter(Boolean);
+      i++;
+    } else if (['--name', '--version', '--author', '--description', '--id', '--template'].includes(arg)) {
+      options[arg.slice(2)] = args[i + 1];
+      i++;
+    } else {
+      options.files.push(path.resolve(arg));
+    }
+  }
+
+  return options;
+}
+
+async function loadManager() {
+  const sm = await getSkillManager();
+  const goals = await new GoalTracker(sm.dataDir).init();
+  const chains = await new ChainEngine(sm, goals, sm.dataDir).init();
+  const nudges = await new NudgeEngine(sm, goals, sm.dataDir).init();
+  nudges.unwatch?.();
+  const packs = await new SkillPackManager(sm, goals, chains, nudges, sm.dataDir).init();
+  return { sm, goals, chains, packs };
+}
+
+function describeResult(result) {
+  const lines = [];
+  for (const kind of ['installed', 'updated', 'removed']) {
+    for (const [section, ids] of Object.entries(result[kind])) {
+      if (ids.length) lines.push(`  ${kind} ${section}: ${ids.join(', ')}`);
+    }
+  }
+  for (const { section, id, reason } of result.kept) {
+    lines.push(`  kept ${section.replace(/s$/, '')} ${id} (${reason})`);
+  }
+  for (const { section, id, reason } of result.skipped) {
+    lines.push(`  skipped ${section.replace(/s$/, '')} ${id} (${reason}; --force to overwrite)`);
+  }
+  return lines;
+}
+
+async function listPacks() {
+  const { packs } = await loadManager();
+  const installed = packs.listInstalled();
+  if (installed.length === 0) return '📦 No skill packs installed';
+
+  const lines = ['📦 Installed skill packs', ''];
+  for (const pack of installed) {
+    lines.push(`  ${pack.id} ${pack.version} - ${pack.name}`);
+    lines.push(`    Skills: ${pack.skills.join(', ') || '(none)'}`);
+  }
+  return lines.join('\n');
+}
+
+async function exportPack(options) {
+  const [file] = options.files;
+  if (!file) return `Usage: sr packs export <file${PACK_EXTENSION}> --name <name>`;
+
+  const { sm, goals, chains, packs } = await loadManager();
+  let pack;
+  if (options.template) {
+    pack = new TemplateManager(sm, goals, chains, sm.skillsDir).toSkillPack(options.template, options.version);
+  } else {
+    if (!options.name) return 'A pack needs a name: --name "My Pack"';
+    pack = await packs.exportPack(options, { skills: options.skills });
+  }
+
+  await writePack(pack, file);
+  return `✅ Exported ${pack.manifest.id} ${pack.manifest.version} (${pack.manifest.skills.length} skills, ${pack.contents.chains.length} chains) to ${file}`;
+}
+
+async function installPack(options) {
+  const [file] = options.files;
+  if (!file) return `Usage: sr packs install <file${PACK_EXTENSION}> [--force]`;
+
+  const { packs } = await loadManager();
+  const pack = await readPack(file);
+  const result = await packs.installPack(pack, { force: options.force });
+  return [`✅ Installed ${result.pack} ${result.version}`, ...describeResult(result)].join('\n');
+}
+
+async function upgradePack(options) {
+  const [file] = options.files;
+  if (!file) return `Usage: sr packs upgrade <file${PACK_EXTENSION}> [--force]`;
+
+  const { packs } = await loadManager();
+  const pack = await readPack(file);
+  const result = await packs.upgradePack(pack, { force: options.force });
+  return [
+    `✅ Upgraded ${result.pack} ${result.from} → ${result.version}`,
+    ...describeResult(result)
+  ].join('\n');
+}
+
+async function diffPack(options) {
+  const [file, newer] = options.files;
+  if (!file) return `Usage: sr packs diff <file${PACK_EXTENSION}> [<newer-file>]`;
+
+  const pack = await readPack(file);
+  if (newer) {
+    const next = await readPack(newer);
+    return describePackDiff(diffPacks(pack, next), next.manifest.id);
+  }
+
+  const { packs } = await loadManager();
+  return describePackDiff(packs.diffInstalled(pack), pack.manifest.id);
+}
+
+function getPacksHelp() {
+  return `StaticRebel Skill Pack Commands
+
+Usage: sr packs <command> [options]
+
+Commands:
+  list                       Show installed packs
+  export <file>              Bundle your skills, goals, chains and nudge settings
+  install <file>             Install a pack
+  upgrade <file>             Upgrade an installed pack, keeping your changes
+  diff <file> [<newer>]      What changed against the installed version (or between two files)
+
+Options:
+  --name <name>              Pack name (export)
+  --version <x.y.z>          Pack version (export, default: 1.0.0)
+  --skills <a,b>             Skills to export (default: all you created)
+  --author, --description    Manifest details (export)
+  --template <id>            Export a built-in template pack instead
+  --force                    Overwrite existing skills; allow same-version upgrades
+
+Examples:
+  sr packs export my-habits${PACK_EXTENSION} --name "My Habits" --version 1.2.0
+  sr packs diff my-habits${PACK_EXTENSION}
+  sr packs upgrade my-habits${PACK_EXTENSION}
+
+Entries are never changed by packs. Skills you edited since installing are kept on upgrade.`;
+}
+
+export default packsCommand;
@@ -0,0 +1,542 @@
+/**
+ * Skill Packs - shareable, versioned bundles of skills
+ *
+ * A pack is a single JSON file (*.srpack.json):
+ *
+ *   {
+ *     "format": "static-rebel-skill-pack",
+ *     "formatVersion": 1,
+ *     "manifest": { "id", "name", "version" (semver), "description", "author", "createdAt", "skills": [ids] },
+ *     "contents": {
+ *       "skills": { "<skillId>": "<skill markdown>" },
+ *       "goals":  { "<skillId>": <goal, as GoalTracker.setGoal takes it> },
+ *       "chains": [<chain rule with an id>],
+ *       "nudges": { "<skillId>": { "enabled", "types" } }
+ *     },
+ *     "checksum": "sha256-<hex>"
+ *   }
+ *
+ * The checksum covers manifest and contents, so a hand-edited or truncated
+ * pack is refused. Installed packs are recorded in _packs.json along with
+ * exactly what was installed. An upgrade replaces only what the user hasn't
+ * changed since; edited skills, goals, chains and nudge settings are kept.
+ * Entries are never touched, and skills dropped from a pack stay installed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { validateChain } from './chains.js';
+import { normalizeGoalRules } from './goal-rules.js';
+import { NUDGE_TYPES } from './nudges.js';
+
+export const PACK_FORMAT = 'static-rebel-skill-pack';
+export const PACK_FORMAT_VERSION = 1;
+export const PACK_EXTENSION = '.srpack.json';
+
+const SECTIONS = ['skills', 'goals', 'chains', 'nudges'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// ============== VERSIONS ==============
+
+/**
+ * Parse a semver string; null if it isn't one
+ */
+export function parseVersion(version) {
+  const match = SEMVER_PATTERN.exec(String(version));
+  if (!match) return null;
+  return { major: +match[1], minor: +match[2], patch: +match[3], prerelease: match[4] || null };
+}
+
+function comparePrerelease(a, b) {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+    const numericA = /^\d+$/.test(partsA[i]);
+    const numericB = /^\d+$/.test(partsB[i]);
+    if (numericA && numericB && +partsA[i] !== +partsB[i]) return +partsA[i] - +partsB[i];
+    if (numericA !== numericB) return numericA ? -1 : 1;
+    if (partsA[i] !== partsB[i]) return partsA[i] < partsB[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two versions: negative if a is older, 0 if equal, positive if newer
+ */
+export function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+  if (!versionA) throw new Error(`Invalid version: ${a}`);
+  if (!versionB) throw new Error(`Invalid version: ${b}`);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (versionA[part] !== versionB[part]) return versionA[part] - versionB[part];
+  }
+  // 1.0.0-beta.2 < 1.0.0
+  if (versionA.prerelease === versionB.prerelease) return 0;
+  if (!versionA.prerelease) return 1;
+  if (!versionB.prerelease) return -1;
+  return comparePrerelease(versionA.prerelease, versionB.prerelease);
+}
+
+// ============== BUNDLES ==============
+
+/**
+ * JSON with sorted keys, so equal content always hashes the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v) ?? 'null').join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(canonicalJson(value) ?? '').digest('hex');
+}
+
+function sameContent(a, b) {
+  return hashOf(a) === hashOf(b);
+}
+
+/**
+ * Checksum of a pack's manifest and contents
+ */
+export function packChecksum(pack) {
+  return `sha256-${hashOf({ manifest: pack.manifest, contents: pack.contents })}`;
+}
+
+/**
+ * Check a pack's structure (and its checksum, when it has one).
+ * Throws listing every problem found.
+ */
+export function validatePack(pack) {
+  const errors = [];
+  const { manifest, contents } = pack || {};
+
+  if (pack?.format !== PACK_FORMAT) errors.push(`not a skill pack (format should be "${PACK_FORMAT}")`);
+  if (pack?.formatVersion > PACK_FORMAT_VERSION) {
+    errors.push(`format version ${pack.formatVersion} is newer than this StaticRebel supports (${PACK_FORMAT_VERSION})`);
+  }
+  if (!manifest || !contents) {
+    throw new Error(`Invalid skill pack: ${[...errors, 'needs a manifest and contents'].join('; ')}`);
+  }
+
+  if (!ID_PATTERN.test(manifest.id || '')) errors.push(`invalid pack id "${manifest.id}"`);
+  if (!manifest.name) errors.push('manifest needs a name');
+  if (!parseVersion(manifest.version)) errors.push(`invalid version "${manifest.version}" (expected semver, e.g. 1.2.0)`);
+
+  const skills = contents.skills || {};
+  for (const [skillId, markdown] of Object.entries(skills)) {
+    if (!ID_PATTERN.test(skillId)) errors.push(`invalid skill id "${skillId}"`);
+    if (typeof markdown !== 'string' || !markdown.startsWith('# ')) errors.push(`skill "${skillId}" needs markdown starting with a # title`);
+  }
+
+  for (const [skillId, goal] of Object.entries(contents.goals || {})) {
+    if (!skills[skillId]) errors.push(`goal for "${skillId}", which isn't in the pack`);
+    try {
+      normalizeGoalRules({ ...goal });
+    } catch (error) {
+      errors.push(`goal for "${skillId}": ${error.message}`);
+    }
+  }
+
+  const chainIds = new Set();
+  for (const chain of contents.chains || []) {
+    if (!chain.id) errors.push('every chain needs an id');
+    else if (chainIds.has(chain.id)) errors.push(`duplicate chain id "${chain.id}"`);
+    chainIds.add(chain.id);
+    try {
+      validateChain(chain);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  for (const skillId of Object.keys(contents.nudges || {})) {
+    if (!skills[skillId]) errors.push(`nudge settings for "${skillId}", which isn't in the pack`);
+  }
+
+  if (pack.checksum && pack.checksum !== packChecksum(pack)) {
+    errors.push('checksum mismatch - the file was modified or is incomplete');
+  }
+
+  if (errors.length) throw new Error(`Invalid skill pack: ${errors.join('; ')}`);
+  return pack;
+}
+
+/**
+ * Build a pack (manifest.skills and the checksum are filled in)
+ */
+export function createPack(manifest, contents) {
+  const pack = JSON.parse(JSON.stringify({
+    format: PACK_FORMAT,
+    formatVersion: PACK_FORMAT_VERSION,
+    manifest: { ...manifest, skills: Object.keys(contents.skills || {}) },
+    contents: { skills: {}, goals: {}, chains: [], nudges: {}, ...contents }
+  }));
+  validatePack(pack);
+  pack.checksum = packChecksum(pack);
+  return pack;
+}
+
+/**
+ * Read and verify a pack file. Throws if the checksum is missing or wrong.
+ */
+export async function readPack(file) {
+  let pack;
+  try {
+    pack = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Can't read skill pack ${file}: ${error.message}`);
+  }
+  if (!pack.checksum) throw new Error(`Invalid skill pack: ${file} has no checksum`);
+  return validatePack(pack);
+}
+
+export async function writePack(pack, file) {
+  await fs.writeFile(file, JSON.stringify(pack, null, 2));
+  return file;
+}
+
+// ============== DIFFS ==============
+
+function sectionItems(contents, section) {
+  if (!contents) return new Map();
+  if (section === 'chains') return new Map((contents.chains || []).map(chain => [chain.id, chain]));
+  return new Map(Object.entries(contents[section] || {}));
+}
+
+/**
+ * Titles of the markdown "## " sections that differ between two versions
+ */
+function changedSections(before, after) {
+  const split = markdown => new Map(markdown.split(/^(?=## )/m).map(part => {
+    const title = part.startsWith('## ') ? part.split('\n')[0].slice(3).trim() : 'Description';
+    return [title, part.trim()];
+  }));
+  const a = split(before);
+  const b = split(after);
+  return [...new Set([...a.keys(), ...b.keys()])].filter(title => a.get(title) !== b.get(title));
+}
+
+/**
+ * What changed between two versions of a pack (`from` may be null)
+ * @returns {{ from, to, skills, goals, chains, nudges }} where each section
+ *   is { added, removed, changed } lists of ids; skills also has
+ *   sections: { skillId: [changed markdown section titles] }
+ */
+export function diffPacks(from, to) {
+  const diff = { from: from?.manifest.version || null, to: to.manifest.version };
+  for (const section of SECTIONS) {
+    const before = sectionItems(from?.contents, section);
+    const after = sectionItems(to.contents, section);
+    diff[section] = {
+      added: [...after.keys()].filter(id => !before.has(id)),
+      removed: [...before.keys()].filter(id => !after.has(id)),
+      changed: [...after.keys()].filter(id => before.has(id) && !sameContent(before.get(id), after.get(id)))
+    };
+  }
+  diff.skills.sections = Object.fromEntries(diff.skills.changed.map(id =>
+    [id, changedSections(from.contents.skills[id], to.contents.skills[id])]));
+  return diff;
+}
+
+/**
+ * Human-readable diff, one line per section that changed
+ */
+export function describePackDiff(diff, name = '') {
+  const lines = [`${name ? `${name} ` : ''}${diff.from || '(none)'} → ${diff.to}`];
+  for (const section of SECTIONS) {
+    const { added, removed, changed } = diff[section];
+    const parts = [
+      ...added.map(id => `+ ${id}`),
+      ...changed.map(id => {
+        const titles = section === 'skills' ? diff.skills.sections[id] : [];
+        return `~ ${id}${titles.length ? ` (${titles.join(', ')})` : ''}`;
+      }),
+      ...removed.map(id => `- ${id}`)
+    ];
+    if (parts.length) lines.push(`  ${section[0].toUpperCase()}${section.slice(1)}: ${parts.join(', ')}`);
+  }
+  if (lines.length === 1) lines.push('  No changes');
+  return lines.join('\n');
+}
+
+// ============== INSTALLING ==============
+
+function emptySections() {
+  return { skills: [], goals: [], chains: [], nudges: [] };
+}
+
+function stripGoal(goal) {
+  if (!goal) return undefined;
+  const { setAt, ...rest } = goal;
+  return rest;
+}
+
+function stripChain(chain) {
+  if (!chain) return undefined;
+  const { createdAt, ...rest } = chain;
+  return rest;
+}
+
+/**
+ * SkillPackManager - export, install and upgrade skill packs
+ */
+export class SkillPackManager {
+  constructor(skillManager, goalTracker, chainEngine, nudgeEngine, dataDir) {
+    this.sm = skillManager;
+    this.goals = goalTracker;
+    this.chains = chainEngine;
+    this.nudges = nudgeEngine;
+    this.packsFile = path.join(dataDir, '_packs.json');
+    this.installed = {};
+  }
+
+  async init() {
+    try {
+      const content = await fs.readFile(this.packsFile, 'utf-8');
+      this.installed = JSON.parse(content).packs || {};
+    } catch {
+      this.installed = {};
+    }
+    return this;
+  }
+
+  async save() {
+    const tempPath = `${this.packsFile}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ packs: this.installed, savedAt: Date.now() }, null, 2));
+    await fs.rename(tempPath, this.packsFile);
+  }
+
+  /**
+   * Installed packs
+   */
+  listInstalled() {
+    return Object.values(this.installed).map(record => ({
+      id: record.id,
+      name: record.name,
+      version: record.version,
+      skills: Object.keys(record.contents.skills),
+      installedAt: record.installedAt,
+      upgradedAt: record.upgradedAt || null
+    }));
+  }
+
+  getInstalled(packId) {
+    return this.installed[packId] || null;
+  }
+
+  /**
+   * Bundle skills into a pack.
+   * @param {object} manifest - { name, id?, version = '1.0.0', description, author }
+   * @param {object} [options] - { skills: [ids] } - defaults to every skill
+   *   the user made themselves (not installed from a pack)
+   */
+  async exportPack(manifest, options = {}) {
+    if (!manifest.name) throw new Error('A pack needs a name');
+
+    const fromPacks = new Set(Object.values(this.installed).flatMap(record => Object.keys(record.contents.skills)));
+    const skillIds = options.skills ||
+      [...this.sm.skills.keys()].filter(id => !id.startsWith('_') && !fromPacks.has(id));
+    if (skillIds.length === 0) throw new Error('No skills to export');
+
+    const contents = { skills: {}, goals: {}, chains: [], nudges: {} };
+    for (const skillId of skillIds) {
+      const skill = this.sm.skills.get(skillId);
+      if (!skill) throw new Error(`Unknown skill: ${skillId}`);
+      contents.skills[skillId] = skill.raw;
+
+      const goal = stripGoal(this.goals?.getGoal(skillId));
+      if (goal) contents.goals[skillId] = goal;
+      if (this.nudges?.hasSettings(skillId)) contents.nudges[skillId] = this.nudges.getSettings(skillId);
+    }
+    contents.chains = (this.chains?.chains || [])
+      .filter(chain => skillIds.includes(chain.trigger.skill))
+      .map(stripChain);
+
+    return createPack({
+      id: manifest.id || manifest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      name: manifest.name,
+      version: manifest.version || '1.0.0',
+      description: manifest.description || '',
+      author: manifest.author || '',
+      createdAt: new Date().toISOString()
+    }, contents);
+  }
+
+  /**
+   * Install a pack that isn't installed yet. Skills, goals and nudge
+   * settings that already exist are skipped unless options.force.
+   */
+  async installPack(pack, options = {}) {
+    validatePack(pack);
+    const { id, version } = pack.manifest;
+    if (this.installed[id]) {
+      throw new Error(`Pack "${id}" ${this.installed[id].version} is already installed - upgrade it instead`);
+    }
+
+    const record = { id, name: pack.manifest.name, version, checksum: pack.checksum, installedAt: Date.now(), contents: {} };
+    const result = await this.apply(pack, record, options);
+    this.installed[id] = record;
+    await this.save();
+    return { pack: id, version, ...result };
+  }
+
+  /**
+   * Move an installed pack to a newer version. Anything the user changed
+   * since installing is kept as is (reported under `kept`).
+   * @param {object} [options] - { force: allow same or older versions }
+   */
+  async upgradePack(pack, options = {}) {
+    validatePack(pack);
+    const { id, version } = pack.manifest;
+    const record = this.installed[id];
+    if (!record) throw new Error(`Pack "${id}" isn't installed - install it first`);
+    if (compareVersions(version, record.version) <= 0 && !options.force) {
+      throw new Error(`Pack "${id}" ${record.version} is installed; ${version} is not newer`);
+    }
+
+    const diff = diffPacks({ manifest: { version: record.version }, contents: record.contents }, pack);
+    const from = record.version;
+    const result = await this.apply(pack, record, options);
+    Object.assign(record, { name: pack.manifest.name, version, checksum: pack.checksum, upgradedAt: Date.now() });
+    await this.save();
+    return { pack: id, from, version, diff, ...result };
+  }
+
+  /**
+   * Diff a pack against the installed version (or against nothing)
+   */
+  diffInstalled(pack) {
+    const record = this.installed[pack.manifest.id];
+    return diffPacks(record ? { manifest: { version: record.version }, contents: record.contents } : null, pack);
+  }
+
+  /**
+   * Bring every item of the pack in line with `pack`, updating record.contents
+   * to what ends up installed from it. An item is only written or removed
+   * when its live state still equals what the pack installed last time.
+   */
+  async apply(pack, record, options = {}) {
+    const result = { installed: emptySections(), updated: emptySections(), removed: emptySections(), kept: [], skipped: [] };
+    const previous = record.contents || {};
+    const next = { skills: {}, goals: {}, chains: [], nudges: {} };
+
+    for (const section of SECTIONS) {
+      const before = sectionItems(previous, section);
+      const after = sectionItems(pack.contents, section);
+
+      for (const itemId of new Set([...before.keys(), ...after.keys()])) {
+        const old = before.get(itemId);
+        const wanted = after.get(itemId);
+        const live = this.current(section, itemId, pack.manifest.id);
+        const untouched = old === undefined ? live === undefined : sameContent(live, this.asInstalled(section, old, pack.manifest.id));
+
+        if (wanted === undefined) {
+          // Dropped from the pack. Skills stay (their entries depend on them).
+          if (untouched && section !== 'skills' && live !== undefined) {
+            await this.remove(section, itemId, pack.manifest.id);
+            result.removed[section].push(itemId);
+          } else if (section === 'skills' || live !== undefined) {
+            result.kept.push({ section, id: itemId, reason: 'no longer in the pack' });
+          }
+          continue;
+        }
+
+        if (!untouched && !options.force) {
+          if (old === undefined) {
+            result.skipped.push({ section, id: itemId, reason: 'already exists' });
+          } else {
+            result.kept.push({ section, id: itemId, reason: 'changed locally' });
+            this.track(next, section, itemId, old);
+          }
+          continue;
+        }
+
+        if (old === undefined || !sameContent(old, wanted) || !untouched) {
+          await this.write(section, itemId, wanted, pack.manifest.id);
+          result[old === undefined ? 'installed' : 'updated'][section].push(itemId);
+        }
+        this.track(next, section, itemId, wanted);
+      }
+    }
+
+    record.contents = next;
+    return result;
+  }
+
+  track(contents, section, itemId, value) {
+    if (section === 'chains') contents.chains.push(value);
+    else contents[section][itemId] = value;
+  }
+
+  chainId(packId, chainId) {
+    return `${packId}.${chainId}`;
+  }
+
+  /**
+   * A pack item as it looks once installed, for comparing with the live one
+   */
+  asInstalled(section, value, packId) {
+    if (section === 'chains') return { ...value, id: this.chainId(packId, value.id) };
+    if (section === 'nudges') return { enabled: value.enabled !== false, types: value.types || NUDGE_TYPES };
+    return value;
+  }
+
+  current(section, itemId, packId) {
+    switch (section) {
+      case 'skills':
+        return this.sm.skills.get(itemId)?.raw;
+      case 'goals':
+        return stripGoal(this.goals?.getGoal(itemId));
+      case 'chains':
+        return stripChain(this.chains?.chains.find(chain => chain.id === this.chainId(packId, itemId)));
+      case 'nudges':
+        return this.nudges?.hasSettings(itemId) ? this.nudges.getSettings(itemId) : undefined;
+    }
+  }
+
+  async write(section, itemId, value, packId) {
+    switch (section) {
+      case 'skills':
+        await fs.writeFile(path.join(this.sm.skillsDir, `${itemId}.md`), value, 'utf-8');
+        await this.sm.loadSkill(`${itemId}.md`);
+        break;
+      case 'goals':
+        await this.goals?.setGoal(itemId, value);
+        break;
+      case 'chains':
+        if (!this.chains) break;
+        await this.chains.removeChain(this.chainId(packId, itemId));
+        await this.chains.addChain(this.asInstalled(section, value, packId));
+        break;
+      case 'nudges':
+        await this.nudges?.setSettings(itemId, value);
+        break;
+    }
+  }
+
+  async remove(section, itemId, packId) {
+    switch (section) {
+      case 'goals':
+        await this.goals?.removeGoal(itemId);
+        break;
+      case 'chains':
+        await this.chains?.removeChain(this.chainId(packId, itemId));
+        break;
+      case 'nudges':
+        await this.nudges?.clearSettings(itemId);
+        break;
+    }
+  }
+}
+
+export default SkillPackManager;
@@ -0,0 +1,429 @@
+/**
+ * Skill Schema - Typed, multi-field entry validation
+ *
+ * Skills declare their entry shape in a `## Data Schema` block. Two forms
+ * are understood:
+ *
+ * Typed (preferred):
+ *   {
+ *     "primary": "weight",
+ *     "fields": {
+ *       "exercise": { "type": "enum", "values": ["squat", "bench"], "required": true },
+ *       "sets":     { "type": "numeric", "min": 1, "max": 20, "integer": true },
+ *       "reps":     { "type": "numeric", "min": 1 },
+ *       "weight":   { "type": "numeric", "unit": "kg", "min": 0 },
+ *       "rest":     { "type": "duration", "unit": "seconds" },
+ *       "pr":       { "type": "boolean" },
+ *       "note":     { "type": "text", "maxLength": 280 }
+ *     }
+ *   }
+ *
+ * Legacy (still supported):
+ *   { "type": "numeric", "unit": "ml" }
+ *   { "type": "scale", "range": [1, 10], "fields": ["score", "note"] }
+ *
+ * Every entry written through SkillManager.addEntry is run through
+ * validateEntry(), so chat, the REST API and webhooks share one set of rules.
+ * Numeric fields with a `unit` accept amounts like "135 lb" and store them
+ * converted (see units.js).
+ */
+
+import {
+  parseQuantity,
+  parseDuration,
+  canConvert,
+  convert,
+  roundQuantity,
+  resolveUnit,
+  getDimension
+} from './units.js';
+
+export const FIELD_TYPES = ['numeric', 'enum', 'text', 'duration', 'boolean'];
+
+const TYPE_ALIASES = {
+  number: 'numeric',
+  integer: 'numeric',
+  float: 'numeric',
+  choice: 'enum',
+  select: 'enum',
+  string: 'text',
+  bool: 'boolean',
+  time: 'duration'
+};
+
+// Keys the storage layer owns - never validated against the schema
+export const RESERVED_KEYS = new Set([
+  'id', 'timestamp', 'date', 'time', 'source', 'note', 'notes', 'unit', 'raw', 'original',
+  'createdAt', 'updatedAt', 'deletedAt', 'legacyId', 'user'
+]);
+
+/**
+ * Error thrown when an entry does not satisfy a skill's schema.
+ * `errors` is a list of { field, message } suitable for API responses;
+ * `message` is a single sentence suitable for chat replies.
+ */
+export class SkillValidationError extends Error {
+  constructor(skill, errors) {
+    const name = skill?.name || skill?.id || 'skill';
+    super(`Couldn't log ${name}: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'SkillValidationError';
+    this.skillId = skill?.id || null;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      error: 'Validation failed',
+      message: this.message,
+      skillId: this.skillId,
+      details: this.errors
+    };
+  }
+}
+
+function normalizeFieldSpec(name, spec = {}) {
+  const rawType = String(spec.type || 'numeric').toLowerCase();
+  const type = TYPE_ALIASES[rawType] || rawType;
+  if (!FIELD_TYPES.includes(type) && type !== 'any') {
+    throw new Error(`Unknown field type "${spec.type}" for field "${name}"`);
+  }
+
+  const field = {
+    name,
+    type,
+    label: spec.label || name,
+    required: spec.required === true,
+    unit: spec.unit || null
+  };
+
+  if (type === 'numeric') {
+    field.min = typeof spec.min === 'number' ? spec.min : null;
+    field.max = typeof spec.max === 'number' ? spec.max : null;
+    field.integer = spec.integer === true || rawType === 'integer';
+    if (Array.isArray(spec.range) && spec.range.length === 2) {
+      [field.min, field.max] = spec.range;
+    }
+  }
+  if (type === 'duration') {
+    const unit = resolveUnit(spec.unit || 'minutes', 'duration');
+    field.unit = getDimension(unit) === 'duration' ? unit : 'minutes';
+    field.min = typeof spec.min === 'number' ? spec.min : null;
+    field.max = typeof spec.max === 'number' ? spec.max : null;
+  }
+  if (type === 'enum') {
+    field.values = (spec.values || spec.options || []).map(v => String(v));
+    if (field.values.length === 0) {
+      throw new Error(`Enum field "${name}" must declare its values`);
+    }
+  }
+  if (type === 'text') {
+    field.maxLength = typeof spec.maxLength === 'number' ? spec.maxLength : null;
+  }
+  if (spec.default !== undefined) {
+    field.default = spec.default;
+  }
+
+  return field;
+}
+
+/**
+ * Turn a raw `dataSchema` (typed, legacy or missing) into
+ * { fields: { name: spec }, primary, strict, typed }.
+ */
+export function normalizeSchema(dataSchema, skill = {}) {
+  const schema = { fields: {}, primary: 'value', strict: false, typed: false };
+
+  if (!dataSchema || typeof dataSchema !== 'object' || dataSchema.type === 'freeform') {
+    return schema;
+  }
+
+  const { fields } = dataSchema;
+  const typedFields = fields && (
+    (!Array.isArray(fields) && typeof fields === 'object') ||
+    (Array.isArray(fields) && fields.some(f => f && typeof f === 'object'))
+  );
+
+  if (typedFields) {
+    schema.typed = true;
+    schema.strict = dataSchema.strict === true;
+    const list = Array.isArray(fields)
+      ? fields.map(f => [f.name, f])
+      : Object.entries(fields);
+
+    for (const [name, spec] of list) {
+      if (!name) throw new Error('Schema fields must have a name');
+      schema.fields[name] = normalizeFieldSpec(name, typeof spec === 'string' ? { type: spec } : spec);
+    }
+
+    const firstNumeric = Object.values(schema.fields)
+      .find(f => f.type === 'numeric' || f.type === 'duration');
+    schema.primary = dataSchema.primary ||
+      (schema.fields.value ? 'value' : firstNumeric?.name || 'value');
+    return schema;
+  }
+
+  // Legacy single-value schemas: only the primary value is typed
+  const legacyType = String(dataSchema.type || '').toLowerCase();
+  const unit = dataSchema.unit || skill.unit || null;
+
+  if (['numeric', 'counter', 'scale', 'number'].includes(legacyType)) {
+    const valueSpec = { type: 'numeric', unit };
+    if (Array.isArray(dataSchema.range)) valueSpec.range = dataSchema.range;
+    schema.fields.value = normalizeFieldSpec('value', valueSpec);
+
+    // Scale skills traditionally store the score under its first declared field too
+    if (legacyType === 'scale' && Array.isArray(fields) && fields[0] && fields[0] !== 'value') {
+      schema.fields[fields[0]] = normalizeFieldSpec(fields[0], valueSpec);
+    }
+  }
+
+  if (Array.isArray(fields)) {
+    for (const name of fields) {
+      if (typeof name === 'string' && !schema.fields[name] && !RESERVED_KEYS.has(name)) {
+        schema.fields[name] = { name, type: 'any', label: name, required: false, unit: null };
+      }
+    }
+  }
+
+  return schema;
+}
+
+function parseBoolean(input) {
+  if (typeof input === 'boolean') return input;
+  const text = String(input).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'on', 'done'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'off'].includes(text)) return false;
+  return null;
+}
+
+function describeUnit(field) {
+  return field.unit ? ` ${field.unit}` : '';
+}
+
+function parseNumeric(field, raw) {
+  const text = String(raw);
+  if (field.unit) {
+    const quantity = parseQuantity(text, { targetUnit: field.unit });
+    if (quantity && canConvert(quantity.unit, field.unit)) {
+      return roundQuantity(convert(quantity.value, quantity.unit, field.unit));
+    }
+  }
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+function coerceField(field, raw) {
+  switch (field.type) {
+    case 'numeric': {
+      const value = typeof raw === 'number' ? raw : parseNumeric(field, raw);
+      if (!Number.isFinite(value)) {
+        return { error: `${field.label} must be a number (got "${raw}")` };
+      }
+      if (field.integer && !Number.isInteger(value)) {
+        return { error: `${field.label} must be a whole number` };
+      }
+      if (field.min !== null && value < field.min) {
+        return { error: `${field.label} must be at least ${field.min}${describeUnit(field)}` };
+      }
+      if (field.max !== null && value > field.max) {
+        return { error: `${field.label} must be at most ${field.max}${describeUnit(field)}` };
+      }
+      return { value };
+    }
+
+    case 'duration': {
+      const value = parseDuration(raw, field.unit);
+      if (value === null) {
+        return { error: `${field.label} must be a duration like "45 min" or "1h30m" (got "${raw}")` };
+      }
+      if (field.min !== null && value < field.min) {
+        return { error: `${field.label} must be at least ${field.min} ${field.unit}` };
+      }
+      if (field.max !== null && value > field.max) {
+        return { error: `${field.label} must be at most ${field.max} ${field.unit}` };
+      }
+      return { value };
+    }
+
+    case 'enum': {
+      const wanted = String(raw).trim().toLowerCase();
+      const value = field.values.find(v => v.toLowerCase() === wanted);
+      if (value === undefined) {
+        return { error: `${field.label} must be one of: ${field.values.join(', ')} (got "${raw}")` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      const value = parseBoolean(raw);
+      if (value === null) {
+        return { error: `${field.label} must be yes or no (got "${raw}")` };
+      }
+      return { value };
+    }
+
+    case 'text': {
+      const value = String(raw);
+      if (field.maxLength !== null && value.length > field.maxLength) {
+        return { error: `${field.label} must be ${field.maxLength} characters or fewer` };
+      }
+      return { value };
+    }
+
+    default:
+      return { value: raw };
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate and coerce an entry against a normalized schema.
+ * Returns { valid, errors, entry } - `entry` has typed values and the
+ * primary field mirrored into `value` so single-field consumers keep working.
+ */
+export function validateEntry(schema, entry = {}) {
+  const errors = [];
+  const result = { ...entry };
+
+  // Callers that only know about `value` (chat, API) feed the primary field
+  if (schema.primary !== 'value' && isMissing(result[schema.primary]) && !isMissing(result.value)) {
+    result[schema.primary] = result.value;
+  }
+
+  for (const field of Object.values(schema.fields)) {
+    let raw = result[field.name];
+
+    if (isMissing(raw) && field.default !== undefined) {
+      raw = field.default;
+    }
+
+    if (isMissing(raw)) {
+      if (field.required) {
+        errors.push({ field: field.name, message: `${field.label} is required` });
+      }
+      delete result[field.name];
+      continue;
+    }
+
+    const coerced = coerceField(field, raw);
+    if (coerced.error) {
+      errors.push({ field: field.name, message: coerced.error });
+    } else {
+      result[field.name] = coerced.value;
+    }
+  }
+
+  if (schema.strict) {
+    for (const key of Object.keys(result)) {
+      if (!RESERVED_KEYS.has(key) && key !== 'value' && !schema.fields[key]) {
+        errors.push({ field: key, message: `${key} is not a field of this skill` });
+      }
+    }
+  }
+
+  const primary = schema.fields[schema.primary];
+  if (primary && schema.primary !== 'value' && !isMissing(result[schema.primary]) &&
+      (primary.type === 'numeric' || primary.type === 'duration')) {
+    result.value = result[schema.primary];
+  }
+
+  return { valid: errors.length === 0, errors, entry: result };
+}
+
+/**
+ * Fields that can be summed/averaged
+ */
+export function getNumericFields(schema) {
+  const fields = Object.values(schema.fields)
+    .filter(f => f.type === 'numeric' || f.type === 'duration')
+    .map(f => f.name);
+  if (!fields.includes('value') && !schema.fields[schema.primary]) {
+    fields.unshift('value');
+  }
+  return fields;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pull declared field values out of free text, e.g.
+ * "bench 3 sets 8 reps 60kg" -> { exercise: 'bench', sets: 3, reps: 8, weight: 60 }
+ * Only typed schemas are considered; unknown pieces are left for the caller.
+ */
+export function extractFieldsFromText(schema, text) {
+  const found = {};
+  if (!schema.typed || !text) return found;
+
+  const lower = text.toLowerCase();
+
+  for (const field of Object.values(schema.fields)) {
+    const name = escapeRegex(field.name.toLowerCase().replace(/_/g, ' '));
+    const label = escapeRegex(String(field.label).toLowerCase());
+
+    switch (field.type) {
+      case 'enum': {
+        const value = field.values.find(v =>
+          new RegExp(`\\b${escapeRegex(v.toLowerCase())}\\b`).test(lower));
+        if (value !== undefined) found[field.name] = value;
+        break;
+      }
+
+      case 'numeric': {
+        const unit = field.unit ? escapeRegex(field.unit.toLowerCase()) : null;
+        // "3 sets" beats "sets 8" so "3 sets 8 reps" reads naturally
+        const patterns = [
+          new RegExp(`(-?\\d+(?:\\.\\d+)?)\\s*(?:${name}|${label})s?\\b`),
+          new RegExp(`(?:${name}|${label})\\s*[:=]\\s*(-?\\d+(?:\\.\\d+)?)`)
+        ];
+        if (unit) patterns.push(new RegExp(`(-?\\d+(?:\\.\\d+)?)\\s*${unit}\\b`));
+        patterns.push(new RegExp(`(?:${name}|${label})\\s+(-?\\d+(?:\\.\\d+)?)`));
+        for (const pattern of patterns) {
+          const match = lower.match(pattern);
+          if (match) {
+            found[field.name] = parseFloat(match[1]);
+            break;
+          }
+        }
+        break;
+      }
+
+      case 'duration': {
+        const match = lower.match(new RegExp(`(?:${name}|${label})\\s*[:=]?\\s*([\\d.:]+\\s*[a-z]*)`));
+        const value = match ? parseDuration(match[1], field.unit) : null;
+        if (value !== null) found[field.name] = value;
+        break;
+      }
+
+      case 'boolean': {
+        if (new RegExp(`\\b(?:no|not|without)\\s+${name}\\b`).test(lower)) {
+          found[field.name] = false;
+        } else if (new RegExp(`\\b${name}\\b`).test(lower)) {
+          found[field.name] = true;
+        }
+        break;
+      }
+
+      case 'text': {
+        const match = text.match(new RegExp(`(?:${name}|${label})\\s*[:=]\\s*(.+)$`, 'i'));
+        if (match) found[field.name] = match[1].trim();
+        break;
+      }
+    }
+  }
+
+  return found;
+}
+
+export default {
+  FIELD_TYPES,
+  RESERVED_KEYS,
+  SkillValidationError,
+  normalizeSchema,
+  validateEntry,
+  getNumericFields,
+  extractFieldsFromText
+};
@@ -2,18 +2,35 @@
  * Skill Manager - Dynamic skill discovery, loading, and data persistence
  * 
  * Skills stored in ~/.static-rebel/skills/*.md
- * Data stored in ~/.static-rebel/data/*.json
+ * Data stored in ~/.static-rebel/data - one JSON file per skill, or
+ * skills.db when the SQLite engine is in use (see ./storage)
+ *
+ * Entries keep a stable `id`. Edits and deletes never drop data: deleted
+ * entries are flagged with `deletedAt` and every change is appended to the
+ * skill's audit trail.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { normalizeSchema, validateEntry, getNumericFields, SkillValidationError } from './schema.js';
+import { normalizeQuantity, canConvert, convert, roundQuantity, getDimension } from './units.js';
+import { getEventBus, EventTypes } from '../eventBus.js';
+import { normalizeGoalRules } from './goal-rules.js';
+import { createSkillStore } from './storage/index.js';
+import { JsonSkillStore } from './storage/json-store.js';
 
 // Use home directory for persistence (works everywhere)
 const STATIC_REBEL_DIR = path.join(os.homedir(), '.static-rebel');
 const DEFAULT_SKILLS_DIR = path.join(STATIC_REBEL_DIR, 'skills');
 const DEFAULT_DATA_DIR = path.join(STATIC_REBEL_DIR, 'data');
 
+// Audit records kept per skill (oldest dropped first)
+const AUDIT_LIMIT = 1000;
+
+// Storage-owned keys an edit may not overwrite
+const PROTECTED_KEYS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'legacyId'];
+
 /**
  * Parse a skill markdown file into a structured object
  */
@@ -27,6 +44,7 @@ function parseSkillFile(content, filename) {
     dailyGoal: null,
     icon: '📊',
     dataSchema: null,
+    goals: [],
     actions: [],
     examples: [],
     raw: content
@@ -81,6 +99,25 @@ function parseSkillFile(content, filename) {
     saveSection(skill, inSection, sectionContent.join('\n').trim());
   }
 
+  if (!skill.unit && skill.dataSchema?.unit) {
+    skill.unit = skill.dataSchema.unit;
+  }
+
+  try {
+    skill.schema = normalizeSchema(skill.dataSchema, skill);
+  } catch (e) {
+    console.error(`Invalid data schema for skill ${skill.id}:`, e.message);
+    skill.schema = normalizeSchema(null, skill);
+    skill.schemaError = e.message;
+  }
+
+  try {
+    normalizeGoalRules({ rules: skill.goals, unit: skill.unit });
+  } catch (e) {
+    console.error(`Invalid goals for skill ${skill.id}:`, e.message);
+    skill.goals = [];
+  }
+
   // Ensure triggers include the skill id and name
   if (!skill.triggers.includes(skill.id)) skill.triggers.push(skill.id);
   if (skill.name && !skill.triggers.includes(skill.name.toLowerCase())) {
@@ -126,6 +163,18 @@ function saveSection(skill, section, content) {
         skill.dataSchema = { type: 'freeform', description: content };
       }
       break;
+    case 'goals':
+      // Recurring goal rules, see goal-rules.js
+      try {
+        const jsonMatch = content.match(/```json?\n([\s\S]*?)\n```/);
+        if (jsonMatch) {
+          const goals = JSON.parse(jsonMatch[1]);
+          skill.goals = Array.isArray(goals) ? goals : [goals];
+        }
+      } catch (e) {
+        console.error(`Unreadable goals for skill ${skill.id}:`, e.message);
+      }
+      break;
     case 'actions':
     case 'capabilities':
       skill.actions = content.split('\n')
@@ -143,24 +192,70 @@ function saveSection(skill, section, content) {
   }
 }
 
+function createEntryId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function auditRecord(action, entryId, details = {}) {
+  return {
+    at: Date.now(),
+    action,
+    entryId,
+    source: details.source || null,
+    ...(details.changes ? { changes: details.changes } : {})
+  };
+}
+
+/**
+ * Field-level diff for the audit trail: { field: { from, to } }
+ */
+function diffEntries(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (key === 'updatedAt') continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  }
+  return changes;
+}
+
 /**
  * SkillManager - handles skill discovery, loading, and data persistence
  */
 export class SkillManager {
+  /**
+   * @param {object} [options] - { skillsDir, dataDir, storage: 'auto'|'json'|'sqlite' }
+   */
   constructor(options = {}) {
     this.skillsDir = options.skillsDir || DEFAULT_SKILLS_DIR;
     this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.storageType = options.storage;
     this.skills = new Map();
-    this.dataCache = new Map();
+    // Replaced in init() if SQLite is selected
+    this.storage = new JsonSkillStore({ dataDir: this.dataDir, auditLimit: AUDIT_LIMIT });
   }
 
   async init() {
     await fs.mkdir(this.skillsDir, { recursive: true });
     await fs.mkdir(this.dataDir, { recursive: true });
+    this.storage = await createSkillStore({
+      dataDir: this.dataDir,
+      storage: this.storageType,
+      auditLimit: AUDIT_LIMIT
+    });
     await this.loadAllSkills();
     return this;
   }
 
+  /**
+   * Release the storage engine (closes the SQLite handle)
+   */
+  close() {
+    this.storage.close();
+  }
+
   async loadAllSkills() {
     try {
       const files = await fs.readdir(this.skillsDir);
@@ -175,6 +270,31 @@ export class SkillManager {
     return this.skills;
   }
 
+  /**
+   * Re-read every skill file, dropping skills whose file is gone. The map
+   * is swapped in whole, so concurrent readers never see it half-filled.
+   */
+  async reloadSkills() {
+    const skills = new Map();
+    try {
+      const files = await fs.readdir(this.skillsDir);
+      for (const file of files.filter(f => f.endsWith('.md'))) {
+        try {
+          const content = await fs.readFile(path.join(this.skillsDir, file), 'utf-8');
+          const skill = parseSkillFile(content, file);
+          skills.set(skill.id, skill);
+        } catch (e) {
+          console.error(`Failed to load skill ${file}:`, e.message);
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load skills:', e.message);
+      return this.skills;
+    }
+    this.skills = skills;
+    return skills;
+  }
+
   async loadSkill(filename) {
     const filepath = path.join(this.skillsDir, filename);
     try {
@@ -205,11 +325,22 @@ export class SkillManager {
   }
 
   async createSkill(name, definition = {}) {
-    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const id = definition.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
     const unit = definition.unit || '';
     const goal = definition.dailyGoal || definition.goal || '';
     const icon = definition.icon || '📊';
     const triggers = definition.triggers || [name.toLowerCase()];
+    const dataSchema = definition.dataSchema ||
+      (definition.fields ? { fields: definition.fields, primary: definition.primary } : null);
+
+    if (dataSchema) {
+      // Fail before writing anything if the schema itself is malformed
+      normalizeSchema(dataSchema, { id, unit });
+    }
+    const goals = definition.goals || null;
+    if (goals) {
+      normalizeGoalRules({ rules: goals, unit });
+    }
 
     const content = `# ${name}
 
@@ -224,7 +355,17 @@ ${definition.description || `Track ${name.toLowerCase()}.`}
 
 ## Patterns
 - "${name.toLowerCase()} {amount}" → amount in ${unit || 'units'}
-
+${dataSchema ? `
+## Data Schema
+\`\`\`json
+${JSON.stringify(dataSchema, null, 2)}
+\`\`\`
+` : ''}${goals ? `
+## Goals
+\`\`\`json
+${JSON.stringify(goals, null, 2)}
+\`\`\`
+` : ''}
 ## Examples
 - "log ${name.toLowerCase()}: 5"
 - "show ${name.toLowerCase()} history"
@@ -238,164 +379,415 @@ ${definition.description || `Track ${name.toLowerCase()}.`}
     
     // Clear cache and reload
     this.skills.delete(id);
-    this.dataCache.delete(id);
+    this.storage.forget(id);
     
     return this.loadSkill(`${id}.md`);
   }
 
+  /**
+   * Remove a skill definition. Its data is kept so entries can be
+   * recovered by re-creating the skill, unless `deleteData` is set.
+   * @param {string} skillId
+   * @param {{deleteData?: boolean}} [options] - Also delete the entries from whichever storage engine holds them
+   */
+  async deleteSkill(skillId, options = {}) {
+    if (!this.skills.has(skillId)) return false;
+    try {
+      await fs.unlink(path.join(this.skillsDir, `${skillId}.md`));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    this.skills.delete(skillId);
+    if (options.deleteData) {
+      await this.storage.removeSkill(skillId);
+    } else {
+      this.storage.forget(skillId);
+    }
+    return true;
+  }
+
   // ==================== DATA PERSISTENCE ====================
 
-  getDataPath(skillId) {
-    return path.join(this.dataDir, `${skillId}.json`);
+  /**
+   * Whole data document for a skill: { entries, metadata, audit }.
+   * Reads every entry - use getEntries/getStats for queries.
+   */
+  async loadData(skillId) {
+    return this.storage.load(skillId);
   }
 
-  async loadData(skillId) {
-    if (this.dataCache.has(skillId)) {
-      return this.dataCache.get(skillId);
-    }
+  /**
+   * Replace a skill's whole data document
+   */
+  async saveData(skillId, data) {
+    return this.storage.save(skillId, data);
+  }
 
-    const filepath = this.getDataPath(skillId);
-    try {
-      const content = await fs.readFile(filepath, 'utf-8');
-      const data = JSON.parse(content);
-      this.dataCache.set(skillId, data);
-      return data;
-    } catch {
-      const data = { entries: [], metadata: { created: Date.now() } };
-      this.dataCache.set(skillId, data);
-      return data;
+  async getMetadata(skillId) {
+    return this.storage.getMetadata(skillId);
+  }
+
+  /**
+   * Shallow-merge keys into a skill's metadata
+   */
+  async updateMetadata(skillId, changes) {
+    const metadata = { ...(await this.storage.getMetadata(skillId)), ...changes };
+    await this.storage.setMetadata(skillId, metadata);
+    return metadata;
+  }
+
+  /**
+   * Validate an entry against the skill's declared schema without saving it.
+   * Returns { valid, errors, entry } with values coerced to their field types.
+   */
+  validateEntry(skillId, entry = {}) {
+    const skill = this.skills.get(skillId);
+    const schema = skill?.schema || normalizeSchema(null, { id: skillId });
+    const result = validateEntry(schema, entry);
+
+    // normalizeEntryUnits converts what it can; "5 km" for a water skill or
+    // a steps skill is left as typed and must not be summed with the rest
+    const target = this.getStorageUnit(skillId);
+    const dimension = entry.unit ? getDimension(entry.unit) : null;
+    if (dimension && !canConvert(entry.unit, target)) {
+      result.errors.push({
+        field: 'unit',
+        message: getDimension(target)
+          ? `${entry.unit} is a ${dimension} unit and can't be converted to ${target}`
+          : `${entry.unit} is a ${dimension} unit and ${skill?.name || skillId} counts ${target || 'plain numbers'}`
+      });
+      result.valid = false;
     }
+    return result;
   }
 
-  async saveData(skillId, data) {
-    const filepath = this.getDataPath(skillId);
-    const tempPath = `${filepath}.${process.pid}.tmp`;
+  /**
+   * Unit the primary value is stored in
+   */
+  getStorageUnit(skillId) {
+    const skill = this.skills.get(skillId);
+    const primary = skill?.schema?.fields?.[skill.schema.primary];
+    return primary?.unit || skill?.unit || null;
+  }
 
-    try {
-      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
-      await fs.rename(tempPath, filepath);
-      this.dataCache.set(skillId, data);
-      return true;
-    } catch (e) {
-      console.error(`Failed to save data for ${skillId}:`, e.message);
-      try { await fs.unlink(tempPath); } catch {}
-      return false;
+  /**
+   * Express an entry's amount in the skill's unit.
+   * Accepts `quantity: "16 oz"` or `value` + `unit`; the amount as typed is
+   * kept under `original` whenever a conversion happened.
+   */
+  normalizeEntryUnits(skillId, entry = {}) {
+    const target = this.getStorageUnit(skillId);
+    const { quantity, ...rest } = entry;
+
+    if (typeof quantity === 'string' && quantity.trim()) {
+      const normalized = normalizeQuantity(quantity, target);
+      if (!normalized) return entry;
+      return {
+        ...rest,
+        value: normalized.value,
+        unit: normalized.unit,
+        ...(normalized.converted ? { original: normalized.original } : {})
+      };
+    }
+
+    const value = typeof entry.value === 'string' ? parseFloat(entry.value) : entry.value;
+    if (!target || !entry.unit || !Number.isFinite(value) || entry.unit === target ||
+        !canConvert(entry.unit, target)) {
+      return entry;
     }
+
+    return {
+      ...rest,
+      value: roundQuantity(convert(value, entry.unit, target)),
+      unit: target,
+      original: entry.original || { value, unit: entry.unit, text: entry.raw || null }
+    };
   }
 
+  /**
+   * Append an entry. Amounts are converted to the skill's unit first; throws
+   * SkillValidationError if the entry breaks the schema.
+   */
   async addEntry(skillId, entry) {
-    const data = await this.loadData(skillId);
+    const validation = this.validateEntry(skillId, this.normalizeEntryUnits(skillId, entry));
+    if (!validation.valid) {
+      throw new SkillValidationError(this.skills.get(skillId) || { id: skillId }, validation.errors);
+    }
+
     const newEntry = {
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      id: createEntryId(),
       timestamp: Date.now(),
       date: new Date().toISOString().split('T')[0],
       time: new Date().toTimeString().slice(0, 5),
-      ...entry
+      ...validation.entry,
+      createdAt: Date.now()
     };
-    data.entries.push(newEntry);
-    data.metadata.lastUpdated = Date.now();
-    await this.saveData(skillId, data);
+    await this.storage.insertEntries(skillId, [newEntry], [
+      auditRecord('create', newEntry.id, { source: newEntry.source })
+    ]);
     return newEntry;
   }
 
-  async getEntries(skillId, options = {}) {
-    const data = await this.loadData(skillId);
-    let entries = [...data.entries];
+  /**
+   * Bulk-import entries that already happened (migrations, restores).
+   * Timestamps are kept, amounts normalized and validated like addEntry.
+   * Entries whose `legacyId` is already present are skipped, so running an
+   * import twice doesn't duplicate anything. Invalid entries are returned
+   * in `rejected` rather than thrown.
+   */
+  async importEntries(skillId, entries, options = {}) {
+    const seen = await this.storage.hasLegacyIds(
+      skillId,
+      entries.map(e => e.legacyId).filter(Boolean)
+    );
+    const result = { imported: 0, skipped: 0, rejected: [] };
+    const accepted = [];
+    const audit = [];
+
+    for (const incoming of entries) {
+      if (incoming.legacyId && seen.has(incoming.legacyId)) {
+        result.skipped++;
+        continue;
+      }
 
-    if (options.since) {
-      const sinceTime = new Date(options.since).getTime();
-      entries = entries.filter(e => e.timestamp >= sinceTime);
-    }
-    if (options.until) {
-      const untilTime = new Date(options.until).getTime();
-      entries = entries.filter(e => e.timestamp <= untilTime);
-    }
-    if (options.date) {
-      entries = entries.filter(e => e.date === options.date);
-    }
+      const validation = this.validateEntry(skillId, this.normalizeEntryUnits(skillId, incoming));
+      if (!validation.valid) {
+        result.rejected.push({ entry: incoming, errors: validation.errors });
+        continue;
+      }
 
-    if (options.sort === 'asc') {
-      entries.sort((a, b) => a.timestamp - b.timestamp);
-    } else {
-      entries.sort((a, b) => b.timestamp - a.timestamp);
+      const when = new Date(incoming.timestamp ?? Date.now());
+      const entry = {
+        id: createEntryId(),
+        ...validation.entry,
+        timestamp: when.getTime(),
+        date: incoming.date || when.toISOString().split('T')[0],
+        time: incoming.time || when.toTimeString().slice(0, 5),
+        createdAt: incoming.createdAt || when.getTime()
+      };
+      accepted.push(entry);
+      audit.push(auditRecord('create', entry.id, { source: options.source || entry.source }));
+      if (entry.legacyId) seen.add(entry.legacyId);
+      result.imported++;
     }
 
-    if (options.limit) {
-      entries = entries.slice(0, options.limit);
+    if (accepted.length > 0) {
+      await this.storage.insertEntries(skillId, accepted, audit);
     }
+    return result;
+  }
 
-    return entries;
+  /**
+   * Look up one entry by id. Deleted entries only with `includeDeleted`.
+   */
+  async getEntry(skillId, entryId, options = {}) {
+    const entry = await this.storage.getEntry(skillId, entryId);
+    if (!entry || (entry.deletedAt && !options.includeDeleted)) return null;
+    return entry;
   }
 
-  async getStats(skillId, field = 'value', options = {}) {
-    const entries = await this.getEntries(skillId, options);
-    const values = entries
-      .map(e => parseFloat(e[field]))
-      .filter(v => !isNaN(v));
+  /**
+   * Change fields of a logged entry ("actually that was 500ml").
+   * Amounts are re-normalized and the result re-validated against the
+   * schema. Returns the updated entry, or null if there is no live entry
+   * with that id. Throws SkillValidationError on invalid changes.
+   */
+  async updateEntry(skillId, entryId, changes = {}, options = {}) {
+    const before = await this.getEntry(skillId, entryId);
+    if (!before) return null;
+
+    const editable = { ...changes };
+    for (const key of PROTECTED_KEYS) delete editable[key];
+
+    let merged = { ...before, ...editable };
+
+    // A new amount makes the old "as typed" record meaningless
+    if ('value' in editable || 'quantity' in editable || 'unit' in editable) {
+      delete merged.original;
+      if (!('raw' in editable)) delete merged.raw;
+    }
+    merged = this.normalizeEntryUnits(skillId, merged);
+
+    if (editable.timestamp !== undefined) {
+      const when = new Date(editable.timestamp);
+      if (isNaN(when.getTime())) {
+        throw new SkillValidationError(this.skills.get(skillId) || { id: skillId }, [
+          { field: 'timestamp', message: `timestamp could not be parsed (got "${editable.timestamp}")` }
+        ]);
+      }
+      merged.timestamp = when.getTime();
+      merged.date = when.toISOString().split('T')[0];
+      merged.time = when.toTimeString().slice(0, 5);
+    }
 
-    if (values.length === 0) {
-      return { count: 0, sum: 0, avg: 0, min: 0, max: 0 };
+    const validation = this.validateEntry(skillId, merged);
+    if (!validation.valid) {
+      throw new SkillValidationError(this.skills.get(skillId) || { id: skillId }, validation.errors);
     }
 
-    return {
-      count: values.length,
-      sum: values.reduce((a, b) => a + b, 0),
-      avg: values.reduce((a, b) => a + b, 0) / values.length,
-      min: Math.min(...values),
-      max: Math.max(...values),
-      first: entries[entries.length - 1],
-      last: entries[0]
-    };
+    const updated = validation.entry;
+    const diff = diffEntries(before, updated);
+    if (Object.keys(diff).length === 0) return before;
+
+    updated.updatedAt = Date.now();
+    await this.storage.replaceEntry(skillId, updated, [
+      auditRecord('update', entryId, { source: options.source, changes: diff })
+    ]);
+
+    getEventBus().emit(EventTypes.ENTRY_UPDATED, { skillId, entry: updated, changes: diff, source: options.source || null });
+    return updated;
   }
 
-  async getTodayStats(skillId, field = 'value') {
-    const today = new Date().toISOString().split('T')[0];
-    return this.getStats(skillId, field, { date: today });
+  /**
+   * Soft-delete an entry. It disappears from queries and stats but stays
+   * in storage (see restoreEntry). Returns the entry or null if not found.
+   */
+  async deleteEntry(skillId, entryId, options = {}) {
+    const live = await this.getEntry(skillId, entryId);
+    if (!live) return null;
+
+    const entry = { ...live, deletedAt: Date.now() };
+    await this.storage.replaceEntry(skillId, entry, [
+      auditRecord('delete', entryId, { source: options.source })
+    ]);
+
+    getEventBus().emit(EventTypes.ENTRY_DELETED, { skillId, entry, source: options.source || null });
+    return entry;
   }
 
-  async getAggregations(skillId, field = 'value', groupBy = 'day') {
-    const entries = await this.getEntries(skillId, { sort: 'asc' });
-    const groups = new Map();
-
-    for (const entry of entries) {
-      const date = new Date(entry.timestamp);
-      let key;
-
-      switch (groupBy) {
-        case 'day':
-          key = entry.date;
-          break;
-        case 'week':
-          const weekStart = new Date(date);
-          weekStart.setDate(date.getDate() - date.getDay());
-          key = weekStart.toISOString().split('T')[0];
-          break;
-        case 'month':
-          key = entry.date.slice(0, 7);
-          break;
-        default:
-          key = entry.date;
-      }
+  /**
+   * Bring back a soft-deleted entry
+   */
+  async restoreEntry(skillId, entryId, options = {}) {
+    const deleted = await this.storage.getEntry(skillId, entryId);
+    if (!deleted?.deletedAt) return null;
+
+    const { deletedAt, ...entry } = deleted;
+    await this.storage.replaceEntry(skillId, entry, [
+      auditRecord('restore', entryId, { source: options.source })
+    ]);
+
+    getEventBus().emit(EventTypes.ENTRY_RESTORED, { skillId, entry, source: options.source || null });
+    return entry;
+  }
+
+  /**
+   * Audit records for a skill, optionally for a single entry (oldest first)
+   */
+  async getAuditTrail(skillId, entryId = null) {
+    return this.storage.getAudit(skillId, entryId);
+  }
 
-      if (!groups.has(key)) {
-        groups.set(key, []);
+  /**
+   * Most recently logged live entry - across all skills unless `skillId`
+   * is given. "Logged" means when it was written, not its (possibly
+   * backdated) timestamp. Returns { skillId, entry } or null.
+   * @param {string|null} [skillId]
+   * @param {object} [options] - { filter: only consider entries it returns true for }
+   */
+  async getLastEntry(skillId = null, options = {}) {
+    const skillIds = skillId ? [skillId] : [...this.skills.keys()];
+    let latest = null;
+
+    for (const id of skillIds) {
+      const entry = options.filter
+        ? (await this.storage.queryEntries(id, { orderBy: 'logged' })).find(options.filter)
+        : (await this.storage.queryEntries(id, { orderBy: 'logged', limit: 1 }))[0];
+      if (!entry) continue;
+      const loggedAt = entry.createdAt || entry.timestamp || 0;
+      if (!latest || loggedAt > latest.loggedAt) {
+        latest = { skillId: id, entry, loggedAt };
       }
-      groups.get(key).push(parseFloat(entry[field]) || 0);
     }
 
-    const result = [];
-    for (const [period, values] of groups) {
-      result.push({
-        period,
-        count: values.length,
-        sum: values.reduce((a, b) => a + b, 0),
-        avg: values.reduce((a, b) => a + b, 0) / values.length
-      });
+    return latest ? { skillId: latest.skillId, entry: latest.entry } : null;
+  }
+
+  /**
+   * "Undo last log": soft-delete the most recently logged entry.
+   * Returns { skillId, entry } for the removed entry, or null.
+   * @param {object} [options] - { skillId, source, filter } (see getLastEntry)
+   */
+  async undoLastEntry(options = {}) {
+    const last = await this.getLastEntry(options.skillId || null, { filter: options.filter });
+    if (!last) return null;
+
+    const entry = await this.deleteEntry(last.skillId, last.entry.id, { source: options.source });
+    return entry ? { skillId: last.skillId, entry } : null;
+  }
+
+  /**
+   * Field that single-value consumers (goals, charts) should read
+   */
+  getPrimaryField(skillId) {
+    return this.skills.get(skillId)?.schema?.primary || 'value';
+  }
+
+  /**
+   * Live entries, newest first.
+   * @param {object} [options] - { since, until, date, sort: 'asc'|'desc', limit, includeDeleted }
+   */
+  async getEntries(skillId, options = {}) {
+    return this.storage.queryEntries(skillId, options);
+  }
+
+  /**
+   * Number of entries matching the getEntries filters, without loading them
+   */
+  async countEntries(skillId, options = {}) {
+    return this.storage.countEntries(skillId, options);
+  }
+
+  async getStats(skillId, field = null, options = {}) {
+    return this.storage.summarize(skillId, field || this.getPrimaryField(skillId), options);
+  }
+
+  /**
+   * Stats for every numeric/duration field declared in the skill's schema
+   * @returns {object} { fieldName: { count, sum, avg, min, max, unit } }
+   */
+  async getFieldStats(skillId, options = {}) {
+    const skill = this.skills.get(skillId);
+    const schema = skill?.schema || normalizeSchema(null, { id: skillId });
+    const result = {};
+
+    for (const field of getNumericFields(schema)) {
+      result[field] = {
+        ...(await this.storage.summarize(skillId, field, options)),
+        unit: schema.fields[field]?.unit || (field === schema.primary ? skill?.unit || null : null)
+      };
     }
 
     return result;
   }
 
+  async getTodayStats(skillId, field = null) {
+    const today = new Date().toISOString().split('T')[0];
+    return this.getStats(skillId, field, { date: today });
+  }
+
+  /**
+   * Group entries by period. `field` may be a single field name (default: the
+   * schema's primary field) or an array of fields, in which case each period
+   * carries a `fields` map with per-field count/sum/avg/min/max.
+   * `options` takes the getEntries filters (since, until).
+   */
+  async getAggregations(skillId, field = null, groupBy = 'day', options = {}) {
+    if (Array.isArray(field)) {
+      return this.storage.aggregate(skillId, field, groupBy, options);
+    }
+
+    // Single field: every entry in the period counts, missing values as 0
+    const name = field || this.getPrimaryField(skillId);
+    const groups = await this.storage.aggregate(skillId, [name], groupBy, options);
+    return groups.map(({ period, count, fields }) => ({
+      period,
+      count,
+      sum: fields[name].sum,
+      avg: fields[name].sum / count
+    }));
+  }
+
   async getSummary() {
     const summary = [];
 
@@ -410,6 +802,9 @@ ${definition.description || `Track ${name.toLowerCase()}.`}
         icon: skill.icon,
         unit: skill.unit,
         dailyGoal: skill.dailyGoal,
+        goals: skill.goals,
+        primaryField: skill.schema?.primary || 'value',
+        fields: Object.values(skill.schema?.fields || {}),
         entryCount: stats.count,
         todaySum: todayStats.sum,
         todayCount: todayStats.count,
@@ -439,8 +834,9 @@ export async function getSkillManager(options) {
   return defaultManager;
 }
 
-// Reset singleton (useful for tests)
+// Reset singleton (useful for tests); closes its storage
 export function resetSkillManager() {
+  defaultManager?.close();
   defaultManager = null;
 }
 
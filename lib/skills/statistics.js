@@ -0,0 +1,128 @@
+/**
+ * Statistics - small numeric helpers for the insights engine
+ *
+ * - pearsonCorrelation / spearmanCorrelation
+ * - correlationSignificance: p-value and confidence interval via Fisher's z
+ * - adjustPValues: Benjamini-Hochberg, for when many pairs are tested at once
+ * - meanAndStdDev
+ *
+ * Everything works on plain arrays of numbers and returns null when there
+ * isn't enough data to say anything.
+ */
+
+/**
+ * Pearson correlation coefficient between two arrays
+ */
+export function pearsonCorrelation(x, y) {
+  if (x.length !== y.length || x.length < 3) return null;
+
+  const n = x.length;
+  const sumX = x.reduce((a, b) => a + b, 0);
+  const sumY = y.reduce((a, b) => a + b, 0);
+  const sumXY = x.reduce((acc, xi, i) => acc + xi * y[i], 0);
+  const sumX2 = x.reduce((a, b) => a + b * b, 0);
+  const sumY2 = y.reduce((a, b) => a + b * b, 0);
+
+  const numerator = n * sumXY - sumX * sumY;
+  const denominator = Math.sqrt(
+    (n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY)
+  );
+
+  if (denominator === 0) return 0;
+  // Rounding can push a perfect correlation just past 1
+  return Math.max(-1, Math.min(1, numerator / denominator));
+}
+
+/**
+ * 1-based ranks, ties sharing the average of the ranks they span
+ */
+export function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const average = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = average;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation - picks up monotonic relationships that
+ * aren't straight lines, and isn't dragged around by outliers
+ */
+export function spearmanCorrelation(x, y) {
+  if (x.length !== y.length || x.length < 3) return null;
+  return pearsonCorrelation(rank(x), rank(y));
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value and 95% confidence interval for a correlation of `r`
+ * over `n` pairs, using Fisher's z transform. Spearman's r gets the
+ * Fieller et al. variance correction (1.06 / (n - 3)).
+ * @returns {{ pValue: number, interval: [number, number] } | null}
+ */
+export function correlationSignificance(r, n, method = 'pearson') {
+  if (r === null || n < 4) return null;
+
+  const clipped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clipped);
+  const se = Math.sqrt((method === 'spearman' ? 1.06 : 1) / (n - 3));
+  const pValue = 2 * (1 - normalCdf(Math.abs(z) / se));
+
+  return {
+    pValue: Math.min(1, Math.max(0, pValue)),
+    interval: [Math.tanh(z - 1.96 * se), Math.tanh(z + 1.96 * se)]
+  };
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values (q-values), in input order. Use
+ * when scanning many pairs so a few lucky ones don't look meaningful.
+ */
+export function adjustPValues(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array(m);
+
+  let running = 1;
+  for (let i = m - 1; i >= 0; i--) {
+    running = Math.min(running, (order[i].p * m) / (i + 1));
+    adjusted[order[i].index] = running;
+  }
+  return adjusted;
+}
+
+/**
+ * Population mean and standard deviation
+ */
+export function meanAndStdDev(values) {
+  if (values.length === 0) return { mean: 0, stdDev: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+export default {
+  pearsonCorrelation,
+  spearmanCorrelation,
+  rank,
+  normalCdf,
+  correlationSignificance,
+  adjustPValues,
+  meanAndStdDev
+};
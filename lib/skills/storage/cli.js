@@ -0,0 +1,108 @@
+/**
+ * StaticRebel skill storage CLI commands
+ *
+ *   sr storage status
+ *   sr storage migrate [--to sqlite|json]
+ */
+
+import path from 'path';
+import os from 'os';
+import { createSkillStore, migrateSkillData, getSqlitePath } from './index.js';
+
+const DEFAULT_DATA_DIR = path.join(os.homedir(), '.static-rebel', 'data');
+
+export async function storageCommand(args) {
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  switch (command) {
+    case 'status':
+      return await getStorageStatus(options);
+    case 'migrate':
+      return await migrateStorage(options);
+    default:
+      return getStorageHelp();
+  }
+}
+
+function parseOptions(args) {
+  const options = { dataDir: DEFAULT_DATA_DIR };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--to') {
+      options.to = args[i + 1];
+      i++;
+    } else if (arg === '--from') {
+      options.from = args[i + 1];
+      i++;
+    } else if (arg === '--data-dir') {
+      options.dataDir = path.resolve(args[i + 1]);
+      i++;
+    }
+  }
+
+  return options;
+}
+
+async function getStorageStatus(options) {
+  const store = await createSkillStore({ dataDir: options.dataDir });
+  try {
+    const skillIds = await store.listSkillIds();
+    let entries = 0;
+    for (const skillId of skillIds) {
+      entries += await store.countEntries(skillId);
+    }
+
+    const where = store.type === 'sqlite' ? store.dbPath : options.dataDir;
+    return `💾 Skill storage: ${store.type}\nLocation: ${where}\nSkills: ${skillIds.length}\nEntries: ${entries}`;
+  } finally {
+    store.close();
+  }
+}
+
+async function migrateStorage(options) {
+  const to = options.to || 'sqlite';
+  const from = options.from || (to === 'sqlite' ? 'json' : 'sqlite');
+
+  console.log(`🔄 Copying skill data from ${from} to ${to}...`);
+  const result = await migrateSkillData({ dataDir: options.dataDir, from, to });
+
+  const lines = [
+    `✅ Migrated ${result.skills} skill(s): ${result.copied} entries copied, ${result.skipped} already present`,
+    `Target: ${result.path}`
+  ];
+  if (to === 'sqlite') {
+    lines.push('', `SQLite is now used automatically (${getSqlitePath(options.dataDir)} exists).`);
+    lines.push('The JSON files were left in place; set STATIC_REBEL_SKILL_STORAGE=json to go back to them.');
+  } else {
+    lines.push('', 'Set STATIC_REBEL_SKILL_STORAGE=json (or remove skills.db) to read from the JSON files.');
+  }
+  return lines.join('\n');
+}
+
+function getStorageHelp() {
+  return `StaticRebel Skill Storage Commands
+
+Usage: sr storage <command> [options]
+
+Commands:
+  status                 Show which engine holds skill data
+  migrate [options]      Copy skill data between engines (safe to re-run)
+
+Options:
+  --to <sqlite|json>     Target engine (default: sqlite)
+  --from <json|sqlite>   Source engine (default: the other one)
+  --data-dir <path>      Data directory (default: ~/.static-rebel/data)
+
+Examples:
+  sr storage status
+  sr storage migrate               # JSON files -> skills.db
+  sr storage migrate --to json     # skills.db -> JSON files
+
+Environment Variables:
+  STATIC_REBEL_SKILL_STORAGE  auto (default), json or sqlite`;
+}
+
+export default storageCommand;
@@ -0,0 +1,118 @@
+/**
+ * Skill Storage - picks the engine that holds skill entries
+ *
+ * - json:   one file per skill in the data dir (the original format)
+ * - sqlite: everything in <dataDir>/skills.db, indexed range queries and
+ *           SQL-side stats
+ *
+ * Chosen by `options.storage`, else STATIC_REBEL_SKILL_STORAGE, else
+ * 'auto': SQLite once skills.db exists (i.e. after `sr storage migrate`),
+ * JSON otherwise. If better-sqlite3 can't be loaded we fall back to JSON.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { JsonSkillStore } from './json-store.js';
+import { SqliteSkillStore, SQLITE_FILENAME } from './sqlite-store.js';
+
+export const STORAGE_TYPES = ['auto', 'json', 'sqlite'];
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getSqlitePath(dataDir) {
+  return path.join(dataDir, SQLITE_FILENAME);
+}
+
+/**
+ * Create and initialise a store.
+ * @param {object} options - { dataDir, storage: 'auto'|'json'|'sqlite', auditLimit }
+ * @returns {Promise<JsonSkillStore|SqliteSkillStore>}
+ */
+export async function createSkillStore(options = {}) {
+  const requested = options.storage || process.env.STATIC_REBEL_SKILL_STORAGE || 'auto';
+  if (!STORAGE_TYPES.includes(requested)) {
+    throw new Error(`Unknown skill storage "${requested}" (expected ${STORAGE_TYPES.join(', ')})`);
+  }
+
+  const useSqlite = requested === 'sqlite' ||
+    (requested === 'auto' && await exists(getSqlitePath(options.dataDir)));
+
+  if (useSqlite) {
+    try {
+      return await new SqliteSkillStore(options).init();
+    } catch (e) {
+      console.warn(`[Skills] SQLite storage unavailable (${e.message}), using JSON files`);
+    }
+  }
+
+  return new JsonSkillStore(options).init();
+}
+
+/**
+ * Copy every skill's entries, audit trail and metadata from one engine to
+ * the other. Entries already present in the target (same id) are left
+ * alone, so the migration can be re-run safely. Source data is not touched.
+ *
+ * @param {object} options - { dataDir, from: 'json', to: 'sqlite', auditLimit }
+ * @returns {Promise<{from: string, to: string, skills: number, copied: number, skipped: number, path: string}>}
+ */
+export async function migrateSkillData(options = {}) {
+  const from = options.from || 'json';
+  const to = options.to || (from === 'json' ? 'sqlite' : 'json');
+  if (from === to) {
+    throw new Error(`Nothing to migrate: source and target are both ${from}`);
+  }
+
+  const source = await createSkillStore({ ...options, storage: from });
+  const target = await createSkillStore({ ...options, storage: to });
+  if (source.type !== from || target.type !== to) {
+    source.close();
+    target.close();
+    throw new Error('SQLite storage is not available (is better-sqlite3 installed?)');
+  }
+
+  const summary = {
+    from,
+    to,
+    skills: 0,
+    copied: 0,
+    skipped: 0,
+    path: to === 'sqlite' ? target.dbPath : options.dataDir
+  };
+
+  try {
+    for (const skillId of await source.listSkillIds()) {
+      const data = await source.load(skillId);
+      const existing = await target.load(skillId);
+      const known = new Set(existing.entries.map(e => e.id));
+      const fresh = data.entries.filter(e => !known.has(e.id));
+      // Audit trails are copied once; a re-run would only duplicate them
+      const audit = existing.audit?.length ? [] : (data.audit || []);
+
+      if (fresh.length > 0 || audit.length > 0) {
+        await target.insertEntries(skillId, fresh, audit);
+      }
+      await target.setMetadata(skillId, { ...(await target.getMetadata(skillId)), ...data.metadata });
+
+      summary.skills++;
+      summary.copied += fresh.length;
+      summary.skipped += data.entries.length - fresh.length;
+    }
+  } finally {
+    source.close();
+    target.close();
+  }
+
+  return summary;
+}
+
+export { JsonSkillStore, SqliteSkillStore };
+
+export default { createSkillStore, migrateSkillData, getSqlitePath };
@@ -0,0 +1,286 @@
+/**
+ * JSON Skill Store - one file per skill under ~/.static-rebel/data
+ *
+ * The original storage engine and the fallback when SQLite isn't available.
+ * Each file holds { entries, metadata, audit }; every query reads (and
+ * caches) the whole file and filters in memory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Count/sum/avg/min/max of one field across entries, skipping entries without it
+ */
+export function summarize(entries, field) {
+  const withValue = entries.filter(e => !isNaN(parseFloat(e[field])));
+  const values = withValue.map(e => parseFloat(e[field]));
+
+  if (values.length === 0) {
+    return { count: 0, sum: 0, avg: 0, min: 0, max: 0 };
+  }
+
+  return {
+    count: values.length,
+    sum: values.reduce((a, b) => a + b, 0),
+    avg: values.reduce((a, b) => a + b, 0) / values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    first: withValue[withValue.length - 1],
+    last: withValue[0]
+  };
+}
+
+/**
+ * Period an entry falls in for getAggregations (day, week or month)
+ */
+export function periodKey(entry, groupBy) {
+  switch (groupBy) {
+    case 'week': {
+      const date = new Date(entry.timestamp);
+      const weekStart = new Date(date);
+      weekStart.setDate(date.getDate() - date.getDay());
+      return weekStart.toISOString().split('T')[0];
+    }
+    case 'month':
+      return entry.date.slice(0, 7);
+    default:
+      return entry.date;
+  }
+}
+
+/**
+ * Give entries written before ids were mandatory a stable one.
+ * Derived from timestamp + position, so it's the same on every load.
+ */
+function backfillEntryIds(entries) {
+  entries.forEach((entry, index) => {
+    if (!entry.id) {
+      entry.id = `${Number(entry.timestamp || 0).toString(36)}-${index}`;
+    }
+  });
+}
+
+function entryLoggedAt(entry) {
+  return entry.createdAt || entry.timestamp || 0;
+}
+
+export class JsonSkillStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir;
+    this.auditLimit = options.auditLimit || 1000;
+    this.cache = new Map();
+    this.type = 'json';
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    return this;
+  }
+
+  getDataPath(skillId) {
+    return path.join(this.dataDir, `${skillId}.json`);
+  }
+
+  /**
+   * Skill ids that have a data file (including skills whose .md was deleted).
+   * Files starting with "_" belong to goals, nudges, chains etc.
+   */
+  async listSkillIds() {
+    try {
+      const files = await fs.readdir(this.dataDir);
+      return files
+        .filter(f => f.endsWith('.json') && !f.startsWith('_'))
+        .map(f => path.basename(f, '.json'));
+    } catch {
+      return [];
+    }
+  }
+
+  forget(skillId) {
+    this.cache.delete(skillId);
+  }
+
+  /**
+   * Delete a skill's entries, audit trail and metadata
+   */
+  async removeSkill(skillId) {
+    this.cache.delete(skillId);
+    try {
+      await fs.unlink(this.getDataPath(skillId));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  async load(skillId) {
+    if (this.cache.has(skillId)) {
+      return this.cache.get(skillId);
+    }
+
+    try {
+      const content = await fs.readFile(this.getDataPath(skillId), 'utf-8');
+      const data = JSON.parse(content);
+      data.entries = data.entries || [];
+      data.metadata = data.metadata || { created: Date.now() };
+      backfillEntryIds(data.entries);
+      this.cache.set(skillId, data);
+      return data;
+    } catch {
+      const data = { entries: [], metadata: { created: Date.now() } };
+      this.cache.set(skillId, data);
+      return data;
+    }
+  }
+
+  async save(skillId, data) {
+    const filepath = this.getDataPath(skillId);
+    const tempPath = `${filepath}.${process.pid}.tmp`;
+
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filepath);
+      this.cache.set(skillId, data);
+      return true;
+    } catch (e) {
+      console.error(`Failed to save data for ${skillId}:`, e.message);
+      try { await fs.unlink(tempPath); } catch {}
+      return false;
+    }
+  }
+
+  async getMetadata(skillId) {
+    return (await this.load(skillId)).metadata;
+  }
+
+  async setMetadata(skillId, metadata) {
+    const data = await this.load(skillId);
+    data.metadata = metadata;
+    return this.save(skillId, data);
+  }
+
+  appendAudit(data, records) {
+    if (records.length === 0) return;
+    if (!Array.isArray(data.audit)) data.audit = [];
+    data.audit.push(...records);
+    if (data.audit.length > this.auditLimit) {
+      data.audit = data.audit.slice(-this.auditLimit);
+    }
+  }
+
+  async getEntry(skillId, entryId) {
+    const data = await this.load(skillId);
+    return data.entries.find(e => e.id === entryId) || null;
+  }
+
+  async hasLegacyIds(skillId, legacyIds) {
+    const wanted = new Set(legacyIds);
+    const data = await this.load(skillId);
+    return new Set(data.entries.map(e => e.legacyId).filter(id => wanted.has(id)));
+  }
+
+  async insertEntries(skillId, entries, audit = []) {
+    const data = await this.load(skillId);
+    data.entries.push(...entries);
+    if (entries.length > 1) {
+      data.entries.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    this.appendAudit(data, audit);
+    data.metadata.lastUpdated = Date.now();
+    return this.save(skillId, data);
+  }
+
+  async replaceEntry(skillId, entry, audit = []) {
+    const data = await this.load(skillId);
+    const index = data.entries.findIndex(e => e.id === entry.id);
+    if (index === -1) return false;
+
+    data.entries[index] = entry;
+    this.appendAudit(data, audit);
+    data.metadata.lastUpdated = Date.now();
+    return this.save(skillId, data);
+  }
+
+  async getAudit(skillId, entryId = null) {
+    const audit = (await this.load(skillId)).audit || [];
+    return entryId ? audit.filter(a => a.entryId === entryId) : [...audit];
+  }
+
+  /**
+   * Filter entries: { includeDeleted, since, until, date, sort, orderBy, limit }.
+   * `orderBy: 'logged'` sorts by when the entry was written instead of its
+   * timestamp.
+   */
+  async queryEntries(skillId, options = {}) {
+    const data = await this.load(skillId);
+    let entries = options.includeDeleted
+      ? [...data.entries]
+      : data.entries.filter(e => !e.deletedAt);
+
+    if (options.since) {
+      const sinceTime = new Date(options.since).getTime();
+      entries = entries.filter(e => e.timestamp >= sinceTime);
+    }
+    if (options.until) {
+      const untilTime = new Date(options.until).getTime();
+      entries = entries.filter(e => e.timestamp <= untilTime);
+    }
+    if (options.date) {
+      entries = entries.filter(e => e.date === options.date);
+    }
+
+    const key = options.orderBy === 'logged' ? entryLoggedAt : e => e.timestamp;
+    if (options.sort === 'asc') {
+      entries.sort((a, b) => key(a) - key(b));
+    } else {
+      entries.sort((a, b) => key(b) - key(a));
+    }
+
+    if (options.limit) {
+      entries = entries.slice(0, options.limit);
+    }
+
+    return entries;
+  }
+
+  async countEntries(skillId, options = {}) {
+    const { limit, ...filters } = options;
+    return (await this.queryEntries(skillId, filters)).length;
+  }
+
+  async summarize(skillId, field, options = {}) {
+    return summarize(await this.queryEntries(skillId, options), field);
+  }
+
+  /**
+   * Per-period stats for each of `fields`:
+   * [{ period, count, fields: { name: { count, sum, avg, min, max } } }]
+   */
+  async aggregate(skillId, fields, groupBy = 'day', options = {}) {
+    const entries = await this.queryEntries(skillId, { ...options, sort: 'asc' });
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const key = periodKey(entry, groupBy);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    const result = [];
+    for (const [period, periodEntries] of groups) {
+      const stats = {};
+      for (const name of fields) {
+        const { first, last, ...rest } = summarize(periodEntries, name);
+        stats[name] = rest;
+      }
+      result.push({ period, count: periodEntries.length, fields: stats });
+    }
+    return result;
+  }
+
+  close() {
+    this.cache.clear();
+  }
+}
+
+export default JsonSkillStore;
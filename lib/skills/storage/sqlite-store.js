@@ -0,0 +1,417 @@
+/**
+ * SQLite Skill Store - all skill data in ~/.static-rebel/data/skills.db
+ *
+ * One row per entry, indexed by (skill_id, timestamp), so date-range queries
+ * read only the rows they need and stats/aggregations run as SQL instead of
+ * loading a whole skill file into memory. The full entry is kept as JSON in
+ * `data`; the columns next to it are copies used for filtering and sorting.
+ *
+ * Same interface as JsonSkillStore. Requires better-sqlite3.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SQLITE_FILENAME = 'skills.db';
+
+// Same rule as parseFloat(): numbers, or text that starts like a number
+const NUMERIC_VALUE = `
+  CASE json_type(data, @path)
+    WHEN 'integer' THEN json_extract(data, @path)
+    WHEN 'real' THEN json_extract(data, @path)
+    WHEN 'text' THEN
+      CASE WHEN ltrim(json_extract(data, @path)) GLOB '[0-9]*'
+             OR ltrim(json_extract(data, @path)) GLOB '[-+.][0-9]*'
+             OR ltrim(json_extract(data, @path)) GLOB '[-+].[0-9]*'
+        THEN CAST(ltrim(json_extract(data, @path)) AS REAL)
+      END
+  END`;
+
+// Week periods start on Sunday (local time), keyed by the UTC date of that
+// moment - the same key JsonSkillStore derives with Date#setDate
+const PERIOD_KEYS = {
+  day: 'date',
+  month: 'substr(date, 1, 7)',
+  week: `date(timestamp / 1000.0 - CAST(strftime('%w', timestamp / 1000, 'unixepoch', 'localtime') AS INTEGER) * 86400, 'unixepoch')`
+};
+
+// One connection per database file, shared by every store in the process.
+// The dashboard builds a SkillManager per request; without this each would
+// keep its own handle open.
+const connections = new Map();
+
+async function openDatabase(dbPath) {
+  const shared = connections.get(dbPath);
+  if (shared) {
+    shared.users++;
+    return shared.db;
+  }
+
+  const { default: Database } = await import('better-sqlite3');
+  await fs.mkdir(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  connections.set(dbPath, { db, users: 1 });
+  return db;
+}
+
+function releaseDatabase(dbPath) {
+  const shared = connections.get(dbPath);
+  if (!shared) return;
+  if (--shared.users === 0) {
+    connections.delete(dbPath);
+    shared.db.close();
+  }
+}
+
+function fieldPath(field) {
+  return `$."${String(field).replace(/"/g, '""')}"`;
+}
+
+function toRow(skillId, entry) {
+  return {
+    skill_id: skillId,
+    id: entry.id,
+    timestamp: Number(entry.timestamp) || 0,
+    date: entry.date || null,
+    logged_at: entry.createdAt || entry.timestamp || 0,
+    deleted_at: entry.deletedAt || null,
+    legacy_id: entry.legacyId || null,
+    data: JSON.stringify(entry)
+  };
+}
+
+function fromAuditRow(row) {
+  return {
+    at: row.at,
+    action: row.action,
+    entryId: row.entry_id,
+    source: row.source,
+    ...(row.changes ? { changes: JSON.parse(row.changes) } : {})
+  };
+}
+
+export class SqliteSkillStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir;
+    this.dbPath = options.dbPath || path.join(this.dataDir, SQLITE_FILENAME);
+    this.auditLimit = options.auditLimit || 1000;
+    this.db = null;
+    this.type = 'sqlite';
+  }
+
+  async init() {
+    if (this.db) return this;
+
+    this.db = await openDatabase(this.dbPath);
+    this.createTables();
+    this.prepareStatements();
+    return this;
+  }
+
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS skill_entries (
+        skill_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        date TEXT,
+        logged_at INTEGER NOT NULL,
+        deleted_at INTEGER,
+        legacy_id TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (skill_id, id)
+      );
+
+      CREATE TABLE IF NOT EXISTS skill_audit (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        skill_id TEXT NOT NULL,
+        entry_id TEXT,
+        at INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        source TEXT,
+        changes TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS skill_metadata (
+        skill_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_skill_entries_time ON skill_entries(skill_id, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_skill_entries_date ON skill_entries(skill_id, date);
+      CREATE INDEX IF NOT EXISTS idx_skill_entries_logged ON skill_entries(skill_id, logged_at);
+      CREATE INDEX IF NOT EXISTS idx_skill_entries_legacy ON skill_entries(skill_id, legacy_id) WHERE legacy_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_skill_audit_entry ON skill_audit(skill_id, entry_id);
+    `);
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      insertEntry: this.db.prepare(`
+        INSERT OR REPLACE INTO skill_entries (skill_id, id, timestamp, date, logged_at, deleted_at, legacy_id, data)
+        VALUES (@skill_id, @id, @timestamp, @date, @logged_at, @deleted_at, @legacy_id, @data)
+      `),
+      getEntry: this.db.prepare('SELECT data FROM skill_entries WHERE skill_id = ? AND id = ?'),
+      allEntries: this.db.prepare('SELECT data FROM skill_entries WHERE skill_id = ? ORDER BY timestamp, rowid'),
+      insertAudit: this.db.prepare(`
+        INSERT INTO skill_audit (skill_id, entry_id, at, action, source, changes)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      trimAudit: this.db.prepare(`
+        DELETE FROM skill_audit WHERE skill_id = ? AND seq <= (
+          SELECT seq FROM skill_audit WHERE skill_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?
+        )
+      `),
+      audit: this.db.prepare('SELECT * FROM skill_audit WHERE skill_id = ? ORDER BY seq'),
+      entryAudit: this.db.prepare('SELECT * FROM skill_audit WHERE skill_id = ? AND entry_id = ? ORDER BY seq'),
+      getMetadata: this.db.prepare('SELECT data FROM skill_metadata WHERE skill_id = ?'),
+      setMetadata: this.db.prepare('INSERT OR REPLACE INTO skill_metadata (skill_id, data) VALUES (?, ?)'),
+      skillIds: this.db.prepare(`
+        SELECT skill_id FROM skill_metadata
+        UNION SELECT DISTINCT skill_id FROM skill_entries
+      `)
+    };
+
+    this.writeEntries = this.db.transaction((skillId, entries, audit) => {
+      for (const entry of entries) this.stmts.insertEntry.run(toRow(skillId, entry));
+      this.writeAudit(skillId, audit);
+      this.touch(skillId);
+    });
+
+    this.replaceAll = this.db.transaction((skillId, data) => {
+      this.db.prepare('DELETE FROM skill_entries WHERE skill_id = ?').run(skillId);
+      this.db.prepare('DELETE FROM skill_audit WHERE skill_id = ?').run(skillId);
+      for (const entry of data.entries || []) this.stmts.insertEntry.run(toRow(skillId, entry));
+      this.writeAudit(skillId, data.audit || []);
+      this.stmts.setMetadata.run(skillId, JSON.stringify(data.metadata || { created: Date.now() }));
+    });
+
+    this.removeAll = this.db.transaction((skillId) => {
+      this.db.prepare('DELETE FROM skill_entries WHERE skill_id = ?').run(skillId);
+      this.db.prepare('DELETE FROM skill_audit WHERE skill_id = ?').run(skillId);
+      this.db.prepare('DELETE FROM skill_metadata WHERE skill_id = ?').run(skillId);
+    });
+  }
+
+  writeAudit(skillId, records) {
+    if (records.length === 0) return;
+    for (const record of records) {
+      this.stmts.insertAudit.run(
+        skillId,
+        record.entryId ?? null,
+        record.at,
+        record.action,
+        record.source ?? null,
+        record.changes ? JSON.stringify(record.changes) : null
+      );
+    }
+    this.stmts.trimAudit.run(skillId, skillId, this.auditLimit);
+  }
+
+  touch(skillId) {
+    const metadata = this.readMetadata(skillId);
+    metadata.lastUpdated = Date.now();
+    this.stmts.setMetadata.run(skillId, JSON.stringify(metadata));
+  }
+
+  readMetadata(skillId) {
+    const row = this.stmts.getMetadata.get(skillId);
+    return row ? JSON.parse(row.data) : { created: Date.now() };
+  }
+
+  async listSkillIds() {
+    return this.stmts.skillIds.all().map(row => row.skill_id);
+  }
+
+  forget() {
+    // Nothing cached
+  }
+
+  /**
+   * Delete a skill's entries, audit trail and metadata
+   */
+  async removeSkill(skillId) {
+    this.removeAll(skillId);
+  }
+
+  /**
+   * Whole skill document, shaped like a JSON data file. Prefer the query
+   * methods - this reads every entry.
+   */
+  async load(skillId) {
+    return {
+      entries: this.stmts.allEntries.all(skillId).map(row => JSON.parse(row.data)),
+      metadata: this.readMetadata(skillId),
+      audit: this.stmts.audit.all(skillId).map(fromAuditRow)
+    };
+  }
+
+  async save(skillId, data) {
+    try {
+      this.replaceAll(skillId, data);
+      return true;
+    } catch (e) {
+      console.error(`Failed to save data for ${skillId}:`, e.message);
+      return false;
+    }
+  }
+
+  async getMetadata(skillId) {
+    return this.readMetadata(skillId);
+  }
+
+  async setMetadata(skillId, metadata) {
+    this.stmts.setMetadata.run(skillId, JSON.stringify(metadata));
+    return true;
+  }
+
+  async getEntry(skillId, entryId) {
+    const row = this.stmts.getEntry.get(skillId, entryId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async hasLegacyIds(skillId, legacyIds) {
+    const found = new Set();
+    const stmt = this.db.prepare('SELECT 1 FROM skill_entries WHERE skill_id = ? AND legacy_id = ?');
+    for (const legacyId of new Set(legacyIds)) {
+      if (stmt.get(skillId, legacyId)) found.add(legacyId);
+    }
+    return found;
+  }
+
+  async insertEntries(skillId, entries, audit = []) {
+    this.writeEntries(skillId, entries, audit);
+    return true;
+  }
+
+  async replaceEntry(skillId, entry, audit = []) {
+    if (!this.stmts.getEntry.get(skillId, entry.id)) return false;
+    this.writeEntries(skillId, [entry], audit);
+    return true;
+  }
+
+  async getAudit(skillId, entryId = null) {
+    const rows = entryId
+      ? this.stmts.entryAudit.all(skillId, entryId)
+      : this.stmts.audit.all(skillId);
+    return rows.map(fromAuditRow);
+  }
+
+  /**
+   * WHERE/ORDER/LIMIT for the entry filters JsonSkillStore#queryEntries takes
+   */
+  buildFilter(skillId, options = {}) {
+    const where = ['skill_id = @skillId'];
+    const params = { skillId };
+
+    if (!options.includeDeleted) where.push('deleted_at IS NULL');
+    if (options.since) {
+      where.push('timestamp >= @since');
+      params.since = new Date(options.since).getTime();
+    }
+    if (options.until) {
+      where.push('timestamp <= @until');
+      params.until = new Date(options.until).getTime();
+    }
+    if (options.date) {
+      where.push('date = @date');
+      params.date = options.date;
+    }
+
+    const column = options.orderBy === 'logged' ? 'logged_at' : 'timestamp';
+    const direction = options.sort === 'asc' ? 'ASC' : 'DESC';
+    let sql = `SELECT rowid AS rid, * FROM skill_entries WHERE ${where.join(' AND ')} ORDER BY ${column} ${direction}, rowid ${direction}`;
+    if (options.limit) {
+      sql += ' LIMIT @limit';
+      params.limit = options.limit;
+    }
+    return { sql, params };
+  }
+
+  async queryEntries(skillId, options = {}) {
+    const { sql, params } = this.buildFilter(skillId, options);
+    return this.db.prepare(sql).all(params).map(row => JSON.parse(row.data));
+  }
+
+  async countEntries(skillId, options = {}) {
+    const { limit, ...filters } = options;
+    const { sql, params } = this.buildFilter(skillId, filters);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM (${sql})`).get(params).count;
+  }
+
+  async summarize(skillId, field, options = {}) {
+    const { sql, params } = this.buildFilter(skillId, options);
+    const values = `
+      SELECT data, timestamp, rid, ${NUMERIC_VALUE} AS v
+      FROM (${sql})
+    `;
+    const bound = { ...params, path: fieldPath(field) };
+
+    const stats = this.db.prepare(`
+      SELECT COUNT(v) AS count, TOTAL(v) AS sum, MIN(v) AS min, MAX(v) AS max
+      FROM (${values})
+    `).get(bound);
+
+    if (stats.count === 0) {
+      return { count: 0, sum: 0, avg: 0, min: 0, max: 0 };
+    }
+
+    const edge = direction => this.db.prepare(`
+      SELECT data FROM (${values}) WHERE v IS NOT NULL
+      ORDER BY timestamp ${direction}, rid ${direction} LIMIT 1
+    `).get(bound);
+
+    return {
+      count: stats.count,
+      sum: stats.sum,
+      avg: stats.sum / stats.count,
+      min: stats.min,
+      max: stats.max,
+      first: JSON.parse(edge('ASC').data),
+      last: JSON.parse(edge('DESC').data)
+    };
+  }
+
+  /**
+   * Per-period stats for each of `fields`, grouped in SQL:
+   * [{ period, count, fields: { name: { count, sum, avg, min, max } } }]
+   */
+  async aggregate(skillId, fields, groupBy = 'day', options = {}) {
+    const { sql, params } = this.buildFilter(skillId, { ...options, sort: 'asc' });
+    const key = PERIOD_KEYS[groupBy] || PERIOD_KEYS.day;
+    const bound = { ...params };
+    const columns = fields.map((field, i) => {
+      bound[`path${i}`] = fieldPath(field);
+      const value = NUMERIC_VALUE.replaceAll('@path', `@path${i}`);
+      return `COUNT(${value}) AS c${i}, TOTAL(${value}) AS s${i}, MIN(${value}) AS mn${i}, MAX(${value}) AS mx${i}`;
+    });
+
+    const rows = this.db.prepare(`
+      SELECT ${key} AS period, COUNT(*) AS count${columns.length ? ', ' + columns.join(', ') : ''}
+      FROM (${sql})
+      GROUP BY period
+      ORDER BY MIN(timestamp)
+    `).all(bound);
+
+    return rows.map(row => {
+      const stats = {};
+      fields.forEach((field, i) => {
+        const count = row[`c${i}`];
+        stats[field] = count === 0
+          ? { count: 0, sum: 0, avg: 0, min: 0, max: 0 }
+          : { count, sum: row[`s${i}`], avg: row[`s${i}`] / count, min: row[`mn${i}`], max: row[`mx${i}`] };
+      });
+      return { period: row.period, count: row.count, fields: stats };
+    });
+  }
+
+  close() {
+    if (this.db) {
+      releaseDatabase(this.dbPath);
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteSkillStore;
@@ -10,6 +10,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { createPack } from './packs.js';
 
 /**
  * Built-in template packs
@@ -340,6 +341,36 @@ ${JSON.stringify(def.dataSchema, null, 2)}
 `;
   }
 
+  /**
+   * A built-in template as a portable skill pack (see packs.js), so it
+   * can be shared, installed and upgraded like any other pack
+   */
+  toSkillPack(packId, version = '1.0.0') {
+    const pack = TEMPLATE_PACKS[packId];
+    if (!pack) {
+      throw new Error(`Unknown pack: ${packId}`);
+    }
+
+    const skills = {};
+    for (const skillDef of pack.skills) {
+      skills[skillDef.id] = this.generateSkillMarkdown(skillDef);
+    }
+    const goals = {};
+    for (const { skill, ...goal } of pack.goals || []) {
+      goals[skill] = goal;
+    }
+    const chains = (pack.chains || []).map((chain, i) => ({ id: `${chain.trigger.skill || 'any'}-${i + 1}`, ...chain }));
+
+    return createPack({
+      id: packId,
+      name: pack.name,
+      version,
+      description: pack.description,
+      author: 'StaticRebel',
+      createdAt: new Date().toISOString()
+    }, { skills, goals, chains });
+  }
+
   /**
    * Preview what a pack would install
    */
@@ -0,0 +1,240 @@
+/**
+ * Tracker Bridge - legacy TrackerStore data on top of SkillManager
+ *
+ * Trackers (tracker.js) used to live in ~/.static-rebel/trackers with their
+ * own records files, invisible to skill stats, streaks and reports. They are
+ * now skills: a tracker is a skill plus a little metadata (type, handle,
+ * display name) kept in the skill's metadata under `tracker`, and a
+ * record is an entry.
+ *
+ * Records nest their fields under `data` ({ data: { calories: 450 } });
+ * entries keep fields at the top level. The converters here translate both
+ * ways so old callers keep working.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { RESERVED_KEYS } from './schema.js';
+
+export const LEGACY_TRACKERS_DIR = path.join(os.homedir(), '.static-rebel', 'trackers');
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`Failed to read ${filePath}:`, e.message);
+    }
+    return fallback;
+  }
+}
+
+// ============== CONVERSION ==============
+
+/**
+ * Legacy record -> skill entry. Fields under `data` are lifted to the top
+ * level; records without a `value` use their first numeric field
+ * (calories, count, hours...) so skill stats have something to sum.
+ */
+export function recordToEntry(record = {}) {
+  const { id, timestamp, data, deletedAt, ...rest } = record;
+  const fields = data && typeof data === 'object' ? data : {};
+  const entry = { ...fields, ...rest };
+
+  if (entry.value === undefined) {
+    const numeric = Object.values(fields).find(v => typeof v === 'number' && Number.isFinite(v));
+    if (numeric !== undefined) entry.value = numeric;
+  }
+  if (timestamp !== undefined) entry.timestamp = new Date(timestamp).getTime();
+  if (deletedAt) entry.deletedAt = new Date(deletedAt).getTime();
+  if (id) entry.legacyId = id;
+  return entry;
+}
+
+/**
+ * Skill entry -> legacy record: ISO timestamp and the fields repeated
+ * under `data`.
+ */
+export function entryToRecord(entry) {
+  const data = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!RESERVED_KEYS.has(key) && key !== 'value' && key !== 'legacyId') {
+      data[key] = value;
+    }
+  }
+  if (Object.keys(data).length === 0 && entry.value !== undefined) {
+    data.value = entry.value;
+  }
+
+  return {
+    ...entry,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    data
+  };
+}
+
+// ============== TRACKER METADATA ==============
+
+/**
+ * Describe a skill the way TrackerStore callers expect a tracker
+ */
+export async function skillToTracker(skillManager, skill) {
+  const metadata = await skillManager.getMetadata(skill.id);
+  const meta = metadata?.tracker || {};
+  const count = await skillManager.countEntries(skill.id);
+  const [latest] = await skillManager.getEntries(skill.id, { limit: 1 });
+  const createdAt = meta.createdAt ||
+    (metadata?.created ? new Date(metadata.created).toISOString() : null);
+
+  return {
+    ...meta,
+    id: skill.id,
+    name: meta.name || skill.id,
+    displayName: meta.displayName || skill.name,
+    type: meta.type || 'custom',
+    description: skill.description || meta.description || '',
+    unit: skill.unit || '',
+    icon: skill.icon,
+    dailyGoal: skill.dailyGoal,
+    createdAt,
+    updatedAt: meta.updatedAt || createdAt,
+    count,
+    lastEntry: latest ? new Date(latest.timestamp).toISOString() : undefined
+  };
+}
+
+/**
+ * Merge tracker-only settings into a skill's metadata
+ */
+export async function updateTrackerMeta(skillManager, skillId, changes) {
+  const { id, count, lastEntry, ...meta } = changes;
+  const previous = (await skillManager.getMetadata(skillId))?.tracker || {};
+  const tracker = {
+    ...previous,
+    ...meta,
+    updatedAt: new Date().toISOString()
+  };
+  await skillManager.updateMetadata(skillId, { tracker });
+  return tracker;
+}
+
+/**
+ * Find the skill behind a tracker reference: skill id, tracker handle
+ * ("@food"), display name or a pre-migration tracker id.
+ */
+export async function resolveTrackerSkill(skillManager, ref) {
+  if (!ref) return null;
+  if (skillManager.skills.has(ref)) return ref;
+
+  const wanted = String(ref).toLowerCase().replace(/^@/, '');
+  for (const skill of skillManager.skills.values()) {
+    const meta = (await skillManager.getMetadata(skill.id))?.tracker || {};
+    if (meta.legacyId === ref ||
+        meta.name?.toLowerCase() === wanted ||
+        skill.name.toLowerCase() === wanted) {
+      return skill.id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create (or reuse) the skill for a tracker definition.
+ * A tracker named like an existing skill joins it instead of duplicating it.
+ */
+export async function ensureTrackerSkill(skillManager, tracker) {
+  const handle = tracker.name || tracker.displayName || tracker.id;
+  const existing = await resolveTrackerSkill(skillManager, handle);
+  const skillId = existing || slugify(handle) || `tracker-${Date.now()}`;
+
+  if (!existing && !skillManager.skills.has(skillId)) {
+    await skillManager.createSkill(tracker.displayName || handle, {
+      id: skillId,
+      description: tracker.description || `Track ${String(handle).toLowerCase()}.`,
+      unit: tracker.unit,
+      triggers: [...new Set([String(handle).toLowerCase(), skillId])]
+    });
+  }
+
+  const previous = (await skillManager.getMetadata(skillId))?.tracker || {};
+  await updateTrackerMeta(skillManager, skillId, {
+    name: tracker.name || skillId,
+    displayName: tracker.displayName || tracker.name || skillId,
+    type: tracker.type || 'custom',
+    ...(tracker.config ? { config: tracker.config } : {}),
+    ...(tracker.fields ? { fields: tracker.fields } : {}),
+    ...(tracker.goal ? { goal: tracker.goal } : {}),
+    ...(tracker.id && tracker.id !== skillId ? { legacyId: tracker.id } : {}),
+    createdAt: tracker.createdAt || previous.createdAt || new Date().toISOString()
+  });
+
+  return skillId;
+}
+
+// ============== MIGRATION ==============
+
+/**
+ * One-time import of ~/.static-rebel/trackers into skills.
+ *
+ * Every record keeps its original id as the entry's `legacyId`, so a
+ * re-run (or a crash halfway through) never duplicates entries. The legacy
+ * files are left in place; the registry is stamped with `migratedAt` and
+ * the tracker -> skill mapping.
+ *
+ * @param {SkillManager} skillManager
+ * @param {object} [options] - { trackersDir, force }
+ * @returns {Promise<{migrated: boolean, trackers: number, imported: number, skipped: number, rejected: array, skills: object}>}
+ */
+export async function migrateLegacyTrackers(skillManager, options = {}) {
+  const trackersDir = options.trackersDir || LEGACY_TRACKERS_DIR;
+  const registryPath = path.join(trackersDir, 'trackers.json');
+  const summary = { migrated: false, trackers: 0, imported: 0, skipped: 0, rejected: [], skills: {} };
+
+  const registry = await readJson(registryPath, null);
+  if (!registry || !Array.isArray(registry.trackers)) return summary;
+  if (registry.migratedAt && !options.force) {
+    return { ...summary, skills: registry.migratedTo || {} };
+  }
+
+  for (const tracker of registry.trackers) {
+    const skillId = await ensureTrackerSkill(skillManager, tracker);
+    const file = await readJson(path.join(trackersDir, `${tracker.id}.json`), { records: [] });
+
+    const entries = (file.records || []).map(record => ({
+      ...recordToEntry(record),
+      legacyId: record.id || `${tracker.id}:${record.timestamp}`,
+      source: record.source || 'tracker'
+    }));
+
+    const result = await skillManager.importEntries(skillId, entries, { source: 'migration' });
+    summary.trackers++;
+    summary.imported += result.imported;
+    summary.skipped += result.skipped;
+    summary.rejected.push(...result.rejected.map(r => ({ tracker: tracker.id, ...r })));
+    summary.skills[tracker.id] = skillId;
+  }
+
+  registry.migratedAt = new Date().toISOString();
+  registry.migratedTo = summary.skills;
+  const tempPath = `${registryPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(registry, null, 2));
+  await fs.rename(tempPath, registryPath);
+
+  summary.migrated = true;
+  return summary;
+}
+
+export default {
+  recordToEntry,
+  entryToRecord,
+  skillToTracker,
+  updateTrackerMeta,
+  resolveTrackerSkill,
+  ensureTrackerSkill,
+  migrateLegacyTrackers
+};
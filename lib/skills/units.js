@@ -0,0 +1,459 @@
+/**
+ * Units - Quantity parsing, conversion and display
+ *
+ * Every unit belongs to a dimension family (volume, mass, distance,
+ * duration, energy) and carries a factor to that family's base unit:
+ *
+ *   volume   -> ml      mass   -> g      distance -> m
+ *   duration -> s       energy -> kcal
+ *
+ * Logged amounts are converted to the skill's declared `unit` on write, so
+ * "2 cups", "half a litre" and "16 oz" all land in a water skill as ml.
+ * How totals are shown back is a per-user preference (metric or imperial)
+ * stored in the user profile as `preferences.unitSystem`.
+ */
+
+import { loadUserProfile, updateUserProfile } from '../personaManager.js';
+
+export const DIMENSIONS = ['volume', 'mass', 'distance', 'duration', 'energy'];
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// symbol -> { dimension, factor (to base), system, aliases }
+// Household containers follow the sizes the router has always assumed.
+const UNITS = {
+  ml: { dimension: 'volume', factor: 1, system: 'metric', aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'mls'] },
+  cl: { dimension: 'volume', factor: 10, system: 'metric', aliases: ['centiliter', 'centiliters', 'centilitre', 'centilitres'] },
+  dl: { dimension: 'volume', factor: 100, system: 'metric', aliases: ['deciliter', 'deciliters', 'decilitre', 'decilitres'] },
+  l: { dimension: 'volume', factor: 1000, system: 'metric', aliases: ['liter', 'liters', 'litre', 'litres', 'ltr', 'ltrs'] },
+  tsp: { dimension: 'volume', factor: 4.92892, system: 'imperial', aliases: ['teaspoon', 'teaspoons'] },
+  tbsp: { dimension: 'volume', factor: 14.7868, system: 'imperial', aliases: ['tablespoon', 'tablespoons'] },
+  'fl oz': { dimension: 'volume', factor: 29.5735, system: 'imperial', aliases: ['floz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+  pt: { dimension: 'volume', factor: 473.176, system: 'imperial', aliases: ['pint', 'pints'] },
+  qt: { dimension: 'volume', factor: 946.353, system: 'imperial', aliases: ['quart', 'quarts'] },
+  gal: { dimension: 'volume', factor: 3785.41, system: 'imperial', aliases: ['gallon', 'gallons'] },
+  cup: { dimension: 'volume', factor: 250, system: null, aliases: ['cups'] },
+  glass: { dimension: 'volume', factor: 250, system: null, aliases: ['glasses'] },
+  mug: { dimension: 'volume', factor: 350, system: null, aliases: ['mugs'] },
+  bottle: { dimension: 'volume', factor: 500, system: null, aliases: ['bottles'] },
+
+  mg: { dimension: 'mass', factor: 0.001, system: 'metric', aliases: ['milligram', 'milligrams'] },
+  g: { dimension: 'mass', factor: 1, system: 'metric', aliases: ['gram', 'grams', 'gr'] },
+  kg: { dimension: 'mass', factor: 1000, system: 'metric', aliases: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kgs'] },
+  oz: { dimension: 'mass', factor: 28.3495, system: 'imperial', aliases: ['ounce', 'ounces'] },
+  lb: { dimension: 'mass', factor: 453.592, system: 'imperial', aliases: ['lbs', 'pound', 'pounds'] },
+  st: { dimension: 'mass', factor: 6350.29, system: 'imperial', aliases: ['stone', 'stones'] },
+
+  cm: { dimension: 'distance', factor: 0.01, system: 'metric', aliases: ['centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+  m: { dimension: 'distance', factor: 1, system: 'metric', aliases: ['meter', 'meters', 'metre', 'metres'] },
+  km: { dimension: 'distance', factor: 1000, system: 'metric', aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres', 'k', 'kms'] },
+  in: { dimension: 'distance', factor: 0.0254, system: 'imperial', aliases: ['inch', 'inches'] },
+  ft: { dimension: 'distance', factor: 0.3048, system: 'imperial', aliases: ['foot', 'feet'] },
+  yd: { dimension: 'distance', factor: 0.9144, system: 'imperial', aliases: ['yard', 'yards', 'yds'] },
+  mi: { dimension: 'distance', factor: 1609.344, system: 'imperial', aliases: ['mile', 'miles'] },
+
+  seconds: { dimension: 'duration', factor: 1, system: null, aliases: ['s', 'sec', 'secs', 'second'] },
+  minutes: { dimension: 'duration', factor: 60, system: null, aliases: ['min', 'mins', 'minute'] },
+  hours: { dimension: 'duration', factor: 3600, system: null, aliases: ['h', 'hr', 'hrs', 'hour'] },
+  days: { dimension: 'duration', factor: 86400, system: null, aliases: ['day', 'd'] },
+
+  kcal: { dimension: 'energy', factor: 1, system: null, aliases: ['cal', 'cals', 'calorie', 'calories', 'kcals', 'kilocalorie', 'kilocalories'] },
+  kj: { dimension: 'energy', factor: 0.239006, system: 'metric', aliases: ['kilojoule', 'kilojoules'] }
+};
+
+// Aliases that mean different things in different families. The target
+// unit's dimension decides; otherwise the first candidate wins.
+const AMBIGUOUS = {
+  oz: ['oz', 'fl oz'],
+  ounce: ['oz', 'fl oz'],
+  ounces: ['oz', 'fl oz'],
+  m: ['m', 'minutes']
+};
+
+// Where amounts land when nothing declares a unit (e.g. tracker records)
+export const DEFAULT_UNITS = {
+  volume: 'ml',
+  mass: 'kg',
+  distance: 'km',
+  duration: 'minutes',
+  energy: 'kcal'
+};
+
+// Preferred display units per system, smallest first
+const DISPLAY_UNITS = {
+  metric: { volume: ['ml', 'l'], mass: ['g', 'kg'], distance: ['m', 'km'], energy: ['kcal'] },
+  imperial: { volume: ['fl oz', 'gal'], mass: ['oz', 'lb'], distance: ['ft', 'mi'], energy: ['kcal'] }
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12,
+  half: 0.5, quarter: 0.25, couple: 2, few: 3
+};
+
+const ALIAS_INDEX = new Map();
+for (const [symbol, def] of Object.entries(UNITS)) {
+  ALIAS_INDEX.set(symbol, symbol);
+  for (const alias of def.aliases) ALIAS_INDEX.set(alias, symbol);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Too easily confused with ordinary words ("2 in a row", "1st", "10k steps")
+// to match in text
+const TEXT_EXCLUDED = new Set(['in', 'st', 'k']);
+
+// Only read right after a number: "3d", "30m" but not "at 3 m"
+const SUFFIX_ONLY = new Set(['d', 'm']);
+
+const UNIT_PATTERN = [...ALIAS_INDEX.keys(), ...Object.keys(AMBIGUOUS)]
+  .filter(a => !TEXT_EXCLUDED.has(a))
+  .sort((a, b) => b.length - a.length)
+  .map(a => (SUFFIX_ONLY.has(a) ? '(?<=\\d)' : '') + escapeRegex(a).replace(/ /g, '\\s*'))
+  .join('|');
+
+const AMOUNT_PATTERN =
+  `(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?(?:\\s*\\/\\s*\\d+)?|(?:${Object.keys(NUMBER_WORDS).join('|')})(?:\\s+and\\s+a\\s+(?:half|quarter))?\\b)`;
+
+// "2 cups", "1.5L", "half a litre", "a quarter of a liter", "1/2 cup of"
+const QUANTITY_REGEX = new RegExp(
+  `(?:^|[^a-z\\d.])${AMOUNT_PATTERN}\\s*(?:(?:a|an|of|of\\s+a)\\s+)?(${UNIT_PATTERN})(?![a-z])`,
+  'gi'
+);
+
+/**
+ * Resolve a unit name or alias to its canonical symbol, or null if unknown.
+ * `dimension` breaks ties for ambiguous aliases like "oz" and "m".
+ */
+export function resolveUnit(name, dimension = null) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '');
+
+  if (AMBIGUOUS[key]) {
+    const candidates = AMBIGUOUS[key];
+    return candidates.find(c => UNITS[c].dimension === dimension) || candidates[0];
+  }
+  if (ALIAS_INDEX.has(key)) return ALIAS_INDEX.get(key);
+
+  // "fl.oz", "floz" and friends
+  const compact = key.replace(/[\s.]/g, '');
+  for (const [alias, symbol] of ALIAS_INDEX) {
+    if (alias.replace(/[\s.]/g, '') === compact) return symbol;
+  }
+  return null;
+}
+
+/**
+ * Dimension family of a unit, or null for counts like "steps" or "pages"
+ */
+export function getDimension(unit) {
+  const symbol = resolveUnit(unit);
+  return symbol ? UNITS[symbol].dimension : null;
+}
+
+/**
+ * Whether a value in `from` can be expressed in `to`
+ */
+export function canConvert(from, to) {
+  const target = resolveUnit(to);
+  if (!target) return false;
+  const source = resolveUnit(from, UNITS[target].dimension);
+  return !!source && UNITS[source].dimension === UNITS[target].dimension;
+}
+
+/**
+ * Convert a value between units of the same dimension.
+ * Throws when the units are unknown or belong to different families.
+ */
+export function convert(value, from, to) {
+  const target = resolveUnit(to);
+  const source = target ? resolveUnit(from, UNITS[target].dimension) : resolveUnit(from);
+  if (!source || !target) {
+    throw new Error(`Unknown unit "${!source ? from : to}"`);
+  }
+  if (UNITS[source].dimension !== UNITS[target].dimension) {
+    throw new Error(`Cannot convert ${UNITS[source].dimension} (${from}) to ${UNITS[target].dimension} (${to})`);
+  }
+  if (source === target) return value;
+  return value * UNITS[source].factor / UNITS[target].factor;
+}
+
+function parseAmount(text) {
+  let amount = text.trim().toLowerCase();
+  // "2,000" is a thousands separator, "1,5" a decimal comma
+  amount = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(amount) ? amount.replace(/,/g, '') : amount.replace(',', '.');
+
+  const fraction = amount.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    return parseInt(fraction[2]) ? parseFloat(fraction[1]) / parseInt(fraction[2]) : null;
+  }
+  if (/^\d+(\.\d+)?$/.test(amount)) return parseFloat(amount);
+
+  const words = amount.match(/^(\w+)(?:\s+and\s+a\s+(half|quarter))?$/);
+  if (words && NUMBER_WORDS[words[1]] !== undefined) {
+    return NUMBER_WORDS[words[1]] + (words[2] ? NUMBER_WORDS[words[2]] : 0);
+  }
+  return null;
+}
+
+// Duration units, largest first, for reading "2h 30m" and "1h30" as one amount
+const DURATION_ORDER = ['days', 'hours', 'minutes', 'seconds'];
+
+// The "30m" in "1h30m", matched where the previous part ended
+const DURATION_PART_REGEX = new RegExp(`(\\d{1,2}(?:\\.\\d+)?)(?:\\s*(${UNIT_PATTERN})(?![a-z])|(?![\\d.]))`, 'iy');
+
+function smallerDurationUnit(unit) {
+  return DURATION_ORDER[DURATION_ORDER.indexOf(unit) + 1] || null;
+}
+
+/**
+ * Find every quantity in free text.
+ * Returns [{ value, unit, dimension, raw }] in the order they appear.
+ * Compound durations ("2h 30m", "1 hour and 15 minutes", "1h30") come back
+ * as one quantity in their largest unit.
+ */
+export function parseQuantities(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+  const dimension = options.dimension ||
+    (options.targetUnit ? getDimension(options.targetUnit) : null);
+
+  const results = [];
+  // Where the last duration ended, and its smallest unit so far
+  let duration = null;
+  QUANTITY_REGEX.lastIndex = 0;
+  let match;
+  while ((match = QUANTITY_REGEX.exec(text)) !== null) {
+    const value = parseAmount(match[1]);
+    const raw = match[0].replace(/^[^a-z\d]+/i, '').trim();
+    const start = QUANTITY_REGEX.lastIndex - raw.length;
+
+    // The next part of a duration: a smaller unit right after the last one
+    if (duration && value !== null && /^\s*(?:,\s*|and\s+)?$/i.test(text.slice(duration.end, start))) {
+      const part = resolveUnit(match[2], 'duration');
+      if (DURATION_ORDER.indexOf(part) > DURATION_ORDER.indexOf(duration.smallest)) {
+        const quantity = results[results.length - 1];
+        quantity.value += convert(value, part, quantity.unit);
+        quantity.raw = text.slice(duration.start, QUANTITY_REGEX.lastIndex).trim();
+        duration = { ...duration, end: QUANTITY_REGEX.lastIndex, smallest: part };
+        continue;
+      }
+    }
+
+    const unit = resolveUnit(match[2], dimension);
+    if (value === null || !unit) {
+      duration = null;
+      continue;
+    }
+    results.push({ value, unit, dimension: UNITS[unit].dimension, raw });
+    duration = UNITS[unit].dimension === 'duration'
+      ? { start, end: QUANTITY_REGEX.lastIndex, smallest: unit }
+      : null;
+
+    // "1h30m20s", "1h30": parts written without spaces; a bare number
+    // means the next unit down
+    while (duration) {
+      DURATION_PART_REGEX.lastIndex = QUANTITY_REGEX.lastIndex;
+      const part = DURATION_PART_REGEX.exec(text);
+      if (!part) break;
+      const partUnit = part[2] ? resolveUnit(part[2], 'duration') : smallerDurationUnit(duration.smallest);
+      const bareBeforeWord = !part[2] && /^\s*[a-z]/i.test(text.slice(DURATION_PART_REGEX.lastIndex));
+      if (DURATION_ORDER.indexOf(partUnit) <= DURATION_ORDER.indexOf(duration.smallest) || bareBeforeWord) break;
+
+      const quantity = results[results.length - 1];
+      quantity.value += convert(parseFloat(part[1]), partUnit, quantity.unit);
+      QUANTITY_REGEX.lastIndex = DURATION_PART_REGEX.lastIndex;
+      quantity.raw = text.slice(start, QUANTITY_REGEX.lastIndex);
+      duration = { ...duration, end: QUANTITY_REGEX.lastIndex, smallest: partUnit };
+    }
+  }
+  return results;
+}
+
+/**
+ * First quantity in free text, preferring one that can become `targetUnit`.
+ * "2 cups", "half a litre", "16 oz" -> { value, unit, dimension, raw } or null
+ */
+export function parseQuantity(text, options = {}) {
+  const found = parseQuantities(text, options);
+  if (found.length === 0) return null;
+  if (options.targetUnit) {
+    const compatible = found.find(q => canConvert(q.unit, options.targetUnit));
+    if (compatible) return compatible;
+  }
+  return found[0];
+}
+
+/**
+ * Parse a duration ("2h 30m", "1h30", "45 min", "1:30", 90) into `unit`.
+ * Bare numbers are taken to be in `unit` already; "h:mm" and "h:mm:ss"
+ * read as clock times. Returns null when there's no duration.
+ */
+export function parseDuration(input, unit = 'minutes') {
+  const target = resolveUnit(unit, 'duration');
+  if (!target || UNITS[target].dimension !== 'duration') {
+    throw new Error(`Unknown duration unit "${unit}"`);
+  }
+
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+  if (typeof input !== 'string') return null;
+
+  const text = input.trim().toLowerCase();
+  if (!text) return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  let seconds = null;
+  const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (clock) {
+    const [, hours, minutes, secs = 0] = clock;
+    seconds = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(secs);
+  } else {
+    const quantity = parseQuantities(text, { dimension: 'duration' }).find(q => q.dimension === 'duration');
+    if (quantity) seconds = convert(quantity.value, quantity.unit, 'seconds');
+  }
+
+  return seconds === null ? null : Math.round(convert(seconds, 'seconds', target) * 1000) / 1000;
+}
+
+/**
+ * Normalize a logged amount to a skill's unit.
+ *
+ * `input` may be text ("16 oz"), a number or { value, unit }. The result is
+ * { value, unit, converted, original: { value, unit, text } } where `value`
+ * is expressed in `targetUnit` whenever the families match. Amounts that
+ * can't be converted come back unchanged with `converted: false`.
+ */
+export function normalizeQuantity(input, targetUnit) {
+  let quantity;
+  if (typeof input === 'string') {
+    quantity = parseQuantity(input, { targetUnit });
+    if (!quantity && getDimension(targetUnit) === 'duration') {
+      // "1:30"
+      const value = parseDuration(input, targetUnit);
+      if (value !== null) return { value, unit: targetUnit, converted: false, original: { value, unit: targetUnit, text: input } };
+    }
+    if (!quantity) {
+      const value = parseFloat(input.replace(/,/g, ''));
+      return Number.isFinite(value)
+        ? { value, unit: targetUnit || null, converted: false, original: { value, unit: null, text: input } }
+        : null;
+    }
+  } else if (typeof input === 'number') {
+    return { value: input, unit: targetUnit || null, converted: false, original: { value: input, unit: null, text: null } };
+  } else if (input && typeof input === 'object') {
+    quantity = { value: Number(input.value), unit: input.unit, raw: input.text || input.raw || null };
+  } else {
+    return null;
+  }
+
+  const original = { value: quantity.value, unit: quantity.unit, text: quantity.raw || null };
+
+  if (targetUnit && quantity.unit && canConvert(quantity.unit, targetUnit)) {
+    const target = resolveUnit(targetUnit);
+    const source = resolveUnit(quantity.unit, UNITS[target].dimension);
+    if (source === target) {
+      return { value: quantity.value, unit: targetUnit, converted: false, original };
+    }
+    return {
+      value: roundQuantity(convert(quantity.value, source, target)),
+      unit: targetUnit,
+      converted: true,
+      original
+    };
+  }
+
+  return { value: quantity.value, unit: quantity.unit || targetUnit || null, converted: false, original };
+}
+
+/**
+ * Round to a precision that suits the magnitude (1234, 12.3, 1.23)
+ */
+export function roundQuantity(value) {
+  if (!Number.isFinite(value)) return value;
+  const abs = Math.abs(value);
+  const places = abs >= 100 ? 0 : abs >= 10 ? 1 : 2;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Pick the display unit for a value in a unit system. Units that already
+ * belong to the system (or to none, like kcal, cups and steps) are kept
+ * unless `options.scale` asks for large totals to move up (60000 ml -> 60 l).
+ * Returns { value, unit }.
+ */
+export function toDisplayUnit(value, unit, system = getUnitSystem(), options = {}) {
+  const symbol = resolveUnit(unit);
+  if (!symbol || !Number.isFinite(value)) return { value, unit };
+
+  const def = UNITS[symbol];
+  const choices = DISPLAY_UNITS[system]?.[def.dimension];
+  if (!def.system || !choices || (def.system === system && !options.scale)) {
+    return { value, unit };
+  }
+
+  // Largest unit that keeps the number at 1 or above
+  let best = choices[0];
+  for (const choice of choices) {
+    if (Math.abs(convert(value, symbol, choice)) >= 1) best = choice;
+  }
+  return { value: convert(value, symbol, best), unit: best };
+}
+
+/**
+ * Format a quantity for display in the user's unit system, e.g.
+ * formatQuantity(2000, 'ml', 'imperial') -> "67.6 fl oz"
+ */
+export function formatQuantity(value, unit, system = getUnitSystem(), options = {}) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) {
+    return unit ? `- ${unit}` : '-';
+  }
+  const display = toDisplayUnit(Number(value), unit, system, options);
+  const number = roundQuantity(display.value).toLocaleString('en-US');
+  return display.unit ? `${number} ${display.unit}` : number;
+}
+
+/**
+ * The user's display preference ('metric' or 'imperial')
+ */
+export function getUnitSystem() {
+  try {
+    const system = loadUserProfile()?.preferences?.unitSystem;
+    return UNIT_SYSTEMS.includes(system) ? system : DEFAULT_UNIT_SYSTEM;
+  } catch {
+    return DEFAULT_UNIT_SYSTEM;
+  }
+}
+
+/**
+ * Save the user's display preference
+ */
+export function setUnitSystem(system) {
+  const value = String(system || '').toLowerCase();
+  if (!UNIT_SYSTEMS.includes(value)) {
+    throw new Error(`Unknown unit system "${system}" (use ${UNIT_SYSTEMS.join(' or ')})`);
+  }
+  updateUserProfile('preferences.unitSystem', value);
+  return value;
+}
+
+export default {
+  DIMENSIONS,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  DEFAULT_UNITS,
+  resolveUnit,
+  getDimension,
+  canConvert,
+  convert,
+  parseQuantities,
+  parseQuantity,
+  parseDuration,
+  normalizeQuantity,
+  roundQuantity,
+  toDisplayUnit,
+  formatQuantity,
+  getUnitSystem,
+  setUnitSystem
+};
@@ -2,8 +2,27 @@
  * ASCII Visualizations for Skills
  * 
  * Render charts and progress bars in text for chat interfaces.
+ * Amounts are shown in the user's unit system (metric/imperial) unless a
+ * `unitSystem` is passed explicitly.
  */
 
+import { toDisplayUnit, convert, roundQuantity, formatQuantity, getUnitSystem } from './units.js';
+
+/**
+ * Express related amounts (today vs goal, a week of days) in one display
+ * unit. Units that need no conversion pass through untouched.
+ */
+function inDisplayUnit(values, unit, unitSystem) {
+  if (!unit) return { values, unit };
+  const reference = Math.max(0, ...values.map(v => Math.abs(v) || 0));
+  const display = toDisplayUnit(reference, unit, unitSystem || getUnitSystem());
+  if (display.unit === unit) return { values, unit };
+  return {
+    values: values.map(v => roundQuantity(convert(v, unit, display.unit))),
+    unit: ` ${display.unit}`
+  };
+}
+
 /**
  * Render a horizontal bar
  * @param {number} value - Current value
@@ -22,27 +41,29 @@ export function progressBar(value, max, width = 10, filled = '█', empty = '░
 /**
  * Render a goal progress display
  */
-export function goalProgress(label, current, target, unit = '') {
+export function goalProgress(label, current, target, unit = '', unitSystem = null) {
   const bar = progressBar(current, target, 10);
   const percent = Math.min(100, Math.round((current / target) * 100));
   const status = current >= target ? '✅' : '';
-  return `${label}: ${bar} ${current}/${target}${unit} (${percent}%) ${status}`;
+  const shown = inDisplayUnit([current, target], unit, unitSystem);
+  return `${label}: ${bar} ${shown.values[0]}/${shown.values[1]}${shown.unit} (${percent}%) ${status}`;
 }
 
 /**
  * Render a weekly bar chart
  * @param {array} data - Array of { day: 'Mon', value: number }
  */
-export function weeklyChart(data, max = null, unit = '') {
+export function weeklyChart(data, max = null, unit = '', unitSystem = null) {
   if (!data.length) return 'No data';
   
   const maxVal = max || Math.max(...data.map(d => d.value));
   const barWidth = 10;
+  const shown = inDisplayUnit(data.map(d => d.value), unit, unitSystem);
   
-  const lines = data.map(d => {
+  const lines = data.map((d, i) => {
     const bar = progressBar(d.value, maxVal, barWidth);
-    const valStr = d.value.toString().padStart(5);
-    return `${d.day.slice(0, 3).padEnd(3)} ${bar} ${valStr}${unit}`;
+    const valStr = shown.values[i].toString().padStart(5);
+    return `${d.day.slice(0, 3).padEnd(3)} ${bar} ${valStr}${shown.unit}`;
   });
   
   return lines.join('\n');
@@ -107,7 +128,7 @@ export function achievementsList(achievements) {
 /**
  * Render a full skill summary card
  */
-export function skillSummary(skill, stats, progress) {
+export function skillSummary(skill, stats, progress, unitSystem = null) {
   const lines = [];
   
   // Header
@@ -117,18 +138,18 @@ export function skillSummary(skill, stats, progress) {
   // Stats
   if (stats.count > 0) {
     lines.push(`Total entries: ${stats.count}`);
-    if (stats.sum) lines.push(`Sum: ${stats.sum}`);
-    if (stats.avg) lines.push(`Average: ${stats.avg.toFixed(1)}`);
+    if (stats.sum) lines.push(`Sum: ${formatQuantity(stats.sum, skill.unit, unitSystem || getUnitSystem())}`);
+    if (stats.avg) lines.push(`Average: ${formatQuantity(stats.avg, skill.unit, unitSystem || getUnitSystem())}`);
   }
   
   // Goal progress
   if (progress?.goal) {
     lines.push('');
     if (progress.goal.daily) {
-      lines.push(goalProgress('Today', progress.goal.daily.current, progress.goal.daily.target));
+      lines.push(goalProgress('Today', progress.goal.daily.current, progress.goal.daily.target, skill.unit, unitSystem));
     }
     if (progress.goal.weekly) {
-      lines.push(goalProgress('This week', progress.goal.weekly.current, progress.goal.weekly.target));
+      lines.push(goalProgress('This week', progress.goal.weekly.current, progress.goal.weekly.target, skill.unit, unitSystem));
     }
   }
   
@@ -151,7 +172,7 @@ export function skillSummary(skill, stats, progress) {
 /**
  * Render a mini status for quick feedback
  */
-export function miniStatus(action, skill, entry, progress) {
+export function miniStatus(action, skill, entry, progress, unitSystem = null) {
   const parts = [];
   
   // Entry confirmation
@@ -161,13 +182,15 @@ export function miniStatus(action, skill, entry, progress) {
   
   // Value
   if (entry.value) {
-    parts.push(`${entry.value}${entry.unit || ''}`);
+    const shown = inDisplayUnit([entry.value], entry.unit, unitSystem);
+    parts.push(`${shown.values[0]}${shown.unit || ''}`);
   }
   
   // Goal progress
   if (progress?.goal?.daily) {
     const g = progress.goal.daily;
-    parts.push(`(${g.current}/${g.target} today)`);
+    const shown = inDisplayUnit([g.current, g.target], entry.unit, unitSystem);
+    parts.push(`(${shown.values[0]}/${shown.values[1]} today)`);
   }
   
   // Streak
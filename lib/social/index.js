@@ -355,23 +355,20 @@ class SocialManager {
   calculateStreakScore(entries) {
     if (entries.length === 0) return 0;
     
-    // Calculate current streak
+    // Calculate current streak - several entries on one day count once
     let streak = 0;
-    const sortedEntries = entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const days = new Set(entries.map(entry => {
+      const entryDate = new Date(entry.timestamp);
+      entryDate.setHours(0, 0, 0, 0);
+      return entryDate.getTime();
+    }));
     
     let currentDate = new Date();
     currentDate.setHours(0, 0, 0, 0);
     
-    for (const entry of sortedEntries) {
-      const entryDate = new Date(entry.timestamp);
-      entryDate.setHours(0, 0, 0, 0);
-      
-      if (entryDate.getTime() === currentDate.getTime()) {
-        streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
-      } else {
-        break;
-      }
+    while (days.has(currentDate.getTime())) {
+      streak++;
+      currentDate.setDate(currentDate.getDate() - 1);
     }
     
     return streak;
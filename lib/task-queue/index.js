@@ -12,6 +12,7 @@
  */
 
 import { EventEmitter } from 'events';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { Worker } from 'worker_threads';
@@ -47,10 +48,7 @@ export class TaskQueue extends EventEmitter {
   }
 
   async initialize() {
-    this.db = new Database(this.options.persistencePath);
-    this.db.pragma('journal_mode = WAL');
-
-    this.createTables();
+    this.open();
     this.initializeWorkerPool();
 
     await this.recoverRunningJobs();
@@ -62,6 +60,19 @@ export class TaskQueue extends EventEmitter {
     this.emit('initialized', { version: TASK_QUEUE_VERSION });
   }
 
+  /**
+   * Open the job database without starting workers. Enough for processes
+   * that only enqueue (CLIs); the queue running in the app picks the jobs up.
+   */
+  open() {
+    if (this.db) return this;
+    fs.mkdirSync(path.dirname(this.options.persistencePath), { recursive: true });
+    this.db = new Database(this.options.persistencePath);
+    this.db.pragma('journal_mode = WAL');
+    this.createTables();
+    return this;
+  }
+
   createTables() {
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS jobs (
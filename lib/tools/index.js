@@ -105,6 +105,23 @@ class UnifiedToolSystem {
     return await this.registry.execute(toolName, params, context);
   }
   
+  /**
+   * Hand the registered tools to a model and run its tool calls until it
+   * answers (see ToolRegistry.runWithModel)
+   * @param {Object} llm - LLMManager
+   * @param {string} modelRef - Model reference (provider/model)
+   * @param {Array} messages - Conversation so far
+   * @param {Object} [options] - { tools: names to offer, context, maxRounds, ...chat options }
+   * @returns {Promise<Object>} Final response plus { messages, toolResults, rounds }
+   */
+  async runWithModel(llm, modelRef, messages, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return await this.registry.runWithModel(llm, modelRef, messages, options);
+  }
+
   /**
    * Get available tools
    * @param {Object} filters - Optional filters
@@ -118,6 +118,8 @@ function migrateLegacyTool(registry, name, legacyTool) {
     // Convert legacy tool to new format
     const newTool = {
       schema: convertLegacySchema(legacyTool.inputSchema),
+      // Models get the legacy JSON Schema with its descriptions
+      parameters: legacyTool.inputSchema || null,
       handler: adaptLegacyHandler(legacyTool.handler),
       description: legacyTool.description,
       metadata: {
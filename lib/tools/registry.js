@@ -62,6 +62,25 @@ function validateSchema(schema, params) {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Convert a registry schema ({ field: 'string' | 'number?' | ... }) to the
+ * JSON Schema that LLM tool calling expects
+ * @param {Object} schema - Schema definition
+ * @returns {Object} JSON Schema object
+ */
+function schemaToJsonSchema(schema = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, type] of Object.entries(schema)) {
+    const isOptional = type.endsWith('?');
+    properties[field] = { type: isOptional ? type.slice(0, -1) : type };
+    if (!isOptional) required.push(field);
+  }
+
+  return { type: 'object', properties, required };
+}
+
 // ============================================================================
 // Rate Limiting System
 // ============================================================================
@@ -182,6 +201,8 @@ export class ToolRegistry extends EventEmitter {
       handler: toolDef.handler,
       description: toolDef.description || '',
       rateLimit: toolDef.rateLimit || null,
+      // Optional richer JSON Schema for models (descriptions, enums)
+      parameters: toolDef.parameters || null,
       metadata: toolDef.metadata || {}
     });
     
@@ -288,6 +309,55 @@ export class ToolRegistry extends EventEmitter {
     }
   }
   
+  /**
+   * Registered tools as LLM tool definitions, ready for
+   * llm.chat(model, messages, { tools })
+   * @param {string[]} [names] - Limit to these tools (default: all)
+   * @returns {Array} [{ name, description, parameters }]
+   */
+  getToolDefinitions(names = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => !names || names.includes(tool.name))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || schemaToJsonSchema(tool.schema)
+      }));
+  }
+
+  /**
+   * Run a tool call from a model ({ id, name, arguments })
+   * @returns {Promise<Object>} Tool result (same shape as execute())
+   */
+  async executeToolCall(call, context = {}) {
+    if (!this.tools.has(call.name)) {
+      return { success: false, error: `Tool not found: ${call.name}`, tool: call.name };
+    }
+    try {
+      return await this.execute(call.name, call.arguments || {}, { ...context, toolCallId: call.id });
+    } catch (error) {
+      // Validation and rate-limit errors go back to the model to correct
+      return { success: false, error: error.message, tool: call.name };
+    }
+  }
+
+  /**
+   * Hand the registered tools to a model and run its calls until it answers
+   * @param {Object} llm - LLMManager
+   * @param {string} modelRef - Model reference (provider/model)
+   * @param {Array} messages - Conversation so far
+   * @param {Object} [options] - { tools: names to offer, context, maxRounds, ...chat options }
+   * @returns {Promise<Object>} Final response plus { messages, toolResults, rounds }
+   */
+  async runWithModel(llm, modelRef, messages, options = {}) {
+    const { tools: names = null, context = {}, ...chatOptions } = options;
+    return llm.runTools(modelRef, messages, {
+      ...chatOptions,
+      tools: this.getToolDefinitions(names),
+      execute: call => this.executeToolCall(call, context)
+    });
+  }
+
   /**
    * Discover tools by searching descriptions
    * @param {string} query - Search query
@@ -567,7 +637,7 @@ export function getToolRegistry() {
  * @param {Object} params - Parameters to validate
  * @returns {Object} Validation result
  */
-export { validateSchema };
+export { validateSchema, schemaToJsonSchema };
 
 // Default export
 export default ToolRegistry;
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Transcripts CLI - search past conversations
+ *
+ * Usage:
+ *   sr transcripts search <query> [--keyword|--semantic] [--limit N] [--context N]
+ *   sr transcripts index [--rebuild] [--no-embed]
+ *   sr transcripts stats
+ *
+ * Queries take free text, "phrases" and filters - see lib/transcripts/search.js.
+ */
+
+import {
+  searchTranscripts,
+  updateTranscriptIndex,
+  rebuildTranscriptIndex,
+  getTranscriptIndexStats,
+} from './search.js';
+
+function optionValue(args, name, fallback) {
+  const index = args.indexOf(name);
+  if (index === -1) return fallback;
+  const value = parseInt(args[index + 1], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Query words, without flags and their values
+ */
+function queryFrom(args) {
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--limit' || args[i] === '--context') i++;
+    else if (!args[i].startsWith('--')) words.push(args[i]);
+  }
+  return words.join(' ');
+}
+
+export async function transcriptsCommand(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'search': {
+      const query = queryFrom(rest);
+      if (!query) return 'Usage: sr transcripts search <query>';
+
+      const mode = rest.includes('--keyword') ? 'keyword' : rest.includes('--semantic') ? 'semantic' : 'hybrid';
+      const result = await searchTranscripts(query, {
+        mode,
+        limit: optionValue(rest, '--limit', 10),
+        context: optionValue(rest, '--context', 2),
+      });
+      if (!result.success) return `❌ ${result.error}`;
+      if (result.hits.length === 0) return `No transcript entries match ${query}`;
+      return formatHits(result.hits);
+    }
+
+    case 'index': {
+      const options = { embed: !rest.includes('--no-embed') };
+      const report = rest.includes('--rebuild') ? await rebuildTranscriptIndex(options) : await updateTranscriptIndex(options);
+      if (!report.success) return `❌ ${report.error}`;
+      return `✅ Indexed ${report.added} new entries from ${report.files} file(s)` +
+        (report.embedded ? `, embedded ${report.embedded}` : '') +
+        (report.failed ? `, ${report.failed} failed to embed` : '') +
+        (report.reindexed ? `, re-indexed ${report.reindexed} rewritten file(s)` : '') +
+        (report.removed ? `, dropped ${report.removed} deleted file(s)` : '');
+    }
+
+    case 'stats': {
+      const stats = getTranscriptIndexStats();
+      if (!stats.success) return `❌ ${stats.error}`;
+      return [
+        '📜 Transcript index',
+        `  Entries:  ${stats.entries} (${stats.embedded} with embeddings` +
+          (stats.embedFailed ? `, ${stats.embedFailed} failed - index --rebuild to retry)` : ')'),
+        `  Sessions: ${stats.sessions}`,
+        `  Files:    ${stats.files}`,
+      ].join('\n');
+    }
+
+    default:
+      return [
+        'StaticRebel Transcripts',
+        '',
+        'Usage: sr transcripts <command>',
+        '',
+        'Commands:',
+        '  search <query>           Search past conversations',
+        '    --keyword | --semantic   Only match words, or only meaning (default: both)',
+        '    --limit N --context N    Number of hits, entries shown around each',
+        '  index [--rebuild]        Index new transcript lines now (a job does it every 15 minutes)',
+        '  stats                    Show index statistics',
+        '',
+        'Query filters:',
+        '  "exact phrase"  session:<id>  role:user|assistant|system  type:message|action|error',
+        '  after:2026-10-01  before:7d  has:action  has:error',
+        '  "today", "yesterday", "last week" and "last month" in the text filter by date',
+        '',
+        'Examples:',
+        '  sr transcripts search what did we decide about the API port last week',
+        '  sr transcripts search \'"api port" role:assistant after:7d\'',
+      ].join('\n');
+  }
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function formatLine(entry, marker) {
+  const text = entry.text.replace(/\s+/g, ' ');
+  return `${marker} ${(entry.role || entry.type || '?').padEnd(9)} ${text.length > 160 ? `${text.slice(0, 160)}...` : text}`;
+}
+
+function formatHits(hits) {
+  return hits.map((hit, i) => [
+    `${i + 1}. ${hit.sessionId}  ${formatTime(hit.timestamp)}  (score ${hit.score.toFixed(2)})`,
+    ...hit.context.before.map(entry => formatLine(entry, '   ')),
+    formatLine(hit, '  ▶'),
+    ...hit.context.after.map(entry => formatLine(entry, '   ')),
+  ].join('\n')).join('\n\n');
+}
@@ -0,0 +1,655 @@
+/**
+ * Transcript Search - full-text and semantic search over JSONL transcripts
+ *
+ * Transcript entries (lib/jsonlTranscripts.js) are indexed into
+ * ~/.static-rebel/transcript-index/index.db:
+ * - an FTS5 index over each entry's text, ranked with BM25
+ * - an embedding per entry (lib/embeddings.js) for semantic search
+ *
+ * The index is incremental: transcripts are append-only, so each update
+ * reads a file from where the last one stopped. Files that shrank are
+ * re-indexed, and deleted files are dropped. Updates (and embedding) run
+ * as a cron job every 15 minutes and from `sr transcripts index`, never
+ * inside a search. Entries that fail to embed are marked and skipped until
+ * the index is rebuilt.
+ *
+ * Query language - free text plus any of:
+ *   "exact phrase"             entries containing the phrase
+ *   session:<id>               one session
+ *   role:<user|assistant|system>
+ *   type:<message|action|error>
+ *   after:<YYYY-MM-DD|7d|2w|3m>  on or after a date, or within the last N days/weeks/months
+ *   before:<YYYY-MM-DD|7d|2w|3m>
+ *   has:action  has:error
+ *
+ * "today", "yesterday", "this/last week" and "this/last month" in the text
+ * become date filters, so "what did we decide about the API port last week"
+ * searches the last two weeks for "decide", "API" and "port".
+ *
+ * Usage:
+ *   import { searchTranscripts } from './lib/transcripts/search.js';
+ *
+ *   const { hits } = await searchTranscripts('"api port" role:assistant after:7d');
+ *   // hits: [{ sessionId, timestamp, role, text, score, context: { before, after } }]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { getAllTranscriptFiles } from '../jsonlTranscripts.js';
+import { generateEmbedding, cosineSimilarity } from '../embeddings.js';
+import { loadCronJobs, addCronJob, updateCronJob } from '../cronScheduler.js';
+
+const INDEX_DIR = path.join(os.homedir(), '.static-rebel', 'transcript-index');
+
+export const TRANSCRIPT_INDEX_PATH = path.join(INDEX_DIR, 'index.db');
+
+export const TRANSCRIPT_INDEX_JOB_TYPE = 'transcript-index';
+
+let Database = null;
+try {
+  ({ default: Database } = await import('better-sqlite3'));
+} catch {
+  // Optional - without it searchAllTranscripts scans the files
+}
+
+const CONFIG = {
+  DEBUG: process.env.DEBUG_TRANSCRIPTS === 'true',
+  VECTOR_WEIGHT: 0.6,
+  KEYWORD_WEIGHT: 0.4,
+  // Semantic hits below this similarity are left out
+  MIN_SIMILARITY: 0.5,
+  // Characters of an entry that are embedded
+  EMBED_LENGTH: 2000,
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    id INTEGER PRIMARY KEY,
+    file TEXT NOT NULL,
+    line INTEGER NOT NULL,
+    session_id TEXT NOT NULL,
+    timestamp TEXT,
+    role TEXT,
+    type TEXT,
+    has_action INTEGER NOT NULL DEFAULT 0,
+    is_error INTEGER NOT NULL DEFAULT 0,
+    text TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    embedding BLOB,
+    embed_failed INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(file, line)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_entries_session ON entries(session_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_entries_timestamp ON entries(timestamp);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+    text,
+    content='entries',
+    content_rowid='id',
+    tokenize='porter unicode61'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS entries_ai AFTER INSERT ON entries BEGIN
+    INSERT INTO entries_fts(rowid, text) VALUES (new.id, new.text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS entries_ad AFTER DELETE ON entries BEGIN
+    INSERT INTO entries_fts(entries_fts, rowid, text) VALUES ('delete', old.id, old.text);
+  END;
+
+  CREATE TABLE IF NOT EXISTS indexed_files (
+    name TEXT PRIMARY KEY,
+    offset INTEGER NOT NULL,
+    lines INTEGER NOT NULL,
+    indexed_at TEXT NOT NULL
+  );
+`;
+
+// Question words that would match nearly every entry
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'is', 'it',
+  'we', 'i', 'you', 'did', 'do', 'does', 'what', 'when', 'where', 'which',
+  'who', 'how', 'about', 'was', 'were', 'that', 'this', 'for', 'with',
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time phrases in free text, and how many days back they reach
+const RELATIVE_DATES = [
+  { pattern: /\btoday\b/i, days: 0 },
+  { pattern: /\byesterday\b/i, days: 1 },
+  { pattern: /\b(?:this|past) week\b/i, days: 7 },
+  { pattern: /\blast week\b/i, days: 14 },
+  { pattern: /\b(?:this|past) month\b/i, days: 31 },
+  { pattern: /\blast month\b/i, days: 62 },
+];
+
+let db = null;
+
+function requireDb() {
+  if (db) return db;
+  if (!Database) throw new Error('Transcript search needs better-sqlite3');
+
+  fs.mkdirSync(INDEX_DIR, { recursive: true });
+  const database = new Database(TRANSCRIPT_INDEX_PATH);
+  try {
+    database.pragma('journal_mode = WAL');
+    database.pragma('synchronous = NORMAL');
+    database.exec(SCHEMA);
+    // Indexes built before failed embeddings were tracked
+    const columns = database.prepare('PRAGMA table_info(entries)').all().map(column => column.name);
+    if (!columns.includes('embed_failed')) {
+      database.exec('ALTER TABLE entries ADD COLUMN embed_failed INTEGER NOT NULL DEFAULT 0');
+    }
+  } catch (error) {
+    database.close();
+    throw error;
+  }
+  db = database;
+  return db;
+}
+
+/**
+ * Close the index (tests, shutdown)
+ */
+export function closeTranscriptIndex() {
+  db?.close();
+  db = null;
+}
+
+// ============================================================================
+// Query Language
+// ============================================================================
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function parseDate(value, now) {
+  const relative = value.match(/^(\d+)([dwm])$/);
+  if (relative) {
+    const days = Number(relative[1]) * { d: 1, w: 7, m: 30 }[relative[2]];
+    return startOfDay(new Date(now.getTime() - days * DAY_MS)).toISOString();
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+  return null;
+}
+
+/**
+ * Split a query into free text, phrases and filters
+ *
+ * @param {string} query
+ * @param {Date} [now] - For relative dates
+ * @returns {{ text: string, terms: string[], phrases: string[], filters: Object, errors: string[] }}
+ */
+export function parseTranscriptQuery(query, now = new Date()) {
+  const filters = {};
+  const phrases = [];
+  const errors = [];
+  const words = [];
+
+  for (const [, key, value, phrase, word] of String(query).matchAll(/(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) phrases.push(phrase.trim());
+      continue;
+    }
+    if (word !== undefined) {
+      words.push(word);
+      continue;
+    }
+
+    const filterValue = value.replace(/^"|"$/g, '');
+    switch (key.toLowerCase()) {
+      case 'session':
+        filters.session = filterValue;
+        break;
+      case 'role':
+        filters.role = filterValue.toLowerCase();
+        break;
+      case 'type':
+        filters.type = filterValue.toLowerCase();
+        break;
+      case 'after':
+      case 'since':
+      case 'before':
+      case 'until': {
+        const date = parseDate(filterValue, now);
+        if (!date) {
+          errors.push(`Can't read date "${filterValue}" (use YYYY-MM-DD or 7d, 2w, 3m)`);
+        } else if (['after', 'since'].includes(key.toLowerCase())) {
+          filters.after = date;
+        } else {
+          filters.before = date;
+        }
+        break;
+      }
+      case 'has':
+      case 'is':
+        if (filterValue === 'action') filters.hasAction = true;
+        else if (filterValue === 'error') filters.error = true;
+        else errors.push(`Unknown filter ${key}:${filterValue} (use has:action or has:error)`);
+        break;
+      default:
+        // Not a filter - "http://..." or "note:" are just text
+        words.push(`${key}:${value}`);
+    }
+  }
+
+  let text = words.join(' ');
+  for (const { pattern, days } of RELATIVE_DATES) {
+    if (!pattern.test(text)) continue;
+    text = text.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+    if (!filters.after && !filters.before) {
+      filters.after = startOfDay(new Date(now.getTime() - days * DAY_MS)).toISOString();
+      if (days === 1) filters.before = startOfDay(now).toISOString();
+    }
+  }
+
+  const terms = [...new Set(text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])]
+    .filter(term => !STOP_WORDS.has(term));
+
+  return { text, terms, phrases, filters, errors };
+}
+
+// ============================================================================
+// Indexing
+// ============================================================================
+
+function toBlob(embedding) {
+  const vector = Float32Array.from(embedding);
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function fromBlob(blob) {
+  // Copy: the Buffer's offset isn't guaranteed to be 4-byte aligned
+  return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+function asText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * The searchable text of an entry: what was said, or the action and its
+ * result, or the error
+ */
+function entryText(entry) {
+  return [entry.content ?? entry.message, entry.action, entry.result, entry.error]
+    .map(asText)
+    .filter(part => part.trim())
+    .join('\n');
+}
+
+function toRow(file, line, entry) {
+  return {
+    file,
+    line,
+    session_id: entry.sessionId || file.replace(/_\d{4}-\d{2}-\d{2}\.jsonl$/, ''),
+    timestamp: entry.timestamp || null,
+    role: entry.role || null,
+    type: entry.type || null,
+    has_action: entry.type === 'action' || entry.action || entry.metadata?.action ? 1 : 0,
+    is_error: entry.type === 'error' || entry.error ? 1 : 0,
+    text: entryText(entry),
+    entry: JSON.stringify(entry),
+  };
+}
+
+/**
+ * Complete lines appended to a file since `offset`
+ */
+function readAppended(filePath, offset, size) {
+  const buffer = Buffer.alloc(size - offset);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // A line still being written is picked up next time
+  const end = buffer.lastIndexOf(0x0a) + 1;
+  return { lines: buffer.subarray(0, end).toString('utf-8').split('\n').slice(0, -1), consumed: end };
+}
+
+function removeFile(database, name) {
+  database.prepare('DELETE FROM entries WHERE file = ?').run(name);
+  database.prepare('DELETE FROM indexed_files WHERE name = ?').run(name);
+}
+
+async function embedMissing(database, embed) {
+  const rows = database.prepare("SELECT id, text FROM entries WHERE embedding IS NULL AND embed_failed = 0 AND text != ''").all();
+  const update = database.prepare('UPDATE entries SET embedding = ? WHERE id = ?');
+  const markFailed = database.prepare('UPDATE entries SET embed_failed = 1 WHERE id = ?');
+
+  const report = { embedded: 0, failed: 0 };
+  for (const row of rows) {
+    try {
+      update.run(toBlob(await embed(row.text.slice(0, CONFIG.EMBED_LENGTH))), row.id);
+      report.embedded++;
+    } catch (error) {
+      // Not retried: a rebuild starts over
+      markFailed.run(row.id);
+      report.failed++;
+      if (CONFIG.DEBUG) {
+        console.log(`[Transcripts] Embedding failed for entry ${row.id}: ${error.message}`);
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * Index what was appended to transcripts since the last update
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.embed=true] - Embed new entries for semantic search
+ *   (entries indexed without embeddings are embedded by a later update)
+ * @param {Function} [options.embedder] - Custom embedder: text => vector
+ * @returns {Promise<{success: boolean, files?: number, added?: number, reindexed?: number, removed?: number, embedded?: number, failed?: number, error?: string}>}
+ */
+export async function updateTranscriptIndex(options = {}) {
+  const { embed = true, embedder = generateEmbedding } = options;
+
+  let database;
+  try {
+    database = requireDb();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const report = { success: true, files: 0, added: 0, reindexed: 0, removed: 0, embedded: 0, failed: 0 };
+  const files = getAllTranscriptFiles();
+  const names = new Set(files.map(file => file.name));
+  const known = new Map(database.prepare('SELECT name, offset, lines FROM indexed_files').all().map(row => [row.name, row]));
+
+  for (const name of known.keys()) {
+    if (names.has(name)) continue;
+    removeFile(database, name);
+    report.removed++;
+  }
+
+  const insert = database.prepare(`
+    INSERT OR IGNORE INTO entries (file, line, session_id, timestamp, role, type, has_action, is_error, text, entry)
+    VALUES (@file, @line, @session_id, @timestamp, @role, @type, @has_action, @is_error, @text, @entry)
+  `);
+  const track = database.prepare(`
+    INSERT INTO indexed_files (name, offset, lines, indexed_at) VALUES (@name, @offset, @lines, @indexedAt)
+    ON CONFLICT(name) DO UPDATE SET offset = @offset, lines = @lines, indexed_at = @indexedAt
+  `);
+
+  for (const file of files) {
+    let state = known.get(file.name) || { offset: 0, lines: 0 };
+    if (file.size === state.offset) continue;
+
+    // Smaller than what was indexed: the file was rewritten
+    if (file.size < state.offset) {
+      removeFile(database, file.name);
+      state = { offset: 0, lines: 0 };
+      report.reindexed++;
+    }
+
+    const { lines, consumed } = readAppended(file.path, state.offset, file.size);
+    if (consumed === 0) continue;
+
+    database.transaction(() => {
+      lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          report.added += insert.run(toRow(file.name, state.lines + i + 1, JSON.parse(line))).changes;
+        } catch {
+          // Skip malformed lines
+        }
+      });
+      track.run({ name: file.name, offset: state.offset + consumed, lines: state.lines + lines.length, indexedAt: new Date().toISOString() });
+    })();
+    report.files++;
+  }
+
+  if (embed) Object.assign(report, await embedMissing(database, embedder));
+  return report;
+}
+
+/**
+ * Drop the index and build it again from every transcript
+ */
+export async function rebuildTranscriptIndex(options = {}) {
+  try {
+    requireDb().exec('DELETE FROM entries; DELETE FROM indexed_files;');
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  return updateTranscriptIndex(options);
+}
+
+/**
+ * Index statistics
+ */
+export function getTranscriptIndexStats() {
+  try {
+    const database = requireDb();
+    const count = sql => database.prepare(sql).get().count;
+    return {
+      success: true,
+      entries: count('SELECT COUNT(*) AS count FROM entries'),
+      embedded: count('SELECT COUNT(*) AS count FROM entries WHERE embedding IS NOT NULL'),
+      embedFailed: count('SELECT COUNT(*) AS count FROM entries WHERE embed_failed = 1'),
+      files: count('SELECT COUNT(*) AS count FROM indexed_files'),
+      sessions: count('SELECT COUNT(DISTINCT session_id) AS count FROM entries'),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+function filterClause(filters) {
+  const conditions = [];
+  const params = {};
+
+  if (filters.session) {
+    conditions.push('e.session_id = @session');
+    params.session = filters.session;
+  }
+  if (filters.role) {
+    conditions.push('e.role = @role');
+    params.role = filters.role;
+  }
+  if (filters.type) {
+    conditions.push('e.type = @type');
+    params.type = filters.type;
+  }
+  if (filters.after) {
+    conditions.push('e.timestamp >= @after');
+    params.after = filters.after;
+  }
+  if (filters.before) {
+    conditions.push('e.timestamp < @before');
+    params.before = filters.before;
+  }
+  if (filters.hasAction) conditions.push('e.has_action = 1');
+  if (filters.error) conditions.push('e.is_error = 1');
+
+  return { sql: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1', params };
+}
+
+/**
+ * BM25 relative to the best hit, scaled by the share of query terms the
+ * entry contains
+ */
+function keywordSearch(database, { terms, phrases }, where, limit) {
+  const match = [
+    ...phrases.map(phrase => `"${phrase.replace(/"/g, '""')}"`),
+    terms.length > 0 ? `(${terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ')})` : null,
+  ].filter(Boolean).join(' AND ');
+
+  const rows = database.prepare(`
+    SELECT e.id, e.text, bm25(entries_fts) AS rank
+    FROM entries_fts
+    JOIN entries e ON e.id = entries_fts.rowid
+    WHERE entries_fts MATCH @match AND ${where.sql}
+    ORDER BY rank
+    LIMIT @limit
+  `).all({ ...where.params, match, limit });
+
+  // bm25() is negative; more negative is a better match
+  const best = rows[0]?.rank || -1;
+  return new Map(rows.map(row => {
+    const text = row.text.toLowerCase();
+    const matched = terms.length > 0 ? terms.filter(term => text.includes(term)).length / terms.length : 1;
+    return [row.id, (row.rank / best) * matched];
+  }));
+}
+
+async function semanticSearch(database, text, where, onlyIds) {
+  const queryEmbedding = await generateEmbedding(text);
+  const scores = new Map();
+
+  const rows = database.prepare(`
+    SELECT e.id, e.embedding FROM entries e
+    WHERE e.embedding IS NOT NULL AND ${where.sql}
+  `).iterate(where.params);
+
+  for (const row of rows) {
+    if (onlyIds && !onlyIds.has(row.id)) continue;
+    const score = cosineSimilarity(queryEmbedding, fromBlob(row.embedding));
+    if (score >= CONFIG.MIN_SIMILARITY) scores.set(row.id, score);
+  }
+  return scores;
+}
+
+function toEntry(row) {
+  return {
+    line: row.line,
+    timestamp: row.timestamp,
+    role: row.role,
+    type: row.type,
+    text: row.text,
+  };
+}
+
+function withContext(database, row, size) {
+  const around = size > 0
+    ? database.prepare('SELECT * FROM entries WHERE file = ? AND line BETWEEN ? AND ? ORDER BY line')
+      .all(row.file, row.line - size, row.line + size)
+    : [];
+
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    file: row.file,
+    ...toEntry(row),
+    entry: JSON.parse(row.entry),
+    context: {
+      before: around.filter(other => other.line < row.line).map(toEntry),
+      after: around.filter(other => other.line > row.line).map(toEntry),
+    },
+  };
+}
+
+/**
+ * Search transcripts
+ *
+ * @param {string} query - Free text, "phrases" and filters (see top of file)
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {string} [options.mode='hybrid'] - hybrid | keyword | semantic
+ * @param {number} [options.context=2] - Entries shown before and after each hit
+ * @param {boolean} [options.update=false] - Index new transcript lines first (without
+ *   embedding them; the index job does that)
+ * @param {Date} [options.now] - For relative dates
+ * @returns {Promise<{success: boolean, query?: Object, hits?: Array, error?: string}>}
+ */
+export async function searchTranscripts(query, options = {}) {
+  const {
+    limit = 10,
+    mode = 'hybrid',
+    context = 2,
+    update = false,
+    now = new Date(),
+  } = options;
+
+  const parsed = parseTranscriptQuery(query, now);
+  if (parsed.errors.length > 0) return { success: false, error: parsed.errors.join('; ') };
+
+  let database;
+  try {
+    database = requireDb();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (update) {
+    const report = await updateTranscriptIndex({ embed: false });
+    if (!report.success) return report;
+  }
+
+  const where = filterClause(parsed.filters);
+  // Phrases always have to match, in every mode
+  const keywords = { phrases: parsed.phrases, terms: mode === 'semantic' ? [] : parsed.terms };
+  const useKeywords = keywords.terms.length > 0 || keywords.phrases.length > 0;
+  const useSemantic = Boolean(parsed.text) && mode !== 'keyword';
+
+  let scored;
+  if (!useKeywords && !useSemantic) {
+    // Filters only: newest matching entries
+    scored = database.prepare(`SELECT e.id FROM entries e WHERE ${where.sql} ORDER BY e.timestamp DESC, e.id DESC LIMIT @limit`)
+      .all({ ...where.params, limit })
+      .map(row => ({ id: row.id, score: 1, keywordScore: 0, vectorScore: 0 }));
+  } else {
+    const keywordScores = useKeywords ? keywordSearch(database, keywords, where, limit * 5) : new Map();
+    // Semantic search only reranks phrase hits
+    const onlyIds = parsed.phrases.length > 0 ? new Set(keywordScores.keys()) : null;
+    const vectorScores = useSemantic ? await semanticSearch(database, parsed.text, where, onlyIds) : new Map();
+
+    scored = [...new Set([...keywordScores.keys(), ...vectorScores.keys()])].map(id => {
+      const keywordScore = keywordScores.get(id) || 0;
+      const vectorScore = vectorScores.get(id) || 0;
+      const score = !useSemantic ? keywordScore
+        : !useKeywords ? vectorScore
+          : vectorScore * CONFIG.VECTOR_WEIGHT + keywordScore * CONFIG.KEYWORD_WEIGHT;
+      return { id, score, keywordScore, vectorScore };
+    });
+    scored.sort((a, b) => b.score - a.score);
+    scored = scored.slice(0, limit);
+  }
+
+  const byId = database.prepare('SELECT * FROM entries WHERE id = ?');
+  const hits = scored.map(({ id, ...scores }) => ({ ...withContext(database, byId.get(id), context), ...scores }));
+
+  return { success: true, query: parsed, hits };
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * Add the cron job that indexes and embeds new transcript lines, if it
+ * isn't scheduled yet. It's internal: it runs quietly and isn't listed
+ * with the user's scheduled tasks.
+ */
+export function ensureTranscriptIndexJob(expr = '*/15 * * * *') {
+  const existing = loadCronJobs().find(job => job.data?.type === TRANSCRIPT_INDEX_JOB_TYPE);
+  if (existing) {
+    // Jobs scheduled before internal jobs were hidden
+    return existing.internal ? existing : updateCronJob(existing.id, { internal: true });
+  }
+
+  return addCronJob({
+    name: 'Transcript index',
+    description: 'Index and embed new transcript lines for search',
+    schedule: { expr },
+    data: { type: TRANSCRIPT_INDEX_JOB_TYPE },
+    internal: true,
+  });
+}
@@ -211,6 +211,7 @@ export class UsageTracker {
    * @param {string} usage.model - Model identifier
    * @param {number} usage.promptTokens - Number of prompt tokens
    * @param {number} usage.completionTokens - Number of completion tokens
+   * @param {boolean} [usage.free] - Ran on a local model: no cost whatever the rate table says
    * @param {Object} [usage.metadata] - Additional metadata
    * @returns {Promise<Object>} - Recorded usage entry
    */
@@ -219,9 +220,9 @@ export class UsageTracker {
       await this.initialize();
     }
 
-    const { model, promptTokens, completionTokens, metadata = {} } = usage;
+    const { model, promptTokens, completionTokens, free = false, metadata = {} } = usage;
     const totalTokens = promptTokens + completionTokens;
-    const estimatedCost = this.calculateCost(model, promptTokens, completionTokens);
+    const estimatedCost = free ? 0 : this.calculateCost(model, promptTokens, completionTokens);
 
     const entry = {
       timestamp: new Date().toISOString(),
@@ -0,0 +1,214 @@
+/**
+ * Tests for budget-aware model routing
+ *
+ * Run with: node --test tests/lib/budgetRouting.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+
+import { BudgetManager, BudgetExceededError } from '../../lib/llm/budget.js';
+import { UsageTracker } from '../../lib/usageTracker.js';
+import { BaseProvider } from '../../lib/llm/providers/BaseProvider.js';
+import { LLMManager } from '../../lib/llm/LLMManager.js';
+import { ModelManager } from '../../lib/modelAbstraction.js';
+
+class EchoProvider extends BaseProvider {
+  constructor(name, local = false) {
+    super(name);
+    this.local = local;
+  }
+
+  async chat(model, messages) {
+    return this.normalizeResponse({
+      content: `${this.name}/${model}`,
+      metadata: { promptTokens: 1000, completionTokens: 1000 }
+    }, model);
+  }
+
+  async *stream(model) {
+    for (const word of [this.name, '/', model]) {
+      yield { token: word, done: false };
+    }
+  }
+}
+
+describe('Budget routing', () => {
+  let storageDir;
+  let tracker;
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-budget-'));
+    tracker = new UsageTracker({ storageDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('should move models past the soft limit behind cheaper ones', async () => {
+    // gpt-4: $0.09 per 1K+1K tokens; $0.9 spent of a $1 openai budget
+    for (let i = 0; i < 10; i++) {
+      await tracker.recordUsage({ model: 'openai/gpt-4', promptTokens: 1000, completionTokens: 1000, metadata: { task: 'coding' } });
+    }
+    const budget = new BudgetManager({ usageTracker: tracker, daily: { total: 100, providers: { openai: 1 } } });
+
+    const route = await budget.route(['openai/gpt-4', 'anthropic/claude-3-haiku', 'ollama/llama3.2'], { task: 'coding' });
+    assert.strictEqual(route.mode, 'economy');
+    assert.deepStrictEqual(route.chain, ['anthropic/claude-3-haiku', 'ollama/llama3.2', 'openai/gpt-4']);
+    assert.match(route.reasons['openai/gpt-4'], /openai daily budget at 90% \(\$0\.90 of \$1\.00\)/);
+
+    const tight = new BudgetManager({ usageTracker: tracker, monthly: { tasks: { coding: 0.5 } } });
+    const limited = await tight.route(['openai/gpt-4', 'ollama/llama3.2'], { task: 'coding' });
+    assert.strictEqual(limited.mode, 'local-only');
+    assert.deepStrictEqual(limited.chain, ['ollama/llama3.2']);
+    assert.deepStrictEqual((await tight.route(['openai/gpt-4'], { task: 'general' })).chain, ['openai/gpt-4']);
+    await assert.rejects(tight.route(['openai/gpt-4'], { task: 'coding' }), error =>
+      error instanceof BudgetExceededError && error.skipped[0].modelRef === 'openai/gpt-4');
+  });
+
+  it('should refuse cloud calls at the hard cap and say why in the response', async () => {
+    const manager = new LLMManager({
+      enableHealthChecks: false,
+      provider: 'openai',
+      model: 'gpt-4',
+      fallback: 'ollama/llama3.2',
+      usageTracker: tracker,
+      budget: { daily: { total: 0.1 } }
+    });
+    await once(manager, 'initialized');
+    manager.providers.set('openai', new EchoProvider('openai'));
+    manager.providers.set('ollama', new EchoProvider('ollama', true));
+
+    const first = await manager.chat(null, [{ role: 'user', content: 'hi' }]);
+    assert.strictEqual(first.modelRef, 'openai/gpt-4');
+    assert.strictEqual(first.routing.mode, 'normal');
+    assert.strictEqual(first.routing.reason, 'first choice for general');
+
+    // That call cost $0.09 of $0.10; the next goes local first
+    const second = await manager.chat(null, [{ role: 'user', content: 'hi' }]);
+    assert.strictEqual(second.modelRef, 'ollama/llama3.2');
+    assert.strictEqual(second.routing.mode, 'economy');
+    assert.match(second.routing.reason, /^first choice for general; local model$/);
+
+    await tracker.recordUsage({ model: 'openai/gpt-4', promptTokens: 1000, completionTokens: 1000 });
+    manager.budget.invalidate();
+    const status = await manager.getBudgetStatus();
+    assert.strictEqual(status[0].state, 'hard');
+
+    const third = await manager.chat(null, [{ role: 'user', content: 'hi' }]);
+    assert.strictEqual(third.routing.mode, 'local-only');
+    assert.match(third.routing.reason, /skipped openai\/gpt-4 \(overall daily budget reached/);
+    manager.config.enableFallback = false;
+    await assert.rejects(manager.chat('openai/gpt-4', [{ role: 'user', content: 'hi' }]), BudgetExceededError);
+
+    const entries = await tracker.getUsageEntries();
+    assert.deepStrictEqual(entries.map(e => e.estimatedCost > 0), [true, false, true, false]);
+    assert.deepStrictEqual(entries[0].metadata, { task: 'general', provider: 'openai' });
+  });
+
+  it('should route streams by budget and record what they used', async () => {
+    const manager = new LLMManager({
+      enableHealthChecks: false,
+      provider: 'openai',
+      model: 'gpt-4',
+      fallback: 'ollama/llama3.2',
+      usageTracker: tracker,
+      budget: { daily: { providers: { openai: 0.1 } } }
+    });
+    await once(manager, 'initialized');
+    manager.providers.set('openai', new EchoProvider('openai'));
+    manager.providers.set('ollama', new EchoProvider('ollama', true));
+    const messages = [{ role: 'user', content: 'Tell me about the port' }];
+
+    const read = async () => {
+      const chunks = [];
+      for await (const chunk of manager.stream(null, messages)) chunks.push(chunk);
+      return chunks;
+    };
+
+    const [first] = await read();
+    assert.strictEqual(first.modelRef, 'openai/gpt-4');
+    assert.strictEqual(first.type, 'routing');
+    assert.strictEqual(first.routing.reason, 'first choice for general');
+    const [entry] = await tracker.getUsageEntries();
+    assert.strictEqual(entry.model, 'openai/gpt-4');
+    assert.ok(entry.promptTokens > 0 && entry.completionTokens > 0);
+    assert.deepStrictEqual(entry.metadata, { task: 'general', provider: 'openai' });
+
+    // $0.09 of $0.10 spent: economy mode streams from the local model first
+    await tracker.recordUsage({ model: 'openai/gpt-4', promptTokens: 1000, completionTokens: 1000 });
+    manager.budget.invalidate();
+    const [rerouted] = await read();
+    assert.strictEqual(rerouted.modelRef, 'ollama/llama3.2');
+    assert.strictEqual(rerouted.routing.mode, 'economy');
+
+    await tracker.recordUsage({ model: 'openai/gpt-4', promptTokens: 1000, completionTokens: 1000 });
+    manager.budget.invalidate();
+    manager.config.enableFallback = false;
+    await assert.rejects(read(), BudgetExceededError);
+  });
+
+  it('should only fall back to another model before a stream has started', async () => {
+    const manager = new LLMManager({ enableHealthChecks: false, provider: 'openai', model: 'gpt-4', fallback: 'ollama/llama3.2' });
+    await once(manager, 'initialized');
+    const openai = new EchoProvider('openai');
+    manager.providers.set('openai', openai);
+    manager.providers.set('ollama', new EchoProvider('ollama', true));
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    const read = async () => {
+      const chunks = [];
+      for await (const chunk of manager.stream(null, messages)) chunks.push(chunk);
+      return chunks;
+    };
+
+    openai.stream = async function* () {
+      throw new Error('connection refused');
+    };
+    const [routing, ...tokens] = await read();
+    assert.strictEqual(routing.modelRef, 'ollama/llama3.2');
+    assert.strictEqual(routing.fallbackUsed, true);
+    assert.match(routing.routing.reason, /^fallback for general; tried openai\/gpt-4 \(failed: connection refused\)$/);
+    assert.strictEqual(tokens.map(chunk => chunk.token).join(''), 'ollama/llama3.2');
+
+    openai.stream = async function* () {
+      yield { token: 'Hel', done: false };
+      throw new Error('connection reset');
+    };
+    const streamed = [];
+    await assert.rejects(async () => {
+      for await (const chunk of manager.stream(null, messages)) streamed.push(chunk);
+    }, /connection reset/);
+    assert.deepStrictEqual(streamed.map(chunk => [chunk.type, chunk.modelRef]), [['routing', 'openai/gpt-4'], [undefined, 'openai/gpt-4']]);
+  });
+
+  it('should hold ModelManager to the same budgets', async () => {
+    const manager = new ModelManager({ usageTracker: tracker, budget: { daily: { providers: { openai: 0.1 } } } });
+    manager.registerProvider(Object.assign(new EchoProvider('openai'), { type: 'remote' }));
+    manager.registerProvider(Object.assign(new EchoProvider('ollama', true), { type: 'local' }));
+    manager.fallbackChains.general = ['openai/gpt-4', 'ollama/llama3.2'];
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    const first = await manager.chatWithFallback('general', messages);
+    assert.strictEqual(first.modelRef, 'openai/gpt-4');
+
+    // $0.09 spent; economy mode puts the local model first
+    const second = await manager.chatWithFallback('general', messages);
+    assert.strictEqual(second.modelRef, 'ollama/llama3.2');
+
+    await tracker.recordUsage({ model: 'openai/gpt-4', promptTokens: 1000, completionTokens: 1000 });
+    manager.budget.invalidate();
+    await assert.rejects(manager.chat('openai/gpt-4', messages), BudgetExceededError);
+    await assert.rejects(manager.stream('openai/gpt-4', messages).next(), BudgetExceededError);
+
+    const entries = await tracker.getUsageEntries();
+    assert.deepStrictEqual(entries.map(e => [e.model, e.estimatedCost > 0]), [
+      ['openai/gpt-4', true], ['ollama/llama3.2', false], ['openai/gpt-4', true],
+    ]);
+  });
+});
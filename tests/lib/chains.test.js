@@ -0,0 +1,165 @@
+/**
+ * Tests for the chain condition language, explain mode and side-effect actions
+ *
+ * Run with: node --test tests/lib/chains.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { parseCondition, describeCondition, evaluateCondition } from '../../lib/skills/chain-conditions.js';
+import { ChainEngine } from '../../lib/skills/chains.js';
+import { GoalTracker } from '../../lib/skills/goals.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-chains');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Chain conditions', () => {
+  it('should parse boolean logic, time windows and units', () => {
+    const node = parseCondition('coffee > 3 and after 14:00 and not (last.sleep >= 6h or weekday == "sat")');
+    assert.strictEqual(describeCondition(node), 'coffee > 3 and after 14:00 and not (last.sleep >= 6h or weekday == "sat")');
+    assert.throws(() => parseCondition('coffee >'), /Invalid condition/);
+  });
+
+  it('should accept the original { field, op, value } shape', async () => {
+    const node = parseCondition({ field: 'score', op: '<=', value: 4 });
+    const { result } = await evaluateCondition(node, name => (name === 'score' ? 3 : undefined));
+    assert.strictEqual(result, true);
+  });
+
+  it('should compare quantities in different units', async () => {
+    const values = { 'last.sleep': { value: 330, unit: 'minutes' } };
+    const { result, trace } = await evaluateCondition(parseCondition('last.sleep < 6h'), name => values[name]);
+    assert.strictEqual(result, true);
+    assert.strictEqual(trace[0].result, true);
+  });
+});
+
+describe('ChainEngine', () => {
+  let sm;
+  let chains;
+  const jobs = [];
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    const goals = await new GoalTracker(sm.dataDir).init();
+    chains = await new ChainEngine(sm, goals, sm.dataDir, {
+      taskQueue: { enqueue: async (jobType, payload, options) => { jobs.push({ jobType, payload, options }); return 'job-1'; } }
+    }).init();
+    chains.chains = [];
+
+    await sm.createSkill('Coffee', { unit: 'cups' });
+    await sm.createSkill('Sleep', { unit: 'hours' });
+    await sm.createSkill('Caffeine', { unit: 'mg' });
+    await sm.addEntry('sleep', { value: 5, timestamp: Date.now() - DAY });
+    for (let i = 0; i < 4; i++) await sm.addEntry('coffee', { value: 1 });
+
+    await chains.addChain({
+      id: 'late-coffee',
+      trigger: { skill: 'coffee', event: 'logged', condition: 'today.coffee > 3 and after 14:00 and last.sleep < 6h' },
+      actions: [
+        { type: 'message', message: '☕ {today.coffee} cups on {last.sleep}h of sleep' },
+        { type: 'job', jobType: 'caffeine-check', payload: { cups: '=today.coffee' }, delay: 60 }
+      ]
+    });
+    await chains.addChain({
+      id: 'caffeine',
+      trigger: { skill: 'coffee', event: 'logged' },
+      action: { type: 'log', skill: 'caffeine', entry: { value: '=entry.value * 95' } }
+    });
+  });
+
+  after(() => {
+    sm.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should reject chains with unknown actions or bad conditions', async () => {
+    await assert.rejects(chains.addChain({ trigger: { event: 'logged' }, action: { type: 'teleport' } }), /unknown action type/);
+    await assert.rejects(chains.addChain({ trigger: { event: 'logged', condition: 'coffee >>' }, action: { type: 'message', message: 'x' } }), /Invalid chain/);
+    await assert.rejects(chains.addChain({ trigger: { event: 'logged' }, action: { type: 'job' } }), /need jobType/);
+  });
+
+  it('should explain why a chain did or did not fire without side effects', async () => {
+    const morning = new Date();
+    morning.setHours(9, 0, 0, 0);
+    const [lateCoffee, caffeine] = await chains.explain('logged', 'coffee', { entry: { value: 1 } }, { now: morning });
+
+    assert.strictEqual(lateCoffee.fired, false);
+    assert.match(lateCoffee.reason, /after 14:00/);
+    assert.deepStrictEqual(lateCoffee.condition.trace.map(step => step.result), [true, false, true]);
+
+    assert.strictEqual(caffeine.fired, true);
+    assert.deepStrictEqual(caffeine.actions[0].entry, { value: 95 });
+    assert.strictEqual(caffeine.actions[0].status, 'planned');
+    assert.strictEqual((await sm.getEntries('caffeine')).length, 0);
+    assert.strictEqual(jobs.length, 0);
+  });
+
+  it('should log derived entries and enqueue jobs when a chain fires', async () => {
+    const evening = new Date();
+    evening.setHours(18, 0, 0, 0);
+    const actions = await chains.processEvent('logged', 'coffee', { entry: { value: 2 } }, { now: evening });
+
+    assert.strictEqual(actions[0].message, '☕ 4 cups on 5h of sleep');
+    assert.deepStrictEqual(jobs, [{
+      jobType: 'caffeine-check',
+      payload: { cups: 4 },
+      options: { delay: 60 * 60 * 1000, priority: undefined, metadata: { chainId: 'late-coffee' } }
+    }]);
+
+    const [derived] = await sm.getEntries('caffeine');
+    assert.strictEqual(derived.value, 190);
+    assert.strictEqual(derived.source, 'chain:caffeine');
+    assert.deepStrictEqual(chains.getMessages(actions), ['☕ 4 cups on 5h of sleep']);
+  });
+});
+
+describe('ChainEngine default transports', () => {
+  const dir = path.join(TEST_DIR, 'transports');
+  const originalHome = process.env.HOME;
+  let engine;
+
+  before(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    // The job database lives under ~/.static-rebel
+    process.env.HOME = dir;
+    engine = new ChainEngine(null, null, dir, {
+      webhooks: { deliver: () => new Promise(() => {}), get: async () => null },
+      webhookTimeoutMs: 20
+    });
+  });
+
+  after(() => {
+    engine.taskQueue?.db?.close();
+    process.env.HOME = originalHome;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should give up on webhooks that do not answer', async () => {
+    const action = { type: 'webhook', url: 'http://example.test/hook', chainId: 'slow' };
+    await engine.executeAction(action);
+    assert.strictEqual(action.status, 'failed');
+    assert.match(action.error, /timed out/);
+  });
+
+  it('should enqueue jobs for the app task queue without a queue passed in', async () => {
+    const action = { type: 'job', jobType: 'caffeine-check', payload: { cups: 4 }, chainId: 'late-coffee' };
+    await engine.executeAction(action);
+    assert.strictEqual(action.status, 'done');
+
+    const job = engine.taskQueue.db.prepare('SELECT * FROM jobs WHERE id = ?').get(action.result.jobId);
+    assert.deepStrictEqual([job.type, JSON.parse(job.payload).cups, job.status], ['caffeine-check', 4, 'ready']);
+    assert.strictEqual(engine.taskQueue.isRunning, false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the Discord integration's skill data: per-user logs, stats,
+ * streaks, undo and challenge leaderboards
+ *
+ * Run with: node --test tests/lib/discordIntegration.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-discord');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Challenges live under ~/.static-rebel/social
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+const { DiscordIntegration } = await import('../../lib/integrations/discord.js');
+const { DiscordUserMap, LOCAL_USER } = await import('../../lib/integrations/discord-users.js');
+const { SkillManager } = await import('../../lib/skills/skill-manager.js');
+
+describe('Discord integration skill data', () => {
+  const owner = { id: '100', username: 'owner' };
+  const friend = { id: '200', username: 'friend' };
+  let sm;
+  let guests;
+  let discord;
+
+  before(async () => {
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    await sm.createSkill('Water', { unit: 'ml', triggers: ['water'] });
+    guests = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'guest-data')
+    });
+    await guests.init();
+
+    discord = new DiscordIntegration({
+      skillManager: sm,
+      guestSkillManager: guests,
+      userMap: new DiscordUserMap({ file: path.join(TEST_DIR, 'discord-users.json'), ownerId: owner.id })
+    });
+  });
+
+  after(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should log to the skill as the mapped user and keep stats per user', async () => {
+    const mine = await discord.logToSkill(owner, '500ml water');
+    const theirs = await discord.logToSkill(friend, 'water 250');
+
+    assert.strictEqual(mine.skill.id, 'water');
+    assert.strictEqual(mine.entry.user, undefined);
+    assert.strictEqual(theirs.entry.user, 'discord-200');
+    assert.strictEqual(theirs.todaySum, 250);
+
+    const stats = await discord.getUserStats(owner, 'today');
+    assert.strictEqual(stats.user, LOCAL_USER);
+    assert.deepStrictEqual(stats.skills.map(s => [s.id, s.count, s.sum]), [['water', 1, 500]]);
+
+    // Only the owner's logs are in the owner's skill data
+    assert.deepStrictEqual((await sm.getEntries('water')).map(e => e.value), [500]);
+    assert.deepStrictEqual((await guests.getEntries('water')).map(e => e.value), [250]);
+
+    const unknown = await discord.logToSkill(friend, 'read a book');
+    assert.strictEqual(unknown.success, false);
+  });
+
+  it('should announce streak milestones from the user\'s own entries', async () => {
+    await guests.importEntries('water', [1, 2].map(daysAgo => ({
+      value: 300,
+      user: 'discord-200',
+      timestamp: Date.now() - daysAgo * DAY
+    })));
+
+    const result = await discord.logToSkill(friend, 'water 100');
+    assert.strictEqual(result.streak.current, 3);
+    assert.strictEqual(result.milestone, 3);
+    assert.strictEqual((await discord.logToSkill(friend, 'water 100')).milestone, null);
+
+    const info = await discord.getStreakInfo(owner);
+    assert.deepStrictEqual([info.current, info.skill.id], [1, 'water']);
+  });
+
+  it('should only undo or fix the user\'s own entries', async () => {
+    const [ownerLast] = await sm.getEntries('water');
+    await discord.logToSkill({ id: '300', username: 'other' }, 'water 50');
+
+    assert.match(await discord.applyCorrectionText(friend, 'actually that was 120', 'discord'), /Updated/);
+    assert.match(await discord.applyCorrectionText(friend, 'undo', 'discord'), /Removed/);
+
+    const [friendLast] = await discord.getUserEntries('water', 'discord-200');
+    assert.strictEqual(friendLast.value, 100);
+    assert.strictEqual((await discord.getUserEntries('water', 'discord-300'))[0].value, 50);
+    assert.deepStrictEqual(await sm.getEntries('water'), [ownerLast]);
+  });
+
+  it('should rank challenge participants by what they log after joining', async () => {
+    const created = await discord.createChallenge(owner, {
+      name: 'Hydrate', description: 'Most water wins', duration: 7, skill: 'water', type: 'total'
+    });
+    assert.ok(created.success);
+
+    const joined = await discord.joinChallenge(friend, created.challenge.shareCode);
+    assert.ok(joined.success);
+    assert.strictEqual((await discord.joinChallenge(friend, created.challenge.id)).success, false);
+
+    await discord.logToSkill(owner, '400ml water');
+    const logged = await discord.logToSkill(friend, 'water 750');
+    assert.deepStrictEqual(logged.challenges.map(c => c.name), ['Hydrate']);
+
+    const { challenge, leaderboard } = await discord.getChallengeLeaderboard(null, friend);
+    assert.strictEqual(challenge.id, created.challenge.id);
+    assert.deepStrictEqual(leaderboard.map(p => [p.name, p.score]), [['friend', 750], ['owner', 400]]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for EnhancedAssistant: the model picks tools through native tool
+ * calling and the agent loop runs them
+ *
+ * Run with: node --test tests/lib/enhancedAssistant.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-enhanced-assistant');
+
+// Plugins and settings live under ~/.static-rebel
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+fs.mkdirSync(TEST_DIR, { recursive: true });
+process.env.HOME = TEST_DIR;
+
+const NOTES = path.join(TEST_DIR, 'notes.txt');
+fs.writeFileSync(NOTES, 'Buy oat milk');
+
+const { EnhancedAssistant } = await import('../../lib/enhancedAssistant.js');
+
+// Stands in for the LLMManager: asks to read the notes
+function fakeLLM() {
+  const llm = { calls: [] };
+  llm.chat = async (model, messages, options) => {
+    llm.calls.push({ model, messages, tools: options.tools });
+    return { content: '', toolCalls: [{ id: 'call_1', name: 'file_read', arguments: { path: NOTES } }] };
+  };
+  return llm;
+}
+
+describe('EnhancedAssistant tool calling', () => {
+  after(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should offer the registry tools with their schemas and run the calls', async () => {
+    const llm = fakeLLM();
+    const assistant = new EnhancedAssistant({ llm, model: 'ollama/llama3.2', autonomyLevel: 3, enableMemory: false });
+
+    const result = await assistant.processMessage('What is in my notes?');
+
+    const [first] = llm.calls;
+    assert.strictEqual(first.model, 'ollama/llama3.2');
+    const fileRead = first.tools.find(tool => tool.name === 'file_read');
+    assert.strictEqual(fileRead.parameters.type, 'object');
+    assert.deepStrictEqual(fileRead.parameters.required, ['path']);
+    assert.strictEqual(fileRead.parameters.properties.path.type, 'string');
+
+    const [action] = result.actions;
+    assert.strictEqual(action.type, 'file_read');
+    assert.strictEqual(action.status, 'completed');
+    assert.strictEqual(action.result.content, 'Buy oat milk');
+    // The goal is done once every action succeeded
+    assert.strictEqual(result.iterations, 1);
+    assert.strictEqual(result.goal.status, 'completed');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for period projections and goal forecasts
+ *
+ * Run with: node --test tests/lib/forecast.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { ForecastEngine } from '../../lib/skills/forecast.js';
+import { normalizeGoalRule } from '../../lib/skills/goal-rules.js';
+import { GoalTracker } from '../../lib/skills/goals.js';
+import { NudgeEngine } from '../../lib/skills/nudges.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-forecast');
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+// Wednesday, midday
+const NOW = new Date('2024-05-15T12:00:00Z');
+const TODAY = Date.parse('2024-05-15T00:00:00Z');
+
+describe('ForecastEngine', () => {
+  let sm;
+  let forecaster;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    forecaster = new ForecastEngine(sm);
+
+    await sm.createSkill('Water', { unit: 'ml' });
+    await sm.createSkill('Run', { unit: 'km' });
+
+    // Four weeks of water: 1000 ml in the morning, 1000 ml in the evening.
+    // Today only the morning glass so far.
+    const water = [{ value: 1000, timestamp: TODAY + 9 * HOUR }];
+    for (let i = 1; i <= 28; i++) {
+      water.push({ value: 1000, timestamp: TODAY - i * DAY + 9 * HOUR });
+      water.push({ value: 1000, timestamp: TODAY - i * DAY + 18 * HOUR });
+    }
+    await sm.importEntries('water', water);
+
+    // Runs on Mondays and Thursdays; this week's Monday is done
+    const runs = [];
+    for (let i = 0; i <= 28; i++) {
+      const day = new Date(TODAY - i * DAY).getUTCDay();
+      if (day === 1 || day === 4) runs.push({ value: 5, timestamp: TODAY - i * DAY + 7 * HOUR });
+    }
+    await sm.importEntries('run', runs);
+  });
+
+  after(() => {
+    sm.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should project the rest of today from the intraday pattern', async () => {
+    const day = await forecaster.projectPeriod('water', 'day', { now: NOW });
+    assert.strictEqual(day.actual, 1000);
+    assert.strictEqual(day.expectedRest, 1000);
+    assert.strictEqual(day.projected, 2000);
+    assert.strictEqual(day.reliable, true);
+  });
+
+  it('should project the week from the same weekdays', async () => {
+    const week = await forecaster.projectPeriod('run', 'week', { now: NOW, metric: 'count' });
+    assert.strictEqual(week.key, '2024-05-12');
+    assert.strictEqual(week.actual, 1);
+    assert.strictEqual(week.daysLeft, 3);
+    assert.strictEqual(week.projected, 2);
+  });
+
+  it('should estimate the chance of hitting a goal', async () => {
+    const onTrack = await forecaster.forecastGoal('water', normalizeGoalRule({ min: 2000, unit: 'ml' }), { now: NOW });
+    assert.strictEqual(onTrack.outlook, 'on-track');
+    assert.strictEqual(onTrack.probability, 1);
+
+    const weekly = await forecaster.forecastGoal('run',
+      normalizeGoalRule({ period: 'week', metric: 'count', min: 3, unit: 'runs' }), { now: NOW });
+    assert.strictEqual(weekly.outlook, 'off-track');
+    assert.strictEqual(weekly.message, "At this pace you'll miss your weekly Run target: about 2 runs of 3 runs (0% chance)");
+
+    const limit = await forecaster.forecastGoal('water', normalizeGoalRule({ max: 1500, unit: 'ml' }), { now: NOW });
+    assert.strictEqual(limit.outlook, 'off-track');
+    assert.match(limit.message, /go over your daily Water limit/);
+  });
+});
+
+describe('Forecast nudges', () => {
+  const dir = path.join(TEST_DIR, 'nudges');
+  let sm;
+
+  before(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    sm = new SkillManager({ skillsDir: path.join(dir, 'skills'), dataDir: path.join(dir, 'data') });
+    await sm.init();
+    await sm.createSkill('Run', { unit: 'km' });
+
+    // One run a day, just after midnight, for the last four weeks
+    const startOfToday = Date.parse(`${new Date().toISOString().split('T')[0]}T00:00:00Z`);
+    await sm.importEntries('run', Array.from({ length: 28 }, (_, i) => ({
+      value: 5,
+      timestamp: startOfToday - i * DAY + 1000
+    })));
+  });
+
+  after(() => {
+    sm.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should warn when the week is projected to fall short', async () => {
+    const goals = await new GoalTracker(sm.dataDir).init();
+    await goals.setGoal('run', { period: 'week', metric: 'count', min: 20, unit: 'runs' });
+    const nudges = new NudgeEngine(sm, goals, sm.dataDir);
+
+    const entries = await sm.getEntries('run');
+    const nudge = await nudges.checkGoalProgress('run', entries, []);
+    assert.strictEqual(nudge.priority, 'medium');
+    assert.match(nudge.message, /^📅 At this pace you'll miss your weekly Run target: about 7 runs of 20 runs/);
+  });
+});
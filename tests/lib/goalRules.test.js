@@ -0,0 +1,149 @@
+/**
+ * Tests for recurring and time-windowed goals
+ *
+ * Run with: node --test tests/lib/goalRules.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  normalizeGoalRule,
+  normalizeGoalRules,
+  evaluateGoalRule,
+  describeGoalRule
+} from '../../lib/skills/goal-rules.js';
+import { GoalTracker } from '../../lib/skills/goals.js';
+import { NudgeEngine } from '../../lib/skills/nudges.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-goal-rules');
+// Wednesday
+const NOW = new Date('2024-05-15T12:00:00Z');
+
+function daysAgo(n) {
+  return new Date(NOW.getTime() - n * 86400000).toISOString().split('T')[0];
+}
+
+describe('Goal rules', () => {
+  it('should infer direction and validate rules', () => {
+    assert.strictEqual(normalizeGoalRule({ max: 2 }).direction, 'max');
+    assert.strictEqual(normalizeGoalRule({ min: 1, max: 3 }).direction, 'range');
+    assert.deepStrictEqual(normalizeGoalRule({ max: 2000, days: 'weekdays' }).days, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(normalizeGoalRule({ min: 1, days: ['mon', 'fri'] }).days, [1, 5]);
+
+    assert.throws(() => normalizeGoalRule({ period: 'year', min: 1 }), /period must be one of/);
+    assert.throws(() => normalizeGoalRule({ direction: 'max' }), /needs max/);
+    assert.throws(() => normalizeGoalRule({ min: 5, max: 1 }), /min is greater than max/);
+    assert.throws(() => normalizeGoalRule({ min: 1, tolerance: { required: 31, window: 30 } }), /tolerance/);
+  });
+
+  it('should read the original daily/weekly goals as legacy rules', () => {
+    const rules = normalizeGoalRules({ daily: 2000, weekly: 14000, unit: 'ml' });
+    assert.deepStrictEqual(rules.map(r => [r.period, r.min, r.legacy]), [['day', 2000, true], ['week', 14000, true]]);
+  });
+
+  it('should count workouts per week and streak by week', () => {
+    const rule = normalizeGoalRule({ period: 'week', metric: 'count', min: 3, unit: 'workouts' });
+    const entries = [
+      // two full weeks of 3 workouts, then 1 so far this week
+      ...[13, 12, 11, 6, 5, 4].map(n => ({ date: daysAgo(n) })),
+      { date: daysAgo(1) }
+    ];
+    const result = evaluateGoalRule(rule, entries, { now: NOW });
+
+    assert.deepStrictEqual(result.streak, { current: 2, longest: 2, period: 'week' });
+    assert.strictEqual(result.current.status, 'pending');
+    assert.strictEqual(result.current.remaining, 2);
+    assert.strictEqual(describeGoalRule(rule), 'at least 3 workouts per week');
+  });
+
+  it('should treat max goals as limits and skip excluded days', () => {
+    const rule = normalizeGoalRule({ max: 2000, days: 'weekdays', unit: 'kcal' });
+    const entries = [
+      { date: daysAgo(2), value: 1800 }, // Mon
+      { date: daysAgo(3), value: 3500 }, // Sun - not counted
+      { date: daysAgo(5), value: 2400 }, // Fri - over
+      { date: daysAgo(0), value: 2100 }  // today - over already
+    ];
+    const result = evaluateGoalRule(rule, entries, { now: NOW });
+    const statuses = Object.fromEntries(result.periods.map(p => [p.period, p.status]));
+
+    assert.strictEqual(statuses[daysAgo(3)], 'skipped');
+    assert.strictEqual(statuses[daysAgo(5)], 'missed');
+    assert.strictEqual(statuses[daysAgo(1)], 'met');
+    assert.strictEqual(result.current.exceeded, true);
+    assert.strictEqual(result.streak.current, 0);
+    assert.strictEqual(result.streak.longest, 2);
+  });
+
+  it('should honor "N of M days" tolerance', () => {
+    const rule = normalizeGoalRule({ min: 10000, tolerance: { required: 3, window: 5 } });
+    const steps = [12000, 3000, 11000, 10500, 2000];
+    const entries = steps.map((value, i) => ({ date: daysAgo(5 - i), value }));
+    const result = evaluateGoalRule(rule, entries, { now: NOW });
+
+    assert.deepStrictEqual(
+      { met: result.window.met, achieved: result.window.achieved },
+      { met: 3, achieved: true }
+    );
+    assert.strictEqual(describeGoalRule(rule), 'at least 10000 on 3 of 5 days');
+  });
+});
+
+describe('Goal tracking with rules', () => {
+  let sm;
+  let goals;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    goals = await new GoalTracker(sm.dataDir).init();
+  });
+
+  after(() => {
+    sm.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should load goal rules from the skill markdown', async () => {
+    const skill = await sm.createSkill('Coffee', {
+      unit: 'cups',
+      goals: [{ period: 'day', metric: 'count', max: 2 }]
+    });
+    assert.deepStrictEqual(skill.goals, [{ period: 'day', metric: 'count', max: 2 }]);
+    assert.strictEqual(goals.getStreakRule('coffee', skill).direction, 'max');
+
+    await assert.rejects(() => sm.createSkill('Tea', { goals: [{ period: 'fortnight', min: 1 }] }), /period/);
+  });
+
+  it('should warn when a limit is exceeded', async () => {
+    const nudges = new NudgeEngine(sm, goals, sm.dataDir);
+    for (let i = 0; i < 3; i++) await sm.addEntry('coffee', { value: 1 });
+
+    const entries = await sm.getEntries('coffee');
+    const nudge = await nudges.checkGoalProgress('coffee', entries, entries);
+    assert.strictEqual(nudge.priority, 'medium');
+    assert.match(nudge.message, /Over your coffee limit today: 3 cups of 2 cups/);
+  });
+
+  it('should award week streak milestones', async () => {
+    await goals.setGoal('run', { period: 'week', metric: 'count', min: 1 });
+    const today = new Date();
+    const entries = [0, 7, 14].map(n => ({
+      date: new Date(today.getTime() - n * 86400000).toISOString().split('T')[0]
+    }));
+
+    const result = await goals.updateStreak('run', entries);
+    assert.strictEqual(result.streak.period, 'week');
+    assert.strictEqual(result.streak.current, 3);
+    assert.ok(goals.getAchievements('run').some(a => a.type === 'streak-3-week'));
+  });
+});
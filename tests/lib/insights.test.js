@@ -0,0 +1,133 @@
+/**
+ * Tests for correlations, significance and anomaly detection in insights
+ *
+ * Run with: node --test tests/lib/insights.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  rank,
+  spearmanCorrelation,
+  correlationSignificance,
+  adjustPValues
+} from '../../lib/skills/statistics.js';
+import { InsightsEngine } from '../../lib/skills/insights.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-insights');
+const DAY = 24 * 60 * 60 * 1000;
+// A Monday
+const START = Date.parse('2024-01-01T12:00:00Z');
+
+describe('Statistics', () => {
+  it('should rank ties by their average position', () => {
+    assert.deepStrictEqual(rank([10, 20, 20, 5]), [2, 3.5, 3.5, 1]);
+  });
+
+  it('should see monotonic but non-linear relationships with Spearman', () => {
+    const x = [1, 2, 3, 4, 5, 6, 7, 8];
+    assert.strictEqual(spearmanCorrelation(x, x.map(v => Math.exp(v))), 1);
+  });
+
+  it('should give p-values that shrink with more data', () => {
+    const small = correlationSignificance(0.5, 8);
+    const large = correlationSignificance(0.5, 30);
+    assert.ok(small.pValue > 0.05);
+    assert.ok(Math.abs(large.pValue - 0.0043) < 0.0005);
+    assert.ok(large.interval[0] > 0.1 && large.interval[1] < 0.8);
+    assert.strictEqual(correlationSignificance(0.9, 3), null);
+  });
+
+  it('should adjust p-values for multiple comparisons', () => {
+    assert.deepStrictEqual(adjustPValues([0.01, 0.04, 0.03]).map(p => Math.round(p * 1000) / 1000), [0.03, 0.04, 0.04]);
+  });
+});
+
+describe('InsightsEngine', () => {
+  let sm;
+  let insights;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    insights = new InsightsEngine(sm);
+
+    await sm.createSkill('Sleep', { unit: 'hours' });
+    await sm.createSkill('Mood', { unit: 'score' });
+    await sm.createSkill('Steps', { unit: 'steps' });
+
+    // Mood tracks the previous night's sleep, not the same day's
+    let seed = 7;
+    const sleep = Array.from({ length: 40 }, () => {
+      seed = (seed * 16807) % 2147483647;
+      return 5 + (seed % 5);
+    });
+    await sm.importEntries('sleep', sleep.map((value, i) => ({ value, timestamp: START + i * DAY })));
+    await sm.importEntries('mood', sleep.slice(0, -1).map((value, i) => ({
+      value: value + (i % 2) * 0.5,
+      timestamp: START + (i + 1) * DAY
+    })));
+
+    // Long walks every Saturday, a normal weekday amount otherwise, one odd Wednesday
+    await sm.importEntries('steps', Array.from({ length: 42 }, (_, i) => {
+      const saturday = i % 7 === 5;
+      const value = saturday ? 20000 + (i % 3) * 500 : 6000 + (i % 4) * 100;
+      return { value: i === 16 ? 15000 : value, timestamp: START + i * DAY };
+    }));
+  });
+
+  after(() => {
+    sm.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should find a lagged correlation with confidence', async () => {
+    const sameDay = await insights.correlateSkills('sleep', 'value', 'mood', 'value');
+    const nextDay = await insights.correlateSkills('sleep', 'value', 'mood', 'value', { lag: 1 });
+
+    assert.strictEqual(sameDay.significant, false);
+    assert.strictEqual(nextDay.lag, 1);
+    assert.strictEqual(nextDay.sampleSize, 39);
+    assert.ok(nextDay.correlation > 0.9);
+    assert.strictEqual(nextDay.confidence, 'high');
+    assert.strictEqual(nextDay.interpretation, 'Strong positive correlation');
+  });
+
+  it('should refuse to correlate too few days', async () => {
+    const result = await insights.correlateSkills('sleep', 'value', 'mood', 'value', {
+      lag: 1,
+      until: new Date(START + 6 * DAY).toISOString()
+    });
+    assert.strictEqual(result.correlation, null);
+    assert.match(result.interpretation, /need 10\+ days/);
+  });
+
+  it('should rank cross-skill findings and report their sample size', async () => {
+    const findings = await insights.findCorrelations();
+    assert.strictEqual(findings[0].skillA, 'sleep');
+    assert.strictEqual(findings[0].skillB, 'mood');
+    assert.strictEqual(findings[0].lag, 1);
+
+    const [message] = await insights.getCrossSkillInsights();
+    assert.match(message, /^Higher sleep goes with higher mood the next day \(r=[\d.]+, 39 days, high confidence\)$/);
+  });
+
+  it('should judge anomalies against the same weekday', async () => {
+    const result = await insights.detectAnomalies('steps', 'value');
+    assert.strictEqual(result.seasonal, true);
+    assert.deepStrictEqual(result.anomalies.map(a => [a.date, a.baseline, a.direction]), [['2024-01-17', 'Wed', 'high']]);
+
+    // Without weekday baselines every Saturday looks unusual
+    const flat = await insights.detectAnomalies('steps', 'value', { seasonal: false });
+    assert.ok(flat.anomalies.filter(a => a.value >= 20000).length >= 5);
+  });
+});
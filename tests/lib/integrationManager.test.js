@@ -0,0 +1,144 @@
+/**
+ * Tests for IntegrationManager: the common integration lifecycle, health
+ * reporting and runtime toggles
+ *
+ * Run with: node --test tests/lib/integrationManager.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-integrations');
+
+// Toggles live in ~/.static-rebel/config/config.json
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+const { IntegrationManager } = await import('../../lib/integrations/index.js');
+const { Integration, IntegrationState } = await import('../../lib/integrations/base.js');
+const { setIntegrationEnabled } = await import('../../lib/integrations/status.js');
+const { HealthMonitor, HealthStatus } = await import('../../lib/healthMonitor.js');
+
+class FakeChat extends Integration {
+  static id = 'fakechat';
+  static label = 'Fake Chat';
+  static capabilities = { send: true, receive: true };
+
+  static detect() {
+    return true;
+  }
+
+  async createService() {
+    return { sent: [], connected: false };
+  }
+
+  async connect() {
+    this.service.connected = true;
+  }
+
+  async disconnect() {
+    this.service.connected = false;
+  }
+
+  async deliver(message, options) {
+    this.service.sent.push({ message, options });
+    return true;
+  }
+}
+
+class FakeMail extends FakeChat {
+  static id = 'fakemail';
+  static label = 'Fake Mail';
+
+  static detect() {
+    return false;
+  }
+}
+
+class BrokenSync extends Integration {
+  static id = 'brokensync';
+  static label = 'Broken Sync';
+
+  static detect() {
+    return true;
+  }
+
+  async createService() {
+    return {};
+  }
+
+  async validateConfig() {
+    return { valid: false, errors: ['API key is not set'] };
+  }
+}
+
+describe('IntegrationManager', () => {
+  let manager;
+  let monitor;
+
+  before(async () => {
+    monitor = new HealthMonitor({ ollama: { enabled: false } });
+    manager = new IntegrationManager({
+      adapters: [FakeChat, FakeMail, BrokenSync],
+      healthMonitor: monitor,
+      statusFile: path.join(TEST_DIR, 'status.json'),
+      watchConfig: false
+    });
+    await manager.initialize();
+  });
+
+  after(async () => {
+    await manager.shutdown();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should start detected integrations and report failures to the HealthMonitor', async () => {
+    assert.strictEqual(manager.getAdapter('fakechat').state, IntegrationState.RUNNING);
+    assert.strictEqual(manager.getIntegration('fakechat').connected, true);
+    assert.strictEqual(manager.getAdapter('fakemail'), undefined);
+
+    const broken = manager.getAdapter('brokensync');
+    assert.strictEqual(broken.state, IntegrationState.FAILED);
+    assert.match(broken.error.message, /API key is not set/);
+
+    const results = await monitor.check();
+    assert.strictEqual(results.services['integration:fakechat'].status, HealthStatus.HEALTHY);
+    assert.strictEqual(results.services['integration:brokensync'].status, HealthStatus.UNHEALTHY);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(TEST_DIR, 'status.json'), 'utf-8'));
+    assert.strictEqual(snapshot.integrations.fakechat.state, 'running');
+  });
+
+  it('should follow config toggles and only send through running integrations', async () => {
+    setIntegrationEnabled('fakemail', true, manager.registry);
+    setIntegrationEnabled('brokensync', false, manager.registry);
+    await manager.reconcile();
+
+    assert.strictEqual(manager.getAdapter('fakemail').state, IntegrationState.RUNNING);
+    assert.strictEqual(manager.getAdapter('brokensync'), undefined);
+    assert.strictEqual((await monitor.check()).services['integration:brokensync'], undefined);
+
+    await manager.disable('fakechat');
+    const results = await manager.sendNotification('Time for water', { to: 'me' });
+    assert.deepStrictEqual(results.map(r => [r.platform, r.success]), [['fakemail', true]]);
+    assert.deepStrictEqual(manager.getIntegration('fakemail').sent, [{ message: 'Time for water', options: { to: 'me' } }]);
+
+    assert.throws(() => setIntegrationEnabled('nope', true, manager.registry), { code: 'unknown_integration' });
+  });
+
+  it('should forward incoming messages from any integration', async () => {
+    const received = [];
+    manager.on('message', message => received.push(message));
+
+    manager.getAdapter('fakemail').receive({ from: 'friend', text: 'hello' });
+    assert.deepStrictEqual(
+      received.map(({ integration, from, text }) => ({ integration, from, text })),
+      [{ integration: 'fakemail', from: 'friend', text: 'hello' }]
+    );
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for provider-neutral tool calling
+ *
+ * Run with: node --test tests/lib/llm-tools.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { parseTextToolCalls, toOpenAIMessages, runToolLoop } from '../../lib/llm/tools.js';
+import { BaseProvider } from '../../lib/llm/providers/BaseProvider.js';
+import { AnthropicProvider } from '../../lib/llm/providers/AnthropicProvider.js';
+import { AgentLoop } from '../../lib/agentLoop.js';
+import { ToolRegistry } from '../../lib/tools/registry.js';
+
+const WEATHER = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+const CONVERSATION = [
+  { role: 'user', content: 'Weather in Oslo and Lima?' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [
+      { id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } },
+      { id: 'call_2', name: 'get_weather', arguments: { city: 'Lima' } }
+    ]
+  },
+  { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: { temp: 4 } },
+  { role: 'tool', toolCallId: 'call_2', name: 'get_weather', content: '22C' }
+];
+
+class TextOnlyProvider extends BaseProvider {
+  constructor(reply) {
+    super('text-only');
+    this.reply = reply;
+    this.sent = null;
+  }
+
+  async chat(model, messages) {
+    this.sent = messages;
+    return this.normalizeResponse({ content: this.reply }, model);
+  }
+}
+
+describe('Tool call formats', () => {
+  it('should parse tool calls written as JSON in text', () => {
+    const reply = 'Checking both.\n```json\n{"tool_calls": [{"name": "get_weather", "arguments": {"city": "Oslo"}}, {"name": "get_weather", "arguments": "{\\"city\\": \\"Lima\\"}"}]}\n```';
+    const { content, toolCalls } = parseTextToolCalls(reply, [WEATHER]);
+
+    assert.strictEqual(content, 'Checking both.');
+    assert.deepStrictEqual(toolCalls.map(call => call.arguments.city), ['Oslo', 'Lima']);
+    assert.ok(toolCalls.every(call => call.id && call.name === 'get_weather'));
+
+    const unknown = parseTextToolCalls('{"name": "rm_rf", "arguments": {}}', [WEATHER]);
+    assert.strictEqual(unknown.toolCalls.length, 0);
+  });
+
+  it('should map tool conversations to OpenAI and Anthropic messages', () => {
+    const openai = toOpenAIMessages(CONVERSATION);
+    assert.strictEqual(openai[1].content, null);
+    assert.strictEqual(openai[1].tool_calls[0].function.arguments, '{"city":"Oslo"}');
+    assert.deepStrictEqual(openai[2], { role: 'tool', tool_call_id: 'call_1', name: 'get_weather', content: '{"temp":4}' });
+
+    const anthropic = new AnthropicProvider({ apiKey: 'test' });
+    const { messages } = anthropic.formatMessages(CONVERSATION);
+    assert.strictEqual(messages.length, 3);
+    assert.deepStrictEqual(messages[1].content.map(block => block.type), ['tool_use', 'tool_use']);
+    assert.deepStrictEqual(messages[2].content.map(block => block.tool_use_id), ['call_1', 'call_2']);
+
+    const fields = anthropic.formatTools({ tools: [WEATHER], toolChoice: 'required', parallelToolCalls: false });
+    assert.deepStrictEqual(fields.tool_choice, { type: 'any', disable_parallel_tool_use: true });
+    assert.strictEqual(fields.tools[0].input_schema, WEATHER.parameters);
+  });
+
+  it('should fall back to JSON-in-text for providers without native tools', async () => {
+    const provider = new TextOnlyProvider('{"name": "get_weather", "arguments": {"city": "Oslo"}}');
+    const response = await provider.chatWithTools('tiny', CONVERSATION, { tools: [WEATHER], parallelToolCalls: false });
+
+    assert.strictEqual(response.metadata.toolMode, 'text');
+    assert.deepStrictEqual(response.toolCalls.map(call => call.arguments), [{ city: 'Oslo' }]);
+    assert.strictEqual(provider.sent[0].role, 'system');
+    assert.match(provider.sent[0].content, /get_weather/);
+    assert.match(provider.sent[3].content, /^Tool result \(get_weather\):\n\{"temp":4\}/);
+  });
+});
+
+describe('Tool loop', () => {
+  it('should run agent tools until the model answers', async () => {
+    const agent = new AgentLoop();
+    agent.registerTool({
+      name: 'add',
+      description: 'Add two numbers',
+      // Full schema without a type: passed through as is
+      inputSchema: { properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+      handler: async ({ a, b }) => a + b
+    });
+    agent.registerTool({
+      name: 'echo',
+      description: 'Repeat text',
+      inputSchema: { text: { type: 'string' } },
+      handler: async ({ text }) => text
+    });
+
+    const [add, echo] = agent.getToolDefinitions();
+    assert.deepStrictEqual(add.parameters, { properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] });
+    assert.deepStrictEqual(echo.parameters, { type: 'object', properties: { text: { type: 'string' } } });
+
+    const replies = [
+      { content: '', toolCalls: [{ id: 'c1', name: 'add', arguments: { a: 2, b: 3 } }, { id: 'c2', name: 'missing', arguments: {} }] },
+      { content: 'The sum is 5', toolCalls: [] }
+    ];
+    const chat = async () => replies.shift();
+    const execute = async call => (agent.tools.has(call.name)
+      ? { success: true, result: await agent.tools.get(call.name).handler(call.arguments) }
+      : { success: false, error: `Tool not found: ${call.name}` });
+
+    const result = await runToolLoop(chat, [{ role: 'user', content: '2+3?' }], { tools: agent.getToolDefinitions(), execute });
+
+    assert.strictEqual(result.content, 'The sum is 5');
+    assert.strictEqual(result.rounds, 2);
+    assert.strictEqual(result.toolResults[0].result.result, 5);
+    assert.match(result.toolResults[1].result.error, /Tool not found/);
+    assert.deepStrictEqual(result.messages.map(m => m.role), ['user', 'assistant', 'tool', 'tool']);
+  });
+
+  it('should hand registry tools to the model and run its calls', async () => {
+    const registry = new ToolRegistry();
+    registry.tools.clear();
+    registry.register('add', {
+      description: 'Add two numbers',
+      schema: { a: 'number', b: 'number', note: 'string?' },
+      handler: async ({ a, b }) => a + b
+    });
+
+    assert.deepStrictEqual(registry.getToolDefinitions()[0].parameters, {
+      type: 'object',
+      properties: { a: { type: 'number' }, b: { type: 'number' }, note: { type: 'string' } },
+      required: ['a', 'b']
+    });
+
+    const replies = [
+      { content: '', toolCalls: [{ id: 'c1', name: 'add', arguments: { a: 2, b: 3 } }, { id: 'c2', name: 'add', arguments: { a: 'x' } }] },
+      { content: 'The sum is 5', toolCalls: [] }
+    ];
+    const offered = [];
+    const llm = {
+      runTools: (modelRef, messages, options) => runToolLoop(async (conversation, chatOptions) => {
+        offered.push(chatOptions.tools.map(tool => tool.name));
+        return replies.shift();
+      }, messages, options)
+    };
+
+    const result = await registry.runWithModel(llm, 'ollama/llama3.2', [{ role: 'user', content: '2+3?' }]);
+
+    assert.strictEqual(result.content, 'The sum is 5');
+    assert.deepStrictEqual(offered[0], ['add']);
+    assert.strictEqual(result.toolResults[0].result.result, 5);
+    // Validation errors go back to the model instead of throwing
+    assert.match(result.toolResults[1].result.error, /Parameter validation failed/);
+  });
+});
+
+describe('Agent loop thinking', () => {
+  function agentWith(llm) {
+    const agent = new AgentLoop({ llm, enableMemory: false });
+    agent.registerTool({ name: 'echo', description: 'Repeat text', handler: async ({ text }) => text });
+    agent.state.currentGoal = agent.createGoal({ description: 'say hi' });
+    return agent;
+  }
+
+  it('should treat a reply without tool calls as a plain answer', async () => {
+    const agent = agentWith({ chat: async () => ({ content: 'Hi!' }) });
+    const thought = await agent.think({ userInput: 'say hi' });
+
+    assert.deepStrictEqual(thought.steps, []);
+    assert.strictEqual(thought.response, 'Hi!');
+  });
+
+  it('should fall back to keyword matching when the model call fails', async () => {
+    const agent = agentWith({ chat: async () => { throw new Error('connection refused'); } });
+    const failures = [];
+    agent.on('think:failed', ({ error }) => failures.push(error.message));
+
+    const thought = await agent.think({ userInput: 'repeat text please' });
+
+    assert.deepStrictEqual(failures, ['connection refused']);
+    assert.deepStrictEqual(thought.requiredTools, ['echo']);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for LLM record/replay fixtures
+ *
+ * Run with: node --test tests/lib/llmReplay.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  LLMReplayHarness,
+  LLMReplayError,
+  setReplayHarness
+} from '../../lib/llm/replay.js';
+import { BaseProvider } from '../../lib/llm/providers/BaseProvider.js';
+import { LLMManager } from '../../lib/llm/LLMManager.js';
+import { chatCompletion } from '../../lib/modelRegistry.js';
+
+class CountingProvider extends BaseProvider {
+  constructor() {
+    super('fake');
+    this.calls = 0;
+  }
+
+  async chat(model, messages) {
+    this.calls++;
+    return this.normalizeResponse({ content: `reply ${this.calls} to ${messages.at(-1).content}` }, model);
+  }
+
+  async *stream(model, messages) {
+    this.calls++;
+    yield { content: 'Hel', done: false };
+    yield { content: 'lo', done: true };
+  }
+}
+
+class OfflineProvider extends BaseProvider {
+  constructor() {
+    super('fake');
+  }
+
+  async chat() {
+    throw new Error('model should not be called in replay mode');
+  }
+}
+
+function createManager(provider, harness) {
+  const manager = new LLMManager({ enableHealthChecks: false, enableFallback: false, replay: harness });
+  manager.providers.set('fake', harness.wrapProvider(provider));
+  return manager;
+}
+
+async function collect(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return chunks;
+}
+
+describe('LLM record/replay', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-replay-'));
+  });
+
+  afterEach(() => {
+    setReplayHarness(undefined);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should replay recorded chats and streams without the model', async () => {
+    const live = new CountingProvider();
+    const recorder = createManager(live, new LLMReplayHarness({ mode: 'record', dir }));
+    const ask = at => [
+      { role: 'system', content: `Now:   ${at}` },
+      { role: 'user', content: 'hello' }
+    ];
+
+    await recorder.chat('fake/m', ask('2026-10-18T09:00:00Z'));
+    await recorder.chat('fake/m', ask('2026-10-18T09:00:05Z'));
+    const recordedChunks = await collect(recorder.stream('fake/m', ask('2026-10-18T09:00:00Z')));
+    assert.strictEqual(live.calls, 3);
+    assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+    const replayer = createManager(new OfflineProvider(), new LLMReplayHarness({ mode: 'replay', dir }));
+    const first = await replayer.chat('fake/other-model', ask('2027-01-01T00:00:00Z'));
+    const second = await replayer.chat('fake/other-model', ask('2027-01-01T00:00:00Z'));
+    const third = await replayer.chat('fake/other-model', ask('2027-01-01T00:00:00Z'));
+
+    assert.deepStrictEqual([first.content, second.content, third.content], ['reply 1 to hello', 'reply 2 to hello', 'reply 2 to hello']);
+    assert.deepStrictEqual(await collect(replayer.stream('fake/m', ask('2027-01-01T00:00:00Z'))), recordedChunks);
+  });
+
+  it('should fail loudly on an unrecorded request', async () => {
+    const manager = createManager(new OfflineProvider(), new LLMReplayHarness({ mode: 'replay', dir }));
+    manager.config.enableFallback = true;
+
+    await assert.rejects(manager.chat('fake/m', [{ role: 'user', content: 'never recorded' }]), error =>
+      error instanceof LLMReplayError &&
+      error.code === 'replay_miss' &&
+      /never recorded/.test(error.message) &&
+      /STATIC_REBEL_LLM_REPLAY=record/.test(error.message));
+  });
+
+  it('should replay modelRegistry chat completions', async () => {
+    const messages = [{ role: 'user', content: 'I had 2 glasses water' }];
+    const schema = { type: 'object' };
+    const recorder = new LLMReplayHarness({ mode: 'record', dir });
+    await recorder.call('chat', { model: 'llama3.2', messages, options: { format: schema } }, async () => ({ message: '{"action":"use_skill"}', done: true }));
+
+    setReplayHarness(new LLMReplayHarness({ mode: 'replay', dir }));
+    const response = await chatCompletion('qwen3', messages, { format: schema, temperature: 0.2 });
+    assert.strictEqual(response.message, '{"action":"use_skill"}');
+    await assert.rejects(chatCompletion('qwen3', messages), LLMReplayError);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for memory consolidation: duplicate merging, contradiction
+ * detection, fact versioning and conflict resolution
+ *
+ * Run with: node --test tests/lib/memoryConsolidation.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import Database from 'better-sqlite3';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-memory-consolidation');
+const VECTOR_DIR = path.join(TEST_DIR, '.static-rebel', 'vector-memory');
+
+// Memories live under ~/.static-rebel/vector-memory
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+// A database from before fact versioning
+fs.mkdirSync(VECTOR_DIR, { recursive: true });
+const legacy = new Database(path.join(VECTOR_DIR, 'memories.db'));
+legacy.exec(`
+  CREATE TABLE memories (
+    id TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    embedding BLOB,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    memory_type TEXT NOT NULL DEFAULT 'general',
+    created_at TEXT NOT NULL
+  );
+  INSERT INTO memories (id, content, metadata, memory_type, created_at)
+  VALUES ('wake', 'I wake up at six', '{"type":"preference","timestamp":"2026-01-02T09:00:00.000Z"}', 'preference', '2026-01-02T09:00:00.000Z');
+`);
+legacy.close();
+
+const embeddings = await import('../../lib/embeddings.js');
+embeddings.configure({ ollamaUrl: 'http://127.0.0.1:9' });
+
+const { setReplayHarness } = await import('../../lib/llm/replay.js');
+const memory = await import('../../lib/memory/sqlite-memory.js');
+const { DEFAULT_STORES } = await import('../../lib/memory/service.js');
+const {
+  consolidateMemories,
+  listConflicts,
+  resolveConflict,
+  getFactHistory,
+} = await import('../../lib/memory/consolidation.js');
+
+function fact(id, content, timestamp, extra = {}, embedding = []) {
+  return { id, content, embedding, metadata: { type: 'preference', timestamp, ...extra } };
+}
+
+memory.importMemories([
+  // Related only by meaning: close embeddings, no shared words
+  fact('veg', 'I am vegetarian', '2026-03-02T09:00:00.000Z', {}, [1, 0, 0.1]),
+  fact('fish', 'I eat fish now', '2026-06-10T09:00:00.000Z', {}, [0.9, 0.1, 0.1]),
+  fact('tea1', 'I like green tea in the morning', '2026-02-01T09:00:00.000Z'),
+  fact('tea2', 'I like green tea in the morning.', '2026-04-01T09:00:00.000Z'),
+  fact('ed1', 'Preferred editor: vim', '2026-01-01T09:00:00.000Z', { key: 'editor' }),
+  fact('ed2', 'Preferred editor: helix', '2026-05-01T09:00:00.000Z', { key: 'editor' }),
+  fact('run1', 'I run on weekends', '2026-01-15T09:00:00.000Z'),
+  fact('run2', 'I no longer run on weekends', '2026-07-01T09:00:00.000Z'),
+]);
+
+// Stands in for the model behind chatCompletion: knows that eating fish
+// contradicts being vegetarian
+const llmRequests = [];
+const llm = {
+  async call(kind, request) {
+    llmRequests.push(request);
+    const facts = request.messages.at(-1).content.split('\n').slice(1);
+    const number = text => facts.findIndex(line => line.endsWith(text)) + 1;
+    const contradictions = number('I am vegetarian') && number('I eat fish now')
+      ? [{ older: number('I am vegetarian'), newer: number('I eat fish now'), reason: 'Vegetarians do not eat fish' }]
+      : [];
+    return { message: JSON.stringify({ contradictions }), done: true };
+  },
+};
+
+describe('Memory consolidation', () => {
+  after(() => {
+    setReplayHarness(undefined);
+    memory.closeMemoryDb();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should merge duplicates and supersede contradicted facts by rules', async () => {
+    const report = await consolidateMemories({ useLLM: false });
+
+    assert.strictEqual(report.success, true);
+    assert.deepStrictEqual(report.duplicates.map(d => [d.id, d.keptId]), [['tea1', 'tea2']]);
+    assert.deepStrictEqual(
+      report.conflicts.map(c => c.memoryIds).sort(),
+      [['ed1', 'ed2'], ['run1', 'run2']],
+    );
+
+    const current = (await memory.getAllMemories()).map(m => m.id).sort();
+    assert.deepStrictEqual(current, ['ed2', 'fish', 'run2', 'tea2', 'veg', 'wake']);
+    assert.strictEqual(memory.getMemory('wake').validFrom, '2026-01-02T09:00:00.000Z');
+
+    // Superseded facts are kept, closed at the date the newer fact arrived
+    const { versions } = getFactHistory('ed2');
+    assert.deepStrictEqual(versions.map(v => [v.id, v.validTo, v.supersededBy]), [
+      ['ed1', '2026-05-01T09:00:00.000Z', 'ed2'],
+      ['ed2', null, null],
+    ]);
+    assert.strictEqual(memory.getMemoryStats().supersededMemories, 3);
+  });
+
+  it('should ask the LLM about facts that share no words and not flag a pair twice', async () => {
+    setReplayHarness(llm);
+    const report = await consolidateMemories();
+    assert.ok(llmRequests.length > 0);
+    assert.deepStrictEqual(report.conflicts.map(c => [c.memoryIds, c.reason]), [[['veg', 'fish'], 'Vegetarians do not eat fish']]);
+    assert.strictEqual(memory.getMemory('veg').validTo, '2026-06-10T09:00:00.000Z');
+
+    assert.deepStrictEqual((await consolidateMemories()).conflicts, []);
+    assert.strictEqual(listConflicts().length, 3);
+  });
+
+  it('should let the user keep the older fact or both', () => {
+    const veg = listConflicts().find(c => c.memoryIds.includes('veg'));
+    assert.deepStrictEqual(resolveConflict(veg.id, 'nope'), { success: false, error: 'Choose one of veg, fish or "both"' });
+
+    const kept = resolveConflict(veg.id, 'veg');
+    assert.strictEqual(kept.conflict.status, 'resolved');
+    assert.strictEqual(memory.getMemory('veg').supersededBy, null);
+    assert.strictEqual(memory.getMemory('fish').supersededBy, 'veg');
+    assert.match(resolveConflict(veg.id, 'veg').error, /already resolved/);
+
+    const run = listConflicts().find(c => c.memoryIds.includes('run1'));
+    assert.strictEqual(resolveConflict(run.id, 'both').conflict.status, 'dismissed');
+    assert.strictEqual(memory.getMemory('run1').supersededBy, null);
+
+    assert.deepStrictEqual(listConflicts().map(c => c.memoryIds), [['ed1', 'ed2']]);
+    assert.strictEqual(listConflicts('all').length, 3);
+  });
+
+  it('should check long-term markdown facts and stop recalling the ones it supersedes', async () => {
+    const longTermFile = path.join(TEST_DIR, '.static-rebel', 'memory', 'long-term.md');
+    fs.mkdirSync(path.dirname(longTermFile), { recursive: true });
+    fs.writeFileSync(longTermFile, '# Long-Term Memory\n\n### Preferences\n- I drink coffee\n- I read before bed\n');
+    const written = new Date('2026-02-01T09:00:00.000Z');
+    fs.utimesSync(longTermFile, written, written);
+    await memory.addMemory('I no longer drink coffee', { type: 'preference' });
+
+    const report = await consolidateMemories({ useLLM: false });
+    assert.strictEqual(report.imported, 2);
+    assert.strictEqual(report.conflicts.length, 1);
+    const [older, newer] = report.conflicts[0].memoryIds.map(id => memory.getMemory(id));
+    assert.deepStrictEqual([older.content, newer.content], ['I drink coffee', 'I no longer drink coffee']);
+    assert.strictEqual(older.validFrom, written.toISOString());
+    assert.strictEqual(older.supersededBy, newer.id);
+
+    const lines = (await DEFAULT_STORES['long-term'].search()).map(fact => fact.content);
+    assert.deepStrictEqual(lines, ['I read before bed']);
+
+    // Copied once, even after being superseded
+    assert.strictEqual((await consolidateMemories({ useLLM: false })).imported, 0);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for memory retention: decay scoring, stale detection and the
+ * compaction job that archives into monthly summaries
+ *
+ * Run with: node --test tests/lib/memoryRetention.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-memory-retention');
+
+// Memories and the archive live under ~/.static-rebel
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+const embeddings = await import('../../lib/embeddings.js');
+embeddings.configure({ ollamaUrl: 'http://127.0.0.1:9' });
+
+const { setReplayHarness } = await import('../../lib/llm/replay.js');
+const memory = await import('../../lib/memory/sqlite-memory.js');
+const { decayFactor, isStale, DEFAULT_RETENTION, DEFAULT_DECAY } = await import('../../lib/memory/retention.js');
+const { compactMemories, listArchive, getCompactionLog } = await import('../../lib/memory/compaction.js');
+
+const NOW = new Date('2026-10-01T00:00:00.000Z');
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+memory.importMemories([
+  { id: 'recent', content: 'Booked the dentist appointment', metadata: { type: 'general', timestamp: daysAgo(1) } },
+  { id: 'old', content: 'Booked the dentist appointment', metadata: { type: 'general', timestamp: daysAgo(120) } },
+  { id: 'march1', content: 'Planned the garden beds', metadata: { type: 'general', timestamp: '2026-03-04T09:00:00.000Z' } },
+  { id: 'march2', content: 'Ordered tomato seeds', metadata: { type: 'general', timestamp: '2026-03-20T09:00:00.000Z' } },
+  { id: 'pref', content: 'I prefer tabs over spaces', metadata: { type: 'preference', timestamp: '2025-01-01T09:00:00.000Z' } },
+]);
+
+describe('Memory retention', () => {
+  after(() => {
+    setReplayHarness(undefined);
+    memory.closeMemoryDb();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should fade unused memories but not forever types', () => {
+    const settings = { policies: DEFAULT_RETENTION, decay: DEFAULT_DECAY };
+    const fresh = decayFactor({ type: 'general', createdAt: '2026-09-30T00:00:00.000Z' }, NOW, settings);
+    const stale = decayFactor({ type: 'general', createdAt: '2025-10-01T00:00:00.000Z' }, NOW, settings);
+    const used = decayFactor({ type: 'general', createdAt: '2025-10-01T00:00:00.000Z', accessCount: 20 }, NOW, settings);
+
+    assert.ok(fresh > 0.95);
+    assert.ok(stale >= DEFAULT_DECAY.floor && stale < 0.51);
+    assert.strictEqual(used, 1);
+    assert.strictEqual(decayFactor({ type: 'preference', createdAt: '2020-01-01T00:00:00.000Z' }, NOW, settings), 1);
+
+    assert.strictEqual(isStale({ type: 'general', createdAt: '2026-03-01T00:00:00.000Z' }, NOW, DEFAULT_RETENTION), true);
+    assert.strictEqual(isStale({ type: 'general', createdAt: '2026-03-01T00:00:00.000Z', lastAccessedAt: '2026-09-01T00:00:00.000Z' }, NOW, DEFAULT_RETENTION), false);
+    assert.strictEqual(isStale({ type: 'preference', createdAt: '2020-01-01T00:00:00.000Z' }, NOW, DEFAULT_RETENTION), false);
+  });
+
+  it('should rank a recent memory above an old copy and count the hit', async () => {
+    const results = await memory.hybridSearch('dentist appointment', { minScore: 0, limit: 2 });
+    assert.deepStrictEqual(results.map(r => r.id), ['recent', 'old']);
+    assert.ok(results[0].decay > results[1].decay);
+    assert.strictEqual(memory.getMemory('recent').accessCount, 1);
+    assert.ok(memory.getMemory('old').lastAccessedAt);
+  });
+
+  it('should report stale memories on a dry run without changing anything', async () => {
+    const report = await compactMemories({ dryRun: true, sources: ['vector'], useLLM: false, now: NOW });
+    assert.deepStrictEqual(report.archived.map(item => item.id).sort(), ['march1', 'march2']);
+    assert.deepStrictEqual(report.summaries, []);
+    assert.ok(memory.getMemory('march1'));
+    assert.deepStrictEqual(listArchive(), []);
+  });
+
+  it('should archive stale memories into a monthly summary', async () => {
+    const report = await compactMemories({ sources: ['vector'], useLLM: false, now: NOW });
+
+    assert.strictEqual(report.archived.length, 2);
+    assert.strictEqual(memory.getMemory('march1'), null);
+    assert.ok(memory.getMemory('pref'));
+
+    const [summary] = report.summaries;
+    assert.deepStrictEqual([summary.month, summary.type, summary.count], ['2026-03', 'general', 2]);
+    assert.match(memory.getMemory(summary.id).content, /Planned the garden beds/);
+
+    const [archive] = listArchive();
+    assert.strictEqual(archive.month, '2026-03');
+    assert.deepStrictEqual(archive.items.map(item => item.summaryId), [summary.id, summary.id]);
+    assert.strictEqual(getCompactionLog()[0].archived, 2);
+
+    // Monthly summaries are kept forever, so a second run has nothing to do
+    assert.deepStrictEqual((await compactMemories({ sources: ['vector'], useLLM: false, now: NOW })).archived, []);
+  });
+
+  it('should write monthly summaries with the model behind chatCompletion', async () => {
+    memory.importMemories([
+      { id: 'april', content: 'Repainted the fence green', metadata: { type: 'general', timestamp: '2026-04-02T09:00:00.000Z' } },
+    ]);
+    const requests = [];
+    setReplayHarness({
+      async call(kind, request) {
+        requests.push(request);
+        return { message: 'The fence got a coat of green paint.', done: true };
+      },
+    });
+
+    const [summary] = (await compactMemories({ sources: ['vector'], now: NOW })).summaries;
+    assert.match(requests[0].messages.at(-1).content, /Repainted the fence green/);
+    assert.strictEqual(memory.getMemory(summary.id).content, 'Summary of general memories from April 2026: The fence got a coat of green paint.');
+  });
+
+  it('should leave fact versions and conflicting facts alone', async () => {
+    const old = '2026-02-01T09:00:00.000Z';
+    memory.importMemories(['v1', 'v2', 'c1', 'c2', 'loose'].map(id => ({
+      id, content: `Fact ${id}`, metadata: { type: 'general', timestamp: old },
+    })));
+    memory.supersedeMemory('v1', 'v2');
+    memory.addMemoryConflict({ memoryIds: ['c1', 'c2'], keptId: 'c2' });
+
+    const report = await compactMemories({ sources: ['vector'], useLLM: false, now: NOW });
+    assert.deepStrictEqual(report.archived.map(item => item.id), ['loose']);
+    assert.deepStrictEqual(memory.getMemoryHistory('v2').map(version => version.id), ['v2', 'v1']);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the memory service: tier routing, cross-store ranking with
+ * provenance, duplicate handling and access counting
+ *
+ * Run with: node --test tests/lib/memoryService.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-memory-service');
+
+// Stores live under ~/.static-rebel
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+const embeddings = await import('../../lib/embeddings.js');
+embeddings.configure({ ollamaUrl: 'http://127.0.0.1:9' });
+
+const { DEFAULT_STORES, createMemoryService, factSimilarity } = await import('../../lib/memory/service.js');
+const { initMemory, writeDailyMemory } = await import('../../lib/memoryManager.js');
+const { closeMemoryDb, hybridSearch } = await import('../../lib/memory/sqlite-memory.js');
+
+initMemory();
+
+// The conversation store is lib/memory/store.json in the repo, so it's faked here
+const conversation = {
+  weight: 0.85,
+  async search() {
+    return [
+      { content: 'coffee: dark roast', provenance: { type: 'preference', key: 'coffee' } },
+      { content: 'I prefer dark roast coffee.', provenance: { type: 'summary' } },
+    ];
+  },
+  async profile() {
+    return 'User preferences: {"coffee":"dark roast"}';
+  },
+};
+
+const memory = createMemoryService({
+  stores: {
+    vector: DEFAULT_STORES.vector,
+    daily: DEFAULT_STORES.daily,
+    project: DEFAULT_STORES.project,
+  },
+});
+const withConversation = createMemoryService({ stores: { ...memory.stores, conversation } });
+
+describe('MemoryService', () => {
+  after(() => {
+    closeMemoryDb();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should write each fact to one tier', async () => {
+    const preference = await memory.remember('I prefer dark roast coffee');
+    assert.strictEqual(preference.tier, 'vector');
+    assert.ok(preference.id);
+    const note = await memory.remember('Dentist appointment moved to Thursday', { type: 'note' });
+    assert.strictEqual(note.tier, 'daily');
+
+    const project = await memory.remember('Use tabs in this repo', {
+      key: 'indent', value: 'tabs', projectPath: path.join(TEST_DIR, 'app'),
+    });
+    assert.deepStrictEqual(project, { success: true, tier: 'project' });
+
+    assert.deepStrictEqual(await memory.remember('  '), { success: false, error: 'Nothing to remember' });
+  });
+
+  it('should not store a fact twice', async () => {
+    const again = await memory.remember('i prefer dark-roast coffee!');
+    assert.strictEqual(again.success, true);
+    assert.strictEqual(again.duplicate.content, 'I prefer dark roast coffee');
+  });
+
+  it('should remember what was only said this session', async () => {
+    const session = {
+      async search() {
+        return [{ content: 'I prefer oolong tea', provenance: { id: 'turn-1' } }];
+      },
+    };
+    const withSession = createMemoryService({ stores: { ...memory.stores, session } });
+
+    const result = await withSession.remember('I prefer oolong tea');
+    assert.strictEqual(result.duplicate, undefined);
+    assert.strictEqual(result.tier, 'vector');
+    assert.ok(result.id);
+  });
+
+  it('should rank results from every store and merge duplicates with their provenance', async () => {
+    const results = await withConversation.recall('dark roast coffee', { limit: 5, projectPath: path.join(TEST_DIR, 'app') });
+
+    assert.strictEqual(results[0].content, 'I prefer dark roast coffee');
+    assert.deepStrictEqual(results[0].provenance.map(p => p.store).sort(), ['conversation', 'vector']);
+    assert.ok(results.some(result => result.content === 'coffee: dark roast'));
+    assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+
+    const [indent] = await memory.recall('indent', { sources: ['project'], projectPath: path.join(TEST_DIR, 'app') });
+    assert.strictEqual(indent.content, 'app indent: tabs');
+
+    const [dentist] = await memory.recall('when is the dentist', { sources: ['daily'] });
+    assert.strictEqual(dentist.provenance[0].date, new Date().toISOString().split('T')[0]);
+
+    const context = await withConversation.buildContext('coffee');
+    assert.match(context, /^User preferences: /);
+    assert.match(context, /- I prefer dark roast coffee\.? \((conversation, vector|vector, conversation)\)/);
+  });
+
+  it('should count recalled facts as used, but not facts put in a prompt', async () => {
+    const accessCount = async () => {
+      const [fact] = await hybridSearch('dark roast coffee', { limit: 1, recordAccess: false });
+      return fact.accessCount;
+    };
+    const before = await accessCount();
+
+    await withConversation.buildContext('dark roast coffee');
+    assert.strictEqual(await accessCount(), before);
+
+    await memory.recall('dark roast coffee', { limit: 1 });
+    assert.strictEqual(await accessCount(), before + 1);
+  });
+
+  it('should not recall memory job reports from daily notes', async () => {
+    await writeDailyMemory('[MEMORY] Consolidated 12 facts: 1 duplicates merged, 0 conflicts to review (sr memory conflicts)');
+
+    const lines = (await DEFAULT_STORES.daily.search()).map(candidate => candidate.content);
+    assert.ok(lines.length > 0);
+    assert.ok(lines.every(line => !line.startsWith('[MEMORY]')));
+  });
+
+  it('should measure fact similarity on words', () => {
+    assert.strictEqual(factSimilarity('I prefer dark roast coffee', 'i prefer DARK roast coffee.'), 1);
+    assert.ok(factSimilarity('I prefer dark roast coffee', 'I prefer tea') < 0.8);
+  });
+});
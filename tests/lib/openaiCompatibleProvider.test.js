@@ -0,0 +1,111 @@
+/**
+ * Tests for the OpenAI-compatible local server provider
+ *
+ * Run with: node --test tests/lib/openaiCompatibleProvider.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { once } from 'events';
+
+import { OpenAICompatibleProvider } from '../../lib/llm/providers/OpenAICompatibleProvider.js';
+import { LLMManager } from '../../lib/llm/LLMManager.js';
+
+// A tiny llama.cpp-style server
+function startServer(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/v1/models') {
+        res.end(JSON.stringify({
+          object: 'list',
+          data: [
+            { id: 'org/qwen-7b', owned_by: 'llamacpp', meta: { n_ctx_train: 32768 } },
+            { id: 'nomic-embed-text-v1.5', owned_by: 'llamacpp' }
+          ]
+        }));
+      } else if (req.url === '/v1/chat/completions') {
+        const { model, tools } = JSON.parse(body);
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          choices: [{ message: { role: 'assistant', content: `${model} with ${tools?.length || 0} tools` }, finish_reason: 'stop' }],
+          usage: { total_tokens: 12 }
+        }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: { message: 'not found' } }));
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('OpenAICompatibleProvider', () => {
+  const requests = [];
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = await startServer(requests);
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(() => server.close());
+
+  it('should discover models and merge declared capabilities', async () => {
+    const provider = new OpenAICompatibleProvider({
+      baseUrl,
+      models: { 'org/qwen-7b': { capabilities: ['chat', 'general', 'tools'] } }
+    });
+    const models = await provider.discoverModels();
+
+    assert.deepStrictEqual(models.map(m => m.id), ['org/qwen-7b', 'nomic-embed-text-v1.5']);
+    assert.strictEqual(provider.getModelInfo('org/qwen-7b').contextWindow, 32768);
+    assert.deepStrictEqual(provider.getModelInfo('nomic-embed-text-v1.5').capabilities, ['embeddings']);
+    assert.ok(provider.supportsTools('org/qwen-7b'));
+    assert.ok(!provider.supportsTools('nomic-embed-text-v1.5'));
+    assert.strictEqual(requests.at(-1).headers.authorization, undefined);
+
+    const response = await provider.chat('org/qwen-7b', [{ role: 'user', content: 'hi' }]);
+    assert.strictEqual(response.content, 'org/qwen-7b with 0 tools');
+    assert.strictEqual(response.provider, 'openai-compatible');
+    assert.strictEqual(requests.at(-1).url, '/v1/chat/completions');
+  });
+
+  it('should plug into LLMManager fallback chains and health checks', async () => {
+    const manager = new LLMManager({
+      enableHealthChecks: false,
+      enableFallback: false,
+      providers: {
+        lmstudio: {
+          type: 'openai-compatible',
+          baseUrl,
+          apiKey: 'local-key',
+          models: { 'org/qwen-7b': { capabilities: ['chat', 'general', 'tools'], contextWindow: 16384 } }
+        }
+      }
+    });
+    await once(manager, 'initialized');
+    manager.providers.delete('ollama');
+
+    assert.strictEqual(manager.getFallbackChain('general')[0], 'lmstudio/org/qwen-7b');
+    assert.strictEqual(manager.getFallbackChain('embeddings')[0], 'lmstudio/nomic-embed-text-v1.5');
+    assert.ok(!manager.getFallbackChain('coding').some(ref => ref.startsWith('lmstudio/')));
+    assert.strictEqual(manager.getModelConfig('lmstudio/org/qwen-7b').contextWindow, 16384);
+
+    const health = await manager.checkAllProviderHealth();
+    assert.strictEqual(health.lmstudio.healthy, true);
+    assert.strictEqual(health.lmstudio.modelCount, 2);
+
+    const response = await manager.chat('lmstudio/org/qwen-7b', [{ role: 'user', content: 'hi' }], {
+      tools: [{ name: 'lookup', description: 'Look something up' }]
+    });
+    assert.strictEqual(response.content, 'org/qwen-7b with 1 tools');
+    assert.strictEqual(requests.at(-1).headers.authorization, 'Bearer local-key');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for skill pack bundles, versions and upgrades
+ *
+ * Run with: node --test tests/lib/packs.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { ChainEngine } from '../../lib/skills/chains.js';
+import { GoalTracker } from '../../lib/skills/goals.js';
+import { NudgeEngine } from '../../lib/skills/nudges.js';
+import {
+  SkillPackManager,
+  compareVersions,
+  createPack,
+  readPack,
+  writePack,
+  diffPacks,
+  describePackDiff
+} from '../../lib/skills/packs.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-packs');
+
+async function createStack(name) {
+  const dir = path.join(TEST_DIR, name);
+  const sm = new SkillManager({ skillsDir: path.join(dir, 'skills'), dataDir: path.join(dir, 'data') });
+  await sm.init();
+  const goals = await new GoalTracker(sm.dataDir).init();
+  const chains = await new ChainEngine(sm, goals, sm.dataDir).init();
+  chains.chains = [];
+  const nudges = await new NudgeEngine(sm, goals, sm.dataDir).init();
+  nudges.unwatch();
+  const packs = await new SkillPackManager(sm, goals, chains, nudges, sm.dataDir).init();
+  return { dir, sm, goals, chains, nudges, packs };
+}
+
+describe('Skill pack format', () => {
+  it('should order semantic versions', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.3') > 0);
+    assert.ok(compareVersions('2.0.0-beta.2', '2.0.0-beta.10') < 0);
+    assert.ok(compareVersions('2.0.0-rc.1', '2.0.0') < 0);
+    assert.strictEqual(compareVersions('1.0.0+build.5', '1.0.0'), 0);
+    assert.throws(() => compareVersions('1.0', '1.0.0'), /Invalid version/);
+  });
+
+  it('should refuse packs whose checksum does not match', async () => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+    const file = path.join(TEST_DIR, 'tampered.srpack.json');
+    const pack = createPack({ id: 'tea', name: 'Tea', version: '1.0.0' }, { skills: { tea: '# Tea\n\nCups of tea.\n' } });
+    await writePack({ ...pack, manifest: { ...pack.manifest, version: '9.0.0' } }, file);
+
+    await assert.rejects(readPack(file), /checksum mismatch/);
+    assert.throws(() => createPack({ id: 'Bad Id', name: 'x', version: 'one' }, {}), /invalid pack id.*invalid version/);
+  });
+});
+
+describe('SkillPackManager', () => {
+  let author;
+  let user;
+  let v1;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    author = await createStack('author');
+    user = await createStack('user');
+
+    await author.sm.createSkill('Water', { unit: 'ml' });
+    await author.sm.createSkill('Stretch', { unit: 'minutes' });
+    await author.goals.setGoal('water', { daily: 2000, unit: 'ml' });
+    await author.chains.addChain({
+      id: 'stretch-water',
+      trigger: { skill: 'stretch', event: 'logged' },
+      action: { type: 'message', message: '💧 Drink some water too' }
+    });
+    await author.nudges.setSettings('stretch', { types: ['streak'] });
+
+    v1 = await author.packs.exportPack({ name: 'Daily Basics', version: '1.0.0' });
+  });
+
+  after(() => {
+    author.sm.close();
+    user.sm.close();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should export skills, goals, chains and nudge settings', () => {
+    assert.strictEqual(v1.manifest.id, 'daily-basics');
+    assert.deepStrictEqual([...v1.manifest.skills].sort(), ['stretch', 'water']);
+    assert.deepStrictEqual(v1.contents.goals.water, { daily: 2000, unit: 'ml' });
+    assert.strictEqual(v1.contents.chains[0].id, 'stretch-water');
+    assert.deepStrictEqual(v1.contents.nudges.stretch, { enabled: true, types: ['streak'] });
+  });
+
+  it('should install a pack into another setup', async () => {
+    const result = await user.packs.installPack(v1);
+
+    assert.deepStrictEqual(result.installed.skills.sort(), ['stretch', 'water']);
+    assert.strictEqual(user.sm.skills.get('water').unit, 'ml');
+    assert.strictEqual(user.goals.getGoal('water').daily, 2000);
+    assert.ok(user.chains.chains.some(chain => chain.id === 'daily-basics.stretch-water'));
+    assert.deepStrictEqual(user.nudges.getSettings('stretch').types, ['streak']);
+    await assert.rejects(user.packs.installPack(v1), /already installed/);
+  });
+
+  it('should upgrade while keeping local changes and entries', async () => {
+    await user.sm.addEntry('water', { value: 500 });
+    await user.goals.setGoal('water', { daily: 2500, unit: 'ml' });
+
+    await author.goals.setGoal('water', { daily: 1800, unit: 'ml' });
+    await author.sm.createSkill('Stretch', { unit: 'minutes', triggers: ['stretch', 'yoga'] });
+    await author.chains.removeChain('stretch-water');
+    const v2 = await author.packs.exportPack({ name: 'Daily Basics', version: '1.1.0' });
+
+    const diff = diffPacks(v1, v2);
+    assert.deepStrictEqual(diff.skills.changed, ['stretch']);
+    assert.deepStrictEqual(diff.skills.sections.stretch, ['Config']);
+    assert.deepStrictEqual(diff.chains.removed, ['stretch-water']);
+    assert.match(describePackDiff(diff, 'daily-basics'), /^daily-basics 1\.0\.0 → 1\.1\.0\n {2}Skills: ~ stretch \(Config\)\n {2}Goals: ~ water\n {2}Chains: - stretch-water$/);
+
+    await assert.rejects(user.packs.upgradePack(v1), /not newer/);
+    const result = await user.packs.upgradePack(v2);
+
+    assert.strictEqual(result.from, '1.0.0');
+    assert.deepStrictEqual(result.updated.skills, ['stretch']);
+    assert.deepStrictEqual(result.removed.chains, ['stretch-water']);
+    assert.deepStrictEqual(result.kept, [{ section: 'goals', id: 'water', reason: 'changed locally' }]);
+    assert.strictEqual(user.goals.getGoal('water').daily, 2500);
+    assert.ok(user.sm.skills.get('stretch').triggers.includes('yoga'));
+    assert.strictEqual((await user.sm.getEntries('water')).length, 1);
+    assert.strictEqual(user.packs.listInstalled()[0].version, '1.1.0');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the prompt registry: templates, versions and A/B results
+ *
+ * Run with: node --test tests/lib/promptRegistry.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  PromptRegistry,
+  PromptError,
+  renderTemplate,
+  templateVariables
+} from '../../lib/prompts/index.js';
+
+describe('Prompt templates', () => {
+  it('should fill variables and drop unset sections', () => {
+    const template = 'Hi {{name}}.{{#tasks}} Tasks: {{tasks}}.{{/tasks}}{{#memory}} Memory: {{memory}}{{/memory}}';
+
+    assert.strictEqual(renderTemplate(template, { name: 'Sam', tasks: ['a', 'b'], memory: '' }), 'Hi Sam. Tasks: a, b.');
+    assert.strictEqual(renderTemplate('Say "{{input}}"', { input: 'use {{name}} here' }), 'Say "use {{name}} here"');
+    assert.deepStrictEqual(templateVariables(template), ['name', 'tasks', 'memory']);
+    assert.throws(() => renderTemplate(template, {}, 'greeting@v1'), error =>
+      error instanceof PromptError && error.code === 'missing_variable' && /greeting@v1/.test(error.message));
+  });
+});
+
+describe('PromptRegistry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-prompts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should store versions and split renders during an experiment', () => {
+    const registry = new PromptRegistry({ dir }).define('greeting', { template: 'Hello {{name}}' });
+    registry.addVersion('greeting', 'v2', 'Hey {{name}}!');
+
+    assert.throws(() => registry.addVersion('greeting', 'v2', 'x'), { code: 'version_exists' });
+    assert.strictEqual(registry.render('greeting', { name: 'Sam' }).text, 'Hello Sam');
+
+    registry.startExperiment('greeting', { default: 1, v2: 1 });
+    const versions = new Set();
+    for (let i = 0; i < 40; i++) {
+      const key = `session-${i}`;
+      const first = registry.render('greeting', { name: 'Sam' }, { key });
+      assert.strictEqual(registry.render('greeting', { name: 'Sam' }, { key }).version, first.version);
+      versions.add(first.version);
+    }
+    assert.deepStrictEqual([...versions].sort(), ['default', 'v2']);
+
+    // Stored versions survive a restart
+    const reloaded = new PromptRegistry({ dir }).define('greeting', { template: 'Hello {{name}}' });
+    assert.deepStrictEqual(reloaded.get('greeting').experiment.weights, { default: 1, v2: 1 });
+    reloaded.stopExperiment('greeting', { promote: 'v2' });
+    assert.deepStrictEqual(reloaded.render('greeting', { name: 'Sam' }), { text: 'Hey Sam!', name: 'greeting', version: 'v2' });
+  });
+
+  it('should compare thumbs-up rates per version', () => {
+    const registry = new PromptRegistry({ dir }).define('greeting', { template: 'Hello {{name}}' });
+    registry.addVersion('greeting', 'v2', 'Hey {{name}}!');
+    registry.startExperiment('greeting', { default: 70, v2: 30 });
+
+    const results = registry.getResults('greeting', {
+      byPrompt: {
+        'greeting@default': { positive: 3, negative: 1 },
+        'greeting@v2': { positive: 1, negative: 1 },
+        'other@default': { positive: 9, negative: 0 }
+      }
+    });
+
+    assert.deepStrictEqual(results.map(r => [r.version, r.rated, r.upRate, r.weight]), [
+      ['default', 4, 0.75, 70],
+      ['v2', 2, 0.5, 30]
+    ]);
+  });
+});
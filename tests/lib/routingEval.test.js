@@ -0,0 +1,73 @@
+/**
+ * Tests for the routing eval: metrics and case harvesting
+ *
+ * Run with: node --test tests/lib/routingEval.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  runEval,
+  scoreResults,
+  harvestCases,
+  loadDataset,
+  DEFAULT_DATASET
+} from '../../lib/intent/eval.js';
+
+describe('Routing eval metrics', () => {
+  it('should compute per-intent precision, recall and a confusion matrix', () => {
+    const result = (expected, predicted, latencyMs = 10) => ({ expected, predicted, latencyMs });
+    const score = scoreResults([
+      result({ intent: 'log', skill: 'water', value: 500 }, { intent: 'log', skill: 'water', value: 500 }),
+      result({ intent: 'log', skill: 'coffee', value: 2 }, { intent: 'log', skill: 'coffee', value: 1 }),
+      result({ intent: 'log', skill: 'steps' }, { intent: 'query', skill: 'steps' }),
+      result({ intent: 'query', skill: 'water' }, { intent: 'query', skill: 'water' }, 30),
+      result({ intent: 'chat' }, { intent: 'error', error: 'model down' }, 50)
+    ]);
+
+    assert.strictEqual(score.accuracy, 0.6);
+    assert.deepStrictEqual(score.confusion, {
+      log: { log: 2, query: 1 },
+      query: { query: 1 },
+      chat: { error: 1 }
+    });
+    assert.deepStrictEqual(score.perIntent.log, { support: 3, predicted: 2, precision: 1, recall: 2 / 3, f1: 0.8 });
+    assert.strictEqual(score.perIntent.query.precision, 0.5);
+    assert.strictEqual(score.perIntent.chat.recall, 0);
+    assert.deepStrictEqual([score.skill.accuracy, score.value.accuracy, score.errors], [1, 0.5, 1]);
+    assert.deepStrictEqual([score.latency.p50, score.latency.max], [10, 50]);
+  });
+
+  it('should only score a router on the intents it can produce', async () => {
+    const report = await runEval(loadDataset(DEFAULT_DATASET), { routers: ['patterns'] });
+    const [patterns] = report.routers;
+
+    assert.strictEqual(patterns.total + patterns.skipped, report.cases);
+    assert.ok(patterns.results.every(r => ['coding', 'shell', 'memory', 'chat'].includes(r.expected.intent)));
+  });
+});
+
+describe('Harvesting eval cases', () => {
+  it('should label corrected log decisions and user-labeled inputs', () => {
+    const decision = (input, skill, value) => ({ input, result: { router: 'simple', intent: 'log', skill, value } });
+    const correction = (type, skill, value = null) => ({ input: 'actually', result: { router: 'correction', correction: type, skill, value } });
+
+    const cases = harvestCases([
+      decision('had 2 glasses water', 'water', 2),
+      decision('had a coffee', 'coffee', 1),
+      correction('edit', 'water', 500),
+      decision('drank some water', 'water', 1),
+      correction('undo', 'water'),
+      correction('edit', 'steps', 100),
+      { input: 'how big is the moon', result: { router: 'simple', intent: 'query' }, userFeedback: { expected: { intent: 'chat' } } },
+      { input: 'show my water', result: { router: 'simple', intent: 'query', skill: 'water' }, userFeedback: { correct: true } }
+    ]);
+
+    assert.deepStrictEqual(cases.map(c => [c.input, c.expected, c.source]), [
+      ['had 2 glasses water', { intent: 'log', skill: 'water', value: 500 }, 'correction'],
+      ['how big is the moon', { intent: 'chat' }, 'labeled'],
+      ['show my water', { intent: 'query', skill: 'water' }, 'confirmed']
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for editing, deleting and undoing skill entries
+ *
+ * Run with: node --test tests/lib/skillEntries.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+import { SkillValidationError } from '../../lib/skills/schema.js';
+import { parseCorrection, handleCorrection } from '../../lib/skills/corrections.js';
+import { GoalTracker } from '../../lib/skills/goals.js';
+import { readClassificationLog } from '../../lib/intentClassifier.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-skill-entries');
+
+// Applied corrections are logged for the routing eval
+const originalLog = process.env.STATIC_REBEL_CLASSIFICATION_LOG;
+process.env.STATIC_REBEL_CLASSIFICATION_LOG = path.join(TEST_DIR, 'classifications.jsonl');
+
+describe('Skill entry edits', () => {
+  let sm;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    await sm.createSkill('Water', { unit: 'ml' });
+    await sm.createSkill('Coffee', { unit: 'cups' });
+  });
+
+  after(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should update an entry and record the change', async () => {
+    const entry = await sm.addEntry('water', { value: 250, unit: 'ml' });
+    const updated = await sm.updateEntry('water', entry.id, { quantity: '500ml' }, { source: 'test' });
+
+    assert.strictEqual(updated.id, entry.id);
+    assert.strictEqual(updated.value, 500);
+    assert.ok(updated.updatedAt);
+
+    const trail = await sm.getAuditTrail('water', entry.id);
+    assert.deepStrictEqual(trail.map(a => a.action), ['create', 'update']);
+    assert.deepStrictEqual(trail[1].changes.value, { from: 250, to: 500 });
+    assert.strictEqual(trail[1].source, 'test');
+  });
+
+  it('should reject edits that break the schema', async () => {
+    await sm.createSkill('Workout', {
+      unit: 'kg',
+      dataSchema: { primary: 'weight', fields: { weight: { type: 'numeric', unit: 'kg', min: 0 } } }
+    });
+    const entry = await sm.addEntry('workout', { weight: 60 });
+
+    await assert.rejects(
+      () => sm.updateEntry('workout', entry.id, { weight: -5 }),
+      (error) => error instanceof SkillValidationError
+    );
+    assert.strictEqual((await sm.getEntry('workout', entry.id)).weight, 60);
+  });
+
+  it('should soft-delete and restore entries', async () => {
+    const entry = await sm.addEntry('water', { value: 300 });
+    await sm.deleteEntry('water', entry.id);
+
+    const live = await sm.getEntries('water');
+    assert.ok(!live.some(e => e.id === entry.id));
+    const all = await sm.getEntries('water', { includeDeleted: true });
+    assert.ok(all.find(e => e.id === entry.id).deletedAt);
+
+    await sm.restoreEntry('water', entry.id);
+    assert.ok((await sm.getEntries('water')).some(e => e.id === entry.id));
+  });
+
+  it('should undo the most recently logged entry across skills', async () => {
+    const coffee = await sm.addEntry('coffee', { value: 1 });
+    const undone = await sm.undoLastEntry({ source: 'test' });
+
+    assert.strictEqual(undone.skillId, 'coffee');
+    assert.strictEqual(undone.entry.id, coffee.id);
+    assert.strictEqual((await sm.getEntries('coffee')).length, 0);
+  });
+
+  it('should recompute streaks when an entry is removed', async () => {
+    const goals = await new GoalTracker(sm.dataDir).init();
+    const unwatch = goals.watch(sm);
+
+    const entry = await sm.addEntry('coffee', { value: 1 });
+    await goals.updateStreak('coffee', await sm.getEntries('coffee'));
+    assert.strictEqual(goals.goals.skills.coffee.streak.current, 1);
+
+    await sm.deleteEntry('coffee', entry.id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(goals.goals.skills.coffee.streak.current, 0);
+    unwatch();
+  });
+});
+
+describe('Conversational corrections', () => {
+  let sm;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    await sm.createSkill('Water', { unit: 'ml' });
+    await sm.createSkill('Coffee', { unit: 'cups' });
+  });
+
+  after(() => {
+    if (originalLog === undefined) delete process.env.STATIC_REBEL_CLASSIFICATION_LOG;
+    else process.env.STATIC_REBEL_CLASSIFICATION_LOG = originalLog;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should recognise correction phrases', () => {
+    assert.deepStrictEqual(parseCorrection('undo last log', sm), { type: 'undo', skillId: null });
+    assert.deepStrictEqual(parseCorrection('delete my last coffee', sm), { type: 'delete', skillId: 'coffee' });
+    assert.deepStrictEqual(
+      parseCorrection('actually that was 500ml, not 250', sm),
+      { type: 'edit', skillId: null, changes: { quantity: '500ml' } }
+    );
+    assert.strictEqual(parseCorrection('drank 500ml water', sm), null);
+  });
+
+  it('should fix the last log in place', async () => {
+    const entry = await sm.addEntry('water', { value: 250 });
+    const result = await handleCorrection(sm, 'actually it was 500ml', { source: 'chat' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.entry.id, entry.id);
+    assert.strictEqual(result.entry.value, 500);
+
+    const [logged] = readClassificationLog();
+    assert.deepStrictEqual([logged.input, logged.result.router, logged.result.value], ['actually it was 500ml', 'correction', 500]);
+  });
+
+  it('should report when there is nothing to undo', async () => {
+    await handleCorrection(sm, 'undo');
+    const result = await handleCorrection(sm, 'undo');
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Nothing to undo/);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for Skill Schema validation
+ *
+ * Run with: node --test tests/lib/skillSchema.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  normalizeSchema,
+  validateEntry,
+  extractFieldsFromText,
+  SkillValidationError
+} from '../../lib/skills/schema.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-skill-schema');
+
+const WORKOUT_SCHEMA = {
+  primary: 'weight',
+  fields: {
+    exercise: { type: 'enum', values: ['squat', 'bench', 'deadlift'], required: true },
+    sets: { type: 'numeric', min: 1, max: 20, integer: true },
+    reps: { type: 'numeric', min: 1 },
+    weight: { type: 'numeric', unit: 'kg', min: 0 },
+    rest: { type: 'duration', unit: 'seconds' },
+    pr: { type: 'boolean' }
+  }
+};
+
+describe('Skill Schema', () => {
+  describe('normalizeSchema()', () => {
+    it('should treat a missing schema as untyped', () => {
+      const schema = normalizeSchema(null);
+      assert.strictEqual(schema.typed, false);
+      assert.strictEqual(schema.primary, 'value');
+      assert.deepStrictEqual(schema.fields, {});
+    });
+
+    it('should map legacy numeric schemas to a typed value field', () => {
+      const schema = normalizeSchema({ type: 'numeric', unit: 'ml' });
+      assert.strictEqual(schema.fields.value.type, 'numeric');
+      assert.strictEqual(schema.fields.value.unit, 'ml');
+    });
+
+    it('should apply legacy scale ranges to value and the score field', () => {
+      const schema = normalizeSchema({ type: 'scale', range: [1, 10], fields: ['score', 'note'] });
+      assert.strictEqual(schema.fields.value.max, 10);
+      assert.strictEqual(schema.fields.score.min, 1);
+      assert.strictEqual(schema.fields.note, undefined);
+    });
+
+    it('should reject enum fields without values', () => {
+      assert.throws(() => normalizeSchema({ fields: { kind: { type: 'enum' } } }), /must declare its values/);
+    });
+  });
+
+  describe('validateEntry()', () => {
+    const schema = normalizeSchema(WORKOUT_SCHEMA);
+
+    it('should coerce typed fields', () => {
+      const result = validateEntry(schema, {
+        exercise: 'Squat', sets: '3', reps: 8, weight: '60', rest: '1m30s', pr: 'yes'
+      });
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.entry.exercise, 'squat');
+      assert.strictEqual(result.entry.sets, 3);
+      assert.strictEqual(result.entry.rest, 90);
+      assert.strictEqual(result.entry.pr, true);
+    });
+
+    it('should mirror the primary field into value', () => {
+      const result = validateEntry(schema, { exercise: 'bench', weight: 70 });
+      assert.strictEqual(result.entry.value, 70);
+    });
+
+    it('should feed value into the primary field when it is missing', () => {
+      const result = validateEntry(schema, { exercise: 'bench', value: 50 });
+      assert.strictEqual(result.entry.weight, 50);
+    });
+
+    it('should report every failing field', () => {
+      const result = validateEntry(schema, { sets: 2.5, weight: -5, exercise: 'curl' });
+      assert.strictEqual(result.valid, false);
+      const fields = result.errors.map(e => e.field).sort();
+      assert.deepStrictEqual(fields, ['exercise', 'sets', 'weight']);
+      assert.match(result.errors.find(e => e.field === 'weight').message, /at least 0 kg/);
+    });
+
+    it('should flag missing required fields', () => {
+      const result = validateEntry(schema, { weight: 60 });
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.errors[0].message, 'exercise is required');
+    });
+  });
+
+  describe('extractFieldsFromText()', () => {
+    it('should pull declared fields out of chat text', () => {
+      const schema = normalizeSchema(WORKOUT_SCHEMA);
+      const fields = extractFieldsFromText(schema, 'bench 3 sets 8 reps at 60kg, new pr');
+      assert.deepStrictEqual(fields, { exercise: 'bench', sets: 3, reps: 8, weight: 60, pr: true });
+    });
+  });
+});
+
+describe('SkillManager schema enforcement', () => {
+  let sm;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    await sm.createSkill('Workout', { unit: 'kg', dataSchema: WORKOUT_SCHEMA });
+  });
+
+  after(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should load the schema from skill markdown', () => {
+    const skill = sm.skills.get('workout');
+    assert.strictEqual(skill.schema.typed, true);
+    assert.strictEqual(skill.schema.primary, 'weight');
+  });
+
+  it('should throw SkillValidationError on invalid entries', async () => {
+    await assert.rejects(
+      () => sm.addEntry('workout', { exercise: 'squat', sets: 0 }),
+      (error) => {
+        assert.ok(error instanceof SkillValidationError);
+        assert.strictEqual(error.skillId, 'workout');
+        assert.match(error.message, /sets must be at least 1/);
+        return true;
+      }
+    );
+    assert.strictEqual((await sm.getEntries('workout')).length, 0);
+  });
+
+  it('should compute stats per field', async () => {
+    await sm.addEntry('workout', { exercise: 'squat', sets: 3, reps: 5, weight: 100 });
+    await sm.addEntry('workout', { exercise: 'bench', sets: 4, reps: 8, weight: 60 });
+
+    const stats = await sm.getStats('workout');
+    assert.strictEqual(stats.sum, 160);
+
+    const fieldStats = await sm.getFieldStats('workout');
+    assert.strictEqual(fieldStats.sets.sum, 7);
+    assert.strictEqual(fieldStats.reps.max, 8);
+    assert.strictEqual(fieldStats.weight.unit, 'kg');
+    assert.strictEqual(fieldStats.rest.count, 0);
+  });
+
+  it('should aggregate several fields per period', async () => {
+    const rows = await sm.getAggregations('workout', ['sets', 'reps'], 'day');
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].fields.sets.sum, 7);
+    assert.strictEqual(rows[0].fields.reps.avg, 6.5);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for the JSON and SQLite skill storage engines
+ *
+ * Run with: node --test tests/lib/skillStorage.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { SkillManager, getSkillManager, resetSkillManager } from '../../lib/skills/skill-manager.js';
+import { migrateSkillData, getSqlitePath } from '../../lib/skills/storage/index.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-skill-storage');
+const DAY = 24 * 60 * 60 * 1000;
+
+async function seed(sm) {
+  await sm.createSkill('Water', { unit: 'ml' });
+  await sm.createSkill('Run', {
+    unit: 'km',
+    dataSchema: {
+      primary: 'distance',
+      fields: { distance: { type: 'numeric', unit: 'km' }, minutes: { type: 'numeric' } }
+    }
+  });
+
+  const start = Date.parse('2024-03-04T12:00:00Z');
+  await sm.importEntries('water', [
+    { value: 250, timestamp: start },
+    { value: 500, timestamp: start + 60 * 1000 },
+    { value: 300, timestamp: start + DAY },
+    { value: 750, timestamp: start + 40 * DAY },
+    { note: 'forgot the amount', timestamp: start + 2 * DAY }
+  ]);
+  await sm.importEntries('run', [
+    { distance: 5, minutes: 30, timestamp: start },
+    { distance: 10, timestamp: start + DAY }
+  ]);
+}
+
+for (const storage of ['json', 'sqlite']) {
+  describe(`Skill storage (${storage})`, () => {
+    const dir = path.join(TEST_DIR, storage);
+    let sm;
+
+    before(async () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      sm = new SkillManager({
+        skillsDir: path.join(dir, 'skills'),
+        dataDir: path.join(dir, 'data'),
+        storage
+      });
+      await sm.init();
+      await seed(sm);
+    });
+
+    after(() => {
+      sm.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should use the requested engine', () => {
+      assert.strictEqual(sm.storage.type, storage);
+    });
+
+    it('should filter entries by date range', async () => {
+      const march = await sm.getEntries('water', { since: '2024-03-01', until: '2024-03-31' });
+      assert.deepStrictEqual(march.map(e => e.value), [undefined, 300, 500, 250]);
+      assert.strictEqual(await sm.countEntries('water', { since: '2024-03-05' }), 3);
+
+      const [latest] = await sm.getEntries('water', { limit: 1 });
+      assert.strictEqual(latest.value, 750);
+    });
+
+    it('should compute stats over numeric values only', async () => {
+      const stats = await sm.getStats('water');
+      assert.strictEqual(stats.count, 4);
+      assert.strictEqual(stats.sum, 1800);
+      assert.strictEqual(stats.min, 250);
+      assert.strictEqual(stats.max, 750);
+      assert.strictEqual(stats.first.value, 250);
+      assert.strictEqual(stats.last.value, 750);
+
+      assert.deepStrictEqual(await sm.getStats('water', null, { date: '2099-01-01' }),
+        { count: 0, sum: 0, avg: 0, min: 0, max: 0 });
+    });
+
+    it('should aggregate by period', async () => {
+      const days = await sm.getAggregations('water', null, 'day');
+      assert.deepStrictEqual(days.map(d => [d.period, d.count, d.sum]), [
+        ['2024-03-04', 2, 750],
+        ['2024-03-05', 1, 300],
+        ['2024-03-06', 1, 0],
+        ['2024-04-13', 1, 750]
+      ]);
+
+      const months = await sm.getAggregations('water', null, 'month');
+      assert.deepStrictEqual(months.map(m => [m.period, m.count]), [['2024-03', 4], ['2024-04', 1]]);
+
+      const fields = await sm.getAggregations('run', ['distance', 'minutes'], 'day');
+      assert.deepStrictEqual(fields[0].fields.minutes, { count: 1, sum: 30, avg: 30, min: 30, max: 30 });
+      assert.strictEqual(fields[1].fields.minutes.count, 0);
+    });
+
+    it('should keep edits, soft-deletes and the audit trail', async () => {
+      const entry = await sm.addEntry('water', { value: 100 });
+      await sm.updateEntry('water', entry.id, { value: 200 });
+      await sm.deleteEntry('water', entry.id);
+
+      assert.strictEqual(await sm.getEntry('water', entry.id), null);
+      assert.strictEqual((await sm.getEntry('water', entry.id, { includeDeleted: true })).value, 200);
+      const trail = await sm.getAuditTrail('water', entry.id);
+      assert.deepStrictEqual(trail.map(a => a.action), ['create', 'update', 'delete']);
+      assert.deepStrictEqual(trail[1].changes.value, { from: 100, to: 200 });
+
+      await sm.restoreEntry('water', entry.id);
+      assert.strictEqual((await sm.getLastEntry()).entry.id, entry.id);
+    });
+
+    it('should skip legacy ids that were already imported', async () => {
+      const first = await sm.importEntries('run', [{ distance: 3, legacyId: 'r-1', timestamp: Date.now() }]);
+      const again = await sm.importEntries('run', [{ distance: 3, legacyId: 'r-1', timestamp: Date.now() }]);
+      assert.strictEqual(first.imported, 1);
+      assert.strictEqual(again.skipped, 1);
+    });
+
+    it('should delete a skill with its entries only when asked', async () => {
+      await sm.createSkill('Tea', { unit: 'cups' });
+      await sm.addEntry('tea', { value: 1 });
+      assert.strictEqual(await sm.deleteSkill('tea'), true);
+      assert.strictEqual(await sm.countEntries('tea'), 1);
+
+      await sm.createSkill('Tea', { unit: 'cups' });
+      assert.strictEqual(await sm.deleteSkill('tea', { deleteData: true }), true);
+      assert.strictEqual(await sm.countEntries('tea'), 0);
+      assert.ok(!(await sm.storage.listSkillIds()).includes('tea'));
+      assert.strictEqual(await sm.deleteSkill('tea', { deleteData: true }), false);
+    });
+  });
+}
+
+describe('Skill storage migration', () => {
+  const dir = path.join(TEST_DIR, 'migrate');
+  const dataDir = path.join(dir, 'data');
+
+  before(() => fs.rmSync(dir, { recursive: true, force: true }));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should copy JSON data into SQLite and switch to it automatically', async () => {
+    const json = new SkillManager({ skillsDir: path.join(dir, 'skills'), dataDir });
+    await json.init();
+    assert.strictEqual(json.storage.type, 'json');
+    await seed(json);
+    const entry = await json.addEntry('water', { value: 100 });
+    await json.deleteEntry('water', entry.id);
+    await json.updateMetadata('water', { note: 'kept' });
+    fs.writeFileSync(path.join(dataDir, '_goals.json'), '{"skills":{}}');
+
+    const result = await migrateSkillData({ dataDir });
+    assert.strictEqual(result.skills, 2);
+    assert.strictEqual(result.copied, 8);
+    assert.ok(fs.existsSync(getSqlitePath(dataDir)));
+
+    const rerun = await migrateSkillData({ dataDir });
+    assert.strictEqual(rerun.copied, 0);
+    assert.strictEqual(rerun.skipped, 8);
+
+    const sqlite = new SkillManager({ skillsDir: path.join(dir, 'skills'), dataDir });
+    await sqlite.init();
+    try {
+      assert.strictEqual(sqlite.storage.type, 'sqlite');
+      assert.deepStrictEqual(await sqlite.getStats('water'), await json.getStats('water'));
+      assert.strictEqual((await sqlite.getEntry('water', entry.id, { includeDeleted: true })).deletedAt > 0, true);
+      assert.strictEqual((await sqlite.getAuditTrail('water', entry.id)).length, 2);
+      assert.strictEqual((await sqlite.getMetadata('water')).note, 'kept');
+    } finally {
+      sqlite.close();
+    }
+  });
+});
+
+describe('Shared skill manager', () => {
+  const dir = path.join(TEST_DIR, 'shared');
+  const options = { skillsDir: path.join(dir, 'skills'), dataDir: path.join(dir, 'data'), storage: 'sqlite' };
+
+  before(() => fs.rmSync(dir, { recursive: true, force: true }));
+  after(() => {
+    resetSkillManager();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should pick up skill files changed by other processes', async () => {
+    const sm = await getSkillManager(options);
+    await sm.createSkill('Water', { unit: 'ml' });
+    assert.strictEqual(await getSkillManager(), sm);
+
+    // Another process (chat) adds one skill and removes the other
+    const other = new SkillManager(options);
+    await other.init();
+    await other.createSkill('Steps');
+    other.close();
+    fs.unlinkSync(path.join(options.skillsDir, 'water.md'));
+
+    await sm.reloadSkills();
+    assert.deepStrictEqual([...sm.skills.keys()], ['steps']);
+  });
+
+  it('should close the storage when reset', async () => {
+    const sm = await getSkillManager(options);
+    let closed = false;
+    const close = sm.storage.close.bind(sm.storage);
+    sm.storage.close = () => { closed = true; close(); };
+
+    resetSkillManager();
+    assert.strictEqual(closed, true);
+    assert.notStrictEqual(await getSkillManager(options), sm);
+  });
+});
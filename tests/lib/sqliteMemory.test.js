@@ -0,0 +1,84 @@
+/**
+ * Tests for the SQLite vector memory store: JSONL import, BM25 keyword
+ * ranking, hybrid search and deletes
+ *
+ * Run with: node --test tests/lib/sqliteMemory.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-sqlite-memory');
+const VECTOR_DIR = path.join(TEST_DIR, '.static-rebel', 'vector-memory');
+
+// Memories live under ~/.static-rebel/vector-memory
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+// A legacy JSONL memory whose Float32Array embedding was serialized as an object
+const embeddings = await import('../../lib/embeddings.js');
+embeddings.configure({ ollamaUrl: 'http://127.0.0.1:9' });
+const legacyEmbedding = await embeddings.generateEmbedding('User prefers dark roast coffee');
+fs.mkdirSync(VECTOR_DIR, { recursive: true });
+fs.writeFileSync(path.join(VECTOR_DIR, 'memories.jsonl'), [
+  JSON.stringify({
+    id: 'legacy1',
+    content: 'User prefers dark roast coffee',
+    embedding: legacyEmbedding,
+    metadata: { type: 'preference', timestamp: '2026-01-05T10:00:00.000Z' }
+  }),
+  'not json'
+].join('\n') + '\n');
+
+const memory = await import('../../lib/memory/sqlite-memory.js');
+
+describe('SQLite vector memory', () => {
+  after(() => {
+    memory.closeMemoryDb();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should import existing JSONL memories once and keep the original', () => {
+    const stats = memory.getMemoryStats();
+
+    assert.strictEqual(memory.getMemoryStorage(), 'sqlite');
+    assert.deepStrictEqual(stats.byType, { preference: 1 });
+    assert.strictEqual(stats.oldestMemory, '2026-01-05T10:00:00.000Z');
+
+    const files = fs.readdirSync(VECTOR_DIR);
+    assert.ok(!files.includes('memories.jsonl'));
+    assert.ok(files.some(file => file.startsWith('memories.jsonl.migrated.')));
+    assert.strictEqual(memory.exportMemories()[0].embedding.length, legacyEmbedding.length);
+  });
+
+  it('should rank keyword matches with BM25 in hybrid search', async () => {
+    await memory.addMemory('Project Falcon deploys on Fridays', { type: 'project' });
+    await memory.addMemory('Falcon notes: the falcon API runs on port 8080', { type: 'project' });
+    await memory.addMemory('Grocery list: oat milk and bread');
+
+    const results = await memory.hybridSearch('falcon port', { limit: 3, minScore: 0 });
+    assert.strictEqual(results[0].content, 'Falcon notes: the falcon API runs on port 8080');
+    assert.strictEqual(results[0].keywordMatchType, 'exact');
+    assert.strictEqual(results[1].keywordMatchType, 'partial');
+    assert.ok(results[0].keywordScore > results[1].keywordScore);
+
+    const preferences = await memory.hybridSearch('coffee', { type: 'preference', minScore: 0 });
+    assert.deepStrictEqual(preferences.map(result => result.id), ['legacy1']);
+    assert.strictEqual((await memory.searchMemories('dark roast coffee', { minScore: 0.7 }))[0].id, 'legacy1');
+  });
+
+  it('should delete memories from the keyword index too', async () => {
+    const { id } = await memory.addMemory('Temporary zebra fact');
+    assert.strictEqual((await memory.hybridSearch('zebra', { minScore: 0 }))[0].id, id);
+
+    assert.strictEqual(memory.deleteMemory(id), true);
+    assert.strictEqual(memory.deleteMemory(id), false);
+    assert.deepStrictEqual(await memory.hybridSearch('zebra', { minScore: 0.3 }), []);
+    assert.ok(!memory.getKeywordIndexStats().words.includes('zebra'));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for structured output: JSON Schema validation and repair
+ *
+ * Run with: node --test tests/lib/structuredOutput.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  StructuredOutputError,
+  validateJsonSchema,
+  parseJsonOutput,
+  runStructured
+} from '../../lib/llm/structured.js';
+import { BaseProvider } from '../../lib/llm/providers/BaseProvider.js';
+import { AnthropicProvider } from '../../lib/llm/providers/AnthropicProvider.js';
+import { LLMManager } from '../../lib/llm/LLMManager.js';
+
+const MOOD_SCHEMA = {
+  type: 'object',
+  properties: {
+    mood: { type: 'string', enum: ['good', 'ok', 'bad'] },
+    score: { type: 'integer', minimum: 1, maximum: 10 },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['mood', 'score'],
+  additionalProperties: false
+};
+
+class ScriptedProvider extends BaseProvider {
+  constructor(replies) {
+    super('scripted');
+    this.replies = replies;
+    this.calls = [];
+  }
+
+  async chat(model, messages, options) {
+    this.calls.push({ messages, options });
+    return this.normalizeResponse({ content: this.replies.shift() }, model);
+  }
+}
+
+describe('Structured output parsing', () => {
+  it('should report every schema problem with its path', () => {
+    const errors = validateJsonSchema({ mood: 'great', score: 11.5, tags: ['a', 2], extra: true }, MOOD_SCHEMA);
+
+    assert.deepStrictEqual(errors.map(e => e.path), ['$.mood', '$.score', '$.tags[1]', '$.extra']);
+    assert.match(errors[0].message, /one of "good", "ok", "bad"/);
+    assert.match(errors[1].message, /must be integer, got number/);
+    assert.deepStrictEqual(validateJsonSchema({ mood: 'ok', score: 7 }, MOOD_SCHEMA), []);
+  });
+
+  it('should find JSON in fences and prose', () => {
+    assert.deepStrictEqual(parseJsonOutput('Sure!\n```json\n{"mood": "ok"}\n```'), { mood: 'ok' });
+    assert.deepStrictEqual(parseJsonOutput('Here you go: {"mood": "bad", "tags": ["{x}"]} hope it helps'), { mood: 'bad', tags: ['{x}'] });
+    assert.throws(() => parseJsonOutput('no json here'), error =>
+      error instanceof StructuredOutputError && error.code === 'invalid_json');
+  });
+});
+
+describe('Structured output repair', () => {
+  it('should re-prompt with validation errors until the reply validates', async () => {
+    const replies = ['not json', '{"mood": "meh", "score": 4}', '{"mood": "ok", "score": 4}'];
+    const sent = [];
+    const result = await runStructured(async (messages, hints) => {
+      sent.push({ messages, hints });
+      return replies.shift();
+    }, [{ role: 'user', content: 'How was today? Pretty average.' }], { schema: MOOD_SCHEMA, schemaName: 'mood entry' });
+
+    assert.deepStrictEqual(result.data, { mood: 'ok', score: 4 });
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(sent[0].hints.responseSchema.name, 'mood_entry');
+    assert.match(sent[0].messages[0].content, /JSON Schema/);
+    assert.match(sent[2].messages.at(-1).content, /\$\.mood must be one of/);
+  });
+
+  it('should throw a typed error once repairs run out', async () => {
+    await assert.rejects(
+      runStructured(async () => '{"mood": "ok"}', [{ role: 'user', content: 'hi' }], { schema: MOOD_SCHEMA, maxRepairs: 1 }),
+      error => error instanceof StructuredOutputError &&
+        error.code === 'schema_mismatch' &&
+        error.attempts === 2 &&
+        error.errors[0].path === '$.score'
+    );
+  });
+
+  it('should return validated data from LLMManager.chat', async () => {
+    const manager = new LLMManager({ enableHealthChecks: false, enableFallback: false });
+    const provider = new ScriptedProvider(['```json\n{"mood": "good", "score": "9"}\n```', '{"mood": "good", "score": 9}']);
+    manager.providers.set('scripted', provider);
+
+    const response = await manager.chat('scripted/test', [{ role: 'user', content: 'Great day!' }], { schema: MOOD_SCHEMA });
+
+    assert.deepStrictEqual(response.data, { mood: 'good', score: 9 });
+    assert.strictEqual(response.attempts, 2);
+    assert.deepStrictEqual(provider.calls[0].options.responseSchema, { name: 'response', schema: MOOD_SCHEMA });
+    assert.strictEqual(provider.calls[0].options.schema, undefined);
+  });
+
+  it('should use a forced tool call for Anthropic', () => {
+    const anthropic = new AnthropicProvider({ apiKey: 'test' });
+    const fields = anthropic.formatResponseSchema({ responseSchema: { name: 'mood', schema: MOOD_SCHEMA } });
+
+    assert.deepStrictEqual(fields.tool_choice, { type: 'tool', name: 'mood' });
+    assert.strictEqual(fields.tools[0].input_schema, MOOD_SCHEMA);
+    assert.strictEqual(anthropic.formatResponseSchema({ responseSchema: { name: 'list', schema: { type: 'array' } } }), null);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for the Telegram integration: chat routing, inline keyboards and summaries
+ *
+ * Run with: node --test tests/lib/telegramIntegration.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+
+import {
+  TelegramIntegration,
+  formatDailySummary,
+  splitMessage
+} from '../../lib/integrations/telegram.js';
+
+class FakeBot extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.answered = [];
+  }
+
+  async getMe() {
+    return { username: 'rebel_bot' };
+  }
+
+  async setMyCommands() {}
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length };
+  }
+
+  async answerCallbackQuery(id) {
+    this.answered.push(id);
+  }
+}
+
+function createTelegram(replies, options = {}) {
+  const bot = new FakeBot();
+  const inputs = [];
+  const telegram = new TelegramIntegration({
+    bot,
+    allowedChatIds: ['42'],
+    defaultChatId: null,
+    handleChat: async (input, { source, context }) => {
+      inputs.push({ input, source, chatId: context.chatId });
+      return { content: replies.shift() };
+    },
+    ...options
+  });
+  return { telegram, bot, inputs };
+}
+
+describe('Telegram integration', () => {
+  it('should answer through handleChat with directives as inline keyboards', async () => {
+    const longData = 'x'.repeat(80);
+    const { telegram, bot, inputs } = createTelegram([
+      'Log it as water?\n[[quick_replies: Yes please, No]]',
+      `Pick one [[buttons: Options | Short:short, Long:${longData}]]`,
+      '✅ Logged 500 ml water'
+    ]);
+    await telegram.start();
+
+    await telegram.handleMessage({ chat: { id: 42 }, from: { id: 7 }, text: 'had some water' });
+    assert.deepStrictEqual(inputs[0], { input: 'had some water', source: 'telegram', chatId: '42' });
+    assert.strictEqual(bot.sent[0].text, 'Log it as water?');
+    assert.deepStrictEqual(bot.sent[0].options.reply_markup.inline_keyboard, [[
+      { text: 'Yes please', callback_data: 'Yes please' },
+      { text: 'No', callback_data: 'No' }
+    ]]);
+
+    await telegram.handleMessage({ chat: { id: 42 }, from: { id: 7 }, text: 'options?' });
+    const [short, long] = bot.sent[1].options.reply_markup.inline_keyboard[0];
+    assert.strictEqual(short.callback_data, 'short');
+    assert.ok(Buffer.byteLength(long.callback_data) <= 64);
+
+    // Pressing a button answers with its data
+    await bot.emit('callback_query', { id: 'q1', from: { id: 7 }, message: { chat: { id: 42 } }, data: long.callback_data });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(bot.answered, ['q1']);
+    assert.strictEqual(inputs[2].input, longData);
+    assert.strictEqual(bot.sent[2].text, '✅ Logged 500 ml water');
+
+    await telegram.stop();
+  });
+
+  it('should ignore chats that are not allowed', async () => {
+    const { telegram, bot, inputs } = createTelegram(['hi']);
+    await telegram.handleMessage({ chat: { id: 99 }, from: { id: 1 }, text: 'hello' });
+
+    assert.strictEqual(inputs.length, 0);
+    assert.strictEqual(bot.sent.length, 0);
+  });
+
+  it('should only answer the default chat without an allow list', async () => {
+    const { telegram, inputs } = createTelegram(['hi'], { allowedChatIds: [], defaultChatId: '42' });
+    assert.strictEqual(telegram.isAllowed(42), true);
+    assert.strictEqual(telegram.isAllowed(99), false);
+
+    await telegram.handleMessage({ chat: { id: 99 }, from: { id: 1 }, text: 'hello' });
+    assert.strictEqual(inputs.length, 0);
+
+    const { telegram: closed } = createTelegram([], { allowedChatIds: [], defaultChatId: null });
+    assert.strictEqual(closed.isAllowed(42), false);
+  });
+
+  it('should cap the long callback data it keeps', () => {
+    const { telegram } = createTelegram([]);
+    const markup = data => ({ reply_markup: { inline_keyboard: [[{ text: 'Go', callback_data: data }]] } });
+
+    const first = telegram.shortenCallbackData(markup('a'.repeat(80)));
+    let last;
+    for (let i = 0; i < 600; i++) {
+      last = telegram.shortenCallbackData(markup(`${i}`.padEnd(80, 'b')));
+    }
+
+    assert.strictEqual(telegram.callbackData.size, 500);
+    assert.strictEqual(telegram.callbackData.has(first.reply_markup.inline_keyboard[0][0].callback_data), false);
+    assert.strictEqual(telegram.callbackData.get(last.reply_markup.inline_keyboard[0][0].callback_data), '599'.padEnd(80, 'b'));
+  });
+
+  it('should send the daily summary once per local day', async () => {
+    const { telegram } = createTelegram([], { dailySummaryTime: '21:00' });
+    let sent = 0;
+    telegram.sendDailySummary = async () => { sent++; };
+
+    assert.strictEqual(await telegram.checkDailySummary(new Date(2026, 0, 15, 20, 59)), false);
+    assert.strictEqual(await telegram.checkDailySummary(new Date(2026, 0, 15, 23, 30)), true);
+    assert.strictEqual(telegram.lastSummaryDate, '2026-01-15');
+    assert.strictEqual(await telegram.checkDailySummary(new Date(2026, 0, 15, 23, 59)), false);
+    assert.strictEqual(await telegram.checkDailySummary(new Date(2026, 0, 16, 21, 0)), true);
+    assert.strictEqual(sent, 2);
+  });
+});
+
+describe('Telegram formatting', () => {
+  it("should summarize today's entries with goal progress", () => {
+    const summary = formatDailySummary([
+      { id: 'water', name: 'Water', icon: '💧', unit: 'ml', dailyGoal: 2000, todaySum: 1500, todayCount: 3 },
+      { id: 'coffee', name: 'Coffee', icon: '☕', unit: 'cups', dailyGoal: null, todaySum: 1, todayCount: 1 },
+      { id: 'steps', name: 'Steps', icon: '👟', unit: 'steps', dailyGoal: 8000, todaySum: 0, todayCount: 0 },
+      { id: '_meta', name: 'Meta', todaySum: 5, todayCount: 5 }
+    ]);
+
+    assert.match(summary, /💧 Water: 1,500 ml of 2,000 ml \(75%\) - 3 entries/);
+    assert.match(summary, /☕ Coffee: 1 cups - 1 entry/);
+    assert.match(summary, /Not logged yet: Steps$/);
+    assert.doesNotMatch(summary, /Meta/);
+    assert.match(formatDailySummary([]), /Nothing logged today/);
+  });
+
+  it('should split long messages at line breaks', () => {
+    const text = `${'a'.repeat(30)}\n${'b'.repeat(30)}\n${'c'.repeat(10)}`;
+    assert.deepStrictEqual(splitMessage(text, 50), ['a'.repeat(30), `${'b'.repeat(30)}\n${'c'.repeat(10)}`]);
+    assert.deepStrictEqual(splitMessage('short', 50), ['short']);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for TrackerStore running on top of SkillManager
+ *
+ * Run with: node --test tests/lib/trackerBridge.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+import {
+  recordToEntry,
+  entryToRecord,
+  migrateLegacyTrackers
+} from '../../lib/skills/tracker-bridge.js';
+import { TrackerStore, QueryEngine } from '../../tracker.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-tracker-bridge');
+const TRACKERS_DIR = path.join(TEST_DIR, 'trackers');
+
+function writeJson(file, data) {
+  fs.writeFileSync(path.join(TRACKERS_DIR, file), JSON.stringify(data));
+}
+
+describe('Tracker bridge', () => {
+  describe('record conversion', () => {
+    it('should lift record data to entry fields', () => {
+      const entry = recordToEntry({
+        id: 'record-1',
+        timestamp: '2026-01-05T12:00:00.000Z',
+        data: { food: 'salad', calories: 450 }
+      });
+      assert.strictEqual(entry.food, 'salad');
+      assert.strictEqual(entry.value, 450);
+      assert.strictEqual(entry.legacyId, 'record-1');
+      assert.strictEqual(entry.timestamp, Date.parse('2026-01-05T12:00:00.000Z'));
+    });
+
+    it('should give entries a record shape back', () => {
+      const record = entryToRecord({ id: 'a1', timestamp: 0, value: 3, exercise: 'squat', source: 'chat' });
+      assert.strictEqual(record.timestamp, '1970-01-01T00:00:00.000Z');
+      assert.deepStrictEqual(record.data, { exercise: 'squat' });
+    });
+  });
+
+  describe('TrackerStore over SkillManager', () => {
+    let sm;
+    let store;
+
+    before(async () => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+      fs.mkdirSync(TRACKERS_DIR, { recursive: true });
+      writeJson('trackers.json', {
+        trackers: [
+          { id: 'tracker-1', name: 'food', displayName: 'Food Tracker', type: 'nutrition' },
+          { id: 'tracker-2', name: 'water', displayName: 'Water', type: 'hydration' }
+        ]
+      });
+      writeJson('tracker-1.json', {
+        records: [
+          { id: 'record-1', timestamp: '2026-01-05T12:00:00.000Z', data: { food: 'salad', calories: 450 } },
+          { id: 'record-2', timestamp: '2026-01-06T08:00:00.000Z', data: { food: 'eggs', calories: 200 } }
+        ]
+      });
+      writeJson('tracker-2.json', {
+        records: [{ id: 'record-3', timestamp: '2026-01-06T09:00:00.000Z', value: 500 }]
+      });
+
+      sm = new SkillManager({
+        skillsDir: path.join(TEST_DIR, 'skills'),
+        dataDir: path.join(TEST_DIR, 'data')
+      });
+      await sm.init();
+      await sm.createSkill('Water', { unit: 'ml' });
+      await sm.addEntry('water', { value: 250 });
+
+      store = new TrackerStore({ skillManager: sm, trackersDir: TRACKERS_DIR });
+      await store.ensureDir();
+    });
+
+    after(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should migrate legacy trackers into skills', async () => {
+      assert.ok(sm.skills.has('food'));
+      const food = await sm.getEntries('food', { sort: 'asc' });
+      assert.deepStrictEqual(food.map(e => e.calories), [450, 200]);
+      assert.strictEqual(food[0].date, '2026-01-05');
+    });
+
+    it('should merge a legacy tracker into the skill of the same name', async () => {
+      const water = await sm.getEntries('water');
+      assert.strictEqual(water.length, 2);
+      assert.strictEqual((await store.getTracker('tracker-2')).id, 'water');
+    });
+
+    it('should not duplicate entries when the migration runs again', async () => {
+      const result = await migrateLegacyTrackers(sm, { trackersDir: TRACKERS_DIR, force: true });
+      assert.strictEqual(result.imported, 0);
+      assert.strictEqual(result.skipped, 3);
+      assert.strictEqual((await sm.getEntries('food')).length, 2);
+    });
+
+    it('should show records logged through TrackerStore in skill stats', async () => {
+      await store.addRecord('food', { data: { food: 'apple', calories: 95 }, source: 'natural-language' });
+
+      const stats = await sm.getStats('food');
+      assert.strictEqual(stats.count, 3);
+      assert.strictEqual(stats.sum, 745);
+
+      const queryStats = await new QueryEngine(store).getStats('food');
+      assert.strictEqual(queryStats.count, 3);
+      assert.strictEqual(queryStats.recent[2].data.food, 'apple');
+    });
+
+    it('should list skills as trackers', async () => {
+      const trackers = await store.listTrackers();
+      const food = trackers.find(t => t.id === 'food');
+      assert.strictEqual(food.type, 'nutrition');
+      assert.strictEqual(food.displayName, 'Food Tracker');
+      assert.strictEqual(food.count, 3);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for transcript search: the query language, the incremental index
+ * and hits shown in their conversation context
+ *
+ * Run with: node --test tests/lib/transcriptSearch.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-transcript-search');
+const TRANSCRIPTS = path.join(TEST_DIR, '.static-rebel', 'transcripts');
+
+// Transcripts and the index live under ~/.static-rebel
+const originalHome = process.env.HOME;
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+process.env.HOME = TEST_DIR;
+
+const embeddings = await import('../../lib/embeddings.js');
+embeddings.configure({ ollamaUrl: 'http://127.0.0.1:9' });
+
+const { searchAllTranscripts } = await import('../../lib/jsonlTranscripts.js');
+const {
+  parseTranscriptQuery,
+  searchTranscripts,
+  updateTranscriptIndex,
+  rebuildTranscriptIndex,
+  getTranscriptIndexStats,
+  closeTranscriptIndex,
+  ensureTranscriptIndexJob,
+  TRANSCRIPT_INDEX_JOB_TYPE,
+} = await import('../../lib/transcripts/search.js');
+const { addCronJob, listCronJobs } = await import('../../lib/cronScheduler.js');
+
+const NOW = new Date('2026-10-18T12:00:00.000Z');
+
+function line(timestamp, role, content, extra = {}) {
+  return JSON.stringify({ timestamp, sessionId: extra.sessionId, role, type: 'message', content, ...extra }) + '\n';
+}
+
+fs.mkdirSync(TRANSCRIPTS, { recursive: true });
+fs.writeFileSync(path.join(TRANSCRIPTS, 'api_2026-10-12.jsonl'), [
+  line('2026-10-12T10:00:00.000Z', 'user', 'The dashboard and the API both want port 3000', { sessionId: 'api' }),
+  line('2026-10-12T10:00:05.000Z', 'assistant', 'Let us move the API to port 8080 and keep the dashboard on 3000', { sessionId: 'api' }),
+  line('2026-10-12T10:01:00.000Z', 'user', 'Agreed, ship it', { sessionId: 'api' }),
+  JSON.stringify({ timestamp: '2026-10-12T10:02:00.000Z', sessionId: 'api', role: 'system', type: 'error', error: 'EADDRINUSE: port 8080 already in use' }) + '\n',
+].join(''));
+fs.writeFileSync(path.join(TRANSCRIPTS, 'old_2026-08-01.jsonl'), [
+  line('2026-08-01T09:00:00.000Z', 'user', 'Which port should the API use?', { sessionId: 'old' }),
+  'not json\n',
+].join(''));
+
+describe('Transcript search', () => {
+  // Searches don't index; the cron job does
+  before(async () => {
+    const report = await updateTranscriptIndex();
+    assert.deepStrictEqual([report.files, report.added, report.embedded], [2, 5, 5]);
+  });
+
+  after(() => {
+    closeTranscriptIndex();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should parse filters, phrases and time phrases', () => {
+    const parsed = parseTranscriptQuery('"api port" role:Assistant session:api has:action after:7d http://x', NOW);
+    assert.deepStrictEqual(parsed.phrases, ['api port']);
+    assert.deepStrictEqual(parsed.filters, { role: 'assistant', session: 'api', hasAction: true, after: '2026-10-11T00:00:00.000Z' });
+    assert.strictEqual(parsed.text, 'http://x');
+
+    const question = parseTranscriptQuery('what did we decide about the API port last week', NOW);
+    assert.deepStrictEqual(question.terms, ['decide', 'api', 'port']);
+    assert.deepStrictEqual(question.filters, { after: '2026-10-04T00:00:00.000Z' });
+
+    assert.match(parseTranscriptQuery('before:someday').errors[0], /Can't read date/);
+  });
+
+  it('should find the decision last week and show it in context', async () => {
+    const result = await searchTranscripts('what did we decide about the API port last week', { now: NOW, mode: 'keyword' });
+
+    assert.strictEqual(result.success, true);
+    assert.ok(result.hits.every(hit => hit.sessionId === 'api'));
+
+    const decision = result.hits.find(hit => hit.role === 'assistant');
+    assert.match(decision.text, /port 8080/);
+    assert.deepStrictEqual(decision.context.before.map(entry => entry.role), ['user']);
+    assert.deepStrictEqual(decision.context.after.map(entry => entry.text), ['Agreed, ship it', 'EADDRINUSE: port 8080 already in use']);
+  });
+
+  it('should apply phrases and filters', async () => {
+    const phrase = await searchTranscripts('"port 8080" role:assistant', { now: NOW, mode: 'keyword', context: 0 });
+    assert.deepStrictEqual(phrase.hits.map(hit => hit.line), [2]);
+
+    const errors = await searchTranscripts('has:error', { now: NOW });
+    assert.deepStrictEqual(errors.hits.map(hit => hit.type), ['error']);
+
+    const old = await searchTranscripts('port before:2026-09-01', { now: NOW, mode: 'keyword' });
+    assert.deepStrictEqual(old.hits.map(hit => hit.sessionId), ['old']);
+  });
+
+  it('should find entries by meaning', async () => {
+    const result = await searchTranscripts('Agreed, ship it', { now: NOW, mode: 'semantic', limit: 1 });
+    assert.strictEqual(result.hits[0].text, 'Agreed, ship it');
+    assert.ok(result.hits[0].vectorScore > 0.99);
+  });
+
+  it('should only index what was appended, and re-index rewritten files', async () => {
+    const file = path.join(TRANSCRIPTS, 'api_2026-10-12.jsonl');
+    fs.appendFileSync(file, line('2026-10-12T11:00:00.000Z', 'user', 'Remember the staging port too', { sessionId: 'api' }));
+    // Still being written
+    fs.appendFileSync(file, '{"timestamp":"2026-10-12T11:01:00.000Z","role":"user","content":"half');
+
+    const report = await updateTranscriptIndex({ embed: false });
+    assert.deepStrictEqual([report.files, report.added, report.reindexed], [1, 1, 0]);
+    assert.strictEqual((await searchAllTranscripts('staging')).length, 1);
+
+    fs.writeFileSync(file, line('2026-10-12T12:00:00.000Z', 'user', 'Fresh start', { sessionId: 'api' }));
+    const rewritten = await updateTranscriptIndex({ embed: false });
+    assert.deepStrictEqual([rewritten.added, rewritten.reindexed], [1, 1]);
+
+    const [hit] = await searchAllTranscripts('fresh');
+    assert.deepStrictEqual([hit.sessionId, hit.file, hit.entry.content], ['api', 'api_2026-10-12.jsonl', 'Fresh start']);
+    assert.deepStrictEqual(await searchAllTranscripts('staging'), []);
+  });
+
+  it('should mark entries that fail to embed and not retry them', async () => {
+    const failing = await updateTranscriptIndex({ embedder: async () => { throw new Error('offline'); } });
+    assert.deepStrictEqual([failing.embedded, failing.failed], [0, 1]);
+
+    const next = await updateTranscriptIndex();
+    assert.deepStrictEqual([next.embedded, next.failed], [0, 0]);
+    assert.strictEqual(getTranscriptIndexStats().embedFailed, 1);
+
+    const rebuilt = await rebuildTranscriptIndex();
+    assert.deepStrictEqual([rebuilt.embedded, rebuilt.failed], [2, 0]);
+    assert.strictEqual(getTranscriptIndexStats().embedFailed, 0);
+  });
+
+  it('should schedule indexing as an internal job, left out of the task list', () => {
+    fs.mkdirSync(path.join(TEST_DIR, '.static-rebel', 'config'), { recursive: true });
+    // A job scheduled before internal jobs existed is marked internal
+    const old = addCronJob({ name: 'Transcript index', schedule: { expr: '*/15 * * * *' }, data: { type: TRANSCRIPT_INDEX_JOB_TYPE } });
+    const job = ensureTranscriptIndexJob();
+
+    assert.strictEqual(job.id, old.id);
+    assert.strictEqual(job.internal, true);
+    assert.strictEqual(ensureTranscriptIndexJob().id, old.id);
+    assert.deepStrictEqual(listCronJobs(), []);
+    assert.deepStrictEqual(listCronJobs({ includeInternal: true }).map(j => j.id), [old.id]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for unit-aware quantity parsing and conversion
+ *
+ * Run with: node --test tests/lib/units.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  parseQuantity,
+  parseDuration,
+  normalizeQuantity,
+  convert,
+  canConvert,
+  formatQuantity
+} from '../../lib/skills/units.js';
+import { SkillManager } from '../../lib/skills/skill-manager.js';
+import { SkillValidationError } from '../../lib/skills/schema.js';
+
+const TEST_DIR = path.join(os.tmpdir(), 'static-rebel-test-units');
+
+describe('Units', () => {
+  describe('parseQuantity()', () => {
+    it('should read numbers, words and fractions', () => {
+      assert.deepStrictEqual(
+        [parseQuantity('drank 2 cups').value, parseQuantity('drank 2 cups').unit],
+        [2, 'cup']
+      );
+      assert.strictEqual(parseQuantity('half a litre of water').value, 0.5);
+      assert.strictEqual(parseQuantity('1/2 cup').value, 0.5);
+      assert.strictEqual(parseQuantity('2,000 ml').value, 2000);
+      assert.strictEqual(parseQuantity('my 1st run, 2 in a row'), null);
+      assert.strictEqual(parseQuantity('walked 10k steps'), null);
+      assert.strictEqual(parseQuantity('pushups 20 at 3 m'), null);
+      assert.strictEqual(parseQuantity('3d', { targetUnit: 'hours' }).value, 3);
+    });
+
+    it('should resolve ambiguous units by the target dimension', () => {
+      assert.strictEqual(parseQuantity('16 oz', { targetUnit: 'ml' }).unit, 'fl oz');
+      assert.strictEqual(parseQuantity('16 oz', { targetUnit: 'kg' }).unit, 'oz');
+      assert.strictEqual(parseQuantity('30m', { targetUnit: 'minutes' }).unit, 'minutes');
+    });
+
+    it('should read compound durations as one amount', () => {
+      const run = parseQuantity('ran for 2h 30m today');
+      assert.deepStrictEqual([run.value, run.unit, run.raw], [2.5, 'hours', '2h 30m']);
+      assert.strictEqual(parseQuantity('1 hour and 15 minutes').value, 1.25);
+      assert.strictEqual(parseQuantity('5m20', { targetUnit: 'seconds' }).raw, '5m20');
+      // "and" is not "an d(ay)"
+      assert.strictEqual(parseQuantity('2 cups and 3 hours', { targetUnit: 'minutes' }).value, 3);
+    });
+  });
+
+  describe('parseDuration()', () => {
+    it('should parse common duration formats', () => {
+      assert.strictEqual(parseDuration('45 min'), 45);
+      assert.strictEqual(parseDuration('1h30m'), 90);
+      assert.strictEqual(parseDuration('1:30'), 90);
+      assert.strictEqual(parseDuration('90s', 'seconds'), 90);
+      assert.strictEqual(parseDuration('soon'), null);
+    });
+
+    it('should parse compound durations', () => {
+      assert.strictEqual(parseDuration('2h 30m'), 150);
+      assert.strictEqual(parseDuration('1h30'), 90);
+      assert.strictEqual(parseDuration('2h, 30m and 30s', 'seconds'), 9030);
+    });
+  });
+
+  describe('convert()', () => {
+    it('should convert within a dimension', () => {
+      assert.strictEqual(convert(1.5, 'l', 'ml'), 1500);
+      assert.strictEqual(Math.round(convert(10, 'km', 'mi') * 100) / 100, 6.21);
+      assert.strictEqual(canConvert('lb', 'ml'), false);
+      assert.throws(() => convert(1, 'kg', 'km'), /Cannot convert/);
+    });
+  });
+
+  describe('normalizeQuantity()', () => {
+    it('should normalize to the target unit and keep the original', () => {
+      const result = normalizeQuantity('16 oz', 'ml');
+      assert.strictEqual(result.value, 473);
+      assert.strictEqual(result.converted, true);
+      assert.deepStrictEqual(result.original, { value: 16, unit: 'fl oz', text: '16 oz' });
+    });
+
+    it('should normalize compound durations', () => {
+      assert.strictEqual(normalizeQuantity('2h 30m', 'minutes').value, 150);
+      assert.strictEqual(normalizeQuantity('1h30', 'minutes').value, 90);
+      assert.strictEqual(normalizeQuantity('1:30', 'minutes').value, 90);
+    });
+  });
+
+  describe('formatQuantity()', () => {
+    it('should respect the unit system', () => {
+      assert.strictEqual(formatQuantity(2000, 'ml', 'imperial'), '67.6 fl oz');
+      assert.strictEqual(formatQuantity(2000, 'ml', 'metric'), '2,000 ml');
+      assert.strictEqual(formatQuantity(60, 'kg', 'imperial'), '132 lb');
+      assert.strictEqual(formatQuantity(3, 'cups', 'imperial'), '3 cups');
+    });
+  });
+});
+
+describe('SkillManager unit normalization', () => {
+  let sm;
+
+  before(async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    sm = new SkillManager({
+      skillsDir: path.join(TEST_DIR, 'skills'),
+      dataDir: path.join(TEST_DIR, 'data')
+    });
+    await sm.init();
+    await sm.createSkill('Water', { unit: 'ml', dataSchema: { type: 'numeric', unit: 'ml' } });
+    await sm.createSkill('Steps', { unit: 'steps' });
+  });
+
+  after(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should store amounts in the skill unit', async () => {
+    const cups = await sm.addEntry('water', { value: 2, unit: 'cups' });
+    assert.strictEqual(cups.value, 500);
+    assert.strictEqual(cups.unit, 'ml');
+    assert.deepStrictEqual(cups.original, { value: 2, unit: 'cups', text: null });
+
+    const litre = await sm.addEntry('water', { quantity: 'half a litre' });
+    assert.strictEqual(litre.value, 500);
+    assert.strictEqual(litre.original.text, 'half a litre');
+
+    const stats = await sm.getStats('water');
+    assert.strictEqual(stats.sum, 1000);
+  });
+
+  it('should leave unrelated units alone', async () => {
+    const entry = await sm.addEntry('water', { value: 3, unit: 'steps' });
+    assert.strictEqual(entry.value, 3);
+    assert.strictEqual(entry.original, undefined);
+  });
+
+  it('should reject amounts in another dimension', async () => {
+    await assert.rejects(sm.addEntry('water', { value: 5, unit: 'km' }), error =>
+      error instanceof SkillValidationError && /km is a distance unit and can't be converted to ml/.test(error.message));
+    await assert.rejects(sm.addEntry('water', { quantity: '2 hours' }), SkillValidationError);
+
+    const { imported, rejected } = await sm.importEntries('water', [{ value: 1, unit: 'kg' }, { value: 1, unit: 'l' }]);
+    assert.strictEqual(imported, 1);
+    assert.strictEqual(rejected[0].errors[0].field, 'unit');
+  });
+
+  it('should reject measured amounts for counted skills', async () => {
+    await assert.rejects(sm.addEntry('steps', { value: 10, unit: 'km' }), error =>
+      error instanceof SkillValidationError && /km is a distance unit and Steps counts steps/.test(error.message));
+    assert.strictEqual((await sm.addEntry('steps', { value: 8000 })).value, 8000);
+  });
+});
@@ -1,185 +1,185 @@
-import fs from 'fs/promises';
 import path from 'path';
 import http from 'http';
 import os from 'os';
-import { getDefaultModel } from './lib/modelRegistry.js';
+import { getDefaultModel, chatCompletion } from './lib/modelRegistry.js';
+import { runStructured } from './lib/llm/structured.js';
+import { parseQuantity, convert, roundQuantity, DEFAULT_UNITS } from './lib/skills/units.js';
+import { getSkillManager } from './lib/skills/skill-manager.js';
+import {
+  recordToEntry,
+  entryToRecord,
+  skillToTracker,
+  updateTrackerMeta,
+  resolveTrackerSkill,
+  ensureTrackerSkill,
+  migrateLegacyTrackers,
+} from './lib/skills/tracker-bridge.js';
 
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
 const MODEL = getDefaultModel();
 const VISION_MODEL = process.env.VISION_MODEL || 'llava';
 const TRACKERS_DIR = path.join(os.homedir(), '.static-rebel', 'trackers');
-const TRACKERS_REGISTRY = path.join(TRACKERS_DIR, 'trackers.json');
 
 // ============================================================================
-// Helper functions for async file operations
-// ============================================================================
-
-async function fileExists(filePath) {
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-async function readJsonFile(filePath, defaultValue = null) {
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    return JSON.parse(content);
-  } catch (e) {
-    if (e.code !== 'ENOENT') {
-      console.error(`Failed to read ${filePath}:`, e.message);
-    }
-    return defaultValue;
-  }
-}
-
-async function writeJsonFile(filePath, data) {
-  // Use atomic write pattern: write to temp file, then rename
-  // This prevents data corruption if the process crashes mid-write
-  const tempPath = `${filePath}.${process.pid}.tmp`;
-  try {
-    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
-    await fs.rename(tempPath, filePath);
-    return true;
-  } catch (e) {
-    console.error(`Failed to write ${filePath}:`, e.message);
-    // Clean up temp file if it exists
-    try {
-      await fs.unlink(tempPath);
-    } catch {
-      // Ignore cleanup errors
-    }
-    return false;
-  }
-}
-
-// ============================================================================
-// Tracker Store - CRUD operations for trackers and records
+// Tracker Store - trackers and records, stored as skills and entries
 // ============================================================================
 
+/**
+ * TrackerStore keeps its original tracker/record API but reads and writes
+ * through SkillManager, so anything logged here shows up in skill stats,
+ * streaks and reports (and vice versa). Pre-existing ~/.static-rebel/trackers
+ * data is imported once on first use; see lib/skills/tracker-bridge.js.
+ */
 class TrackerStore {
-  constructor() {
-    this._initialized = false;
-    this._initPromise = null;
+  /**
+   * @param {Object} [options]
+   * @param {SkillManager} [options.skillManager] - defaults to the shared instance
+   * @param {string} [options.trackersDir] - legacy data to migrate from
+   * @param {boolean} [options.migrate=true] - import legacy trackers on first use
+   */
+  constructor(options = {}) {
+    this.options = typeof options === 'object' && options !== null ? options : {};
+    this.skillManager = this.options.skillManager || null;
+    this._readyPromise = null;
   }
 
   /**
-   * Ensure the tracker directory exists (async)
+   * Resolve the SkillManager and run the legacy migration (once)
    */
-  async ensureDir() {
-    if (this._initialized) return;
-    
-    // Use a promise to prevent concurrent initialization
-    if (this._initPromise) {
-      return this._initPromise;
+  async ready() {
+    if (!this._readyPromise) {
+      this._readyPromise = (async () => {
+        const sm = this.skillManager || await getSkillManager();
+        this.skillManager = sm;
+        if (this.options.migrate !== false) {
+          try {
+            await migrateLegacyTrackers(sm, { trackersDir: this.options.trackersDir || TRACKERS_DIR });
+          } catch (e) {
+            console.error('Failed to migrate legacy trackers:', e.message);
+          }
+        }
+        return sm;
+      })();
     }
-
-    this._initPromise = (async () => {
-      const exists = await fileExists(TRACKERS_DIR);
-      if (!exists) {
-        await fs.mkdir(TRACKERS_DIR, { recursive: true });
-      }
-      this._initialized = true;
-    })();
-
-    return this._initPromise;
+    return this._readyPromise;
   }
 
-  async loadRegistry() {
-    await this.ensureDir();
-    const data = await readJsonFile(TRACKERS_REGISTRY, { trackers: [] });
-    return data;
-  }
-
-  async saveRegistry(data) {
-    await this.ensureDir();
-    return writeJsonFile(TRACKERS_REGISTRY, data);
+  /**
+   * Kept for callers that initialise the store explicitly
+   */
+  async ensureDir() {
+    await this.ready();
   }
 
   async listTrackers() {
-    const registry = await this.loadRegistry();
-    return registry.trackers;
+    const sm = await this.ready();
+    return Promise.all(sm.getAllSkills().map((skill) => skillToTracker(sm, skill)));
   }
 
   async getTracker(id) {
-    const registry = await this.loadRegistry();
-    return registry.trackers.find((t) => t.id === id);
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, id);
+    return skillId ? skillToTracker(sm, sm.skills.get(skillId)) : undefined;
   }
 
   async createTracker(tracker) {
-    const registry = await this.loadRegistry();
-    tracker.id = tracker.id || `tracker-${Date.now()}`;
-    tracker.createdAt = new Date().toISOString();
-    tracker.updatedAt = tracker.createdAt;
-    // Ensure displayName is set
-    tracker.displayName = tracker.displayName || tracker.name || 'Tracker';
-    registry.trackers.push(tracker);
-    await this.saveRegistry(registry);
-    return tracker;
+    const sm = await this.ready();
+    const skillId = await ensureTrackerSkill(sm, tracker);
+    const created = await skillToTracker(sm, sm.skills.get(skillId));
+    // Callers hold on to the config object they passed in
+    return Object.assign(tracker, created);
   }
 
   async updateTracker(id, updates) {
-    const registry = await this.loadRegistry();
-    const index = registry.trackers.findIndex((t) => t.id === id);
-    if (index === -1) return null;
-
-    registry.trackers[index] = {
-      ...registry.trackers[index],
-      ...updates,
-      updatedAt: new Date().toISOString(),
-    };
-    await this.saveRegistry(registry);
-    return registry.trackers[index];
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, id);
+    if (!skillId) return null;
+
+    await updateTrackerMeta(sm, skillId, updates);
+    return skillToTracker(sm, sm.skills.get(skillId));
   }
 
   async deleteTracker(id) {
-    const registry = await this.loadRegistry();
-    const index = registry.trackers.findIndex((t) => t.id === id);
-    if (index === -1) return false;
-
-    registry.trackers.splice(index, 1);
-    await this.saveRegistry(registry);
-    return true;
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, id);
+    return skillId ? sm.deleteSkill(skillId) : false;
   }
 
   // Records
-  getRecordsFile(trackerId) {
-    return path.join(TRACKERS_DIR, `${trackerId}.json`);
+
+  /**
+   * Live records, oldest first
+   */
+  async loadRecords(trackerId, range = {}) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    if (!skillId) return { records: [] };
+
+    const entries = await sm.getEntries(skillId, { ...range, sort: 'asc' });
+    return { records: entries.map(entryToRecord) };
   }
 
-  async loadRecords(trackerId) {
-    await this.ensureDir();
-    const file = this.getRecordsFile(trackerId);
-    const data = await readJsonFile(file, { records: [] });
-    return data;
+  async addRecord(trackerId, record) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId) ||
+      await ensureTrackerSkill(sm, { name: trackerId });
+
+    // Records are always stamped "now", as before
+    const { timestamp, legacyId, ...entry } = recordToEntry(record);
+    const saved = await sm.addEntry(skillId, { ...entry, source: record.source || 'tracker' });
+    return entryToRecord(saved);
   }
 
-  async saveRecords(trackerId, data) {
-    await this.ensureDir();
-    const file = this.getRecordsFile(trackerId);
-    return writeJsonFile(file, data);
+  /**
+   * Edit a record. `data` fields are merged like top-level ones.
+   * Returns the updated record or null if there is no live record with that id.
+   */
+  async updateRecord(trackerId, recordId, changes = {}, options = {}) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    if (!skillId) return null;
+
+    const { legacyId, ...entryChanges } = recordToEntry(changes);
+    const updated = await sm.updateEntry(skillId, recordId, entryChanges, options);
+    return updated ? entryToRecord(updated) : null;
   }
 
-  async addRecord(trackerId, record) {
-    const data = await this.loadRecords(trackerId);
-    record.id = record.id || `record-${Date.now()}`;
-    record.timestamp = new Date().toISOString();
-    data.records.push(record);
-    await this.saveRecords(trackerId, data);
+  /**
+   * Soft-delete a record. Returns it, or null if not found.
+   */
+  async deleteRecord(trackerId, recordId, options = {}) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    const deleted = skillId ? await sm.deleteEntry(skillId, recordId, options) : null;
+    return deleted ? entryToRecord(deleted) : null;
+  }
 
-    // Update tracker stats
-    await this.updateTrackerStats(trackerId);
+  /**
+   * Bring back a soft-deleted record
+   */
+  async restoreRecord(trackerId, recordId, options = {}) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    const restored = skillId ? await sm.restoreEntry(skillId, recordId, options) : null;
+    return restored ? entryToRecord(restored) : null;
+  }
+
+  /**
+   * Soft-delete the most recently added live record
+   */
+  async undoLastRecord(trackerId, options = {}) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    if (!skillId) return null;
 
-    return record;
+    const undone = await sm.undoLastEntry({ skillId, source: options.source });
+    return undone ? entryToRecord(undone.entry) : null;
   }
 
-  async updateTrackerStats(trackerId) {
-    const data = await this.loadRecords(trackerId);
-    const count = data.records.length;
-    const lastEntry = data.records[data.records.length - 1]?.timestamp;
-    await this.updateTracker(trackerId, { count, lastEntry });
+  async getRecordHistory(trackerId, recordId = null) {
+    const sm = await this.ready();
+    const skillId = await resolveTrackerSkill(sm, trackerId);
+    return skillId ? sm.getAuditTrail(skillId, recordId) : [];
   }
 
   /**
@@ -201,19 +201,10 @@ class TrackerStore {
    * Get records by date range
    */
   async getRecordsByDateRange(trackerId, startDate, endDate) {
-    const data = await this.loadRecords(trackerId);
-    if (!startDate && !endDate) {
-      return data;
-    }
-
-    const filtered = data.records.filter((r) => {
-      const recordDate = new Date(r.timestamp);
-      if (startDate && recordDate < new Date(startDate)) return false;
-      if (endDate && recordDate > new Date(endDate)) return false;
-      return true;
+    return this.loadRecords(trackerId, {
+      ...(startDate ? { since: startDate } : {}),
+      ...(endDate ? { until: endDate } : {})
     });
-
-    return { records: filtered };
   }
 }
 
@@ -307,11 +298,45 @@ Provide a concise, helpful answer based on the data. If you need to calculate to
 // Natural Language Parsing
 // ============================================================================
 
+/**
+ * Turn quantity strings in a parsed record ("5km", "16 oz") into numbers.
+ * Each field lands in `units[field]` when given, otherwise in the default
+ * unit for its dimension. What was typed is kept under `originals`.
+ */
+export function normalizeRecordUnits(data, units = {}) {
+  if (!data || typeof data !== 'object') return data;
+
+  const record = { ...data };
+  const originals = {};
+
+  for (const [field, raw] of Object.entries(data)) {
+    if (typeof raw !== 'string') continue;
+    const quantity = parseQuantity(raw, { targetUnit: units[field] });
+    // Only whole-value quantities - "ran 5km with Sam" stays text
+    if (!quantity || quantity.raw.length < raw.trim().length - 1) continue;
+
+    const target = units[field] || DEFAULT_UNITS[quantity.dimension];
+    try {
+      record[field] = roundQuantity(convert(quantity.value, quantity.unit, target));
+    } catch {
+      continue;
+    }
+    originals[field] = raw;
+    record[`${field}Unit`] = target;
+  }
+
+  if (Object.keys(originals).length > 0) {
+    record.originals = originals;
+  }
+  return record;
+}
+
 /**
  * Parse a record from natural language text
+ * @param {Object} [options.units] - field -> unit to normalize amounts to
  * @returns {Object} { success: boolean, data: Object }
  */
-export async function parseRecordFromText(text, trackerType) {
+export async function parseRecordFromText(text, trackerType, options = {}) {
   const prompt = `Parse the following text into a structured record for a ${trackerType} tracker.
 
 Text: "${text}"
@@ -357,8 +382,8 @@ JSON response:`;
           try {
             const json = JSON.parse(body);
             const parsed = JSON.parse(json.response);
-            // Return consistent format
-            resolve({ success: true, data: parsed });
+            // Return consistent format, with amounts in canonical units
+            resolve({ success: true, data: normalizeRecordUnits(parsed, options.units) });
           } catch {
             // Fallback: return empty data
             resolve({ success: false, data: null });
@@ -373,76 +398,44 @@ JSON response:`;
   });
 }
 
+/**
+ * Tracker configuration the model must return
+ */
+export const TRACKER_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'tracker name' },
+    type: { type: 'string', enum: ['nutrition', 'workout', 'habit', 'sleep', 'custom'] },
+    description: { type: 'string', description: 'what this tracker is for' },
+    fields: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    goal: { type: ['string', 'null'], description: 'optional goal description' },
+  },
+  required: ['name', 'type', 'description', 'fields'],
+};
+
 /**
  * Parse tracker creation from natural language
+ * @throws {StructuredOutputError} If the model's reply never matches TRACKER_CONFIG_SCHEMA
  */
 export async function parseTrackerFromNaturalLanguage(text) {
-  const prompt = `Parse the following text into tracker configuration.
-
-Text: "${text}"
-
-Respond with ONLY a JSON object:
-{
-  "name": "tracker name",
-  "type": "nutrition|workout|habit|sleep|custom",
-  "description": "what this tracker is for",
-  "fields": ["field1", "field2"],
-  "goal": optional goal description
-}
-
-JSON response:`;
-
-  return new Promise((resolve, reject) => {
-    const requestBody = JSON.stringify({
-      model: MODEL,
-      prompt,
-      stream: false,
-    });
-
-    const url = new URL(OLLAMA_HOST);
-    const req = http.request(
-      {
-        hostname: url.hostname,
-        port: url.port || 11434,
-        path: '/api/generate',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(requestBody),
-        },
-      },
-      (res) => {
-        let body = '';
-        res.on('data', (chunk) => (body += chunk));
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-            const parsed = JSON.parse(json.response);
-            resolve(parsed);
-          } catch {
-            // Fallback
-            resolve({
-              name: text.slice(0, 30),
-              type: 'custom',
-              description: text,
-              fields: ['notes'],
-            });
-          }
-        });
-      },
-    );
-
-    req.on('error', () =>
-      resolve({
-        name: text.slice(0, 30),
-        type: 'custom',
-        description: text,
-        fields: ['notes'],
-      }),
-    );
-    req.write(requestBody);
-    req.end();
-  });
+  const messages = [
+    {
+      role: 'system',
+      content: 'You turn descriptions of things people want to track into tracker configurations.',
+    },
+    { role: 'user', content: `Parse the following text into tracker configuration.\n\nText: "${text}"` },
+  ];
+
+  const { data } = await runStructured(
+    async (conversation, { responseSchema }) => {
+      const response = await chatCompletion(MODEL, conversation, { format: responseSchema.schema });
+      return response.message;
+    },
+    messages,
+    { schema: TRACKER_CONFIG_SCHEMA, schemaName: 'tracker_config' },
+  );
+
+  return data;
 }
 
 // ============================================================================